@@ -9,6 +9,10 @@
 import { useState } from 'react';
 // Import BrowserRouter, Routes, and Route components from react-router-dom for routing.
 import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
+// Import useAuth to gate the admin routes.
+import { useAuth } from './context/AuthContext';
+// Import LoadingSpinner, shown while the logged-in user is being loaded.
+import LoadingSpinner from './components/LoadingSpinner';
 // Import global CSS file for the application.
 import './App.css';
 
@@ -28,6 +32,8 @@ import SignupPage from './frontend/signup/SignupPage.jsx';      // User signup/r
 // Core application pages for authenticated users:
 import Home from './frontend/home/Home.jsx';                 // Main dashboard/home page for logged-in users.
 import ProfilePage from './frontend/profile/ProfilePage.jsx';   // Authenticated user's own profile page.
+import BlockedUsersPage from './frontend/profile/BlockedUsersPage.jsx'; // Authenticated user's block list management page.
+import ImportPage from './frontend/profile/ImportPage.jsx'; // Import of the authenticated user's history from other trackers.
 import UserProfile from './frontend/social/UserProfile.jsx';    // Public profile page for any user (viewed by username).
 import ShowDetailsPage from './frontend/showdetails/ShowDetailsPage.jsx'; // Page displaying details for a specific TV show.
 import SearchPage from './frontend/search/SearchPage.jsx';      // Page for searching TV shows.
@@ -38,16 +44,44 @@ import ActivityPage from './frontend/activity/ActivityPage.jsx';  // Page displa
 import SearchUsers from './frontend/social/searchUsers.jsx';      // Page for searching other users.
 import FriendRequestsPage from './frontend/friends/FriendRequestsPage.jsx'; // Page to view and manage friend requests.
 import FriendsListPage from './frontend/friends/FriendListPage.jsx';      // Page displaying a user's list of friends.
+import UserListsPage from './frontend/lists/UserListsPage.jsx';          // Page displaying a user's named show lists.
+import ListPage from './frontend/lists/ListPage.jsx';                    // Shareable page of one show list.
 
 // "View All" pages for specific lists or carousels:
 import ViewAllPage from './frontend/viewall/ViewAllPage.jsx';                 // Generic page to view all items from a TMDB endpoint (e.g., trending, popular).
 import ViewAllWatchlist from './frontend/profile/WatchlistViewAll.jsx';       // Page to view all items in the user's watchlist.
 import ViewAllRecentlyWatched from './frontend/profile/RecentlyWatchedViewAll.jsx'; // Page to view all recently watched shows.
+import ViewAllFriendsRecentlyWatched from './frontend/home/FriendsRecentlyWatchedViewAll.jsx'; // Page to view all shows recently watched by friends.
+import ViewAllRecommendedByFriends from './frontend/home/RecommendedByFriendsViewAll.jsx'; // Page to view all pending show recommendations from friends.
+
+// Admin pages:
+import ModerationPage from './frontend/admin/ModerationPage.jsx'; // Moderation queue of reported reviews and users.
 
 // Error handling page:
 import NotFound from './frontend/NotFound.jsx';               // 404 Page Not Found component.
 
 
+/**
+ * @function AdminRoute
+ * @description Renders its children only for admins (`role: 'admin'`); everyone else gets the 404 page,
+ * so the admin pages aren't advertised. The API checks the role on its own as well.
+ *
+ * @param {object} props - The properties passed to the component.
+ * @param {JSX.Element} props.children - The admin page.
+ * @returns {JSX.Element} The admin page, a loading spinner, or the 404 page.
+ */
+function AdminRoute({ children }) {
+  const { user, loading } = useAuth();
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-[#1e1e1e] flex items-center justify-center">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+  return user?.role === 'admin' ? children : <NotFound />;
+}
+
 /**
  * @function App
  * @description The root component of the React application.
@@ -81,6 +115,8 @@ function App() {
         {/* Core Authenticated User Routes */}
         <Route path="/home" element={<Home />} /> {/* Main home/dashboard for logged-in users. */}
         <Route path="/profile" element={<ProfilePage />} /> {/* Authenticated user's own profile. */}
+        <Route path="/profile/blocked" element={<BlockedUsersPage />} /> {/* Authenticated user's blocked users. */}
+        <Route path="/profile/import" element={<ImportPage />} /> {/* Import from Trakt, TV Time or a CSV file. */}
         {/* Note: The `/profile` route for the authenticated user's own profile is distinct from `/user/:username`
              which is for viewing any user's public profile. `ProfilePage` might internally fetch the
              logged-in user's data, while `UserProfile` fetches based on the `username` param. */}
@@ -96,8 +132,13 @@ function App() {
         <Route path="/social" element={<SearchUsers />} /> {/* Page to search for other users. */}
         <Route path="/user/:username" element={<UserProfile />} /> {/* Public profile page for a user specified by `username`. */}
         <Route path="/user/:username/friends" element={<FriendsListPage />} /> {/* Page showing a user's friends list. */}
+        <Route path="/user/:username/lists" element={<UserListsPage />} /> {/* Page showing a user's show lists. */}
+        <Route path="/user/:username/lists/:slug" element={<ListPage />} /> {/* Shareable page of a show list. */}
         <Route path="/requests" element={<FriendRequestsPage />} /> {/* Page for managing friend requests. */}
 
+        {/* Admin Routes (only rendered for admins) */}
+        <Route path="/admin/moderation" element={<AdminRoute><ModerationPage /></AdminRoute>} /> {/* Moderation queue. */}
+
         {/* "View All" List Pages */}
         {/* Generic route for "View All" pages based on a TMDB endpoint (e.g., /view-all/trending/tv/week). */}
         <Route path="/view-all/:tmdbEndpoint" element={<ViewAllPage />} />
@@ -105,6 +146,10 @@ function App() {
         <Route path="/view-all/watchlist" element={<ViewAllWatchlist />} />
         {/* Specific "View All" page for recently watched shows. */}
         <Route path="/view-all/recentlywatched" element={<ViewAllRecentlyWatched />} />
+        {/* Specific "View All" page for shows recently watched by the user's friends. */}
+        <Route path="/view-all/friends-recently-watched" element={<ViewAllFriendsRecentlyWatched />} />
+        {/* Specific "View All" page for show recommendations received from friends. */}
+        <Route path="/view-all/recommended-by-friends" element={<ViewAllRecommendedByFriends />} />
         
         {/* Fallback Route for 404 Not Found */}
         {/* The `*` path matches any URL not matched by the routes above. */}
@@ -0,0 +1,120 @@
+/**
+ * @file activityLog.js
+ * @description Logs user activities for the activity feeds: saves them with the details of their show
+ * and pushes them to the open event streams of the user and their friends. Used by the server's routes and by the
+ * routers that log activities on a user's behalf (e.g., moderation approving a review).
+ */
+
+// Import ObjectId from 'mongodb' for converting string IDs to MongoDB ObjectId objects
+import { ObjectId } from 'mongodb';
+// Import the users collection
+import { userCollection } from './databaseConnection.js';
+// Import the Activity model
+import { Activity } from './utils.js';
+// Import the persistent show metadata cache
+import { getShowSummary } from './showCache.js';
+// Import the poster URL stored in activities
+import { showImageUrl } from './showSnapshots.js';
+// Import publishEvent to push activities to connected clients
+import { publishEvent } from './realtime.js';
+
+/**
+ * Fetches the name and poster of a TV show, from the show metadata cache (see `showCache.js`),
+ * which only calls The Movie Database (TMDB) API for shows it hasn't seen yet.
+ * @async
+ * @function fetchShowDetailsFromTMDB
+ * @param {string|number} showIdInput - The ID of the TV show.
+ * @returns {Promise<object>} A promise that resolves to an object containing the show's name and poster path.
+ *  - `{ name: string, poster_path: string | null }` on success.
+ *  - `{ name: string (error message), poster_path: null }` on failure (e.g., invalid ID, TMDB unreachable and the show not cached).
+ */
+export async function fetchShowDetailsFromTMDB(showIdInput) {
+  // Convert showIdInput to string for consistent handling
+  const showId = String(showIdInput);
+
+  // Validate showId
+  if (!showId || showId === "null" || showId === "undefined") {
+    console.warn('[FETCH_TMDB] Attempted to fetch show details with invalid or empty ID:', showIdInput);
+    return { name: `Unknown Show (ID: ${showIdInput})`, poster_path: null };
+  }
+
+  try {
+    const show = await getShowSummary(showId);
+    if (!show) return { name: `Show #${showId} (TMDB Fetch Error)`, poster_path: null };
+    return { name: show.name || `Show #${showId} (Name Missing)`, poster_path: show.poster_path };
+  } catch (error) {
+    // Log cache errors (e.g., database unavailable) and fall back to a placeholder
+    console.error(`[FETCH_TMDB] FAILED for ID ${showId}:`, error.message);
+    return { name: `Show #${showId} (TMDB Fetch Error)`, poster_path: null };
+  }
+}
+
+/**
+ * Activity actions that are only visible to the user who performed them, never to their friends
+ * (neither pushed in realtime nor included in the friends feed).
+ * Recommendations are private because they are addressed to specific friends and may include a personal note.
+ * @type {Array<string>}
+ */
+export const PRIVATE_ACTIVITY_ACTIONS = ['login', 'logout', 'account_creation', 'recommendation_send'];
+
+/**
+ * Logs a user activity to the database.
+ * Fetches show details from TMDB if the activity is related to a show and `targetId` is provided,
+ * unless `details` already holds them (`showName` and `showImage`).
+ * Fetches user profile picture if the activity is 'profile_update'.
+ * The saved activity is pushed as an `activity` event to the user's open event streams and those of their friends.
+ * @async
+ * @function logActivity
+ * @param {ObjectId|string} userId - The ID of the user performing the action.
+ * @param {string} action - The type of action performed (e.g., 'review_create', 'login').
+ * @param {string|ObjectId|null} [targetId=null] - The ID of the target entity (e.g., show ID, review ID), if applicable.
+ * @param {object} [details={}] - Additional details about the activity.
+ * @returns {Promise<void>} A promise that resolves when the activity is logged or fails silently on error.
+ */
+export async function logActivity(userId, action, targetId = null, details = {}) {
+  try {
+    // For actions related to shows, fetch show details to enrich the log
+    if (['review_create', 'review_edit', 'review_delete', 'review_comment', 'review_like', 'review_dislike', 'watchlist_add', 'watchlist_remove', 'mark_watched', 'recommendation_send'].includes(action)) {
+      if (targetId && details.showName) {
+        // The caller already has the show's snapshot (e.g., from the review)
+        details.showImage = details.showImage || showImageUrl(null);
+      } else if (targetId) {
+        const showDetails = await fetchShowDetailsFromTMDB(targetId.toString());
+        details.showName = showDetails.name;
+        details.showImage = showImageUrl(showDetails.poster_path);
+      } else if (!['profile_update', 'login', 'logout', 'account_creation'].includes(action)) {
+        // Warn if targetId is missing for actions that usually require it
+        console.warn(`[LOG_ACTIVITY] Target ID missing for relevant action: ${action}`);
+      }
+    }
+    // For profile updates, include the (new) profile photo URL in details
+    if (action === 'profile_update') {
+      const userToLog = await userCollection.findOne({ _id: new ObjectId(userId) });
+      if (userToLog) details.profilePhoto = userToLog.profilePic || '';
+    }
+    // Create a new Activity document using the Mongoose model
+    const activity = new Activity({
+      userId: new ObjectId(userId), // Ensure userId is an ObjectId
+      action,
+      targetId: targetId ? targetId.toString() : null, // Store targetId as string
+      details,
+    });
+    // Save the activity to the database
+    await activity.save();
+    console.log(`[LOG_ACTIVITY] Logged: User ${userId}, Action ${action}, Target ${targetId || 'N/A'}`);
+
+    // Push the activity to the user's own open streams and, unless it's a private action, to their friends'
+    const actor = await userCollection.findOne(
+      { _id: new ObjectId(userId) },
+      { projection: { username: 1, profilePic: 1, friends: 1 } }
+    );
+    const recipients = PRIVATE_ACTIVITY_ACTIONS.includes(action) ? [userId] : [userId, ...(actor?.friends || [])];
+    publishEvent(recipients, 'activity', {
+      ...activity.toObject(),
+      user: actor ? { _id: actor._id.toString(), username: actor.username, profilePic: actor.profilePic || '' } : null
+    });
+  } catch (error) {
+    // Log errors during activity logging but don't let it crash the main operation
+    console.error('[LOG_ACTIVITY] Failed:', { message: error.message, userId, action, targetId });
+  }
+}
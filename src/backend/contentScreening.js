@@ -0,0 +1,171 @@
+/**
+ * @file Server-side content screening for reviews.
+ * @module contentScreening
+ * Every review posted or edited goes through `screenReview` before it is saved. Reviews that trip a check are
+ * saved as "pending": only their author sees them until an admin approves them in the moderation queue.
+ * Screening runs entirely offline (no external service). The built-in checks are:
+ * - `word_list`: blocked words and phrases (profanity, common spam phrases);
+ * - `duplicate`: the same text already posted from another account;
+ * - `links`: more links than allowed;
+ * - `rate_limit`: too many reviews posted or edited by the user in the last hour.
+ * More checks can be plugged in with `registerScreeningCheck`.
+ *
+ * Configuration (environment variables, read at startup):
+ * - `SCREENING_WORD_LIST`: comma-separated words and phrases replacing the default list.
+ * - `SCREENING_WORD_LIST_FILE`: path to a file with one word or phrase per line, added to the list.
+ * - `SCREENING_MAX_LINKS`: maximum number of links in a review (default 2).
+ * - `SCREENING_MAX_REVIEWS_PER_HOUR`: maximum number of reviews a user can post or edit per hour (default 10).
+ * - `SCREENING_DUPLICATE_MIN_LENGTH`: shorter texts (e.g., "Loved it!") are never treated as duplicates (default 40).
+ */
+
+// Import process for the screening configuration in environment variables
+import process from 'process';
+// Import the file system module to read the optional word list file
+import fs from 'fs';
+// Import the crypto module to fingerprint review texts
+import crypto from 'crypto';
+// Import the Review model for the duplicate and rate limit checks
+import { Review } from './utils.js';
+
+/**
+ * Words and phrases flagged when `SCREENING_WORD_LIST` isn't set.
+ * @const {Array<string>}
+ */
+const DEFAULT_WORD_LIST = [
+  'fuck', 'fucking', 'motherfucker', 'shit', 'bitch', 'cunt', 'asshole', 'bastard', 'dickhead', 'whore', 'slut',
+  'buy now', 'click here', 'free money', 'work from home', 'crypto giveaway', 'limited offer', 'promo code'
+];
+
+/**
+ * Maximum number of links allowed in a review.
+ * @const {number}
+ */
+const MAX_LINKS = Number(process.env.SCREENING_MAX_LINKS) || 2;
+/**
+ * Maximum number of reviews a user can post or edit in an hour before their reviews are held.
+ * @const {number}
+ */
+const MAX_REVIEWS_PER_HOUR = Number(process.env.SCREENING_MAX_REVIEWS_PER_HOUR) || 10;
+/**
+ * Minimum length of a normalized text for the duplicate check.
+ * @const {number}
+ */
+const DUPLICATE_MIN_LENGTH = Number(process.env.SCREENING_DUPLICATE_MIN_LENGTH) || 40;
+
+/**
+ * Matches links: URLs with a scheme, `www.` addresses and bare domains with a common top-level domain.
+ * @const {RegExp}
+ */
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)\S+|\b[a-z0-9-]+\.(?:com|net|org|io|ly|co|xyz|info|biz|ru|tk)\b/gi;
+
+/**
+ * Loads the configured word list.
+ * @returns {Array<string>} The lowercased words and phrases.
+ */
+function loadWordList() {
+  const words = process.env.SCREENING_WORD_LIST
+    ? process.env.SCREENING_WORD_LIST.split(',')
+    : [...DEFAULT_WORD_LIST];
+  if (process.env.SCREENING_WORD_LIST_FILE) {
+    try {
+      words.push(...fs.readFileSync(process.env.SCREENING_WORD_LIST_FILE, 'utf8').split(/\r?\n/));
+    } catch (error) {
+      console.error(`[SCREENING] Could not read the word list file ${process.env.SCREENING_WORD_LIST_FILE}:`, error.message);
+    }
+  }
+  return [...new Set(words.map(word => word.trim().toLowerCase()).filter(Boolean))];
+}
+
+/**
+ * Matches any word or phrase of the word list as a whole word, case-insensitively, or `null` for an empty list.
+ * @const {RegExp|null}
+ */
+const WORD_LIST_PATTERN = (() => {
+  const words = loadWordList();
+  if (words.length === 0) return null;
+  // Escape regex characters and let the words of a phrase be separated by any whitespace
+  const alternatives = words.map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+'));
+  return new RegExp(`\\b(?:${alternatives.join('|')})\\b`, 'i');
+})();
+
+/**
+ * Fingerprints a review text for the duplicate check: the SHA-256 hash of the text lowercased,
+ * without punctuation and with collapsed whitespace, so trivial variations still match.
+ * @function contentFingerprint
+ * @param {string} content - The review text.
+ * @returns {string|null} The fingerprint, or `null` for texts too short to be compared.
+ */
+export function contentFingerprint(content) {
+  const normalized = String(content || '').toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, '').replace(/\s+/g, ' ').trim();
+  if (normalized.length < DUPLICATE_MIN_LENGTH) return null;
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * Registered screening checks, run in order.
+ * @type {Array<{ name: string, check: function(object): Promise<string|null> }>}
+ */
+const checks = [];
+
+/**
+ * Adds a screening check. A check receives the submission (see `screenReview`) and resolves to a message
+ * explaining why the review should be held, or `null` if it passes.
+ * @function registerScreeningCheck
+ * @param {string} name - Short identifier stored on flagged reviews (e.g., 'word_list').
+ * @param {function(object): (string|null|Promise<string|null>)} check - The check.
+ */
+export function registerScreeningCheck(name, check) {
+  checks.push({ name, check });
+}
+
+registerScreeningCheck('word_list', ({ content }) => (
+  WORD_LIST_PATTERN?.test(content) ? 'Contains a blocked word or phrase' : null
+));
+
+registerScreeningCheck('links', ({ content }) => {
+  const linkCount = (String(content).match(LINK_PATTERN) || []).length;
+  return linkCount > MAX_LINKS ? `Contains ${linkCount} links (at most ${MAX_LINKS} allowed)` : null;
+});
+
+registerScreeningCheck('duplicate', async ({ userId, fingerprint }) => {
+  if (!fingerprint) return null;
+  const duplicate = await Review.exists({ contentHash: fingerprint, userId: { $ne: userId } });
+  return duplicate ? 'Same text as a review posted from another account' : null;
+});
+
+registerScreeningCheck('rate_limit', async ({ userId, reviewId }) => {
+  const since = new Date(Date.now() - 60 * 60 * 1000);
+  const recentCount = await Review.countDocuments({
+    userId,
+    ...(reviewId ? { _id: { $ne: reviewId } } : {}), // The review being edited doesn't count against itself
+    $or: [{ createdAt: { $gte: since } }, { editedAt: { $gte: since } }]
+  });
+  return recentCount >= MAX_REVIEWS_PER_HOUR ? `More than ${MAX_REVIEWS_PER_HOUR} reviews posted in the last hour` : null;
+});
+
+/**
+ * Runs every screening check on a review about to be saved.
+ * A failing check is logged and skipped, so a screening problem never blocks posting.
+ * @async
+ * @function screenReview
+ * @param {object} submission - The review being posted or edited.
+ * @param {ObjectId} submission.userId - The author's ID.
+ * @param {string} submission.content - The review text.
+ * @param {ObjectId|null} [submission.reviewId=null] - The ID of the review being edited, if any.
+ * @returns {Promise<{ flagged: boolean, flags: Array<{ check: string, message: string }>, fingerprint: string|null }>}
+ *   The checks that flagged the review (empty if it passes), and the text's fingerprint to store on the review.
+ */
+export async function screenReview({ userId, content, reviewId = null }) {
+  const submission = { userId, content: String(content || ''), reviewId, fingerprint: contentFingerprint(content) };
+  const flags = [];
+  for (const { name, check } of checks) {
+    try {
+      const message = await check(submission);
+      if (message) flags.push({ check: name, message });
+    } catch (error) {
+      console.error(`[SCREENING] Check ${name} failed:`, error);
+    }
+  }
+  if (flags.length > 0) console.log(`[SCREENING] Review by ${userId} held for moderation:`, flags.map(flag => flag.check).join(', '));
+  return { flagged: flags.length > 0, flags, fingerprint: submission.fingerprint };
+}
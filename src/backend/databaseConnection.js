@@ -2,7 +2,7 @@
  * @file databaseConnection.js
  * @description This module handles the connection to the MongoDB database.
  * It retrieves connection details from environment variables, establishes the connection,
- * and exports the database instance and a specific 'users' collection reference.
+ * and exports the client, the database instance and a specific 'users' collection reference.
  */
 
 // Import the 'dotenv' library to load environment variables from a .env file.
@@ -40,6 +40,12 @@ const {
  */
 const uri = `mongodb+srv://${mongodb_user}:${mongodb_password}@${mongodb_host}/?retryWrites=true&w=majority`;
 
+/**
+ * Exportable variable that will hold the connected MongoClient.
+ * Needed to start sessions for multi-document transactions.
+ * @type {import('mongodb').MongoClient | undefined}
+ */
+export let mongoClient;
 /**
  * Exportable variable that will hold the reference to the connected MongoDB database instance.
  * @type {import('mongodb').Db | undefined}
@@ -72,6 +78,8 @@ export async function connectToDatabase() {
 
   // Establish the connection to the MongoDB server.
   await client.connect();
+  // Keep a reference to the client so other modules can start sessions.
+  mongoClient    = client;
   // Get a reference to the specific database using the name from `mongodb_database` environment variable.
   database       = client.db(mongodb_database);
   // Get a reference to the 'users' collection within that database.
@@ -1,8 +1,9 @@
 /**
  * @file Express router for handling friend-related operations.
  * @module friendRoutes
- * This router manages sending friend requests, accepting friend requests,
- * fetching pending friend requests, and retrieving a user's friend list.
+ * This router manages sending, accepting, declining and cancelling friend requests,
+ * removing friends, fetching pending friend requests, retrieving a user's friend list,
+ * and building the "friends recently watched" feed.
  * It interacts with the MongoDB 'userCollection' for data persistence.
  */
 
@@ -11,7 +12,13 @@ import express from 'express';
 // Import ObjectId from 'mongodb' for converting string IDs to MongoDB ObjectId objects
 import { ObjectId } from 'mongodb';
 // Import the userCollection, which is presumably a MongoDB collection instance for users
-import { userCollection } from './databaseConnection.js';
+import { userCollection, mongoClient } from './databaseConnection.js';
+// Import the Activity model to read friends' 'mark_watched' activities
+import { Activity } from './utils.js';
+// Import the helper used to notify users about friend requests
+import { createNotification } from './notifications.js';
+// Import publishEvent to push friend request changes to both users' open event streams
+import { publishEvent } from './realtime.js';
 
 /**
  * Express router to mount friend-related functions on.
@@ -19,18 +26,41 @@ import { userCollection } from './databaseConnection.js';
  */
 const router = express.Router();
 
+/**
+ * Applies updates to two (or more) user documents in a single transaction,
+ * so the two sides of a friendship or friend request never get out of sync. Also used by blocking (see `server.js`).
+ * @async
+ * @param {Array<{_id: ObjectId, update: object}>} operations - The user IDs and the update to apply to each.
+ * @returns {Promise<void>} Resolves once every update is committed; rejects (and rolls back) otherwise.
+ */
+export async function updateUsersAtomically(operations) {
+  const session = mongoClient.startSession();
+  try {
+    await session.withTransaction(async () => {
+      for (const { _id, update } of operations) {
+        await userCollection.updateOne({ _id }, update, { session });
+      }
+    });
+  } finally {
+    await session.endSession();
+  }
+}
+
 /**
  * @route POST /request/:targetId
  * @description Sends a friend request from the logged-in user to a target user.
  * The logged-in user's email is retrieved from the session.
- * Updates both the sender's `friendRequestsSent` list and the target's `friendRequestsRecieved` list.
+ * Updates both the sender's `friendRequestsSent` list and the target's `friendRequestsRecieved` list,
+ * and notifies the target. Requests are refused if either user has blocked the other.
  * @param {string} req.params.targetId - The MongoDB ObjectId (as a string) of the user to whom the friend request is being sent.
  * @param {object} req.session - The session object, expected to contain `email` of the logged-in user.
  * @returns {object} JSON response:
  * - `{ success: true }` on successful request.
  * - `{ success: false, message: string }` on failure, with appropriate HTTP status codes:
  *   - 401: If the user is not logged in.
- *   - 400: For invalid user/target ID, self-friending, or if request already sent/is friends.
+ *   - 400: For invalid user/target ID, self-friending, if request already sent/is friends, or if the sender blocked the target.
+ *   - 403: If the target has blocked the sender.
+ *   - 404: If the target user does not exist.
  *   - 500: For server errors during database operations.
  * @async
  */
@@ -63,6 +93,21 @@ router.post('/request/:targetId', async (req, res) => {
     return res.status(400).json({ success: false, message: 'Already sent or already friends' });
   }
 
+  if (!ObjectId.isValid(targetId)) {
+    return res.status(400).json({ success: false, message: 'Invalid user or target ID' });
+  }
+  // Blocked users cannot send friend requests to the user who blocked them (and vice versa)
+  if (sender.blockedUsers?.includes(targetId)) {
+    return res.status(400).json({ success: false, message: 'Unblock this user before sending a friend request' });
+  }
+  const target = await userCollection.findOne({ _id: new ObjectId(targetId) }, { projection: { blockedUsers: 1 } });
+  if (!target) {
+    return res.status(404).json({ success: false, message: 'User not found' });
+  }
+  if (target.blockedUsers?.includes(sender._id.toString())) {
+    return res.status(403).json({ success: false, message: 'You cannot send a friend request to this user' });
+  }
+
   try {
     // Add the targetId to the sender's `friendRequestsSent` array.
     // `$addToSet` ensures the ID is added only if it's not already present.
@@ -76,6 +121,9 @@ router.post('/request/:targetId', async (req, res) => {
       { _id: new ObjectId(targetId) },
       { $addToSet: { friendRequestsRecieved: sender._id.toString() } }
     );
+    // Notify the target about the new request
+    await createNotification({ userId: targetId, actorId: sender._id, type: 'friend_request' });
+    publishEvent([sender._id, targetId], 'friend_requests', { action: 'sent', fromUserId: sender._id.toString(), toUserId: targetId });
     // Respond with success
     res.json({ success: true });
   } catch (error) {
@@ -90,6 +138,7 @@ router.post('/request/:targetId', async (req, res) => {
  * @description Accepts a friend request from a specified requester.
  * The logged-in user (receiver) accepts the request.
  * Updates involve removing the request from pending lists and adding each user to the other's `friends` list.
+ * The requester is notified that the request was accepted.
  * @param {string} req.params.requesterId - The MongoDB ObjectId (as a string) of the user who sent the friend request.
  * @param {object} req.session - The session object, expected to contain `email` of the logged-in user (the receiver).
  * @returns {object} JSON response:
@@ -146,6 +195,9 @@ router.post('/accept/:requesterId', async (req, res) => {
         $addToSet: { friends: requesterId }
       }
     );
+    // Notify the requester that their request was accepted
+    await createNotification({ userId: requesterId, actorId: receiver._id, type: 'friend_accept' });
+    publishEvent([receiver._id, requesterId], 'friend_requests', { action: 'accepted', fromUserId: requesterId, toUserId: receiverIdStr });
     // Respond with success
     res.json({ success: true, message: 'Friend request accepted' });
   } catch (error) {
@@ -155,6 +207,112 @@ router.post('/accept/:requesterId', async (req, res) => {
   }
 });
 
+/**
+ * @route POST /decline/:requesterId
+ * @description Declines a friend request from a specified requester.
+ * Removes the request from the logged-in user's `friendRequestsRecieved` list and from the
+ * requester's `friendRequestsSent` list in a single transaction.
+ * @param {string} req.params.requesterId - The MongoDB ObjectId (as a string) of the user who sent the friend request.
+ * @param {object} req.session - The session object, expected to contain `email` of the logged-in user (the receiver).
+ * @returns {object} JSON response:
+ * - `{ success: true, message: 'Friend request declined' }` on success.
+ * - `{ success: false, message: string }` on failure, with appropriate HTTP status codes:
+ *   - 401: If the user is not logged in.
+ *   - 400: For invalid user/requester ID, or if no such request exists.
+ *   - 500: For server errors during database operations.
+ * @async
+ */
+router.post('/decline/:requesterId', async (req, res) => {
+  // Retrieve the logged-in user's email from the session
+  const userEmail = req.session.email;
+  // If no email in session, user is not logged in; return 401 Unauthorized
+  if (!userEmail) return res.status(401).json({ success: false, message: 'Not logged in' });
+
+  // Find the receiver (logged-in user) in the database
+  const receiver = await userCollection.findOne({ email: userEmail });
+  // Get the requester's ID from the request parameters
+  const requesterId = req.params.requesterId;
+
+  // Validate that both receiver and requesterId are present and the ID is well-formed
+  if (!receiver || !requesterId || !ObjectId.isValid(requesterId)) {
+    return res.status(400).json({ success: false, message: 'Invalid user or requester ID' });
+  }
+
+  // Check if the receiver actually has a pending request from this requesterId
+  if (!receiver.friendRequestsRecieved?.map(id => id.toString()).includes(requesterId)) {
+    return res.status(400).json({ success: false, message: 'No such request' });
+  }
+
+  try {
+    const receiverIdStr = receiver._id.toString();
+    // Remove the request from both users at once
+    await updateUsersAtomically([
+      { _id: new ObjectId(requesterId), update: { $pull: { friendRequestsSent: receiverIdStr } } },
+      { _id: receiver._id, update: { $pull: { friendRequestsRecieved: requesterId } } }
+    ]);
+    publishEvent([receiver._id, requesterId], 'friend_requests', { action: 'declined', fromUserId: requesterId, toUserId: receiverIdStr });
+    // Respond with success
+    res.json({ success: true, message: 'Friend request declined' });
+  } catch (error) {
+    // Log the error and respond with a 500 Internal Server Error
+    console.error("Error declining friend request:", error);
+    res.status(500).json({ success: false, message: 'Server error declining friend request' });
+  }
+});
+
+/**
+ * @route POST /cancel/:targetId
+ * @description Withdraws a friend request the logged-in user sent to a target user.
+ * Removes the request from the logged-in user's `friendRequestsSent` list and from the
+ * target's `friendRequestsRecieved` list in a single transaction.
+ * @param {string} req.params.targetId - The MongoDB ObjectId (as a string) of the user the request was sent to.
+ * @param {object} req.session - The session object, expected to contain `email` of the logged-in user (the sender).
+ * @returns {object} JSON response:
+ * - `{ success: true, message: 'Friend request cancelled' }` on success.
+ * - `{ success: false, message: string }` on failure, with appropriate HTTP status codes:
+ *   - 401: If the user is not logged in.
+ *   - 400: For invalid user/target ID, or if no such request exists.
+ *   - 500: For server errors during database operations.
+ * @async
+ */
+router.post('/cancel/:targetId', async (req, res) => {
+  // Retrieve the logged-in user's email from the session
+  const userEmail = req.session.email;
+  // If no email in session, user is not logged in; return 401 Unauthorized
+  if (!userEmail) return res.status(401).json({ success: false, message: 'Not logged in' });
+
+  // Find the sender (logged-in user) in the database
+  const sender = await userCollection.findOne({ email: userEmail });
+  // Get the target user's ID from the request parameters
+  const targetId = req.params.targetId;
+
+  // Validate that both sender and targetId are present and the ID is well-formed
+  if (!sender || !targetId || !ObjectId.isValid(targetId)) {
+    return res.status(400).json({ success: false, message: 'Invalid user or target ID' });
+  }
+
+  // Check if the sender actually has a pending request to this targetId
+  if (!sender.friendRequestsSent?.map(id => id.toString()).includes(targetId)) {
+    return res.status(400).json({ success: false, message: 'No such request' });
+  }
+
+  try {
+    const senderIdStr = sender._id.toString();
+    // Remove the request from both users at once
+    await updateUsersAtomically([
+      { _id: sender._id, update: { $pull: { friendRequestsSent: targetId } } },
+      { _id: new ObjectId(targetId), update: { $pull: { friendRequestsRecieved: senderIdStr } } }
+    ]);
+    publishEvent([sender._id, targetId], 'friend_requests', { action: 'cancelled', fromUserId: senderIdStr, toUserId: targetId });
+    // Respond with success
+    res.json({ success: true, message: 'Friend request cancelled' });
+  } catch (error) {
+    // Log the error and respond with a 500 Internal Server Error
+    console.error("Error cancelling friend request:", error);
+    res.status(500).json({ success: false, message: 'Server error cancelling friend request' });
+  }
+});
+
 /**
  * @route GET /requests
  * @description Fetches all pending friend requests received by the logged-in user.
@@ -214,6 +372,52 @@ router.get('/requests', async (req, res) => {
   }
 });
 
+/**
+ * @route GET /requests/sent
+ * @description Fetches all pending friend requests sent by the logged-in user, so they can be cancelled.
+ * Returns an array of user objects (target details) for each pending request.
+ * @param {object} req.session - The session object, expected to contain `email` of the logged-in user.
+ * @returns {Array<object>|object} JSON response:
+ * - An array of target objects (each with `_id`, `username`, `profilePic`) or an empty array `[]` if no requests.
+ * - `{ success: false, message: string }` on failure, with appropriate HTTP status codes:
+ *   - 401: If the user is not logged in.
+ *   - 500: For server errors during database operations.
+ * @async
+ */
+router.get('/requests/sent', async (req, res) => {
+  // Retrieve the logged-in user's email from the session
+  const userEmail = req.session.email;
+  // If no email in session, user is not logged in; return 401 Unauthorized
+  if (!userEmail) return res.status(401).json({ success: false, message: 'Not logged in' });
+
+  try {
+    // Find the logged-in user in the database
+    const user = await userCollection.findOne({ email: userEmail });
+    // If user not found or no requests sent, return an empty array
+    if (!user || !Array.isArray(user.friendRequestsSent) || user.friendRequestsSent.length === 0) {
+      return res.json([]);
+    }
+
+    // Convert the string IDs to ObjectIds, skipping any invalid entries
+    const targetIds = user.friendRequestsSent.filter(id => ObjectId.isValid(id)).map(id => new ObjectId(id));
+    if (targetIds.length === 0) {
+      return res.json([]);
+    }
+
+    // Fetch the details of the users the requests were sent to
+    const targets = await userCollection.find({
+      _id: { $in: targetIds }
+    }).project({ _id: 1, username: 1, profilePic: 1 }).toArray();
+
+    // Respond with the array of target details
+    res.json(targets);
+  } catch (error) {
+    // Log the error and respond with a 500 Internal Server Error
+    console.error("Error fetching sent friend requests:", error);
+    res.status(500).json({ success: false, message: 'Server error fetching sent friend requests' });
+  }
+});
+
 /**
  * @route GET /list/:username
  * @description Fetches the list of friends for a specified username.
@@ -282,6 +486,198 @@ router.get('/list/:username', async (req, res) => {
   }
 });
 
+/**
+ * Builds a TMDB poster URL from a poster path.
+ * Values that are already full URLs (as stored in activity details) are returned unchanged.
+ * @param {string|null|undefined} poster - A TMDB poster path (e.g. `/abc.jpg`) or a full image URL.
+ * @returns {string|null} The full poster URL, or `null` if there is no poster.
+ */
+const toPosterUrl = (poster) => {
+  if (!poster) return null;
+  return poster.startsWith('http') ? poster : `https://image.tmdb.org/t/p/w500${poster}`;
+};
+
+/**
+ * @route GET /recently-watched
+ * @description Fetches the shows recently watched by the logged-in user's friends.
+ * Merges every friend's `watchedHistory` with their 'mark_watched' activities, dedupes by show
+ * and sorts the shows by the most recent time any friend watched them.
+ * Each show lists the friends who watched it, most recent first.
+ * @param {object} req.session - The session object, expected to contain `email` of the logged-in user.
+ * @param {number} [req.query.limit=20] - Maximum number of shows to return (1-100).
+ * @returns {Array<object>|object} JSON response:
+ * - An array of `{ showId, showName, posterUrl, lastWatchedAt, friends: [{ _id, username, profilePic, watchedAt }] }`,
+ *   or an empty array `[]` if the user has no friends or they have not watched anything.
+ * - `{ success: false, message: string }` on failure, with appropriate HTTP status codes:
+ *   - 401: If the user is not logged in.
+ *   - 500: For server errors during database operations.
+ * @async
+ */
+router.get('/recently-watched', async (req, res) => {
+  // Retrieve the logged-in user's email from the session
+  const userEmail = req.session.email;
+  // If no email in session, user is not logged in; return 401 Unauthorized
+  if (!userEmail) return res.status(401).json({ success: false, message: 'Not logged in' });
+
+  // Parse and clamp the number of shows to return
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+  try {
+    // Find the logged-in user in the database
+    const user = await userCollection.findOne({ email: userEmail });
+    // No friends means nothing to show
+    if (!user || !Array.isArray(user.friends) || user.friends.length === 0) {
+      return res.json([]);
+    }
+
+    // Convert friend IDs to ObjectIds, skipping any invalid entries
+    const friendIds = user.friends.map(id => {
+      try {
+        return new ObjectId(id);
+      } catch (e) {
+        console.warn(`Invalid ObjectId string in friends list for user ${userEmail}: ${id}`);
+        return null;
+      }
+    }).filter(id => id !== null);
+
+    if (friendIds.length === 0) {
+      return res.json([]);
+    }
+
+    // Load the friends' profile details and watched history
+    const friends = await userCollection.find({
+      _id: { $in: friendIds }
+    }).project({ _id: 1, username: 1, profilePic: 1, watchedHistory: 1 }).toArray();
+
+    // Load the friends' recent 'mark_watched' activities (covers shows trimmed from the capped history)
+    const activities = await Activity.find({
+      userId: { $in: friendIds },
+      action: 'mark_watched'
+    }).sort({ createdAt: -1 }).limit(500).lean();
+
+    // Map of showId -> merged show entry; each entry keeps a map of friendId -> latest watch time
+    const showsById = new Map();
+    const friendsById = new Map(friends.map(f => [f._id.toString(), f]));
+
+    /**
+     * Records that a friend watched a show at a given time, keeping the most recent details.
+     * @param {string} friendId - The friend's user ID.
+     * @param {object} show - `{ showId, showName, poster, watchedAt }`.
+     */
+    const addWatch = (friendId, { showId, showName, poster, watchedAt }) => {
+      if (!showId || !watchedAt || !friendsById.has(friendId)) return;
+      const key = showId.toString();
+      const time = new Date(watchedAt);
+      let entry = showsById.get(key);
+      if (!entry) {
+        entry = { showId: key, showName: showName || '', posterUrl: toPosterUrl(poster), lastWatchedAt: time, watchers: new Map() };
+        showsById.set(key, entry);
+      }
+      // Fill in missing show details from whichever source has them
+      if (!entry.showName && showName) entry.showName = showName;
+      if (!entry.posterUrl && poster) entry.posterUrl = toPosterUrl(poster);
+      if (time > entry.lastWatchedAt) entry.lastWatchedAt = time;
+      const previous = entry.watchers.get(friendId);
+      if (!previous || time > previous) entry.watchers.set(friendId, time);
+    };
+
+    // Merge the friends' watched history
+    friends.forEach(friend => {
+      (friend.watchedHistory || []).forEach(item => addWatch(friend._id.toString(), {
+        showId: item.showId,
+        showName: item.showName,
+        poster: item.posterPath,
+        watchedAt: item.lastWatchedAt
+      }));
+    });
+    // Merge the 'mark_watched' activities
+    activities.forEach(activity => addWatch(activity.userId.toString(), {
+      showId: activity.targetId,
+      showName: activity.details?.showName,
+      poster: activity.details?.showImage,
+      watchedAt: activity.createdAt
+    }));
+
+    // Sort shows by recency and shape the response
+    const recentlyWatched = [...showsById.values()]
+      .sort((a, b) => b.lastWatchedAt - a.lastWatchedAt)
+      .slice(0, limit)
+      .map(({ watchers, ...show }) => ({
+        ...show,
+        friends: [...watchers.entries()]
+          .sort((a, b) => b[1] - a[1])
+          .map(([friendId, watchedAt]) => {
+            const friend = friendsById.get(friendId);
+            return { _id: friend._id, username: friend.username, profilePic: friend.profilePic || '', watchedAt };
+          })
+      }));
+
+    // Respond with the merged feed
+    res.json(recentlyWatched);
+  } catch (error) {
+    // Log the error and respond with a 500 Internal Server Error
+    console.error("Error fetching friends' recently watched shows:", error);
+    res.status(500).json({ success: false, message: "Server error fetching friends' recently watched shows" });
+  }
+});
+
+/**
+ * @route DELETE /:friendId
+ * @description Removes a friend. Both users are removed from each other's `friends` lists,
+ * together with any leftover pending requests between them, in a single transaction.
+ * @param {string} req.params.friendId - The MongoDB ObjectId (as a string) of the friend to remove.
+ * @param {object} req.session - The session object, expected to contain `email` of the logged-in user.
+ * @returns {object} JSON response:
+ * - `{ success: true, message: 'Friend removed' }` on success.
+ * - `{ success: false, message: string }` on failure, with appropriate HTTP status codes:
+ *   - 401: If the user is not logged in.
+ *   - 400: For invalid user/friend ID, or if the users are not friends.
+ *   - 500: For server errors during database operations.
+ * @async
+ */
+router.delete('/:friendId', async (req, res) => {
+  // Retrieve the logged-in user's email from the session
+  const userEmail = req.session.email;
+  // If no email in session, user is not logged in; return 401 Unauthorized
+  if (!userEmail) return res.status(401).json({ success: false, message: 'Not logged in' });
+
+  // Find the logged-in user in the database
+  const user = await userCollection.findOne({ email: userEmail });
+  // Get the friend's ID from the request parameters
+  const friendId = req.params.friendId;
+
+  // Validate that both user and friendId are present and the ID is well-formed
+  if (!user || !friendId || !ObjectId.isValid(friendId)) {
+    return res.status(400).json({ success: false, message: 'Invalid user or friend ID' });
+  }
+
+  // Check that the two users are actually friends
+  if (!user.friends?.map(id => id.toString()).includes(friendId)) {
+    return res.status(400).json({ success: false, message: 'Not friends' });
+  }
+
+  try {
+    const userIdStr = user._id.toString();
+    // Remove the friendship (and any stale requests) from both users at once
+    await updateUsersAtomically([
+      {
+        _id: user._id,
+        update: { $pull: { friends: friendId, friendRequestsSent: friendId, friendRequestsRecieved: friendId } }
+      },
+      {
+        _id: new ObjectId(friendId),
+        update: { $pull: { friends: userIdStr, friendRequestsSent: userIdStr, friendRequestsRecieved: userIdStr } }
+      }
+    ]);
+    // Respond with success
+    res.json({ success: true, message: 'Friend removed' });
+  } catch (error) {
+    // Log the error and respond with a 500 Internal Server Error
+    console.error("Error removing friend:", error);
+    res.status(500).json({ success: false, message: 'Server error removing friend' });
+  }
+});
+
 /**
  * Exports the configured Express router for use in the main application.
  * @default router
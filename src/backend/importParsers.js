@@ -0,0 +1,358 @@
+/**
+ * @file Parsers of the exports of other trackers, for imports (see `imports.js`).
+ * @module importParsers
+ * Each parser turns a file into the shows it mentions and the items it adds (see `IMPORT_ITEM_KINDS`):
+ * - Trakt JSON exports: `watchlist-shows.json` (watchlist), `watched-shows.json` and `history.json` (watched episodes),
+ *   `ratings-shows.json`, `ratings-seasons.json` and `ratings-episodes.json` (ratings out of 10). A file holding
+ *   several of these (an object of arrays) works too. Movies are skipped.
+ * - TV Time CSV exports: `followed_tv_show.csv` (watchlist) and `seen_episode.csv` (watched episodes).
+ *   `tv_show_id` is read as a TheTVDB ID.
+ * - Letterboxd-style CSV files: one row per show or episode (see `parseGenericCsv`).
+ * Rows that can't be read are counted, not fatal.
+ */
+
+// Import the shared rating scale, to bring imported ratings onto it
+import { RATING_MAX, normalizeRating } from '../shared/ratingScale.js';
+
+/**
+ * Parses CSV text (RFC 4180: quoted fields may hold commas, quotes and line breaks) into rows of objects
+ * keyed by the header row's column names, normalized by `normalizeColumnName`.
+ * @param {string} text - The CSV text.
+ * @returns {Array<object>} The rows after the header.
+ */
+export function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, ''); // Drop the byte order mark some spreadsheet apps add
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') { field += '"'; i++; }
+      else if (char === '"') inQuotes = false;
+      else field += char;
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const [header, ...rows] = records.filter(row => row.some(value => value.trim() !== ''));
+  if (!header) return [];
+  const columns = header.map(normalizeColumnName);
+  return rows.map(row => Object.fromEntries(columns.map((column, index) => [column, (row[index] ?? '').trim()])));
+}
+
+/**
+ * Normalizes a CSV column name so that "Watched Date", "watched_date" and "WatchedDate" are the same column.
+ * @param {string} name - The column name.
+ * @returns {string} The lowercase name without spaces or punctuation.
+ */
+function normalizeColumnName(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Reads the first non-empty value among several possible columns of a CSV row.
+ * @param {object} row - A row from `parseCsv`.
+ * @param {Array<string>} columns - Normalized column names, in order of preference.
+ * @returns {string} The value, or '' if none of the columns has one.
+ */
+function pickColumn(row, columns) {
+  for (const column of columns) {
+    if (row[column]) return row[column];
+  }
+  return '';
+}
+
+/**
+ * Parses a whole number, such as a season number or an ID.
+ * @param {*} value - The value to parse.
+ * @returns {number|null} The number, or `null` if the value isn't a non-negative integer.
+ */
+function parseWholeNumber(value) {
+  const number = Number(value);
+  return value !== '' && value !== null && value !== undefined && Number.isInteger(number) && number >= 0 ? number : null;
+}
+
+/**
+ * Parses a date.
+ * @param {*} value - An ISO date or anything `Date` understands.
+ * @returns {Date|null} The date, or `null` if the value isn't a valid date.
+ */
+function parseDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Brings a rating from another scale onto the shared rating scale.
+ * @param {*} value - The rating.
+ * @param {number} scaleMax - The best rating of the other scale (e.g., 10 for Trakt).
+ * @returns {number|null} The rating on the shared scale, or `null` if there is none.
+ */
+function toRatingScale(value, scaleMax) {
+  const number = Number(value);
+  if (value === '' || value === null || value === undefined || isNaN(number) || number <= 0) return null;
+  return normalizeRating(number * RATING_MAX / scaleMax);
+}
+
+/**
+ * Finds the rating column of a CSV file and the scale its ratings are on, which is the same for every row:
+ * out of 10 when the column name says so (e.g., "Rating (out of 10)") or any rating is above 5, out of 5 otherwise.
+ * @param {Array<object>} rows - The rows from `parseCsv`.
+ * @returns {{ column: string, scaleMax: number }} The normalized column name and the highest rating of the scale.
+ */
+function detectRatingScale(rows) {
+  const columns = Object.keys(rows[0] || {});
+  const column = columns.includes('rating') ? 'rating' : (columns.find(name => /^rating.*10$/.test(name)) || 'rating');
+  const scaleMax = column.endsWith('10') || rows.some(row => Number(row[column]) > 5) ? 10 : 5;
+  return { column, scaleMax };
+}
+
+/**
+ * Creates the collector of the shows and items found while parsing a file.
+ * @returns {object} The collector: `addShow`, `addItem`, `skipRow` and `result`.
+ */
+function createCollector() {
+  // The shows found, by key: `{ key, title, year, ids: { tmdb, tvdb, imdb } }`
+  const shows = new Map();
+  // The items found (see `ImportBatch.items`)
+  const items = [];
+  // Number of rows that couldn't be read
+  let skippedRows = 0;
+
+  return {
+    /**
+     * Records a show and returns its key. A show is identified by its TMDB, TheTVDB or IMDb ID when the file has one,
+     * by its title and year otherwise.
+     * @param {object} show - `title`, optional `year` and `ids` (`tmdb`, `tvdb`, `imdb`).
+     * @returns {string|null} The show's key, or `null` if the show has neither an ID nor a title.
+     */
+    addShow({ title, year = null, ids = {} }) {
+      const cleanIds = {
+        tmdb: parseWholeNumber(ids.tmdb) ? String(ids.tmdb) : null,
+        tvdb: parseWholeNumber(ids.tvdb) ? String(ids.tvdb) : null,
+        imdb: /^tt\d+$/.test(ids.imdb || '') ? ids.imdb : null
+      };
+      const cleanTitle = String(title || '').trim();
+      const cleanYear = parseWholeNumber(year);
+      let key = null;
+      if (cleanIds.tmdb) key = `tmdb:${cleanIds.tmdb}`;
+      else if (cleanIds.tvdb) key = `tvdb:${cleanIds.tvdb}`;
+      else if (cleanIds.imdb) key = `imdb:${cleanIds.imdb}`;
+      else if (cleanTitle) key = `title:${cleanTitle.toLowerCase()}|${cleanYear ?? ''}`;
+      if (!key) return null;
+      if (!shows.has(key)) shows.set(key, { key, title: cleanTitle, year: cleanYear, ids: cleanIds });
+      return key;
+    },
+
+    /**
+     * Records an item of a show.
+     * @param {string} showKey - The show's key (see `addShow`).
+     * @param {object} item - `kind` and any of `seasonNumber`, `episodeNumber`, `date`, `rating` and `content`.
+     */
+    addItem(showKey, { kind, seasonNumber = null, episodeNumber = null, date = null, rating = null, content = '' }) {
+      items.push({ showKey, kind, seasonNumber, episodeNumber, date, rating, content: String(content || '').trim() });
+    },
+
+    /**
+     * Counts a row that couldn't be read.
+     */
+    skipRow() {
+      skippedRows++;
+    },
+
+    /**
+     * The result of the parse. Shows whose rows were all skipped are left out.
+     * @returns {{ shows: Array<object>, items: Array<object>, skippedRows: number }} The shows, items and skipped row count.
+     */
+    result() {
+      const usedKeys = new Set(items.map(item => item.showKey));
+      return { shows: [...shows.values()].filter(show => usedKeys.has(show.key)), items, skippedRows };
+    }
+  };
+}
+
+/**
+ * Reads the show of a Trakt entry.
+ * @param {object} show - Trakt's `show` object (`title`, `year`, `ids`).
+ * @returns {object} The show for the collector's `addShow`.
+ */
+function traktShow(show) {
+  return { title: show.title, year: show.year, ids: show.ids || {} };
+}
+
+/**
+ * Reads one entry of a Trakt export file, whichever file it comes from.
+ * @param {object} entry - The entry.
+ * @param {object} collector - Where to record what the entry adds.
+ * @returns {boolean} False if the entry isn't about a show (e.g., a movie) or can't be read.
+ */
+function addTraktEntry(entry, collector) {
+  if (!entry || typeof entry !== 'object' || !entry.show) return false;
+  const showKey = collector.addShow(traktShow(entry.show));
+  if (!showKey) return false;
+
+  // Ratings: `ratings-shows.json`, `ratings-seasons.json`, `ratings-episodes.json`
+  if (entry.rating !== undefined && entry.rated_at !== undefined) {
+    const rating = toRatingScale(entry.rating, 10);
+    if (rating === null) return false;
+    const seasonNumber = entry.type === 'episode' ? parseWholeNumber(entry.episode?.season) : entry.type === 'season' ? parseWholeNumber(entry.season?.number) : null;
+    const episodeNumber = entry.type === 'episode' ? parseWholeNumber(entry.episode?.number) : null;
+    collector.addItem(showKey, { kind: 'rating', seasonNumber, episodeNumber, date: parseDate(entry.rated_at), rating });
+    return true;
+  }
+  // Watchlist: `watchlist-shows.json` (seasons and episodes on the watchlist add their show)
+  if (entry.listed_at !== undefined) {
+    collector.addItem(showKey, { kind: 'watchlist', date: parseDate(entry.listed_at) });
+    return true;
+  }
+  // History: `history.json`, one entry per episode watched
+  if (entry.type === 'episode' && entry.episode) {
+    const seasonNumber = parseWholeNumber(entry.episode.season);
+    const episodeNumber = parseWholeNumber(entry.episode.number);
+    if (seasonNumber === null || episodeNumber === null) return false;
+    collector.addItem(showKey, { kind: 'episode', seasonNumber, episodeNumber, date: parseDate(entry.watched_at) });
+    return true;
+  }
+  // Watched shows: `watched-shows.json`, every episode watched by season
+  if (Array.isArray(entry.seasons)) {
+    for (const season of entry.seasons) {
+      for (const episode of season.episodes || []) {
+        const seasonNumber = parseWholeNumber(season.number);
+        const episodeNumber = parseWholeNumber(episode.number);
+        if (seasonNumber === null || episodeNumber === null) continue;
+        collector.addItem(showKey, { kind: 'episode', seasonNumber, episodeNumber, date: parseDate(episode.last_watched_at || entry.last_watched_at) });
+      }
+    }
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Parses a Trakt JSON export file.
+ * @param {string} text - The file's text.
+ * @returns {{ shows: Array<object>, items: Array<object>, skippedRows: number }} See `createCollector`.
+ * @throws {Error} If the text isn't JSON, or holds no arrays of entries.
+ */
+export function parseTraktExport(text) {
+  const data = JSON.parse(text.replace(/^\uFEFF/, ''));
+  // One export file is an array; a bundle of several files is an object of arrays
+  const lists = Array.isArray(data) ? [data] : Object.values(data || {}).filter(Array.isArray);
+  if (lists.length === 0) throw new Error('No Trakt entries found in this file');
+  const collector = createCollector();
+  for (const entry of lists.flat()) {
+    if (!addTraktEntry(entry, collector)) collector.skipRow();
+  }
+  return collector.result();
+}
+
+/**
+ * Parses a TV Time CSV export file: `seen_episode.csv` rows are watched episodes, rows of files without
+ * episode columns (`followed_tv_show.csv`) are watchlist entries.
+ * @param {string} text - The file's text.
+ * @returns {{ shows: Array<object>, items: Array<object>, skippedRows: number }} See `createCollector`.
+ */
+export function parseTvTimeCsv(text) {
+  const collector = createCollector();
+  for (const row of parseCsv(text)) {
+    const showKey = collector.addShow({
+      title: pickColumn(row, ['tvshowname', 'showname', 'seriesname', 'name']),
+      ids: { tvdb: pickColumn(row, ['tvshowid', 'tvdbid']) }
+    });
+    if (!showKey) { collector.skipRow(); continue; }
+    const date = parseDate(pickColumn(row, ['createdat', 'updatedat', 'watchedat']));
+    const hasEpisodeColumns = 'episodenumber' in row || 'episodeseasonnumber' in row;
+    if (!hasEpisodeColumns) {
+      collector.addItem(showKey, { kind: 'watchlist', date });
+      continue;
+    }
+    const seasonNumber = parseWholeNumber(pickColumn(row, ['episodeseasonnumber', 'seasonnumber']));
+    const episodeNumber = parseWholeNumber(pickColumn(row, ['episodenumber']));
+    if (seasonNumber === null || episodeNumber === null) { collector.skipRow(); continue; }
+    collector.addItem(showKey, { kind: 'episode', seasonNumber, episodeNumber, date });
+  }
+  return collector.result();
+}
+
+/**
+ * Parses a Letterboxd-style CSV file: one row per show or episode, with a `Name` (or `Title`) column and optional
+ * `Year`, `tmdbID`, `imdbID`, `Season`, `Episode`, `Rating` (out of 5, or out of 10, see `detectRatingScale`), `Review` and
+ * `Watched Date` (or `Date`) columns. Each row adds, in order of precedence:
+ * - a watchlist entry if the file name contains "watchlist";
+ * - a watched episode (and its rating, if any) when it has a season and an episode;
+ * - a rating (with the review text, if any) when it has a rating;
+ * - a show watched in full when it has a watched date, or the file name contains "watched" or "diary";
+ * - a watchlist entry otherwise.
+ * @param {string} text - The file's text.
+ * @param {string} [fileName=''] - The file's name.
+ * @returns {{ shows: Array<object>, items: Array<object>, skippedRows: number }} See `createCollector`.
+ */
+export function parseGenericCsv(text, fileName = '') {
+  const name = fileName.toLowerCase();
+  const collector = createCollector();
+  const rows = parseCsv(text);
+  // Every rating of the file is converted from the same scale
+  const ratingScale = detectRatingScale(rows);
+  for (const row of rows) {
+    const showKey = collector.addShow({
+      title: pickColumn(row, ['name', 'title', 'showname', 'series']),
+      year: pickColumn(row, ['year']),
+      ids: { tmdb: pickColumn(row, ['tmdbid', 'tmdb']), imdb: pickColumn(row, ['imdbid', 'imdb']) }
+    });
+    if (!showKey) { collector.skipRow(); continue; }
+
+    const watchedDate = parseDate(pickColumn(row, ['watcheddate', 'watchedat']));
+    const date = watchedDate || parseDate(pickColumn(row, ['date']));
+    const rating = toRatingScale(pickColumn(row, [ratingScale.column]), ratingScale.scaleMax);
+    const content = pickColumn(row, ['review']);
+    const seasonNumber = parseWholeNumber(pickColumn(row, ['season', 'seasonnumber']));
+    const episodeNumber = parseWholeNumber(pickColumn(row, ['episode', 'episodenumber']));
+
+    if (name.includes('watchlist')) {
+      collector.addItem(showKey, { kind: 'watchlist', date });
+    } else if (seasonNumber !== null && episodeNumber !== null) {
+      collector.addItem(showKey, { kind: 'episode', seasonNumber, episodeNumber, date });
+      if (rating !== null) collector.addItem(showKey, { kind: 'rating', seasonNumber, episodeNumber, date, rating, content });
+    } else if (rating !== null) {
+      collector.addItem(showKey, { kind: 'rating', seasonNumber, date, rating, content });
+    } else if (watchedDate || name.includes('watched') || name.includes('diary')) {
+      collector.addItem(showKey, { kind: 'completed', date });
+    } else {
+      collector.addItem(showKey, { kind: 'watchlist', date });
+    }
+  }
+  return collector.result();
+}
+
+/**
+ * Parses an export file of any supported source.
+ * @param {string} source - One of `IMPORT_SOURCES`.
+ * @param {string} text - The file's text.
+ * @param {string} [fileName=''] - The file's name.
+ * @returns {{ shows: Array<object>, items: Array<object>, skippedRows: number }} See `createCollector`.
+ * @throws {Error} If the file can't be parsed.
+ */
+export function parseExport(source, text, fileName = '') {
+  if (source === 'trakt') return parseTraktExport(text);
+  if (source === 'tvtime') return parseTvTimeCsv(text);
+  return parseGenericCsv(text, fileName);
+}
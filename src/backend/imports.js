@@ -0,0 +1,669 @@
+/**
+ * @file Express router for importing a user's history from other trackers (Trakt, TV Time, Letterboxd-style CSV).
+ * @module importRoutes
+ * An import has two steps:
+ * 1. Preview (dry run): the file is parsed (see `importParsers.js`) and each show is matched to TMDB, by ID when the
+ *    export has one, by fuzzy title search otherwise. Nothing is added to the user's data; the parsed file and the
+ *    matches are kept in an `ImportBatch` so that the user can review uncertain matches.
+ * 2. Commit: the items of the matched shows are added to the watchlist, the watched episodes and the reviews.
+ *    Anything the user already has is left as it is, so importing the same file again adds nothing twice.
+ * Imported reviews go through content screening (except the hourly rate limit, which imports would always trip)
+ * but aren't logged as activities, to keep friends' feeds from being flooded with old history.
+ */
+
+// Import the 'express' library to create router instances
+import express from 'express';
+// Import the crypto module to fingerprint imported files
+import crypto from 'crypto';
+// Import ObjectId from 'mongodb' for converting string IDs to MongoDB ObjectId objects
+import { ObjectId } from 'mongodb';
+// Import the models touched by imports
+import { ImportBatch, User, Review, WatchProgress } from './utils.js';
+// Import the session helpers shared by the routers
+import { requireUser } from './sessionAuth.js';
+// Import the export parsers
+import { parseExport } from './importParsers.js';
+// Import the cached TMDB fetcher for searching shows and reading seasons
+import { fetchTMDBCached } from './tmdbProxy.js';
+// Import the show snapshot taken on every review
+import { takeShowSnapshot } from './showSnapshots.js';
+// Import content screening, run on every imported review
+import { screenReview } from './contentScreening.js';
+// Import the shared import rules
+import { IMPORT_SOURCES, IMPORT_MAX_FILE_BYTES, IMPORT_MAX_SHOWS } from '../shared/imports.js';
+// Import the shared watchlist entry rules
+import { DEFAULT_WATCHLIST_PRIORITY } from '../shared/watchlist.js';
+
+/**
+ * Express router to mount import functions on.
+ * @type {express.Router}
+ */
+const router = express.Router();
+
+/**
+ * Title similarity (from 0 to 1) from which a match is made without asking the user,
+ * if no other candidate comes close.
+ * @const {number}
+ */
+const AUTO_MATCH_SCORE = 0.9;
+/**
+ * Title similarity from which the best candidate is suggested (and preselected) for the user to confirm.
+ * @const {number}
+ */
+const SUGGEST_MATCH_SCORE = 0.6;
+/**
+ * Number of candidates offered for each show.
+ * @const {number}
+ */
+const CANDIDATE_COUNT = 5;
+/**
+ * Maximum number of shows matched (or saved) at the same time, to limit concurrent TMDB requests.
+ * @const {number}
+ */
+const TMDB_CONCURRENCY = 5;
+/**
+ * Number of shows a user's `watchedHistory` summary keeps (as in `/api/users/mark-watched`).
+ * @const {number}
+ */
+const WATCHED_HISTORY_LIMIT = 50;
+/**
+ * Maximum length of a review's text (as in the Review schema).
+ * @const {number}
+ */
+const REVIEW_MAX_LENGTH = 2000;
+/**
+ * Name of each source in the text of imported ratings that have no review text.
+ * @const {Object<string, string>}
+ */
+const SOURCE_NAMES = { trakt: 'Trakt', tvtime: 'TV Time', csv: 'a CSV export' };
+
+/**
+ * Runs an async function on every element of an array, `TMDB_CONCURRENCY` at a time.
+ * @async
+ * @param {Array<*>} values - The elements.
+ * @param {function(*): Promise<*>} fn - The function.
+ * @returns {Promise<Array<*>>} The results, in the same order.
+ */
+async function mapInChunks(values, fn) {
+  const results = [];
+  for (let i = 0; i < values.length; i += TMDB_CONCURRENCY) {
+    results.push(...await Promise.all(values.slice(i, i + TMDB_CONCURRENCY).map(fn)));
+  }
+  return results;
+}
+
+/**
+ * Normalizes a title for comparison: lowercase, without accents, punctuation, a year in parentheses or a leading "the".
+ * @param {string} title - The title.
+ * @returns {string} The normalized title.
+ */
+function normalizeTitle(title) {
+  return String(title || '')
+    .normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\(\d{4}\)/g, ' ')
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .replace(/^the /, '');
+}
+
+/**
+ * Measures how similar two titles are, with the Dice coefficient of their character pairs.
+ * @param {string} a - A title.
+ * @param {string} b - Another title.
+ * @returns {number} From 0 (nothing in common) to 1 (same normalized title).
+ */
+function titleSimilarity(a, b) {
+  const first = normalizeTitle(a);
+  const second = normalizeTitle(b);
+  if (!first || !second) return 0;
+  if (first === second) return 1;
+  const pairs = text => {
+    const counts = new Map();
+    for (let i = 0; i < text.length - 1; i++) counts.set(text.slice(i, i + 2), (counts.get(text.slice(i, i + 2)) || 0) + 1);
+    return counts;
+  };
+  const firstPairs = pairs(first);
+  const secondPairs = pairs(second);
+  let shared = 0;
+  for (const [pair, count] of firstPairs) shared += Math.min(count, secondPairs.get(pair) || 0);
+  const total = Math.max(first.length - 1, 0) + Math.max(second.length - 1, 0);
+  return total > 0 ? (2 * shared) / total : 0;
+}
+
+/**
+ * Turns a TMDB show into a match candidate.
+ * @param {object} show - A TMDB show (details or search result).
+ * @param {number} score - How well it matches the imported title, from 0 to 1.
+ * @returns {object} `{ tmdbId, name, year, posterPath, score }`.
+ */
+function toCandidate(show, score) {
+  return {
+    tmdbId: String(show.id),
+    name: show.name || show.original_name || '',
+    year: parseInt(show.first_air_date, 10) || null,
+    posterPath: show.poster_path || null,
+    score: Math.round(score * 100) / 100
+  };
+}
+
+/**
+ * Scores a TMDB search result against an imported show: title similarity, raised when the first air year
+ * matches and lowered when it doesn't.
+ * @param {object} show - The imported show (`title`, `year`).
+ * @param {object} result - The TMDB search result.
+ * @returns {number} The score, from 0 to 1.
+ */
+function scoreResult(show, result) {
+  let score = Math.max(titleSimilarity(show.title, result.name), titleSimilarity(show.title, result.original_name));
+  const year = parseInt(result.first_air_date, 10);
+  if (show.year && year) {
+    const gap = Math.abs(show.year - year);
+    score += gap === 0 ? 0.1 : gap === 1 ? 0.05 : -0.15;
+  }
+  return Math.min(Math.max(score, 0), 1);
+}
+
+/**
+ * Finds the TMDB show of an imported show: by TMDB ID, then by TheTVDB or IMDb ID, then by title search.
+ * TMDB errors leave the show unmatched (the user can still pick a show).
+ * @async
+ * @param {object} show - An imported show (`key`, `title`, `year`, `ids`).
+ * @returns {Promise<object>} `{ key, title, year, match, needsReview, candidates }` (see `ImportBatch.shows`).
+ */
+async function matchShow(show) {
+  const base = { key: show.key, title: show.title, year: show.year };
+  try {
+    if (show.ids.tmdb) {
+      try {
+        const details = await fetchTMDBCached(`tv/${show.ids.tmdb}`);
+        const match = toCandidate(details, 1);
+        return { ...base, title: show.title || match.name, match, needsReview: false, candidates: [match] };
+      } catch (error) {
+        // An unknown TMDB ID falls back to the other IDs and the title
+        if (error.response?.status !== 404) throw error;
+      }
+    }
+    for (const [source, id] of [['tvdb_id', show.ids.tvdb], ['imdb_id', show.ids.imdb]]) {
+      if (!id) continue;
+      const found = await fetchTMDBCached(`find/${id}`, { external_source: source });
+      if (found.tv_results?.length > 0) {
+        const match = toCandidate(found.tv_results[0], 1);
+        return { ...base, title: show.title || match.name, match, needsReview: false, candidates: [match] };
+      }
+    }
+    if (!show.title) return { ...base, match: null, needsReview: true, candidates: [] };
+
+    const search = await fetchTMDBCached('search/tv', { query: show.title });
+    const candidates = (search.results || [])
+      .map(result => toCandidate(result, scoreResult(show, result)))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, CANDIDATE_COUNT);
+    const [best, second] = candidates;
+    if (best && best.score >= AUTO_MATCH_SCORE && (!second || best.score - second.score >= 0.05)) {
+      return { ...base, match: best, needsReview: false, candidates };
+    }
+    return { ...base, match: best && best.score >= SUGGEST_MATCH_SCORE ? best : null, needsReview: true, candidates };
+  } catch (error) {
+    console.warn(`[IMPORT] Could not match "${show.title || show.key}":`, error.message);
+    return { ...base, match: null, needsReview: true, candidates: [] };
+  }
+}
+
+/**
+ * Counts the items of each kind: watchlist entries, completed shows, watched episodes, ratings and reviews
+ * (ratings with a text).
+ * @param {Array<object>} items - Import items.
+ * @returns {{ watchlist: number, completed: number, episodes: number, ratings: number, reviews: number }} The counts.
+ */
+function countItems(items) {
+  const counts = { watchlist: 0, completed: 0, episodes: 0, ratings: 0, reviews: 0 };
+  for (const item of items) {
+    if (item.kind === 'watchlist') counts.watchlist++;
+    else if (item.kind === 'completed') counts.completed++;
+    else if (item.kind === 'episode') counts.episodes++;
+    else if (item.content) counts.reviews++;
+    else counts.ratings++;
+  }
+  return counts;
+}
+
+/**
+ * Formats an import for responses: without its items, with the counts of each show's items and of the whole file,
+ * and the date of the last completed import of the same file, if any.
+ * @async
+ * @param {object} batch - The ImportBatch (document or lean).
+ * @returns {Promise<object>} `{ _id, source, fileName, status, shows, counts, skippedRows, result, createdAt,
+ *   completedAt, previousImportAt }`; each show has `counts`.
+ */
+async function formatBatch(batch) {
+  const itemsByShow = new Map();
+  for (const item of batch.items) {
+    if (!itemsByShow.has(item.showKey)) itemsByShow.set(item.showKey, []);
+    itemsByShow.get(item.showKey).push(item);
+  }
+  const previous = await ImportBatch.findOne(
+    { userId: batch.userId, fileHash: batch.fileHash, status: 'completed', _id: { $ne: batch._id } },
+    'completedAt'
+  ).sort({ completedAt: -1 }).lean();
+  return {
+    _id: batch._id.toString(),
+    source: batch.source,
+    fileName: batch.fileName,
+    status: batch.status,
+    shows: batch.shows.map(show => ({
+      key: show.key,
+      title: show.title,
+      year: show.year,
+      match: show.match || null,
+      needsReview: show.needsReview,
+      candidates: show.candidates,
+      counts: countItems(itemsByShow.get(show.key) || [])
+    })),
+    counts: countItems(batch.items),
+    skippedRows: batch.skippedRows,
+    result: batch.result || null,
+    createdAt: batch.createdAt,
+    completedAt: batch.completedAt,
+    previousImportAt: previous?.completedAt || null
+  };
+}
+
+/**
+ * Adds a show to the user's watchlist (at the end), unless it's already there.
+ * @async
+ * @param {ObjectId} userId - The user's ID.
+ * @param {string} showId - The TMDB show ID.
+ * @param {Array<object>} items - The show's 'watchlist' and 'completed' items; any 'completed' item makes the entry completed.
+ * @returns {Promise<string|null>} 'watchlist' or 'completed' for the entry added, or `null` if the show was already there.
+ */
+async function importWatchlistEntry(userId, showId, items) {
+  const completed = items.some(item => item.kind === 'completed');
+  const dates = items.map(item => item.date).filter(Boolean).map(date => new Date(date).getTime());
+  const result = await User.updateOne(
+    { _id: userId, 'watchlist.showId': { $ne: showId } },
+    {
+      $push: {
+        watchlist: {
+          showId,
+          addedAt: dates.length > 0 ? new Date(Math.min(...dates)) : new Date(),
+          status: completed ? 'completed' : 'planned',
+          priority: DEFAULT_WATCHLIST_PRIORITY,
+          tag: ''
+        }
+      }
+    }
+  );
+  if (result.modifiedCount === 0) return null;
+  return completed ? 'completed' : 'watchlist';
+}
+
+/**
+ * Records a show's watched episodes, looking up their TMDB episode IDs season by season. Episodes already recorded
+ * keep their date. An episode listed more than once (rewatches) is recorded with its latest date.
+ * @async
+ * @param {ObjectId} userId - The user's ID.
+ * @param {string} showId - The TMDB show ID.
+ * @param {Array<object>} items - The show's 'episode' items.
+ * @returns {Promise<{ added: Array<object>, alreadyPresent: number, notFound: number }>} The episodes added
+ *   (`{ id, number, name, seasonNumber, watchedAt }`), the count of those already recorded and of those TMDB doesn't know.
+ */
+async function importEpisodes(userId, showId, items) {
+  const latest = new Map();
+  for (const item of items) {
+    const key = `${item.seasonNumber}x${item.episodeNumber}`;
+    const date = item.date ? new Date(item.date) : null;
+    const current = latest.get(key);
+    if (!current || (date && (!current.date || date > current.date))) latest.set(key, { ...item, date });
+  }
+
+  const seasonNumbers = [...new Set([...latest.values()].map(item => item.seasonNumber))];
+  const seasons = new Map();
+  for (const seasonNumber of seasonNumbers) {
+    try {
+      const season = await fetchTMDBCached(`tv/${showId}/season/${seasonNumber}`);
+      seasons.set(seasonNumber, new Map((season.episodes || []).map(episode => [episode.episode_number, episode])));
+    } catch (error) {
+      console.warn(`[IMPORT] Could not fetch season ${seasonNumber} of show ${showId}:`, error.message);
+    }
+  }
+
+  const episodes = [];
+  let notFound = 0;
+  for (const item of latest.values()) {
+    const episode = seasons.get(item.seasonNumber)?.get(item.episodeNumber);
+    if (!episode) { notFound++; continue; }
+    episodes.push({ id: String(episode.id), number: item.episodeNumber, name: episode.name || '', seasonNumber: item.seasonNumber, watchedAt: item.date || new Date() });
+  }
+  if (episodes.length === 0) return { added: [], alreadyPresent: 0, notFound };
+
+  const result = await WatchProgress.bulkWrite(episodes.map(episode => ({
+    updateOne: {
+      filter: { userId, showId, episodeId: episode.id },
+      update: {
+        $setOnInsert: {
+          seasonNumber: episode.seasonNumber,
+          episodeNumber: episode.number,
+          episodeName: episode.name,
+          watchedAt: episode.watchedAt
+        }
+      },
+      upsert: true
+    }
+  })));
+  const insertedIndexes = new Set(Object.keys(result.upsertedIds || {}).map(Number));
+  const added = episodes.filter((_, index) => insertedIndexes.has(index));
+  return { added, alreadyPresent: episodes.length - added.length, notFound };
+}
+
+/**
+ * Creates the reviews of a show's ratings, unless the user already reviewed the same show, season or episode.
+ * Ratings without a text get a short note naming the source, as reviews need a text.
+ * @async
+ * @param {object} user - The user (`_id`, `username`).
+ * @param {string} showId - The TMDB show ID.
+ * @param {Array<object>} items - The show's 'rating' items.
+ * @param {string} source - The import source.
+ * @returns {Promise<{ added: number, alreadyPresent: number }>} The number of reviews created, and of those that already existed.
+ */
+async function importReviews(user, showId, items, source) {
+  // One review per show, season or episode: the last rating of the file wins
+  const byLevel = new Map();
+  for (const item of items) byLevel.set(`${item.seasonNumber}x${item.episodeNumber}`, item);
+
+  let added = 0;
+  let alreadyPresent = 0;
+  for (const item of byLevel.values()) {
+    const level = { seasonNumber: item.seasonNumber ?? null, episodeNumber: item.episodeNumber ?? null };
+    if (await Review.exists({ userId: user._id, showId, ...level })) { alreadyPresent++; continue; }
+    const review = new Review({
+      showId, ...level, userId: user._id, username: user.username,
+      rating: item.rating,
+      content: (item.content || `Rating imported from ${SOURCE_NAMES[source]}.`).slice(0, REVIEW_MAX_LENGTH),
+      likes: [], dislikes: [], createdAt: item.date || new Date()
+    });
+    await takeShowSnapshot(review);
+    const { flags, fingerprint } = await screenReview({ userId: user._id, content: review.content });
+    const heldFlags = flags.filter(flag => flag.check !== 'rate_limit');
+    review.status = heldFlags.length > 0 ? 'pending' : 'published';
+    review.screeningFlags = heldFlags;
+    review.contentHash = fingerprint;
+    try {
+      await review.save();
+      added++;
+    } catch (error) {
+      // Another request created the same review meanwhile
+      if (error.code === 11000) { alreadyPresent++; continue; }
+      throw error;
+    }
+  }
+  return { added, alreadyPresent };
+}
+
+/**
+ * Adds the shows with newly watched episodes to the user's `watchedHistory` summary ("recently watched"),
+ * keeping the most recently watched shows (see `/api/users/mark-watched`).
+ * @async
+ * @param {ObjectId} userId - The user's ID.
+ * @param {Array<{ showId: string, showName: string, posterPath: string|null, episodes: Array<object> }>} shows - The shows and their new episodes.
+ */
+async function updateWatchedHistory(userId, shows) {
+  if (shows.length === 0) return;
+  // Read the raw document: `watchedHistory` isn't part of the User schema
+  const user = await User.collection.findOne({ _id: userId }, { projection: { watchedHistory: 1 } });
+  const watchedHistory = user?.watchedHistory || [];
+  for (const show of shows) {
+    const lastWatchedAt = new Date(Math.max(...show.episodes.map(episode => new Date(episode.watchedAt).getTime())));
+    const entry = watchedHistory.find(item => item.showId === show.showId);
+    if (entry) {
+      const knownIds = new Set(entry.episodes.map(episode => String(episode.id)));
+      entry.episodes.push(...show.episodes.filter(episode => !knownIds.has(episode.id)));
+      if (new Date(entry.lastWatchedAt) < lastWatchedAt) entry.lastWatchedAt = lastWatchedAt;
+    } else {
+      watchedHistory.push({ showId: show.showId, showName: show.showName, posterPath: show.posterPath, lastWatchedAt, episodes: show.episodes });
+    }
+  }
+  watchedHistory.sort((a, b) => new Date(b.lastWatchedAt) - new Date(a.lastWatchedAt));
+  await User.collection.updateOne(
+    { _id: userId },
+    { $set: { watchedHistory: watchedHistory.slice(0, WATCHED_HISTORY_LIMIT), updatedAt: new Date() } }
+  );
+}
+
+/**
+ * Saves the items of an import's matched shows.
+ * @async
+ * @param {object} batch - The ImportBatch document.
+ * @param {object} user - The user (`_id`, `username`).
+ * @returns {Promise<object>} What was added (see `ImportBatch.result`).
+ */
+async function commitImport(batch, user) {
+  const result = { watchlist: 0, completed: 0, episodes: 0, reviews: 0, alreadyPresent: 0, unmatched: 0 };
+  const matches = new Map(batch.shows.map(show => [show.key, show.match]));
+  const itemsByShow = new Map();
+  for (const item of batch.items) {
+    if (!matches.get(item.showKey)) { result.unmatched++; continue; }
+    if (!itemsByShow.has(item.showKey)) itemsByShow.set(item.showKey, []);
+    itemsByShow.get(item.showKey).push(item);
+  }
+
+  // Several imported shows may have been matched to the same TMDB show
+  const itemsByShowId = new Map();
+  for (const [key, items] of itemsByShow) {
+    const match = matches.get(key);
+    if (!itemsByShowId.has(match.tmdbId)) itemsByShowId.set(match.tmdbId, { match, items: [] });
+    itemsByShowId.get(match.tmdbId).items.push(...items);
+  }
+
+  const watchedShows = [];
+  await mapInChunks([...itemsByShowId.entries()], async ([showId, { match, items }]) => {
+    const watchlistItems = items.filter(item => item.kind === 'watchlist' || item.kind === 'completed');
+    if (watchlistItems.length > 0) {
+      const added = await importWatchlistEntry(user._id, showId, watchlistItems);
+      if (added) result[added]++;
+      else result.alreadyPresent++;
+    }
+
+    const episodeItems = items.filter(item => item.kind === 'episode');
+    if (episodeItems.length > 0) {
+      const { added, alreadyPresent, notFound } = await importEpisodes(user._id, showId, episodeItems);
+      result.episodes += added.length;
+      result.alreadyPresent += alreadyPresent;
+      result.unmatched += notFound;
+      if (added.length > 0) watchedShows.push({ showId, showName: match.name, posterPath: match.posterPath, episodes: added });
+    }
+
+    const ratingItems = items.filter(item => item.kind === 'rating');
+    if (ratingItems.length > 0) {
+      const { added, alreadyPresent } = await importReviews(user, showId, ratingItems, batch.source);
+      result.reviews += added;
+      result.alreadyPresent += alreadyPresent;
+    }
+  });
+  await updateWatchedHistory(user._id, watchedShows);
+  return result;
+}
+
+/**
+ * @route GET /api/imports
+ * @description Lists the logged-in user's latest imports (previews and completed imports), newest first.
+ * @returns {object} JSON response:
+ *  - `{ success: true, imports: Array<{ _id, source, fileName, status, counts, result, createdAt, completedAt }> }` on success.
+ *  - `{ success: false, message: string }` on failure (401 if not logged in, 500 for server error).
+ * @async
+ */
+router.get('/', requireUser, async (req, res) => {
+  try {
+    const batches = await ImportBatch.find({ userId: req.userId }, 'source fileName status items.kind items.content result createdAt completedAt')
+      .sort({ createdAt: -1 })
+      .limit(20)
+      .lean();
+    const imports = batches.map(batch => ({
+      _id: batch._id.toString(),
+      source: batch.source,
+      fileName: batch.fileName,
+      status: batch.status,
+      counts: countItems(batch.items),
+      result: batch.result || null,
+      createdAt: batch.createdAt,
+      completedAt: batch.completedAt
+    }));
+    res.json({ success: true, imports });
+  } catch (error) {
+    console.error('Error fetching imports:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching imports' });
+  }
+});
+
+/**
+ * Middleware that rejects request bodies which aren't sent as text with 415. Bodies sent as JSON or as a form
+ * are already parsed by the app-wide parsers in `server.js` by the time the route runs, so the file would be lost.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {function} next - Express next middleware function.
+ */
+function requireTextBody(req, res, next) {
+  if (!req.is('text/*')) {
+    return res.status(415).json({ success: false, message: 'Send the file as text (e.g., Content-Type: text/plain)' });
+  }
+  next();
+}
+
+/**
+ * @route POST /api/imports/preview
+ * @description Parses an export file and matches its shows to TMDB, without changing the user's data (dry run).
+ * The file is sent as the raw request body with a `text/*` content type (e.g., `Content-Type: text/plain`),
+ * up to `IMPORT_MAX_FILE_BYTES`.
+ * @param {string} req.query.source - One of `IMPORT_SOURCES`.
+ * @param {string} [req.query.fileName] - The file's name (Letterboxd-style CSV files use it to tell watchlists from diaries).
+ * @returns {object} JSON response:
+ *  - `{ success: true, import: object }` (201) on success (see `formatBatch`). `previousImportAt` is set if the same
+ *    file was already imported.
+ *  - `{ success: false, message: string }` on failure (400 for an invalid source or file, 401 if not logged in,
+ *    415 if the body isn't sent as text, 500 for server error).
+ * @async
+ */
+router.post('/preview', requireUser, requireTextBody, express.text({ type: 'text/*', limit: IMPORT_MAX_FILE_BYTES }), async (req, res) => {
+  try {
+    const { source } = req.query;
+    const fileName = String(req.query.fileName || '').slice(0, 200);
+    if (!IMPORT_SOURCES.includes(source)) {
+      return res.status(400).json({ success: false, message: `Invalid source. Must be one of: ${IMPORT_SOURCES.join(', ')}` });
+    }
+    const text = typeof req.body === 'string' ? req.body : '';
+    if (!text.trim()) return res.status(400).json({ success: false, message: 'The file is empty' });
+
+    let parsed;
+    try {
+      parsed = parseExport(source, text, fileName);
+    } catch (error) {
+      return res.status(400).json({ success: false, message: `Could not read this file: ${error.message}` });
+    }
+    if (parsed.shows.length === 0) {
+      return res.status(400).json({ success: false, message: 'No shows found in this file. Check that the right source is selected.' });
+    }
+    if (parsed.shows.length > IMPORT_MAX_SHOWS) {
+      return res.status(400).json({ success: false, message: `This file has more than ${IMPORT_MAX_SHOWS} shows. Split it into smaller files.` });
+    }
+
+    const shows = await mapInChunks(parsed.shows, matchShow);
+    const batch = await ImportBatch.create({
+      userId: req.userId,
+      source,
+      fileName,
+      fileHash: crypto.createHash('sha256').update(text).digest('hex'),
+      shows,
+      items: parsed.items,
+      skippedRows: parsed.skippedRows
+    });
+    res.status(201).json({ success: true, import: await formatBatch(batch) });
+  } catch (error) {
+    console.error('Error previewing import:', error);
+    res.status(500).json({ success: false, message: 'Server error previewing the import' });
+  }
+});
+
+/**
+ * @route GET /api/imports/:id
+ * @description Fetches one of the logged-in user's imports, e.g. to resume reviewing its matches.
+ * @param {string} req.params.id - The import's ID.
+ * @returns {object} JSON response:
+ *  - `{ success: true, import: object }` on success (see `formatBatch`).
+ *  - `{ success: false, message: string }` on failure (401 if not logged in, 404 if not found, 500 for server error).
+ * @async
+ */
+router.get('/:id', requireUser, async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) return res.status(404).json({ success: false, message: 'Import not found' });
+    const batch = await ImportBatch.findOne({ _id: req.params.id, userId: req.userId }).lean();
+    if (!batch) return res.status(404).json({ success: false, message: 'Import not found' });
+    res.json({ success: true, import: await formatBatch(batch) });
+  } catch (error) {
+    console.error('Error fetching import:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching the import' });
+  }
+});
+
+/**
+ * @route POST /api/imports/:id/commit
+ * @description Saves a previewed import: the items of every matched show are added to the watchlist, the watched
+ * episodes and the reviews; whatever the user already has is skipped.
+ * @param {string} req.params.id - The import's ID.
+ * @param {object} [req.body.matches] - The user's review of the matches: show key to TMDB show ID,
+ *                                      or `null` to leave a show out. Shows not listed keep the previewed match.
+ * @returns {object} JSON response:
+ *  - `{ success: true, import: object }` on success (see `formatBatch`), with `result`
+ *    (`watchlist`, `completed`, `episodes`, `reviews`, `alreadyPresent`, `unmatched`).
+ *  - `{ success: false, message: string }` on failure (400 for invalid matches, 401 if not logged in,
+ *    404 if not found, 409 if already completed, 500 for server error).
+ * @async
+ */
+router.post('/:id/commit', requireUser, async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) return res.status(404).json({ success: false, message: 'Import not found' });
+    const batch = await ImportBatch.findOne({ _id: req.params.id, userId: req.userId });
+    if (!batch) return res.status(404).json({ success: false, message: 'Import not found' });
+    if (batch.status === 'completed') return res.status(409).json({ success: false, message: 'This import was already completed' });
+
+    const matches = req.body?.matches || {};
+    if (typeof matches !== 'object' || Array.isArray(matches)) {
+      return res.status(400).json({ success: false, message: 'matches must be an object of show keys to TMDB show IDs' });
+    }
+    for (const show of batch.shows) {
+      if (!(show.key in matches)) continue;
+      const tmdbId = matches[show.key];
+      if (tmdbId === null) { show.match = null; continue; }
+      if (!/^\d+$/.test(String(tmdbId))) {
+        return res.status(400).json({ success: false, message: `Invalid TMDB show ID for "${show.title}"` });
+      }
+      if (show.match?.tmdbId === String(tmdbId)) continue;
+      // A candidate, or a show the user found with their own search
+      const candidate = show.candidates.find(item => item.tmdbId === String(tmdbId));
+      if (candidate) {
+        show.match = candidate.toObject();
+      } else {
+        try {
+          show.match = toCandidate(await fetchTMDBCached(`tv/${tmdbId}`), 0);
+        } catch (error) {
+          console.warn(`[IMPORT] Could not fetch the show picked for "${show.title}":`, error.message);
+          return res.status(400).json({ success: false, message: `Show ${tmdbId} (picked for "${show.title}") could not be found` });
+        }
+      }
+    }
+
+    const user = await User.findById(req.userId, 'username').lean();
+    if (!user) return res.status(404).json({ success: false, message: 'User not found' });
+    batch.result = await commitImport(batch, user);
+    batch.status = 'completed';
+    batch.completedAt = new Date();
+    await batch.save();
+    console.log(`[IMPORT] ${user.username} imported ${batch.fileName || batch.source}:`, batch.result.toObject?.() || batch.result);
+    res.json({ success: true, import: await formatBatch(batch) });
+  } catch (error) {
+    console.error('Error committing import:', error);
+    res.status(500).json({ success: false, message: 'Server error saving the import' });
+  }
+});
+
+export default router;
@@ -0,0 +1,500 @@
+/**
+ * @file Express router for user-created show lists.
+ * @module listRoutes
+ * Besides their watchlist, users can create named lists of shows (e.g., "Comfort rewatches", "Anime to try"),
+ * each with a title, a description, a manual order, a note per show and a visibility: public, friends or private.
+ * Lists are shared at `/user/:username/lists/:slug`. The rules shared with the frontend are in `src/shared/showLists.js`.
+ * Changing a list requires being logged in as its owner; reading a list depends on its visibility, and users who
+ * blocked each other can't see each other's lists.
+ */
+
+// Import the 'express' library to create router instances
+import express from 'express';
+// Import ObjectId from 'mongodb' for converting string IDs to MongoDB ObjectId objects
+import { ObjectId } from 'mongodb';
+// Import the ShowList and User models
+import { ShowList, User } from './utils.js';
+// Import the session helpers shared by the routers
+import { getSessionUserId, requireUser } from './sessionAuth.js';
+// Import the show metadata cache for the shows' names and posters
+import { getShowSummaries } from './showCache.js';
+// Import the shared list rules
+import {
+  LIST_VISIBILITIES, DEFAULT_LIST_VISIBILITY, LIST_TITLE_MAX_LENGTH, LIST_DESCRIPTION_MAX_LENGTH,
+  LIST_NOTE_MAX_LENGTH, LIST_MAX_ITEMS, slugifyListTitle
+} from '../shared/showLists.js';
+
+/**
+ * Express router to mount list functions on.
+ * @type {express.Router}
+ */
+const router = express.Router();
+
+/**
+ * Number of posters shown on each list in a user's list overview.
+ * @const {number}
+ */
+const PREVIEW_POSTER_COUNT = 4;
+
+/**
+ * Tells whether a viewer can see a list.
+ * @param {object} list - The list (`visibility`).
+ * @param {object} owner - The list owner (`_id`, `friends`, `blockedUsers`).
+ * @param {ObjectId|null} viewerId - The logged-in viewer's ID, or `null` for anonymous visitors.
+ * @param {Array<string>} [viewerBlockedUsers=[]] - The IDs the viewer has blocked.
+ * @returns {boolean} True if the viewer can see the list.
+ */
+function canViewList(list, owner, viewerId, viewerBlockedUsers = []) {
+  if (viewerId && owner._id.equals(viewerId)) return true;
+  if (viewerId && (owner.blockedUsers?.includes(viewerId.toString()) || viewerBlockedUsers.includes(owner._id.toString()))) return false;
+  if (list.visibility === 'public') return true;
+  // Friend IDs are stored as strings
+  if (list.visibility === 'friends') return !!viewerId && (owner.friends || []).some(id => String(id) === viewerId.toString());
+  return false;
+}
+
+/**
+ * Parses the title, description and visibility of a list from a request body.
+ * @param {object} body - `req.body`.
+ * @param {boolean} [partial=false] - Whether omitted fields are allowed (when editing a list).
+ * @returns {{ fields?: object, error?: string }} The fields to save, or an error message.
+ */
+function parseListFields(body, partial = false) {
+  const fields = {};
+  if (body.title !== undefined || !partial) {
+    const title = typeof body.title === 'string' ? body.title.trim() : '';
+    if (!title || title.length > LIST_TITLE_MAX_LENGTH) return { error: `Title must be between 1 and ${LIST_TITLE_MAX_LENGTH} characters` };
+    fields.title = title;
+  }
+  if (body.description !== undefined) {
+    if (typeof body.description !== 'string' || body.description.trim().length > LIST_DESCRIPTION_MAX_LENGTH) {
+      return { error: `Description must be at most ${LIST_DESCRIPTION_MAX_LENGTH} characters` };
+    }
+    fields.description = body.description.trim();
+  }
+  if (body.visibility !== undefined) {
+    if (!LIST_VISIBILITIES.includes(body.visibility)) return { error: `Invalid visibility. Must be one of: ${LIST_VISIBILITIES.join(', ')}` };
+    fields.visibility = body.visibility;
+  }
+  return { fields };
+}
+
+/**
+ * Validates a list item note.
+ * @param {*} note - The raw note.
+ * @returns {string|null} The trimmed note, or `null` if it is invalid.
+ */
+function parseNote(note) {
+  if (note === undefined || note === null) return '';
+  if (typeof note !== 'string' || note.trim().length > LIST_NOTE_MAX_LENGTH) return null;
+  return note.trim();
+}
+
+/**
+ * Picks a slug for a list title that none of the owner's other lists uses ("anime-to-try", then "anime-to-try-2"...).
+ * @async
+ * @param {ObjectId} userId - The owner's ID.
+ * @param {string} title - The list title.
+ * @param {ObjectId|null} [excludeListId=null] - The list being renamed, whose current slug is free to reuse.
+ * @returns {Promise<string>} The slug.
+ */
+async function pickSlug(userId, title, excludeListId = null) {
+  const base = slugifyListTitle(title);
+  const taken = await ShowList.find(
+    { userId, slug: new RegExp(`^${base}(-\\d+)?$`), ...(excludeListId ? { _id: { $ne: excludeListId } } : {}) },
+    'slug'
+  ).lean();
+  const usedSlugs = new Set(taken.map(list => list.slug));
+  if (!usedSlugs.has(base)) return base;
+  let suffix = 2;
+  while (usedSlugs.has(`${base}-${suffix}`)) suffix++;
+  return `${base}-${suffix}`;
+}
+
+/**
+ * Formats a list for overviews.
+ * @param {object} list - The list document (lean).
+ * @returns {object} `_id`, `title`, `slug`, `description`, `visibility`, `itemCount`, `createdAt` and `updatedAt`.
+ */
+function formatListSummary(list) {
+  return {
+    _id: list._id.toString(),
+    title: list.title,
+    slug: list.slug,
+    description: list.description,
+    visibility: list.visibility,
+    itemCount: list.items.length,
+    createdAt: list.createdAt,
+    updatedAt: list.updatedAt
+  };
+}
+
+/**
+ * Loads a list the logged-in user owns, from `req.params.id`. Sends the error response itself when it can't.
+ * @async
+ * @param {object} req - Express request object (`req.userId` set by `requireUser`).
+ * @param {object} res - Express response object.
+ * @returns {Promise<mongoose.Document|null>} The list, or `null` if a response was sent.
+ */
+async function findOwnList(req, res) {
+  if (!ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ success: false, message: 'Invalid list ID' });
+    return null;
+  }
+  const list = await ShowList.findById(req.params.id);
+  if (!list) {
+    res.status(404).json({ success: false, message: 'List not found' });
+    return null;
+  }
+  if (!list.userId.equals(req.userId)) {
+    res.status(403).json({ success: false, message: 'You can only change your own lists' });
+    return null;
+  }
+  return list;
+}
+
+/**
+ * @route GET /mine
+ * @description Lists the logged-in user's lists, the most recently changed first (used by "Add to list…").
+ * @param {string} [req.query.showId] - A show to look for: each list then tells whether it contains it.
+ * @returns {object} JSON response:
+ * - `{ success: true, lists: Array<object> }` on success; each list has the overview fields,
+ *   plus `containsShow` when `showId` is given.
+ * - `{ success: false, message: string }` on failure (401 if not logged in, 500 for server errors).
+ * @async
+ */
+router.get('/mine', requireUser, async (req, res) => {
+  const showId = req.query.showId ? String(req.query.showId) : null;
+  try {
+    const lists = await ShowList.find({ userId: req.userId }).sort({ updatedAt: -1 }).lean();
+    res.json({
+      success: true,
+      lists: lists.map(list => ({
+        ...formatListSummary(list),
+        ...(showId ? { containsShow: list.items.some(item => item.showId === showId) } : {})
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching own lists:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching lists' });
+  }
+});
+
+/**
+ * @route POST /
+ * @description Creates a list for the logged-in user. Its slug is derived from the title.
+ * @param {object} req.body - `title` (required, max 80 characters), optional `description` (max 500 characters),
+ *                            optional `visibility` ('public', 'friends' or 'private'; defaults to 'private'),
+ *                            optional `showId` to add as the first item.
+ * @returns {object} JSON response:
+ * - `{ success: true, list: object }` (201) with the overview fields on success.
+ * - `{ success: false, message: string }` on failure (400 for invalid input, 401 if not logged in,
+ *   409 if another list was created with the same title at the same time, 500 for server errors).
+ * @async
+ */
+router.post('/', requireUser, async (req, res) => {
+  const { fields, error } = parseListFields(req.body);
+  if (error) return res.status(400).json({ success: false, message: error });
+  const showId = req.body.showId != null ? String(req.body.showId) : null;
+  if (showId !== null && !/^\d+$/.test(showId)) return res.status(400).json({ success: false, message: 'Invalid show ID' });
+  try {
+    const list = await ShowList.create({
+      userId: req.userId,
+      visibility: DEFAULT_LIST_VISIBILITY,
+      ...fields,
+      slug: await pickSlug(req.userId, fields.title),
+      items: showId ? [{ showId }] : []
+    });
+    console.log(`[LISTS] User ${req.userId} created list ${list._id} (${list.slug})`);
+    res.status(201).json({ success: true, list: formatListSummary(list.toObject()) });
+  } catch (error) {
+    if (error.code === 11000) return res.status(409).json({ success: false, message: 'A list with this title was just created. Please try again.' });
+    if (error.name === 'ValidationError') return res.status(400).json({ success: false, message: error.message });
+    console.error('Error creating list:', error);
+    res.status(500).json({ success: false, message: 'Server error creating list' });
+  }
+});
+
+/**
+ * @route GET /users/:username
+ * @description Lists a user's lists that the viewer can see, the most recently changed first,
+ * each with the posters of its first shows.
+ * @param {string} req.params.username - The owner's username.
+ * @returns {object} JSON response:
+ * - `{ success: true, owner: { _id, username }, isOwner: boolean, lists: Array<object> }` on success;
+ *   each list has the overview fields and `posters` (poster paths of its first shows).
+ * - `{ success: false, message: string }` on failure (404 if the user doesn't exist or blocked the viewer, 500 for server errors).
+ * @async
+ */
+router.get('/users/:username', async (req, res) => {
+  const viewerId = getSessionUserId(req);
+  try {
+    const owner = await User.findOne({ username: req.params.username }, 'username friends blockedUsers').lean();
+    const viewer = viewerId ? await User.findById(viewerId, 'blockedUsers').lean() : null;
+    // Users who blocked each other see no lists at all, not even public ones
+    if (!owner || (viewerId && !canViewList({ visibility: 'public' }, owner, viewerId, viewer?.blockedUsers))) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    const lists = await ShowList.find({ userId: owner._id }).sort({ updatedAt: -1 }).lean();
+    const visibleLists = lists.filter(list => canViewList(list, owner, viewerId, viewer?.blockedUsers));
+    // Look up the preview shows of every list at once
+    const shows = await getShowSummaries(visibleLists.flatMap(list => list.items.slice(0, PREVIEW_POSTER_COUNT).map(item => item.showId)));
+    const listsWithPosters = visibleLists.map(list => ({
+      ...formatListSummary(list),
+      posters: list.items.slice(0, PREVIEW_POSTER_COUNT).map(item => shows.get(item.showId)?.poster_path).filter(Boolean)
+    }));
+    res.json({
+      success: true,
+      owner: { _id: owner._id.toString(), username: owner.username },
+      isOwner: !!viewerId && owner._id.equals(viewerId),
+      lists: listsWithPosters
+    });
+  } catch (error) {
+    console.error('Error fetching user lists:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching lists' });
+  }
+});
+
+/**
+ * @route GET /users/:username/:slug
+ * @description Gets a list with its shows, in order, for the shareable list page.
+ * Lists the viewer can't see are reported as not found, so private lists don't reveal that they exist.
+ * @param {string} req.params.username - The owner's username.
+ * @param {string} req.params.slug - The list slug.
+ * @returns {object} JSON response:
+ * - `{ success: true, isOwner: boolean, list: object }` on success; the list has the overview fields,
+ *   `owner` (`_id`, `username`, `profilePic`) and `items` (`showId`, `note`, `addedAt`, `show`: name, poster and
+ *   TMDB details from the show metadata cache, or `null` if TMDB couldn't be reached).
+ * - `{ success: false, message: string }` on failure (404 if the list doesn't exist or the viewer can't see it, 500 for server errors).
+ * @async
+ */
+router.get('/users/:username/:slug', async (req, res) => {
+  const viewerId = getSessionUserId(req);
+  try {
+    const owner = await User.findOne({ username: req.params.username }, 'username profilePic friends blockedUsers').lean();
+    const list = owner ? await ShowList.findOne({ userId: owner._id, slug: req.params.slug }).lean() : null;
+    const viewer = viewerId ? await User.findById(viewerId, 'blockedUsers').lean() : null;
+    if (!list || !canViewList(list, owner, viewerId, viewer?.blockedUsers)) {
+      return res.status(404).json({ success: false, message: 'List not found' });
+    }
+    const shows = await getShowSummaries(list.items.map(item => item.showId));
+    res.json({
+      success: true,
+      isOwner: !!viewerId && owner._id.equals(viewerId),
+      list: {
+        ...formatListSummary(list),
+        owner: { _id: owner._id.toString(), username: owner.username, profilePic: owner.profilePic || '' },
+        items: list.items.map(item => ({ showId: item.showId, note: item.note, addedAt: item.addedAt, show: shows.get(item.showId) }))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching list:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching list' });
+  }
+});
+
+/**
+ * @route PATCH /:id
+ * @description Edits the title, description or visibility of one of the user's lists.
+ * A new title gives the list a new slug, so links shared with the old one stop working.
+ * @param {string} req.params.id - The list ID.
+ * @param {object} req.body - Any of `title`, `description` and `visibility`.
+ * @returns {object} JSON response:
+ * - `{ success: true, list: object }` with the overview fields on success.
+ * - `{ success: false, message: string }` on failure (400 for invalid input, 401 if not logged in, 403 if not the owner,
+ *   404 if the list doesn't exist, 409 on a slug conflict, 500 for server errors).
+ * @async
+ */
+router.patch('/:id', requireUser, async (req, res) => {
+  const { fields, error } = parseListFields(req.body, true);
+  if (error) return res.status(400).json({ success: false, message: error });
+  if (Object.keys(fields).length === 0) {
+    return res.status(400).json({ success: false, message: 'Nothing to update: provide title, description or visibility' });
+  }
+  try {
+    const list = await findOwnList(req, res);
+    if (!list) return;
+    if (fields.title !== undefined && fields.title !== list.title) {
+      list.slug = await pickSlug(req.userId, fields.title, list._id);
+    }
+    list.set({ ...fields, updatedAt: new Date() });
+    await list.save();
+    res.json({ success: true, list: formatListSummary(list.toObject()) });
+  } catch (error) {
+    if (error.code === 11000) return res.status(409).json({ success: false, message: 'A list with this title was just created. Please try again.' });
+    if (error.name === 'ValidationError') return res.status(400).json({ success: false, message: error.message });
+    console.error('Error updating list:', error);
+    res.status(500).json({ success: false, message: 'Server error updating list' });
+  }
+});
+
+/**
+ * @route DELETE /:id
+ * @description Deletes one of the user's lists.
+ * @param {string} req.params.id - The list ID.
+ * @returns {object} JSON response:
+ * - `{ success: true, listId: string }` on success.
+ * - `{ success: false, message: string }` on failure (400 for an invalid ID, 401 if not logged in, 403 if not the owner,
+ *   404 if the list doesn't exist, 500 for server errors).
+ * @async
+ */
+router.delete('/:id', requireUser, async (req, res) => {
+  try {
+    const list = await findOwnList(req, res);
+    if (!list) return;
+    await ShowList.deleteOne({ _id: list._id });
+    console.log(`[LISTS] User ${req.userId} deleted list ${list._id}`);
+    res.json({ success: true, listId: list._id.toString() });
+  } catch (error) {
+    console.error('Error deleting list:', error);
+    res.status(500).json({ success: false, message: 'Server error deleting list' });
+  }
+});
+
+/**
+ * @route POST /:id/items
+ * @description Adds a show at the end of one of the user's lists.
+ * @param {string} req.params.id - The list ID.
+ * @param {object} req.body - `showId` (TMDB ID), optional `note` (max 300 characters).
+ * @returns {object} JSON response:
+ * - `{ success: true, item: object, itemCount: number }` (201) on success.
+ * - `{ success: false, message: string }` on failure (400 for invalid input or a full list, 401 if not logged in,
+ *   403 if not the owner, 404 if the list doesn't exist, 409 if the show is already in the list or another request
+ *   changed the list at the same time, 500 for server errors).
+ * @async
+ */
+router.post('/:id/items', requireUser, async (req, res) => {
+  const showId = req.body.showId != null ? String(req.body.showId) : '';
+  if (!/^\d+$/.test(showId)) return res.status(400).json({ success: false, message: 'Invalid show ID' });
+  const note = parseNote(req.body.note);
+  if (note === null) return res.status(400).json({ success: false, message: `Note must be at most ${LIST_NOTE_MAX_LENGTH} characters` });
+  try {
+    const list = await findOwnList(req, res);
+    if (!list) return;
+    if (list.items.some(item => item.showId === showId)) {
+      return res.status(409).json({ success: false, message: 'This show is already in the list' });
+    }
+    if (list.items.length >= LIST_MAX_ITEMS) {
+      return res.status(400).json({ success: false, message: `A list can hold at most ${LIST_MAX_ITEMS} shows` });
+    }
+    // Push atomically, guarded again against a duplicate or a full list, so concurrent additions can't race
+    const updated = await ShowList.findOneAndUpdate(
+      { _id: list._id, 'items.showId': { $ne: showId }, [`items.${LIST_MAX_ITEMS - 1}`]: { $exists: false } },
+      { $push: { items: { showId, note } }, $set: { updatedAt: new Date() } },
+      { new: true, runValidators: true }
+    ).lean();
+    if (!updated) {
+      // Another request changed the list in the meantime
+      return res.status(409).json({ success: false, message: 'This list just changed. Please try again.' });
+    }
+    const item = updated.items.find(entry => entry.showId === showId);
+    res.status(201).json({ success: true, item, itemCount: updated.items.length });
+  } catch (error) {
+    console.error('Error adding list item:', error);
+    res.status(500).json({ success: false, message: 'Server error adding to list' });
+  }
+});
+
+/**
+ * @route PATCH /:id/items/:showId
+ * @description Changes the note on a show of one of the user's lists.
+ * @param {string} req.params.id - The list ID.
+ * @param {string} req.params.showId - The show.
+ * @param {object} req.body - `note` (max 300 characters; empty to remove it).
+ * @returns {object} JSON response:
+ * - `{ success: true, item: object }` on success.
+ * - `{ success: false, message: string }` on failure (400 for invalid input, 401 if not logged in, 403 if not the owner,
+ *   404 if the list doesn't exist or doesn't contain the show, 500 for server errors).
+ * @async
+ */
+router.patch('/:id/items/:showId', requireUser, async (req, res) => {
+  const note = parseNote(req.body.note);
+  if (note === null) return res.status(400).json({ success: false, message: `Note must be at most ${LIST_NOTE_MAX_LENGTH} characters` });
+  try {
+    const list = await findOwnList(req, res);
+    if (!list) return;
+    const showId = req.params.showId;
+    const updated = await ShowList.findOneAndUpdate(
+      { _id: list._id, 'items.showId': showId },
+      { $set: { 'items.$.note': note, updatedAt: new Date() } },
+      { new: true, runValidators: true }
+    ).lean();
+    if (!updated) return res.status(404).json({ success: false, message: 'This show is not in the list' });
+    res.json({ success: true, item: updated.items.find(entry => entry.showId === showId) });
+  } catch (error) {
+    console.error('Error updating list item:', error);
+    res.status(500).json({ success: false, message: 'Server error updating list item' });
+  }
+});
+
+/**
+ * @route DELETE /:id/items/:showId
+ * @description Removes a show from one of the user's lists.
+ * @param {string} req.params.id - The list ID.
+ * @param {string} req.params.showId - The show.
+ * @returns {object} JSON response:
+ * - `{ success: true, itemCount: number }` on success.
+ * - `{ success: false, message: string }` on failure (400 for an invalid ID, 401 if not logged in, 403 if not the owner,
+ *   404 if the list doesn't exist or doesn't contain the show, 500 for server errors).
+ * @async
+ */
+router.delete('/:id/items/:showId', requireUser, async (req, res) => {
+  try {
+    const list = await findOwnList(req, res);
+    if (!list) return;
+    const showId = req.params.showId;
+    const updated = await ShowList.findOneAndUpdate(
+      { _id: list._id, 'items.showId': showId },
+      { $pull: { items: { showId } }, $set: { updatedAt: new Date() } },
+      { new: true }
+    ).lean();
+    if (!updated) return res.status(404).json({ success: false, message: 'This show is not in the list' });
+    res.json({ success: true, itemCount: updated.items.length });
+  } catch (error) {
+    console.error('Error removing list item:', error);
+    res.status(500).json({ success: false, message: 'Server error removing from list' });
+  }
+});
+
+/**
+ * @route PUT /:id/order
+ * @description Reorders the shows of one of the user's lists.
+ * @param {string} req.params.id - The list ID.
+ * @param {object} req.body - `showIds`: every show of the list, in the new order.
+ * @returns {object} JSON response:
+ * - `{ success: true, showIds: Array<string> }` on success.
+ * - `{ success: false, message: string }` on failure (400 if `showIds` isn't exactly the list's shows, 401 if not logged in,
+ *   403 if not the owner, 404 if the list doesn't exist, 409 if the list changed since it was read, 500 for server errors).
+ * @async
+ */
+router.put('/:id/order', requireUser, async (req, res) => {
+  const { showIds } = req.body;
+  if (!Array.isArray(showIds)) return res.status(400).json({ success: false, message: 'showIds must be an array' });
+  try {
+    const list = await findOwnList(req, res);
+    if (!list) return;
+    const itemsByShow = new Map(list.items.map(item => [item.showId, item.toObject()]));
+    const orderedIds = showIds.map(String);
+    if (orderedIds.length !== itemsByShow.size || new Set(orderedIds).size !== orderedIds.length || !orderedIds.every(id => itemsByShow.has(id))) {
+      return res.status(400).json({ success: false, message: 'showIds must contain every show of the list exactly once' });
+    }
+    // Only write the new order if the list hasn't changed since it was read, so no concurrent change is lost
+    const result = await ShowList.updateOne(
+      { _id: list._id, updatedAt: list.updatedAt },
+      { $set: { items: orderedIds.map(id => itemsByShow.get(id)), updatedAt: new Date() } }
+    );
+    if (result.matchedCount === 0) {
+      return res.status(409).json({ success: false, message: 'This list just changed. Please reload it and try again.' });
+    }
+    res.json({ success: true, showIds: orderedIds });
+  } catch (error) {
+    console.error('Error reordering list:', error);
+    res.status(500).json({ success: false, message: 'Server error reordering list' });
+  }
+});
+
+/**
+ * Exports the configured Express router for use in the main application.
+ * @default router
+ */
+export default router;
@@ -0,0 +1,102 @@
+/**
+ * @file backfillWatchProgress.js
+ * @description One-off migration that copies the episodes of every user's legacy `watchedHistory` summary into the
+ * `WatchProgress` collection, which is the source of truth for show progress, Up Next and the show stats.
+ * Episodes marked before `WatchProgress` existed are only in `watchedHistory`; episodes already in `WatchProgress`
+ * are left as they are, so the migration can be run again safely.
+ *
+ * Usage: `npm run migrate:progress` (add `-- --dry-run` to only report what would change).
+ * Uses the same `MONGODB_*` environment variables as the server.
+ */
+
+// Import the 'dotenv' library to load environment variables from a .env file
+import dotenv from 'dotenv';
+// Import process for the command-line arguments, the environment variables and the exit code
+import process from 'process';
+// Import Mongoose to reuse the app's models
+import mongoose from 'mongoose';
+// Import the models touched by the migration
+import { User, WatchProgress } from '../utils.js';
+
+// Load environment variables from the .env file into process.env
+dotenv.config();
+
+/**
+ * Whether to only report the changes without writing anything.
+ * @type {boolean}
+ */
+const dryRun = process.argv.includes('--dry-run');
+
+/**
+ * Copies the missing episodes of one user's `watchedHistory` into `WatchProgress`.
+ * @async
+ * @param {object} user - A raw user document (`_id`, `username`, `watchedHistory`).
+ * @returns {Promise<number>} The number of episodes copied (or that would be).
+ */
+async function backfillUser(user) {
+  const existing = await WatchProgress.find({ userId: user._id }, { showId: 1, episodeId: 1 }).lean();
+  const recorded = new Set(existing.map(record => `${record.showId}:${record.episodeId}`));
+
+  const missing = [];
+  for (const entry of user.watchedHistory || []) {
+    for (const ep of entry.episodes || []) {
+      if (!ep.id) continue;
+      const key = `${entry.showId}:${ep.id}`;
+      if (recorded.has(key)) continue;
+      recorded.add(key); // An episode listed twice is only copied once
+      missing.push({
+        userId: user._id,
+        showId: String(entry.showId),
+        episodeId: String(ep.id),
+        seasonNumber: Number(ep.seasonNumber) || 0,
+        episodeNumber: Number(ep.number) || 0,
+        episodeName: ep.name || '',
+        watchedAt: ep.watchedAt || entry.lastWatchedAt || new Date()
+      });
+    }
+  }
+
+  if (missing.length > 0) {
+    console.log(`[PROGRESS] ${user.username}: ${missing.length} episode(s) copied from watchedHistory`);
+    if (!dryRun) await WatchProgress.insertMany(missing, { ordered: false });
+  }
+  return missing.length;
+}
+
+/**
+ * Runs the migration and closes the database connection.
+ * @async
+ */
+async function main() {
+  const {
+    MONGODB_HOST: mongodb_host,
+    MONGODB_USER: mongodb_user,
+    MONGODB_PASSWORD: mongodb_password,
+    MONGODB_DATABASE: mongodb_database,
+  } = process.env;
+  await mongoose.connect(`mongodb+srv://${mongodb_user}:${mongodb_password}@${mongodb_host}/${mongodb_database}?retryWrites=true&w=majority`);
+  console.log(`Connected${dryRun ? ' (dry run, nothing will be written)' : ''}`);
+
+  try {
+    // Read the raw documents: watchedHistory isn't part of the User schema
+    const users = User.collection.find(
+      { 'watchedHistory.episodes.0': { $exists: true } },
+      { projection: { username: 1, watchedHistory: 1 } }
+    );
+    let userCount = 0;
+    let episodeCount = 0;
+    for await (const user of users) {
+      const copied = await backfillUser(user);
+      if (copied > 0) userCount++;
+      episodeCount += copied;
+    }
+    console.log(`Done: ${episodeCount} episode(s) of ${userCount} user(s) copied.`);
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch(error => {
+  console.error('Migration failed:', error);
+  process.exit(1);
+});
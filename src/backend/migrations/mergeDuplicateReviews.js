@@ -0,0 +1,172 @@
+/**
+ * @file mergeDuplicateReviews.js
+ * @description One-off migration that prepares the `reviews` collection for the one-review-per-user rule
+ * (one review per show, per season and per episode) and the shared rating scale:
+ * 1. Ratings that are not on the scale (e.g., 0 or 3.75) are rounded to the nearest valid rating.
+ * 2. Reviews by the same user for the same show, season or episode are merged into the oldest one. The merged review keeps the
+ *    newest content, every older version in its `editHistory`, all votes, and the comments and notifications
+ *    of the removed duplicates.
+ * 3. The indexes are synced with the schema: the old unique `{ userId, showId }` index is dropped and the unique
+ *    `{ userId, showId, seasonNumber, episodeNumber }` index is built.
+ *
+ * Usage: `npm run migrate:reviews` (add `-- --dry-run` to only report what would change).
+ * Uses the same `MONGODB_*` environment variables as the server.
+ */
+
+// Import the 'dotenv' library to load environment variables from a .env file
+import dotenv from 'dotenv';
+// Import process for the command-line arguments, the environment variables and the exit code
+import process from 'process';
+// Import Mongoose to reuse the app's models
+import mongoose from 'mongoose';
+// Import the models touched by the migration
+import { Review, ReviewComment, Notification } from '../utils.js';
+// Import the shared rating scale
+import { RATING_MIN, RATING_VALUES, normalizeRating } from '../../shared/ratingScale.js';
+// Import levelLabel to name the season or episode of a merged review in the log
+import { levelLabel } from '../../shared/reviewLevels.js';
+
+// Load environment variables from the .env file into process.env
+dotenv.config();
+
+/**
+ * Whether to only report the changes without writing anything.
+ * @type {boolean}
+ */
+const dryRun = process.argv.includes('--dry-run');
+
+/**
+ * Rounds every rating that is not on the rating scale to the nearest valid rating.
+ * @async
+ * @returns {Promise<number>} The number of reviews whose rating was (or would be) changed.
+ */
+async function normalizeRatings() {
+  const offScale = await Review.find({ rating: { $nin: RATING_VALUES } }, { rating: 1 }).lean();
+  for (const review of offScale) {
+    const rating = normalizeRating(review.rating) ?? RATING_MIN;
+    console.log(`[RATINGS] Review ${review._id}: ${review.rating} -> ${rating}`);
+    if (!dryRun) await Review.updateOne({ _id: review._id }, { $set: { rating } });
+  }
+  return offScale.length;
+}
+
+/**
+ * Returns when a review's current version was written.
+ * @param {object} review - A lean review document.
+ * @returns {Date} Its `editedAt`, or its `createdAt` if it was never edited.
+ */
+function versionDate(review) {
+  return review.editedAt || review.createdAt;
+}
+
+/**
+ * Merges one group of duplicate reviews into the oldest review of the group.
+ * @async
+ * @param {Array<object>} reviews - Lean review documents by the same user for the same show, season or episode, oldest first.
+ */
+async function mergeGroup(reviews) {
+  const [keeper, ...duplicates] = reviews;
+  // The most recently written version becomes the review's current content
+  const latest = reviews.reduce((a, b) => (versionDate(b) > versionDate(a) ? b : a));
+
+  // Every other version goes into the edit history, oldest first
+  const editHistory = reviews
+    .flatMap(review => [
+      ...(review.editHistory || []),
+      ...(review === latest ? [] : [{
+        rating: review.rating,
+        content: review.content,
+        containsSpoiler: review.containsSpoiler,
+        editedAt: versionDate(review)
+      }])
+    ])
+    .sort((a, b) => new Date(a.editedAt) - new Date(b.editedAt));
+
+  // Keep every vote; a user who voted both ways on different duplicates keeps their like
+  const likes = [...new Set(reviews.flatMap(review => (review.likes || []).map(id => id.toString())))];
+  const dislikes = [...new Set(reviews.flatMap(review => (review.dislikes || []).map(id => id.toString())))]
+    .filter(id => !likes.includes(id));
+
+  const duplicateIds = duplicates.map(review => review._id);
+  const level = keeper.seasonNumber != null ? ` ${levelLabel(keeper.seasonNumber, keeper.episodeNumber ?? null)}` : '';
+  console.log(`[DUPLICATES] User ${keeper.userId}, show ${keeper.showId}${level}: keeping ${keeper._id}, merging ${duplicateIds.join(', ')}`);
+  if (dryRun) return;
+
+  await Review.updateOne({ _id: keeper._id }, {
+    $set: {
+      rating: latest.rating,
+      content: latest.content,
+      containsSpoiler: latest.containsSpoiler,
+      editedAt: latest === keeper ? keeper.editedAt : versionDate(latest),
+      editHistory,
+      likes: likes.map(id => new mongoose.Types.ObjectId(id)),
+      dislikes: dislikes.map(id => new mongoose.Types.ObjectId(id))
+    }
+  });
+  // Move the duplicates' comments and notifications to the merged review, then remove the duplicates
+  await ReviewComment.updateMany({ reviewId: { $in: duplicateIds } }, { $set: { reviewId: keeper._id } });
+  await Notification.updateMany(
+    { targetId: { $in: duplicateIds.map(id => id.toString()) } },
+    { $set: { targetId: keeper._id.toString() } }
+  );
+  await Review.deleteMany({ _id: { $in: duplicateIds } });
+}
+
+/**
+ * Finds every group of reviews by the same user for the same show, season or episode and merges each of them.
+ * Reviews saved before levels existed have no `seasonNumber` or `episodeNumber` and are grouped as show-level reviews.
+ * @async
+ * @returns {Promise<number>} The number of duplicate groups found.
+ */
+async function mergeDuplicates() {
+  const groups = await Review.aggregate([
+    { $sort: { createdAt: 1 } },
+    {
+      $group: {
+        _id: {
+          userId: '$userId',
+          showId: '$showId',
+          seasonNumber: { $ifNull: ['$seasonNumber', null] },
+          episodeNumber: { $ifNull: ['$episodeNumber', null] }
+        },
+        ids: { $push: '$_id' },
+        count: { $sum: 1 }
+      }
+    },
+    { $match: { count: { $gt: 1 } } }
+  ]);
+  for (const group of groups) {
+    const reviews = await Review.find({ _id: { $in: group.ids } }).sort({ createdAt: 1 }).lean();
+    await mergeGroup(reviews);
+  }
+  return groups.length;
+}
+
+/**
+ * Runs the migration and closes the database connection.
+ * @async
+ */
+async function main() {
+  const {
+    MONGODB_HOST: mongodb_host,
+    MONGODB_USER: mongodb_user,
+    MONGODB_PASSWORD: mongodb_password,
+    MONGODB_DATABASE: mongodb_database,
+  } = process.env;
+  await mongoose.connect(`mongodb+srv://${mongodb_user}:${mongodb_password}@${mongodb_host}/${mongodb_database}?retryWrites=true&w=majority`);
+  console.log(`Connected${dryRun ? ' (dry run, nothing will be written)' : ''}`);
+
+  try {
+    const normalized = await normalizeRatings();
+    const merged = await mergeDuplicates();
+    if (!dryRun) await Review.syncIndexes(); // Drops the old { userId, showId } index and builds the per-level one
+    console.log(`Done: ${normalized} rating(s) normalized, ${merged} duplicate group(s) merged.`);
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch(error => {
+  console.error('Migration failed:', error);
+  process.exit(1);
+});
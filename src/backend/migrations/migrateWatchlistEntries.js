@@ -0,0 +1,101 @@
+/**
+ * @file migrateWatchlistEntries.js
+ * @description One-off migration that turns watchlists stored as arrays of show ID strings into arrays of entries
+ * (`{ showId, addedAt, status, priority, tag }`, see `src/shared/watchlist.js`):
+ * 1. Every show ID string becomes a 'planned' entry with medium priority and no tag, keeping its place in the watchlist.
+ * 2. `addedAt` is taken from the user's latest 'watchlist_add' activity for the show, or left empty if there is none.
+ * 3. A show listed more than once keeps only its first place.
+ *
+ * Usage: `npm run migrate:watchlist` (add `-- --dry-run` to only report what would change).
+ * Uses the same `MONGODB_*` environment variables as the server.
+ */
+
+// Import the 'dotenv' library to load environment variables from a .env file
+import dotenv from 'dotenv';
+// Import process for the command-line arguments, the environment variables and the exit code
+import process from 'process';
+// Import Mongoose to reuse the app's models
+import mongoose from 'mongoose';
+// Import the models touched by the migration
+import { User, Activity } from '../utils.js';
+// Import the shared watchlist entry rules
+import { normalizeWatchlistEntry } from '../../shared/watchlist.js';
+
+// Load environment variables from the .env file into process.env
+dotenv.config();
+
+/**
+ * Whether to only report the changes without writing anything.
+ * @type {boolean}
+ */
+const dryRun = process.argv.includes('--dry-run');
+
+/**
+ * Finds when a user last added each of the given shows to their watchlist, from the activity log.
+ * @async
+ * @param {mongoose.Types.ObjectId} userId - The user's ID.
+ * @param {Array<string>} showIds - The shows to look up.
+ * @returns {Promise<Map<string, Date>>} The date of each show that has a 'watchlist_add' activity.
+ */
+async function findAddedDates(userId, showIds) {
+  const activities = await Activity.aggregate([
+    { $match: { userId, action: 'watchlist_add', targetId: { $in: showIds } } },
+    { $group: { _id: '$targetId', addedAt: { $max: '$createdAt' } } }
+  ]);
+  return new Map(activities.map(activity => [activity._id, activity.addedAt]));
+}
+
+/**
+ * Converts the watchlist of one user.
+ * @async
+ * @param {object} user - A raw user document (`_id`, `username`, `watchlist`).
+ */
+async function migrateUser(user) {
+  const legacyIds = user.watchlist.filter(item => item === null || typeof item !== 'object').map(String);
+  const addedDates = await findAddedDates(user._id, legacyIds);
+
+  const seen = new Set();
+  const watchlist = [];
+  for (const item of user.watchlist) {
+    const entry = normalizeWatchlistEntry(item);
+    if (seen.has(entry.showId)) continue;
+    seen.add(entry.showId);
+    watchlist.push({ ...entry, addedAt: entry.addedAt ?? addedDates.get(entry.showId) ?? null });
+  }
+
+  console.log(`[WATCHLIST] ${user.username}: ${legacyIds.length} show ID(s) converted, ${user.watchlist.length - watchlist.length} duplicate(s) dropped`);
+  if (!dryRun) await User.collection.updateOne({ _id: user._id }, { $set: { watchlist } });
+}
+
+/**
+ * Runs the migration and closes the database connection.
+ * @async
+ */
+async function main() {
+  const {
+    MONGODB_HOST: mongodb_host,
+    MONGODB_USER: mongodb_user,
+    MONGODB_PASSWORD: mongodb_password,
+    MONGODB_DATABASE: mongodb_database,
+  } = process.env;
+  await mongoose.connect(`mongodb+srv://${mongodb_user}:${mongodb_password}@${mongodb_host}/${mongodb_database}?retryWrites=true&w=majority`);
+  console.log(`Connected${dryRun ? ' (dry run, nothing will be written)' : ''}`);
+
+  try {
+    // Read the raw documents: the User model can't load watchlists that still hold strings
+    const users = await User.collection
+      .find({ watchlist: { $type: 'string' } }, { projection: { username: 1, watchlist: 1 } })
+      .toArray();
+    for (const user of users) {
+      await migrateUser(user);
+    }
+    console.log(`Done: ${users.length} watchlist(s) converted.`);
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch(error => {
+  console.error('Migration failed:', error);
+  process.exit(1);
+});
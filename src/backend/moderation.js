@@ -0,0 +1,363 @@
+/**
+ * @file Express router for the moderation queue.
+ * @module moderationRoutes
+ * Users report reviews and other users through `POST /api/reviews/:id/report` and `POST /api/users/:id/report`.
+ * This router lets admins (users with `role: 'admin'`) go through the open reports, dismiss them,
+ * and hide, unhide or delete reported reviews. It also holds the queue of reviews flagged by content screening
+ * (see `contentScreening.js`), which admins approve or delete. Every route requires an admin session.
+ */
+
+// Import the 'express' library to create router instances
+import express from 'express';
+// Import ObjectId from 'mongodb' for converting string IDs to MongoDB ObjectId objects
+import { ObjectId } from 'mongodb';
+// Import the models touched by moderation
+import { Report, Review, User } from './utils.js';
+// Import the session helpers shared by the routers
+import { getSessionUserId } from './sessionAuth.js';
+// Import the activity log, for the activity of approved reviews
+import { logActivity } from './activityLog.js';
+// Import the poster URL format of activity show snapshots
+import { showImageUrl } from './showSnapshots.js';
+// Import the deletion of a review with its comments, notifications and draft, and of the activities quoting it
+import { deleteReviewCascade, deleteReviewActivities } from './reviewCleanup.js';
+
+/**
+ * Express router to mount moderation functions on.
+ * @type {express.Router}
+ */
+const router = express.Router();
+
+/**
+ * Middleware that only lets admins through. Sets `req.adminId` to the admin's user ID.
+ * Responds with 401 if nobody is logged in and 403 if the user isn't an admin.
+ * @async
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {function} next - Express next middleware function.
+ */
+async function requireAdmin(req, res, next) {
+  const userId = getSessionUserId(req);
+  if (!userId) return res.status(401).json({ success: false, message: 'Not logged in' });
+  try {
+    const user = await User.findById(userId, 'role').lean();
+    if (user?.role !== 'admin') return res.status(403).json({ success: false, message: 'Admins only' });
+    req.adminId = userId;
+    next();
+  } catch (error) {
+    console.error('Error checking admin role:', error);
+    res.status(500).json({ success: false, message: 'Server error checking permissions' });
+  }
+}
+
+router.use(requireAdmin);
+
+/**
+ * Resolves the open reports about a review or user.
+ * @async
+ * @param {string} targetType - 'review' or 'user'.
+ * @param {ObjectId} targetId - The ID of the review or user.
+ * @param {string} resolution - 'dismissed', 'hidden' or 'deleted'.
+ * @param {ObjectId} adminId - The ID of the admin resolving them.
+ * @returns {Promise<number>} The number of reports resolved.
+ */
+async function resolveReports(targetType, targetId, resolution, adminId) {
+  const result = await Report.updateMany(
+    { targetType, targetId, status: 'open' },
+    { $set: { status: 'resolved', resolution, resolvedBy: adminId, resolvedAt: new Date() } }
+  );
+  return result.modifiedCount;
+}
+
+/**
+ * @route GET /reports
+ * @description Lists the moderation queue: reports grouped by reported review or user, the most recently reported first.
+ * Each item includes the reported content (the review with its author, or the user), so admins can judge it in place.
+ * @param {string} [req.query.status='open'] - 'open' or 'resolved'.
+ * @param {string} [req.query.targetType] - 'review' or 'user'; both when omitted.
+ * @param {number} [req.query.page=1] - Page number for pagination.
+ * @param {number} [req.query.limit=20] - Number of items per page (1-50).
+ * @returns {object} JSON response:
+ * - `{ success: true, items: Array<object>, currentPage: number, totalPages: number, totalItems: number }` on success.
+ *   Each item has `targetType`, `targetId`, `reportCount`, `reasons` (count per reason), `lastReportedAt`,
+ *   `reports` (`reportId`, `reporter`, `reason`, `details`, `createdAt`, `resolution`) and `target`
+ *   (the review or user, or `null` if it no longer exists).
+ * - `{ success: false, message: string }` on failure (400 for invalid filters, 401/403 if not an admin, 500 for server errors).
+ * @async
+ */
+router.get('/reports', async (req, res) => {
+  const { status = 'open', targetType } = req.query;
+  if (!['open', 'resolved'].includes(status)) {
+    return res.status(400).json({ success: false, message: "Invalid status. Must be 'open' or 'resolved'" });
+  }
+  if (targetType && !['review', 'user'].includes(targetType)) {
+    return res.status(400).json({ success: false, message: "Invalid targetType. Must be 'review' or 'user'" });
+  }
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 50);
+  const match = { status, ...(targetType ? { targetType } : {}) };
+
+  try {
+    // One item per reported review or user, with its reports newest first
+    const [result] = await Report.aggregate([
+      { $match: match },
+      { $sort: { createdAt: -1 } },
+      {
+        $group: {
+          _id: { targetType: '$targetType', targetId: '$targetId' },
+          reportCount: { $sum: 1 },
+          reasons: { $push: '$reason' },
+          lastReportedAt: { $first: '$createdAt' },
+          reports: {
+            $push: { reportId: '$_id', reporterId: '$reporterId', reason: '$reason', details: '$details', createdAt: '$createdAt', resolution: '$resolution' }
+          }
+        }
+      },
+      { $sort: { lastReportedAt: -1 } },
+      {
+        $facet: {
+          items: [{ $skip: (page - 1) * limit }, { $limit: limit }],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+    const groups = result.items;
+    const totalItems = result.total[0]?.count || 0;
+
+    // Load the reported reviews and users, and the reporters
+    const reviewIds = groups.filter(g => g._id.targetType === 'review').map(g => g._id.targetId);
+    const reviews = await Review.find({ _id: { $in: reviewIds } })
+      .populate('userId', 'username profilePic')
+      .lean();
+    const userIds = [
+      ...groups.filter(g => g._id.targetType === 'user').map(g => g._id.targetId),
+      ...groups.flatMap(g => g.reports.map(r => r.reporterId))
+    ];
+    const users = await User.find({ _id: { $in: userIds } }, 'username profilePic').lean();
+    const reviewsById = new Map(reviews.map(r => [r._id.toString(), r]));
+    const usersById = new Map(users.map(u => [u._id.toString(), u]));
+
+    const items = groups.map(group => {
+      const targetId = group._id.targetId.toString();
+      const review = group._id.targetType === 'review' ? reviewsById.get(targetId) : null;
+      const user = group._id.targetType === 'user' ? usersById.get(targetId) : null;
+      return {
+        targetType: group._id.targetType,
+        targetId,
+        reportCount: group.reportCount,
+        reasons: group.reasons.reduce((counts, reason) => ({ ...counts, [reason]: (counts[reason] || 0) + 1 }), {}),
+        lastReportedAt: group.lastReportedAt,
+        reports: group.reports.map(report => ({
+          reportId: report.reportId.toString(),
+          reporter: usersById.get(report.reporterId.toString())?.username || null, // Reporter account may no longer exist
+          reason: report.reason,
+          details: report.details,
+          createdAt: report.createdAt,
+          resolution: report.resolution
+        })),
+        target: review
+          ? {
+            _id: targetId,
+            showId: review.showId,
+            seasonNumber: review.seasonNumber,
+            episodeNumber: review.episodeNumber,
+            rating: review.rating,
+            content: review.content,
+            containsSpoiler: review.containsSpoiler,
+            hidden: !!review.hidden,
+            createdAt: review.createdAt,
+            author: review.userId ? { _id: review.userId._id.toString(), username: review.userId.username } : null
+          }
+          : user
+            ? { _id: targetId, username: user.username, profilePic: user.profilePic || '' }
+            : null // Deleted since it was reported
+      };
+    });
+
+    res.json({ success: true, items, currentPage: page, totalPages: Math.ceil(totalItems / limit), totalItems });
+  } catch (error) {
+    console.error('Error fetching reports:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching reports' });
+  }
+});
+
+/**
+ * @route PUT /reports/:id/resolve
+ * @description Dismisses a report without acting on the content, together with the other open reports
+ * about the same review or user.
+ * @param {string} req.params.id - The ID of one of the reports.
+ * @returns {object} JSON response:
+ * - `{ success: true, resolvedCount: number }` on success.
+ * - `{ success: false, message: string }` on failure (400 for an invalid ID, 401/403 if not an admin,
+ *   404 if the report doesn't exist, 500 for server errors).
+ * @async
+ */
+router.put('/reports/:id/resolve', async (req, res) => {
+  if (!ObjectId.isValid(req.params.id)) return res.status(400).json({ success: false, message: 'Invalid report ID' });
+  try {
+    const report = await Report.findById(req.params.id).lean();
+    if (!report) return res.status(404).json({ success: false, message: 'Report not found' });
+    const resolvedCount = await resolveReports(report.targetType, report.targetId, 'dismissed', req.adminId);
+    res.json({ success: true, resolvedCount });
+  } catch (error) {
+    console.error('Error resolving report:', error);
+    res.status(500).json({ success: false, message: 'Server error resolving report' });
+  }
+});
+
+/**
+ * @route PUT /reviews/:id/hide
+ * @description Hides a review from the review feeds and statistics, or makes it visible again.
+ * Hiding resolves the open reports about the review and deletes its activities (see `deleteReviewActivities`),
+ * which making it visible again doesn't bring back.
+ * @param {string} req.params.id - The ID of the review.
+ * @param {boolean} [req.body.hidden=true] - `false` to make the review visible again.
+ * @returns {object} JSON response:
+ * - `{ success: true, reviewId: string, hidden: boolean, resolvedCount: number }` on success.
+ * - `{ success: false, message: string }` on failure (400 for an invalid ID, 401/403 if not an admin,
+ *   404 if the review doesn't exist, 500 for server errors).
+ * @async
+ */
+router.put('/reviews/:id/hide', async (req, res) => {
+  if (!ObjectId.isValid(req.params.id)) return res.status(400).json({ success: false, message: 'Invalid review ID' });
+  const hidden = req.body.hidden !== false;
+  try {
+    const review = await Review.findByIdAndUpdate(
+      req.params.id,
+      { $set: { hidden, hiddenAt: hidden ? new Date() : null, hiddenBy: hidden ? req.adminId : null } },
+      { new: true }
+    );
+    if (!review) return res.status(404).json({ success: false, message: 'Review not found' });
+    if (hidden) await deleteReviewActivities(review);
+    const resolvedCount = hidden ? await resolveReports('review', review._id, 'hidden', req.adminId) : 0;
+    console.log(`[MODERATION] Review ${review._id} ${hidden ? 'hidden' : 'unhidden'} by admin ${req.adminId}`);
+    res.json({ success: true, reviewId: review._id.toString(), hidden, resolvedCount });
+  } catch (error) {
+    console.error('Error hiding review:', error);
+    res.status(500).json({ success: false, message: 'Server error hiding review' });
+  }
+});
+
+/**
+ * @route GET /pending-reviews
+ * @description Lists the reviews held by content screening, the oldest first, with their author and the checks that flagged them.
+ * @param {number} [req.query.page=1] - Page number for pagination.
+ * @param {number} [req.query.limit=20] - Number of reviews per page (1-50).
+ * @returns {object} JSON response:
+ * - `{ success: true, reviews: Array<object>, currentPage: number, totalPages: number, totalReviews: number }` on success.
+ *   Each review has `_id`, `showId`, `seasonNumber`, `episodeNumber`, `rating`, `content`, `containsSpoiler`,
+ *   `createdAt`, `editedAt`, `screeningFlags` and `author` (`null` if the account no longer exists).
+ * - `{ success: false, message: string }` on failure (401/403 if not an admin, 500 for server errors).
+ * @async
+ */
+router.get('/pending-reviews', async (req, res) => {
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 50);
+  try {
+    const [pending, totalReviews] = await Promise.all([
+      Review.find({ status: 'pending' })
+        .sort({ createdAt: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('userId', 'username profilePic')
+        .lean(),
+      Review.countDocuments({ status: 'pending' })
+    ]);
+    const reviews = pending.map(review => ({
+      _id: review._id.toString(),
+      showId: review.showId,
+      seasonNumber: review.seasonNumber,
+      episodeNumber: review.episodeNumber,
+      rating: review.rating,
+      content: review.content,
+      containsSpoiler: review.containsSpoiler,
+      createdAt: review.createdAt,
+      editedAt: review.editedAt,
+      screeningFlags: review.screeningFlags || [],
+      author: review.userId ? { _id: review.userId._id.toString(), username: review.userId.username } : null
+    }));
+    res.json({ success: true, reviews, currentPage: page, totalPages: Math.ceil(totalReviews / limit), totalReviews });
+  } catch (error) {
+    console.error('Error fetching pending reviews:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching pending reviews' });
+  }
+});
+
+/**
+ * Logs the activity of a review once it's approved, which the review routes skip while a review is pending:
+ * 'review_create' for a new review, 'review_edit' for an edited one. Pushed to the author and their friends like
+ * the other review activities (see `logActivity`). Failures are logged without failing the approval.
+ * @async
+ * @param {object} review - The approved review (lean).
+ */
+async function logApprovedReviewActivity(review) {
+  const details = { reviewId: review._id.toString(), rating: review.rating, seasonNumber: review.seasonNumber, episodeNumber: review.episodeNumber };
+  if (!review.editedAt) details.contentSummary = review.content.substring(0, 50);
+  if (review.showSnapshotAt) {
+    // The review already holds the show's name and poster
+    details.showName = review.showName;
+    details.showImage = showImageUrl(review.posterPath);
+  }
+  await logActivity(review.userId, review.editedAt ? 'review_edit' : 'review_create', review.showId, details);
+}
+
+/**
+ * @route PUT /reviews/:id/approve
+ * @description Publishes a review held by content screening and logs its activity.
+ * Rejected reviews are deleted with `DELETE /reviews/:id`.
+ * @param {string} req.params.id - The ID of the review.
+ * @returns {object} JSON response:
+ * - `{ success: true, reviewId: string }` on success.
+ * - `{ success: false, message: string }` on failure (400 for an invalid ID, 401/403 if not an admin,
+ *   404 if the review doesn't exist or isn't pending, 500 for server errors).
+ * @async
+ */
+router.put('/reviews/:id/approve', async (req, res) => {
+  if (!ObjectId.isValid(req.params.id)) return res.status(400).json({ success: false, message: 'Invalid review ID' });
+  try {
+    const review = await Review.findOneAndUpdate(
+      { _id: req.params.id, status: 'pending' },
+      { $set: { status: 'published', screeningFlags: [] } },
+      { new: true }
+    ).lean();
+    if (!review) return res.status(404).json({ success: false, message: 'Pending review not found' });
+    await logApprovedReviewActivity(review);
+    console.log(`[MODERATION] Review ${review._id} approved by admin ${req.adminId}`);
+    res.json({ success: true, reviewId: review._id.toString() });
+  } catch (error) {
+    console.error('Error approving review:', error);
+    res.status(500).json({ success: false, message: 'Server error approving review' });
+  }
+});
+
+/**
+ * @route DELETE /reviews/:id
+ * @description Deletes a review, with its comments, the notifications about it and its author's draft
+ * (see `deleteReviewCascade`), and resolves the open reports about it. Also rejects reviews held by content screening.
+ * @param {string} req.params.id - The ID of the review.
+ * @returns {object} JSON response:
+ * - `{ success: true, reviewId: string, resolvedCount: number }` on success.
+ * - `{ success: false, message: string }` on failure (400 for an invalid ID, 401/403 if not an admin,
+ *   404 if the review doesn't exist, 500 for server errors).
+ * @async
+ */
+router.delete('/reviews/:id', async (req, res) => {
+  if (!ObjectId.isValid(req.params.id)) return res.status(400).json({ success: false, message: 'Invalid review ID' });
+  try {
+    const review = await Review.findById(req.params.id).lean();
+    if (!review) return res.status(404).json({ success: false, message: 'Review not found' });
+    await deleteReviewCascade(review);
+    const resolvedCount = await resolveReports('review', review._id, 'deleted', req.adminId);
+    console.log(`[MODERATION] Review ${review._id} deleted by admin ${req.adminId}`);
+    res.json({ success: true, reviewId: review._id.toString(), resolvedCount });
+  } catch (error) {
+    console.error('Error deleting review:', error);
+    res.status(500).json({ success: false, message: 'Server error deleting review' });
+  }
+});
+
+/**
+ * Exports the configured Express router for use in the main application.
+ * @default router
+ */
+export default router;
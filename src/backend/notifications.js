@@ -0,0 +1,221 @@
+/**
+ * @file Express router and helpers for in-app notifications.
+ * @module notificationRoutes
+ * Notifications tell a user that something happened that involves them: a friend request was sent or accepted,
+ * one of their reviews was voted on or commented on, someone replied to their comment, or a friend recommended them a show.
+ * Other modules create notifications with `createNotification`; this router lets the recipient
+ * list them, count unread ones, and mark them as read.
+ */
+
+// Import the 'express' library to create router instances
+import express from 'express';
+// Import ObjectId from 'mongodb' for converting string IDs to MongoDB ObjectId objects
+import { ObjectId } from 'mongodb';
+// Import the Notification and User models
+import { Notification, User } from './utils.js';
+// Import the session helpers shared by the routers
+import { requireUser } from './sessionAuth.js';
+// Import publishEvent to push new notifications to connected clients
+import { publishEvent } from './realtime.js';
+
+/**
+ * Express router to mount notification-related functions on.
+ * @type {express.Router}
+ */
+const router = express.Router();
+
+/**
+ * Creates a notification for a user.
+ * The notification is also pushed to the recipient's open event streams as a `notification` event.
+ * Notifications about a user's own actions are skipped. Failures are logged but never thrown,
+ * so a notification problem cannot break the request that triggered it.
+ * @async
+ * @function createNotification
+ * @param {object} notification - The notification to create.
+ * @param {ObjectId|string} notification.userId - The recipient's user ID.
+ * @param {ObjectId|string} notification.actorId - The ID of the user who caused the notification.
+ * @param {string} notification.type - One of the `Notification` types ('friend_request', 'friend_accept', 'review_like', 'review_dislike', 'recommendation', 'review_comment', 'comment_reply').
+ * @param {string|ObjectId|null} [notification.targetId=null] - The ID of the related entity (e.g., review ID, show ID).
+ * @param {object} [notification.details={}] - Additional details used to render the notification.
+ * @returns {Promise<object|null>} The created notification, or `null` if it was skipped or failed.
+ */
+export async function createNotification({ userId, actorId, type, targetId = null, details = {} }) {
+  try {
+    // Never notify users about their own actions
+    if (userId.toString() === actorId.toString()) return null;
+    const notification = await Notification.create({
+      userId: new ObjectId(userId.toString()),
+      actorId: new ObjectId(actorId.toString()),
+      type,
+      targetId: targetId ? targetId.toString() : null,
+      details
+    });
+    console.log(`[NOTIFICATION] Created ${type} for user ${userId} (actor ${actorId})`);
+
+    // Push the notification in the same shape as `GET /api/notifications` returns it
+    const actor = await User.findById(notification.actorId, 'username profilePic').lean();
+    publishEvent(userId, 'notification', formatNotification({ ...notification.toObject(), actorId: actor }));
+    return notification;
+  } catch (error) {
+    // Log errors during notification creation but don't let it crash the main operation
+    console.error('[NOTIFICATION] Failed:', { message: error.message, userId, actorId, type, targetId });
+    return null;
+  }
+}
+
+/**
+ * Formats a notification for API responses and realtime events.
+ * @param {object} n - A lean notification document whose `actorId` is populated with `username` and `profilePic`.
+ * @returns {object} The notification with an `actor` object instead of `actorId`.
+ */
+function formatNotification(n) {
+  return {
+    _id: n._id.toString(),
+    type: n.type,
+    targetId: n.targetId,
+    details: n.details || {},
+    read: n.read,
+    createdAt: n.createdAt,
+    actor: n.actorId
+      ? { _id: n.actorId._id.toString(), username: n.actorId.username, profilePic: n.actorId.profilePic || '' }
+      : null // Actor account no longer exists
+  };
+}
+
+router.use(requireUser);
+
+/**
+ * @route GET /
+ * @description Fetches the logged-in user's notifications, newest first, with the unread count.
+ * Supports cursor pagination: pass the `nextCursor` of a page as `before` to get the next one.
+ * @param {number} [req.query.limit=20] - Maximum number of notifications to return (1-50).
+ * @param {string} [req.query.before] - ISO date; only notifications created before it are returned.
+ * @param {string} [req.query.unread] - If 'true', only unread notifications are returned.
+ * @returns {object} JSON response:
+ * - `{ success: true, notifications: Array<object>, unreadCount: number, nextCursor: string|null }` on success.
+ *   Each notification includes an `actor` object with `_id`, `username` and `profilePic`.
+ * - `{ success: false, message: string }` on failure, with appropriate HTTP status codes:
+ *   - 401: If the user is not logged in.
+ *   - 400: If `before` is not a valid date.
+ *   - 500: For server errors during database operations.
+ * @async
+ */
+router.get('/', async (req, res) => {
+  const userId = req.userId;
+
+  // Parse and clamp the page size
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 50);
+  const query = { userId };
+  if (req.query.before) {
+    const before = new Date(req.query.before);
+    if (isNaN(before.getTime())) return res.status(400).json({ success: false, message: 'Invalid cursor' });
+    query.createdAt = { $lt: before };
+  }
+  if (req.query.unread === 'true') query.read = false;
+
+  try {
+    // Fetch one extra notification to know whether there is another page
+    const [notifications, unreadCount] = await Promise.all([
+      Notification.find(query)
+        .sort({ createdAt: -1 })
+        .limit(limit + 1)
+        .populate('actorId', 'username profilePic')
+        .lean(),
+      Notification.countDocuments({ userId, read: false })
+    ]);
+    const hasMore = notifications.length > limit;
+    const page = notifications.slice(0, limit);
+
+    res.json({
+      success: true,
+      notifications: page.map(formatNotification),
+      unreadCount,
+      nextCursor: hasMore ? page[page.length - 1].createdAt.toISOString() : null
+    });
+  } catch (error) {
+    // Log the error and respond with a 500 Internal Server Error
+    console.error('Error fetching notifications:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching notifications' });
+  }
+});
+
+/**
+ * @route GET /unread-count
+ * @description Returns the number of unread notifications of the logged-in user (for the navbar badge).
+ * @returns {object} JSON response:
+ * - `{ success: true, unreadCount: number }` on success.
+ * - `{ success: false, message: string }` on failure (401 if not logged in, 500 for server errors).
+ * @async
+ */
+router.get('/unread-count', async (req, res) => {
+  const userId = req.userId;
+
+  try {
+    const unreadCount = await Notification.countDocuments({ userId, read: false });
+    res.json({ success: true, unreadCount });
+  } catch (error) {
+    console.error('Error counting unread notifications:', error);
+    res.status(500).json({ success: false, message: 'Server error counting notifications' });
+  }
+});
+
+/**
+ * @route PUT /read-all
+ * @description Marks all of the logged-in user's notifications as read.
+ * @returns {object} JSON response:
+ * - `{ success: true, updatedCount: number }` on success.
+ * - `{ success: false, message: string }` on failure (401 if not logged in, 500 for server errors).
+ * @async
+ */
+router.put('/read-all', async (req, res) => {
+  const userId = req.userId;
+
+  try {
+    const result = await Notification.updateMany({ userId, read: false }, { $set: { read: true } });
+    res.json({ success: true, updatedCount: result.modifiedCount });
+  } catch (error) {
+    console.error('Error marking all notifications as read:', error);
+    res.status(500).json({ success: false, message: 'Server error updating notifications' });
+  }
+});
+
+/**
+ * @route PUT /:id/read
+ * @description Marks one of the logged-in user's notifications as read.
+ * @param {string} req.params.id - The ID of the notification.
+ * @returns {object} JSON response:
+ * - `{ success: true }` on success.
+ * - `{ success: false, message: string }` on failure, with appropriate HTTP status codes:
+ *   - 401: If the user is not logged in.
+ *   - 400: If the notification ID is invalid.
+ *   - 404: If the notification does not exist or belongs to another user.
+ *   - 500: For server errors during database operations.
+ * @async
+ */
+router.put('/:id/read', async (req, res) => {
+  const userId = req.userId;
+  if (!ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({ success: false, message: 'Invalid notification ID' });
+  }
+
+  try {
+    // Scope the update to the logged-in user so nobody can touch another user's notifications
+    const result = await Notification.updateOne(
+      { _id: new ObjectId(req.params.id), userId },
+      { $set: { read: true } }
+    );
+    if (result.matchedCount === 0) {
+      return res.status(404).json({ success: false, message: 'Notification not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error marking notification as read:', error);
+    res.status(500).json({ success: false, message: 'Server error updating notification' });
+  }
+});
+
+/**
+ * Exports the configured Express router for use in the main application.
+ * @default router
+ */
+export default router;
@@ -0,0 +1,105 @@
+/**
+ * @file queryHelpers.js
+ * @description Pure helpers building MongoDB query conditions from request parameters: the review level filter
+ * used by the review lists and statistics, and the opaque cursors paginating the show reviews and the activity feed.
+ * They don't touch the database, so they are tested on their own (see `test/backend/queryHelpers.test.js`).
+ */
+
+// Import Buffer to encode and decode pagination cursors
+import { Buffer } from 'buffer';
+// Import ObjectId to restore the IDs stored in cursors
+import { ObjectId } from 'mongodb';
+// Import the shared parser of season and episode numbers
+import { parseLevelNumber } from '../shared/reviewLevels.js';
+
+/**
+ * Review levels: a review is about a whole show, one season, or one episode.
+ * `all` is only used as a filter and matches every level.
+ * @const {Array<string>}
+ */
+export const REVIEW_LEVELS = ['show', 'season', 'episode', 'all'];
+
+/**
+ * Builds the Mongo filter selecting reviews at a level (show, season or episode), optionally narrowed to
+ * a specific season and episode.
+ * The level defaults to 'episode' when `episodeNumber` is given, 'season' when only `seasonNumber` is given,
+ * and `defaultLevel` otherwise.
+ * @export function buildReviewLevelFilter
+ * @param {object} params - Usually `req.query`.
+ * @param {string} [params.level] - One of `REVIEW_LEVELS`.
+ * @param {string|number} [params.seasonNumber] - The season to narrow to.
+ * @param {string|number} [params.episodeNumber] - The episode (within `seasonNumber`) to narrow to.
+ * @param {string} defaultLevel - The level used when none is given and no season or episode is specified.
+ * @returns {{ filter?: object, error?: string }} The filter to merge into a review query, or an error message for a 400 response.
+ */
+export function buildReviewLevelFilter({ level, seasonNumber, episodeNumber }, defaultLevel) {
+  const season = parseLevelNumber(seasonNumber, 0);
+  const episode = parseLevelNumber(episodeNumber, 1);
+  if (season === undefined) return { error: 'Invalid season number' };
+  if (episode === undefined) return { error: 'Invalid episode number' };
+  if (episode !== null && season === null) return { error: 'An episode number requires a season number' };
+
+  const effectiveLevel = level || (episode !== null ? 'episode' : season !== null ? 'season' : defaultLevel);
+  if (!REVIEW_LEVELS.includes(effectiveLevel)) return { error: `Invalid level. Must be one of: ${REVIEW_LEVELS.join(', ')}` };
+
+  switch (effectiveLevel) {
+    case 'show':
+      if (season !== null) return { error: 'Show-level reviews have no season or episode number' };
+      return { filter: { seasonNumber: null } }; // Also matches reviews written before levels existed
+    case 'season':
+      if (episode !== null) return { error: 'Season-level reviews have no episode number' };
+      return { filter: { seasonNumber: season ?? { $ne: null }, episodeNumber: null } };
+    case 'episode':
+      return { filter: { seasonNumber: season ?? { $ne: null }, episodeNumber: episode ?? { $ne: null } } };
+    default: // 'all'
+      return {
+        filter: {
+          ...(season !== null ? { seasonNumber: season } : {}),
+          ...(episode !== null ? { episodeNumber: episode } : {})
+        }
+      };
+  }
+}
+
+/**
+ * Encodes the position of a document in a sort order as an opaque cursor.
+ * Used by the show reviews (`SHOW_REVIEW_SORTS` in `server.js`) and the activity feed (`ACTIVITY_FEED_SORT`).
+ * @param {object} doc - The last document of a page (with the computed sort fields).
+ * @param {Array<[string, number]>} sortFields - The sort order.
+ * @returns {string} A URL-safe cursor.
+ */
+export function encodeSortCursor(doc, sortFields) {
+  const values = sortFields.map(([field]) => (field === '_id' ? doc._id.toString() : doc[field]));
+  return Buffer.from(JSON.stringify(values)).toString('base64url');
+}
+
+/**
+ * Decodes a cursor into a `$match` stage condition selecting the documents that come after it in the sort order.
+ * @param {string} cursor - A cursor from `encodeSortCursor`.
+ * @param {Array<[string, number]>} sortFields - The sort order the cursor was made for.
+ * @returns {object|null} The match condition, or null if the cursor is invalid.
+ */
+export function decodeSortCursor(cursor, sortFields) {
+  let values;
+  try {
+    values = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+  if (!Array.isArray(values) || values.length !== sortFields.length) return null;
+  // Convert the values back to the types stored in MongoDB
+  const typed = sortFields.map(([field], i) => {
+    if (field === '_id') return ObjectId.isValid(values[i]) ? new ObjectId(values[i]) : undefined;
+    if (field === 'createdAt') return new Date(values[i]);
+    return typeof values[i] === 'number' ? values[i] : undefined;
+  });
+  if (typed.some(value => value === undefined || (value instanceof Date && isNaN(value)))) return null;
+
+  // Lexicographic "after": equal on the first fields, then past the cursor on the next one
+  return {
+    $or: sortFields.map(([field, direction], i) => ({
+      ...Object.fromEntries(sortFields.slice(0, i).map(([prevField], j) => [prevField, typed[j]])),
+      [field]: { [direction === 1 ? '$gt' : '$lt']: typed[i] }
+    }))
+  };
+}
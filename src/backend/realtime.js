@@ -0,0 +1,177 @@
+/**
+ * @file Express router and helpers for realtime updates over Server-Sent Events (SSE).
+ * @module realtimeRoutes
+ * Logged-in clients open one long-lived `GET /api/events` stream. Other modules call `publishEvent`
+ * to push events (new notifications, friend request changes, friend activity) to the connected
+ * clients of the users involved.
+ * Every event gets an increasing ID and the latest events of each connected (or recently connected) user are kept
+ * in memory, so a client that reconnects with the `Last-Event-ID` header (browsers send it automatically) receives
+ * what it missed. A user's history is dropped `REPLAY_HISTORY_TTL_MS` after their last client disconnects.
+ * Connections and replay history live in this process only; they are not shared between server instances.
+ */
+
+// Import the 'express' library to create router instances
+import express from 'express';
+// Import process for the environment variables
+import process from 'process';
+// Import the session helper shared by the routers
+import { getSessionUserId } from './sessionAuth.js';
+
+/**
+ * Express router to mount the realtime stream on.
+ * @type {express.Router}
+ */
+const router = express.Router();
+
+/**
+ * Number of past events kept per user for `Last-Event-ID` replay.
+ * @type {number}
+ */
+const REPLAY_HISTORY_SIZE = Number(process.env.SSE_REPLAY_HISTORY_SIZE) || 100;
+
+/**
+ * How long (in milliseconds) a user's replay history is kept after their last client disconnects (default 10 minutes).
+ * Reconnecting within that time replays the missed events; users who never connect have no history at all.
+ * @type {number}
+ */
+const REPLAY_HISTORY_TTL_MS = Number(process.env.SSE_REPLAY_HISTORY_TTL_MS) || 10 * 60 * 1000;
+
+/**
+ * Interval (in milliseconds) between keep-alive comments, so proxies don't close idle streams.
+ * @type {number}
+ */
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+/**
+ * Delay (in milliseconds) the browser waits before reconnecting after the stream drops.
+ * @type {number}
+ */
+const RECONNECT_DELAY_MS = 3000;
+
+/**
+ * Open SSE responses, keyed by user ID (a user can have several tabs open).
+ * @type {Map<string, Set<express.Response>>}
+ */
+const clients = new Map();
+
+/**
+ * Recent events of each connected or recently disconnected user, oldest first, keyed by user ID.
+ * @type {Map<string, Array<{id: number, event: string, data: object}>>}
+ */
+const history = new Map();
+
+/**
+ * Timers dropping the history of users whose last client disconnected, keyed by user ID.
+ * @type {Map<string, NodeJS.Timeout>}
+ */
+const historyExpiryTimers = new Map();
+
+/**
+ * ID of the last published event. Seeded with the start time so IDs keep increasing across server restarts,
+ * which stops a reconnecting client from skipping new events because of an ID it saw before the restart.
+ * @type {number}
+ */
+let lastEventId = Date.now();
+
+/**
+ * Writes one event to an SSE response in the `text/event-stream` format.
+ * @param {express.Response} res - The open SSE response.
+ * @param {{id: number, event: string, data: object}} entry - The event to send.
+ */
+function writeEvent(res, { id, event, data }) {
+  res.write(`id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Pushes an event to every connected client of the given users and records it for replay.
+ * Safe to call for users who are not connected: the event is kept in their history if they disconnected
+ * recently, and dropped otherwise.
+ * @function publishEvent
+ * @param {Array<ObjectId|string>|ObjectId|string} userIds - The recipient user ID(s).
+ * @param {string} event - The event name (e.g., 'notification', 'friend_requests', 'activity').
+ * @param {object} data - The JSON-serializable event payload.
+ */
+export function publishEvent(userIds, event, data) {
+  const recipients = new Set((Array.isArray(userIds) ? userIds : [userIds]).map(id => id.toString()));
+  for (const userId of recipients) {
+    const entry = { id: ++lastEventId, event, data };
+
+    // Keep the latest events for replay, dropping the oldest ones (only users with a history, see above)
+    const userHistory = history.get(userId);
+    if (userHistory) {
+      userHistory.push(entry);
+      if (userHistory.length > REPLAY_HISTORY_SIZE) userHistory.shift();
+    }
+
+    for (const res of clients.get(userId) || []) writeEvent(res, entry);
+  }
+}
+
+/**
+ * @route GET /
+ * @description Opens the logged-in user's event stream (`text/event-stream`).
+ * Events: `notification` (a new notification, formatted like `GET /api/notifications` items),
+ * `friend_requests` (a friend request was sent, accepted, declined or cancelled) and
+ * `activity` (a new activity of the user or one of their friends).
+ * @param {string} [req.headers.last-event-id] - ID of the last event the client received; newer events are replayed first.
+ * @param {string} [req.query.lastEventId] - Same as the `Last-Event-ID` header, for clients that open a new `EventSource`.
+ * @returns {object} An open event stream, or `{ success: false, message: string }` with 401 if the user is not logged in.
+ */
+router.get('/', (req, res) => {
+  const sessionUserId = getSessionUserId(req);
+  // If no user in session, user is not logged in; return 401 Unauthorized
+  if (!sessionUserId) return res.status(401).json({ success: false, message: 'Not logged in' });
+  // Connections and history are keyed by the ID string
+  const userId = sessionUserId.toString();
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable response buffering in nginx-style proxies
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+
+  // Replay the events the client missed while it was disconnected.
+  // Browsers send the header on automatic reconnects; the query parameter covers manual reconnects.
+  const lastSeenId = Number(req.get('Last-Event-ID') || req.query.lastEventId);
+  if (lastSeenId) {
+    for (const entry of history.get(userId) || []) {
+      if (entry.id > lastSeenId) writeEvent(res, entry);
+    }
+  }
+
+  // Register the connection, and keep the user's history while they are connected
+  if (!clients.has(userId)) clients.set(userId, new Set());
+  clients.get(userId).add(res);
+  clearTimeout(historyExpiryTimers.get(userId));
+  historyExpiryTimers.delete(userId);
+  if (!history.has(userId)) history.set(userId, []);
+
+  // Comments keep the connection alive without triggering client events
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+
+  // Clean up when the client disconnects
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    const userClients = clients.get(userId);
+    if (!userClients) return;
+    userClients.delete(res);
+    if (userClients.size > 0) return;
+    clients.delete(userId);
+    // Last client gone: keep the history a while for a reconnect, then drop it
+    const expiryTimer = setTimeout(() => {
+      history.delete(userId);
+      historyExpiryTimers.delete(userId);
+    }, REPLAY_HISTORY_TTL_MS);
+    expiryTimer.unref();
+    historyExpiryTimers.set(userId, expiryTimer);
+  });
+});
+
+/**
+ * Exports the configured Express router for use in the main application.
+ * @default router
+ */
+export default router;
@@ -0,0 +1,64 @@
+/**
+ * @file reviewCleanup.js
+ * @description Deletes a review with everything that only exists because of it. Shared by authors deleting their
+ * review (`DELETE /api/reviews/:id`) and admins deleting or rejecting one (`DELETE /api/admin/reviews/:id`).
+ * Also removes the activities quoting a review, for admins hiding it.
+ */
+
+// Import Mongoose to start sessions on the connection the models use
+import mongoose from 'mongoose';
+// Import the models holding data about reviews
+import { Review, ReviewComment, Notification, ReviewDraft, Activity } from './utils.js';
+
+/**
+ * Notification types pointing to a review, removed along with it.
+ * @const {Array<string>}
+ */
+const REVIEW_NOTIFICATION_TYPES = ['review_like', 'review_dislike', 'review_comment', 'comment_reply'];
+
+/**
+ * Deletes a review, its comments and replies, the notifications about it, and its author's draft for the same
+ * show, season or episode, in a single transaction so a failure never leaves comments or notifications behind.
+ * The session comes from Mongoose rather than `mongoClient` (see `updateUsersAtomically` in `friends.js`),
+ * since the models use Mongoose's own connection. Open reports about the review are left to the caller.
+ * @async
+ * @param {object} review - The review (document or lean), with `_id`, `userId`, `showId`, `seasonNumber` and `episodeNumber`.
+ * @returns {Promise<void>} Resolves once everything is deleted; rejects (and rolls back) otherwise.
+ */
+export async function deleteReviewCascade(review) {
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      await Review.deleteOne({ _id: review._id }, { session });
+      await ReviewComment.deleteMany({ reviewId: review._id }, { session });
+      await Notification.deleteMany({ targetId: review._id.toString(), type: { $in: REVIEW_NOTIFICATION_TYPES } }, { session });
+      await ReviewDraft.deleteOne({
+        userId: review.userId,
+        showId: review.showId,
+        seasonNumber: review.seasonNumber ?? null,
+        episodeNumber: review.episodeNumber ?? null
+      }, { session });
+    });
+  } finally {
+    await session.endSession();
+  }
+}
+
+/**
+ * Deletes the 'review_create' and 'review_edit' activities of a review, which quote its rating and the start of
+ * its text, so a review hidden by a moderator doesn't stay readable in the activity feeds.
+ * Activities are matched by author, show, season and episode, as there is one review per slot.
+ * @async
+ * @param {object} review - The review (document or lean), with `userId`, `showId`, `seasonNumber` and `episodeNumber`.
+ * @returns {Promise<number>} The number of activities deleted.
+ */
+export async function deleteReviewActivities(review) {
+  const result = await Activity.deleteMany({
+    userId: review.userId,
+    action: { $in: ['review_create', 'review_edit'] },
+    targetId: review.showId.toString(),
+    'details.seasonNumber': review.seasonNumber ?? null,
+    'details.episodeNumber': review.episodeNumber ?? null
+  });
+  return result.deletedCount;
+}
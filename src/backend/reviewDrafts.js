@@ -0,0 +1,174 @@
+/**
+ * @file Express router for review drafts.
+ * @module reviewDraftRoutes
+ * The review forms autosave what the user is typing to the browser's localStorage and to this router,
+ * so an unsubmitted review survives closing the form, reloading the tab and switching devices.
+ * A user has at most one draft per show, season and episode; `POST /api/reviews` removes it once the review is submitted.
+ * Every route requires a logged-in user.
+ */
+
+// Import the 'express' library to create router instances
+import express from 'express';
+// Import the ReviewDraft model
+import { ReviewDraft } from './utils.js';
+// Import the session helpers shared by the routers
+import { requireUser } from './sessionAuth.js';
+// Import the shared rating scale to validate draft ratings
+import { isValidRating } from '../shared/ratingScale.js';
+// Import the shared parser of season and episode numbers
+import { parseLevelNumber } from '../shared/reviewLevels.js';
+
+/**
+ * Express router to mount review draft functions on.
+ * @type {express.Router}
+ */
+const router = express.Router();
+
+router.use(requireUser);
+
+/**
+ * Parses the show, season and episode a draft is for.
+ * @param {object} params - `req.query` or `req.body`.
+ * @returns {{ key?: { showId: string, seasonNumber: number|null, episodeNumber: number|null }, error?: string }}
+ *   The draft's key, or an error message.
+ */
+function parseDraftKey(params) {
+  const showId = params.showId != null ? String(params.showId).trim() : '';
+  if (!showId) return { error: 'showId is required' };
+  const seasonNumber = parseLevelNumber(params.seasonNumber, 0);
+  const episodeNumber = parseLevelNumber(params.episodeNumber, 1);
+  if (seasonNumber === undefined || episodeNumber === undefined) return { error: 'Invalid season or episode number' };
+  if (episodeNumber !== null && seasonNumber === null) return { error: 'An episode number requires a season number' };
+  return { key: { showId, seasonNumber, episodeNumber } };
+}
+
+/**
+ * Formats a draft for responses.
+ * @param {object} draft - The draft document (lean).
+ * @returns {object} The draft without its internal fields.
+ */
+function formatDraft(draft) {
+  return {
+    showId: draft.showId,
+    seasonNumber: draft.seasonNumber,
+    episodeNumber: draft.episodeNumber,
+    rating: draft.rating,
+    content: draft.content,
+    containsSpoiler: draft.containsSpoiler,
+    spoilerSeason: draft.spoilerSeason,
+    spoilerEpisode: draft.spoilerEpisode,
+    updatedAt: draft.updatedAt
+  };
+}
+
+/**
+ * @route GET /
+ * @description Gets the user's draft for a show, season or episode, or lists all their drafts when `showId` is omitted.
+ * @param {string} [req.query.showId] - The show of the draft.
+ * @param {number} [req.query.seasonNumber] - The season of a season or episode draft.
+ * @param {number} [req.query.episodeNumber] - The episode of an episode draft.
+ * @returns {object} JSON response:
+ * - `{ success: true, draft: object|null }` for one show, season or episode.
+ * - `{ success: true, drafts: Array<object> }` without `showId`, the most recently changed first.
+ * - `{ success: false, message: string }` on failure (400 for an invalid season or episode, 401 if not logged in, 500 for server errors).
+ * @async
+ */
+router.get('/', async (req, res) => {
+  try {
+    if (req.query.showId === undefined) {
+      const drafts = await ReviewDraft.find({ userId: req.userId }).sort({ updatedAt: -1 }).lean();
+      return res.json({ success: true, drafts: drafts.map(formatDraft) });
+    }
+    const { key, error } = parseDraftKey(req.query);
+    if (error) return res.status(400).json({ success: false, message: error });
+    const draft = await ReviewDraft.findOne({ userId: req.userId, ...key }).lean();
+    res.json({ success: true, draft: draft ? formatDraft(draft) : null });
+  } catch (error) {
+    console.error('Error fetching review drafts:', error);
+    res.status(500).json({ success: false, message: 'Server error fetching review drafts' });
+  }
+});
+
+/**
+ * @route PUT /
+ * @description Saves the user's draft for a show, season or episode. A draft with no rating and no text is removed.
+ * When the saved draft was changed more recently (e.g., on another device), it is kept and returned instead.
+ * @param {object} req.body - `showId`, optional `seasonNumber` and `episodeNumber`, and the form values:
+ *                            `rating` (on the rating scale, or null), `content` (max 2000 characters), `containsSpoiler`,
+ *                            `spoilerSeason` and `spoilerEpisode`. Optional `updatedAt`: when the draft was changed (defaults to now).
+ * @returns {object} JSON response:
+ * - `{ success: true, draft: object|null, stale: boolean }` on success; `stale` is true when a more recent draft was kept.
+ * - `{ success: false, message: string }` on failure (400 for invalid input, 401 if not logged in, 500 for server errors).
+ * @async
+ */
+router.put('/', async (req, res) => {
+  const { key, error } = parseDraftKey(req.body);
+  if (error) return res.status(400).json({ success: false, message: error });
+  const { rating = null, content = '', containsSpoiler = false } = req.body;
+  if (rating !== null && !isValidRating(rating)) return res.status(400).json({ success: false, message: 'Invalid rating value' });
+  if (typeof content !== 'string' || content.length > 2000) {
+    return res.status(400).json({ success: false, message: 'Draft content must be at most 2000 characters' });
+  }
+  const spoilerSeason = parseLevelNumber(req.body.spoilerSeason, 0);
+  const spoilerEpisode = parseLevelNumber(req.body.spoilerEpisode, 1);
+  if (spoilerSeason === undefined || spoilerEpisode === undefined) {
+    return res.status(400).json({ success: false, message: 'Invalid spoiler season or episode' });
+  }
+  // A timestamp from the future (a device with a wrong clock) would win every later comparison
+  const now = new Date();
+  const updatedAt = req.body.updatedAt ? new Date(req.body.updatedAt) : now;
+  if (Number.isNaN(updatedAt.getTime())) return res.status(400).json({ success: false, message: 'Invalid updatedAt' });
+  if (updatedAt > now) updatedAt.setTime(now.getTime());
+
+  try {
+    const filter = { userId: req.userId, ...key };
+    const existing = await ReviewDraft.findOne(filter).lean();
+    if (existing && existing.updatedAt > updatedAt) {
+      return res.json({ success: true, draft: formatDraft(existing), stale: true });
+    }
+    // Nothing left to keep
+    if (rating === null && !content.trim()) {
+      await ReviewDraft.deleteOne(filter);
+      return res.json({ success: true, draft: null, stale: false });
+    }
+    const draft = await ReviewDraft.findOneAndUpdate(
+      filter,
+      { $set: { rating, content, containsSpoiler: !!containsSpoiler, spoilerSeason, spoilerEpisode, updatedAt } },
+      { upsert: true, new: true, runValidators: true }
+    ).lean();
+    res.json({ success: true, draft: formatDraft(draft), stale: false });
+  } catch (error) {
+    if (error.name === 'ValidationError') return res.status(400).json({ success: false, message: error.message });
+    console.error('Error saving review draft:', error);
+    res.status(500).json({ success: false, message: 'Server error saving review draft' });
+  }
+});
+
+/**
+ * @route DELETE /
+ * @description Discards the user's draft for a show, season or episode.
+ * @param {string} req.query.showId - The show of the draft.
+ * @param {number} [req.query.seasonNumber] - The season of a season or episode draft.
+ * @param {number} [req.query.episodeNumber] - The episode of an episode draft.
+ * @returns {object} JSON response:
+ * - `{ success: true, deleted: boolean }` on success.
+ * - `{ success: false, message: string }` on failure (400 for invalid input, 401 if not logged in, 500 for server errors).
+ * @async
+ */
+router.delete('/', async (req, res) => {
+  const { key, error } = parseDraftKey(req.query);
+  if (error) return res.status(400).json({ success: false, message: error });
+  try {
+    const result = await ReviewDraft.deleteOne({ userId: req.userId, ...key });
+    res.json({ success: true, deleted: result.deletedCount > 0 });
+  } catch (error) {
+    console.error('Error deleting review draft:', error);
+    res.status(500).json({ success: false, message: 'Server error deleting review draft' });
+  }
+});
+
+/**
+ * Exports the configured Express router for use in the main application.
+ * @default router
+ */
+export default router;
@@ -36,7 +36,7 @@ import { connectToDatabase, userCollection, database } from './databaseConnectio
 // Import MongoClient and ObjectId from the mongodb driver
 import { MongoClient, ObjectId } from 'mongodb';
 // Import Mongoose models for Review, Activity, and User (though User model usage seems overridden by userCollection)
-import { Review, Activity, User } from './utils.js';
+import { Review, Activity, User, WatchProgress, Recommendation, Notification, ReviewComment, Report, ReviewDraft } from './utils.js';
 // Import Cloudinary v2 SDK for image and video management
 import { v2 as cloudinary } from 'cloudinary';
 // Import multer for handling multipart/form-data, primarily used for file uploads
@@ -47,8 +47,49 @@ import { CloudinaryStorage } from 'multer-storage-cloudinary';
 import axios from 'axios';
 // Import 'use' from 'react', its purpose in this backend context is unclear and might be unused or a remnant.
 import { use } from 'react';
-// Import the router for friend-related API endpoints
-import friendsRouter from './friends.js';
+// Import the router for friend-related API endpoints and the transactional update of two users
+import friendsRouter, { updateUsersAtomically } from './friends.js';
+// Import the router that proxies and caches TMDB API requests for the frontend
+import tmdbProxyRouter, { fetchTMDBCached } from './tmdbProxy.js';
+// Import the notifications router and the helper used to create notifications
+import notificationsRouter, { createNotification } from './notifications.js';
+// Import the realtime (Server-Sent Events) router
+import realtimeRouter from './realtime.js';
+// Import the moderation router (admin-only)
+import moderationRouter from './moderation.js';
+// Import the review drafts router
+import reviewDraftsRouter from './reviewDrafts.js';
+// Import the router for user-created show lists
+import listsRouter from './lists.js';
+// Import the router for imports from other trackers
+import importsRouter from './imports.js';
+// Import content screening, run on every review before it is saved
+import { screenReview } from './contentScreening.js';
+// Import the persistent show metadata cache
+import { getShowSummaries, startShowCacheRefresh } from './showCache.js';
+// Import the review level filter and the pagination cursors
+import { buildReviewLevelFilter, encodeSortCursor, decodeSortCursor } from './queryHelpers.js';
+// Import the session helper shared with the routers, to identify the viewer on public routes
+import { getSessionUserId } from './sessionAuth.js';
+// Import the activity log
+import { logActivity, fetchShowDetailsFromTMDB, PRIVATE_ACTIVITY_ACTIONS } from './activityLog.js';
+// Import the deletion of a review with its comments, notifications and draft
+import { deleteReviewCascade } from './reviewCleanup.js';
+// Import the show snapshots stored on reviews and activities
+import { takeShowSnapshot, showImageUrl, startShowSnapshotRefresh, fillMissingShowSnapshots } from './showSnapshots.js';
+// Import the shared review rating scale
+import { RATING_MIN, RATING_MAX, RATING_VALUES, isValidRating } from '../shared/ratingScale.js';
+// Import the shared spoiler protection rules
+import { SPOILER_MODES, DEFAULT_SPOILER_MODE, spoilerPoint, hasWatchedPast } from '../shared/spoilers.js';
+// Import the shared report reasons
+import { REPORT_REASONS, REPORT_DETAILS_MAX_LENGTH } from '../shared/reportReasons.js';
+// Import the shared parser of season and episode numbers
+import { parseLevelNumber } from '../shared/reviewLevels.js';
+// Import the shared rules for watchlist entries
+import {
+  WATCHLIST_STATUSES, DEFAULT_WATCHLIST_STATUS, WATCHLIST_PRIORITIES, DEFAULT_WATCHLIST_PRIORITY, WATCHLIST_TAG_MAX_LENGTH,
+  WATCHLIST_SORTS, normalizeWatchlistEntry
+} from '../shared/watchlist.js';
 
 // Get the current file's path (ES module equivalent of __filename)
 const __filename = fileURLToPath(import.meta.url);
@@ -181,11 +222,64 @@ app.use(session({
 
 // Mount the friendsRouter for all routes starting with /api/friends
 app.use('/api/friends', friendsRouter);
+// Mount the TMDB proxy for all routes starting with /api/tmdb (keeps the TMDB API key server-side)
+app.use('/api/tmdb', tmdbProxyRouter);
+// Mount the notificationsRouter for all routes starting with /api/notifications
+app.use('/api/notifications', notificationsRouter);
+// Mount the realtime event stream at /api/events
+app.use('/api/events', realtimeRouter);
+// Mount the moderation queue at /api/admin (admins only)
+app.use('/api/admin', moderationRouter);
+// Mount the review drafts at /api/reviews/drafts (before the `/api/reviews/:id` routes)
+app.use('/api/reviews/drafts', reviewDraftsRouter);
+// Mount the user-created show lists at /api/lists
+app.use('/api/lists', listsRouter);
+// Mount the imports from other trackers at /api/imports
+app.use('/api/imports', importsRouter);
+
+/**
+ * Gets the IDs of the users blocked by the logged-in user, if there is one.
+ * Works on public routes too: anonymous visitors simply have an empty block list.
+ * @async
+ * @function getBlockedUserIds
+ * @param {object} req - Express request object; the logged-in user is found with `getSessionUserId`.
+ * @returns {Promise<Array<ObjectId>>} The blocked users' IDs, or an empty array.
+ */
+async function getBlockedUserIds(req) {
+  const sessionUserId = getSessionUserId(req);
+  if (!sessionUserId) return [];
+  const viewer = await userCollection.findOne(
+    { _id: sessionUserId },
+    { projection: { blockedUsers: 1 } }
+  );
+  return (viewer?.blockedUsers || []).filter(id => ObjectId.isValid(id)).map(id => new ObjectId(id));
+}
+
+/**
+ * Gets the IDs of the logged-in user's friends, if there is one.
+ * Works on public routes too: anonymous visitors get `null` so callers can tell them apart from users without friends.
+ * @async
+ * @function getFriendIds
+ * @param {object} req - Express request object; the logged-in user is found with `getSessionUserId`.
+ * @returns {Promise<Array<ObjectId>|null>} The friends' IDs (possibly empty), or null for anonymous visitors.
+ */
+async function getFriendIds(req) {
+  const sessionUserId = getSessionUserId(req);
+  if (!sessionUserId) return null;
+  const viewer = await userCollection.findOne(
+    { _id: sessionUserId },
+    { projection: { friends: 1 } }
+  );
+  if (!viewer) return null;
+  // Friend lists store IDs as strings
+  return (viewer.friends || []).filter(id => ObjectId.isValid(id)).map(id => new ObjectId(id));
+}
 
 /**
  * @route GET /api/users
  * @description Searches for users by username or email.
  * Returns exact matches and similar (case-insensitive regex) matches separately.
+ * Users blocked by the logged-in user are left out.
  * @param {string} req.query.search - The search term for username or email.
  * @returns {object} JSON response:
  *  - `{ exactMatches: Array<User>, similarMatches: Array<User> }` on success.
@@ -202,8 +296,12 @@ app.get('/api/users', async (req, res) => {
   }
 
   try {
+    // Exclude users blocked by the logged-in user
+    const blockedIds = await getBlockedUserIds(req);
+
     // Find users with exact matches for username or email
     const exactMatches = await userCollection.find({
+      _id: { $nin: blockedIds },
       $or: [
         { username: search },
         { email: search }
@@ -212,6 +310,7 @@ app.get('/api/users', async (req, res) => {
 
     // Find users with similar (case-insensitive regex) matches for username or email
     const similarMatches = await userCollection.find({
+      _id: { $nin: blockedIds },
       $or: [
         { username: { $regex: search, $options: 'i' } },
         { email: { $regex: search, $options: 'i' } }
@@ -302,118 +401,6 @@ const authenticate = async (req, res, next) => {
   }
 };
 
-/**
- * Fetches TV show details from The Movie Database (TMDB) API.
- * @async
- * @function fetchShowDetailsFromTMDB
- * @param {string|number} showIdInput - The ID of the TV show to fetch from TMDB.
- * @returns {Promise<object>} A promise that resolves to an object containing the show's name and poster path.
- *  - `{ name: string, poster_path: string | null }` on success.
- *  - `{ name: string (error message), poster_path: null }` on failure (e.g., invalid ID, API key missing, TMDB error).
- */
-async function fetchShowDetailsFromTMDB(showIdInput) {
-  // Convert showIdInput to string for consistent handling
-  const showId = String(showIdInput);
-
-  // Validate showId
-  if (!showId || showId === "null" || showId === "undefined") {
-    console.warn('[FETCH_TMDB] Attempted to fetch show details with invalid or empty ID:', showIdInput);
-    return { name: `Unknown Show (ID: ${showIdInput})`, poster_path: null };
-  }
-
-  // Check if TMDB API key is available
-  if (!tmdbApiKey) {
-    console.error('[FETCH_TMDB] CRITICAL: TMDB_API_KEY is missing in environment variables!');
-    return { name: `Show #${showId} (API Key Missing)`, poster_path: null };
-  }
-
-  console.log(`[FETCH_TMDB] Fetching details for show ID: ${showId}`);
-  // Construct the request URL for TMDB API
-  const requestUrl = `${tmdbBaseUrl}/tv/${showId}`;
-  // Configure axios request
-  const axiosConfig = {
-    params: { api_key: tmdbApiKey }, // API key as a query parameter
-    timeout: 8000, // Request timeout of 8 seconds
-    headers: { 'Accept': 'application/json' } // Specify accepted response format
-  };
-
-  try {
-    console.log(`[FETCH_TMDB] Requesting URL: ${requestUrl} with key: ${tmdbApiKey.substring(0, 5)}...`);
-    // Make the GET request to TMDB API
-    const tvRes = await axios.get(requestUrl, axiosConfig);
-
-    // Check if response contains show name
-    if (tvRes.data && (tvRes.data.name || tvRes.data.original_name)) {
-      console.log(`[FETCH_TMDB] Success for ID ${showId}: ${tvRes.data.name || tvRes.data.original_name}`);
-      return {
-        name: tvRes.data.name || tvRes.data.original_name, // Use name or original_name
-        poster_path: tvRes.data.poster_path // Poster path
-      };
-    }
-    // Warn if no name is found in the response
-    console.warn(`[FETCH_TMDB] No name in TMDB response for ID ${showId}. Data:`, tvRes.data);
-    return { name: `Show #${showId} (Name Missing)`, poster_path: tvRes.data?.poster_path || null };
-
-  } catch (tvErr) {
-    // Log detailed error information if TMDB request fails
-    console.error(`[FETCH_TMDB] FAILED for ID ${showId}. URL: ${requestUrl}`, {
-      message: tvErr.message,
-      status: tvErr.response?.status,
-      responseData: tvErr.response?.data,
-    });
-    if (tvErr.response?.data?.status_message) {
-      console.error(`[FETCH_TMDB] TMDB Specific Error for ID ${showId}: ${tvErr.response.data.status_message}`);
-    }
-    return { name: `Show #${showId} (TMDB Fetch Error)`, poster_path: null };
-  }
-}
-
-/**
- * Logs a user activity to the database.
- * Fetches show details from TMDB if the activity is related to a show and `targetId` is provided.
- * Fetches user profile picture if the activity is 'profile_update'.
- * @async
- * @function logActivity
- * @param {ObjectId|string} userId - The ID of the user performing the action.
- * @param {string} action - The type of action performed (e.g., 'review_create', 'login').
- * @param {string|ObjectId|null} [targetId=null] - The ID of the target entity (e.g., show ID, review ID), if applicable.
- * @param {object} [details={}] - Additional details about the activity.
- * @returns {Promise<void>} A promise that resolves when the activity is logged or fails silently on error.
- */
-async function logActivity(userId, action, targetId = null, details = {}) {
-  try {
-    // For actions related to shows, fetch show details to enrich the log
-    if (['review_create', 'review_like', 'review_dislike', 'watchlist_add', 'watchlist_remove', 'mark_watched'].includes(action)) {
-      if (targetId) {
-        const showDetails = await fetchShowDetailsFromTMDB(targetId.toString());
-        details.showName = showDetails.name;
-        details.showImage = showDetails.poster_path ? `https://image.tmdb.org/t/p/w500${showDetails.poster_path}` : "https://via.placeholder.com/300x450";
-      } else if (!['profile_update', 'login', 'logout', 'account_creation'].includes(action)) {
-        // Warn if targetId is missing for actions that usually require it
-        console.warn(`[LOG_ACTIVITY] Target ID missing for relevant action: ${action}`);
-      }
-    }
-    // For profile updates, include the (new) profile photo URL in details
-    if (action === 'profile_update') {
-      const userToLog = await userCollection.findOne({ _id: new ObjectId(userId) });
-      if (userToLog) details.profilePhoto = userToLog.profilePic || '';
-    }
-    // Create a new Activity document using the Mongoose model
-    const activity = new Activity({
-      userId: new ObjectId(userId), // Ensure userId is an ObjectId
-      action,
-      targetId: targetId ? targetId.toString() : null, // Store targetId as string
-      details,
-    });
-    // Save the activity to the database
-    await activity.save();
-    console.log(`[LOG_ACTIVITY] Logged: User ${userId}, Action ${action}, Target ${targetId || 'N/A'}`);
-  } catch (error) {
-    // Log errors during activity logging but don't let it crash the main operation
-    console.error('[LOG_ACTIVITY] Failed:', { message: error.message, userId, action, targetId });
-  }
-}
-
 // Serve static files from the '../../dist' directory (typically the frontend build output)
 app.use(express.static(path.join(__dirname, '../../dist')));
 
@@ -463,6 +450,7 @@ app.post('/api/signup', async (req, res) => {
       friends: [], // Initialize empty friends list
       friendRequestsSent: [], // Initialize empty sent friend requests list
       friendRequestsRecieved: [], // Initialize empty received friend requests list
+      blockedUsers: [], // Initialize empty block list
 	  createdAt: new Date(), // Record creation timestamp
 	  updatedAt: new Date() // Record update timestamp
     });
@@ -554,8 +542,40 @@ app.post('/api/login', async (req, res) => {
 app.get('/api/user', authenticate, (req, res) => {
   // Destructure password from currentUser and spread the rest into userWithoutPassword
   const { password, ...userWithoutPassword } = req.currentUser;
-  // Respond with user details, ensuring _id is a string
-  res.json({ ...userWithoutPassword, _id: userWithoutPassword._id.toString() });
+  // Respond with user details, ensuring _id is a string and the watchlist holds entries
+  res.json({
+    ...userWithoutPassword,
+    _id: userWithoutPassword._id.toString(),
+    watchlist: (userWithoutPassword.watchlist || []).map(normalizeWatchlistEntry)
+  });
+});
+
+/**
+ * @route PUT /api/user/settings
+ * @description Updates the authenticated user's settings. Currently only the spoiler protection mode,
+ * which decides which spoiler reviews are blurred for the user (see `applySpoilerProtection`).
+ * Uses the `authenticate` middleware.
+ * @param {object} req.body - Expected property: `spoilerProtection` ('progress', 'all' or 'off').
+ * @param {object} req - Express request object, `req.currentUserId` is populated by `authenticate` middleware.
+ * @returns {object} JSON response:
+ *  - `{ success: true, settings: { spoilerProtection: string } }` on success.
+ *  - `{ success: false, message: string }` on failure (400 for an invalid mode, 500 for server error).
+ * @async
+ */
+app.put('/api/user/settings', authenticate, async (req, res) => {
+  const { spoilerProtection } = req.body;
+  // Validate the spoiler protection mode
+  if (!SPOILER_MODES.includes(spoilerProtection)) {
+    return res.status(400).json({ success: false, message: `Invalid spoiler protection. Must be one of: ${SPOILER_MODES.join(', ')}` });
+  }
+  try {
+    await userCollection.updateOne({ _id: req.currentUserId }, { $set: { spoilerProtection } });
+    res.json({ success: true, settings: { spoilerProtection } });
+  } catch (error) {
+    // Log and respond with a 500 Internal Server Error if saving the settings fails
+    console.error('Error updating user settings:', error);
+    res.status(500).json({ success: false, message: 'Failed to update settings' });
+  }
 });
 
 /**
@@ -565,7 +585,8 @@ app.get('/api/user', authenticate, (req, res) => {
  * Uses the `authenticate` middleware.
  * @param {object} req - Express request object, `req.currentUser` is populated by `authenticate` middleware.
  * @returns {object} JSON response:
- *  - `{ success: true, username: string, profilePic: string|null, watchlist: Array, email: string, _id: string }` on success.
+ *  - `{ success: true, username: string, profilePic: string|null, watchlist: Array<object>, email: string, _id: string }` on success.
+ *    The watchlist holds entries (`showId`, `addedAt`, `status`, `priority`, `tag`).
  * @async
  */
 app.get('/api/getUserInfo', authenticate, (req, res) => {
@@ -574,24 +595,212 @@ app.get('/api/getUserInfo', authenticate, (req, res) => {
     success: true,
     username: req.currentUser.username,
     profilePic: req.currentUser.profilePic || null, // Profile picture URL or null
-    watchlist: req.currentUser. watchlist || [], // User's watchlist or empty array
+    watchlist: (req.currentUser.watchlist || []).map(normalizeWatchlistEntry), // User's watchlist entries or empty array
     email: req.currentUser.email,
     _id: req.currentUser._id.toString() // User ID as string
   });
 });
 
+/**
+ * Filter leaving out the reviews hidden by a moderator and the reviews held by content screening until an admin
+ * approves them (reviews saved before moderation existed have neither `hidden` nor `status`).
+ * Merge it into every query that lists reviews or computes statistics from them.
+ * @const {object}
+ */
+const VISIBLE_REVIEWS = { hidden: { $ne: true }, status: { $ne: 'pending' } };
+/**
+ * Filter for authors listing their own reviews: they also see their reviews pending moderation,
+ * but never the ones hidden by a moderator.
+ * @const {object}
+ */
+const AUTHOR_VISIBLE_REVIEWS = { hidden: { $ne: true } };
+
+/**
+ * Builds the filter for looking up a single review the logged-in viewer may see:
+ * a visible review, or one of their own reviews still pending moderation.
+ * @param {object} req - Express request object.
+ * @returns {object} A query filter to merge into the review lookup.
+ */
+function viewableReviewFilter(req) {
+  const viewerId = getSessionUserId(req);
+  if (!viewerId) return VISIBLE_REVIEWS;
+  return { $or: [VISIBLE_REVIEWS, { userId: viewerId, ...AUTHOR_VISIBLE_REVIEWS }] };
+}
+
+/**
+ * Screens a review about to be saved (see `contentScreening.js`) and records the outcome on it:
+ * flagged reviews become 'pending' until an admin approves them, others are published.
+ * @async
+ * @function applyContentScreening
+ * @param {mongoose.Document} review - The review document, with its new content set.
+ * @returns {Promise<boolean>} True if the review was held for moderation.
+ */
+async function applyContentScreening(review) {
+  const { flagged, flags, fingerprint } = await screenReview({
+    userId: review.userId,
+    content: review.content,
+    reviewId: review.isNew ? null : review._id
+  });
+  review.status = flagged ? 'pending' : 'published';
+  review.screeningFlags = flags;
+  review.contentHash = fingerprint;
+  return flagged;
+}
+
+/**
+ * Validates the spoiler tag of a review: how far (season and episode) a spoiler review spoils.
+ * Reviews that are not spoilers never keep a tag. A tag is optional, but needs both numbers when given.
+ * @function parseSpoilerTag
+ * @param {object} fields - `containsSpoiler`, `spoilerSeason` and `spoilerEpisode` (usually from `req.body`).
+ * @returns {{ tag?: { containsSpoiler: boolean, spoilerSeason: number|null, spoilerEpisode: number|null }, error?: string }}
+ *   The fields to save, or an error message for a 400 response.
+ */
+function parseSpoilerTag({ containsSpoiler, spoilerSeason, spoilerEpisode }) {
+  if (!containsSpoiler) return { tag: { containsSpoiler: false, spoilerSeason: null, spoilerEpisode: null } };
+  const season = parseLevelNumber(spoilerSeason, 0);
+  const episode = parseLevelNumber(spoilerEpisode, 1);
+  if (season === undefined || episode === undefined) return { error: 'Invalid spoiler season or episode number' };
+  if ((season === null) !== (episode === null)) return { error: 'A spoiler tag needs both a season and an episode number' };
+  return { tag: { containsSpoiler: true, spoilerSeason: season, spoilerEpisode: episode } };
+}
+
+/**
+ * Sums up what a user has watched of each show.
+ * Uses the `WatchProgress` records plus the `watchedHistory` summary, which still holds episodes marked before
+ * `WatchProgress` existed. Specials (season 0) don't count.
+ * @async
+ * @function getWatchedShows
+ * @param {object} user - The user document (with `_id` and optional `watchedHistory`).
+ * @param {Array<string>|null} [showIds=null] - The TMDB IDs of the shows, or `null` for every show.
+ * @returns {Promise<Map<string, { seasonNumber: number, episodeNumber: number, lastWatchedAt: Date|null, episodeIds: Set<string> }>>}
+ *   Per show ID, the furthest episode watched, when the user last watched an episode and the TMDB IDs of the episodes
+ *   watched, for the shows the user has watched something of.
+ */
+async function getWatchedShows(user, showIds = null) {
+  const records = await WatchProgress.aggregate([
+    { $match: { userId: user._id, ...(showIds ? { showId: { $in: showIds } } : {}), seasonNumber: { $gt: 0 } } },
+    { $sort: { seasonNumber: -1, episodeNumber: -1 } },
+    {
+      $group: {
+        _id: '$showId',
+        seasonNumber: { $first: '$seasonNumber' }, // First after sorting = furthest episode
+        episodeNumber: { $first: '$episodeNumber' },
+        lastWatchedAt: { $max: '$watchedAt' },
+        episodeIds: { $push: '$episodeId' }
+      }
+    }
+  ]);
+  const watched = new Map(records.map(r => [r._id, {
+    seasonNumber: r.seasonNumber,
+    episodeNumber: r.episodeNumber,
+    lastWatchedAt: r.lastWatchedAt,
+    episodeIds: new Set(r.episodeIds.map(String))
+  }]));
+
+  (user.watchedHistory || []).filter(entry => !showIds || showIds.includes(entry.showId)).forEach(entry => {
+    (entry.episodes || []).forEach(ep => {
+      const episode = { seasonNumber: Number(ep.seasonNumber) || 0, episodeNumber: Number(ep.number) || 0 };
+      if (episode.seasonNumber === 0) return;
+      const show = watched.get(entry.showId);
+      const watchedAt = ep.watchedAt || entry.lastWatchedAt || null;
+      if (!show) {
+        watched.set(entry.showId, { ...episode, lastWatchedAt: watchedAt, episodeIds: new Set(ep.id ? [ep.id.toString()] : []) });
+        return;
+      }
+      if (!hasWatchedPast(show, episode)) Object.assign(show, episode);
+      if (watchedAt && (!show.lastWatchedAt || new Date(watchedAt) > new Date(show.lastWatchedAt))) show.lastWatchedAt = watchedAt;
+      if (ep.id) show.episodeIds.add(ep.id.toString());
+    });
+  });
+  return watched;
+}
+
+/**
+ * Finds the furthest episode a user has watched in each of the given shows (see `getWatchedShows`).
+ * @async
+ * @function getFurthestEpisodes
+ * @param {object} user - The user document (with `_id` and optional `watchedHistory`).
+ * @param {Array<string>} showIds - The TMDB IDs of the shows.
+ * @returns {Promise<Map<string, { seasonNumber: number, episodeNumber: number }>>} The furthest episode per show ID,
+ *   for the shows the user has watched something of.
+ */
+async function getFurthestEpisodes(user, showIds) {
+  const watched = await getWatchedShows(user, showIds);
+  return new Map([...watched].map(([showId, show]) => [showId, { seasonNumber: show.seasonNumber, episodeNumber: show.episodeNumber }]));
+}
+
+/**
+ * Marks the spoiler reviews the viewer should not read yet with `spoilerHidden: true`, following their
+ * spoiler protection setting (see `src/shared/spoilers.js`):
+ * - 'progress' (default): hidden unless the viewer watched the episode the review spoils up to.
+ *   Spoilers without a tag spoil the whole show and stay hidden.
+ * - 'all': every spoiler is hidden. Also used for logged-out visitors.
+ * - 'off': nothing is hidden.
+ * The viewer's own reviews are never hidden. The content is still sent, so the client can reveal a review on request.
+ * @async
+ * @function applySpoilerProtection
+ * @param {object} req - Express request object; the logged-in user is found with `getSessionUserId`.
+ * @param {Array<object>} reviews - Formatted reviews (with `showId`, `userId`, `containsSpoiler` and the spoiler tag).
+ * @returns {Promise<Array<object>>} The reviews, each with a `spoilerHidden` flag.
+ */
+async function applySpoilerProtection(req, reviews) {
+  if (!reviews.some(review => review.containsSpoiler)) return reviews.map(review => ({ ...review, spoilerHidden: false }));
+
+  const sessionUserId = getSessionUserId(req);
+  const viewer = sessionUserId
+    ? await userCollection.findOne({ _id: sessionUserId }, { projection: { spoilerProtection: 1, watchedHistory: 1 } })
+    : null;
+  const mode = viewer ? (viewer.spoilerProtection || DEFAULT_SPOILER_MODE) : 'all';
+  const furthestByShow = mode === 'progress'
+    ? await getFurthestEpisodes(viewer, [...new Set(reviews.filter(review => review.containsSpoiler).map(review => String(review.showId)))])
+    : new Map();
+
+  return reviews.map(review => {
+    const authorId = String(review.userId?._id || review.userId);
+    const hidden = !!review.containsSpoiler &&
+      mode !== 'off' &&
+      !(viewer && authorId === viewer._id.toString()) &&
+      (mode === 'all' || !hasWatchedPast(furthestByShow.get(String(review.showId)), spoilerPoint(review)));
+    return { ...review, spoilerHidden: hidden };
+  });
+}
+
+/**
+ * Counts the comments (including replies) of each review.
+ * @async
+ * @function getCommentCounts
+ * @param {Array<ObjectId|string>} reviewIds - The IDs of the reviews.
+ * @returns {Promise<Map<string, number>>} Comment counts keyed by review ID string; reviews without comments are missing.
+ */
+async function getCommentCounts(reviewIds) {
+  if (reviewIds.length === 0) return new Map();
+  const counts = await ReviewComment.aggregate([
+    { $match: { reviewId: { $in: reviewIds.map(id => new ObjectId(id.toString())) } } },
+    { $group: { _id: '$reviewId', count: { $sum: 1 } } }
+  ]);
+  return new Map(counts.map(c => [c._id.toString(), c.count]));
+}
+
 /**
  * @route GET /api/reviews
- * @description Fetches reviews, optionally filtered by showId or userId, with sorting and pagination.
+ * @description Fetches reviews, optionally filtered by showId, userId and level (show, season or episode),
+ * with sorting and pagination.
  * Populates user details (username, profilePic) for each review.
+ * Reviews by users the logged-in viewer has blocked are left out, and so are reviews hidden by a moderator and
+ * reviews pending moderation (unless the viewer asks for their own reviews with `userId`; those include pending ones).
  * @param {string} [req.query.showId] - ID of the show to filter reviews by.
- * @param {string} [req.query.sort='latest'] - Sort order ('latest', 'popular', 'relevant').
+ * @param {string} [req.query.level='all'] - 'show', 'season', 'episode' or 'all' (see `buildReviewLevelFilter`).
+ * @param {number} [req.query.seasonNumber] - Only reviews of this season (season-level by default, see `level`).
+ * @param {number} [req.query.episodeNumber] - Only reviews of this episode of `seasonNumber`.
+ * @param {string} [req.query.sort='latest'] - Sort order ('latest' or 'relevant'). Sorting a show's reviews by likes,
+ *                                             rating or friends is done by `GET /api/reviews/show/:showId`.
  * @param {string} [req.query.userId] - ID of the user to filter reviews by.
  * @param {number} [req.query.page=1] - Page number for pagination.
  * @param {number} [req.query.limit=10] - Number of reviews per page.
  * @returns {object} JSON response:
  *  - `{ reviews: Array<Review>, currentPage: number, totalPages: number, totalReviews: number }` on success.
- *  - `{ error: string, details?: string }` on failure (500 for server error).
+ *    Each review includes a `commentCount` and a `spoilerHidden` flag (see `applySpoilerProtection`).
+ *  - `{ error: string, details?: string }` on failure (400 for invalid level filters, 500 for server error).
  * @async
  */
 app.get('/api/reviews', async (req, res) => {
@@ -606,11 +815,19 @@ app.get('/api/reviews', async (req, res) => {
     // Initialize query object for Mongoose
     let query = {};
     if (showId) query.showId = showId.toString(); // Filter by showId if provided
-    if (userId) query.userId = new ObjectId(userId); // Filter by userId if provided (convert to ObjectId)
+    // Filter by level (show, season or episode) and by season and episode number if provided
+    const { filter: levelFilter, error: levelError } = buildReviewLevelFilter(req.query, 'all');
+    if (levelError) return res.status(400).json({ error: levelError });
+    query = { ...query, ...levelFilter };
+    // Always leave out users blocked by the viewer, and filter by userId if provided (convert to ObjectId)
+    const blockedIds = await getBlockedUserIds(req);
+    query.userId = { $nin: blockedIds };
+    if (userId) query.userId.$eq = new ObjectId(userId);
+    // Leave out hidden reviews, and pending ones except for their authors looking up their own reviews
+    query = { ...query, ...(userId && userId === getSessionUserId(req)?.toString() ? AUTHOR_VISIBLE_REVIEWS : VISIBLE_REVIEWS) };
 
     // Define sort options based on 'sort' query parameter
     let sortOptions = { createdAt: -1 }; // Default: latest first
-    if (sort === 'popular') sortOptions = { likesCount: -1, createdAt: -1 }; // Popular: most likes, then latest
     if (sort === 'relevant') sortOptions = { rating: -1, createdAt: -1 }; // Relevant: highest rating, then latest
 
     // Fetch reviews from database with query, sort, skip, and limit
@@ -620,17 +837,25 @@ app.get('/api/reviews', async (req, res) => {
       .lean(); // Use .lean() for plain JavaScript objects
     // Count total number of reviews matching the query (for pagination)
     const totalReviews = await Review.countDocuments(query);
+    // Count the comments of each review on this page
+    const commentCounts = await getCommentCounts(reviews.map(r => r._id));
 
     // Format reviews for response
     const formattedReviews = reviews.map(r => ({
       ...r, id: r._id.toString(), _id: r._id.toString(), // Ensure _id and id are strings
+      commentCount: commentCounts.get(r._id.toString()) || 0, // Number of comments and replies
       username: r.userId?.username || "Anonymous", // Use populated username or "Anonymous"
       userProfilePic: r.userId?.profilePic, // Use populated profile picture
       likes: Array.isArray(r.likes) ? r.likes.map(id => id.toString()) : [], // Ensure likes are string IDs
       dislikes: Array.isArray(r.dislikes) ? r.dislikes.map(id => id.toString()) : [], // Ensure dislikes are string IDs
     }));
-    // Respond with formatted reviews and pagination info
-    res.json({ reviews: formattedReviews, currentPage: pageNum, totalPages: Math.ceil(totalReviews / limitNum), totalReviews });
+    // Respond with formatted reviews (spoilers the viewer hasn't reached are flagged) and pagination info
+    res.json({
+      reviews: await applySpoilerProtection(req, formattedReviews),
+      currentPage: pageNum,
+      totalPages: Math.ceil(totalReviews / limitNum),
+      totalReviews
+    });
   } catch (error) {
     // Log and respond with a 500 Internal Server Error if fetching reviews fails
     console.error('Error fetching reviews:', error);
@@ -638,55 +863,116 @@ app.get('/api/reviews', async (req, res) => {
   }
 });
 
+/**
+ * Error message for ratings that are not on the shared rating scale.
+ * @const {string}
+ */
+const INVALID_RATING_MESSAGE = `Invalid rating value. Must be between ${RATING_MIN} and ${RATING_MAX} in steps of half an apple.`;
+
 /**
  * @route POST /api/reviews
- * @description Creates a new review for a show.
- * Requires authentication. Validates input data.
- * Logs 'review_create' activity.
- * @param {object} req.body - Expected properties: `rating` (number 0-5), `content` (string), `containsSpoiler` (boolean), `showId` (string).
+ * @description Creates the logged-in user's review of a show, season or episode, or updates it if they already
+ * reviewed it: a user has one review per show, per season and per episode. Updating keeps the replaced version
+ * in the review's `editHistory`. The user's draft of the review (see `reviewDrafts.js`) is removed.
+ * Requires authentication. Validates input data. The text goes through content screening (see `contentScreening.js`).
+ * Logs 'review_create' activity, or 'review_edit' when an existing review is updated, unless the review is held for moderation.
+ * @param {object} req.body - Expected properties: `rating` (number on the rating scale, 1-5 in steps of 0.5), `content` (string), `containsSpoiler` (boolean), `showId` (string).
+ *                            Optional: `seasonNumber` (integer >= 0) to review a season, plus `episodeNumber` (integer >= 1) to review one of its episodes.
+ *                            Optional for spoilers: `spoilerSeason` and `spoilerEpisode`, the episode the review spoils up to.
  * @param {object} req - Express request object, `req.currentUser` is populated by `authenticate` middleware.
  * @returns {object} JSON response:
- *  - The created and populated review object on success (201).
+ *  - The created (201) or updated (200) and populated review object on success; `updated` tells which one happened.
+ *    `status` is 'pending' when content screening held the review: only its author sees it until an admin approves it.
  *  - `{ error: string, details?: string }` on failure (400 for validation, 500 for server error).
  * @async
  */
 app.post('/api/reviews', authenticate, async (req, res) => {
   try {
     // Destructure review data from request body
-    const { rating, content, containsSpoiler, showId } = req.body;
+    const { rating, content, showId } = req.body;
     // Get logged-in user from `req.currentUser` (set by `authenticate` middleware)
     const loggedInUser = req.currentUser;
     // Validate required fields
     if (!showId || content === undefined || rating === undefined) {
       return res.status(400).json({ error: 'Missing required fields: showId, content, and rating are required' });
     }
-    // Validate rating value
-    if (typeof rating !== 'number' || rating < 0 || rating > 5) {
-      return res.status(400).json({ error: 'Invalid rating value. Must be between 0 and 5.' });
+    // Validate rating value against the shared rating scale
+    if (!isValidRating(rating)) {
+      return res.status(400).json({ error: INVALID_RATING_MESSAGE });
     }
-    // Prepare review data object
-    const reviewData = {
-      showId: showId.toString(), userId: loggedInUser._id, username: loggedInUser.username, // Store username denormalized, though populate is used later
-      rating, content, containsSpoiler: !!containsSpoiler, // Ensure containsSpoiler is boolean
-      likes: [], dislikes: [], createdAt: new Date() // Initialize likes, dislikes, and timestamp
-    };
-    // Create a new Review document
-    const review = new Review(reviewData);
-    // Save the review to the database
+
+    // Validate the optional season and episode numbers
+    const seasonNumber = parseLevelNumber(req.body.seasonNumber, 0);
+    const episodeNumber = parseLevelNumber(req.body.episodeNumber, 1);
+    if (seasonNumber === undefined || episodeNumber === undefined) {
+      return res.status(400).json({ error: 'Invalid season or episode number' });
+    }
+    if (episodeNumber !== null && seasonNumber === null) {
+      return res.status(400).json({ error: 'An episode number requires a season number' });
+    }
+    const level = { seasonNumber, episodeNumber };
+    // Validate the optional spoiler tag
+    const { tag: spoiler, error: spoilerError } = parseSpoilerTag(req.body);
+    if (spoilerError) return res.status(400).json({ error: spoilerError });
+
+    // A repeat submission for the same show, season or episode updates the user's existing review
+    let review = await Review.findOne({ userId: loggedInUser._id, showId: showId.toString(), ...level });
+    const updated = !!review;
+    if (review) {
+      // Keep the version being replaced, then apply the new values
+      const editedAt = new Date();
+      review.editHistory.push({
+        rating: review.rating,
+        content: review.content,
+        containsSpoiler: review.containsSpoiler,
+        spoilerSeason: review.spoilerSeason,
+        spoilerEpisode: review.spoilerEpisode,
+        editedAt
+      });
+      review.rating = rating;
+      review.content = content;
+      review.set(spoiler);
+      review.editedAt = editedAt;
+    } else {
+      // Prepare a new Review document
+      review = new Review({
+        showId: showId.toString(), ...level, userId: loggedInUser._id, username: loggedInUser.username, // Store username denormalized, though populate is used later
+        rating, content, ...spoiler, // The spoiler flag (as a boolean) and its tag
+        likes: [], dislikes: [], createdAt: new Date() // Initialize likes, dislikes, and timestamp
+      });
+    }
+    // Store (or update) the snapshot of the show's name and poster, read by the review lists
+    await takeShowSnapshot(review);
+    // Screen the text, holding flagged reviews for moderation, and save the review to the database
+    const pending = await applyContentScreening(review);
     const savedReview = await review.save();
+    // The draft of this review is no longer needed
+    await ReviewDraft.deleteOne({ userId: loggedInUser._id, showId: showId.toString(), ...level });
     // Populate user details for the saved review
     const populatedReview = await Review.findById(savedReview._id).populate('userId', 'username profilePic').lean();
     // Format the review for response
     const formattedReview = {
       ...populatedReview, id: populatedReview._id.toString(), _id: populatedReview._id.toString(),
       username: populatedReview.userId?.username || "Anonymous", userProfilePic: populatedReview.userId?.profilePic,
-      likes: [], dislikes: [] // Ensure likes/dislikes are initialized as empty arrays in response for a new review
+      likes: populatedReview.likes.map(id => id.toString()), // Ensure likes are string IDs
+      dislikes: populatedReview.dislikes.map(id => id.toString()), // Ensure dislikes are string IDs
+      updated
     };
-    // Log the review creation activity
-    await logActivity(loggedInUser._id, 'review_create', showId.toString(), { rating, contentSummary: content.substring(0, 50) });
-    // Respond with the created review (201 Created)
-    return res.status(201).json(formattedReview);
+    // Log the review creation (or edit) activity; pending reviews are logged once an admin approves them
+    if (pending) {
+      console.log(`[REVIEW] Review ${formattedReview._id} by ${loggedInUser.username} is pending moderation`);
+    } else if (updated) {
+      await logActivity(loggedInUser._id, 'review_edit', showId.toString(), { reviewId: formattedReview._id, rating, ...level });
+    } else {
+      await logActivity(loggedInUser._id, 'review_create', showId.toString(), { rating, contentSummary: content.substring(0, 50), ...level });
+    }
+    // Respond with the created (201 Created) or updated review
+    return res.status(updated ? 200 : 201).json(formattedReview);
   } catch (error) {
+    // Schema validation failures are client errors
+    if (error.name === 'ValidationError') return res.status(400).json({ error: 'Invalid review data', details: error.message });
+    // Two simultaneous first submissions for the same show: the unique index lets only one through
+    if (error.code === 11000) return res.status(409).json({ error: 'You have already reviewed this. Please try again.' });
     // Log and respond with a 500 Internal Server Error if review creation fails
     console.error('Review creation error:', error);
     return res.status(500).json({ error: 'Database operation failed creating review', details: error.message });
@@ -696,26 +982,26 @@ app.post('/api/reviews', authenticate, async (req, res) => {
 /**
  * @route GET /api/reviews/most-liked
  * @description Fetches a list of the most liked reviews.
- * Reviews are augmented with show details (name, poster) from TMDB and user details.
+ * Reviews by users the logged-in viewer has blocked and reviews hidden by a moderator are left out.
+ * Reviews are augmented with user details; their show details (name, poster) are the snapshots stored on the reviews.
  * @param {number} [req.query.limit=8] - The maximum number of most liked reviews to return.
  * @returns {object} JSON response:
- *  - `{ reviews: Array<ReviewWithShowDetails> }` on success. `ReviewWithShowDetails` includes review data, user data, and TMDB show data.
- *  - `{ error: string, details?: string }` on failure (500 for server or TMDB API error).
+ *  - `{ reviews: Array<ReviewWithShowDetails> }` on success. `ReviewWithShowDetails` includes review data, user data, show data,
+ *    a `commentCount` and a `spoilerHidden` flag (see `applySpoilerProtection`).
+ *  - `{ error: string, details?: string }` on failure (500 for server error).
  * @async
  */
 app.get('/api/reviews/most-liked', async (req, res) => {
   try {
-    // Check if TMDB API key is configured
-    if (!tmdbApiKey) {
-      console.error('TMDB API key is not configured in server.js global scope for /api/reviews/most-liked.');
-      return res.status(500).json({ error: 'TMDB API key not configured on server.' });
-    }
-
     // Get limit from query parameters, default to 8
     const { limit = 8 } = req.query;
 
+    // Leave out reviews by users blocked by the viewer
+    const blockedIds = await getBlockedUserIds(req);
+
     // Aggregate pipeline to find most liked reviews
     const mostLikedReviews = await Review.aggregate([
+      { $match: { userId: { $nin: blockedIds }, ...VISIBLE_REVIEWS } },
       {
         // Add a field 'likesCount' representing the number of likes
         $addFields: {
@@ -738,53 +1024,31 @@ app.get('/api/reviews/most-liked', async (req, res) => {
       // Deconstruct the 'user' array (assuming one user per review)
       { $unwind: "$user" }
     ]);
+    // Fill in the show snapshots of reviews written before snapshots existed
+    await fillMissingShowSnapshots(mostLikedReviews);
 
-    // Format reviews and fetch show details from TMDB for each
-    const formattedReviews = await Promise.all(
-      mostLikedReviews.map(async (review) => {
-        let showData = { name: 'Unknown Show', poster_path: null };
-
-        // If review has a showId, fetch details from TMDB
-        if (review.showId) {
-          try {
-            const tmdbUrl = `${tmdbBaseUrl}/tv/${review.showId}`;
-            // Make request to TMDB API
-            const response = await axios.get(tmdbUrl, {
-              params: { api_key: tmdbApiKey },
-              timeout: 5000 // 5-second timeout for TMDB request
-            });
-
-            // If TMDB response has data, update showData
-            if (response.data) {
-              showData.name = response.data.name || response.data.original_name || 'Unknown Show';
-              showData.poster_path = response.data.poster_path;
-            }
-          } catch (apiError) {
-            // Log error if TMDB fetch fails for a specific show
-            console.error(`Failed to fetch show details for ID ${review.showId}:`, apiError.message);
-            showData.name = `Show ID: ${review.showId} (Fetch Error)`;
-          }
-        }
+    // Count the comments of each review
+    const commentCounts = await getCommentCounts(mostLikedReviews.map(r => r._id));
 
-        // Return formatted review object
-        return {
-          ...review,
-          id: review._id.toString(), // Ensure ID is a string
-          userProfilePic: review.user?.profilePic || "/img/profilePhotos/generic_profile_picture.jpg", // User profile pic or default
-          username: review.user?.username, // Username
-          showName: showData.name, // Show name from TMDB
-          posterPath: showData.poster_path,  // Show poster path from TMDB
-          showImage: showData.poster_path // Full URL for show image
-            ? `https://image.tmdb.org/t/p/w500${showData.poster_path}`
-            : "https://via.placeholder.com/300x450", // Placeholder if no image
-          likes: Array.isArray(review.likes) ? review.likes.map(id => id.toString()) : [], // Ensure likes are string IDs
-          dislikes: Array.isArray(review.dislikes) ? review.dislikes.map(id => id.toString()) : [] // Ensure dislikes are string IDs
-        };
-      })
-    );
+    // Format reviews, with the show snapshots stored on them
+    const formattedReviews = mostLikedReviews.map((review) => {
+      // Return formatted review object
+      return {
+        ...review,
+        id: review._id.toString(), // Ensure ID is a string
+        commentCount: commentCounts.get(review._id.toString()) || 0, // Number of comments and replies
+        userProfilePic: review.user?.profilePic || "/img/profilePhotos/generic_profile_picture.jpg", // User profile pic or default
+        username: review.user?.username, // Username
+        showName: review.showName || 'Unknown Show', // Show name snapshot
+        posterPath: review.posterPath || null,  // Show poster path snapshot
+        showImage: showImageUrl(review.posterPath), // Full URL for show image (placeholder if no image)
+        likes: Array.isArray(review.likes) ? review.likes.map(id => id.toString()) : [], // Ensure likes are string IDs
+        dislikes: Array.isArray(review.dislikes) ? review.dislikes.map(id => id.toString()) : [] // Ensure dislikes are string IDs
+      };
+    });
 
-    // Respond with the formatted reviews
-    res.json({ reviews: formattedReviews });
+    // Respond with the formatted reviews, flagging the spoilers the viewer hasn't reached
+    res.json({ reviews: await applySpoilerProtection(req, formattedReviews) });
   } catch (error) {
     // Log and respond with a 500 Internal Server Error if fetching most liked reviews fails
     console.error('Error fetching most liked reviews:', error);
@@ -842,6 +1106,7 @@ app.get('/api/show/:id', async (req, res) => {
  * Requires authentication. Prevents users from voting on their own reviews.
  * Toggles like/dislike status (e.g., liking a disliked review removes dislike and adds like).
  * Logs 'review_like', 'review_dislike', 'review_unlike', or 'review_undislike' activity.
+ * Notifies the review's author when a like or dislike is added (not when one is removed).
  * @param {string} req.params.id - The ID of the review to vote on.
  * @param {object} req.body - Expected property: `action` ('like' or 'dislike').
  * @param {object} req - Express request object, `req.currentUserId` populated by `authenticate` middleware.
@@ -906,6 +1171,16 @@ app.put('/api/reviews/:id', authenticate, async (req, res) => {
     const updatedReview = await Review.findByIdAndUpdate(reviewId, update, { new: true }).populate('userId', 'username profilePic').lean();
     // Log the vote activity
     await logActivity(loggedInUserId, logActionType, review.showId, { reviewId });
+    // Let the author know about new votes
+    if (logActionType === 'review_like' || logActionType === 'review_dislike') {
+      await createNotification({
+        userId: review.userId,
+        actorId: loggedInUserId,
+        type: logActionType,
+        targetId: reviewId,
+        details: { showId: review.showId }
+      });
+    }
 
     // Format the updated review for response
     const responseReview = {
@@ -923,39 +1198,496 @@ app.put('/api/reviews/:id', authenticate, async (req, res) => {
   }
 });
 
+/**
+ * @route PATCH /api/reviews/:id
+ * @description Edits a review. Only the author can edit their review.
+ * The replaced version is appended to the review's `editHistory` and `editedAt` is set, and the user's draft of the review is removed.
+ * A new text goes through content screening again (see `contentScreening.js`), which decides whether the review is
+ * published or held for moderation.
+ * Requires authentication. Logs 'review_edit' activity, unless the review is held for moderation.
+ * @param {string} req.params.id - The ID of the review to edit.
+ * @param {object} req.body - Any of: `rating` (number on the rating scale, 1-5 in steps of 0.5), `content` (non-empty string, max 2000 characters), `containsSpoiler` (boolean),
+ *                            `spoilerSeason` and `spoilerEpisode` (the episode a spoiler review spoils up to; omitted ones are kept).
+ * @param {object} req - Express request object, `req.currentUserId` populated by `authenticate` middleware.
+ * @returns {object} JSON response:
+ *  - The updated and populated review object on success. `status` is 'pending' while the review is held for moderation.
+ *  - `{ error: string, details?: string }` on failure (400 for invalid input, 403 if not the author, 404 if review not found, 500 for server error).
+ * @async
+ */
+app.patch('/api/reviews/:id', authenticate, async (req, res) => {
+  try {
+    // Get review ID from route parameters and the new values from the request body
+    const reviewId = req.params.id;
+    const { rating, content, containsSpoiler, spoilerSeason, spoilerEpisode } = req.body;
+
+    // Validate review ID format
+    if (!mongoose.Types.ObjectId.isValid(reviewId)) return res.status(400).json({ error: 'Invalid review ID format' });
+    // Validate the provided fields
+    if (rating === undefined && content === undefined && containsSpoiler === undefined && spoilerSeason === undefined && spoilerEpisode === undefined) {
+      return res.status(400).json({ error: 'Nothing to update: provide rating, content, containsSpoiler or a spoiler tag' });
+    }
+    if (rating !== undefined && !isValidRating(rating)) {
+      return res.status(400).json({ error: INVALID_RATING_MESSAGE });
+    }
+    if (content !== undefined && (typeof content !== 'string' || !content.trim() || content.length > 2000)) {
+      return res.status(400).json({ error: 'Review content must be between 1 and 2000 characters.' });
+    }
+
+    // Find the review and make sure the logged-in user wrote it
+    const review = await Review.findById(reviewId);
+    if (!review) return res.status(404).json({ error: 'Review not found.' });
+    if (!review.userId.equals(req.currentUserId)) return res.status(403).json({ error: 'You can only edit your own reviews.' });
+    // Validate the spoiler flag and tag, keeping the current values of the omitted fields
+    const { tag: spoiler, error: spoilerError } = parseSpoilerTag({
+      containsSpoiler: containsSpoiler !== undefined ? containsSpoiler : review.containsSpoiler,
+      spoilerSeason: spoilerSeason !== undefined ? spoilerSeason : review.spoilerSeason,
+      spoilerEpisode: spoilerEpisode !== undefined ? spoilerEpisode : review.spoilerEpisode
+    });
+    if (spoilerError) return res.status(400).json({ error: spoilerError });
+
+    // Keep the version being replaced, then apply the changes
+    const editedAt = new Date();
+    review.editHistory.push({
+      rating: review.rating,
+      content: review.content,
+      containsSpoiler: review.containsSpoiler,
+      spoilerSeason: review.spoilerSeason,
+      spoilerEpisode: review.spoilerEpisode,
+      editedAt
+    });
+    if (rating !== undefined) review.rating = rating;
+    if (content !== undefined) review.content = content;
+    review.set(spoiler);
+    review.editedAt = editedAt;
+    // Screen a new text; an unchanged one keeps its current screening outcome
+    if (review.isModified('content')) await applyContentScreening(review);
+    await review.save();
+    // The draft of this edit is no longer needed
+    await ReviewDraft.deleteOne({ userId: review.userId, showId: review.showId, seasonNumber: review.seasonNumber, episodeNumber: review.episodeNumber });
+
+    // Populate user details and format the review like the other review routes
+    const updatedReview = await Review.findById(reviewId).populate('userId', 'username profilePic').lean();
+    const responseReview = {
+      ...updatedReview, id: updatedReview._id.toString(), _id: updatedReview._id.toString(),
+      username: updatedReview.userId?.username || "Anonymous", userProfilePic: updatedReview.userId?.profilePic,
+      likes: updatedReview.likes.map(id => id.toString()), // Ensure likes are string IDs
+      dislikes: updatedReview.dislikes.map(id => id.toString()) // Ensure dislikes are string IDs
+    };
+    // Log the edit activity; pending reviews are logged once an admin approves them
+    if (review.status !== 'pending') {
+      await logActivity(req.currentUserId, 'review_edit', review.showId, { reviewId, rating: review.rating });
+    }
+    // Respond with the updated review
+    res.json(responseReview);
+  } catch (error) {
+    // Schema validation failures (e.g., a rating below the schema minimum) are client errors
+    if (error.name === 'ValidationError') return res.status(400).json({ error: 'Invalid review data', details: error.message });
+    // Log and respond with a 500 Internal Server Error if the edit fails
+    console.error('Review edit error:', error);
+    res.status(500).json({ error: 'Failed to edit review', details: error.message });
+  }
+});
+
+/**
+ * @route DELETE /api/reviews/:id
+ * @description Deletes a review. Only the author can delete their review.
+ * Its comments, the vote and comment notifications about it and the author's draft are removed as well (see `deleteReviewCascade`).
+ * Requires authentication. Logs 'review_delete' activity.
+ * @param {string} req.params.id - The ID of the review to delete.
+ * @param {object} req - Express request object, `req.currentUserId` populated by `authenticate` middleware.
+ * @returns {object} JSON response:
+ *  - `{ message: string, reviewId: string }` on success.
+ *  - `{ error: string, details?: string }` on failure (400 for invalid ID, 403 if not the author, 404 if review not found, 500 for server error).
+ * @async
+ */
+app.delete('/api/reviews/:id', authenticate, async (req, res) => {
+  try {
+    // Get review ID from route parameters
+    const reviewId = req.params.id;
+    // Validate review ID format
+    if (!mongoose.Types.ObjectId.isValid(reviewId)) return res.status(400).json({ error: 'Invalid review ID format' });
+
+    // Find the review and make sure the logged-in user wrote it
+    const review = await Review.findById(reviewId);
+    if (!review) return res.status(404).json({ error: 'Review not found.' });
+    if (!review.userId.equals(req.currentUserId)) return res.status(403).json({ error: 'You can only delete your own reviews.' });
+
+    // Delete the review, its comments, the notifications pointing to it and the author's draft
+    await deleteReviewCascade(review);
+    // Log the delete activity
+    await logActivity(req.currentUserId, 'review_delete', review.showId, { reviewId, rating: review.rating });
+    // Respond with success
+    res.json({ message: 'Review deleted', reviewId });
+  } catch (error) {
+    // Log and respond with a 500 Internal Server Error if the deletion fails
+    console.error('Review deletion error:', error);
+    res.status(500).json({ error: 'Failed to delete review', details: error.message });
+  }
+});
+
+/**
+ * Files a report about a review or a user for the moderation queue (see `moderation.js`).
+ * Validates the reason and details from `req.body` and responds to the request.
+ * @async
+ * @function fileReport
+ * @param {object} req - Express request object, `req.currentUserId` populated by `authenticate` middleware.
+ * @param {object} res - Express response object.
+ * @param {string} targetType - 'review' or 'user'.
+ * @param {ObjectId} targetId - The ID of the reported review or user.
+ */
+async function fileReport(req, res, targetType, targetId) {
+  const { reason, details = '' } = req.body;
+  // Validate the reason and the optional details
+  if (!REPORT_REASONS.includes(reason)) {
+    return res.status(400).json({ success: false, message: `Invalid reason. Must be one of: ${REPORT_REASONS.join(', ')}` });
+  }
+  if (typeof details !== 'string' || details.length > REPORT_DETAILS_MAX_LENGTH) {
+    return res.status(400).json({ success: false, message: `Details must be text of at most ${REPORT_DETAILS_MAX_LENGTH} characters` });
+  }
+  try {
+    const report = await Report.create({ reporterId: req.currentUserId, targetType, targetId, reason, details });
+    console.log(`[REPORT] ${req.currentUser.username} reported ${targetType} ${targetId} for ${reason}`);
+    res.status(201).json({ success: true, message: 'Report submitted', reportId: report._id.toString() });
+  } catch (error) {
+    // The unique index allows one open report per reporter and target
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, message: `You already reported this ${targetType}` });
+    }
+    console.error('[REPORT] Error filing report:', error);
+    res.status(500).json({ success: false, message: 'Server error submitting report' });
+  }
+}
+
+/**
+ * @route POST /api/reviews/:id/report
+ * @description Reports a review to the moderators. Users can't report their own reviews,
+ * nor report the same review again while their report is open.
+ * Requires authentication.
+ * @param {string} req.params.id - The ID of the review.
+ * @param {object} req.body - Expected property: `reason` (see `src/shared/reportReasons.js`). Optional: `details` (string, max 500 characters).
+ * @param {object} req - Express request object, `req.currentUserId` populated by `authenticate` middleware.
+ * @returns {object} JSON response:
+ *  - `{ success: true, message: 'Report submitted', reportId: string }` with status 201 on success.
+ *  - `{ success: false, message: string }` on failure (400 for invalid input or reporting your own review,
+ *    404 if review not found, 409 if already reported, 500 for server error).
+ * @async
+ */
+app.post('/api/reviews/:id/report', authenticate, async (req, res) => {
+  if (!ObjectId.isValid(req.params.id)) return res.status(400).json({ success: false, message: 'Invalid review ID' });
+  try {
+    const review = await Review.findById(req.params.id, 'userId').lean();
+    if (!review) return res.status(404).json({ success: false, message: 'Review not found' });
+    if (review.userId.equals(req.currentUserId)) {
+      return res.status(400).json({ success: false, message: 'You cannot report your own review' });
+    }
+    await fileReport(req, res, 'review', review._id);
+  } catch (error) {
+    console.error('[REPORT] Error reporting review:', error);
+    res.status(500).json({ success: false, message: 'Server error submitting report' });
+  }
+});
+
+/**
+ * Formats a comment for API responses.
+ * @param {object} c - A lean comment document whose `userId` is populated with `username` and `profilePic`.
+ * @returns {object} The comment with string IDs and the author's `username` and `userProfilePic`.
+ */
+function formatComment(c) {
+  return {
+    _id: c._id.toString(),
+    reviewId: c.reviewId.toString(),
+    parentId: c.parentId ? c.parentId.toString() : null,
+    userId: c.userId?._id ? c.userId._id.toString() : null, // Author account may no longer exist
+    username: c.userId?.username || "Anonymous",
+    userProfilePic: c.userId?.profilePic,
+    content: c.content,
+    containsSpoiler: c.containsSpoiler,
+    createdAt: c.createdAt
+  };
+}
+
+/**
+ * @route GET /api/reviews/:id/comments
+ * @description Fetches the comments of a review, oldest first, paginated by top-level comment.
+ * Each top-level comment includes all of its `replies` (oldest first); replies are only one level deep.
+ * Comments by users the logged-in viewer has blocked are left out. Hidden and pending reviews count as not found,
+ * except for the author of a pending review.
+ * @param {string} req.params.id - The ID of the review.
+ * @param {number} [req.query.page=1] - Page number for pagination.
+ * @param {number} [req.query.limit=10] - Number of top-level comments per page (1-50).
+ * @returns {object} JSON response:
+ *  - `{ comments: Array<Comment>, currentPage: number, totalPages: number, totalComments: number }` on success.
+ *    `totalComments` counts top-level comments only.
+ *  - `{ error: string, details?: string }` on failure (400 for invalid ID, 404 if review not found, 500 for server error).
+ * @async
+ */
+app.get('/api/reviews/:id/comments', async (req, res) => {
+  try {
+    // Get review ID from route parameters
+    const reviewId = req.params.id;
+    // Validate review ID format
+    if (!mongoose.Types.ObjectId.isValid(reviewId)) return res.status(400).json({ error: 'Invalid review ID format' });
+    // Parse and clamp pagination parameters
+    const pageNum = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 50);
+
+    // Make sure the review exists
+    const reviewExists = await Review.exists({ _id: reviewId, ...viewableReviewFilter(req) });
+    if (!reviewExists) return res.status(404).json({ error: 'Review not found.' });
+
+    // Leave out comments by users blocked by the viewer
+    const blockedIds = await getBlockedUserIds(req);
+    const topLevelQuery = { reviewId: new ObjectId(reviewId), parentId: null, userId: { $nin: blockedIds } };
+
+    // Fetch the page of top-level comments and count them all
+    const [topLevel, totalComments] = await Promise.all([
+      ReviewComment.find(topLevelQuery)
+        .sort({ createdAt: 1 }).skip((pageNum - 1) * limitNum).limit(limitNum)
+        .populate('userId', 'username profilePic')
+        .lean(),
+      ReviewComment.countDocuments(topLevelQuery)
+    ]);
+    // Fetch the replies to the comments on this page
+    const replies = await ReviewComment.find({
+      parentId: { $in: topLevel.map(c => c._id) },
+      userId: { $nin: blockedIds }
+    })
+      .sort({ createdAt: 1 })
+      .populate('userId', 'username profilePic')
+      .lean();
+
+    // Attach each reply to its top-level comment
+    const comments = topLevel.map(c => ({
+      ...formatComment(c),
+      replies: replies.filter(r => r.parentId.equals(c._id)).map(formatComment)
+    }));
+    res.json({ comments, currentPage: pageNum, totalPages: Math.ceil(totalComments / limitNum), totalComments });
+  } catch (error) {
+    // Log and respond with a 500 Internal Server Error if fetching comments fails
+    console.error(`Error fetching comments for review ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to fetch comments', details: error.message });
+  }
+});
+
+/**
+ * @route POST /api/reviews/:id/comments
+ * @description Adds a comment (or a reply to a comment) to a review.
+ * Replying to a reply attaches the new comment to the same top-level comment, so threads stay one level deep.
+ * Requires authentication. Logs 'review_comment' activity and notifies the review's author,
+ * plus the parent comment's author for replies. Hidden and pending reviews can't be commented on,
+ * except by the author of a pending review.
+ * @param {string} req.params.id - The ID of the review.
+ * @param {object} req.body - Expected properties: `content` (non-empty string, max 1000 characters), `containsSpoiler` (boolean, optional), `parentId` (comment ID, optional).
+ * @param {object} req - Express request object, `req.currentUserId` populated by `authenticate` middleware.
+ * @returns {object} JSON response:
+ *  - The created comment on success (201), with an empty `replies` array for top-level comments.
+ *  - `{ error: string, details?: string }` on failure (400 for invalid input, 404 if review or parent comment not found, 500 for server error).
+ * @async
+ */
+app.post('/api/reviews/:id/comments', authenticate, async (req, res) => {
+  try {
+    // Get review ID from route parameters and the comment from the request body
+    const reviewId = req.params.id;
+    const { content, containsSpoiler, parentId } = req.body;
+
+    // Validate review ID format and the comment content
+    if (!mongoose.Types.ObjectId.isValid(reviewId)) return res.status(400).json({ error: 'Invalid review ID format' });
+    if (typeof content !== 'string' || !content.trim() || content.length > 1000) {
+      return res.status(400).json({ error: 'Comment must be between 1 and 1000 characters.' });
+    }
+    if (parentId && !mongoose.Types.ObjectId.isValid(parentId)) return res.status(400).json({ error: 'Invalid parent comment ID format' });
+
+    // Find the review being commented on, if the commenter may see it
+    const review = await Review.findOne({ _id: reviewId, ...viewableReviewFilter(req) }).lean();
+    if (!review) return res.status(404).json({ error: 'Review not found.' });
+
+    // For replies, find the parent comment and flatten replies to replies onto the top-level comment
+    let parent = null;
+    if (parentId) {
+      parent = await ReviewComment.findOne({ _id: parentId, reviewId: review._id }).lean();
+      if (!parent) return res.status(404).json({ error: 'Parent comment not found.' });
+    }
+
+    // Create the comment
+    const comment = await ReviewComment.create({
+      reviewId: review._id,
+      userId: req.currentUserId,
+      parentId: parent ? (parent.parentId || parent._id) : null,
+      content,
+      containsSpoiler: !!containsSpoiler
+    });
+    const populatedComment = await ReviewComment.findById(comment._id).populate('userId', 'username profilePic').lean();
+
+    // Log the comment activity and let the review's author (and the replied-to commenter) know
+    const details = { reviewId, commentId: comment._id.toString(), contentSummary: content.substring(0, 50) };
+    await logActivity(req.currentUserId, 'review_comment', review.showId, details);
+    await createNotification({
+      userId: review.userId,
+      actorId: req.currentUserId,
+      type: 'review_comment',
+      targetId: reviewId,
+      details: { showId: review.showId, commentId: details.commentId }
+    });
+    if (parent && !parent.userId.equals(review.userId)) {
+      await createNotification({
+        userId: parent.userId,
+        actorId: req.currentUserId,
+        type: 'comment_reply',
+        targetId: reviewId,
+        details: { showId: review.showId, commentId: details.commentId }
+      });
+    }
+
+    // Respond with the created comment (201 Created)
+    res.status(201).json({ ...formatComment(populatedComment), ...(parent ? {} : { replies: [] }) });
+  } catch (error) {
+    // Schema validation failures are client errors
+    if (error.name === 'ValidationError') return res.status(400).json({ error: 'Invalid comment data', details: error.message });
+    // Log and respond with a 500 Internal Server Error if comment creation fails
+    console.error('Comment creation error:', error);
+    res.status(500).json({ error: 'Failed to create comment', details: error.message });
+  }
+});
+
+/**
+ * @route DELETE /api/reviews/:id/comments/:commentId
+ * @description Deletes a comment. The comment's author and the review's author can delete it.
+ * Deleting a top-level comment also deletes its replies.
+ * Requires authentication.
+ * @param {string} req.params.id - The ID of the review.
+ * @param {string} req.params.commentId - The ID of the comment to delete.
+ * @param {object} req - Express request object, `req.currentUserId` populated by `authenticate` middleware.
+ * @returns {object} JSON response:
+ *  - `{ message: string, commentId: string, deletedCount: number }` on success; `deletedCount` includes removed replies.
+ *  - `{ error: string, details?: string }` on failure (400 for invalid IDs, 403 if not allowed, 404 if not found, 500 for server error).
+ * @async
+ */
+app.delete('/api/reviews/:id/comments/:commentId', authenticate, async (req, res) => {
+  try {
+    // Get review and comment IDs from route parameters
+    const { id: reviewId, commentId } = req.params;
+    // Validate ID formats
+    if (!mongoose.Types.ObjectId.isValid(reviewId) || !mongoose.Types.ObjectId.isValid(commentId)) {
+      return res.status(400).json({ error: 'Invalid review or comment ID format' });
+    }
+
+    // Find the review and the comment
+    const review = await Review.findById(reviewId).lean();
+    if (!review) return res.status(404).json({ error: 'Review not found.' });
+    const comment = await ReviewComment.findOne({ _id: commentId, reviewId: review._id }).lean();
+    if (!comment) return res.status(404).json({ error: 'Comment not found.' });
+
+    // Only the comment's author and the review's author can delete it
+    if (!comment.userId.equals(req.currentUserId) && !review.userId.equals(req.currentUserId)) {
+      return res.status(403).json({ error: 'You can only delete your own comments or comments on your reviews.' });
+    }
+
+    // Delete the comment together with its replies
+    const result = await ReviewComment.deleteMany({ $or: [{ _id: comment._id }, { parentId: comment._id }] });
+    res.json({ message: 'Comment deleted', commentId, deletedCount: result.deletedCount });
+  } catch (error) {
+    // Log and respond with a 500 Internal Server Error if the deletion fails
+    console.error('Comment deletion error:', error);
+    res.status(500).json({ error: 'Failed to delete comment', details: error.message });
+  }
+});
+
+/**
+ * Sort orders of `GET /api/reviews/show/:showId`, as the list of fields to sort on (1 ascending, -1 descending).
+ * Every order ends with `createdAt` and `_id` so that the order is total and cursors never skip or repeat a review.
+ * `likesCount` and `isFriend` are computed by the aggregation.
+ * @const {Object<string, Array<[string, number]>>}
+ */
+const SHOW_REVIEW_SORTS = {
+  latest: [['createdAt', -1], ['_id', -1]],
+  most_liked: [['likesCount', -1], ['createdAt', -1], ['_id', -1]],
+  highest_rated: [['rating', -1], ['createdAt', -1], ['_id', -1]],
+  lowest_rated: [['rating', 1], ['createdAt', -1], ['_id', -1]],
+  friends_first: [['isFriend', -1], ['createdAt', -1], ['_id', -1]]
+};
+
 /**
  * @route GET /api/reviews/show/:showId
- * @description Fetches all reviews for a specific show, sorted by creation date.
- * Populates user details (username, profilePic) for each review.
+ * @description Fetches a show's reviews one page at a time, using cursor-based pagination.
+ * Like counts are computed in the aggregation, so reviews can be sorted by the number of likes.
+ * Reviews by users the logged-in viewer has blocked and reviews hidden by a moderator are left out.
+ * Populates user details (username, profilePic) for each review and adds its `likesCount`, `commentCount`
+ * and `spoilerHidden` flag (see `applySpoilerProtection`).
  * @param {string} req.params.showId - The ID of the show.
+ * @param {string} [req.query.sort='latest'] - 'latest', 'most_liked', 'highest_rated', 'lowest_rated' or 'friends_first'
+ *                                             (the logged-in viewer's friends' reviews first, then everyone else's; latest first within each group).
+ * @param {string} [req.query.cursor] - The `nextCursor` of the previous page; omit it for the first page.
+ * @param {number} [req.query.limit=10] - Number of reviews per page (at most 50).
+ * @param {string} [req.query.level='all'] - 'show', 'season', 'episode' or 'all' (see `buildReviewLevelFilter`).
+ * @param {number} [req.query.seasonNumber] - Only reviews of this season.
+ * @param {number} [req.query.episodeNumber] - Only reviews of this episode (requires `seasonNumber`).
  * @returns {object} JSON response:
- *  - `{ reviews: Array<ReviewWithUserDetails> }` on success.
- *  - `{ error: string, details?: string }` on failure (500 for server error).
+ *  - `{ reviews: Array<ReviewWithUserDetails>, nextCursor: string|null, totalReviews: number }` on success.
+ *    `nextCursor` is null on the last page; `totalReviews` is only computed for the first page (null otherwise).
+ *  - `{ error: string, details?: string }` on failure (400 for an invalid sort, cursor or level filter, 500 for server error).
  * @async
  */
 app.get('/api/reviews/show/:showId', async (req, res) => {
   try {
-    // Get show ID from route parameters
-    const { showId } = req.params;
-    // Find reviews for the given showId, populate user details, sort by newest first
-    const reviews = await Review.find({ showId: showId })
-      .populate('userId', 'username profilePic') // Populate user's username and profile picture
-      .sort({ createdAt: -1 }) // Sort by creation date, descending
-      .lean(); // Use .lean() for plain JavaScript objects
+    // Get show ID from route parameters and the sort order, cursor and page size from the query
+    const showId = req.params.showId.toString();
+    const { sort = 'latest', cursor } = req.query;
+    const sortFields = SHOW_REVIEW_SORTS[sort];
+    if (!sortFields) return res.status(400).json({ error: `Invalid sort. Must be one of: ${Object.keys(SHOW_REVIEW_SORTS).join(', ')}` });
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 50);
+
+    // Select the reviews of the show at the requested level, leaving out users blocked by the viewer
+    const { filter: levelFilter, error: levelError } = buildReviewLevelFilter(req.query, 'all');
+    if (levelError) return res.status(400).json({ error: levelError });
+    const blockedIds = await getBlockedUserIds(req);
+    const match = { showId, ...levelFilter, userId: { $nin: blockedIds }, ...VISIBLE_REVIEWS };
+
+    // Only the reviews after the cursor
+    const afterCursor = cursor ? decodeSortCursor(cursor, sortFields) : {};
+    if (!afterCursor) return res.status(400).json({ error: 'Invalid cursor' });
+
+    // Compute the sort fields, then sort and take one review more than a page to know if there is a next page
+    const friendIds = (sort === 'friends_first' ? await getFriendIds(req) : null) || [];
+    const reviews = await Review.aggregate([
+      { $match: match },
+      {
+        $addFields: {
+          likesCount: { $size: { $ifNull: ['$likes', []] } },
+          isFriend: { $cond: [{ $in: ['$userId', friendIds] }, 1, 0] }
+        }
+      },
+      { $match: afterCursor },
+      { $sort: Object.fromEntries(sortFields) },
+      { $limit: limit + 1 }
+    ]);
+    const hasMore = reviews.length > limit;
+    const page = reviews.slice(0, limit);
+    // Populate user's username and profile picture
+    await Review.populate(page, { path: 'userId', select: 'username profilePic' });
+    // Count the matching reviews on the first page only, for the section header
+    const totalReviews = cursor ? null : await Review.countDocuments(match);
+    // Count the comments of each review
+    const commentCounts = await getCommentCounts(page.map(r => r._id));
 
     // Format reviews for response
-    const formattedReviews = reviews.map(r => ({
+    const formattedReviews = page.map(({ isFriend, ...r }) => ({
       ...r,
       id: r._id.toString(), // Ensure id is string
       _id: r._id.toString(), // Ensure _id is string
+      commentCount: commentCounts.get(r._id.toString()) || 0, // Number of comments and replies
       username: r.userId?.username || "Anonymous", // Use populated username or "Anonymous"
       userProfilePic: r.userId?.profilePic, // Use populated profile picture
       likes: Array.isArray(r.likes) ? r.likes.map(id => id.toString()) : [], // Ensure likes are string IDs
       dislikes: Array.isArray(r.dislikes) ? r.dislikes.map(id => id.toString()) : [], // Ensure dislikes are string IDs
+      ...(sort === 'friends_first' ? { byFriend: isFriend === 1 } : {}) // Lets the client label friends' reviews
     }));
 
-    // Respond with the formatted reviews
-    res.json({ reviews: formattedReviews });
+    // Respond with the page of reviews and the cursor of the next page
+    res.json({
+      reviews: await applySpoilerProtection(req, formattedReviews), // Flags the spoilers the viewer hasn't reached
+      nextCursor: hasMore ? encodeSortCursor(page[page.length - 1], sortFields) : null,
+      totalReviews
+    });
   } catch (error) {
     // Log and respond with a 500 Internal Server Error if fetching show reviews fails
     console.error(`Error fetching reviews for show ${req.params.showId}:`, error);
@@ -965,13 +1697,14 @@ app.get('/api/reviews/show/:showId', async (req, res) => {
 
 /**
  * @route GET /api/user/reviews
- * @description Fetches all reviews written by the currently authenticated user.
- * Reviews are augmented with show details (name, poster) from TMDB.
+ * @description Fetches all reviews written by the currently authenticated user, including those pending moderation
+ * but not those hidden by a moderator.
+ * Reviews include the snapshot of their show's details (name, poster).
  * Requires authentication.
  * @param {object} req - Express request object, `req.currentUser` and `req.currentUserId` populated by `authenticate` middleware.
  * @returns {Array<ReviewWithShowDetails>|object} JSON response:
  *  - An array of review objects, each including show details, on success.
- *  - `{ error: string, details?: string }` on failure (500 for server or TMDB API error).
+ *  - `{ error: string, details?: string }` on failure (500 for server error).
  * @async
  */
 app.get('/api/user/reviews', authenticate, async (req, res) => {
@@ -986,10 +1719,12 @@ app.get('/api/user/reviews', authenticate, async (req, res) => {
       return res.status(500).json({ error: 'User identification error.' });
     }
 
-    // Find all reviews by the user, sorted by newest first
-    const userReviews = await Review.find({ userId: userId })
+    // Find all reviews by the user except those hidden by a moderator, sorted by newest first
+    const userReviews = await Review.find({ userId: userId, ...AUTHOR_VISIBLE_REVIEWS })
       .sort({ createdAt: -1 })
       .lean();
+    // Fill in the show snapshots of reviews written before snapshots existed
+    await fillMissingShowSnapshots(userReviews);
 
     // Log found reviews
     console.log(`[USER_REVIEWS_ROUTE] Found ${userReviews.length} raw reviews for user ${userId}`);
@@ -998,35 +1733,16 @@ app.get('/api/user/reviews', authenticate, async (req, res) => {
       console.log("[USER_REVIEWS_ROUTE] First raw review (check showId type):", JSON.stringify(userReviews[0], null, 2));
     }
 
-    // Map over reviews and fetch TMDB show details for each
-    const reviewsWithShowDetails = await Promise.all(
-      userReviews.map(async (review) => {
-        // Determine the correct show ID field to use (handles legacy field names)
-        let showIdToUse = review.showId || review.tmdbId || review.show_id;
-        console.log(`[USER_REVIEWS_ROUTE] Processing review ${review._id}, original showId field value: ${showIdToUse}`);
-
-        let showData = { name: 'Unknown Show (Processing Error)', poster_path: null };
-        if (showIdToUse) {
-          // Fetch show details from TMDB using the helper function
-          showData = await fetchShowDetailsFromTMDB(showIdToUse);
-        } else {
-          // Warn if no showId is found for a review
-          console.warn(`[USER_REVIEWS_ROUTE] No showId found for review ${review._id}`);
-          showData.name = `Review ${review._id} (No Show ID)`;
-        }
-
-        // Return formatted review with show details
-        return {
-          ...review,
-          id: review._id.toString(), // Ensure ID is string
-          _id: review._id.toString(), // Ensure _id is string
-          showName: showData.name, // Show name from TMDB
-          posterPath: showData.poster_path, // Show poster path from TMDB
-          likes: Array.isArray(review.likes) ? review.likes.map(id => id.toString()) : [], // Ensure likes are string IDs
-          dislikes: Array.isArray(review.dislikes) ? review.dislikes.map(id => id.toString()) : [], // Ensure dislikes are string IDs
-        };
-      })
-    );
+    // Format the reviews, with the show snapshots stored on them
+    const reviewsWithShowDetails = userReviews.map((review) => ({
+      ...review,
+      id: review._id.toString(), // Ensure ID is string
+      _id: review._id.toString(), // Ensure _id is string
+      showName: review.showName || 'Unknown Show', // Show name snapshot
+      posterPath: review.posterPath || null, // Show poster path snapshot
+      likes: Array.isArray(review.likes) ? review.likes.map(id => id.toString()) : [], // Ensure likes are string IDs
+      dislikes: Array.isArray(review.dislikes) ? review.dislikes.map(id => id.toString()) : [], // Ensure dislikes are string IDs
+    }));
 
     // Log and respond with reviews including show details
     console.log(`[USER_REVIEWS_ROUTE] Returning ${reviewsWithShowDetails.length} reviews with details for ${req.currentUser?.username}.`);
@@ -1041,14 +1757,17 @@ app.get('/api/user/reviews', authenticate, async (req, res) => {
 /**
  * @route POST /api/users/mark-watched
  * @description Marks specified episodes of a show as watched for the authenticated user.
- * Updates or creates an entry in the user's `watchedHistory`.
- * `watchedHistory` is capped at 50 shows, sorted by `lastWatchedAt`.
+ * Records one `WatchProgress` document per episode, which is the source of truth for show progress.
+ * Also updates or creates an entry in the user's `watchedHistory` summary used for "recently watched",
+ * which is capped at 50 shows, sorted by `lastWatchedAt`.
  * Logs 'mark_watched' activity.
  * Requires authentication.
  * @param {object} req.body - Expected properties: `showId` (string), `showName` (string), `posterPath` (string), `seasonNumber` (number), `episodes` (Array of objects with `id`, `number`, `name`).
  * @param {object} req - Express request object, `req.currentUser` and `req.currentUserId` populated by `authenticate` middleware.
  * @returns {object} JSON response:
- *  - `{ message: 'Watched status updated successfully.' }` on success (200).
+ *  - `{ message: 'Watched status updated successfully.', markedEpisodeIds: Array<string> }` on success (200).
+ *    `markedEpisodeIds` lists the episodes that were not watched before; it can be sent to
+ *    `/api/users/unmark-watched` to undo the action without removing earlier history.
  *  - `{ message: string, details?: string }` on failure (400 for missing fields, 500 for server error).
  * @async
  */
@@ -1127,32 +1846,488 @@ app.post('/api/users/mark-watched', authenticate, async (req, res) => {
       });
     }
 
-    // Sort watchedHistory by lastWatchedAt descending (most recent first)
-    watchedHistory.sort((a, b) => new Date(b.lastWatchedAt) - new Date(a.lastWatchedAt));
+    // Sort watchedHistory by lastWatchedAt descending (most recent first)
+    watchedHistory.sort((a, b) => new Date(b.lastWatchedAt) - new Date(a.lastWatchedAt));
+
+    // Limit watchedHistory to the latest 50 shows.
+    // Only the summary is trimmed: per-episode progress lives in the WatchProgress collection.
+    if (watchedHistory.length > 50) {
+      watchedHistory = watchedHistory.slice(0, 50);
+    }
+
+    // Update the user document in the database with the new watchedHistory
+    await userCollection.updateOne(
+      { _id: userId },
+      { $set: { watchedHistory: watchedHistory, updatedAt: new Date() } } // Also update `updatedAt` timestamp
+    );
+
+    // Record one WatchProgress document per episode. Upserting keeps re-marking idempotent,
+    // and episodes watched before keep their original watchedAt.
+    const progressResult = await WatchProgress.bulkWrite(episodes.map(ep => ({
+      updateOne: {
+        filter: { userId, showId: showId.toString(), episodeId: ep.id.toString() },
+        update: {
+          $set: {
+            seasonNumber: Number(seasonNumber) || 0,
+            episodeNumber: Number(ep.number) || 0,
+            episodeName: ep.name || ''
+          },
+          $setOnInsert: { watchedAt: newWatchedAt }
+        },
+        upsert: true
+      }
+    })));
+    // Only the episodes that were not watched yet can be undone (upsertedIds is keyed by operation index)
+    const markedEpisodeIds = Object.keys(progressResult.upsertedIds || {}).map(index => episodes[index].id.toString());
+
+    // Log the 'mark_watched' activity
+    await logActivity(userId, 'mark_watched', showId.toString(), {
+      episodeCount: episodes.length,
+      season: seasonNumber
+    });
+
+    console.log(`[MARK_WATCHED] Successfully updated watched history for user ${userId}, show ${showId}`);
+    res.status(200).json({
+      message: 'Watched status updated successfully.',
+      markedEpisodeIds
+    });
+  } catch (error) {
+    // Log and respond with a 500 Internal Server Error if updating watched status fails
+    console.error('[MARK_WATCHED] Error:', error);
+    res.status(500).json({ message: 'Server error while updating watched status.', details: error.message });
+  }
+});
+
+/**
+ * @route POST /api/users/unmark-watched
+ * @description Removes episodes from the authenticated user's watched progress (unmark or undo a mark).
+ * Deletes the matching `WatchProgress` documents and removes the episodes from the show's
+ * `watchedHistory` entry, dropping the entry entirely once it has no episodes left.
+ * Requires authentication.
+ * @param {object} req.body - Expected properties: `showId` (string), `episodeIds` (Array of TMDB episode IDs).
+ * @param {object} req - Express request object, `req.currentUser` and `req.currentUserId` populated by `authenticate` middleware.
+ * @returns {object} JSON response:
+ *  - `{ message: string, unmarkedCount: number }` on success (200).
+ *  - `{ message: string, details?: string }` on failure (400 for missing fields, 500 for server error).
+ * @async
+ */
+app.post('/api/users/unmark-watched', authenticate, async (req, res) => {
+  // Destructure required fields from request body
+  const { showId, episodeIds } = req.body;
+  // Get user ID from `req.currentUserId`
+  const userId = req.currentUserId;
+
+  // Validate required fields
+  if (!showId || !Array.isArray(episodeIds) || episodeIds.length === 0) {
+    return res.status(400).json({ message: 'Missing required fields or no episodes selected for unmarking.' });
+  }
+
+  try {
+    const showIdStr = showId.toString();
+    const episodeIdStrs = episodeIds.map(id => id.toString());
+
+    // Remove the per-episode progress records
+    const deleteResult = await WatchProgress.deleteMany({
+      userId,
+      showId: showIdStr,
+      episodeId: { $in: episodeIdStrs }
+    });
+
+    // Keep the watchedHistory summary in sync with the progress records
+    const watchedHistory = req.currentUser.watchedHistory || [];
+    const showIndex = watchedHistory.findIndex(item => item.showId === showIdStr);
+    if (showIndex > -1) {
+      const remainingEpisodes = (watchedHistory[showIndex].episodes || [])
+        .filter(ep => !episodeIdStrs.includes(ep.id?.toString()));
+      if (remainingEpisodes.length > 0) {
+        watchedHistory[showIndex].episodes = remainingEpisodes;
+      } else {
+        watchedHistory.splice(showIndex, 1); // No episodes left: drop the show from the summary
+      }
+      await userCollection.updateOne(
+        { _id: userId },
+        { $set: { watchedHistory: watchedHistory, updatedAt: new Date() } }
+      );
+    }
+
+    console.log(`[UNMARK_WATCHED] Removed ${deleteResult.deletedCount} episode(s) of show ${showIdStr} for user ${userId}`);
+    res.status(200).json({ message: 'Episodes unmarked successfully.', unmarkedCount: deleteResult.deletedCount });
+  } catch (error) {
+    // Log and respond with a 500 Internal Server Error if unmarking fails
+    console.error('[UNMARK_WATCHED] Error:', error);
+    res.status(500).json({ message: 'Server error while unmarking episodes.', details: error.message });
+  }
+});
+
+/**
+ * Computes a user's progress through a show from their `WatchProgress` records and TMDB season episode counts.
+ * Specials (season 0) are listed in `episodes` but excluded from the percentages.
+ * If TMDB is unreachable, counts and percentages are `null` but watched episodes are still returned.
+ * @async
+ * @function computeShowProgress
+ * @param {ObjectId} userId - The ID of the user.
+ * @param {string} showId - The TMDB ID of the show.
+ * @returns {Promise<object>} Progress object:
+ *  `{ showId, totalEpisodes, watchedCount, percentWatched, seasons: Array<{ seasonNumber, episodeCount, watchedCount, percentWatched }>, episodes: Array<{ episodeId, seasonNumber, episodeNumber, episodeName, watchedAt }> }`.
+ */
+async function computeShowProgress(userId, showId) {
+  // Fetch every watched episode of the show for this user
+  const records = await WatchProgress.find({ userId, showId })
+    .sort({ seasonNumber: 1, episodeNumber: 1 })
+    .lean();
+
+  // Count watched episodes per season
+  const watchedPerSeason = new Map();
+  records.forEach(record => {
+    watchedPerSeason.set(record.seasonNumber, (watchedPerSeason.get(record.seasonNumber) || 0) + 1);
+  });
+
+  // Get the number of episodes in each season from TMDB (served from the shared proxy cache)
+  let tmdbSeasons = null;
+  try {
+    const showDetails = await fetchTMDBCached(`tv/${showId}`, { language: 'en-US' });
+    tmdbSeasons = (showDetails.seasons || []).filter(season => season.season_number > 0);
+  } catch (error) {
+    console.warn(`[PROGRESS] Could not load season counts for show ${showId}:`, error.message);
+  }
+
+  // Helper to turn a watched/total pair into a percentage with one decimal place
+  const toPercent = (watched, total) => (total > 0 ? Math.min(100, parseFloat(((watched / total) * 100).toFixed(1))) : 0);
+
+  let seasons;
+  let totalEpisodes = null;
+  let watchedCount = records.filter(record => record.seasonNumber > 0).length;
+  if (tmdbSeasons) {
+    seasons = tmdbSeasons.map(season => {
+      const seasonWatched = watchedPerSeason.get(season.season_number) || 0;
+      return {
+        seasonNumber: season.season_number,
+        episodeCount: season.episode_count || 0,
+        watchedCount: seasonWatched,
+        percentWatched: toPercent(seasonWatched, season.episode_count || 0)
+      };
+    });
+    totalEpisodes = seasons.reduce((sum, season) => sum + season.episodeCount, 0);
+  } else {
+    // TMDB unavailable: report what we know without totals
+    seasons = [...watchedPerSeason.entries()]
+      .filter(([seasonNumber]) => seasonNumber > 0)
+      .map(([seasonNumber, seasonWatched]) => ({
+        seasonNumber,
+        episodeCount: null,
+        watchedCount: seasonWatched,
+        percentWatched: null
+      }));
+  }
+
+  return {
+    showId,
+    totalEpisodes,
+    watchedCount,
+    percentWatched: totalEpisodes === null ? null : toPercent(watchedCount, totalEpisodes),
+    seasons,
+    episodes: records.map(record => ({
+      episodeId: record.episodeId,
+      seasonNumber: record.seasonNumber,
+      episodeNumber: record.episodeNumber,
+      episodeName: record.episodeName,
+      watchedAt: record.watchedAt
+    }))
+  };
+}
+
+/**
+ * @route GET /api/progress/:showId
+ * @description Returns the authenticated user's progress through a show:
+ * the percentage watched per season and for the whole show, plus the list of watched episodes.
+ * Season sizes come from TMDB season episode counts.
+ * Requires authentication.
+ * @param {string} req.params.showId - The TMDB ID of the show.
+ * @param {object} req - Express request object, `req.currentUser` and `req.currentUserId` populated by `authenticate` middleware.
+ * @returns {object} JSON response:
+ *  - The progress object from `computeShowProgress` on success.
+ *  - `{ error: string, details?: string }` on failure (500 for server error).
+ * @async
+ */
+app.get('/api/progress/:showId', authenticate, async (req, res) => {
+  try {
+    // Get show ID from route parameters
+    const showId = req.params.showId.toString();
+    // Compute and return the progress
+    const progress = await computeShowProgress(req.currentUserId, showId);
+    res.json(progress);
+  } catch (error) {
+    // Log and respond with a 500 Internal Server Error if computing progress fails
+    console.error(`[PROGRESS] Error computing progress for show ${req.params.showId}:`, error);
+    res.status(500).json({ error: 'Failed to fetch show progress', details: error.message });
+  }
+});
+
+/**
+ * Works out the next episode to watch after the furthest episode a user has watched in a show.
+ * Looks for the following episode in the same season, then the first episode of the next season,
+ * and finally falls back to TMDB's `next_episode_to_air` once the user has caught up.
+ * @async
+ * @function findNextEpisode
+ * @param {string} showId - The TMDB ID of the show.
+ * @param {{seasonNumber: number, episodeNumber: number}} furthest - The furthest watched episode.
+ * @param {Set<string>} watchedEpisodeIds - TMDB IDs of every episode the user has watched in this show.
+ * @returns {Promise<object|null>} `{ show, nextEpisode, waiting }` or `null` if the user has finished the show.
+ *  `waiting` is `true` when the next episode has not aired yet (or has no air date).
+ */
+async function findNextEpisode(showId, furthest, watchedEpisodeIds) {
+  const show = await fetchTMDBCached(`tv/${showId}`, { language: 'en-US' });
+  const seasons = (show.seasons || [])
+    .filter(season => season.season_number > 0 && season.episode_count > 0)
+    .sort((a, b) => a.season_number - b.season_number);
+  const today = new Date().toISOString().slice(0, 10); // TMDB air dates are YYYY-MM-DD strings
+
+  // Walk forward from the furthest watched episode through the remaining seasons
+  for (const season of seasons) {
+    if (season.season_number < furthest.seasonNumber) continue;
+    const seasonDetails = await fetchTMDBCached(`tv/${showId}/season/${season.season_number}`, { language: 'en-US' });
+    const candidate = (seasonDetails.episodes || [])
+      .sort((a, b) => a.episode_number - b.episode_number)
+      .find(ep =>
+        (season.season_number > furthest.seasonNumber || ep.episode_number > furthest.episodeNumber) &&
+        !watchedEpisodeIds.has(String(ep.id))
+      );
+    if (candidate) {
+      return {
+        show,
+        nextEpisode: {
+          id: candidate.id,
+          seasonNumber: season.season_number,
+          episodeNumber: candidate.episode_number,
+          name: candidate.name,
+          airDate: candidate.air_date || null,
+          stillPath: candidate.still_path || null
+        },
+        waiting: !candidate.air_date || candidate.air_date > today
+      };
+    }
+  }
+
+  // Caught up with every listed episode: wait for the next one TMDB knows about, if any
+  if (show.next_episode_to_air) {
+    const upcoming = show.next_episode_to_air;
+    return {
+      show,
+      nextEpisode: {
+        id: upcoming.id,
+        seasonNumber: upcoming.season_number,
+        episodeNumber: upcoming.episode_number,
+        name: upcoming.name,
+        airDate: upcoming.air_date || null,
+        stillPath: upcoming.still_path || null
+      },
+      waiting: true
+    };
+  }
+  return null; // Nothing left to watch
+}
+
+/**
+ * @route GET /api/up-next
+ * @description Builds the authenticated user's "Up Next" queue from their watch progress
+ * (`WatchProgress` plus the legacy `watchedHistory` summary, see `getWatchedShows`).
+ * For every show in progress, returns the next unwatched episode after the furthest one watched.
+ * Shows whose next episode has not aired yet are flagged with `waiting: true` and listed after
+ * the ones that can be watched now. Finished shows are left out.
+ * Requires authentication.
+ * @param {number} [req.query.limit=20] - Maximum number of shows to consider (most recently watched first).
+ * @param {object} req - Express request object, `req.currentUser` populated by `authenticate` middleware.
+ * @returns {Array<object>|object} JSON response:
+ *  - An array of `{ showId, showName, posterPath, lastWatchedAt, waiting, nextEpisode: { id, seasonNumber, episodeNumber, name, airDate, stillPath } }` on success.
+ *  - `{ error: string, details?: string }` on failure (500 for server error).
+ * @async
+ */
+app.get('/api/up-next', authenticate, async (req, res) => {
+  try {
+    // Parse and clamp the number of shows to look at
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 50);
+
+    // Group the user's watched episodes (including legacy watchedHistory ones) by show, most recently watched show first
+    const watched = await getWatchedShows(req.currentUser);
+    const shows = [...watched]
+      .map(([showId, show]) => ({ showId, ...show }))
+      .sort((a, b) => new Date(b.lastWatchedAt || 0) - new Date(a.lastWatchedAt || 0))
+      .slice(0, limit);
+
+    // Resolve the next episode of every show; a TMDB failure for one show should not break the queue
+    const queue = await Promise.all(shows.map(async (entry) => {
+      try {
+        const next = await findNextEpisode(
+          entry.showId,
+          { seasonNumber: entry.seasonNumber, episodeNumber: entry.episodeNumber },
+          entry.episodeIds
+        );
+        if (!next) return null;
+        return {
+          showId: entry.showId,
+          showName: next.show.name || next.show.original_name,
+          posterPath: next.show.poster_path || null,
+          lastWatchedAt: entry.lastWatchedAt,
+          waiting: next.waiting,
+          nextEpisode: next.nextEpisode
+        };
+      } catch (error) {
+        console.warn(`[UP_NEXT] Could not resolve next episode for show ${entry.showId}:`, error.message);
+        return null;
+      }
+    }));
+
+    // Watchable shows first (most recent first), then the ones waiting on new episodes
+    const upNext = queue.filter(Boolean).sort((a, b) => {
+      if (a.waiting !== b.waiting) return a.waiting ? 1 : -1;
+      return new Date(b.lastWatchedAt) - new Date(a.lastWatchedAt);
+    });
+
+    res.json(upNext);
+  } catch (error) {
+    // Log and respond with a 500 Internal Server Error if building the queue fails
+    console.error('[UP_NEXT] Error building up next queue:', error);
+    res.status(500).json({ error: 'Failed to fetch up next queue', details: error.message });
+  }
+});
+
+/**
+ * @route GET /api/users/blocked
+ * @description Fetches the users blocked by the authenticated user, for the block list management screen.
+ * Requires authentication.
+ * @param {object} req - Express request object, `req.currentUser` populated by `authenticate` middleware.
+ * @returns {Array<object>|object} JSON response:
+ *  - An array of `{ _id, username, profilePic }` on success. Empty array if nobody is blocked.
+ *  - `{ error: string, details?: string }` on failure (500 for server error).
+ * @async
+ */
+app.get('/api/users/blocked', authenticate, async (req, res) => {
+  try {
+    const blockedIds = (req.currentUser.blockedUsers || []).filter(id => ObjectId.isValid(id)).map(id => new ObjectId(id));
+    if (blockedIds.length === 0) return res.json([]);
+
+    // Fetch the blocked users' public details
+    const blockedUsers = await userCollection.find({ _id: { $in: blockedIds } })
+      .project({ _id: 1, username: 1, profilePic: 1 })
+      .toArray();
+    res.json(blockedUsers);
+  } catch (error) {
+    // Log and respond with a 500 Internal Server Error if fetching the block list fails
+    console.error('[BLOCK] Error fetching blocked users:', error);
+    res.status(500).json({ error: 'Failed to fetch blocked users', details: error.message });
+  }
+});
+
+/**
+ * @route POST /api/users/:id/block
+ * @description Blocks a user for the authenticated user.
+ * Adds the user to the block list and removes any friendship or pending friend requests between the two users.
+ * Requires authentication.
+ * @param {string} req.params.id - The ID of the user to block.
+ * @param {object} req - Express request object, `req.currentUserId` populated by `authenticate` middleware.
+ * @returns {object} JSON response:
+ *  - `{ success: true, message: 'User blocked' }` on success.
+ *  - `{ success: false, message: string }` on failure (400 for invalid ID or blocking yourself, 404 if user not found, 500 for server error).
+ * @async
+ */
+app.post('/api/users/:id/block', authenticate, async (req, res) => {
+  const targetId = req.params.id;
+  const userId = req.currentUserId;
+
+  // Validate the target ID
+  if (!ObjectId.isValid(targetId)) {
+    return res.status(400).json({ success: false, message: 'Invalid user ID' });
+  }
+  if (userId.toString() === targetId) {
+    return res.status(400).json({ success: false, message: 'You cannot block yourself' });
+  }
+
+  try {
+    const targetObjectId = new ObjectId(targetId);
+    const target = await userCollection.findOne({ _id: targetObjectId }, { projection: { _id: 1 } });
+    if (!target) return res.status(404).json({ success: false, message: 'User not found' });
 
-    // Limit watchedHistory to the latest 50 shows
-    if (watchedHistory.length > 50) {
-      watchedHistory = watchedHistory.slice(0, 50);
-    }
+    const userIdStr = userId.toString();
+    // In one transaction: add to the block list and drop the friendship and pending requests on both sides
+    await updateUsersAtomically([
+      {
+        _id: userId,
+        update: {
+          $addToSet: { blockedUsers: targetId },
+          $pull: { friends: targetId, friendRequestsSent: targetId, friendRequestsRecieved: targetId }
+        }
+      },
+      {
+        _id: targetObjectId,
+        update: { $pull: { friends: userIdStr, friendRequestsSent: userIdStr, friendRequestsRecieved: userIdStr } }
+      }
+    ]);
 
-    // Update the user document in the database with the new watchedHistory
-    await userCollection.updateOne(
-      { _id: userId },
-      { $set: { watchedHistory: watchedHistory, updatedAt: new Date() } } // Also update `updatedAt` timestamp
-    );
+    res.json({ success: true, message: 'User blocked' });
+  } catch (error) {
+    // Log and respond with a 500 Internal Server Error if blocking fails
+    console.error('[BLOCK] Error blocking user:', error);
+    res.status(500).json({ success: false, message: 'Server error blocking user' });
+  }
+});
 
-    // Log the 'mark_watched' activity
-    await logActivity(userId, 'mark_watched', showId.toString(), {
-      episodeCount: episodes.length,
-      season: seasonNumber
-    });
+/**
+ * @route DELETE /api/users/:id/block
+ * @description Unblocks a user for the authenticated user. Friendships removed by the block are not restored.
+ * Requires authentication.
+ * @param {string} req.params.id - The ID of the user to unblock.
+ * @param {object} req - Express request object, `req.currentUserId` populated by `authenticate` middleware.
+ * @returns {object} JSON response:
+ *  - `{ success: true, message: string }` on success ('User unblocked' or 'User was not blocked').
+ *  - `{ success: false, message: string }` on failure (400 for invalid ID, 500 for server error).
+ * @async
+ */
+app.delete('/api/users/:id/block', authenticate, async (req, res) => {
+  const targetId = req.params.id;
+  if (!ObjectId.isValid(targetId)) {
+    return res.status(400).json({ success: false, message: 'Invalid user ID' });
+  }
 
-    console.log(`[MARK_WATCHED] Successfully updated watched history for user ${userId}, show ${showId}`);
-    res.status(200).json({ message: 'Watched status updated successfully.' });
+  try {
+    const result = await userCollection.updateOne(
+      { _id: req.currentUserId },
+      { $pull: { blockedUsers: targetId } }
+    );
+    res.json({ success: true, message: result.modifiedCount === 1 ? 'User unblocked' : 'User was not blocked' });
   } catch (error) {
-    // Log and respond with a 500 Internal Server Error if updating watched status fails
-    console.error('[MARK_WATCHED] Error:', error);
-    res.status(500).json({ message: 'Server error while updating watched status.', details: error.message });
+    // Log and respond with a 500 Internal Server Error if unblocking fails
+    console.error('[BLOCK] Error unblocking user:', error);
+    res.status(500).json({ success: false, message: 'Server error unblocking user' });
+  }
+});
+
+/**
+ * @route POST /api/users/:id/report
+ * @description Reports a user (e.g., an abusive profile) to the moderators. Users can't report themselves,
+ * nor report the same user again while their report is open.
+ * Requires authentication.
+ * @param {string} req.params.id - The ID of the user.
+ * @param {object} req.body - Expected property: `reason` (see `src/shared/reportReasons.js`). Optional: `details` (string, max 500 characters).
+ * @param {object} req - Express request object, `req.currentUserId` populated by `authenticate` middleware.
+ * @returns {object} JSON response:
+ *  - `{ success: true, message: 'Report submitted', reportId: string }` with status 201 on success.
+ *  - `{ success: false, message: string }` on failure (400 for invalid input or reporting yourself,
+ *    404 if user not found, 409 if already reported, 500 for server error).
+ * @async
+ */
+app.post('/api/users/:id/report', authenticate, async (req, res) => {
+  const targetId = req.params.id;
+  if (!ObjectId.isValid(targetId)) return res.status(400).json({ success: false, message: 'Invalid user ID' });
+  if (req.currentUserId.toString() === targetId) {
+    return res.status(400).json({ success: false, message: 'You cannot report yourself' });
+  }
+  try {
+    const target = await userCollection.findOne({ _id: new ObjectId(targetId) }, { projection: { _id: 1 } });
+    if (!target) return res.status(404).json({ success: false, message: 'User not found' });
+    await fileReport(req, res, 'user', target._id);
+  } catch (error) {
+    console.error('[REPORT] Error reporting user:', error);
+    res.status(500).json({ success: false, message: 'Server error submitting report' });
   }
 });
 
@@ -1205,9 +2380,23 @@ app.get('/api/users/recently-watched', authenticate, async (req, res) => {
   }
 });
 
+/**
+ * Builds the filter of a user's activities another visitor may see: private actions (see `PRIVATE_ACTIVITY_ACTIONS`,
+ * e.g. recommendations with their note and recipients) are left out unless the viewer is the user.
+ * @function profileActivityFilter
+ * @param {object} req - Express request object; the viewer is found with `getSessionUserId`.
+ * @param {ObjectId} ownerId - The ID of the user whose activities are listed.
+ * @returns {object} The filter to merge into the activity query.
+ */
+function profileActivityFilter(req, ownerId) {
+  if (getSessionUserId(req)?.equals(ownerId)) return {};
+  return { action: { $nin: PRIVATE_ACTIVITY_ACTIONS } };
+}
+
 /**
  * @route GET /api/users/:username
  * @description Fetches public profile information for a given username, including their latest 5 activities.
+ * Private activities are only included for the user themselves (see `profileActivityFilter`).
  * @param {string} req.params.username - The username of the user whose profile is being requested.
  * @returns {object} JSON response:
  *  - `{ success: true, user: UserProfile, activities: Array<Activity> }` on success. `UserProfile` includes `username`, `email` (can be sensitive, consider removal for public profiles), `profilePic`, `createdAt`, `friends`, `friendRequestsSent`, `_id`.
@@ -1241,7 +2430,7 @@ app.get('/api/users/:username', async (req, res) => {
     }
 
     // Fetch the latest 5 activities for this user
-    const userActivities = await Activity.find({ userId: user._id })
+    const userActivities = await Activity.find({ userId: user._id, ...profileActivityFilter(req, user._id) })
       .sort({ createdAt: -1 }) // Sort by newest first
       .limit(5) // Limit to 5 activities
       .lean(); // Use .lean() for plain JavaScript objects
@@ -1388,9 +2577,78 @@ app.get('/api/activities', authenticate, async (req, res) => {
   }
 });
 
+/**
+ * Sort order of the friends activity feed: newest first, then by ID so activities logged at the same time
+ * keep a stable order across pages (see `encodeSortCursor`).
+ * @const {Array<[string, number]>}
+ */
+const ACTIVITY_FEED_SORT = [['createdAt', -1], ['_id', -1]];
+
+/**
+ * @route GET /api/activities/feed
+ * @description Fetches the activities of the authenticated user's friends, newest first.
+ * Private actions (see `PRIVATE_ACTIVITY_ACTIONS`, e.g. logins) are left out.
+ * Supports cursor pagination: pass the `nextCursor` of a page as `before` to get the next one.
+ * Requires authentication.
+ * @param {object} req - Express request object, `req.currentUser` populated by `authenticate` middleware.
+ * @param {number} [req.query.limit=20] - Maximum number of activities to return (1-50).
+ * @param {string} [req.query.before] - A `nextCursor`; only activities after it (older ones) are returned.
+ * @returns {object} JSON response:
+ *  - `{ activities: Array<object>, nextCursor: string|null }` on success. Each activity includes a
+ *    `user` object with the friend's `_id`, `username` and `profilePic`.
+ *  - `{ error: string, details?: string }` on failure (400 for an invalid cursor, 500 for server error).
+ * @async
+ */
+app.get('/api/activities/feed', authenticate, async (req, res) => {
+  // Parse and clamp the page size
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 50);
+  // Friend IDs are stored as strings; only keep valid ones
+  const friendIds = (req.currentUser.friends || [])
+    .filter(id => ObjectId.isValid(id))
+    .map(id => new ObjectId(id));
+
+  if (friendIds.length === 0) return res.json({ activities: [], nextCursor: null });
+
+  const query = { userId: { $in: friendIds }, action: { $nin: PRIVATE_ACTIVITY_ACTIONS } };
+  if (req.query.before) {
+    // The cursor holds both the date and the ID of the last activity, so activities logged at the same time aren't skipped
+    const afterCursor = decodeSortCursor(String(req.query.before), ACTIVITY_FEED_SORT);
+    if (!afterCursor) return res.status(400).json({ error: 'Invalid cursor' });
+    Object.assign(query, afterCursor);
+  }
+
+  try {
+    // Fetch one extra activity to know whether there is another page
+    const activities = await Activity.find(query)
+      .sort(Object.fromEntries(ACTIVITY_FEED_SORT)).limit(limit + 1).lean();
+    const hasMore = activities.length > limit;
+    const page = activities.slice(0, limit);
+
+    // Attach the friend's username and profile picture to each activity
+    const friends = await userCollection.find(
+      { _id: { $in: [...new Set(page.map(a => a.userId.toString()))].map(id => new ObjectId(id)) } },
+      { projection: { username: 1, profilePic: 1 } }
+    ).toArray();
+    const friendsById = new Map(friends.map(f => [
+      f._id.toString(),
+      { _id: f._id.toString(), username: f.username, profilePic: f.profilePic || '' }
+    ]));
+
+    res.json({
+      activities: page.map(a => ({ ...a, user: friendsById.get(a.userId.toString()) || null })),
+      nextCursor: hasMore ? encodeSortCursor(page[page.length - 1], ACTIVITY_FEED_SORT) : null
+    });
+  } catch (error) {
+    // Log and respond with a 500 Internal Server Error if fetching the feed fails
+    console.error('Error fetching friends activity feed:', error);
+    res.status(500).json({ error: 'Failed to fetch activity feed', details: error.message });
+  }
+});
+
 /**
  * @route GET /api/users/:username/activities
  * @description Fetches the latest 50 activities for a specified username (public).
+ * Private activities are only included for the user themselves (see `profileActivityFilter`).
  * @param {string} req.params.username - The username of the user whose activities are being requested.
  * @returns {Array<Activity>|object} JSON response:
  *  - An array of activity objects on success.
@@ -1407,7 +2665,7 @@ app.get('/api/users/:username/activities', async (req, res) => {
     if (!user) return res.status(404).json({ error: 'User not found' });
 
     // Find activities for this user's ID, sort by newest, limit to 50
-    const activities = await Activity.find({ userId: user._id })
+    const activities = await Activity.find({ userId: user._id, ...profileActivityFilter(req, user._id) })
       .sort({ createdAt: -1 }).limit(50).lean();
     // Respond with the activities
     res.json(activities);
@@ -1420,12 +2678,13 @@ app.get('/api/users/:username/activities', async (req, res) => {
 
 /**
  * @route GET /api/users/:username/reviews
- * @description Fetches all reviews written by a specified username (public).
- * Reviews are augmented with show details (name, poster) from TMDB.
+ * @description Fetches all reviews written by a specified username (public), except those hidden by a moderator.
+ * Reviews pending moderation are only included for their author.
+ * Reviews include the snapshot of their show's details (name, poster).
  * @param {string} req.params.username - The username of the user whose reviews are being requested.
  * @returns {Array<ReviewWithShowDetails>|object} JSON response:
- *  - An array of review objects, each including show details, on success.
- *  - `{ error: string }` on failure (404 if user not found, 500 for server or TMDB API error).
+ *  - An array of review objects, each including show details and a `spoilerHidden` flag (see `applySpoilerProtection`), on success.
+ *  - `{ error: string }` on failure (404 if user not found, 500 for server error).
  * @async
  */
 app.get('/api/users/:username/reviews', async (req, res) => {
@@ -1444,46 +2703,34 @@ app.get('/api/users/:username/reviews', async (req, res) => {
     const userId = user._id;
     console.log(`Fetching reviews for user: ${username} (${userId})`);
 
-    // Find all reviews by this user, sorted by newest first
-    const userReviews = await Review.find({ userId: userId })
+    // Find all reviews by this user that a moderator didn't hide (and, for other viewers, that aren't pending), sorted by newest first
+    const ownProfile = getSessionUserId(req)?.equals(userId) || false;
+    const userReviews = await Review.find({ userId: userId, ...(ownProfile ? AUTHOR_VISIBLE_REVIEWS : VISIBLE_REVIEWS) })
       .sort({ createdAt: -1 })
       .lean();
+    // Fill in the show snapshots of reviews written before snapshots existed
+    await fillMissingShowSnapshots(userReviews);
 
     console.log(`Found ${userReviews.length} reviews for user ${username}`);
 
-    // Map over reviews and fetch TMDB show details for each
-    const reviewsWithShowDetails = await Promise.all(
-      userReviews.map(async (review) => {
-        // Determine the correct show ID field to use (handles legacy field names)
-        let showIdToUse = null;
-        if (review.showId) showIdToUse = review.showId;
-        else if (review.tmdbId) showIdToUse = review.tmdbId;
-        else if (review.show_id) showIdToUse = review.show_id;
-
-        console.log(`Processing review ${review._id}, using show ID: ${showIdToUse}`);
-
-        let showData = { name: 'Unknown Show', poster_path: null };
-        if (showIdToUse) {
-          // Fetch show details from TMDB
-          showData = await fetchShowDetailsFromTMDB(showIdToUse);
-        }
-
-        // Return formatted review with show details
-        return {
-          ...review,
-          id: review._id.toString(), // Ensure ID is string
-          showId: showIdToUse, // The show ID used for TMDB fetch
-          showName: showData.name, // Show name from TMDB
-          posterPath: showData.poster_path, // Show poster path from TMDB
-          likes: Array.isArray(review.likes) ? review.likes : [], // Likes array (original ObjectIds or strings)
-          dislikes: Array.isArray(review.dislikes) ? review.dislikes : [], // Dislikes array
-          username: user.username // Add username to each review object
-        };
-      })
-    );
+    // Format the reviews, with the show snapshots stored on them
+    const reviewsWithShowDetails = userReviews.map((review) => {
+      // Determine the correct show ID field to use (handles legacy field names)
+      const showIdToUse = review.showId || review.tmdbId || review.show_id || null;
+      return {
+        ...review,
+        id: review._id.toString(), // Ensure ID is string
+        showId: showIdToUse, // The show ID
+        showName: review.showName || 'Unknown Show', // Show name snapshot
+        posterPath: review.posterPath || null, // Show poster path snapshot
+        likes: Array.isArray(review.likes) ? review.likes : [], // Likes array (original ObjectIds or strings)
+        dislikes: Array.isArray(review.dislikes) ? review.dislikes : [], // Dislikes array
+        username: user.username // Add username to each review object
+      };
+    });
 
-    // Respond with the reviews including show details
-    res.json(reviewsWithShowDetails);
+    // Respond with the reviews including show details, flagging the spoilers the viewer hasn't reached
+    res.json(await applySpoilerProtection(req, reviewsWithShowDetails));
   } catch (error) {
     // Log and respond with a 500 Internal Server Error if fetching user reviews fails
     console.error('Error fetching user reviews:', error);
@@ -1491,13 +2738,86 @@ app.get('/api/users/:username/reviews', async (req, res) => {
   }
 });
 
+/**
+ * Default number of shows per watchlist page.
+ * @const {number}
+ */
+const WATCHLIST_PAGE_SIZE = 20;
+/**
+ * Maximum number of shows per watchlist page.
+ * @const {number}
+ */
+const WATCHLIST_MAX_PAGE_SIZE = 100;
+
+/**
+ * Compare functions of the watchlist sorts that only need the entries ('order' keeps the stored order,
+ * 'name' needs the shows' details). Ties keep the user's order, since `Array.prototype.sort` is stable.
+ * @const {Object<string, function(object, object): number>}
+ */
+const WATCHLIST_ENTRY_COMPARATORS = {
+  added: (a, b) => new Date(b.addedAt || 0) - new Date(a.addedAt || 0),
+  priority: (a, b) => WATCHLIST_PRIORITIES.indexOf(a.priority) - WATCHLIST_PRIORITIES.indexOf(b.priority),
+  status: (a, b) => WATCHLIST_STATUSES.indexOf(a.status) - WATCHLIST_STATUSES.indexOf(b.status)
+};
+
+/**
+ * Filters, sorts and paginates a watchlist, and adds the details of the shows on the page from the show metadata cache.
+ * Only the shows on the page are looked up, except when sorting by name, which needs every matching show.
+ * Shows whose details can't be found (TMDB unreachable and never cached) get a placeholder with `unavailable: true`.
+ * @async
+ * @param {Array<object|string>} watchlist - The stored watchlist.
+ * @param {object} query - `req.query`: optional `status`, `priority` and `tag` filters, `sort` (see `WATCHLIST_SORTS`,
+ *                         defaults to 'order'), `page` (from 1) and `limit` (default 20, max 100).
+ * @returns {Promise<{ error?: string, page?: object }>} An error message for invalid parameters, or the page:
+ *   `{ shows, page, limit, total, totalPages, tags }`. Each show has `id`, `name`, `poster_path`, TMDB details
+ *   and `entry` (`showId`, `addedAt`, `status`, `priority`, `tag`); `total` counts the matching shows and
+ *   `tags` lists every tag used in the watchlist.
+ */
+async function buildWatchlistPage(watchlist, query) {
+  const { status, priority, tag } = query;
+  const sort = query.sort || 'order';
+  if (status !== undefined && !WATCHLIST_STATUSES.includes(status)) return { error: `Invalid status. Must be one of: ${WATCHLIST_STATUSES.join(', ')}` };
+  if (priority !== undefined && !WATCHLIST_PRIORITIES.includes(priority)) return { error: `Invalid priority. Must be one of: ${WATCHLIST_PRIORITIES.join(', ')}` };
+  if (!WATCHLIST_SORTS.includes(sort)) return { error: `Invalid sort. Must be one of: ${WATCHLIST_SORTS.join(', ')}` };
+  const page = Math.max(1, parseInt(query.page, 10) || 1);
+  const limit = Math.min(WATCHLIST_MAX_PAGE_SIZE, Math.max(1, parseInt(query.limit, 10) || WATCHLIST_PAGE_SIZE));
+
+  const entries = (watchlist || []).map(normalizeWatchlistEntry);
+  const tags = [...new Set(entries.map(entry => entry.tag).filter(Boolean))].sort((a, b) => a.localeCompare(b));
+  let matching = entries.filter(entry =>
+    (status === undefined || entry.status === status) &&
+    (priority === undefined || entry.priority === priority) &&
+    (tag === undefined || entry.tag === tag)
+  );
+
+  let summaries;
+  if (sort === 'name') {
+    summaries = await getShowSummaries(matching.map(entry => entry.showId));
+    const nameOf = entry => summaries.get(entry.showId)?.name || '';
+    matching = [...matching].sort((a, b) => nameOf(a).localeCompare(nameOf(b)));
+  } else if (sort !== 'order') {
+    matching = [...matching].sort(WATCHLIST_ENTRY_COMPARATORS[sort]);
+  }
+
+  const pageEntries = matching.slice((page - 1) * limit, page * limit);
+  if (!summaries) summaries = await getShowSummaries(pageEntries.map(entry => entry.showId));
+  const shows = pageEntries.map(entry => {
+    const show = summaries.get(entry.showId);
+    return show
+      ? { ...show, entry }
+      : { id: Number(entry.showId), name: `Show #${entry.showId}`, poster_path: null, unavailable: true, entry };
+  });
+  return { page: { shows, page, limit, total: matching.length, totalPages: Math.ceil(matching.length / limit), tags } };
+}
+
 /**
  * @route GET /api/users/:username/watchlist
- * @description Fetches the watchlist (array of show IDs) for a specified username (public).
+ * @description Fetches one page of the watchlist of a specified username (public), with each show's details.
  * @param {string} req.params.username - The username of the user whose watchlist is being requested.
+ * @param {object} req.query - Optional `status`, `priority`, `tag`, `sort`, `page` and `limit` (see `buildWatchlistPage`).
  * @returns {object} JSON response:
- *  - `{ watchlist: Array<string> }` on success. Watchlist contains show IDs.
- *  - `{ error: string }` on failure (404 if user not found, 500 for server error).
+ *  - `{ success: true, shows: Array<object>, page, limit, total, totalPages, tags }` on success (see `buildWatchlistPage`).
+ *  - `{ error: string }` on failure (400 for invalid parameters, 404 if user not found, 500 for server error).
  * @async
  */
 app.get('/api/users/:username/watchlist', async (req, res) => {
@@ -1516,8 +2836,10 @@ app.get('/api/users/:username/watchlist', async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    // Respond with the user's watchlist (or an empty array if none)
-    res.json({ watchlist: user.watchlist || [] });
+    // Respond with the requested page of the user's watchlist
+    const { error, page } = await buildWatchlistPage(user.watchlist, req.query);
+    if (error) return res.status(400).json({ error });
+    res.json({ success: true, ...page });
   } catch (error) {
     // Log and respond with a 500 Internal Server Error if fetching watchlist fails
     console.error('Error fetching user watchlist:', error);
@@ -1531,11 +2853,11 @@ app.get('/api/users/:username/watchlist', async (req, res) => {
 /**
  * @route GET /api/users/:username/reviews
  * @description (Duplicate Route Definition) Fetches all reviews written by a specified username (public).
- * Reviews are augmented with show details (name, poster) from TMDB.
+ * Reviews include the snapshot of their show's details (name, poster).
  * @param {string} req.params.username - The username of the user whose reviews are being requested.
  * @returns {Array<ReviewWithShowDetails>|object} JSON response:
  *  - An array of review objects, each including show details, on success.
- *  - `{ error: string }` on failure (404 if user not found, 500 for server or TMDB API error).
+ *  - `{ error: string }` on failure (404 if user not found, 500 for server error).
  * @async
  */
 app.get('/api/users/:username/reviews', async (req, res) => {
@@ -1553,36 +2875,21 @@ app.get('/api/users/:username/reviews', async (req, res) => {
     const userReviews = await Review.find({ userId: userId })
       .sort({ createdAt: -1 })
       .lean();
+    // Fill in the show snapshots of reviews written before snapshots existed
+    await fillMissingShowSnapshots(userReviews);
 
     console.log(`Found ${userReviews.length} reviews for user ${username}`);
 
-    const reviewsWithShowDetails = await Promise.all(
-      userReviews.map(async (review) => {
-        let showIdToUse = null;
-
-        if (review.showId) showIdToUse = review.showId;
-        else if (review.tmdbId) showIdToUse = review.tmdbId;
-        else if (review.show_id) showIdToUse = review.show_id;
-
-        console.log(`Processing review ${review._id}, using show ID: ${showIdToUse}`);
-
-        let showData = { name: 'Unknown Show', poster_path: null };
-        if (showIdToUse) {
-          showData = await fetchShowDetailsFromTMDB(showIdToUse);
-        }
-
-        return {
-          ...review,
-          id: review._id.toString(),
-          showId: showIdToUse,
-          showName: showData.name,
-          posterPath: showData.poster_path,
-          likes: Array.isArray(review.likes) ? review.likes : [],
-          dislikes: Array.isArray(review.dislikes) ? review.dislikes : [],
-          username: user.username
-        };
-      })
-    );
+    const reviewsWithShowDetails = userReviews.map((review) => ({
+      ...review,
+      id: review._id.toString(),
+      showId: review.showId || review.tmdbId || review.show_id || null,
+      showName: review.showName || 'Unknown Show',
+      posterPath: review.posterPath || null,
+      likes: Array.isArray(review.likes) ? review.likes : [],
+      dislikes: Array.isArray(review.dislikes) ? review.dislikes : [],
+      username: user.username
+    }));
 
     res.json(reviewsWithShowDetails);
   } catch (error) {
@@ -1596,10 +2903,10 @@ app.get('/api/users/:username/reviews', async (req, res) => {
 // Commenting it as it appears in the code.
 /**
  * @route GET /api/users/:username/watchlist
- * @description (Duplicate Route Definition) Fetches the watchlist (array of show IDs) for a specified username (public).
+ * @description (Duplicate Route Definition) Fetches the watchlist entries for a specified username (public).
  * @param {string} req.params.username - The username of the user whose watchlist is being requested.
  * @returns {object} JSON response:
- *  - `{ watchlist: Array<string> }` on success.
+ *  - `{ watchlist: Array<object> }` on success.
  *  - `{ error: string }` on failure (404 if user not found, 500 for server error).
  * @async
  */
@@ -1616,7 +2923,7 @@ app.get('/api/users/:username/watchlist', async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    res.json({ watchlist: user.watchlist || [] });
+    res.json({ watchlist: (user.watchlist || []).map(normalizeWatchlistEntry) });
   } catch (error) {
     console.error('Error fetching user watchlist:', error);
     res.status(500).json({ error: 'Failed to fetch watchlist' });
@@ -1682,16 +2989,60 @@ app.post('/api/logout', async (req, res) => {
   }
 });
 
+/**
+ * Adds a show at the end of a user's watchlist as a new entry ('planned', medium priority, no tag).
+ * Does nothing if the show is already on the watchlist.
+ * @async
+ * @param {ObjectId} userId - The user's ID.
+ * @param {string} showId - The TMDB show ID.
+ * @returns {Promise<boolean>} True if the show was added.
+ */
+async function addToWatchlist(userId, showId) {
+  const result = await userCollection.updateOne(
+    { _id: userId, 'watchlist.showId': { $ne: showId } },
+    {
+      $push: {
+        watchlist: { showId, addedAt: new Date(), status: DEFAULT_WATCHLIST_STATUS, priority: DEFAULT_WATCHLIST_PRIORITY, tag: '' }
+      }
+    }
+  );
+  return result.modifiedCount === 1;
+}
+
+/**
+ * Parses the status, priority and tag of a watchlist entry from a request body. Omitted fields are left out.
+ * @param {object} body - `req.body`.
+ * @returns {{ fields?: object, error?: string }} The fields to save, or an error message.
+ */
+function parseWatchlistEntryFields(body) {
+  const fields = {};
+  if (body.status !== undefined) {
+    if (!WATCHLIST_STATUSES.includes(body.status)) return { error: `Invalid status. Must be one of: ${WATCHLIST_STATUSES.join(', ')}` };
+    fields.status = body.status;
+  }
+  if (body.priority !== undefined) {
+    if (!WATCHLIST_PRIORITIES.includes(body.priority)) return { error: `Invalid priority. Must be one of: ${WATCHLIST_PRIORITIES.join(', ')}` };
+    fields.priority = body.priority;
+  }
+  if (body.tag !== undefined) {
+    if (typeof body.tag !== 'string' || body.tag.trim().length > WATCHLIST_TAG_MAX_LENGTH) {
+      return { error: `Tag must be at most ${WATCHLIST_TAG_MAX_LENGTH} characters` };
+    }
+    fields.tag = body.tag.trim();
+  }
+  return { fields };
+}
+
 /**
  * @route POST /api/watchlist/add
- * @description Adds a show to the authenticated user's watchlist.
- * Uses `$addToSet` to prevent duplicates. Requires authentication.
+ * @description Adds a show at the end of the authenticated user's watchlist, as a 'planned' entry with medium priority.
+ * Shows already on the watchlist are left as they are. Requires authentication.
  * Logs 'watchlist_add' activity.
  * @param {object} req.body - Expected property: `showId` (string).
  * @param {object} req - Express request object, `req.currentUserId` populated by `authenticate` middleware.
  * @returns {object} JSON response:
  *  - `{ success: true, message: string }` on success ('Added to watchlist' or 'Already in watchlist').
- *  - `{ success: false, message: string }` on failure (400 for missing show ID, 404 if user not found/update failed, 500 for server error).
+ *  - `{ success: false, message: string }` on failure (400 for missing show ID, 500 for server error).
  * @async
  */
 app.post('/api/watchlist/add', authenticate, async (req, res) => {
@@ -1702,17 +3053,12 @@ app.post('/api/watchlist/add', authenticate, async (req, res) => {
   // Validate show ID
   if (!showId) return res.status(400).json({ success: false, message: 'Missing show ID' });
   try {
-    // Add showId to user's watchlist array using $addToSet (ensures uniqueness)
-    const result = await userCollection.updateOne({ _id: userId }, { $addToSet: { watchlist: showId.toString() } });
-    // Check update result
-    if (result.modifiedCount === 0 && result.matchedCount === 1) { // Matched user, but showId was already in watchlist
+    // The user exists (authenticate passed), so nothing being added means the show was already in the watchlist
+    if (!(await addToWatchlist(userId, showId.toString()))) {
       return res.status(200).json({ success: true, message: 'Already in watchlist' });
-    } else if (result.modifiedCount === 1) { // Successfully added to watchlist
-      await logActivity(userId, 'watchlist_add', showId.toString());
-      return res.json({ success: true, message: 'Added to watchlist' });
     }
-    // If user not matched or other update failure
-    return res.status(404).json({ success: false, message: 'User not found or watchlist update failed' });
+    await logActivity(userId, 'watchlist_add', showId.toString());
+    return res.json({ success: true, message: 'Added to watchlist' });
   } catch (err) {
     // Log and respond with a 500 Internal Server Error if adding to watchlist fails
     console.error("Error updating watchlist:", err);
@@ -1743,10 +3089,10 @@ app.post('/api/watchlist/remove', authenticate, async (req, res) => {
   }
 
   try {
-    // Remove showId from user's watchlist array using $pull
+    // Remove the show's entry from user's watchlist array using $pull
     const result = await userCollection.updateOne(
       { _id: userId },
-      { $pull: { watchlist: showId } } // `showId` here should be string if watchlist stores strings
+      { $pull: { watchlist: { showId: showId.toString() } } }
     );
 
     // If user was not found (shouldn't happen if authenticate passed)
@@ -1770,47 +3116,114 @@ app.post('/api/watchlist/remove', authenticate, async (req, res) => {
   }
 });
 
+/**
+ * @route PATCH /api/watchlist/:showId
+ * @description Changes the status, priority or tag of a show on the authenticated user's watchlist.
+ * Requires authentication.
+ * @param {string} req.params.showId - The show.
+ * @param {object} req.body - Any of `status` ('planned', 'watching', 'paused', 'dropped' or 'completed'),
+ *                            `priority` ('high', 'medium' or 'low') and `tag` (max 30 characters; empty to remove it).
+ * @returns {object} JSON response:
+ *  - `{ success: true, entry: object }` with the updated entry on success.
+ *  - `{ success: false, message: string }` on failure (400 for invalid input, 404 if the show is not in the watchlist, 500 for server error).
+ * @async
+ */
+app.patch('/api/watchlist/:showId', authenticate, async (req, res) => {
+  const { fields, error } = parseWatchlistEntryFields(req.body);
+  if (error) return res.status(400).json({ success: false, message: error });
+  if (Object.keys(fields).length === 0) {
+    return res.status(400).json({ success: false, message: 'Nothing to update: provide status, priority or tag' });
+  }
+  const { showId } = req.params;
+  try {
+    // Set the fields on the matching entry with the positional operator
+    const $set = Object.fromEntries(Object.entries(fields).map(([key, value]) => [`watchlist.$.${key}`, value]));
+    const result = await userCollection.findOneAndUpdate(
+      { _id: req.currentUserId, 'watchlist.showId': showId },
+      { $set },
+      { returnDocument: 'after', projection: { watchlist: 1 } }
+    );
+    if (!result) return res.status(404).json({ success: false, message: 'This show is not in your watchlist' });
+    const entry = result.watchlist.find(item => item.showId === showId);
+    res.json({ success: true, entry: normalizeWatchlistEntry(entry) });
+  } catch (err) {
+    // Log and respond with a 500 Internal Server Error if updating the entry fails
+    console.error('Error updating watchlist entry:', err);
+    res.status(500).json({ success: false, message: 'Server error updating watchlist entry' });
+  }
+});
+
+/**
+ * @route PUT /api/watchlist/order
+ * @description Reorders the authenticated user's watchlist. Requires authentication.
+ * Either gives the whole new order, or moves one show (useful when only a page of the watchlist is loaded).
+ * @param {object} req.body - Either `showIds`: every show of the watchlist, in the new order;
+ *                            or `showId`: the show to move, and `beforeShowId`: the show to put it before (`null` for the end).
+ * @returns {object} JSON response:
+ *  - `{ success: true, showIds: Array<string> }` with the new order on success.
+ *  - `{ success: false, message: string }` on failure (400 if `showIds` isn't exactly the watchlist's shows or the shows
+ *    to move aren't in the watchlist, 409 if the watchlist changed while reordering, 500 for server error).
+ * @async
+ */
+app.put('/api/watchlist/order', authenticate, async (req, res) => {
+  const { showIds, showId, beforeShowId } = req.body;
+  if (!Array.isArray(showIds) && showId == null) {
+    return res.status(400).json({ success: false, message: 'Provide showIds, or showId and beforeShowId' });
+  }
+  try {
+    const entriesByShow = new Map((req.currentUser.watchlist || []).map(item => {
+      const entry = normalizeWatchlistEntry(item);
+      return [entry.showId, entry];
+    }));
+    let orderedIds;
+    if (Array.isArray(showIds)) {
+      orderedIds = showIds.map(String);
+    } else {
+      // Move one show before another
+      const movedId = String(showId);
+      const targetId = beforeShowId == null ? null : String(beforeShowId);
+      if (!entriesByShow.has(movedId) || (targetId !== null && (!entriesByShow.has(targetId) || targetId === movedId))) {
+        return res.status(400).json({ success: false, message: 'showId and beforeShowId must be different shows of the watchlist' });
+      }
+      orderedIds = [...entriesByShow.keys()].filter(id => id !== movedId);
+      orderedIds.splice(targetId === null ? orderedIds.length : orderedIds.indexOf(targetId), 0, movedId);
+    }
+    if (orderedIds.length !== entriesByShow.size || new Set(orderedIds).size !== orderedIds.length || !orderedIds.every(id => entriesByShow.has(id))) {
+      return res.status(400).json({ success: false, message: 'showIds must contain every show of the watchlist exactly once' });
+    }
+    // Only write if the watchlist is still the one the order was built from, so a concurrent change isn't undone
+    const result = await userCollection.updateOne(
+      { _id: req.currentUserId, watchlist: req.currentUser.watchlist ?? null },
+      { $set: { watchlist: orderedIds.map(id => entriesByShow.get(id)) } }
+    );
+    if (result.matchedCount === 0) {
+      return res.status(409).json({ success: false, message: 'Your watchlist changed in the meantime. Please reload it and try again.' });
+    }
+    res.json({ success: true, showIds: orderedIds });
+  } catch (err) {
+    // Log and respond with a 500 Internal Server Error if reordering fails
+    console.error('Error reordering watchlist:', err);
+    res.status(500).json({ success: false, message: 'Server error reordering watchlist' });
+  }
+});
+
 /**
  * @route GET /api/watchlist
- * @description Fetches the authenticated user's watchlist with details for each show from TMDB.
+ * @description Fetches one page of the authenticated user's watchlist with each show's details, in the user's order
+ * unless sorted otherwise. Show details come from the show metadata cache, so the watchlist still loads when TMDB is down.
  * Requires authentication.
  * @param {object} req - Express request object, `req.currentUser` populated by `authenticate` middleware.
- * @returns {Array<object>|object} JSON response:
- *  - An array of show objects (each with `id`, `name`, `poster_path`, TMDB details) on success. Empty array if watchlist is empty.
- *  - `{ error: string, details?: string }` on failure (500 for server or TMDB API error).
+ * @param {object} req.query - Optional `status`, `priority`, `tag`, `sort`, `page` and `limit` (see `buildWatchlistPage`).
+ * @returns {object} JSON response:
+ *  - `{ success: true, shows: Array<object>, page, limit, total, totalPages, tags }` on success (see `buildWatchlistPage`).
+ *  - `{ error: string, details?: string }` on failure (400 for invalid parameters, 500 for server error).
  * @async
  */
 app.get('/api/watchlist', authenticate, async (req, res) => {
   try {
-    // Get current user document
-    const user = req.currentUser;
-    // If watchlist is empty or doesn't exist, return empty array
-    if (!user.watchlist || user.watchlist.length === 0) return res.json([]);
-
-    // Map over watchlist show IDs and fetch details from TMDB for each
-    const watchlistDetails = await Promise.all(
-      user.watchlist.map(async (showId) => {
-        try {
-          // Construct TMDB API URL for the show
-          const tmdbUrl = `${tmdbBaseUrl}/tv/${showId}`; // Assumes all watchlist items are TV shows
-          // Fetch show details from TMDB
-          const response = await axios.get(tmdbUrl, { params: { api_key: tmdbApiKey }, timeout: 5000 });
-          // Return formatted show details
-          return {
-            id: response.data.id, name: response.data.name, poster_path: response.data.poster_path,
-            vote_average: response.data.vote_average, vote_count: response.data.vote_count,
-            first_air_date: response.data.first_air_date
-          };
-        } catch (error) {
-          // Warn if TMDB fetch fails for a specific watchlist item
-          console.warn(`TMDB fetch failed for watchlist item ${showId}:`, error.message);
-          // Return a placeholder object for failed fetches to not break the entire list
-          return { id: showId, name: `Show ID: ${showId} (Fetch Error)`, poster_path: null };
-        }
-      })
-    );
-    // Filter out any null/undefined results (though current placeholder returns an object) and respond
-    res.json(watchlistDetails.filter(Boolean));
+    const { error, page } = await buildWatchlistPage(req.currentUser.watchlist, req.query);
+    if (error) return res.status(400).json({ error });
+    res.json({ success: true, ...page });
   } catch (error) {
     // Log and respond with a 500 Internal Server Error if fetching watchlist fails
     console.error("Error fetching watchlist:", error);
@@ -1818,6 +3231,189 @@ app.get('/api/watchlist', authenticate, async (req, res) => {
   }
 });
 
+/**
+ * @route POST /api/recommendations
+ * @description Recommends a show to one or more of the authenticated user's friends, with an optional note.
+ * Creates one `Recommendation` per recipient. A friend who already has a pending recommendation of the same show
+ * from this user gets the note updated instead of a duplicate. Recipients who are not friends are ignored.
+ * Notifies each recipient and logs 'recommendation_send' activity. Requires authentication.
+ * @param {object} req.body - Expected properties: `showId` (string), `friendIds` (Array of user ID strings), `note` (string, optional, max 500 characters).
+ * @param {object} req - Express request object, `req.currentUser` and `req.currentUserId` populated by `authenticate` middleware.
+ * @returns {object} JSON response:
+ *  - `{ success: true, message: string, sentTo: Array<string> }` on success.
+ *  - `{ success: false, message: string }` on failure (400 for invalid input or no valid friends, 500 for server error).
+ * @async
+ */
+app.post('/api/recommendations', authenticate, async (req, res) => {
+  const { showId, friendIds, note = '' } = req.body;
+  const userId = req.currentUserId;
+
+  // Validate input
+  if (!showId) return res.status(400).json({ success: false, message: 'Missing show ID' });
+  if (!Array.isArray(friendIds) || friendIds.length === 0) {
+    return res.status(400).json({ success: false, message: 'Select at least one friend' });
+  }
+  if (typeof note !== 'string' || note.length > 500) {
+    return res.status(400).json({ success: false, message: 'Note must be text of at most 500 characters' });
+  }
+
+  // Only recommend to actual friends (friend IDs are stored as strings)
+  const friends = new Set((req.currentUser.friends || []).map(id => id.toString()));
+  const recipientIds = [...new Set(friendIds.map(String))].filter(id => friends.has(id) && ObjectId.isValid(id));
+  if (recipientIds.length === 0) {
+    return res.status(400).json({ success: false, message: 'You can only recommend shows to your friends' });
+  }
+
+  try {
+    // Snapshot the show's name and poster so the inbox does not need TMDB
+    const showDetails = await fetchShowDetailsFromTMDB(showId.toString());
+    const now = new Date();
+
+    // Upsert one pending recommendation per recipient
+    await Recommendation.bulkWrite(recipientIds.map(recipientId => ({
+      updateOne: {
+        filter: { fromUserId: userId, toUserId: new ObjectId(recipientId), showId: showId.toString(), status: 'pending' },
+        update: {
+          $set: { note: note.trim(), showName: showDetails.name || '', posterPath: showDetails.poster_path || null, createdAt: now },
+          $setOnInsert: { respondedAt: null }
+        },
+        upsert: true
+      }
+    })));
+
+    // Notify every recipient
+    await Promise.all(recipientIds.map(recipientId => createNotification({
+      userId: recipientId,
+      actorId: userId,
+      type: 'recommendation',
+      targetId: showId.toString(),
+      details: { showName: showDetails.name || '', note: note.trim() }
+    })));
+
+    // Log the 'recommendation_send' activity
+    await logActivity(userId, 'recommendation_send', showId.toString(), {
+      recipientIds,
+      recipientCount: recipientIds.length,
+      note: note.trim()
+    });
+
+    res.json({ success: true, message: 'Recommendation sent', sentTo: recipientIds });
+  } catch (error) {
+    // Log and respond with a 500 Internal Server Error if sending fails
+    console.error('[RECOMMENDATIONS] Error sending recommendation:', error);
+    res.status(500).json({ success: false, message: 'Server error sending recommendation' });
+  }
+});
+
+/**
+ * @route GET /api/recommendations
+ * @description Fetches the shows recommended to the authenticated user, grouped by show, newest first.
+ * Each show lists every recommendation with the sender's details and note.
+ * Requires authentication.
+ * @param {string} [req.query.status='pending'] - Which recommendations to return: 'pending', 'accepted', 'dismissed', 'added_to_watchlist' or 'all'.
+ * @param {number} [req.query.limit=20] - Maximum number of shows to return (1-100).
+ * @param {object} req - Express request object, `req.currentUserId` populated by `authenticate` middleware.
+ * @returns {Array<object>|object} JSON response:
+ *  - An array of `{ showId, showName, posterPath, latestAt, recommendations: [{ _id, status, note, createdAt, from: { _id, username, profilePic } }] }` on success.
+ *  - `{ error: string, details?: string }` on failure (400 for invalid status, 500 for server error).
+ * @async
+ */
+app.get('/api/recommendations', authenticate, async (req, res) => {
+  const status = req.query.status || 'pending';
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+  const validStatuses = ['pending', 'accepted', 'dismissed', 'added_to_watchlist', 'all'];
+  if (!validStatuses.includes(status)) {
+    return res.status(400).json({ error: `Invalid status. Use one of: ${validStatuses.join(', ')}` });
+  }
+
+  try {
+    const query = { toUserId: req.currentUserId };
+    if (status !== 'all') query.status = status;
+
+    // Fetch the recommendations with their senders' details
+    const recommendations = await Recommendation.find(query)
+      .sort({ createdAt: -1 })
+      .limit(500)
+      .populate('fromUserId', 'username profilePic')
+      .lean();
+
+    // Group by show, keeping the newest-first order of the shows
+    const byShow = new Map();
+    recommendations.forEach(rec => {
+      if (!rec.fromUserId) return; // Sender account no longer exists
+      if (!byShow.has(rec.showId)) {
+        byShow.set(rec.showId, {
+          showId: rec.showId,
+          showName: rec.showName,
+          posterPath: rec.posterPath,
+          latestAt: rec.createdAt,
+          recommendations: []
+        });
+      }
+      byShow.get(rec.showId).recommendations.push({
+        _id: rec._id,
+        status: rec.status,
+        note: rec.note,
+        createdAt: rec.createdAt,
+        from: { _id: rec.fromUserId._id, username: rec.fromUserId.username, profilePic: rec.fromUserId.profilePic || '' }
+      });
+    });
+
+    res.json([...byShow.values()].slice(0, limit));
+  } catch (error) {
+    // Log and respond with a 500 Internal Server Error if fetching fails
+    console.error('[RECOMMENDATIONS] Error fetching recommendations:', error);
+    res.status(500).json({ error: 'Failed to fetch recommendations', details: error.message });
+  }
+});
+
+/**
+ * @route PUT /api/recommendations/show/:showId
+ * @description Responds to every pending recommendation of a show received by the authenticated user.
+ * `added_to_watchlist` also adds the show to the user's watchlist (logging 'watchlist_add').
+ * Requires authentication.
+ * @param {string} req.params.showId - The TMDB ID of the recommended show.
+ * @param {object} req.body - Expected property: `status` ('accepted', 'dismissed' or 'added_to_watchlist').
+ * @param {object} req - Express request object, `req.currentUserId` populated by `authenticate` middleware.
+ * @returns {object} JSON response:
+ *  - `{ success: true, status: string, updatedCount: number }` on success.
+ *  - `{ success: false, message: string }` on failure (400 for invalid status, 404 if there is nothing pending, 500 for server error).
+ * @async
+ */
+app.put('/api/recommendations/show/:showId', authenticate, async (req, res) => {
+  const { showId } = req.params;
+  const { status } = req.body;
+  const userId = req.currentUserId;
+
+  if (!['accepted', 'dismissed', 'added_to_watchlist'].includes(status)) {
+    return res.status(400).json({ success: false, message: "Status must be 'accepted', 'dismissed' or 'added_to_watchlist'" });
+  }
+
+  try {
+    // Resolve all pending recommendations of this show at once
+    const result = await Recommendation.updateMany(
+      { toUserId: userId, showId: showId.toString(), status: 'pending' },
+      { $set: { status, respondedAt: new Date() } }
+    );
+    if (result.matchedCount === 0) {
+      return res.status(404).json({ success: false, message: 'No pending recommendation for this show' });
+    }
+
+    // Adding to the watchlist reuses the same update as POST /api/watchlist/add
+    if (status === 'added_to_watchlist') {
+      if (await addToWatchlist(userId, showId.toString())) {
+        await logActivity(userId, 'watchlist_add', showId.toString());
+      }
+    }
+
+    res.json({ success: true, status, updatedCount: result.modifiedCount });
+  } catch (error) {
+    // Log and respond with a 500 Internal Server Error if updating fails
+    console.error('[RECOMMENDATIONS] Error responding to recommendation:', error);
+    res.status(500).json({ success: false, message: 'Server error updating recommendation' });
+  }
+});
+
 /**
  * @route POST /api/chat
  * @description Proxies chat messages to the OpenAI API (gpt-3.5-turbo model).
@@ -1902,7 +3498,7 @@ app.get('/api/statistics/total-users', async (req, res) => {
 
 /**
  * @route GET /api/statistics/total-reviews
- * @description Fetches the total count of reviews.
+ * @description Fetches the total count of reviews, not counting reviews hidden by a moderator.
  * @returns {object} JSON response:
  *  - `{ success: true, totalReviews: number }` on success.
  *  - `{ success: false, message: string }` on failure.
@@ -1910,7 +3506,7 @@ app.get('/api/statistics/total-users', async (req, res) => {
  */
 app.get('/api/statistics/total-reviews', async (req, res) => {
   try {
-    const totalReviewsCount = await Review.countDocuments({});
+    const totalReviewsCount = await Review.countDocuments(VISIBLE_REVIEWS);
     res.json({ success: true, totalReviews: totalReviewsCount });
   } catch (error) {
     console.error("Failed to fetch total reviews count:", error);
@@ -1920,26 +3516,64 @@ app.get('/api/statistics/total-reviews', async (req, res) => {
 
 /**
  * @route GET /api/average-rating
- * @description Calculates and returns the average rating and total number of reviews for a given show.
+ * @description Calculates and returns the average rating and total number of reviews for a show, one of its seasons
+ * or one of its episodes. Without a season or episode number, only show-level reviews are counted.
+ * Reviews hidden by a moderator are never counted.
+ * With `groupBy`, returns one average per season or per episode instead (e.g., every episode of a season at once).
  * @param {string} req.query.showId - The ID of the show for which to calculate the average rating.
+ * @param {string} [req.query.level='show'] - 'show', 'season', 'episode' or 'all' (see `buildReviewLevelFilter`).
+ * @param {number} [req.query.seasonNumber] - Average of this season's reviews (or of its episodes' reviews, see `level`).
+ * @param {number} [req.query.episodeNumber] - Average of this episode's reviews (requires `seasonNumber`).
+ * @param {string} [req.query.groupBy] - 'season' (season-level reviews per season) or 'episode' (episode-level reviews per episode).
  * @returns {object} JSON response:
  *  - `{ averageRating: number | null, totalReviews: number }` on success. `averageRating` is null if no reviews.
- *  - `{ error: string, details?: string }` on failure (400 for missing show ID, 500 for server error).
+ *  - With `groupBy`: `{ seasons: Array<{ seasonNumber, averageRating, totalReviews }> }` or
+ *    `{ episodes: Array<{ seasonNumber, episodeNumber, averageRating, totalReviews }> }`, sorted by number.
+ *  - `{ error: string, details?: string }` on failure (400 for missing show ID or invalid filters, 500 for server error).
  * @async
  */
 app.get('/api/average-rating', async (req, res) => {
   try {
-    // Get show ID from query parameters
-    const { showId } = req.query;
-    // Validate show ID
+    // Get show ID and grouping from query parameters
+    const { showId, groupBy } = req.query;
+    // Validate show ID and grouping
     if (!showId) return res.status(400).json({ error: 'Show ID is required' });
+    if (groupBy && !['season', 'episode'].includes(groupBy)) {
+      return res.status(400).json({ error: "Invalid groupBy. Must be 'season' or 'episode'" });
+    }
+
+    // Select the reviews at the requested level (per-group averages are computed over that group's level)
+    const { filter: levelFilter, error: levelError } = buildReviewLevelFilter(
+      groupBy && !req.query.level ? { ...req.query, level: groupBy } : req.query,
+      'show'
+    );
+    if (levelError) return res.status(400).json({ error: levelError });
+    const match = { showId: showId.toString(), ...levelFilter, ...VISIBLE_REVIEWS };
+
+    if (groupBy) {
+      // One average per season or per episode
+      const groupKey = groupBy === 'season'
+        ? { seasonNumber: '$seasonNumber' }
+        : { seasonNumber: '$seasonNumber', episodeNumber: '$episodeNumber' };
+      const groups = await Review.aggregate([
+        { $match: match },
+        { $group: { _id: groupKey, averageRating: { $avg: '$rating' }, totalReviews: { $sum: 1 } } },
+        { $sort: { '_id.seasonNumber': 1, '_id.episodeNumber': 1 } }
+      ]);
+      const averages = groups.map(group => ({
+        ...group._id,
+        averageRating: parseFloat(group.averageRating.toFixed(2)),
+        totalReviews: group.totalReviews
+      }));
+      return res.json(groupBy === 'season' ? { seasons: averages } : { episodes: averages });
+    }
 
     // MongoDB aggregation pipeline to calculate average rating and total reviews
     const result = await Review.aggregate([
-      { $match: { showId: showId.toString() } }, // Match reviews for the given showId
-      { $group: { _id: '$showId', averageRating: { $avg: '$rating' }, totalReviews: { $sum: 1 } } } // Group by showId and calculate average rating and sum of reviews
+      { $match: match }, // Match reviews for the given show, season or episode
+      { $group: { _id: null, averageRating: { $avg: '$rating' }, totalReviews: { $sum: 1 } } } // Calculate average rating and sum of reviews
     ]);
-    // If no reviews found for the show
+    // If no reviews found
     if (result.length === 0) return res.json({ averageRating: null, totalReviews: 0 });
 
     // Destructure results from aggregation
@@ -1953,6 +3587,110 @@ app.get('/api/average-rating', async (req, res) => {
   }
 });
 
+/**
+ * @route GET /api/shows/:showId/stats
+ * @description Returns the community stats of a show, shown on the show's page next to its average rating:
+ * the rating histogram, the average rating among the logged-in viewer's friends, how many users are watching
+ * the show and have it on their watchlist, and how many reviews were written each month.
+ * Rating stats count show-level reviews by default; `level`, `seasonNumber` and `episodeNumber` select other levels.
+ * Reviews hidden by a moderator are never counted.
+ * @param {string} req.params.showId - The TMDB ID of the show.
+ * @param {string} [req.query.level='show'] - 'show', 'season', 'episode' or 'all' (see `buildReviewLevelFilter`).
+ * @param {number} [req.query.seasonNumber] - Only count reviews of this season.
+ * @param {number} [req.query.episodeNumber] - Only count reviews of this episode (requires `seasonNumber`).
+ * @returns {object} JSON response:
+ *  - `{ showId, averageRating: number|null, totalReviews: number, histogram: Array<{ rating, count }>,
+ *       friends: { averageRating: number|null, totalReviews: number, totalFriends: number } | null,
+ *       watchingCount: number, watchlistCount: number, reviewsOverTime: Array<{ month: 'YYYY-MM', count, averageRating }> }` on success.
+ *    `histogram` has one entry per rating of the rating scale (lowest first), including empty ones.
+ *    `friends` is null for logged-out visitors.
+ *  - `{ error: string, details?: string }` on failure (400 for invalid filters, 500 for server error).
+ * @async
+ */
+app.get('/api/shows/:showId/stats', async (req, res) => {
+  try {
+    const showId = req.params.showId.toString();
+    // Select the reviews at the requested level
+    const { filter: levelFilter, error: levelError } = buildReviewLevelFilter(req.query, 'show');
+    if (levelError) return res.status(400).json({ error: levelError });
+    const match = { showId, ...levelFilter, ...VISIBLE_REVIEWS };
+
+    // The viewer's friends, or null for logged-out visitors
+    const friendIds = await getFriendIds(req);
+
+    // Run the independent aggregations side by side
+    const [ratingStats, friendStats, watchers, watchlistCount, reviewsOverTime] = await Promise.all([
+      // Overall average and the number of reviews per rating
+      Review.aggregate([
+        { $match: match },
+        {
+          $facet: {
+            overall: [{ $group: { _id: null, averageRating: { $avg: '$rating' }, totalReviews: { $sum: 1 } } }],
+            histogram: [{ $group: { _id: '$rating', count: { $sum: 1 } } }]
+          }
+        }
+      ]),
+      // Average among the viewer's friends
+      friendIds
+        ? Review.aggregate([
+          { $match: { ...match, userId: { $in: friendIds } } },
+          { $group: { _id: null, averageRating: { $avg: '$rating' }, totalReviews: { $sum: 1 } } }
+        ])
+        : Promise.resolve(null),
+      // Users who have watched at least one episode of the show
+      WatchProgress.aggregate([
+        { $match: { showId } },
+        { $group: { _id: '$userId' } },
+        { $count: 'count' }
+      ]),
+      // Users who have the show on their watchlist
+      userCollection.countDocuments({ 'watchlist.showId': showId }),
+      // Reviews written per month, oldest first
+      Review.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: { $dateToString: { format: '%Y-%m', date: '$createdAt' } },
+            count: { $sum: 1 },
+            averageRating: { $avg: '$rating' }
+          }
+        },
+        { $sort: { _id: 1 } }
+      ])
+    ]);
+
+    const overall = ratingStats[0].overall[0];
+    // Ratings saved before the rating scale was enforced are left out of the histogram buckets
+    const countsByRating = new Map(ratingStats[0].histogram.map(bucket => [bucket._id, bucket.count]));
+    const friendsOverall = friendStats?.[0];
+
+    res.json({
+      showId,
+      averageRating: overall ? parseFloat(overall.averageRating.toFixed(2)) : null,
+      totalReviews: overall?.totalReviews || 0,
+      histogram: RATING_VALUES.map(rating => ({ rating, count: countsByRating.get(rating) || 0 })),
+      friends: friendIds
+        ? {
+          averageRating: friendsOverall ? parseFloat(friendsOverall.averageRating.toFixed(2)) : null,
+          totalReviews: friendsOverall?.totalReviews || 0,
+          totalFriends: friendIds.length
+        }
+        : null,
+      watchingCount: watchers[0]?.count || 0,
+      watchlistCount,
+      reviewsOverTime: reviewsOverTime.map(month => ({
+        month: month._id,
+        count: month.count,
+        averageRating: parseFloat(month.averageRating.toFixed(2))
+      }))
+    });
+  } catch (error) {
+    // Log and respond with a 500 Internal Server Error if the stats can't be computed
+    console.error('Error fetching show stats:', error);
+    res.status(500).json({ error: 'Failed to fetch show stats', details: error.message });
+  }
+});
+
 /**
  * @route GET /^(?!\/api).*
  * @description Catch-all route for any GET requests that do not start with '/api'.
@@ -1968,6 +3706,10 @@ app.get(/^(?!\/api).*/, (req, res) => {
 
 // Connect to the MongoDB database using the native driver setup from databaseConnection.js
 connectToDatabase().then(() => {
+  // Keep the cached show details fresh in the background
+  startShowCacheRefresh();
+  // Keep the show snapshots of reviews and activities up to date in the background
+  startShowSnapshotRefresh();
   // If database connection is successful, start the Express server
   app.listen(port, () => {
     console.log(`✅ Server running on port ${port}`);
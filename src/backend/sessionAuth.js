@@ -0,0 +1,32 @@
+/**
+ * @file sessionAuth.js
+ * @description Session helpers shared by the routers: who is logged in, and a middleware that only lets
+ * logged-in users through. Unlike `authenticate` in `server.js`, they don't load the user document.
+ */
+
+// Import ObjectId to convert the session's user ID
+import { ObjectId } from 'mongodb';
+
+/**
+ * Gets the logged-in user's ID from the session.
+ * @param {object} req - Express request object.
+ * @returns {ObjectId|null} The user's ID, or `null` if nobody is logged in.
+ */
+export function getSessionUserId(req) {
+  const { authenticated, userId } = req.session || {};
+  if (!authenticated || !userId || !ObjectId.isValid(userId)) return null;
+  return new ObjectId(userId);
+}
+
+/**
+ * Middleware that rejects anonymous requests with 401. Sets `req.userId` to the logged-in user's ID.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {function} next - Express next middleware function.
+ */
+export function requireUser(req, res, next) {
+  const userId = getSessionUserId(req);
+  if (!userId) return res.status(401).json({ success: false, message: 'Not logged in' });
+  req.userId = userId;
+  next();
+}
@@ -0,0 +1,193 @@
+/**
+ * @file Persistent cache of show metadata.
+ * @module showCache
+ * Lists of shows (watchlists, show lists, activity entries) only need a few details per show: name, poster, rating.
+ * Instead of one TMDB request per show, these details are kept in the `ShowMetadata` collection:
+ * - Reads take every requested show from the collection in one query. Only shows never seen before are fetched
+ *   from TMDB (a few at a time), then stored.
+ * - Entries older than `SHOW_CACHE_TTL_MS` are still served, and refreshed by a background job
+ *   (`startShowCacheRefresh`), the most recently requested first.
+ * - When TMDB can't be reached, cached details are served as they are, and shows that were never cached come back
+ *   as `null` so that callers can show a placeholder. TMDB is then left alone for `TMDB_BACKOFF_MS`.
+ */
+
+// Import process for the environment variables
+import process from 'process';
+// Import the ShowMetadata model
+import { ShowMetadata } from './utils.js';
+// Import the TMDB fetcher shared with the TMDB proxy (it adds the API key and its own short-lived cache)
+import { fetchTMDBCached } from './tmdbProxy.js';
+
+/**
+ * How long cached show details are considered fresh, in milliseconds (default 24 hours).
+ * @const {number}
+ */
+const SHOW_CACHE_TTL_MS = Number(process.env.SHOW_CACHE_TTL_MS) || 24 * 60 * 60 * 1000;
+/**
+ * How often the background job refreshes stale entries, in milliseconds (default 5 minutes).
+ * @const {number}
+ */
+const REFRESH_INTERVAL_MS = Number(process.env.SHOW_CACHE_REFRESH_INTERVAL_MS) || 5 * 60 * 1000;
+/**
+ * Maximum number of stale entries refreshed per background run.
+ * @const {number}
+ */
+const REFRESH_BATCH_SIZE = 25;
+/**
+ * Maximum number of TMDB requests made at the same time.
+ * @const {number}
+ */
+const TMDB_CONCURRENCY = 5;
+/**
+ * How long TMDB is left alone after it couldn't be reached, in milliseconds.
+ * @const {number}
+ */
+const TMDB_BACKOFF_MS = 60 * 1000;
+
+/**
+ * Until when TMDB is considered unreachable (timestamp in milliseconds).
+ * @type {number}
+ */
+let tmdbUnavailableUntil = 0;
+
+/**
+ * The background refresh timer, once started.
+ * @type {NodeJS.Timeout|null}
+ */
+let refreshTimer = null;
+
+/**
+ * Picks the details kept in the cache from a TMDB show.
+ * @param {object} show - The TMDB `tv/:id` response.
+ * @returns {object} `name`, `poster_path`, `backdrop_path`, `first_air_date`, `vote_average` and `vote_count`.
+ */
+function pickShowFields(show) {
+  return {
+    name: show.name || show.original_name || '',
+    poster_path: show.poster_path || null,
+    backdrop_path: show.backdrop_path || null,
+    first_air_date: show.first_air_date || null,
+    vote_average: show.vote_average || 0,
+    vote_count: show.vote_count || 0
+  };
+}
+
+/**
+ * Formats a cached entry the way TMDB names the fields, so that callers can use it in place of a TMDB show.
+ * @param {object} entry - A lean ShowMetadata document.
+ * @returns {object} `id` (number), `name`, `poster_path`, `backdrop_path`, `first_air_date`, `vote_average` and `vote_count`.
+ */
+function formatSummary(entry) {
+  return {
+    id: Number(entry.showId),
+    name: entry.name,
+    poster_path: entry.poster_path,
+    backdrop_path: entry.backdrop_path,
+    first_air_date: entry.first_air_date,
+    vote_average: entry.vote_average,
+    vote_count: entry.vote_count
+  };
+}
+
+/**
+ * Fetches a show from TMDB and stores its details, unless TMDB is known to be unreachable.
+ * @async
+ * @param {string} showId - The TMDB show ID.
+ * @returns {Promise<object|null>} The stored entry (lean), or `null` if the show couldn't be fetched.
+ */
+async function fetchAndStore(showId) {
+  if (Date.now() < tmdbUnavailableUntil) return null;
+  try {
+    const show = await fetchTMDBCached(`tv/${showId}`);
+    return await ShowMetadata.findOneAndUpdate(
+      { showId },
+      { $set: { ...pickShowFields(show), fetchedAt: new Date() }, $setOnInsert: { lastRequestedAt: new Date() } },
+      { upsert: true, new: true, lean: true }
+    );
+  } catch (error) {
+    // No response means TMDB (or the network) is down: stop calling it for a while
+    if (!error.response) tmdbUnavailableUntil = Date.now() + TMDB_BACKOFF_MS;
+    console.warn(`[SHOW_CACHE] TMDB fetch failed for show ${showId}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Runs `fetchAndStore` for several shows, `TMDB_CONCURRENCY` at a time.
+ * @async
+ * @param {Array<string>} showIds - The TMDB show IDs.
+ * @returns {Promise<Array<object|null>>} The stored entries, in the same order (`null` for failures).
+ */
+async function fetchAndStoreMany(showIds) {
+  const results = [];
+  for (let i = 0; i < showIds.length; i += TMDB_CONCURRENCY) {
+    results.push(...await Promise.all(showIds.slice(i, i + TMDB_CONCURRENCY).map(fetchAndStore)));
+  }
+  return results;
+}
+
+/**
+ * Gets the details of several shows, from the cache when possible.
+ * @async
+ * @param {Array<string|number>} showIds - The TMDB show IDs.
+ * @returns {Promise<Map<string, object|null>>} The details of each show (see `formatSummary`) by show ID,
+ *   or `null` for shows that aren't cached and couldn't be fetched.
+ */
+export async function getShowSummaries(showIds) {
+  const ids = [...new Set(showIds.map(String))];
+  const summaries = new Map();
+  if (ids.length === 0) return summaries;
+
+  const cached = await ShowMetadata.find({ showId: { $in: ids } }).lean();
+  for (const entry of cached) summaries.set(entry.showId, formatSummary(entry));
+  if (cached.length > 0) {
+    // Remember which shows are in use, for the background refresh; a failure here doesn't matter to the caller
+    ShowMetadata.updateMany({ showId: { $in: cached.map(entry => entry.showId) } }, { $set: { lastRequestedAt: new Date() } })
+      .catch(error => console.warn('[SHOW_CACHE] Could not update lastRequestedAt:', error.message));
+  }
+
+  const missingIds = ids.filter(id => !summaries.has(id));
+  const fetched = await fetchAndStoreMany(missingIds);
+  missingIds.forEach((id, index) => summaries.set(id, fetched[index] ? formatSummary(fetched[index]) : null));
+  return summaries;
+}
+
+/**
+ * Gets the details of one show, from the cache when possible.
+ * @async
+ * @param {string|number} showId - The TMDB show ID.
+ * @returns {Promise<object|null>} The show's details (see `formatSummary`), or `null` if it isn't cached and couldn't be fetched.
+ */
+export async function getShowSummary(showId) {
+  const summaries = await getShowSummaries([showId]);
+  return summaries.get(String(showId));
+}
+
+/**
+ * Refreshes one batch of stale entries, the most recently requested first.
+ * @async
+ * @returns {Promise<number>} The number of entries refreshed.
+ */
+export async function refreshStaleShows() {
+  if (Date.now() < tmdbUnavailableUntil) return 0;
+  const stale = await ShowMetadata.find({ fetchedAt: { $lt: new Date(Date.now() - SHOW_CACHE_TTL_MS) } }, 'showId')
+    .sort({ lastRequestedAt: -1 })
+    .limit(REFRESH_BATCH_SIZE)
+    .lean();
+  const refreshed = await fetchAndStoreMany(stale.map(entry => entry.showId));
+  return refreshed.filter(Boolean).length;
+}
+
+/**
+ * Starts refreshing stale entries every `REFRESH_INTERVAL_MS`. Does nothing if already started.
+ * The timer doesn't keep the process alive on its own.
+ */
+export function startShowCacheRefresh() {
+  if (refreshTimer) return;
+  refreshTimer = setInterval(() => {
+    refreshStaleShows()
+      .then(count => { if (count > 0) console.log(`[SHOW_CACHE] Refreshed ${count} show(s)`); })
+      .catch(error => console.error('[SHOW_CACHE] Background refresh failed:', error));
+  }, REFRESH_INTERVAL_MS);
+  refreshTimer.unref();
+}
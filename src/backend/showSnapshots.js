@@ -0,0 +1,192 @@
+/**
+ * @file Show snapshots stored on reviews and activities.
+ * @module showSnapshots
+ * Reviews keep the name and poster of their show (`showName`, `posterPath`, `showSnapshotAt`) and show activities
+ * keep them in `details` (`showName`, `showImage`), so that review lists and feeds never look up shows when read.
+ * - Snapshots are taken when a review is written (`takeShowSnapshot`) or an activity is logged.
+ * - A background job (`startShowSnapshotRefresh`) retakes the snapshots older than `SHOW_SNAPSHOT_TTL_MS`,
+ *   and those that couldn't be taken yet, a batch of shows at a time, from the show metadata cache (see `showCache.js`).
+ *   Shows that can't be found are retried later, waiting twice as long after each failure.
+ * - Review lists fill in the snapshots still missing when read (`fillMissingShowSnapshots`), e.g., on reviews written
+ *   before snapshots existed, and save them.
+ */
+
+// Import process for the environment variables
+import process from 'process';
+// Import the models holding snapshots
+import { Review, Activity } from './utils.js';
+// Import the show metadata cache
+import { getShowSummary, getShowSummaries } from './showCache.js';
+
+/**
+ * How long a snapshot is kept before being retaken, in milliseconds (default 24 hours).
+ * @const {number}
+ */
+const SHOW_SNAPSHOT_TTL_MS = Number(process.env.SHOW_SNAPSHOT_TTL_MS) || 24 * 60 * 60 * 1000;
+/**
+ * How often the background job retakes stale snapshots, in milliseconds (default 10 minutes).
+ * @const {number}
+ */
+const REFRESH_INTERVAL_MS = Number(process.env.SHOW_SNAPSHOT_REFRESH_INTERVAL_MS) || 10 * 60 * 1000;
+/**
+ * Maximum number of shows whose snapshots are retaken per background run.
+ * @const {number}
+ */
+const REFRESH_BATCH_SIZE = 50;
+/**
+ * How long the background job waits before retrying a show it couldn't find, in milliseconds (1 hour).
+ * The wait doubles after each failure in a row, up to `MAX_RETRY_DELAY_MS`.
+ * @const {number}
+ */
+const RETRY_DELAY_MS = 60 * 60 * 1000;
+/**
+ * Longest wait before retrying a show that couldn't be found, in milliseconds (7 days).
+ * @const {number}
+ */
+const MAX_RETRY_DELAY_MS = 7 * 24 * 60 * 60 * 1000;
+/**
+ * Image shown for shows without a poster.
+ * @const {string}
+ */
+const PLACEHOLDER_SHOW_IMAGE = 'https://via.placeholder.com/300x450';
+
+/**
+ * The background refresh timer, once started.
+ * @type {NodeJS.Timeout|null}
+ */
+let refreshTimer = null;
+
+/**
+ * Builds the full poster URL stored in activities (`details.showImage`).
+ * @param {string|null} posterPath - The TMDB poster path.
+ * @returns {string} The w500 poster URL, or a placeholder image if the show has no poster.
+ */
+export function showImageUrl(posterPath) {
+  return posterPath ? `https://image.tmdb.org/t/p/w500${posterPath}` : PLACEHOLDER_SHOW_IMAGE;
+}
+
+/**
+ * Takes the snapshot of a review's show (`showName`, `posterPath`, `showSnapshotAt`), without saving the review.
+ * If the show can't be found (TMDB unreachable and the show not cached), the previous snapshot is kept and
+ * the background job takes it later.
+ * @async
+ * @param {object} review - A Review document.
+ */
+export async function takeShowSnapshot(review) {
+  try {
+    const show = await getShowSummary(review.showId);
+    if (!show) return;
+    review.showName = show.name;
+    review.posterPath = show.poster_path;
+    review.showSnapshotAt = new Date();
+  } catch (error) {
+    // A missing snapshot must not prevent the review from being saved
+    console.warn(`[SHOW_SNAPSHOT] Could not take the snapshot of show ${review.showId}:`, error.message);
+  }
+}
+
+/**
+ * Saves the snapshot of a show on its reviews and on the activities about it.
+ * @async
+ * @param {string} showId - The TMDB ID of the show.
+ * @param {object} show - The show's details (see `showCache.js`).
+ * @param {object} [reviewFilter={}] - Restricts which of the show's reviews are updated.
+ */
+async function saveShowSnapshot(showId, show, reviewFilter = {}) {
+  await Review.updateMany(
+    { showId, ...reviewFilter },
+    { $set: { showName: show.name, posterPath: show.poster_path, showSnapshotAt: new Date(), showSnapshotRetryAt: null, showSnapshotFailures: 0 } }
+  );
+  await Activity.updateMany(
+    { targetId: showId, 'details.showName': { $exists: true } },
+    { $set: { 'details.showName': show.name, 'details.showImage': showImageUrl(show.poster_path) } }
+  );
+}
+
+/**
+ * Retakes the snapshots of one batch of shows whose review snapshots are stale or missing, oldest first,
+ * on their reviews and on the activities about them. Shows that can't be found are left alone for a while
+ * (see `RETRY_DELAY_MS`), so they don't hold up the others; reviews without a show ID are skipped.
+ * @async
+ * @returns {Promise<number>} The number of shows refreshed.
+ */
+export async function refreshStaleShowSnapshots() {
+  const now = new Date();
+  const staleBefore = new Date(now.getTime() - SHOW_SNAPSHOT_TTL_MS);
+  const stale = await Review.aggregate([
+    {
+      $match: {
+        showId: { $nin: [null, ''] },
+        $and: [
+          { $or: [{ showSnapshotAt: null }, { showSnapshotAt: { $lt: staleBefore } }] },
+          { $or: [{ showSnapshotRetryAt: null }, { showSnapshotRetryAt: { $lte: now } }] }
+        ]
+      }
+    },
+    { $group: { _id: '$showId', oldest: { $min: '$showSnapshotAt' }, failures: { $max: '$showSnapshotFailures' } } },
+    { $sort: { oldest: 1 } },
+    { $limit: REFRESH_BATCH_SIZE }
+  ]);
+  if (stale.length === 0) return 0;
+
+  const shows = await getShowSummaries(stale.map(group => group._id));
+  let refreshed = 0;
+  for (const group of stale) {
+    const showId = String(group._id);
+    const show = shows.get(showId);
+    if (show) {
+      await saveShowSnapshot(showId, show);
+      refreshed++;
+      continue;
+    }
+    // Not found: keep the current snapshot and try again later, waiting longer after each failure
+    const failures = (group.failures || 0) + 1;
+    const retryAt = new Date(now.getTime() + Math.min(RETRY_DELAY_MS * 2 ** (failures - 1), MAX_RETRY_DELAY_MS));
+    await Review.updateMany({ showId }, { $set: { showSnapshotRetryAt: retryAt, showSnapshotFailures: failures } });
+  }
+  return refreshed;
+}
+
+/**
+ * Fills in the show snapshots missing from reviews about to be listed (e.g., written before snapshots existed),
+ * and saves them on every review of those shows still missing one. Shows that can't be found are left as they are.
+ * @async
+ * @param {Array<object>} reviews - Lean reviews; the missing `showName` and `posterPath` are set on them.
+ * @returns {Promise<Array<object>>} The same reviews.
+ */
+export async function fillMissingShowSnapshots(reviews) {
+  const missing = reviews.filter(review => !review.showSnapshotAt && review.showId);
+  if (missing.length === 0) return reviews;
+  try {
+    const shows = await getShowSummaries(missing.map(review => review.showId));
+    for (const review of missing) {
+      const show = shows.get(String(review.showId));
+      if (!show) continue;
+      review.showName = show.name;
+      review.posterPath = show.poster_path;
+    }
+    for (const [showId, show] of shows) {
+      if (show) await saveShowSnapshot(showId, show, { showSnapshotAt: null });
+    }
+  } catch (error) {
+    // Reviews are still listed without their show details
+    console.warn('[SHOW_SNAPSHOT] Could not fill in missing snapshots:', error.message);
+  }
+  return reviews;
+}
+
+/**
+ * Retakes stale snapshots now, then every `REFRESH_INTERVAL_MS`. Does nothing if already started.
+ * The timer doesn't keep the process alive on its own.
+ */
+export function startShowSnapshotRefresh() {
+  if (refreshTimer) return;
+  const run = () => {
+    refreshStaleShowSnapshots()
+      .then(count => { if (count > 0) console.log(`[SHOW_SNAPSHOT] Refreshed the snapshots of ${count} show(s)`); })
+      .catch(error => console.error('[SHOW_SNAPSHOT] Background refresh failed:', error));
+  };
+  run();
+  refreshTimer = setInterval(run, REFRESH_INTERVAL_MS);
+  refreshTimer.unref();
+}
@@ -2,7 +2,8 @@
  * @file TMDB API Service
  * @description This module provides functions to interact with The Movie Database (TMDB) API
  * for fetching TV show details, searching TV shows, and retrieving season episode information.
- * It uses an Axios instance pre-configured with TMDB base URL, API key, and other defaults.
+ * Requests go through the server's `/api/tmdb` proxy, which attaches the API key and caches responses,
+ * so the key is never shipped to the browser.
  */
 
 // Import the axios library for making HTTP requests
@@ -11,9 +12,8 @@ import axios from 'axios';
 /**
  * Configuration object for the TMDB API requests.
  * @const {object} TMDB_CONFIG
- * @property {string} baseURL - The base URL for TMDB API, sourced from environment variables or a default.
+ * @property {string} baseURL - The base URL of the backend TMDB proxy.
  * @property {object} params - Default query parameters for all requests.
- * @property {string} params.api_key - The TMDB API key, sourced from environment variables.
  * @property {string} params.language - The default language for API responses (e.g., 'en-US').
  * @property {number} timeout - Default request timeout in milliseconds.
  * @property {object} headers - Default headers for all requests.
@@ -21,9 +21,8 @@ import axios from 'axios';
  * @property {string} headers.Content-Type - Specifies the content type of requests (though GET requests don't typically have a body).
  */
 const TMDB_CONFIG = {
-  baseURL: import.meta.env.VITE_TMDB_BASE_URL || 'https://api.themoviedb.org/3', // Base URL for TMDB API
+  baseURL: '/api/tmdb', // Backend proxy in front of the TMDB API
   params: {
-    api_key: import.meta.env.VITE_TMDB_API_KEY, // API key from environment variables
     language: 'en-US', // Default language for results
   },
   timeout: 10000, // Request timeout set to 10 seconds
@@ -0,0 +1,325 @@
+/**
+ * @file Express router that proxies TMDB API requests for the frontend.
+ * @module tmdbProxy
+ * The browser never sees the TMDB API key: components call `/api/tmdb/<endpoint>` and this
+ * router forwards allow-listed endpoints to TMDB with the server-side key attached.
+ * Responses are cached with a TTL in memory and, optionally, in a MongoDB collection so the
+ * cache survives restarts and is shared between server instances.
+ * The upstream base URL is read from `VITE_TMDB_BASE_URL`, which lets tests point the server
+ * at a local fake TMDB instead of the real API.
+ */
+
+// Import the 'express' library to create router instances
+import express from 'express';
+// Import process for the environment variables
+import process from 'process';
+// Import axios for making HTTP requests to the TMDB API
+import axios from 'axios';
+// Import the database handle so the optional Mongo cache tier can reach its collection
+import { database } from './databaseConnection.js';
+
+/**
+ * Express router to mount the TMDB proxy routes on.
+ * @type {express.Router}
+ */
+const router = express.Router();
+
+/**
+ * TMDB API key, kept on the server only.
+ * @const {string|undefined}
+ */
+const tmdbApiKey = process.env.VITE_TMDB_API_KEY;
+/**
+ * Base URL of the upstream TMDB API. Override with `VITE_TMDB_BASE_URL` to use a fake TMDB in tests.
+ * @const {string}
+ */
+const tmdbBaseUrl = process.env.VITE_TMDB_BASE_URL || 'https://api.themoviedb.org/3';
+
+/**
+ * How long a cached TMDB response stays fresh, in milliseconds (default 10 minutes).
+ * @const {number}
+ */
+const CACHE_TTL_MS = Number(process.env.TMDB_CACHE_TTL_MS) || 10 * 60 * 1000;
+/**
+ * Maximum number of entries kept in the in-memory cache before the oldest ones are evicted.
+ * @const {number}
+ */
+const MEMORY_CACHE_MAX_ENTRIES = Number(process.env.TMDB_CACHE_MAX_ENTRIES) || 500;
+/**
+ * Whether the MongoDB-backed cache tier is enabled (`TMDB_CACHE_MONGO=true`).
+ * @const {boolean}
+ */
+const MONGO_CACHE_ENABLED = process.env.TMDB_CACHE_MONGO === 'true';
+/**
+ * Name of the MongoDB collection used by the persistent cache tier.
+ * @const {string}
+ */
+const MONGO_CACHE_COLLECTION = 'tmdbCache';
+
+/**
+ * TMDB endpoints (relative to the API base URL) that the proxy is allowed to forward.
+ * Anything not matching one of these patterns is rejected with a 403.
+ * @const {Array<RegExp>}
+ */
+const ALLOWED_ENDPOINTS = [
+  /^trending\/(all|tv|movie)\/(day|week)$/,       // Trending lists
+  /^tv\/(popular|top_rated|on_the_air|airing_today)$/, // Curated TV lists
+  /^tv\/\d+$/,                                     // Show details
+  /^tv\/\d+\/season\/\d+$/,                        // Season details and episodes
+  /^tv\/\d+\/(credits|videos|external_ids|recommendations|similar)$/, // Show sub-resources
+  /^movie\/\d+$/,                                  // Movie details (trending lists can contain movies)
+  /^search\/tv$/,                                  // TV search
+  /^discover\/tv$/,                                // Discover with filters
+  /^genre\/tv\/list$/,                             // Genre list for filters
+];
+
+/**
+ * Query parameters clients may not set themselves. The API key is always injected server-side.
+ * @const {Array<string>}
+ */
+const BLOCKED_PARAMS = ['api_key'];
+
+/**
+ * In-memory cache tier. Maps a cache key to `{ data, expiresAt }`.
+ * A `Map` keeps insertion order, which is used for simple oldest-first eviction.
+ * @type {Map<string, {data: object, expiresAt: number}>}
+ */
+const memoryCache = new Map();
+
+/**
+ * Hit/miss counters exposed through `GET /api/tmdb/cache/stats`.
+ * @type {{memoryHits: number, mongoHits: number, misses: number, upstreamErrors: number, rejected: number}}
+ */
+const cacheStats = {
+  memoryHits: 0,
+  mongoHits: 0,
+  misses: 0,
+  upstreamErrors: 0,
+  rejected: 0,
+};
+
+/**
+ * Tracks whether the TTL index on the Mongo cache collection has been created.
+ * @type {boolean}
+ */
+let mongoIndexReady = false;
+
+/**
+ * Checks whether an endpoint is on the proxy allow-list.
+ * @function isAllowedEndpoint
+ * @param {string} endpoint - TMDB endpoint path without a leading slash (e.g. "tv/1399").
+ * @returns {boolean} `true` if the endpoint may be proxied.
+ */
+export function isAllowedEndpoint(endpoint) {
+  return ALLOWED_ENDPOINTS.some(pattern => pattern.test(endpoint));
+}
+
+/**
+ * Builds a stable cache key from an endpoint and its query parameters.
+ * Parameters are sorted so `?a=1&b=2` and `?b=2&a=1` share a cache entry.
+ * @function buildCacheKey
+ * @param {string} endpoint - TMDB endpoint path.
+ * @param {object} params - Query parameters forwarded to TMDB.
+ * @returns {string} The cache key.
+ */
+function buildCacheKey(endpoint, params) {
+  const query = Object.keys(params)
+    .sort()
+    .map(key => `${key}=${params[key]}`)
+    .join('&');
+  return query ? `${endpoint}?${query}` : endpoint;
+}
+
+/**
+ * Returns the Mongo cache collection, or `null` when the Mongo tier is disabled or the database is not connected.
+ * Creates the TTL index on first use so MongoDB expires stale entries itself.
+ * @async
+ * @function getMongoCacheCollection
+ * @returns {Promise<import('mongodb').Collection|null>} The cache collection or `null`.
+ */
+async function getMongoCacheCollection() {
+  if (!MONGO_CACHE_ENABLED || !database) return null;
+  const collection = database.collection(MONGO_CACHE_COLLECTION);
+  if (!mongoIndexReady) {
+    try {
+      await collection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+      mongoIndexReady = true;
+    } catch (error) {
+      console.warn('[TMDB_PROXY] Could not create TTL index on cache collection:', error.message);
+    }
+  }
+  return collection;
+}
+
+/**
+ * Stores a response in the in-memory tier, evicting the oldest entry when the cache is full.
+ * @function setMemoryCache
+ * @param {string} key - Cache key.
+ * @param {object} data - TMDB response body.
+ * @param {number} expiresAt - Expiry timestamp in milliseconds.
+ */
+function setMemoryCache(key, data, expiresAt) {
+  // Re-inserting moves the key to the end of the Map, keeping eviction order correct
+  memoryCache.delete(key);
+  memoryCache.set(key, { data, expiresAt });
+  if (memoryCache.size > MEMORY_CACHE_MAX_ENTRIES) {
+    const oldestKey = memoryCache.keys().next().value;
+    memoryCache.delete(oldestKey);
+  }
+}
+
+/**
+ * Fetches a TMDB endpoint through the shared cache.
+ * Looks in memory first, then in the Mongo tier (if enabled), and finally calls TMDB,
+ * storing the fresh response in both tiers.
+ * @async
+ * @function fetchTMDBCached
+ * @param {string} endpoint - TMDB endpoint path without a leading slash (e.g. "tv/1399/season/1").
+ * @param {object} [params={}] - Query parameters to forward (the API key is added automatically).
+ * @returns {Promise<object>} The TMDB response body.
+ * @throws {Error} If the API key is missing or the upstream request fails. Axios errors keep their `response`.
+ */
+export async function fetchTMDBCached(endpoint, params = {}) {
+  const key = buildCacheKey(endpoint, params);
+  const now = Date.now();
+
+  // Tier 1: in-memory cache
+  const memoryEntry = memoryCache.get(key);
+  if (memoryEntry && memoryEntry.expiresAt > now) {
+    cacheStats.memoryHits++;
+    return memoryEntry.data;
+  }
+  if (memoryEntry) memoryCache.delete(key); // Drop the stale entry
+
+  // Tier 2: optional MongoDB cache
+  const mongoCollection = await getMongoCacheCollection();
+  if (mongoCollection) {
+    try {
+      const mongoEntry = await mongoCollection.findOne({ _id: key, expiresAt: { $gt: new Date(now) } });
+      if (mongoEntry) {
+        cacheStats.mongoHits++;
+        setMemoryCache(key, mongoEntry.data, mongoEntry.expiresAt.getTime());
+        return mongoEntry.data;
+      }
+    } catch (error) {
+      // A cache read failure should never break the request; fall through to TMDB
+      console.warn(`[TMDB_PROXY] Mongo cache read failed for ${key}:`, error.message);
+    }
+  }
+
+  // Cache miss: call TMDB
+  cacheStats.misses++;
+  if (!tmdbApiKey) {
+    throw new Error('TMDB API key not configured on server.');
+  }
+
+  let data;
+  try {
+    const response = await axios.get(`${tmdbBaseUrl}/${endpoint}`, {
+      params: { ...params, api_key: tmdbApiKey },
+      timeout: 8000,
+      headers: { 'Accept': 'application/json' }
+    });
+    data = response.data;
+  } catch (error) {
+    cacheStats.upstreamErrors++;
+    throw error;
+  }
+
+  const expiresAt = now + CACHE_TTL_MS;
+  setMemoryCache(key, data, expiresAt);
+  if (mongoCollection) {
+    try {
+      await mongoCollection.updateOne(
+        { _id: key },
+        { $set: { data, expiresAt: new Date(expiresAt), updatedAt: new Date(now) } },
+        { upsert: true }
+      );
+    } catch (error) {
+      console.warn(`[TMDB_PROXY] Mongo cache write failed for ${key}:`, error.message);
+    }
+  }
+  return data;
+}
+
+/**
+ * Returns a snapshot of the cache counters.
+ * @function getTMDBCacheStats
+ * @returns {object} Hit/miss counters, hit ratio and current in-memory size.
+ */
+export function getTMDBCacheStats() {
+  const hits = cacheStats.memoryHits + cacheStats.mongoHits;
+  const lookups = hits + cacheStats.misses;
+  return {
+    ...cacheStats,
+    hits,
+    hitRatio: lookups ? parseFloat((hits / lookups).toFixed(3)) : 0,
+    memoryEntries: memoryCache.size,
+    mongoTierEnabled: MONGO_CACHE_ENABLED,
+    ttlMs: CACHE_TTL_MS,
+  };
+}
+
+/**
+ * @route GET /cache/stats
+ * @description Returns the TMDB proxy cache hit/miss counters.
+ * @returns {object} JSON response: `{ success: true, stats: object }`.
+ */
+router.get('/cache/stats', (req, res) => {
+  res.json({ success: true, stats: getTMDBCacheStats() });
+});
+
+/**
+ * @route GET /*endpoint
+ * @description Proxies an allow-listed TMDB endpoint, e.g. `GET /api/tmdb/tv/popular?page=2`.
+ * Query parameters are forwarded as-is except for `api_key`, which is always set server-side.
+ * @param {Array<string>} req.params.endpoint - Path segments of the TMDB endpoint.
+ * @returns {object} JSON response:
+ * - The TMDB response body on success.
+ * - `{ success: false, message: string }` on failure, with appropriate HTTP status codes:
+ *   - 403: If the endpoint is not on the allow-list.
+ *   - TMDB's own status (e.g. 404) if TMDB rejected the request.
+ *   - 502: If TMDB could not be reached.
+ *   - 500: If the server has no TMDB API key.
+ * @async
+ */
+router.get('/*endpoint', async (req, res) => {
+  // Express 5 gives wildcard params as an array of path segments
+  const endpoint = [].concat(req.params.endpoint).join('/');
+
+  if (!isAllowedEndpoint(endpoint)) {
+    cacheStats.rejected++;
+    console.warn(`[TMDB_PROXY] Rejected endpoint not on allow-list: ${endpoint}`);
+    return res.status(403).json({ success: false, message: 'TMDB endpoint not allowed' });
+  }
+
+  // Copy the client's query parameters, dropping any it is not allowed to set
+  const params = {};
+  for (const [key, value] of Object.entries(req.query)) {
+    if (!BLOCKED_PARAMS.includes(key)) params[key] = value;
+  }
+
+  try {
+    const data = await fetchTMDBCached(endpoint, params);
+    res.json(data);
+  } catch (error) {
+    console.error(`[TMDB_PROXY] Failed to fetch ${endpoint}:`, error.message);
+    if (error.response) {
+      // Forward TMDB's own status so callers can tell "not found" from "unavailable"
+      return res.status(error.response.status).json({
+        success: false,
+        message: error.response.data?.status_message || 'TMDB request failed'
+      });
+    }
+    if (!tmdbApiKey) {
+      return res.status(500).json({ success: false, message: 'TMDB API key not configured on server.' });
+    }
+    res.status(502).json({ success: false, message: 'Could not reach TMDB' });
+  }
+});
+
+/**
+ * Exports the configured Express router for use in the main application.
+ * @default router
+ */
+export default router;
@@ -1,6 +1,6 @@
 /**
  * @file Mongoose Schemas and Models
- * @description This file defines Mongoose schemas for User, Review, and Activity entities,
+ * @description This file defines Mongoose schemas for User, Review, Activity, and WatchProgress entities,
  * and exports their corresponding Mongoose models. It also sets up some global utility
  * functions for path resolution and module inclusion in an ES Module environment.
  */
@@ -14,6 +14,22 @@ import { dirname } from 'path';
 import { createRequire } from 'module';
 // Import Mongoose, an ODM (Object Data Modeling) library for MongoDB and Node.js.
 import mongoose from 'mongoose';
+// Import the shared rating scale used to validate review ratings.
+import { RATING_MIN, RATING_MAX, isValidRating } from '../shared/ratingScale.js';
+// Import the spoiler protection modes a user can pick.
+import { SPOILER_MODES, DEFAULT_SPOILER_MODE } from '../shared/spoilers.js';
+// Import the shared report reasons for reports
+import { REPORT_REASONS, REPORT_DETAILS_MAX_LENGTH } from '../shared/reportReasons.js';
+// Import the shared rules for user-created show lists
+import {
+  LIST_VISIBILITIES, DEFAULT_LIST_VISIBILITY, LIST_TITLE_MAX_LENGTH, LIST_DESCRIPTION_MAX_LENGTH, LIST_NOTE_MAX_LENGTH
+} from '../shared/showLists.js';
+// Import the shared rules for watchlist entries
+import {
+  WATCHLIST_STATUSES, DEFAULT_WATCHLIST_STATUS, WATCHLIST_PRIORITIES, DEFAULT_WATCHLIST_PRIORITY, WATCHLIST_TAG_MAX_LENGTH
+} from '../shared/watchlist.js';
+// Import the shared rules for imports from other trackers
+import { IMPORT_SOURCES, IMPORT_ITEM_KINDS } from '../shared/imports.js';
 
 /**
  * The filename of the current module, resolved from `import.meta.url`.
@@ -64,6 +80,57 @@ global.include = function (file) {
   return require(abs_path('/' + file));
 };
 
+/**
+ * Mongoose schema for the entries of a user's watchlist (embedded in User documents).
+ * @const {mongoose.Schema} watchlistEntrySchema
+ */
+const watchlistEntrySchema = new mongoose.Schema({
+  /**
+   * The TMDB ID of the show.
+   * @type {string}
+   */
+  showId: {
+    type: String,
+    required: true
+  },
+  /**
+   * When the show was added to the watchlist.
+   * @type {Date}
+   */
+  addedAt: {
+    type: Date,
+    default: Date.now
+  },
+  /**
+   * Where the user is with the show: 'planned', 'watching', 'paused', 'dropped' or 'completed'.
+   * @type {string}
+   */
+  status: {
+    type: String,
+    enum: WATCHLIST_STATUSES,
+    default: DEFAULT_WATCHLIST_STATUS
+  },
+  /**
+   * How much the user wants to watch the show: 'high', 'medium' or 'low'.
+   * @type {string}
+   */
+  priority: {
+    type: String,
+    enum: WATCHLIST_PRIORITIES,
+    default: DEFAULT_WATCHLIST_PRIORITY
+  },
+  /**
+   * A free-form tag of the user's own (e.g., "with Sam").
+   * @type {string}
+   */
+  tag: {
+    type: String,
+    trim: true,
+    maxlength: WATCHLIST_TAG_MAX_LENGTH,
+    default: ''
+  }
+}, { _id: false });
+
 /**
  * Mongoose schema for User documents.
  * @const {mongoose.Schema} userSchema
@@ -128,6 +195,40 @@ const userSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User' // Reference to the 'User' model
   }],
+  /**
+   * IDs (as strings, like the friend lists) of the users this user has blocked.
+   * Blocked users cannot send this user friend requests, are hidden from their user search,
+   * and their reviews are filtered out of the review feeds this user sees.
+   * @type {Array<string>}
+   */
+  blockedUsers: [{
+    type: String
+  }],
+  /**
+   * The shows the user wants to watch, in the user's own order. See `src/shared/watchlist.js`.
+   * @type {Array<object>}
+   */
+  watchlist: [watchlistEntrySchema],
+  /**
+   * How spoiler reviews are shown to this user: 'progress' (blurred until the user has watched the spoiled
+   * episode), 'all' (always blurred) or 'off' (never blurred). See `src/shared/spoilers.js`.
+   * @type {string}
+   */
+  spoilerProtection: {
+    type: String,
+    enum: SPOILER_MODES,
+    default: DEFAULT_SPOILER_MODE
+  },
+  /**
+   * The user's role. Admins can use the moderation queue (`/api/admin`).
+   * There is no endpoint to grant it: set `role: 'admin'` on the user document in the database.
+   * @type {string}
+   */
+  role: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user'
+  },
   /**
    * The date and time when the user account was created.
    * Defaults to the current date and time.
@@ -154,6 +255,77 @@ const reviewSchema = new mongoose.Schema({
     ref: 'TVShow', // Conceptual reference to a TVShow model/entity
     required: true // showId is a required field
   },
+  /**
+   * Snapshot of the show's name, taken when the review is written and kept up to date by the snapshot refresher
+   * (see `showSnapshots.js`), so that review lists don't need to look up every show.
+   * @type {string}
+   */
+  showName: {
+    type: String,
+    default: ''
+  },
+  /**
+   * Snapshot of the show's TMDB poster path, or `null` if the show has no poster (see `showName`).
+   * @type {string|null}
+   */
+  posterPath: {
+    type: String,
+    default: null
+  },
+  /**
+   * When the show snapshot was last taken, or `null` if it couldn't be taken yet (the refresher will retry).
+   * @type {Date|null}
+   */
+  showSnapshotAt: {
+    type: Date,
+    default: null
+  },
+  /**
+   * Until when the refresher leaves the snapshot alone after failing to take it (e.g., the show was deleted from TMDB),
+   * or `null` if it may be taken right away.
+   * @type {Date|null}
+   */
+  showSnapshotRetryAt: {
+    type: Date,
+    default: null
+  },
+  /**
+   * Number of times in a row the refresher failed to take the snapshot, which lengthens the wait before the next try.
+   * @type {number}
+   */
+  showSnapshotFailures: {
+    type: Number,
+    default: 0
+  },
+  /**
+   * The season the review is about, or `null` for a review of the whole show.
+   * @type {number|null}
+   */
+  seasonNumber: {
+    type: Number,
+    default: null,
+    min: 0, // Season 0 holds specials on TMDB
+    validate: {
+      validator: value => value === null || Number.isInteger(value),
+      message: props => `${props.value} is not a valid season number`
+    }
+  },
+  /**
+   * The episode (within `seasonNumber`) the review is about, or `null` for a review of a whole season or show.
+   * @type {number|null}
+   */
+  episodeNumber: {
+    type: Number,
+    default: null,
+    min: 1,
+    validate: {
+      // An episode review must also say which season the episode belongs to
+      validator: function (value) {
+        return value === null || (Number.isInteger(value) && this.seasonNumber !== null && this.seasonNumber !== undefined);
+      },
+      message: props => `${props.value} is not a valid episode number, or the season number is missing`
+    }
+  },
   /**
    * The ObjectId of the user who wrote the review.
    * @type {mongoose.Schema.Types.ObjectId}
@@ -173,14 +345,18 @@ const reviewSchema = new mongoose.Schema({
     required: true // username is a required field
   },
   /**
-   * The rating given in the review (e.g., 1 to 5 stars).
+   * The rating given in the review, on the shared rating scale (1 to 5 apples in half-apple steps).
    * @type {number}
    */
   rating: {
     type: Number,
-    required: true, // rating is a required field
-    min: 1,         // Minimum rating value
-    max: 5          // Maximum rating value
+    required: true,  // rating is a required field
+    min: RATING_MIN, // Minimum rating value
+    max: RATING_MAX, // Maximum rating value
+    validate: {
+      validator: isValidRating, // Only whole steps of the scale (e.g., 3.5 but not 3.75)
+      message: props => `${props.value} is not a valid rating`
+    }
   },
   /**
    * The textual content of the review.
@@ -217,6 +393,36 @@ const reviewSchema = new mongoose.Schema({
     type: Boolean,
     default: false // Defaults to false
   },
+  /**
+   * For spoiler reviews, the season of the episode the review spoils up to, or null if not tagged
+   * (see `src/shared/spoilers.js`). Viewers who watched that episode see the review unblurred.
+   * @type {number|null}
+   */
+  spoilerSeason: {
+    type: Number,
+    default: null,
+    min: 0,
+    validate: {
+      validator: value => value === null || Number.isInteger(value),
+      message: props => `${props.value} is not a valid season number`
+    }
+  },
+  /**
+   * For spoiler reviews, the episode (within `spoilerSeason`) the review spoils up to, or null if not tagged.
+   * @type {number|null}
+   */
+  spoilerEpisode: {
+    type: Number,
+    default: null,
+    min: 1,
+    validate: {
+      // The spoiled episode must also say which season it belongs to
+      validator: function (value) {
+        return value === null || (Number.isInteger(value) && this.spoilerSeason !== null && this.spoilerSeason !== undefined);
+      },
+      message: props => `${props.value} is not a valid episode number, or the season number is missing`
+    }
+  },
   /**
    * The date and time when the review was created.
    * Defaults to the current date and time.
@@ -225,9 +431,110 @@ const reviewSchema = new mongoose.Schema({
   createdAt: {
     type: Date,
     default: Date.now // Defaults to the current timestamp
+  },
+  /**
+   * The date and time of the latest edit by the author, or `null` if the review was never edited.
+   * @type {Date|null}
+   */
+  editedAt: {
+    type: Date,
+    default: null
+  },
+  /**
+   * Previous versions of the review, oldest first. Each edit appends the version it replaced.
+   * @type {Array<{rating: number, content: string, containsSpoiler: boolean, spoilerSeason: number|null, spoilerEpisode: number|null, editedAt: Date}>}
+   */
+  editHistory: {
+    type: [{
+      _id: false, // History entries don't need their own IDs
+      rating: Number,
+      content: String,
+      containsSpoiler: Boolean,
+      spoilerSeason: Number,
+      spoilerEpisode: Number,
+      editedAt: { type: Date, default: Date.now } // When this version was replaced
+    }],
+    default: []
+  },
+  /**
+   * Whether a moderator hid the review. Hidden reviews are left out of the review feeds and the statistics,
+   * but are kept so the decision can be reverted.
+   * @type {boolean}
+   */
+  hidden: {
+    type: Boolean,
+    default: false
+  },
+  /**
+   * The date and time when the review was hidden, or `null` if it isn't.
+   * @type {Date|null}
+   */
+  hiddenAt: {
+    type: Date,
+    default: null
+  },
+  /**
+   * The ObjectId of the admin who hid the review, or `null` if it isn't hidden.
+   * @type {mongoose.Schema.Types.ObjectId|null}
+   */
+  hiddenBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User', // Reference to the 'User' model
+    default: null
+  },
+  /**
+   * 'published', or 'pending' while a review flagged by content screening waits for an admin's approval.
+   * Pending reviews are only shown to their author.
+   * @type {string}
+   */
+  status: {
+    type: String,
+    enum: ['published', 'pending'],
+    default: 'published'
+  },
+  /**
+   * Why content screening held the review (see `contentScreening.js`); empty for reviews that passed.
+   * @type {Array<{check: string, message: string}>}
+   */
+  screeningFlags: {
+    type: [{
+      _id: false, // Flags don't need their own IDs
+      check: String,
+      message: String
+    }],
+    default: []
+  },
+  /**
+   * Fingerprint of the review text, used to spot the same text posted from several accounts.
+   * `null` for short texts and for reviews saved before screening existed.
+   * @type {string|null}
+   */
+  contentHash: {
+    type: String,
+    default: null
   }
 });
 
+/**
+ * Creates a unique compound index on `userId`, `showId`, `seasonNumber` and `episodeNumber`:
+ * a user has at most one review per show, per season and per episode (show and season reviews have `null` levels).
+ * Run `npm run migrate:reviews` on existing databases first, so duplicates don't prevent the index from being built
+ * and the older `{ userId, showId }` index is dropped.
+ */
+reviewSchema.index({ userId: 1, showId: 1, seasonNumber: 1, episodeNumber: 1 }, { unique: true });
+/**
+ * Creates an index on `contentHash` for the duplicate text check of content screening.
+ */
+reviewSchema.index({ contentHash: 1 });
+/**
+ * Creates a compound index on `status` and `createdAt` for the queue of pending reviews.
+ */
+reviewSchema.index({ status: 1, createdAt: -1 });
+/**
+ * Creates a compound index on `showSnapshotAt` and `showId` for the refresher of stale show snapshots.
+ */
+reviewSchema.index({ showSnapshotAt: 1, showId: 1 });
+
 /**
  * Mongoose schema for Activity documents, used for logging user actions.
  * @const {mongoose.Schema} activitySchema
@@ -259,7 +566,11 @@ const activitySchema = new mongoose.Schema({
       'review_dislike',
       'profile_update',
       'mark_watched',       
-      'watched_episode'    
+      'watched_episode',
+      'recommendation_send',
+      'review_edit',
+      'review_delete',
+      'review_comment'
     ]
   },
   /**
@@ -320,23 +631,927 @@ activitySchema.index({ userId: 1, createdAt: -1 });
  * for efficient querying of activities by action type, sorted by time.
  */
 activitySchema.index({ action: 1, createdAt: -1 });
+/**
+ * Creates an index on `targetId` for updating the show snapshots (`details.showName`, `details.showImage`)
+ * of the activities about a show.
+ */
+activitySchema.index({ targetId: 1 });
 
 /**
- * Mongoose model for 'Review'.
- * Uses `mongoose.models.Review` if it already exists (prevents recompilation errors in some environments, e.g., Next.js hot reloading),
- * otherwise creates a new model.
- * @const {mongoose.Model} Review
+ * Mongoose schema for WatchProgress documents.
+ * One document per user, show and episode, so a user's progress through a show is never truncated.
+ * @const {mongoose.Schema} watchProgressSchema
  */
-export const Review = mongoose.models.Review || mongoose.model('Review', reviewSchema);
+const watchProgressSchema = new mongoose.Schema({
+  /**
+   * The ObjectId of the user who watched the episode.
+   * @type {mongoose.Schema.Types.ObjectId}
+   */
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User', // Reference to the 'User' model
+    required: true // userId is a required field
+  },
+  /**
+   * The TMDB ID of the show the episode belongs to.
+   * @type {string}
+   */
+  showId: {
+    type: String,
+    required: true // showId is a required field
+  },
+  /**
+   * The TMDB ID of the episode.
+   * @type {string}
+   */
+  episodeId: {
+    type: String,
+    required: true // episodeId is a required field
+  },
+  /**
+   * The season number of the episode.
+   * @type {number}
+   */
+  seasonNumber: {
+    type: Number,
+    required: true, // seasonNumber is a required field
+    min: 0          // Season 0 holds specials on TMDB
+  },
+  /**
+   * The episode number within its season.
+   * @type {number}
+   */
+  episodeNumber: {
+    type: Number,
+    required: true, // episodeNumber is a required field
+    min: 0
+  },
+  /**
+   * The episode title, denormalized for display.
+   * @type {string}
+   */
+  episodeName: {
+    type: String,
+    default: ''
+  },
+  /**
+   * The date and time when the episode was marked as watched.
+   * Defaults to the current date and time.
+   * @type {Date}
+   */
+  watchedAt: {
+    type: Date,
+    default: Date.now // Defaults to the current timestamp
+  }
+});
+
 /**
- * Mongoose model for 'Activity'.
- * Uses `mongoose.models.Activity` if it already exists, otherwise creates a new model.
- * @const {mongoose.Model} Activity
+ * Creates a unique compound index on `userId`, `showId` and `episodeId`
+ * so each episode is recorded at most once per user.
  */
-export const Activity = mongoose.models.Activity || mongoose.model('Activity', activitySchema);
+watchProgressSchema.index({ userId: 1, showId: 1, episodeId: 1 }, { unique: true });
 /**
- * Mongoose model for 'User'.
- * Uses `mongoose.models.User` if it already exists, otherwise creates a new model.
- * @const {mongoose.Model} User
+ * Creates a compound index on `userId` (ascending) and `watchedAt` (descending)
+ * for efficient querying of a user's most recently watched episodes.
+ */
+watchProgressSchema.index({ userId: 1, watchedAt: -1 });
+/**
+ * Creates a compound index on `showId` and `userId` (both ascending)
+ * for efficiently counting the users who have watched a show.
+ */
+watchProgressSchema.index({ showId: 1, userId: 1 });
+
+/**
+ * Mongoose schema for Recommendation documents.
+ * One document per show recommended by a user to one of their friends.
+ * @const {mongoose.Schema} recommendationSchema
+ */
+const recommendationSchema = new mongoose.Schema({
+  /**
+   * The ObjectId of the user who sent the recommendation.
+   * @type {mongoose.Schema.Types.ObjectId}
+   */
+  fromUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User', // Reference to the 'User' model
+    required: true // fromUserId is a required field
+  },
+  /**
+   * The ObjectId of the friend who received the recommendation.
+   * @type {mongoose.Schema.Types.ObjectId}
+   */
+  toUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User', // Reference to the 'User' model
+    required: true // toUserId is a required field
+  },
+  /**
+   * The TMDB ID of the recommended show.
+   * @type {string}
+   */
+  showId: {
+    type: String,
+    required: true // showId is a required field
+  },
+  /**
+   * The show's name at the time it was recommended.
+   * @type {string}
+   */
+  showName: {
+    type: String,
+    default: ''
+  },
+  /**
+   * The show's TMDB poster path at the time it was recommended.
+   * @type {string}
+   */
+  posterPath: {
+    type: String,
+    default: null
+  },
+  /**
+   * An optional note from the sender.
+   * @type {string}
+   */
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 500, // Keep notes short
+    default: ''
+  },
+  /**
+   * What the recipient did with the recommendation.
+   * @type {string}
+   */
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'dismissed', 'added_to_watchlist'],
+    default: 'pending'
+  },
+  /**
+   * The date and time when the recipient responded to the recommendation.
+   * @type {Date}
+   */
+  respondedAt: {
+    type: Date,
+    default: null
+  },
+  /**
+   * The date and time when the recommendation was sent.
+   * @type {Date}
+   */
+  createdAt: {
+    type: Date,
+    default: Date.now // Defaults to the current timestamp
+  }
+});
+
+/**
+ * Creates a compound index on `toUserId`, `status` and `createdAt` (descending)
+ * for efficient querying of a user's pending recommendations, newest first.
+ */
+recommendationSchema.index({ toUserId: 1, status: 1, createdAt: -1 });
+/**
+ * Creates a compound index on `fromUserId`, `toUserId` and `showId`
+ * to quickly detect repeated recommendations of the same show.
+ */
+recommendationSchema.index({ fromUserId: 1, toUserId: 1, showId: 1 });
+
+/**
+ * Mongoose schema for Notification documents.
+ * One document per event a user should be told about (friend requests, review votes, recommendations).
+ * @const {mongoose.Schema} notificationSchema
+ */
+const notificationSchema = new mongoose.Schema({
+  /**
+   * The ObjectId of the user who receives the notification.
+   * @type {mongoose.Schema.Types.ObjectId}
+   */
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User', // Reference to the 'User' model
+    required: true // userId is a required field
+  },
+  /**
+   * The ObjectId of the user whose action caused the notification.
+   * @type {mongoose.Schema.Types.ObjectId}
+   */
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User', // Reference to the 'User' model
+    required: true // actorId is a required field
+  },
+  /**
+   * The kind of event.
+   * Must be one of the predefined enum values.
+   * @type {string}
+   */
+  type: {
+    type: String,
+    required: true, // type is a required field
+    enum: [ // Enumerated list of possible notification types
+      'friend_request',
+      'friend_accept',
+      'review_like',
+      'review_dislike',
+      'recommendation',
+      'review_comment',
+      'comment_reply'
+    ]
+  },
+  /**
+   * An identifier for the target of the event, if applicable (e.g., review ID, show ID).
+   * @type {string}
+   */
+  targetId: {
+    type: String,
+    default: null
+  },
+  /**
+   * Additional details used to render the notification (e.g., show name).
+   * @type {mongoose.Schema.Types.Mixed}
+   */
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  /**
+   * Whether the recipient has read the notification.
+   * @type {boolean}
+   */
+  read: {
+    type: Boolean,
+    default: false
+  },
+  /**
+   * The date and time when the notification was created.
+   * @type {Date}
+   */
+  createdAt: {
+    type: Date,
+    default: Date.now // Defaults to the current timestamp
+  }
+});
+
+/**
+ * Creates a compound index on `userId`, `read` and `createdAt` (descending)
+ * for efficient listing of a user's notifications and counting unread ones.
+ */
+notificationSchema.index({ userId: 1, read: 1, createdAt: -1 });
+
+/**
+ * Mongoose schema for ReviewComment documents: comments on reviews, with one level of replies.
+ * @const {mongoose.Schema} reviewCommentSchema
+ */
+const reviewCommentSchema = new mongoose.Schema({
+  /**
+   * The ObjectId of the review being commented on.
+   * @type {mongoose.Schema.Types.ObjectId}
+   */
+  reviewId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Review', // Reference to the 'Review' model
+    required: true // reviewId is a required field
+  },
+  /**
+   * The ObjectId of the user who wrote the comment.
+   * @type {mongoose.Schema.Types.ObjectId}
+   */
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User', // Reference to the 'User' model
+    required: true // userId is a required field
+  },
+  /**
+   * The ObjectId of the top-level comment this comment replies to, or `null` for a top-level comment.
+   * Replies are never nested deeper: a reply to a reply is attached to the same top-level comment.
+   * @type {mongoose.Schema.Types.ObjectId|null}
+   */
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReviewComment', // Reference to the 'ReviewComment' model
+    default: null
+  },
+  /**
+   * The textual content of the comment.
+   * @type {string}
+   */
+  content: {
+    type: String,
+    required: true,  // content is a required field
+    trim: true,      // Remove surrounding whitespace
+    maxlength: 1000  // Maximum length of 1000 characters
+  },
+  /**
+   * A boolean flag indicating if the comment contains spoilers.
+   * @type {boolean}
+   */
+  containsSpoiler: {
+    type: Boolean,
+    default: false // Defaults to false
+  },
+  /**
+   * The date and time when the comment was created.
+   * @type {Date}
+   */
+  createdAt: {
+    type: Date,
+    default: Date.now // Defaults to the current timestamp
+  }
+});
+
+/**
+ * Creates a compound index on `reviewId`, `parentId` and `createdAt`
+ * for efficient listing of a review's comments and of each comment's replies.
+ */
+reviewCommentSchema.index({ reviewId: 1, parentId: 1, createdAt: 1 });
+
+/**
+ * Mongoose schema for Report documents: a user flagging a review or another user for moderation.
+ * @const {mongoose.Schema} reportSchema
+ */
+const reportSchema = new mongoose.Schema({
+  /**
+   * The ObjectId of the user who filed the report.
+   * @type {mongoose.Schema.Types.ObjectId}
+   */
+  reporterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User', // Reference to the 'User' model
+    required: true // reporterId is a required field
+  },
+  /**
+   * What is reported: a review or a user.
+   * @type {string}
+   */
+  targetType: {
+    type: String,
+    required: true, // targetType is a required field
+    enum: ['review', 'user']
+  },
+  /**
+   * The ObjectId of the reported review or user.
+   * @type {mongoose.Schema.Types.ObjectId}
+   */
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true // targetId is a required field
+  },
+  /**
+   * Why the content is reported. See `src/shared/reportReasons.js`.
+   * @type {string}
+   */
+  reason: {
+    type: String,
+    required: true, // reason is a required field
+    enum: REPORT_REASONS
+  },
+  /**
+   * Optional details from the reporter.
+   * @type {string}
+   */
+  details: {
+    type: String,
+    trim: true, // Remove surrounding whitespace
+    maxlength: REPORT_DETAILS_MAX_LENGTH,
+    default: ''
+  },
+  /**
+   * 'open' until an admin handles the report.
+   * @type {string}
+   */
+  status: {
+    type: String,
+    enum: ['open', 'resolved'],
+    default: 'open'
+  },
+  /**
+   * What the admin did when resolving the report: 'dismissed' (no action), 'hidden' or 'deleted' (the review),
+   * or `null` while the report is open.
+   * @type {string|null}
+   */
+  resolution: {
+    type: String,
+    enum: ['dismissed', 'hidden', 'deleted', null],
+    default: null
+  },
+  /**
+   * The ObjectId of the admin who resolved the report, or `null` while it is open.
+   * @type {mongoose.Schema.Types.ObjectId|null}
+   */
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User', // Reference to the 'User' model
+    default: null
+  },
+  /**
+   * The date and time when the report was resolved, or `null` while it is open.
+   * @type {Date|null}
+   */
+  resolvedAt: {
+    type: Date,
+    default: null
+  },
+  /**
+   * The date and time when the report was filed.
+   * @type {Date}
+   */
+  createdAt: {
+    type: Date,
+    default: Date.now // Defaults to the current timestamp
+  }
+});
+
+/**
+ * Creates a compound index on `status`, `targetType` and `createdAt` for the moderation queue.
+ */
+reportSchema.index({ status: 1, targetType: 1, createdAt: -1 });
+/**
+ * Creates a unique index on `reporterId`, `targetType` and `targetId` for open reports:
+ * a user can't report the same review or user again while their report is open.
+ */
+reportSchema.index(
+  { reporterId: 1, targetType: 1, targetId: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } }
+);
+
+/**
+ * Mongoose schema for ReviewDraft documents: a review the user started writing but didn't submit yet.
+ * Drafts are autosaved by the review forms (see `src/hooks/useReviewDraft.js`) so they follow the user across devices,
+ * and are removed once the review is submitted.
+ * @const {mongoose.Schema} reviewDraftSchema
+ */
+const reviewDraftSchema = new mongoose.Schema({
+  /**
+   * The ObjectId of the user writing the draft.
+   * @type {mongoose.Schema.Types.ObjectId}
+   */
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User', // Reference to the 'User' model
+    required: true // userId is a required field
+  },
+  /**
+   * The ID of the show being reviewed (TMDB ID).
+   * @type {string}
+   */
+  showId: {
+    type: String,
+    required: true // showId is a required field
+  },
+  /**
+   * The season being reviewed, or `null` for a review of the whole show.
+   * @type {number|null}
+   */
+  seasonNumber: {
+    type: Number,
+    default: null
+  },
+  /**
+   * The episode being reviewed, or `null` for a review of a whole season or show.
+   * @type {number|null}
+   */
+  episodeNumber: {
+    type: Number,
+    default: null
+  },
+  /**
+   * The rating picked so far, or `null` if none was picked yet.
+   * @type {number|null}
+   */
+  rating: {
+    type: Number,
+    default: null
+  },
+  /**
+   * The text written so far.
+   * @type {string}
+   */
+  content: {
+    type: String,
+    maxlength: 2000, // Same limit as reviews
+    default: ''
+  },
+  /**
+   * The spoiler flag and the episode the spoilers go up to, as set in the form.
+   */
+  containsSpoiler: {
+    type: Boolean,
+    default: false
+  },
+  spoilerSeason: {
+    type: Number,
+    default: null
+  },
+  spoilerEpisode: {
+    type: Number,
+    default: null
+  },
+  /**
+   * When the draft was last changed, as reported by the device that changed it.
+   * The most recently changed copy wins when the local and saved drafts differ.
+   * @type {Date}
+   */
+  updatedAt: {
+    type: Date,
+    default: Date.now // Defaults to the current timestamp
+  }
+});
+
+/**
+ * Creates a unique compound index on `userId`, `showId`, `seasonNumber` and `episodeNumber`:
+ * a user has at most one draft per show, season and episode, like reviews.
+ */
+reviewDraftSchema.index({ userId: 1, showId: 1, seasonNumber: 1, episodeNumber: 1 }, { unique: true });
+
+/**
+ * Mongoose schema for ShowList documents: a named list of shows created by a user (e.g., "Comfort rewatches"),
+ * besides their watchlist. Items keep the order the owner gives them.
+ * @const {mongoose.Schema} showListSchema
+ */
+const showListSchema = new mongoose.Schema({
+  /**
+   * The ObjectId of the user who owns the list.
+   * @type {mongoose.Schema.Types.ObjectId}
+   */
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User', // Reference to the 'User' model
+    required: true // userId is a required field
+  },
+  /**
+   * The list title.
+   * @type {string}
+   */
+  title: {
+    type: String,
+    required: true, // title is a required field
+    trim: true, // Remove surrounding whitespace
+    maxlength: LIST_TITLE_MAX_LENGTH
+  },
+  /**
+   * The URL-friendly version of the title, unique among the owner's lists (`/user/:username/lists/:slug`).
+   * @type {string}
+   */
+  slug: {
+    type: String,
+    required: true // slug is a required field
+  },
+  /**
+   * Optional description of the list.
+   * @type {string}
+   */
+  description: {
+    type: String,
+    trim: true, // Remove surrounding whitespace
+    maxlength: LIST_DESCRIPTION_MAX_LENGTH,
+    default: ''
+  },
+  /**
+   * Who can see the list: 'public', 'friends' (the owner's friends) or 'private' (only the owner).
+   * @type {string}
+   */
+  visibility: {
+    type: String,
+    enum: LIST_VISIBILITIES,
+    default: DEFAULT_LIST_VISIBILITY
+  },
+  /**
+   * The shows of the list, in the owner's order, each with an optional note.
+   * @type {Array<{showId: string, note: string, addedAt: Date}>}
+   */
+  items: [{
+    _id: false, // Items are identified by their show
+    showId: { type: String, required: true },
+    note: { type: String, trim: true, maxlength: LIST_NOTE_MAX_LENGTH, default: '' },
+    addedAt: { type: Date, default: Date.now }
+  }],
+  /**
+   * The date and time when the list was created.
+   * @type {Date}
+   */
+  createdAt: {
+    type: Date,
+    default: Date.now // Defaults to the current timestamp
+  },
+  /**
+   * The date and time when the list or its items last changed.
+   * @type {Date}
+   */
+  updatedAt: {
+    type: Date,
+    default: Date.now // Defaults to the current timestamp
+  }
+});
+
+/**
+ * Creates a unique compound index on `userId` and `slug`: a list is found by its owner and slug.
+ */
+showListSchema.index({ userId: 1, slug: 1 }, { unique: true });
+/**
+ * Creates a compound index on `userId` and `updatedAt` for listing a user's lists, the most recently changed first.
+ */
+showListSchema.index({ userId: 1, updatedAt: -1 });
+
+/**
+ * Mongoose schema for ShowMetadata documents: the TMDB details of a show that lists of shows need
+ * (name, poster, rating), kept so that watchlists and activity logging don't call TMDB for every show.
+ * Maintained by `showCache.js`, which refreshes stale entries in the background.
+ * @const {mongoose.Schema} showMetadataSchema
+ */
+const showMetadataSchema = new mongoose.Schema({
+  /**
+   * The TMDB ID of the show.
+   * @type {string}
+   */
+  showId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  /**
+   * The show's name.
+   * @type {string}
+   */
+  name: {
+    type: String,
+    default: ''
+  },
+  /**
+   * TMDB paths of the show's poster and backdrop images, or `null`.
+   * @type {string|null}
+   */
+  poster_path: {
+    type: String,
+    default: null
+  },
+  backdrop_path: {
+    type: String,
+    default: null
+  },
+  /**
+   * The date the show first aired (YYYY-MM-DD), or `null`.
+   * @type {string|null}
+   */
+  first_air_date: {
+    type: String,
+    default: null
+  },
+  /**
+   * TMDB's average rating and number of votes.
+   * @type {number}
+   */
+  vote_average: {
+    type: Number,
+    default: 0
+  },
+  vote_count: {
+    type: Number,
+    default: 0
+  },
+  /**
+   * When the details were last fetched from TMDB.
+   * @type {Date}
+   */
+  fetchedAt: {
+    type: Date,
+    default: Date.now
+  },
+  /**
+   * When the details were last read. The background refresh updates the most requested shows first.
+   * @type {Date}
+   */
+  lastRequestedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+/**
+ * Creates a compound index on `fetchedAt` and `lastRequestedAt` for finding the stale entries to refresh.
+ */
+showMetadataSchema.index({ fetchedAt: 1, lastRequestedAt: -1 });
+
+/**
+ * Mongoose schema for a TMDB show an imported title may be: the picked match or one of the candidates offered.
+ * @const {mongoose.Schema} importCandidateSchema
+ */
+const importCandidateSchema = new mongoose.Schema({
+  _id: false, // Candidates don't need their own IDs
+  tmdbId: { type: String, required: true }, // The TMDB ID of the show
+  name: { type: String, default: '' }, // The show's name on TMDB
+  year: { type: Number, default: null }, // The year the show first aired
+  posterPath: { type: String, default: null }, // The TMDB poster path
+  score: { type: Number, default: 0 } // How well it matches the imported title, from 0 to 1
+});
+
+/**
+ * Mongoose schema for ImportBatch documents: one file imported from another tracker (see `imports.js`).
+ * The preview (dry run) stores the parsed file and the TMDB matches; the commit saves the items of the matched
+ * shows and records what was added.
+ * @const {mongoose.Schema} importBatchSchema
+ */
+const importBatchSchema = new mongoose.Schema({
+  /**
+   * The ObjectId of the user importing the file.
+   * @type {mongoose.Schema.Types.ObjectId}
+   */
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User', // Reference to the 'User' model
+    required: true // userId is a required field
+  },
+  /**
+   * The export format (see `IMPORT_SOURCES`).
+   * @type {string}
+   */
+  source: {
+    type: String,
+    enum: IMPORT_SOURCES,
+    required: true
+  },
+  /**
+   * The name of the imported file, for the import history.
+   * @type {string}
+   */
+  fileName: {
+    type: String,
+    default: ''
+  },
+  /**
+   * SHA-256 hash of the file, to tell the user when they import a file again.
+   * @type {string}
+   */
+  fileHash: {
+    type: String,
+    required: true
+  },
+  /**
+   * 'preview' until the user confirms the import, then 'completed'.
+   * @type {string}
+   */
+  status: {
+    type: String,
+    enum: ['preview', 'completed'],
+    default: 'preview'
+  },
+  /**
+   * The shows found in the file, with their TMDB match (`null` if none was found) and the candidates offered.
+   * `needsReview` marks matches that aren't certain.
+   * @type {Array<object>}
+   */
+  shows: {
+    type: [{
+      _id: false,
+      key: { type: String, required: true }, // Identifies the show among the file's shows
+      title: { type: String, default: '' },
+      year: { type: Number, default: null },
+      match: { type: importCandidateSchema, default: null },
+      needsReview: { type: Boolean, default: false },
+      candidates: { type: [importCandidateSchema], default: [] }
+    }],
+    default: []
+  },
+  /**
+   * The rows of the file: what each adds (see `IMPORT_ITEM_KINDS`) to which show (`showKey`).
+   * `rating` is on the shared rating scale; `content` is the review text, if any.
+   * @type {Array<object>}
+   */
+  items: {
+    type: [{
+      _id: false,
+      showKey: { type: String, required: true },
+      kind: { type: String, enum: IMPORT_ITEM_KINDS, required: true },
+      seasonNumber: { type: Number, default: null },
+      episodeNumber: { type: Number, default: null },
+      date: { type: Date, default: null },
+      rating: { type: Number, default: null },
+      content: { type: String, default: '' }
+    }],
+    default: []
+  },
+  /**
+   * Number of rows of the file that couldn't be read.
+   * @type {number}
+   */
+  skippedRows: {
+    type: Number,
+    default: 0
+  },
+  /**
+   * Once completed, what the import added; items already there (e.g., from an earlier import of the same file)
+   * are counted in `alreadyPresent`, items of unmatched shows in `unmatched`.
+   * @type {object|null}
+   */
+  result: {
+    type: {
+      _id: false,
+      watchlist: Number,
+      completed: Number,
+      episodes: Number,
+      reviews: Number,
+      alreadyPresent: Number,
+      unmatched: Number
+    },
+    default: null
+  },
+  /**
+   * When the preview was made.
+   * @type {Date}
+   */
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  /**
+   * When the import was completed, or `null`.
+   * @type {Date|null}
+   */
+  completedAt: {
+    type: Date,
+    default: null
+  }
+});
+
+/**
+ * Creates a compound index on `userId` and `createdAt` (descending) for a user's import history.
+ */
+importBatchSchema.index({ userId: 1, createdAt: -1 });
+/**
+ * Creates a compound index on `userId` and `fileHash` for finding earlier imports of the same file.
+ */
+importBatchSchema.index({ userId: 1, fileHash: 1 });
+
+/**
+ * Mongoose model for 'Review'.
+ * Uses `mongoose.models.Review` if it already exists (prevents recompilation errors in some environments, e.g., Next.js hot reloading),
+ * otherwise creates a new model.
+ * @const {mongoose.Model} Review
+ */
+export const Review = mongoose.models.Review || mongoose.model('Review', reviewSchema);
+/**
+ * Mongoose model for 'Activity'.
+ * Uses `mongoose.models.Activity` if it already exists, otherwise creates a new model.
+ * @const {mongoose.Model} Activity
+ */
+export const Activity = mongoose.models.Activity || mongoose.model('Activity', activitySchema);
+/**
+ * Mongoose model for 'User'.
+ * Uses `mongoose.models.User` if it already exists, otherwise creates a new model.
+ * @const {mongoose.Model} User
+ */
+export const User = mongoose.models.User || mongoose.model('User', userSchema);
+/**
+ * Mongoose model for 'WatchProgress'.
+ * Uses `mongoose.models.WatchProgress` if it already exists, otherwise creates a new model.
+ * @const {mongoose.Model} WatchProgress
+ */
+export const WatchProgress = mongoose.models.WatchProgress || mongoose.model('WatchProgress', watchProgressSchema);
+/**
+ * Mongoose model for 'Recommendation'.
+ * Uses `mongoose.models.Recommendation` if it already exists, otherwise creates a new model.
+ * @const {mongoose.Model} Recommendation
+ */
+export const Recommendation = mongoose.models.Recommendation || mongoose.model('Recommendation', recommendationSchema);
+/**
+ * Mongoose model for 'Notification'.
+ * Uses `mongoose.models.Notification` if it already exists, otherwise creates a new model.
+ * @const {mongoose.Model} Notification
+ */
+export const Notification = mongoose.models.Notification || mongoose.model('Notification', notificationSchema);
+/**
+ * Mongoose model for 'ReviewComment'.
+ * Uses `mongoose.models.ReviewComment` if it already exists, otherwise creates a new model.
+ * @const {mongoose.Model} ReviewComment
+ */
+export const ReviewComment = mongoose.models.ReviewComment || mongoose.model('ReviewComment', reviewCommentSchema);
+/**
+ * Mongoose model for 'Report'.
+ * Uses `mongoose.models.Report` if it already exists, otherwise creates a new model.
+ * @const {mongoose.Model} Report
+ */
+export const Report = mongoose.models.Report || mongoose.model('Report', reportSchema);
+/**
+ * Mongoose model for 'ReviewDraft'.
+ * Uses `mongoose.models.ReviewDraft` if it already exists, otherwise creates a new model.
+ * @const {mongoose.Model} ReviewDraft
+ */
+export const ReviewDraft = mongoose.models.ReviewDraft || mongoose.model('ReviewDraft', reviewDraftSchema);
+/**
+ * Mongoose model for 'ShowList'.
+ * Uses `mongoose.models.ShowList` if it already exists, otherwise creates a new model.
+ * @const {mongoose.Model} ShowList
+ */
+export const ShowList = mongoose.models.ShowList || mongoose.model('ShowList', showListSchema);
+/**
+ * Mongoose model for 'ShowMetadata'.
+ * Uses `mongoose.models.ShowMetadata` if it already exists, otherwise creates a new model.
+ * @const {mongoose.Model} ShowMetadata
+ */
+export const ShowMetadata = mongoose.models.ShowMetadata || mongoose.model('ShowMetadata', showMetadataSchema);
+/**
+ * Mongoose model for 'ImportBatch'.
+ * Uses `mongoose.models.ImportBatch` if it already exists, otherwise creates a new model.
+ * @const {mongoose.Model} ImportBatch
  */
-export const User = mongoose.models.User || mongoose.model('User', userSchema);
\ No newline at end of file
+export const ImportBatch = mongoose.models.ImportBatch || mongoose.model('ImportBatch', importBatchSchema);
@@ -6,28 +6,32 @@
 
 // Import the Apple icon component from the lucide-react library.
 import { Apple } from "lucide-react";
+// Import the shared rating scale (number of apples).
+import { RATING_MAX } from "../shared/ratingScale";
 
 /**
  * @function AppleRating
  * @description A React functional component that renders a rating display using apple icons.
  * It can show full apples, a partially filled apple (for fractional ratings), and empty apples
- * to represent a rating out of 5.
+ * to represent a rating out of `RATING_MAX` apples.
  *
  * @param {object} props - The properties passed to the component.
  * @param {number} [props.rating=0] - The numerical rating value (e.g., 3.5). Defaults to 0.
- *                                    Expected to be a value between 0 and 5.
+ *                                    Values outside 0-`RATING_MAX` are clamped.
  * @returns {JSX.Element} The rendered AppleRating component.
  */
 function AppleRating({ rating = 0 }) {
+  // Keep the rating within the scale so the apple counts below are never negative.
+  const clampedRating = Math.min(Math.max(Number(rating) || 0, 0), RATING_MAX);
   // Calculate the number of full apples based on the integer part of the rating.
-  const fullApples = Math.floor(rating);
+  const fullApples = Math.floor(clampedRating);
   // Calculate the percentage fill for a partial apple, based on the fractional part of the rating.
-  const partialFillPercent = (rating - fullApples) * 100;
+  const partialFillPercent = (clampedRating - fullApples) * 100;
   // Determine if there is a partial apple to display (i.e., if there's a fractional part).
   const hasPartialApple = partialFillPercent > 0;
-  // Calculate the number of empty apples needed to complete the 5-apple scale.
+  // Calculate the number of empty apples needed to complete the scale.
   // This accounts for full apples and one potential partial apple.
-  const emptyApples = 5 - fullApples - (hasPartialApple ? 1 : 0);
+  const emptyApples = RATING_MAX - fullApples - (hasPartialApple ? 1 : 0);
 
   /**
    * @function PartialApple
@@ -1,7 +1,8 @@
 /**
  * @file AppleRatingDisplay.jsx
  * @description A React component for displaying a rating using apple icons.
- * It supports full, partial, and empty apples, customizable size, and optional interactivity for setting a rating.
+ * It supports full, partial, and empty apples, customizable size, and optional interactivity for setting a rating
+ * on the shared rating scale (clicking the left half of an apple selects a half apple).
  */
 
 // Import React for creating the component.
@@ -10,6 +11,8 @@ import React from 'react';
 import { motion } from 'framer-motion';
 // Import the `Apple` icon from the lucide-react library.
 import { Apple } from 'lucide-react';
+// Import the shared rating scale (range and step of selectable ratings).
+import { RATING_MIN, RATING_MAX, RATING_STEP } from '../shared/ratingScale';
 
 /**
  * @function PartialAppleDisplay
@@ -51,7 +54,7 @@ const PartialAppleDisplay = ({ fillPercent, size }) => (
  * @param {number|string} props.rating - The numerical rating value (e.g., 3.5 or "3.5").
  * @param {string} [props.appleSize="w-5 h-5"] - Tailwind CSS classes for the size of each apple icon.
  * @param {function|null} [props.onAppleClick=null] - Callback function invoked when an apple is clicked in interactive mode.
- *                                                   Receives the new rating (1-5) as an argument.
+ *                                                   Receives the new rating (a value of the rating scale, e.g. 3.5) as an argument.
  * @param {boolean} [props.interactive=false] - If true, apples are clickable and have hover effects.
  * @returns {JSX.Element} The rendered AppleRatingDisplay component or a "No rating" message if the rating is invalid.
  */
@@ -59,8 +62,8 @@ export default function AppleRatingDisplay({ rating, appleSize = "w-5 h-5", onAp
   // Convert the input rating to a number.
   const numericRating = Number(rating);
 
-  // Validate the rating: if it's not a number or out of the 0-5 range, display "No rating".
-  if (isNaN(numericRating) || numericRating < 0 || numericRating > 5) {
+  // Validate the rating: if it's not a number or out of the 0-`RATING_MAX` range, display "No rating".
+  if (isNaN(numericRating) || numericRating < 0 || numericRating > RATING_MAX) {
     return <span className="text-xs text-gray-400">No rating</span>;
   }
 
@@ -70,17 +73,23 @@ export default function AppleRatingDisplay({ rating, appleSize = "w-5 h-5", onAp
   const partialFillPercent = (numericRating - fullApples) * 100;
   // Determine if a partial apple should be displayed (only if the fill percentage is significant, e.g., > 1%).
   const hasPartialApple = partialFillPercent > 1;
-  // Calculate the number of empty apples needed to complete the 5-apple display.
-  const emptyApples = 5 - fullApples - (hasPartialApple ? 1 : 0);
+  // Calculate the number of empty apples needed to complete the display.
+  const emptyApples = RATING_MAX - fullApples - (hasPartialApple ? 1 : 0);
 
   /**
    * Handles the click event on an apple when the component is in interactive mode.
-   * @param {number} index - The 1-based index of the clicked apple, representing the new rating.
+   * The clicked position within the apple picks the step: e.g., the left half of the 4th apple selects 3.5.
+   * @param {number} index - The 1-based index of the clicked apple.
+   * @param {React.MouseEvent} event - The click event, used to find where on the apple the user clicked.
    */
-  const handleAppleClick = (index) => {
+  const handleAppleClick = (index, event) => {
     // If the component is interactive and an onAppleClick callback is provided, call it.
     if (interactive && onAppleClick) {
-      onAppleClick(index);
+      const rect = event.currentTarget.getBoundingClientRect();
+      // Fraction of the apple to the left of the click, rounded up to the next step.
+      const fraction = rect.width > 0 ? (event.clientX - rect.left) / rect.width : 1;
+      const stepFraction = Math.min(Math.max(Math.ceil(fraction / RATING_STEP) * RATING_STEP, RATING_STEP), 1);
+      onAppleClick(Math.max(index - 1 + stepFraction, RATING_MIN));
     }
   };
 
@@ -94,7 +103,7 @@ export default function AppleRatingDisplay({ rating, appleSize = "w-5 h-5", onAp
         key={`full-${i}`} 
         // Apply hover scale animation if interactive.
         whileHover={interactive ? { scale: 1.2 } : {}}
-        onClick={() => handleAppleClick(i + 1)}
+        onClick={(e) => handleAppleClick(i + 1, e)}
         // Add cursor-pointer class if interactive.
         className={`${interactive ? 'cursor-pointer' : ''} flex items-center justify-center`}
       >
@@ -111,7 +120,7 @@ export default function AppleRatingDisplay({ rating, appleSize = "w-5 h-5", onAp
       <motion.div 
         key="partial" 
         whileHover={interactive ? { scale: 1.2 } : {}}
-        onClick={() => handleAppleClick(fullApples + 1)} // Clicking a partial apple means selecting the next full rating.
+        onClick={(e) => handleAppleClick(fullApples + 1, e)} // The partial apple is the next apple on the scale.
         className={`${interactive ? 'cursor-pointer' : ''} flex items-center justify-center`}
       >
         <PartialAppleDisplay fillPercent={partialFillPercent} size={appleSize} />
@@ -126,7 +135,7 @@ export default function AppleRatingDisplay({ rating, appleSize = "w-5 h-5", onAp
         key={`empty-${i}`} 
         whileHover={interactive ? { scale: 1.2 } : {}}
         // Calculate the rating value for clicking an empty apple.
-        onClick={() => handleAppleClick(fullApples + (hasPartialApple ? 1 : 0) + i + 1)}
+        onClick={(e) => handleAppleClick(fullApples + (hasPartialApple ? 1 : 0) + i + 1, e)}
         className={`${interactive ? 'cursor-pointer' : ''} flex items-center justify-center`}
       >
         <Apple
@@ -136,10 +145,10 @@ export default function AppleRatingDisplay({ rating, appleSize = "w-5 h-5", onAp
     );
   }
   
-  // Ensure there are always 5 apple elements in total by adding transparent placeholders if needed.
-  // This loop might be redundant if the logic above always results in 5 elements (full + partial + empty).
-  // However, it could be a safeguard or for visual consistency if the sum is less than 5.
-  while (appleElements.length < 5) {
+  // Ensure there are always `RATING_MAX` apple elements in total by adding transparent placeholders if needed.
+  // This loop might be redundant if the logic above always results in `RATING_MAX` elements (full + partial + empty).
+  // However, it could be a safeguard or for visual consistency if the sum is less than `RATING_MAX`.
+  while (appleElements.length < RATING_MAX) {
     appleElements.push(
       <motion.div 
         key={`placeholder-${appleElements.length}`}
@@ -153,11 +162,11 @@ export default function AppleRatingDisplay({ rating, appleSize = "w-5 h-5", onAp
     );
   }
 
-  // Render the container for the apple rating display, showing only the first 5 apple elements.
+  // Render the container for the apple rating display, showing only the first `RATING_MAX` apple elements.
   return (
     <div className="flex items-center space-x-1">
-      {/* Slice to ensure exactly 5 apples are rendered, even if placeholder logic overfills. */}
-      {appleElements.slice(0, 5)}
+      {/* Slice to ensure exactly `RATING_MAX` apples are rendered, even if placeholder logic overfills. */}
+      {appleElements.slice(0, RATING_MAX)}
     </div>
   );
 }
\ No newline at end of file
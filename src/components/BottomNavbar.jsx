@@ -19,12 +19,15 @@ import {
   BiTimeFive,
   BiShow,
 } from "react-icons/bi";
+// Import the notification bell shown next to the Profile button.
+import NotificationBell from "./NotificationBell";
 
 /**
  * @function BottomNavbar
  * @description A functional React component that renders a bottom navigation bar.
  * Features include:
  * - Standard navigation buttons (Home, Search, Social, Profile).
+ * - A notification bell with the number of unread notifications.
  * - A central "+" button that expands into an animated arc menu with additional actions.
  * - Displays the user's profile image, fetched from an API or localStorage.
  * - Highlights the active navigation button based on the current route.
@@ -155,22 +158,12 @@ export default function BottomNavbar() {
 
   /**
    * Handles clicks on navigation buttons (both main and arc menu).
-   * Navigates to the specified path. For watchlist, passes watchlist data in state.
+   * Navigates to the specified path (the watchlist page fetches the user's watchlist itself).
    * Closes the arc menu if it was open.
    * @param {string} path - The path to navigate to.
    */
   const handleButtonClick = (path) => {
-    if (path === "/view-all/watchlist") {
-      // For watchlist, navigate with watchlist data in location state.
-      navigate(path, {
-        state: {
-          watchlist: user?.watchlist || [] // Pass current user's watchlist or an empty array
-        }
-      });
-    } else {
-      // For other paths, navigate normally.
-      navigate(path);
-    }
+    navigate(path);
     // Close the arc menu.
     setMenuOpen(false);
   };
@@ -206,7 +199,7 @@ export default function BottomNavbar() {
             ))}
           </div>
 
-          {/* Right-side navigation buttons (Social, Profile). */}
+          {/* Right-side navigation buttons (Social, Profile) and the notification bell. */}
           <div className="flex flex-1 h-full divide-x divide-gray-800 pl-8 md:pl-10 lg:pl-12">
             {navButtons.slice(2, 4).map((btn) => (
               <motion.button
@@ -225,6 +218,10 @@ export default function BottomNavbar() {
                 <span className="mt-1">{btn.label}</span>
               </motion.button>
             ))}
+            {/* Notification bell; its dropdown opens upwards, above the navbar. */}
+            <div className="flex-1 flex items-end justify-center pb-2">
+              <NotificationBell placement="up" label="Alerts" />
+            </div>
           </div>
 
           {/* Central "+" button and its associated animated arc menu. */}
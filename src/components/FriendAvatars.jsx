@@ -0,0 +1,68 @@
+/**
+ * @file FriendAvatars.jsx
+ * @description A React component that renders a compact, overlapping row of friend avatars,
+ * with a "+N" bubble when there are more friends than can be shown.
+ */
+
+// Import React.
+import React from "react";
+// Import Link for client-side navigation to the friends' profiles.
+import { Link } from "react-router-dom";
+
+/**
+ * @constant {string} DEFAULT_AVATAR
+ * @description Fallback image used when a friend has no profile picture.
+ */
+const DEFAULT_AVATAR = "/img/profilePhotos/generic_profile_picture.jpg";
+
+/**
+ * @function FriendAvatars
+ * @description A React functional component that renders overlapping avatars for a list of friends.
+ * Each avatar links to the friend's public profile.
+ *
+ * @param {object} props - The properties passed to the component.
+ * @param {Array<{_id: string, username: string, profilePic?: string}>} props.friends - The friends to display.
+ * @param {number} [props.max=3] - Maximum number of avatars to show before collapsing the rest into "+N".
+ * @param {number} [props.size=24] - Diameter of each avatar in pixels.
+ * @returns {JSX.Element|null} The rendered avatars, or null if there are no friends.
+ */
+function FriendAvatars({ friends = [], max = 3, size = 24 }) {
+  if (!friends.length) return null;
+
+  // Split the friends into the visible avatars and the overflow count.
+  const visible = friends.slice(0, max);
+  const hiddenCount = friends.length - visible.length;
+
+  return (
+    <div className="flex items-center -space-x-2">
+      {visible.map((friend) => (
+        <Link
+          key={friend._id}
+          to={`/user/${friend.username}`}
+          title={friend.username} // Show the username on hover
+          className="rounded-full ring-2 ring-[#1e1e1e] overflow-hidden flex-shrink-0"
+          style={{ width: size, height: size }}
+        >
+          <img
+            src={friend.profilePic || DEFAULT_AVATAR}
+            alt={friend.username}
+            className="w-full h-full object-cover"
+          />
+        </Link>
+      ))}
+      {/* Overflow bubble listing the remaining friends in its tooltip. */}
+      {hiddenCount > 0 && (
+        <span
+          className="rounded-full ring-2 ring-[#1e1e1e] bg-gray-700 text-white text-[10px] font-semibold flex items-center justify-center flex-shrink-0"
+          style={{ width: size, height: size }}
+          title={friends.slice(max).map((friend) => friend.username).join(", ")}
+        >
+          +{hiddenCount}
+        </span>
+      )}
+    </div>
+  );
+}
+
+// Export the FriendAvatars component as the default export of this module.
+export default FriendAvatars;
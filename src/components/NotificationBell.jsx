@@ -0,0 +1,288 @@
+/**
+ * @file NotificationBell.jsx
+ * @description A React component that renders a notification bell with an unread badge.
+ * Clicking the bell opens a dropdown listing the user's latest notifications, which can be
+ * marked as read one by one (by opening them) or all at once. New notifications arrive live over the event stream.
+ */
+
+// Import React hooks for state, side effects and refs.
+import { useState, useEffect, useCallback, useRef } from "react";
+import { motion, AnimatePresence } from "framer-motion"; // For animations
+import { useNavigate } from "react-router-dom"; // For navigation
+import axios from "axios"; // For making HTTP requests
+import { BiBell } from "react-icons/bi"; // Bell icon
+import { useAuth } from "../context/AuthContext"; // Only logged-in users have notifications
+import { useRealtimeEvent } from "../hooks/useRealtimeEvent"; // Live notifications
+
+/**
+ * Builds the text shown for a notification.
+ * @param {object} notification - A notification from `/api/notifications`.
+ * @returns {string} The message, without the actor's username.
+ */
+const describeNotification = (notification) => {
+  switch (notification.type) {
+    case "friend_request":
+      return "sent you a friend request";
+    case "friend_accept":
+      return "accepted your friend request";
+    case "review_like":
+      return "liked your review";
+    case "review_dislike":
+      return "disliked your review";
+    case "review_comment":
+      return "commented on your review";
+    case "comment_reply":
+      return "replied to your comment";
+    case "recommendation":
+      return notification.details?.showName
+        ? `recommended you ${notification.details.showName}`
+        : "recommended you a show";
+    default:
+      return "sent you a notification";
+  }
+};
+
+/**
+ * Works out where a notification should take the user when it is opened.
+ * @param {object} notification - A notification from `/api/notifications`.
+ * @returns {string|null} The path to navigate to, or null to stay on the current page.
+ */
+const notificationPath = (notification) => {
+  switch (notification.type) {
+    case "friend_request":
+      return "/requests";
+    case "friend_accept":
+      return notification.actor ? `/user/${notification.actor.username}` : null;
+    case "review_like":
+    case "review_dislike":
+    case "review_comment":
+    case "comment_reply":
+      return notification.details?.showId ? `/show/${notification.details.showId}` : null;
+    case "recommendation":
+      return "/view-all/recommended-by-friends";
+    default:
+      return null;
+  }
+};
+
+/**
+ * Formats how long ago a notification was created (e.g. "5m").
+ * @param {string} date - ISO date string.
+ * @returns {string} A short relative time.
+ */
+const timeAgo = (date) => {
+  const minutes = Math.floor((Date.now() - new Date(date).getTime()) / 60000);
+  if (minutes < 60) return `${Math.max(minutes, 1)}m`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h`;
+  return `${Math.floor(hours / 24)}d`;
+};
+
+/**
+ * @function NotificationBell
+ * @description A functional React component that renders a bell button with an unread badge
+ * and a dropdown of notifications. Renders nothing for logged-out visitors.
+ *
+ * @param {object} props - The properties passed to the component.
+ * @param {'up' | 'down'} [props.placement="down"] - Whether the dropdown opens below (top navbar) or above (bottom navbar) the bell.
+ * @param {string} [props.label] - Optional text shown under the bell (used by the bottom navbar).
+ * @param {string} [props.className] - Extra classes for the bell button.
+ * @returns {JSX.Element|null} The rendered NotificationBell component.
+ */
+export default function NotificationBell({ placement = "down", label, className = "" }) {
+  // Only logged-in users have notifications.
+  const { user } = useAuth();
+  // Number of unread notifications shown in the badge.
+  const [unreadCount, setUnreadCount] = useState(0);
+  // Whether the dropdown is open.
+  const [open, setOpen] = useState(false);
+  // Notifications shown in the dropdown.
+  const [notifications, setNotifications] = useState([]);
+  // Loading flag for the dropdown list.
+  const [loading, setLoading] = useState(false);
+  // Ref to the whole component, used to close the dropdown on outside clicks.
+  const containerRef = useRef(null);
+  // Hook for programmatic navigation.
+  const navigate = useNavigate();
+
+  /**
+   * Fetches the unread notification count for the badge.
+   * @async
+   */
+  const fetchUnreadCount = useCallback(async () => {
+    try {
+      const res = await axios.get("/api/notifications/unread-count", { withCredentials: true });
+      if (res.data.success) setUnreadCount(res.data.unreadCount);
+    } catch (error) {
+      console.error("Failed to fetch unread notifications count:", error);
+    }
+  }, []);
+
+  /**
+   * Fetches the latest notifications for the dropdown.
+   * @async
+   */
+  const fetchNotifications = useCallback(async () => {
+    setLoading(true);
+    try {
+      const res = await axios.get("/api/notifications", { params: { limit: 20 }, withCredentials: true });
+      if (res.data.success) {
+        setNotifications(res.data.notifications);
+        setUnreadCount(res.data.unreadCount);
+      }
+    } catch (error) {
+      console.error("Failed to fetch notifications:", error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  // Fetch the unread count when the user logs in; it is then kept up to date by realtime events.
+  useEffect(() => {
+    if (user) fetchUnreadCount();
+  }, [user, fetchUnreadCount]);
+
+  // A new notification was pushed: bump the badge and show it at the top of the list.
+  useRealtimeEvent("notification", (notification) => {
+    setUnreadCount((prev) => prev + 1);
+    setNotifications((prev) => [notification, ...prev.filter((n) => n._id !== notification._id)]);
+  });
+
+  // Close the dropdown when clicking outside of it.
+  useEffect(() => {
+    if (!open) return undefined;
+    const handleClickOutside = (event) => {
+      if (containerRef.current && !containerRef.current.contains(event.target)) setOpen(false);
+    };
+    document.addEventListener("mousedown", handleClickOutside);
+    return () => document.removeEventListener("mousedown", handleClickOutside);
+  }, [open]);
+
+  /**
+   * Toggles the dropdown, loading the notifications when it opens.
+   */
+  const handleToggle = () => {
+    if (!open) fetchNotifications();
+    setOpen((prev) => !prev);
+  };
+
+  /**
+   * Marks a notification as read and navigates to the page it refers to.
+   * @async
+   * @param {object} notification - The notification that was clicked.
+   */
+  const handleOpenNotification = async (notification) => {
+    if (!notification.read) {
+      // Update the UI immediately, then persist.
+      setNotifications((prev) => prev.map((n) => (n._id === notification._id ? { ...n, read: true } : n)));
+      setUnreadCount((prev) => Math.max(prev - 1, 0));
+      try {
+        await axios.put(`/api/notifications/${notification._id}/read`, {}, { withCredentials: true });
+      } catch (error) {
+        console.error("Failed to mark notification as read:", error);
+      }
+    }
+    const path = notificationPath(notification);
+    if (path) {
+      setOpen(false);
+      navigate(path);
+    }
+  };
+
+  /**
+   * Marks every notification as read.
+   * @async
+   */
+  const handleMarkAllRead = async () => {
+    try {
+      await axios.put("/api/notifications/read-all", {}, { withCredentials: true });
+      setNotifications((prev) => prev.map((n) => ({ ...n, read: true })));
+      setUnreadCount(0);
+    } catch (error) {
+      console.error("Failed to mark all notifications as read:", error);
+    }
+  };
+
+  // Logged-out visitors have no notifications.
+  if (!user) return null;
+
+  return (
+    <div ref={containerRef} className="relative flex justify-center">
+      {/* Bell button with the unread badge. */}
+      <button
+        type="button"
+        onClick={handleToggle}
+        aria-label={`Notifications${unreadCount ? ` (${unreadCount} unread)` : ""}`}
+        className={`relative flex flex-col items-center text-gray-300 hover:text-blue-400 transition ${className}`}
+      >
+        <div className="relative p-2 rounded-full hover:bg-[#2E2E2E]/50 transition-all">
+          <BiBell size={20} />
+          {unreadCount > 0 && (
+            <span className="absolute -top-0.5 -right-0.5 min-w-[18px] h-[18px] px-1 rounded-full bg-red-500 text-white text-[10px] font-bold flex items-center justify-center">
+              {unreadCount > 99 ? "99+" : unreadCount}
+            </span>
+          )}
+        </div>
+        {label && <span className="mt-1 text-xs md:text-sm font-medium">{label}</span>}
+      </button>
+
+      {/* Dropdown with the latest notifications. */}
+      <AnimatePresence>
+        {open && (
+          <motion.div
+            initial={{ opacity: 0, y: placement === "up" ? 8 : -8 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: placement === "up" ? 8 : -8 }}
+            transition={{ duration: 0.15 }}
+            className={`absolute right-0 z-50 w-80 max-h-96 overflow-y-auto rounded-lg bg-[#1e1e1e] border border-gray-800 shadow-2xl shadow-black/60 text-left ${
+              placement === "up" ? "bottom-full mb-2" : "top-full mt-2"
+            }`}
+          >
+            {/* Dropdown header. */}
+            <div className="flex items-center justify-between px-4 py-3 border-b border-gray-800">
+              <h3 className="text-white font-semibold">Notifications</h3>
+              {unreadCount > 0 && (
+                <button onClick={handleMarkAllRead} className="text-xs text-blue-400 hover:text-blue-300">
+                  Mark all as read
+                </button>
+              )}
+            </div>
+
+            {loading && notifications.length === 0 ? (
+              <p className="px-4 py-6 text-sm text-gray-400 text-center">Loading…</p>
+            ) : notifications.length === 0 ? (
+              <p className="px-4 py-6 text-sm text-gray-400 text-center">You're all caught up.</p>
+            ) : (
+              <ul>
+                {notifications.map((notification) => (
+                  <li key={notification._id}>
+                    <button
+                      type="button"
+                      onClick={() => handleOpenNotification(notification)}
+                      className={`w-full flex items-start gap-3 px-4 py-3 text-sm hover:bg-[#2E2E2E] transition ${
+                        notification.read ? "text-gray-400" : "text-white bg-[#2E2E2E]/40"
+                      }`}
+                    >
+                      <img
+                        src={notification.actor?.profilePic || "/img/profilePhotos/generic_profile_picture.jpg"}
+                        alt={notification.actor?.username || "User"}
+                        className="w-8 h-8 rounded-full object-cover flex-shrink-0"
+                      />
+                      <span className="flex-1 text-left">
+                        <span className="font-semibold">@{notification.actor?.username || "someone"}</span>{" "}
+                        {describeNotification(notification)}
+                        <span className="block text-xs text-gray-500 mt-0.5">{timeAgo(notification.createdAt)}</span>
+                      </span>
+                      {/* Unread dot. */}
+                      {!notification.read && <span className="mt-1.5 w-2 h-2 rounded-full bg-blue-400 flex-shrink-0" />}
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+}
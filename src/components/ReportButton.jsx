@@ -0,0 +1,135 @@
+/**
+ * @file ReportButton.jsx
+ * @description A React component that renders a "Report" button which opens a small dialog to report
+ * a review or a user to the moderators, with a reason category and optional details.
+ */
+
+// Import React hooks for state.
+import { useState } from "react";
+// Import axios for making HTTP requests.
+import axios from "axios";
+// Import the flag icon of the button.
+import { Flag } from "lucide-react";
+// Import the shared report reasons.
+import { REPORT_REASONS, REPORT_REASON_LABELS, REPORT_DETAILS_MAX_LENGTH } from "../shared/reportReasons";
+
+/**
+ * @function ReportButton
+ * @description A React functional component that lets the logged-in user report a review or a user.
+ *
+ * @param {object} props - The properties passed to the component.
+ * @param {string} props.url - The report endpoint (`/api/reviews/:id/report` or `/api/users/:id/report`).
+ * @param {string} [props.subject="review"] - What is reported, used in the dialog texts ('review' or 'user').
+ * @param {string} [props.className=""] - Extra classes for the button.
+ * @returns {JSX.Element} The rendered ReportButton component.
+ */
+export default function ReportButton({ url, subject = "review", className = "" }) {
+  // Whether the dialog is open.
+  const [open, setOpen] = useState(false);
+  // The picked reason.
+  const [reason, setReason] = useState("");
+  // Optional details from the reporter.
+  const [details, setDetails] = useState("");
+  // Whether the report is being sent.
+  const [submitting, setSubmitting] = useState(false);
+  // Whether the report was sent (the button then stays disabled).
+  const [reported, setReported] = useState(false);
+  // Error message shown in the dialog.
+  const [error, setError] = useState(null);
+
+  /**
+   * Sends the report.
+   * @async
+   * @param {React.FormEvent<HTMLFormElement>} e - The form submission event.
+   */
+  const submitReport = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    try {
+      await axios.post(url, { reason, details: details.trim() }, { withCredentials: true });
+      setReported(true);
+      setOpen(false);
+    } catch (err) {
+      // A report that is still open counts as reported.
+      if (err.response?.status === 409) {
+        setReported(true);
+        setOpen(false);
+      } else {
+        setError(err.response?.data?.message || "Failed to send the report.");
+      }
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <>
+      <button
+        onClick={(e) => { e.stopPropagation(); setOpen(true); }} // Don't trigger the parent's click handler (e.g., card navigation).
+        disabled={reported}
+        className={`flex items-center gap-1 text-gray-400 hover:text-red-400 transition-colors disabled:opacity-50 disabled:hover:text-gray-400 ${className}`}
+        title={reported ? `You reported this ${subject}` : `Report this ${subject}`}
+        aria-label={`Report this ${subject}`}
+      >
+        <Flag className="w-4 h-4" />
+        {reported && <span className="text-xs">Reported</span>}
+      </button>
+
+      {open && (
+        <div
+          className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 p-4"
+          onClick={(e) => { e.stopPropagation(); setOpen(false); }} // Close when clicking the backdrop.
+        >
+          <form
+            onSubmit={submitReport}
+            onClick={(e) => e.stopPropagation()} // Keep clicks inside the dialog from closing it.
+            className="w-full max-w-md bg-[#2a2a2a] rounded-xl p-6 shadow-lg text-left"
+          >
+            <h3 className="text-lg font-bold text-white mb-1">Report this {subject}</h3>
+            <p className="text-sm text-gray-400 mb-4">Moderators will review your report. The author won't know who reported it.</p>
+            <div className="space-y-2 mb-4">
+              {REPORT_REASONS.map(value => (
+                <label key={value} className="flex items-center gap-2 text-sm text-gray-200 cursor-pointer">
+                  <input
+                    type="radio"
+                    name="report-reason"
+                    value={value}
+                    checked={reason === value}
+                    onChange={() => setReason(value)}
+                  />
+                  {REPORT_REASON_LABELS[value]}
+                </label>
+              ))}
+            </div>
+            <textarea
+              value={details}
+              onChange={(e) => setDetails(e.target.value)}
+              maxLength={REPORT_DETAILS_MAX_LENGTH}
+              rows={3}
+              placeholder="Anything else the moderators should know? (optional)"
+              className="w-full bg-[#3a3a3a] text-gray-200 rounded-lg p-3 text-sm mb-4 focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            {error && <p className="text-sm text-red-400 mb-3">{error}</p>}
+            <div className="flex space-x-3">
+              <button
+                type="button"
+                onClick={() => setOpen(false)}
+                className="flex-1 py-2 bg-[#3a3a3a] text-gray-300 rounded-lg hover:bg-[#4a4a4a] transition-colors"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={!reason || submitting}
+                className="flex-1 py-2 bg-red-600 hover:bg-red-700 text-white font-medium rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {submitting ? "Sending..." : "Report"}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+    </>
+  );
+}
@@ -0,0 +1,51 @@
+/**
+ * @file ResumeDraftPrompt.jsx
+ * @description A React component that tells the user they have an unsubmitted review draft (see `useReviewDraft`)
+ * and lets them resume or discard it.
+ */
+
+// Import the icon of the prompt.
+import { FileText } from 'lucide-react';
+
+/**
+ * @function ResumeDraftPrompt
+ * @description A React functional component that renders the "resume draft" prompt of the review forms.
+ *
+ * @param {object} props - The properties passed to the component.
+ * @param {object} props.draft - The draft (`content`, `updatedAt`).
+ * @param {function} props.onResume - Called when the user resumes the draft.
+ * @param {function} props.onDiscard - Called when the user discards the draft.
+ * @returns {JSX.Element} The rendered ResumeDraftPrompt component.
+ */
+export default function ResumeDraftPrompt({ draft, onResume, onDiscard }) {
+  return (
+    <div className="mb-4 bg-[#1f2a3a] border border-blue-800 rounded-lg p-3 text-sm text-gray-200">
+      <div className="flex items-start gap-2">
+        <FileText className="w-4 h-4 mt-0.5 text-blue-400 shrink-0" />
+        <div className="min-w-0">
+          <p>
+            You have an unsubmitted draft from{' '}
+            {new Date(draft.updatedAt).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })}.
+          </p>
+          {draft.content && <p className="text-gray-400 italic truncate">“{draft.content}”</p>}
+        </div>
+      </div>
+      <div className="flex gap-2 mt-3">
+        <button
+          type="button"
+          onClick={onResume}
+          className="px-3 py-1 bg-blue-600 hover:bg-blue-700 text-white rounded-lg transition-colors"
+        >
+          Resume draft
+        </button>
+        <button
+          type="button"
+          onClick={onDiscard}
+          className="px-3 py-1 bg-[#3a3a3a] hover:bg-[#4a4a4a] text-gray-300 rounded-lg transition-colors"
+        >
+          Discard
+        </button>
+      </div>
+    </div>
+  );
+}
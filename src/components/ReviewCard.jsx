@@ -1,13 +1,24 @@
 /**
  * @file ReviewCard.jsx
  * @description A React component that displays a user's review for a TV show.
- * It includes user details, review content, rating, show information, and like/dislike functionality.
+ * It includes user details, review content, rating, show information, like/dislike functionality and a comment count,
+ * plus optional edit and delete controls for the author's own reviews and a report control for other readers.
+ * Spoilers the viewer hasn't reached yet are blurred until they reveal them, and the author's reviews held by
+ * content screening are marked as awaiting approval.
  */
 
 // Import React and hooks (useState, useEffect, useMemo) for component logic.
 import React, { useState, useEffect, useMemo } from 'react';
-// Import icons (Apple for rating, ThumbsUp/Down for voting) from lucide-react.
-import { Apple, ThumbsUp, ThumbsDown } from 'lucide-react';
+// Import icons (ThumbsUp/Down for voting) from lucide-react.
+import { ThumbsUp, ThumbsDown, Pencil, Trash2, MessageCircle } from 'lucide-react';
+// Import AppleRatingDisplay component for showing the rating.
+import AppleRatingDisplay from './AppleRatingDisplay';
+// Import the top of the shared rating scale for the numerical rating text.
+import { RATING_MAX } from '../shared/ratingScale';
+// Import spoilerLabel to tell how far a spoiler review spoils.
+import { spoilerLabel } from '../shared/spoilers';
+// Import ReportButton so readers can report the review to the moderators.
+import ReportButton from './ReportButton';
 // Import useNavigate hook from react-router-dom for programmatic navigation.
 import { useNavigate } from 'react-router-dom';
 // Import a default profile picture to be used as a fallback.
@@ -29,11 +40,24 @@ import defaultProfilePic from "../../public/img/profilePhotos/generic_profile_pi
  * @param {string|number} props.showId - The ID of the TV show.
  * @param {string|number} props.reviewId - The ID of the review.
  * @param {boolean} props.containsSpoiler - Flag indicating if the review contains spoilers.
+ * @param {boolean} [props.spoilerHidden=false] - Whether the API hid the spoiler from the viewer (see their spoiler protection).
+ *                                              The text is blurred until the viewer reveals it.
+ * @param {number|null} [props.spoilerSeason=null] - The season the spoilers go up to, if tagged.
+ * @param {number|null} [props.spoilerEpisode=null] - The episode the spoilers go up to, if tagged.
+ * @param {number|null} [props.seasonNumber=null] - The season reviewed, for season and episode reviews.
+ * @param {number|null} [props.episodeNumber=null] - The episode reviewed, for episode reviews.
  * @param {Array<string>} [props.likes=[]] - Array of user IDs who liked the review.
  * @param {Array<string>} [props.dislikes=[]] - Array of user IDs who disliked the review.
  * @param {string|null} props.currentUserId - The ID of the currently logged-in user, or null if not logged in.
  * @param {function} props.onVote - Callback function to handle a vote (like/dislike) on the review.
  *                                 Receives `reviewId` and `action` ('like' or 'dislike') as arguments.
+ * @param {boolean} [props.edited=false] - Whether the review was edited after it was posted.
+ * @param {boolean} [props.pending=false] - Whether the review is held by content screening until a moderator approves it.
+ * @param {function} [props.onEdit] - Callback invoked when the "Edit" control is clicked. Only pass it for the current user's own reviews.
+ * @param {function} [props.onDelete] - Callback invoked when the "Delete" control is clicked. Only pass it for the current user's own reviews.
+ * @param {number} [props.commentCount=0] - The number of comments on the review.
+ * @param {function} [props.onCommentsClick] - Callback invoked when the comment count is clicked. The count is only shown when provided.
+ * @param {boolean} [props.commentsOpen=false] - Whether the review's comment thread is currently open.
  * @returns {JSX.Element} The rendered ReviewCard component.
  */
 export default function ReviewCard({
@@ -46,15 +70,29 @@ export default function ReviewCard({
   showId,
   reviewId,
   containsSpoiler,
+  spoilerHidden = false,
+  spoilerSeason = null,
+  spoilerEpisode = null,
+  seasonNumber = null,
+  episodeNumber = null,
   likes = [], // Default to an empty array if not provided
   dislikes = [], // Default to an empty array if not provided
   currentUserId,
-  onVote
+  onVote,
+  edited = false,
+  pending = false,
+  onEdit,
+  onDelete,
+  commentCount = 0,
+  onCommentsClick,
+  commentsOpen = false
 }) {
   // State to track if the card is currently being hovered over (for hover animation).
   const [isHovered, setIsHovered] = useState(false);
   // State to track if a vote action is currently in progress (to disable buttons).
   const [isVoting, setIsVoting] = useState(false);
+  // State to track if the viewer revealed a hidden spoiler.
+  const [spoilerRevealed, setSpoilerRevealed] = useState(false);
   // Hook for programmatic navigation.
   const navigate = useNavigate();
 
@@ -91,23 +129,16 @@ export default function ReviewCard({
   };
 
   /**
-   * Renders the star rating display using Apple icons.
-   * @param {number} val - The rating value (0-5).
-   * @returns {JSX.Element} The JSX for the star rating.
+   * Renders the rating display using Apple icons, including half apples.
+   * @param {number} val - The rating value on the rating scale.
+   * @returns {JSX.Element} The JSX for the apple rating.
    */
   const renderAppleRating = (val) => {
     return (
       <div className="flex items-center mt-1 space-x-1">
-        {/* Create an array of 5 elements to map over for the stars. */}
-        {[...Array(5)].map((_, i) => (
-          <Apple
-            key={i}
-            // Apply yellow color if index `i` is less than the rating value, otherwise gray.
-            className={`w-4 h-4 ${i < val ? 'text-yellow-400 fill-yellow-400' : 'text-gray-500'}`}
-          />
-        ))}
-        {/* Display the numerical rating (e.g., "4/5"). */}
-        <span className="ml-2 text-xs text-gray-400">{val}/5</span>
+        <AppleRatingDisplay rating={val} appleSize="w-4 h-4" />
+        {/* Display the numerical rating (e.g., "4.5/5"). */}
+        <span className="ml-2 text-xs text-gray-400">{val}/{RATING_MAX}</span>
       </div>
     );
   };
@@ -141,16 +172,47 @@ export default function ReviewCard({
             e.target.src = defaultProfilePic;
           }}
         />
-        <div>
+        <div className="flex-1 min-w-0">
           <p className="text-white font-semibold text-sm">@{user.username}</p>
-          <p className="text-gray-400 text-xs">{date}</p>
+          <p className="text-gray-400 text-xs">
+            {date}
+            {/* Mark reviews that were edited after posting. */}
+            {edited && <span className="ml-1 italic">(edited)</span>}
+            {/* Only the author sees their pending reviews. */}
+            {pending && <span className="ml-2 bg-yellow-900 text-yellow-200 px-2 py-0.5 rounded">Awaiting approval</span>}
+          </p>
         </div>
+        {/* Report control for logged-in readers other than the author. */}
+        {currentUserId && !isCurrentUserReview && reviewId && (
+          <ReportButton url={`/api/reviews/${reviewId}/report`} className="p-1.5" />
+        )}
+        {/* Edit and delete controls for the author's own reviews. */}
+        {onEdit && (
+          <button
+            onClick={(e) => { e.stopPropagation(); onEdit(); }} // Don't navigate to the show.
+            className="p-1.5 rounded-lg text-gray-400 hover:bg-[#3a3a3a] hover:text-white transition-colors"
+            title="Edit your review"
+            aria-label="Edit your review"
+          >
+            <Pencil className="w-4 h-4" />
+          </button>
+        )}
+        {onDelete && (
+          <button
+            onClick={(e) => { e.stopPropagation(); onDelete(); }} // Don't navigate to the show.
+            className="p-1.5 rounded-lg text-gray-400 hover:bg-[#3a3a3a] hover:text-red-400 transition-colors"
+            title="Delete your review"
+            aria-label="Delete your review"
+          >
+            <Trash2 className="w-4 h-4" />
+          </button>
+        )}
       </div>
       {/* Section for spoiler warning tag. */}
       <div className="h-6 flex items-center">
         {containsSpoiler && ( // Conditionally render spoiler tag.
           <div className="bg-yellow-900 text-yellow-200 text-xs px-2 py-1 rounded self-start">
-            Contains Spoilers
+            {spoilerLabel({ containsSpoiler, spoilerSeason, spoilerEpisode, seasonNumber, episodeNumber })}
           </div>
         )}
       </div>
@@ -159,10 +221,19 @@ export default function ReviewCard({
         {renderAppleRating(rating)}
       </div>
       {/* Section for review text (scrollable if it overflows). */}
-      <div className="h-12 overflow-y-auto mb-1"> {/* Fixed height with overflow scroll. */}
-        <p className="text-gray-300 text-sm leading-relaxed">
+      <div className="relative h-12 overflow-y-auto mb-1"> {/* Fixed height with overflow scroll. */}
+        <p className={`text-gray-300 text-sm leading-relaxed ${spoilerHidden && !spoilerRevealed ? 'blur-sm select-none' : ''}`}>
           {reviewText}
         </p>
+        {/* Hidden spoilers stay blurred until the viewer reveals them. */}
+        {spoilerHidden && !spoilerRevealed && (
+          <button
+            onClick={(e) => { e.stopPropagation(); setSpoilerRevealed(true); }} // Don't navigate to the show.
+            className="absolute inset-0 flex items-center justify-center text-xs font-medium text-yellow-300 hover:text-yellow-200"
+          >
+            Spoiler – click to reveal
+          </button>
+        )}
       </div>
       {/* Section for show name (truncated if too long). */}
       <div className="h-5 mb-1">
@@ -214,6 +285,23 @@ export default function ReviewCard({
             {dislikes.length} {/* Display dislike count. */}
           </span>
         </button>
+        {/* Comment count; opens the review's comment thread. */}
+        {onCommentsClick && (
+          <button
+            onClick={(e) => { e.stopPropagation(); onCommentsClick(); }} // Don't navigate to the show.
+            className={`flex items-center space-x-1 px-3 py-1.5 rounded-lg transition-all duration-200 cursor-pointer ${commentsOpen
+              ? 'bg-[#3a3a3a] text-white' // Open thread state.
+              : 'text-gray-400 hover:bg-[#3a3a3a] hover:text-white hover:scale-105' // Default state.
+              }`}
+            title={commentsOpen ? "Hide comments" : "Show comments"} // Tooltip.
+            aria-expanded={commentsOpen}
+          >
+            <MessageCircle className="w-4 h-4" />
+            <span className="font-medium text-sm">
+              {commentCount} {/* Display comment count. */}
+            </span>
+          </button>
+        )}
       </div>
     </div>
   );
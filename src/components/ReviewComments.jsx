@@ -0,0 +1,332 @@
+/**
+ * @file ReviewComments.jsx
+ * @description A React component that renders the comment thread of a review.
+ * Comments are loaded page by page, can be replied to (one level deep), flagged as spoilers
+ * (hidden until revealed) and deleted by their author or by the review's author.
+ */
+
+// Import React hooks for state, side effects and memoized callbacks.
+import React, { useState, useEffect, useCallback } from "react";
+// Import axios for making HTTP requests.
+import axios from "axios";
+// Import icons from lucide-react for the reply and delete controls.
+import { CornerDownRight, Trash2 } from "lucide-react";
+
+/**
+ * Number of top-level comments loaded per page.
+ * @type {number}
+ */
+const COMMENTS_PER_PAGE = 10;
+
+/**
+ * Maximum length of a comment, matching the server-side limit.
+ * @type {number}
+ */
+const MAX_COMMENT_LENGTH = 1000;
+
+/**
+ * Default profile picture for users without one.
+ * @type {string}
+ */
+const defaultProfilePic = "/img/profilePhotos/generic_profile_picture.jpg";
+
+/**
+ * @function CommentForm
+ * @description A small form for writing a comment or a reply, with a spoiler checkbox.
+ *
+ * @param {object} props - The properties passed to the component.
+ * @param {function(object): Promise<void>} props.onSubmit - Called with `{ content, containsSpoiler }`; throws an error message on failure.
+ * @param {string} [props.placeholder] - Placeholder text of the textarea.
+ * @param {function} [props.onCancel] - If provided, a "Cancel" button is shown that calls it.
+ * @returns {JSX.Element} The rendered CommentForm component.
+ */
+function CommentForm({ onSubmit, placeholder = "Add a comment…", onCancel }) {
+  // The comment text.
+  const [content, setContent] = useState("");
+  // Whether the comment is flagged as a spoiler.
+  const [containsSpoiler, setContainsSpoiler] = useState(false);
+  // Whether the comment is being sent.
+  const [submitting, setSubmitting] = useState(false);
+  // Error message shown under the form.
+  const [error, setError] = useState(null);
+
+  /**
+   * Sends the comment and clears the form on success.
+   * @async
+   * @param {React.FormEvent} e - The form submission event.
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!content.trim()) return;
+    setSubmitting(true);
+    setError(null);
+    try {
+      await onSubmit({ content: content.trim(), containsSpoiler });
+      setContent("");
+      setContainsSpoiler(false);
+    } catch (err) {
+      setError(typeof err === "string" ? err : "Failed to post comment.");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-2">
+      <textarea
+        value={content}
+        onChange={(e) => setContent(e.target.value)}
+        maxLength={MAX_COMMENT_LENGTH}
+        rows={2}
+        placeholder={placeholder}
+        className="w-full bg-[#2a2a2a] text-gray-200 text-sm rounded-lg p-2 border border-[#3a3a3a] focus:outline-none focus:border-blue-500 resize-none"
+      />
+      <div className="flex items-center justify-between">
+        {/* Spoiler flag for this comment. */}
+        <label className="flex items-center space-x-2 text-xs text-gray-400 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={containsSpoiler}
+            onChange={() => setContainsSpoiler(!containsSpoiler)}
+            className="accent-yellow-400"
+          />
+          <span>Contains spoilers</span>
+        </label>
+        <div className="flex items-center space-x-2">
+          {onCancel && (
+            <button type="button" onClick={onCancel} className="text-xs text-gray-400 hover:text-gray-200 px-2 py-1">
+              Cancel
+            </button>
+          )}
+          <button
+            type="submit"
+            disabled={submitting || !content.trim()}
+            className="text-xs bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white px-3 py-1 rounded-lg"
+          >
+            {submitting ? "Posting…" : "Post"}
+          </button>
+        </div>
+      </div>
+      {error && <p className="text-xs text-red-400">{error}</p>}
+    </form>
+  );
+}
+
+/**
+ * @function CommentItem
+ * @description Renders one comment: author, date, content (hidden behind a reveal button for spoilers)
+ * and the reply/delete controls.
+ *
+ * @param {object} props - The properties passed to the component.
+ * @param {object} props.comment - A comment from `/api/reviews/:id/comments`.
+ * @param {boolean} props.canDelete - Whether the delete control is shown.
+ * @param {function} props.onDelete - Called when the delete control is clicked.
+ * @param {function} [props.onReply] - If provided, a "Reply" control is shown that calls it.
+ * @returns {JSX.Element} The rendered CommentItem component.
+ */
+function CommentItem({ comment, canDelete, onDelete, onReply }) {
+  // Whether a spoiler comment has been revealed.
+  const [revealed, setRevealed] = useState(false);
+
+  return (
+    <div className="flex items-start gap-2">
+      <img
+        src={comment.userProfilePic || defaultProfilePic}
+        alt={comment.username}
+        className="w-7 h-7 rounded-full object-cover flex-shrink-0"
+      />
+      <div className="flex-1 min-w-0">
+        <p className="text-xs text-gray-400">
+          <span className="font-semibold text-gray-200">@{comment.username}</span>{" "}
+          {new Date(comment.createdAt).toLocaleDateString("en-US", { year: "numeric", month: "short", day: "numeric" })}
+        </p>
+        {/* Spoiler comments stay hidden until the reader asks to see them. */}
+        {comment.containsSpoiler && !revealed ? (
+          <button onClick={() => setRevealed(true)} className="text-xs text-yellow-400 hover:text-yellow-300 mt-1">
+            ⚠️ Spoiler – click to show
+          </button>
+        ) : (
+          <p className="text-sm text-gray-200 whitespace-pre-line break-words">{comment.content}</p>
+        )}
+        <div className="flex items-center space-x-3 mt-1">
+          {onReply && (
+            <button onClick={onReply} className="flex items-center text-xs text-gray-400 hover:text-blue-400">
+              <CornerDownRight className="w-3 h-3 mr-1" /> Reply
+            </button>
+          )}
+          {canDelete && (
+            <button
+              onClick={onDelete}
+              className="flex items-center text-xs text-gray-400 hover:text-red-400"
+              aria-label="Delete comment"
+            >
+              <Trash2 className="w-3 h-3 mr-1" /> Delete
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * @function ReviewComments
+ * @description A React functional component that loads and displays the comment thread of a review.
+ * Logged-in users can comment, reply and delete their own comments; the review's author can delete any comment on it.
+ *
+ * @param {object} props - The properties passed to the component.
+ * @param {string} props.reviewId - The ID of the review.
+ * @param {string|null} props.currentUserId - The ID of the currently logged-in user, or null if not logged in.
+ * @param {string} [props.reviewAuthorId] - The ID of the review's author.
+ * @param {function(number): void} [props.onCountChange] - Called with the change in the number of comments (e.g. `1` or `-3`).
+ * @returns {JSX.Element} The rendered ReviewComments component.
+ */
+export default function ReviewComments({ reviewId, currentUserId, reviewAuthorId, onCountChange }) {
+  // Loaded top-level comments, each with its `replies`.
+  const [comments, setComments] = useState([]);
+  // Last loaded page and the total number of pages.
+  const [page, setPage] = useState(0);
+  const [totalPages, setTotalPages] = useState(0);
+  // Loading flag and error message for the thread.
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  // ID of the top-level comment whose reply form is open, or null.
+  const [replyingTo, setReplyingTo] = useState(null);
+
+  /**
+   * Loads a page of comments and appends it (or replaces the list for the first page).
+   * @async
+   * @param {number} pageToLoad - The page number to load.
+   */
+  const fetchComments = useCallback(async (pageToLoad) => {
+    setLoading(true);
+    setError(null);
+    try {
+      const { data } = await axios.get(`/api/reviews/${reviewId}/comments`, {
+        params: { page: pageToLoad, limit: COMMENTS_PER_PAGE }
+      });
+      setComments((prev) => (pageToLoad === 1 ? data.comments : [...prev, ...data.comments]));
+      setPage(data.currentPage);
+      setTotalPages(data.totalPages);
+    } catch (err) {
+      console.error("Failed to fetch comments:", err);
+      setError("Failed to load comments.");
+    } finally {
+      setLoading(false);
+    }
+  }, [reviewId]);
+
+  // Load the first page when the thread is opened.
+  useEffect(() => {
+    fetchComments(1);
+  }, [fetchComments]);
+
+  /**
+   * Posts a comment or a reply and adds it to the thread.
+   * @async
+   * @param {object} commentData - `{ content, containsSpoiler }` from the form.
+   * @param {string|null} [parentId=null] - The top-level comment being replied to.
+   * @throws {string} An error message if posting fails, displayed by the form.
+   */
+  const postComment = async (commentData, parentId = null) => {
+    try {
+      const { data } = await axios.post(`/api/reviews/${reviewId}/comments`, { ...commentData, parentId });
+      if (data.parentId) {
+        setComments((prev) => prev.map((c) => (c._id === data.parentId ? { ...c, replies: [...c.replies, data] } : c)));
+        setReplyingTo(null);
+      } else {
+        setComments((prev) => [...prev, data]);
+      }
+      onCountChange?.(1);
+    } catch (err) {
+      throw err.response?.data?.error || "Failed to post comment.";
+    }
+  };
+
+  /**
+   * Deletes a comment (and its replies, for top-level comments) after asking for confirmation.
+   * @async
+   * @param {object} comment - The comment to delete.
+   */
+  const deleteComment = async (comment) => {
+    if (!window.confirm("Delete this comment?")) return;
+    try {
+      const { data } = await axios.delete(`/api/reviews/${reviewId}/comments/${comment._id}`);
+      setComments((prev) =>
+        comment.parentId
+          ? prev.map((c) => (c._id === comment.parentId ? { ...c, replies: c.replies.filter((r) => r._id !== comment._id) } : c))
+          : prev.filter((c) => c._id !== comment._id)
+      );
+      onCountChange?.(-data.deletedCount);
+    } catch (err) {
+      console.error("Failed to delete comment:", err);
+      setError(err.response?.data?.error || "Failed to delete comment.");
+    }
+  };
+
+  /**
+   * Whether the current user may delete a comment: its author or the review's author.
+   * @param {object} comment - The comment.
+   * @returns {boolean}
+   */
+  const canDelete = (comment) =>
+    !!currentUserId && (comment.userId === currentUserId.toString() || reviewAuthorId?.toString() === currentUserId.toString());
+
+  return (
+    <div className="space-y-4">
+      {comments.length === 0 && !loading && !error && (
+        <p className="text-sm text-gray-400">No comments yet.</p>
+      )}
+
+      {/* Top-level comments, each followed by its replies. */}
+      {comments.map((comment) => (
+        <div key={comment._id} className="space-y-3">
+          <CommentItem
+            comment={comment}
+            canDelete={canDelete(comment)}
+            onDelete={() => deleteComment(comment)}
+            onReply={currentUserId ? () => setReplyingTo(replyingTo === comment._id ? null : comment._id) : undefined}
+          />
+          <div className="ml-9 space-y-3 border-l border-[#3a3a3a] pl-3">
+            {comment.replies.map((reply) => (
+              <CommentItem
+                key={reply._id}
+                comment={reply}
+                canDelete={canDelete(reply)}
+                onDelete={() => deleteComment(reply)}
+                // Replying to a reply continues the same thread.
+                onReply={currentUserId ? () => setReplyingTo(comment._id) : undefined}
+              />
+            ))}
+            {replyingTo === comment._id && (
+              <CommentForm
+                placeholder={`Reply to @${comment.username}…`}
+                onSubmit={(commentData) => postComment(commentData, comment._id)}
+                onCancel={() => setReplyingTo(null)}
+              />
+            )}
+          </div>
+        </div>
+      ))}
+
+      {loading && <p className="text-sm text-gray-400">Loading comments...</p>}
+      {error && <p className="text-sm text-red-400">{error}</p>}
+
+      {/* Load the next page of top-level comments. */}
+      {!loading && page < totalPages && (
+        <button onClick={() => fetchComments(page + 1)} className="text-sm text-blue-400 hover:text-blue-300">
+          Load more comments
+        </button>
+      )}
+
+      {/* New top-level comment form, or a prompt to log in. */}
+      {currentUserId ? (
+        <CommentForm onSubmit={(commentData) => postComment(commentData)} />
+      ) : (
+        <p className="text-sm text-gray-400">
+          <a href="/login" className="text-blue-400 hover:text-blue-300">Log in</a> to join the conversation.
+        </p>
+      )}
+    </div>
+  );
+}
@@ -41,8 +41,6 @@ function ShowCarousel({
   const containerRef = useRef(null);
   // Ref for the content div that holds all show cards (including clones for infinite scroll).
   const contentRef = useRef(null);
-  // TMDB API key from environment variables.
-  const API_KEY = import.meta.env.VITE_TMDB_API_KEY;
   // Item width used for calculations, derived from cardActualWidth.
   const itemWidth = cardActualWidth; // This might need to include margins if mx-2 is significant
   // State to track the ID of the show currently being hovered over.
@@ -50,21 +48,14 @@ function ShowCarousel({
   // State to store the average rating fetched for the hovered show.
   const [hoveredRating, setHoveredRating] = useState(null);
 
-  // `useEffect` hook to fetch shows from TMDB when the component mounts or `tmdbEndpoint`/`API_KEY` changes.
+  // `useEffect` hook to fetch shows from TMDB (through the server-side proxy) when the component mounts or `tmdbEndpoint` changes.
   useEffect(() => {
     const fetchShows = async () => {
-      // If API_KEY is not available, set shows to empty and stop loading.
-      if (!API_KEY) {
-        console.warn("TMDB API Key is missing. Carousel will not load shows.");
-        setShows([]);
-        setIsLoading(false);
-        return;
-      }
       try {
         setIsLoading(true);
-        // Fetch data from the specified TMDB endpoint.
+        // Fetch data from the specified TMDB endpoint via the backend proxy.
         const res = await axios.get(
-          `https://api.themoviedb.org/3/${tmdbEndpoint}?api_key=${API_KEY}&language=en-US&page=1`
+          `/api/tmdb/${tmdbEndpoint}?language=en-US&page=1`
         );
         const tmdbResults = res.data.results || []; // Get results array or empty if undefined
         // Initialize shows with averageRating as null; this will be fetched on hover.
@@ -81,7 +72,7 @@ function ShowCarousel({
       }
     };
     fetchShows();
-  }, [tmdbEndpoint, API_KEY]); // Dependencies for the effect
+  }, [tmdbEndpoint]); // Dependencies for the effect
 
   /**
    * Fetches the average rating for a specific show ID from the backend API.
@@ -170,16 +161,6 @@ function ShowCarousel({
     };
   }, [shows, itemWidth, handleScroll, userScrollBehavior]); // Dependencies for the effect
 
-  // If API_KEY is not configured, render an error message.
-  if (!API_KEY && !isLoading) { // Check isLoading to avoid showing this before initial fetch attempt
-    return (
-      <section className="relative my-8">
-        <h3 className="text-xl font-bold px-4 md:px-0 mb-4">{title}</h3>
-        <p className="px-4 md:px-0 text-red-500">TMDB API Key not configured. Cannot load shows.</p>
-      </section>
-    );
-  }
-
   // Create an array of all items to render (original shows cloned three times for infinite scroll).
   const allItems = shows.length > 0 ? [...shows, ...shows, ...shows] : [];
 
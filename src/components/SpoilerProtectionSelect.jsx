@@ -0,0 +1,86 @@
+/**
+ * @file SpoilerProtectionSelect.jsx
+ * @description A React component that lets the logged-in user pick how spoiler reviews are handled for them.
+ * The choice is saved on their account through `/api/user/settings`, so it applies everywhere reviews are listed.
+ */
+
+// Import React hooks for state.
+import { useState } from "react";
+// Import axios for making HTTP requests.
+import axios from "axios";
+// Import the shield icon shown next to the setting.
+import { ShieldAlert } from "lucide-react";
+// Import useAuth for the user's current setting and to refresh it once saved.
+import { useAuth } from "../context/AuthContext";
+// Import the shared spoiler protection modes.
+import { DEFAULT_SPOILER_MODE } from "../shared/spoilers";
+
+/**
+ * Labels of the spoiler protection modes (see `SPOILER_MODES` in `src/shared/spoilers.js`).
+ * @type {Array<{ value: string, label: string }>}
+ */
+const MODE_OPTIONS = [
+  { value: "progress", label: "Hide spoilers past my progress" },
+  { value: "all", label: "Hide all spoilers" },
+  { value: "off", label: "Show all spoilers" }
+];
+
+/**
+ * @function SpoilerProtectionSelect
+ * @description A React functional component that renders the spoiler protection setting of the logged-in user.
+ * Renders nothing for logged-out visitors, who always get every spoiler hidden.
+ *
+ * @param {object} props - The properties passed to the component.
+ * @param {function(string): void} [props.onChange] - Called with the new mode once it is saved (e.g., to reload the reviews).
+ * @returns {JSX.Element|null} The rendered SpoilerProtectionSelect component.
+ */
+export default function SpoilerProtectionSelect({ onChange }) {
+  const { user, refreshUser } = useAuth();
+  // Whether the new setting is being saved.
+  const [saving, setSaving] = useState(false);
+  // Error message if saving failed.
+  const [error, setError] = useState(null);
+
+  if (!user) return null;
+
+  /**
+   * Saves the picked mode on the user's account.
+   * @async
+   * @param {React.ChangeEvent<HTMLSelectElement>} e - The change event of the select.
+   */
+  const saveMode = async (e) => {
+    const spoilerProtection = e.target.value;
+    setSaving(true);
+    setError(null);
+    try {
+      await axios.put("/api/user/settings", { spoilerProtection }, { withCredentials: true });
+      await refreshUser();
+      onChange?.(spoilerProtection);
+    } catch (err) {
+      console.error("Failed to save spoiler protection:", err);
+      setError(err.response?.data?.message || "Failed to save the setting");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="flex flex-col">
+      <label className="flex items-center gap-2 text-sm text-gray-300">
+        <ShieldAlert className="w-4 h-4 text-yellow-400" />
+        <span className="sr-only">Spoiler protection</span>
+        <select
+          value={user.spoilerProtection || DEFAULT_SPOILER_MODE}
+          onChange={saveMode}
+          disabled={saving}
+          className="bg-[#3a3a3a] text-gray-200 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50"
+        >
+          {MODE_OPTIONS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      </label>
+      {error && <p className="text-xs text-red-400 mt-1">{error}</p>}
+    </div>
+  );
+}
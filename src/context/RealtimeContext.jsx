@@ -0,0 +1,115 @@
+/**
+ * @file RealtimeContext.jsx
+ * @description This file defines a provider that keeps a single Server-Sent Events connection
+ * to `/api/events` open for the logged-in user. Components react to the pushed events
+ * (new notifications, friend request changes and friend activity) with `useRealtimeEvent` (see `src/hooks/useRealtimeEvent.js`).
+ */
+
+// Import React hooks for side effects, refs and memoized callbacks.
+import { useCallback, useEffect, useRef } from 'react';
+// Import useAuth to only connect while a user is logged in.
+import { useAuth } from './AuthContext';
+// Import the context the subscriptions are provided through.
+import { RealtimeContext } from '../hooks/useRealtimeEvent';
+
+/**
+ * Names of the events pushed by the server.
+ * @type {Array<string>}
+ */
+const REALTIME_EVENTS = ['notification', 'friend_requests', 'activity'];
+
+/**
+ * Delay (in milliseconds) before reopening the connection after the browser gave up reconnecting.
+ * @type {number}
+ */
+const RECONNECT_DELAY_MS = 5000;
+
+/**
+ * RealtimeProvider component.
+ * Opens the event stream when a user logs in and closes it when they log out.
+ * The browser reconnects on its own after a drop and sends `Last-Event-ID` so the server replays missed events;
+ * if the browser gives up (e.g., the server was down), the provider reconnects itself and passes the last
+ * received ID along, so no event is lost either way.
+ *
+ * @param {object} props - The properties passed to the component.
+ * @param {React.ReactNode} props.children - The child components that will have access to this context.
+ * @returns {JSX.Element} The RealtimeContext.Provider wrapping the children components.
+ */
+export const RealtimeProvider = ({ children }) => {
+  // Only logged-in users have an event stream.
+  const { user } = useAuth();
+  const userId = user?._id;
+  /**
+   * Subscribed handlers, keyed by event name.
+   * @type {React.MutableRefObject<Map<string, Set<function(object): void>>>}
+   */
+  const listenersRef = useRef(new Map());
+
+  /**
+   * `useEffect` hook to open the event stream for the logged-in user and close it on logout or unmount.
+   */
+  useEffect(() => {
+    if (!userId) return undefined;
+
+    let source = null;
+    let reconnectTimer = null;
+    let lastEventId = null;
+    let stopped = false;
+
+    /**
+     * Opens the event stream, resuming after the last received event if there is one.
+     */
+    const connect = () => {
+      const url = lastEventId ? `/api/events?lastEventId=${encodeURIComponent(lastEventId)}` : '/api/events';
+      source = new EventSource(url, { withCredentials: true });
+
+      // Forward every known event to its subscribers.
+      REALTIME_EVENTS.forEach((eventName) => {
+        source.addEventListener(eventName, (event) => {
+          lastEventId = event.lastEventId || lastEventId;
+          let data;
+          try {
+            data = JSON.parse(event.data);
+          } catch (error) {
+            console.error(`Invalid ${eventName} event:`, error);
+            return;
+          }
+          (listenersRef.current.get(eventName) || []).forEach((handler) => handler(data));
+        });
+      });
+
+      // While the stream is CONNECTING the browser retries by itself; once it is CLOSED, retry manually.
+      source.onerror = () => {
+        if (source.readyState === EventSource.CLOSED && !stopped) {
+          reconnectTimer = setTimeout(connect, RECONNECT_DELAY_MS);
+        }
+      };
+    };
+
+    connect();
+    return () => {
+      stopped = true;
+      clearTimeout(reconnectTimer);
+      source?.close();
+    };
+  }, [userId]); // Reconnect when a different user logs in.
+
+  /**
+   * Registers a handler for an event.
+   * @param {string} eventName - One of the realtime event names.
+   * @param {function(object): void} handler - Called with the parsed event data.
+   * @returns {function(): void} A function that removes the handler.
+   */
+  const subscribe = useCallback((eventName, handler) => {
+    if (!listenersRef.current.has(eventName)) listenersRef.current.set(eventName, new Set());
+    listenersRef.current.get(eventName).add(handler);
+    return () => listenersRef.current.get(eventName).delete(handler);
+  }, []);
+
+  // Provide the subscribe function to child components via RealtimeContext.Provider.
+  return (
+    <RealtimeContext.Provider value={{ subscribe }}>
+      {children} {/* Render the child components wrapped by the provider. */}
+    </RealtimeContext.Provider>
+  );
+};
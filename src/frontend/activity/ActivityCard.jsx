@@ -12,6 +12,8 @@ import { Link } from 'react-router-dom';
 import { formatDistanceToNow, format, isValid, parseISO } from 'date-fns';
 // Import AppleRating component for displaying star ratings.
 import AppleRating from '../../components/AppleRating';
+// Import levelLabel to name the season or episode a review is about.
+import { levelLabel } from '../../shared/reviewLevels';
 
 /**
  * Formats a given ISO timestamp into a human-readable string.
@@ -53,9 +55,11 @@ const formatActivityTimestamp = (timestamp) => {
  * @param {object} [props.activity.details] - Additional details specific to the activity.
  * @param {string} props.activity.createdAt - The ISO timestamp when the activity occurred.
  * @param {string} [props.activity.targetId] - The ID of the target entity (e.g., show ID), if applicable.
+ * @param {object} [props.activity.user] - The user who performed the activity (`username`, `profilePic`), included in the friends feed.
+ * @param {boolean} [props.showUser=false] - Whether to show the avatar and username of the user who performed the activity.
  * @returns {JSX.Element} The rendered ActivityCard component.
  */
-const ActivityCard = ({ activity }) => {
+const ActivityCard = ({ activity, showUser = false }) => {
   // Destructure properties from the activity object.
   const { action, details, createdAt, targetId } = activity;
 
@@ -70,12 +74,14 @@ const ActivityCard = ({ activity }) => {
   const showImage = details?.showImage || defaultShowImage;
   // Get the show name from details or use a generic placeholder.
   const showName = details?.showName || "a show";
+  // For season and episode reviews, the season or episode reviewed (e.g., " S2E5"), otherwise empty.
+  const reviewLevel = details?.seasonNumber != null ? ` ${levelLabel(details.seasonNumber, details.episodeNumber ?? null)}` : '';
   
   // Determine if the activity card should link to a show page.
   const canLinkToShow = action === 'review_create' || action === 'watchlist_add' || action === 'watchlist_remove' || action.includes('review_like') || action.includes('review_dislike') || action.includes('review_unlike') || action.includes('review_undislike');
 
   // If a targetId exists and the action is related to a show with a valid name, set the showLink.
-  if (targetId && (action === 'review_create' || action === 'watchlist_add' || action === 'watchlist_remove' || 
+  if (targetId && (action === 'review_create' || action === 'review_edit' || action === 'review_comment' || action === 'watchlist_add' || action === 'watchlist_remove' || action === 'mark_watched' || 
                   ((action.includes('review_like') || action.includes('review_dislike') || action.includes('review_unlike') || action.includes('review_undislike')) && details?.showName && details?.showName !== "a show"))) {
     showLink = `/show/${targetId}`;
   }
@@ -99,7 +105,7 @@ const ActivityCard = ({ activity }) => {
       }
       break;
     case 'review_create':
-      titleText = <>Wrote a review for <strong className="font-semibold">{showName}</strong>.</>;
+      titleText = <>Wrote a review for <strong className="font-semibold">{showName}{reviewLevel}</strong>.</>;
       // Content includes the rating and a snippet of the review.
       content = (
         <div className="mt-2 text-sm text-gray-400">
@@ -108,6 +114,19 @@ const ActivityCard = ({ activity }) => {
         </div>
       );
       break;
+    case 'review_edit':
+      titleText = <>Edited their review of <strong className="font-semibold">{showName}{reviewLevel}</strong>.</>;
+      break;
+    case 'review_delete':
+      titleText = <>Deleted their review of <strong className="font-semibold">{showName}</strong>.</>;
+      break;
+    case 'review_comment':
+      titleText = <>Commented on a review of <strong className="font-semibold">{showName}</strong>.</>;
+      // Content is a snippet of the comment.
+      if (details?.contentSummary) {
+        content = <p className="mt-2 text-sm text-gray-400 line-clamp-2">{details.contentSummary}</p>;
+      }
+      break;
     case 'review_like':
       // If show name is available and not generic, include it in the title.
       titleText = details?.showName && details.showName !== "a show" ? 
@@ -135,6 +154,12 @@ const ActivityCard = ({ activity }) => {
     case 'watchlist_remove':
       titleText = <>Removed <strong className="font-semibold">{showName}</strong> from watchlist.</>;
       break;
+    case 'mark_watched':
+      // Include the number of episodes and the season when available.
+      titleText = details?.episodeCount
+        ? <>Watched {details.episodeCount} episode{details.episodeCount === 1 ? '' : 's'} of <strong className="font-semibold">{showName}</strong>{details.season != null ? ` (season ${details.season})` : ''}.</>
+        : <>Watched <strong className="font-semibold">{showName}</strong>.</>;
+      break;
     case 'logout':
       titleText = "Logged out.";
       break;
@@ -155,7 +180,7 @@ const ActivityCard = ({ activity }) => {
       {/* Flex container for layout (image on left, text on right). */}
       <div className="flex items-start space-x-3">
         {/* Conditionally render the show image if the action involves a show and an image is available. */}
-        {( (action.includes('review_create') || action.includes('watchlist')) || 
+        {( (action.includes('review_create') || action === 'review_edit' || action === 'review_delete' || action === 'review_comment' || action.includes('watchlist') || action === 'mark_watched') || 
            ( (action.includes('review_like') || action.includes('review_dislike') || action.includes('review_unlike') || action.includes('review_undislike')) && details?.showName && details.showName !== "a show" )
          ) && showImage !== defaultShowImage && (
           <img src={showImage} alt={showName} className="w-16 h-24 object-cover rounded-sm flex-shrink-0" />
@@ -173,6 +198,17 @@ const ActivityCard = ({ activity }) => {
         
         {/* Container for text content (title, specific content, timestamp). */}
         <div className="flex-1 min-w-0"> {/* `min-w-0` is important for flex items with truncation. */}
+          {/* Who performed the activity (friends feed only). */}
+          {showUser && activity.user && (
+            <div className="flex items-center gap-2 mb-1">
+              <img
+                src={activity.user.profilePic || '/img/profilePhotos/generic_profile_picture.jpg'}
+                alt={activity.user.username}
+                className="w-6 h-6 rounded-full object-cover"
+              />
+              <span className="text-sm font-semibold text-gray-300">@{activity.user.username}</span>
+            </div>
+          )}
           {/* Activity title text, with multi-line truncation if necessary. */}
           <p className="text-base text-gray-200 truncate-multiline">{titleText}</p>
           {/* Dynamically rendered content specific to the action type. */}
@@ -1,8 +1,8 @@
 /**
  * @file ActivityPage.js
- * @description A React component that displays a user's activity feed.
+ * @description A React component that displays a user's activity feed, with a "Friends" tab for their friends' activity.
  * Activities are fetched from an API, can be filtered by type, and are grouped by month.
- * Each month's activities can be collapsed or expanded.
+ * Each month's activities can be collapsed or expanded. New activities appear live as they are pushed by the server.
  */
 
 // Import React hooks and utilities.
@@ -12,6 +12,7 @@ import { motion, AnimatePresence } from 'framer-motion'; // For animations.
 import axios from 'axios'; // For making HTTP requests.
 import { format } from 'date-fns'; // For date formatting.
 import { useAuth } from "../../context/AuthContext"; // Custom hook to access authentication context.
+import { useRealtimeEvent } from "../../hooks/useRealtimeEvent"; // Custom hook for live updates.
 import BottomNavbar from '../../components/BottomNavbar'; // Navigation bar component.
 import ActivityCard from './ActivityCard'; // Component to display individual activities.
 import ActivitySectionHeader from './ActivitySectionHeader'; // Component for month headers.
@@ -26,6 +27,15 @@ import ActivityPageHeader from './ActivityPageHeader'; // Component for the page
 function ActivityPage() {
   // State to store the array of fetched activities.
   const [activities, setActivities] = useState([]);
+  // State for the selected tab: the user's own activity ('mine') or their friends' ('friends').
+  const [tab, setTab] = useState('mine');
+  // State to store the friends' activities loaded so far.
+  const [friendActivities, setFriendActivities] = useState([]);
+  // Cursor for the next page of the friends feed (`null` when there are no more pages).
+  const [friendsCursor, setFriendsCursor] = useState(null);
+  // State to track loading of the friends feed, and whether its first page has been loaded.
+  const [friendsLoading, setFriendsLoading] = useState(false);
+  const [friendsLoaded, setFriendsLoaded] = useState(false);
   // State to track loading status.
   const [loading, setLoading] = useState(true);
   // State to store any error messages during data fetching.
@@ -81,6 +91,41 @@ function ActivityPage() {
     fetchActivities();
   }, [user, navigate]); // Dependencies: re-run if user or navigate changes.
 
+  /**
+   * Fetches a page of the friends activity feed and appends it to the loaded activities.
+   * @async
+   * @param {string|null} [before=null] - Cursor of the page to load; `null` loads the first page.
+   */
+  const fetchFriendsFeed = async (before = null) => {
+    setFriendsLoading(true);
+    try {
+      const response = await axios.get('/api/activities/feed', { params: { limit: 20, before: before || undefined } });
+      setFriendActivities(prev => (before ? [...prev, ...response.data.activities] : response.data.activities));
+      setFriendsCursor(response.data.nextCursor);
+    } catch (err) {
+      console.error('Failed to load friends activity feed:', err);
+    } finally {
+      // Marked as loaded even on failure, so the tab shows its empty state instead of retrying endlessly.
+      setFriendsLoaded(true);
+      setFriendsLoading(false);
+    }
+  };
+
+  // Load the first page of the friends feed the first time the "Friends" tab is opened.
+  useEffect(() => {
+    if (tab === 'friends' && !friendsLoaded && !friendsLoading) fetchFriendsFeed();
+  }, [tab, friendsLoaded, friendsLoading]);
+
+  // Prepend new activities as they are pushed: the user's own (e.g., a review posted from another tab) and their friends'.
+  useRealtimeEvent('activity', (activity) => {
+    const prepend = prev => [activity, ...prev.filter(a => a._id !== activity._id)];
+    if (activity.userId === user?._id) {
+      setActivities(prepend);
+    } else if (friendsLoaded) {
+      setFriendActivities(prepend);
+    }
+  });
+
   // `useEffect` hook to scroll to the top of the page when the component mounts.
   useEffect(() => {
     window.scrollTo(0, 0);
@@ -115,17 +160,18 @@ function ActivityPage() {
     all: () => true, // 'all' filter shows all activities.
     login: (action) => action === 'login',
     reviews: (action) => [ // 'reviews' filter shows review-related actions.
-      'review_create', 'review_like', 'review_dislike', 'review_unlike', 'review_undislike'
+      'review_create', 'review_edit', 'review_delete', 'review_comment', 'review_like', 'review_dislike', 'review_unlike', 'review_undislike'
     ].includes(action),
     watchlist: (action) => ['watchlist_add', 'watchlist_remove'].includes(action),
     account: (action) => ['account_creation', 'profile_update'].includes(action)
   };
 
-  // `useMemo` hook to efficiently filter activities based on the current `filter`.
-  // Recalculates only when `activities` or `filter` changes.
+  // `useMemo` hook to efficiently filter the selected tab's activities based on the current `filter`.
+  // Recalculates only when the activities, the tab or `filter` changes.
   const filteredActivities = useMemo(() => {
-    return activities.filter(activity => filterMap[filter](activity.action));
-  }, [activities, filter]);
+    const source = tab === 'friends' ? friendActivities : activities;
+    return source.filter(activity => filterMap[filter](activity.action));
+  }, [activities, friendActivities, tab, filter]);
 
   // `useMemo` hook to group filtered activities by month and year.
   // Recalculates only when `filteredActivities` changes.
@@ -202,6 +248,24 @@ function ActivityPage() {
         {/* Page header component. */}
         <ActivityPageHeader />
 
+        {/* Tabs to switch between the user's own activity and their friends'. */}
+        <div className="flex mt-6 rounded-lg bg-[#2e2e2e] p-1">
+          {[
+            { label: 'My Activity', value: 'mine' },
+            { label: 'Friends', value: 'friends' }
+          ].map(({ label, value }) => (
+            <button
+              key={value}
+              onClick={() => setTab(value)}
+              className={`px-4 py-1.5 rounded-md text-sm sm:text-base font-semibold transition-colors ${
+                tab === value ? 'bg-[#ECE6DD] text-[#1e1e1e]' : 'text-[#b0a899] hover:text-[#ECE6DD]'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+
         {/* Filter buttons section. */}
         <div className="flex gap-2 sm:gap-4 mt-6 flex-wrap justify-center px-4 sm:px-8">
           {[ // Array of filter options.
@@ -229,8 +293,15 @@ function ActivityPage() {
 
         {/* Container for displaying grouped activities. */}
         <div className="w-full mt-6 space-y-10 px-4 sm:px-8">
+          {/* Loading message for the first page of the friends feed. */}
+          {tab === 'friends' && !friendsLoaded && (
+            <div className="text-center py-20 select-none" style={{ color: '#8a8a8a' }}>
+              Loading your friends' activity...
+            </div>
+          )}
+
           {/* If no activities found for the current filter (and not loading), display a message. */}
-          {sortedMonthYears.length === 0 && !loading && (
+          {sortedMonthYears.length === 0 && !loading && (tab === 'mine' || friendsLoaded) && (
             <motion.div
               className="text-center py-20 select-none"
               style={{ color: '#8a8a8a' }}
@@ -238,7 +309,9 @@ function ActivityPage() {
               animate={{ opacity: 1 }}
               transition={{ duration: 0.6 }}
             >
-              No activities found for this filter.
+              {tab === 'friends' && friendActivities.length === 0
+                ? 'No activity from your friends yet.'
+                : 'No activities found for this filter.'}
             </motion.div>
           )}
 
@@ -290,7 +363,7 @@ function ActivityPage() {
                           transition={{ delay: index * 0.05 }} // Staggered animation delay for each card.
                           className="w-full flex justify-center" // Center the ActivityCard.
                         >
-                          <ActivityCard activity={activity} />
+                          <ActivityCard activity={activity} showUser={tab === 'friends'} />
                         </motion.div>
                       ))}
                     </motion.div>
@@ -299,6 +372,19 @@ function ActivityPage() {
               </div>
             );
           })}
+
+          {/* "Load More" button for the friends feed, shown while there are older activities. */}
+          {tab === 'friends' && friendsCursor && (
+            <div className="flex justify-center">
+              <button
+                onClick={() => fetchFriendsFeed(friendsCursor)}
+                disabled={friendsLoading}
+                className="px-4 py-2 rounded-md text-sm sm:text-base font-semibold bg-[#2e2e2e] text-[#ECE6DD] hover:bg-[#484538] disabled:opacity-50 transition-colors"
+              >
+                {friendsLoading ? 'Loading...' : 'Load More'}
+              </button>
+            </div>
+          )}
         </div>
       </section>
       {/* Bottom navigation bar component. */}
@@ -0,0 +1,292 @@
+/**
+ * @file ModerationPage.jsx
+ * @description A React component for admins to work through the moderation queue: reported reviews and users,
+ * grouped by what was reported. Admins can dismiss the reports, or hide, unhide and delete reported reviews.
+ * The "Pending" tab lists the reviews held by content screening, which admins approve or delete.
+ * The route is only rendered for admins (see `AdminRoute` in `App.jsx`).
+ */
+
+// Import React hooks for state, side effects and memoized callbacks.
+import { useState, useEffect, useCallback } from 'react';
+// Import axios for making HTTP requests.
+import axios from 'axios';
+// Import Link for links to the reported users and shows.
+import { Link } from 'react-router-dom';
+// Import BottomNavbar component for consistent navigation across pages.
+import BottomNavbar from '../../components/BottomNavbar';
+// Import LoadingSpinner component to display while the queue is being fetched.
+import LoadingSpinner from '../../components/LoadingSpinner';
+// Import the shared report reason labels.
+import { REPORT_REASON_LABELS } from '../../shared/reportReasons';
+// Import levelLabel to name the season or episode of season and episode reviews.
+import { levelLabel } from '../../shared/reviewLevels';
+// Import the top of the shared rating scale for the rating text.
+import { RATING_MAX } from '../../shared/ratingScale';
+
+/**
+ * Tabs of the queue.
+ * @type {Array<{ value: string, label: string }>}
+ */
+const STATUS_TABS = [
+  { value: 'open', label: 'Open' },
+  { value: 'resolved', label: 'Resolved' },
+  { value: 'pending', label: 'Pending reviews' }
+];
+
+/**
+ * Number of queue items per page.
+ * @type {number}
+ */
+const ITEMS_PER_PAGE = 20;
+
+/**
+ * @function ModerationPage
+ * @description A React functional component that lists the moderation queue and its actions.
+ *
+ * @returns {JSX.Element} The rendered ModerationPage component.
+ */
+export default function ModerationPage() {
+  // What is listed: 'open' or 'resolved' reports, or 'pending' reviews.
+  const [status, setStatus] = useState('open');
+  // The current page of the queue.
+  const [page, setPage] = useState(1);
+  // The queue items (or pending reviews) of the page and the number of pages.
+  const [items, setItems] = useState([]);
+  const [totalPages, setTotalPages] = useState(0);
+  // Loading and error state of the queue.
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  // The target ID whose action is running (disables its buttons).
+  const [busyId, setBusyId] = useState(null);
+
+  /**
+   * Fetches the current page of the queue.
+   * @async
+   */
+  const fetchQueue = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const { data } = status === 'pending'
+        ? await axios.get('/api/admin/pending-reviews', { params: { page, limit: ITEMS_PER_PAGE }, withCredentials: true })
+        : await axios.get('/api/admin/reports', { params: { status, page, limit: ITEMS_PER_PAGE }, withCredentials: true });
+      setItems(status === 'pending' ? data.reviews : data.items);
+      setTotalPages(data.totalPages);
+    } catch (err) {
+      console.error('Failed to load the moderation queue:', err);
+      setError(err.response?.data?.message || 'Failed to load the moderation queue.');
+    } finally {
+      setLoading(false);
+    }
+  }, [status, page]);
+
+  useEffect(() => {
+    fetchQueue();
+  }, [fetchQueue]);
+
+  /**
+   * Runs a moderation action on a queue item, then reloads the queue.
+   * @async
+   * @param {string} id - The ID of the reported review or user, or of the pending review.
+   * @param {function(): Promise} action - The request to send.
+   */
+  const runAction = async (id, action) => {
+    setBusyId(id);
+    try {
+      await action();
+      await fetchQueue();
+    } catch (err) {
+      console.error('Moderation action failed:', err);
+      setError(err.response?.data?.message || 'The action failed.');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  /** Dismisses the reports of an item without touching the content. */
+  const dismiss = (item) => runAction(item.targetId, () => axios.put(`/api/admin/reports/${item.reports[0].reportId}/resolve`, {}, { withCredentials: true }));
+  /** Hides or unhides a reported review. */
+  const setHidden = (item, hidden) => runAction(item.targetId, () => axios.put(`/api/admin/reviews/${item.targetId}/hide`, { hidden }, { withCredentials: true }));
+  /** Publishes a pending review. */
+  const approve = (reviewId) => runAction(reviewId, () => axios.put(`/api/admin/reviews/${reviewId}/approve`, {}, { withCredentials: true }));
+  /** Deletes a reported or pending review after confirmation. */
+  const deleteReview = (reviewId) => {
+    if (!window.confirm('Delete this review and its comments? This cannot be undone.')) return;
+    runAction(reviewId, () => axios.delete(`/api/admin/reviews/${reviewId}`, { withCredentials: true }));
+  };
+
+  return (
+    <>
+      <div className="min-h-screen bg-[#1e1e1e] text-white p-4 pt-8 pb-20">
+        <h1 className="text-3xl font-bold mb-6 text-center">Moderation</h1>
+
+        {/* Open / resolved / pending tabs. */}
+        <div className="flex justify-center gap-2 mb-6">
+          {STATUS_TABS.map(tab => (
+            <button
+              key={tab.value}
+              onClick={() => { setStatus(tab.value); setPage(1); setItems([]); }} // Tabs list different kinds of items.
+              className={`px-4 py-2 rounded-lg text-sm font-medium transition-colors ${status === tab.value
+                ? 'bg-blue-600 text-white'
+                : 'bg-[#3a3a3a] text-gray-300 hover:bg-[#4a4a4a]'}`}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </div>
+
+        {loading ? (
+          <div className="flex justify-center py-12"><LoadingSpinner /></div>
+        ) : error ? (
+          <p className="text-red-500 text-center">{error}</p>
+        ) : items.length === 0 ? (
+          <p className="text-gray-400 text-center">{status === 'resolved' ? 'No resolved reports yet.' : 'Nothing to review. 🎉'}</p>
+        ) : status === 'pending' ? (
+          <ul className="space-y-4 max-w-3xl mx-auto">
+            {items.map(review => (
+              <li key={review._id} className="bg-[#2E2E2E] p-4 rounded-lg shadow-md">
+                {/* The held review. */}
+                <p className="text-sm text-gray-300">
+                  {review.author
+                    ? <Link to={`/user/${review.author.username}`} className="font-semibold hover:text-blue-400">@{review.author.username}</Link>
+                    : 'Deleted user'}
+                  {' on '}
+                  <Link to={`/show/${review.showId}`} className="hover:text-blue-400">
+                    show {review.showId}
+                    {review.seasonNumber != null && ` ${levelLabel(review.seasonNumber, review.episodeNumber)}`}
+                  </Link>
+                  {' · '}{review.rating}/{RATING_MAX}
+                  {' · '}{new Date(review.editedAt || review.createdAt).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' })}
+                  {review.editedAt && <span className="ml-1 italic">(edited)</span>}
+                </p>
+                <p className="text-gray-100 mt-2 mb-3 whitespace-pre-line break-words">{review.content}</p>
+
+                {/* Why content screening held it. */}
+                <ul className="space-y-1 mb-3 text-sm">
+                  {review.screeningFlags.map(flag => (
+                    <li key={flag.check} className="text-red-300">{flag.message}</li>
+                  ))}
+                </ul>
+
+                {/* Actions. */}
+                <div className="flex flex-wrap gap-2">
+                  <button
+                    onClick={() => approve(review._id)}
+                    disabled={busyId === review._id}
+                    className="bg-green-600 hover:bg-green-700 disabled:opacity-50 text-white text-sm px-3 py-1 rounded"
+                  >
+                    Approve
+                  </button>
+                  <button
+                    onClick={() => deleteReview(review._id)}
+                    disabled={busyId === review._id}
+                    className="bg-red-600 hover:bg-red-700 disabled:opacity-50 text-white text-sm px-3 py-1 rounded"
+                  >
+                    Delete review
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <ul className="space-y-4 max-w-3xl mx-auto">
+            {items.map(item => (
+              <li key={`${item.targetType}-${item.targetId}`} className="bg-[#2E2E2E] p-4 rounded-lg shadow-md">
+                {/* What was reported. */}
+                <div className="flex items-start justify-between gap-4 mb-3">
+                  <div className="min-w-0">
+                    <p className="text-xs uppercase tracking-wide text-gray-400 mb-1">
+                      Reported {item.targetType} · {item.reportCount} report{item.reportCount !== 1 ? 's' : ''}
+                    </p>
+                    {!item.target ? (
+                      <p className="text-gray-400 italic">This {item.targetType} no longer exists.</p>
+                    ) : item.targetType === 'review' ? (
+                      <>
+                        <p className="text-sm text-gray-300">
+                          {item.target.author
+                            ? <Link to={`/user/${item.target.author.username}`} className="font-semibold hover:text-blue-400">@{item.target.author.username}</Link>
+                            : 'Deleted user'}
+                          {' on '}
+                          <Link to={`/show/${item.target.showId}`} className="hover:text-blue-400">
+                            show {item.target.showId}
+                            {item.target.seasonNumber != null && ` ${levelLabel(item.target.seasonNumber, item.target.episodeNumber)}`}
+                          </Link>
+                          {' · '}{item.target.rating}/{RATING_MAX}
+                          {item.target.hidden && <span className="ml-2 text-xs bg-yellow-900 text-yellow-200 px-2 py-0.5 rounded">Hidden</span>}
+                        </p>
+                        <p className="text-gray-100 mt-2 whitespace-pre-line break-words">{item.target.content}</p>
+                      </>
+                    ) : (
+                      <Link to={`/user/${item.target.username}`} className="flex items-center gap-3 hover:text-blue-400">
+                        <img
+                          src={item.target.profilePic || '/img/profilePhotos/generic_profile_picture.jpg'}
+                          alt={`${item.target.username}'s profile`}
+                          className="w-10 h-10 rounded-full object-cover"
+                        />
+                        <span className="font-semibold">@{item.target.username}</span>
+                      </Link>
+                    )}
+                  </div>
+                </div>
+
+                {/* Why it was reported. */}
+                <ul className="space-y-1 mb-3 text-sm">
+                  {item.reports.map(report => (
+                    <li key={report.reportId} className="text-gray-300">
+                      <span className="text-red-300">{REPORT_REASON_LABELS[report.reason] || report.reason}</span>
+                      {' by '}{report.reporter ? `@${report.reporter}` : 'a deleted user'}
+                      {' · '}{new Date(report.createdAt).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' })}
+                      {report.resolution && <span className="text-gray-500"> · {report.resolution}</span>}
+                      {report.details && <p className="text-gray-400 ml-4 italic break-words">“{report.details}”</p>}
+                    </li>
+                  ))}
+                </ul>
+
+                {/* Actions. */}
+                <div className="flex flex-wrap gap-2">
+                  {status === 'open' && (
+                    <button
+                      onClick={() => dismiss(item)}
+                      disabled={busyId === item.targetId}
+                      className="bg-gray-500 hover:bg-gray-600 disabled:opacity-50 text-white text-sm px-3 py-1 rounded"
+                    >
+                      Dismiss
+                    </button>
+                  )}
+                  {item.targetType === 'review' && item.target && (
+                    <>
+                      <button
+                        onClick={() => setHidden(item, !item.target.hidden)}
+                        disabled={busyId === item.targetId}
+                        className="bg-yellow-600 hover:bg-yellow-700 disabled:opacity-50 text-white text-sm px-3 py-1 rounded"
+                      >
+                        {item.target.hidden ? 'Unhide review' : 'Hide review'}
+                      </button>
+                      <button
+                        onClick={() => deleteReview(item.targetId)}
+                        disabled={busyId === item.targetId}
+                        className="bg-red-600 hover:bg-red-700 disabled:opacity-50 text-white text-sm px-3 py-1 rounded"
+                      >
+                        Delete review
+                      </button>
+                    </>
+                  )}
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {/* Pagination. */}
+        {totalPages > 1 && (
+          <div className="flex justify-center items-center gap-4 mt-6 text-sm">
+            <button onClick={() => setPage(page - 1)} disabled={page <= 1} className="text-blue-400 disabled:text-gray-600">← Previous</button>
+            <span className="text-gray-400">Page {page} of {totalPages}</span>
+            <button onClick={() => setPage(page + 1)} disabled={page >= totalPages} className="text-blue-400 disabled:text-gray-600">Next →</button>
+          </div>
+        )}
+      </div>
+      <BottomNavbar />
+    </>
+  );
+}
@@ -2,6 +2,7 @@
  * @file FriendsListPage.jsx
  * @description A React component that displays the list of friends (connections) for a given user.
  * It fetches the friend list from an API based on the username provided in the URL parameters.
+ * On the logged-in user's own list, friends can be removed.
  */
 
 // Import React and hooks (useEffect, useState) for component logic.
@@ -14,6 +15,8 @@ import { Link, useParams, useNavigate } from 'react-router-dom';
 import BottomNavbar from '../../components/BottomNavbar';
 // Import LoadingSpinner component to display while data is being fetched.
 import LoadingSpinner from '../../components/LoadingSpinner';
+// Import `useAuth` custom hook to access the logged-in user and refresh their data after removing a friend.
+import { useAuth } from '../../context/AuthContext';
 
 /**
  * @function FriendsListPage
@@ -54,6 +57,22 @@ export default function FriendsListPage() {
    * @type {function}
    */
   const navigate = useNavigate();
+  /**
+   * `currentUser`: The currently authenticated user object from AuthContext.
+   * `refreshUser`: Function from AuthContext to refresh the current user's data.
+   * @type {{user: object, refreshUser: function}}
+   */
+  const { user: currentUser, refreshUser } = useAuth();
+  /**
+   * Whether the list being viewed belongs to the logged-in user (enables removing friends).
+   * @type {boolean}
+   */
+  const isOwnList = !!currentUser && currentUser.username === username;
+  /**
+   * State variable holding the ID of the friend currently being removed (disables their button).
+   * @type {[string | null, function(string | null): void]}
+   */
+  const [removingId, setRemovingId] = useState(null);
 
   /**
    * `useEffect` hook to fetch the friends list and the profile user's data when the component mounts
@@ -97,6 +116,28 @@ export default function FriendsListPage() {
     fetchFriends();
   }, [username, navigate]); // Dependencies: re-run effect if `username` or `navigate` changes.
 
+  /**
+   * Removes a friend after confirmation.
+   * Sends a DELETE request to `/api/friends/:friendId`, updates the list and refreshes the user context.
+   * @async
+   * @param {object} friend - The friend to remove (`_id`, `username`).
+   */
+  const handleRemove = async (friend) => {
+    if (!window.confirm(`Remove @${friend.username} from your friends?`)) return;
+    setRemovingId(friend._id);
+    try {
+      await axios.delete(`/api/friends/${friend._id}`, { withCredentials: true });
+      // Remove the friend from the local list to update the UI immediately.
+      setFriends(prev => prev.filter(f => f._id !== friend._id));
+      // Refresh the authenticated user's data so the friends count is updated elsewhere.
+      await refreshUser();
+    } catch (err) {
+      console.error('Remove friend failed:', err);
+    } finally {
+      setRemovingId(null);
+    }
+  };
+
   // If data is currently being loaded, display a loading spinner.
   if (loading) {
     return (
@@ -146,7 +187,7 @@ export default function FriendsListPage() {
               <li
                 key={friend._id} // Unique key for each friend.
                 // Styling for the list item (card-like appearance).
-                className="bg-[#2E2E2E] p-4 rounded-lg shadow-md hover:bg-[#3a3a3a] transition-colors w-full"
+                className="bg-[#2E2E2E] p-4 rounded-lg shadow-md hover:bg-[#3a3a3a] transition-colors w-full flex items-center justify-between"
               >
                 {/* Link each friend item to their respective profile page. */}
                 <Link to={`/user/${friend.username}`} className="flex items-center space-x-4 w-full">
@@ -159,6 +200,16 @@ export default function FriendsListPage() {
                   {/* Friend's username. */}
                   <span className="text-lg font-semibold hover:text-blue-300">@{friend.username}</span>
                 </Link>
+                {/* Remove button, only on the logged-in user's own list. */}
+                {isOwnList && (
+                  <button
+                    onClick={() => handleRemove(friend)}
+                    disabled={removingId === friend._id}
+                    className="ml-4 bg-red-500 hover:bg-red-600 disabled:opacity-50 text-white px-3 py-1 rounded"
+                  >
+                    {removingId === friend._id ? 'Removing…' : 'Remove'}
+                  </button>
+                )}
               </li>
             ))}
           </ul>
@@ -1,17 +1,20 @@
 /**
  * @file FriendRequestsPage.jsx
  * @description A React component that displays a list of pending friend requests for the logged-in user.
- * It allows the user to accept or decline these requests.
+ * It allows the user to accept or decline received requests, and to cancel requests they sent.
+ * Both lists update live when a request is sent, accepted, declined or cancelled elsewhere.
  */
 
 // Import React and hooks (useState, useEffect) for component logic.
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 // Import axios for making HTTP requests.
 import axios from 'axios';
 // Import Link component from react-router-dom for navigation.
 import { Link } from 'react-router-dom';
 // Import `useAuth` custom hook to access authentication context, specifically the `refreshUser` function.
 import { useAuth } from '../../context/AuthContext';
+// Import `useRealtimeEvent` to refresh the lists when friend requests change.
+import { useRealtimeEvent } from '../../hooks/useRealtimeEvent';
 // Import BottomNavbar component for consistent navigation.
 import BottomNavbar from "../../components/BottomNavbar.jsx";
 
@@ -29,6 +32,11 @@ export default function FriendRequestsPage() {
    * @type {[Array<object>, function(Array<object>): void]}
    */
   const [requests, setRequests] = useState([]);
+  /**
+   * State variable to store the array of users the logged-in user has sent friend requests to.
+   * @type {[Array<object>, function(Array<object>): void]}
+   */
+  const [sentRequests, setSentRequests] = useState([]);
   /**
    * State variable to track the loading status of the API request for friend requests.
    * @type {[boolean, function(boolean): void]}
@@ -41,33 +49,46 @@ export default function FriendRequestsPage() {
    */
   const { refreshUser } = useAuth(); // ✅ bring in refreshUser
 
+  /**
+   * Asynchronous function to fetch received and sent friend requests from the API.
+   * @async
+   */
+  const fetchRequests = useCallback(async () => {
+    try {
+      // Make GET requests to the `/api/friends/requests` and `/api/friends/requests/sent` endpoints.
+      // `withCredentials: true` ensures cookies (for session authentication) are sent.
+      const [receivedRes, sentRes] = await Promise.all([
+        axios.get('/api/friends/requests', { withCredentials: true }),
+        axios.get('/api/friends/requests/sent', { withCredentials: true })
+      ]);
+      // Update the `requests` and `sentRequests` states with the data received from the API.
+      setRequests(receivedRes.data);
+      setSentRequests(sentRes.data);
+    } catch (err) {
+      // Log any errors that occur during the fetch operation.
+      console.error('Failed to load friend requests:', err);
+      // Optionally, set an error state here to display a message to the user.
+    } finally {
+      // Set loading state to false after the API request is complete (success or failure).
+      setLoading(false);
+    }
+  }, []);
+
   /**
    * `useEffect` hook to fetch pending friend requests when the component mounts.
    */
   useEffect(() => {
-    /**
-     * Asynchronous function to fetch friend requests from the API.
-     * @async
-     */
-    const fetchRequests = async () => {
-      try {
-        // Make a GET request to the `/api/friends/requests` endpoint.
-        // `withCredentials: true` ensures cookies (for session authentication) are sent.
-        const res = await axios.get('/api/friends/requests', { withCredentials: true });
-        // Update the `requests` state with the data received from the API.
-        setRequests(res.data);
-      } catch (err) {
-        // Log any errors that occur during the fetch operation.
-        console.error('Failed to load friend requests:', err);
-        // Optionally, set an error state here to display a message to the user.
-      } finally {
-        // Set loading state to false after the API request is complete (success or failure).
-        setLoading(false);
-      }
-    };
+    fetchRequests();
+  }, [fetchRequests]); // `fetchRequests` never changes, so this runs only on mount.
 
+  /**
+   * Re-fetch both lists whenever a friend request involving the user changes
+   * (e.g., someone sends a request, or accepts/declines one the user sent).
+   */
+  useRealtimeEvent('friend_requests', () => {
     fetchRequests();
-  }, []); // Empty dependency array: run only on mount.
+    refreshUser();
+  });
 
   /**
    * Handles accepting a friend request.
@@ -94,15 +115,12 @@ export default function FriendRequestsPage() {
   /**
    * Handles declining a friend request.
    * Sends a POST request to the backend and updates the UI.
-   * (Note: The current backend route for decline might not exist or might be `/api/friends/reject/:userId`.
-   * This function assumes `/api/friends/decline/:userId`.)
    * @async
    * @param {string} userId - The ID of the user whose friend request is being declined.
    */
   const handleDecline = async (userId) => {
     try {
       // Make a POST request to the `/api/friends/decline/:userId` endpoint.
-      // Ensure this endpoint exists and handles declining requests appropriately on the backend.
       await axios.post(`/api/friends/decline/${userId}`, {}, { withCredentials: true });
       // Remove the declined request from the local `requests` state.
       setRequests(prev => prev.filter(user => user._id !== userId));
@@ -114,6 +132,26 @@ export default function FriendRequestsPage() {
     }
   };
 
+  /**
+   * Handles cancelling a friend request the logged-in user sent.
+   * Sends a POST request to the backend and updates the UI and user context on success.
+   * @async
+   * @param {string} userId - The ID of the user the friend request was sent to.
+   */
+  const handleCancel = async (userId) => {
+    try {
+      // Make a POST request to the `/api/friends/cancel/:userId` endpoint.
+      await axios.post(`/api/friends/cancel/${userId}`, {}, { withCredentials: true });
+      // Remove the cancelled request from the local `sentRequests` state.
+      setSentRequests(prev => prev.filter(user => user._id !== userId));
+      // Refresh user data so `friendRequestsSent` is up to date elsewhere (e.g., ProfileCard).
+      await refreshUser();
+    } catch (err) {
+      // Log any errors.
+      console.error('Cancel failed:', err);
+    }
+  };
+
   // Render the friend requests page.
   return (
     <>
@@ -164,6 +202,34 @@ export default function FriendRequestsPage() {
             ))}
           </ul>
         )}
+
+        {/* Requests sent by the logged-in user, which can be cancelled. */}
+        {!loading && sentRequests.length > 0 && (
+          <>
+            <h2 className="text-xl font-bold mt-8 mb-4">Sent Requests</h2>
+            <ul className="space-y-4">
+              {sentRequests.map((user) => (
+                <li key={user._id} className="flex items-center justify-between bg-[#333] p-4 rounded">
+                  {/* Link to the target user's profile. */}
+                  <Link to={`/user/${user.username}`} className="flex items-center space-x-3">
+                    <img
+                      src={user.profilePic || '/img/profilePhotos/generic_profile_picture.jpg'}
+                      alt="Profile"
+                      className="w-12 h-12 rounded-full"
+                    />
+                    <span className="text-lg font-semibold">@{user.username}</span>
+                  </Link>
+                  <button
+                    onClick={() => handleCancel(user._id)}
+                    className="bg-gray-500 hover:bg-gray-600 text-white px-3 py-1 rounded"
+                  >
+                    Cancel
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </>
+        )}
       </div>
       {/* Bottom navigation bar. */}
       <BottomNavbar />
@@ -1,43 +1,78 @@
 /**
  * @file FriendsRecentlyWatched.js
  * @description A React component that displays a horizontally scrolling carousel
- * of TV shows recently watched by the user's friends. Currently uses placeholder data.
+ * of TV shows recently watched by the user's friends, with the avatars of the friends
+ * who watched each show. Data comes from `/api/friends/recently-watched`.
  */
 
-// Import React for creating the component.
-import React from "react";
+// Import React hooks.
+import React, { useEffect, useState } from "react";
+// Import Link for client-side navigation.
+import { Link } from "react-router-dom";
 // Import the TVShowCard component to display individual show posters.
 import TVShowCard from "../../components/TVShowCard.jsx";
+// Import the FriendAvatars component to show which friends watched each show.
+import FriendAvatars from "../../components/FriendAvatars.jsx";
+// Import useAuth custom hook to access authentication context (current user).
+import { useAuth } from "../../context/AuthContext.jsx";
 
 /**
  * @function FriendsRecentlyWatched
  * @description A React functional component that renders a section showcasing
- * TV shows recently watched by friends. This component uses placeholder data
- * and is intended to be updated with real data from a database.
+ * TV shows recently watched by friends. Nothing is rendered when friends have not watched anything.
  *
- * @returns {JSX.Element} The rendered FriendsRecentlyWatched component.
+ * @param {object} props - The properties passed to the component.
+ * @param {string} [props.title="Friends Recently Watched"] - The title to display above the carousel.
+ * @param {number} [props.cardWidth=130] - The width of each TVShowCard in pixels.
+ * @returns {JSX.Element|null} The rendered FriendsRecentlyWatched component.
  */
-function FriendsRecentlyWatched() {
-  // Placeholder data for recently watched shows.
-  // TODO: Replace this with actual data fetched from a database or API.
-  // Each object should ideally include more details like show ID, title, etc.
-  const recentShows = [
-    { imageUrl: "https://via.placeholder.com/300x450" }, // Placeholder image
-    { imageUrl: "https://via.placeholder.com/300x450" },
-    { imageUrl: "https://via.placeholder.com/300x450" },
-    { imageUrl: "https://via.placeholder.com/300x450" },
-    { imageUrl: "https://via.placeholder.com/300x450" },
-    { imageUrl: "https://via.placeholder.com/300x450" },
-    { imageUrl: "https://via.placeholder.com/300x450" },
-    { imageUrl: "https://via.placeholder.com/300x450" },
-    { imageUrl: "https://via.placeholder.com/300x450" },
-    { imageUrl: "https://via.placeholder.com/300x450" },
-    { imageUrl: "https://via.placeholder.com/300x450" },
-    { imageUrl: "https://via.placeholder.com/300x450" },
-    { imageUrl: "https://via.placeholder.com/300x450" },
-    { imageUrl: "https://via.placeholder.com/300x450" },
-    { imageUrl: "https://via.placeholder.com/300x450" },
-  ];
+function FriendsRecentlyWatched({ title = "Friends Recently Watched", cardWidth = 130 }) {
+  // State to store the shows recently watched by friends.
+  const [recentShows, setRecentShows] = useState([]);
+  // State to track loading status.
+  const [isLoading, setIsLoading] = useState(true);
+  // Get the authenticated user from AuthContext.
+  const { user } = useAuth();
+
+  /**
+   * `useEffect` hook to fetch the friends' recently watched shows
+   * when the component mounts or the authenticated user changes.
+   */
+  useEffect(() => {
+    /**
+     * Asynchronous function to fetch the feed from the API.
+     * @async
+     */
+    const fetchFriendsRecentlyWatched = async () => {
+      if (!user) {
+        setRecentShows([]);
+        setIsLoading(false);
+        return;
+      }
+      try {
+        // `credentials: "include"` sends cookies (for session authentication).
+        const response = await fetch("/api/friends/recently-watched?limit=20", { credentials: "include" });
+        if (!response.ok) {
+          const errorData = await response.json().catch(() => ({}));
+          throw new Error(errorData.message || `HTTP error! status: ${response.status}`);
+        }
+        const data = await response.json();
+        setRecentShows(Array.isArray(data) ? data : []);
+      } catch (error) {
+        console.error("Error fetching friends' recently watched shows:", error);
+        setRecentShows([]); // Hide the carousel on error.
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    fetchFriendsRecentlyWatched();
+  }, [user]); // Dependency: re-run if `user` changes.
+
+  // Nothing to show while loading or when friends have not watched anything.
+  if (isLoading || recentShows.length === 0) {
+    return null;
+  }
 
   return (
     // Main section container with margin.
@@ -45,26 +80,27 @@ function FriendsRecentlyWatched() {
       {/* Header for the section, including a title and a "View All" link. */}
       <div className="flex justify-between items-center mb-4">
         {/* Section title. */}
-        <h3 className="text-xl text-white font-bold">Friends Recently Watched</h3>
-        {/* "View All" link, currently a simple anchor tag. Should ideally use <Link> from react-router-dom. */}
-        <a href="/profile/friends-recently-watched" className="text-sm font-semibold mr-4 text-white hover:underline">
+        <h3 className="text-xl text-white font-bold">{title}</h3>
+        <Link to="/view-all/friends-recently-watched" className="text-sm font-semibold mr-4 text-white hover:underline">
           View All
-        </a>
+        </Link>
       </div>
 
       {/* Horizontally scrollable container for the TV show cards.
           `overflow-x-auto` enables horizontal scrolling if content exceeds width.
-          `space-x-4` adds spacing between cards.
-          `pb-2` adds padding at the bottom (might be for scrollbar visibility or aesthetics).
-          `scroll-smooth` enables smooth scrolling behavior (browser dependent). */}
+          `space-x-4` adds spacing between cards. */}
       <div className="flex overflow-x-auto space-x-4 pb-2 scroll-smooth">
-        {/* Map over the `recentShows` array to render a TVShowCard for each show. */}
-        {recentShows.map((show, index) => (
+        {/* Map over the `recentShows` array to render a TVShowCard with friend avatars for each show. */}
+        {recentShows.map((show) => (
           // `flex-shrink-0` prevents cards from shrinking if the container is too small.
-          <div key={index} className="flex-shrink-0">
-            {/* TVShowCard component, passing the image URL.
-                Ideally, other props like title, cardWidth, etc., would also be passed. */}
-            <TVShowCard imageUrl={show.imageUrl} />
+          <div key={show.showId} className="flex-shrink-0" style={{ width: cardWidth }}>
+            <Link to={`/show/${show.showId}`}>
+              <TVShowCard imageUrl={show.posterUrl} title={show.showName} cardWidth={cardWidth} />
+            </Link>
+            {/* Avatars of the friends who watched this show. */}
+            <div className="mt-2">
+              <FriendAvatars friends={show.friends} />
+            </div>
           </div>
         ))}
       </div>
@@ -73,4 +109,4 @@ function FriendsRecentlyWatched() {
 }
 
 // Export the FriendsRecentlyWatched component as the default export of this module.
-export default FriendsRecentlyWatched;
\ No newline at end of file
+export default FriendsRecentlyWatched;
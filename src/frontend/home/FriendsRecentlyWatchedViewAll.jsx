@@ -0,0 +1,218 @@
+/**
+ * @file FriendsRecentlyWatchedViewAll.jsx
+ * @description A React component that displays a grid of all TV shows recently watched
+ * by the authenticated user's friends, with the friends who watched each show.
+ * It supports pagination ("Load More") and handles loading/error states.
+ */
+
+// Import React hooks.
+import React, { useEffect, useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom'; // For navigation.
+import TVShowCard from '../../components/TVShowCard'; // Component to display individual show cards.
+import FriendAvatars from '../../components/FriendAvatars'; // Avatars of the friends who watched a show.
+import { motion } from 'framer-motion'; // For animations.
+import { useAuth } from '../../context/AuthContext'; // Custom hook to access authentication context.
+
+// Constants for pagination and card styling.
+const ITEMS_PER_PAGE = 12; // Number of items to display per page/load.
+const CARD_WIDTH = 130;    // Width of each TVShowCard in pixels.
+const MAX_SHOWS = 100;     // Maximum number of shows requested from the API.
+
+/**
+ * Formats how long ago a show was watched (e.g. "3h ago").
+ * @param {string} date - ISO date string.
+ * @returns {string} A short relative time.
+ */
+const timeAgo = (date) => {
+  const minutes = Math.floor((Date.now() - new Date(date).getTime()) / 60000);
+  if (minutes < 60) return `${Math.max(minutes, 1)}m ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h ago`;
+  return `${Math.floor(hours / 24)}d ago`;
+};
+
+/**
+ * @function FriendsRecentlyWatchedViewAll
+ * @description A React functional component that renders a page displaying all shows
+ * recently watched by the user's friends. It fetches data, paginates results, and handles various UI states.
+ *
+ * @returns {JSX.Element} The rendered FriendsRecentlyWatchedViewAll component.
+ */
+export default function FriendsRecentlyWatchedViewAll() {
+  // State to store the array of shows recently watched by friends.
+  const [shows, setShows] = useState([]);
+  // State to track loading status.
+  const [isLoading, setIsLoading] = useState(true);
+  // State to manage the current page number for pagination.
+  const [page, setPage] = useState(1);
+  // State to store any error messages during data fetching.
+  const [error, setError] = useState(null);
+  // Hook for programmatic navigation.
+  const navigate = useNavigate();
+  // Get the authenticated user and auth loading state from AuthContext.
+  const { user: authUser, loading: authLoading } = useAuth();
+
+  /**
+   * `useEffect` hook to fetch the friends' recently watched shows when the component mounts
+   * or when `authUser` (authenticated user) changes.
+   */
+  useEffect(() => {
+    /**
+     * Asynchronous function to fetch the feed from the API.
+     * @async
+     */
+    const fetchFriendsRecentlyWatched = async () => {
+      // If no authenticated user, set loading to false and clear shows.
+      if (!authUser) {
+        setIsLoading(authLoading);
+        setShows([]);
+        return;
+      }
+
+      setIsLoading(true); // Set loading state.
+      setError(null);     // Clear previous errors.
+      try {
+        // `credentials: "include"` sends cookies for session authentication.
+        const response = await fetch(`/api/friends/recently-watched?limit=${MAX_SHOWS}`, {
+          credentials: "include"
+        });
+
+        // If the response is not OK, attempt to parse error and throw.
+        if (!response.ok) {
+          const errorData = await response.json().catch(() => ({ message: `HTTP error! status: ${response.status}` })); // Fallback if JSON parsing fails.
+          throw new Error(errorData.error || errorData.message || `HTTP error! status: ${response.status}`);
+        }
+
+        const data = await response.json();
+        setShows(Array.isArray(data) ? data : []);
+      } catch (err) {
+        console.error("Error fetching friends' recently watched shows for view all page:", err);
+        setError(err.message || "Failed to load your friends' recently watched shows."); // Set error message.
+        setShows([]); // Clear shows on error.
+      } finally {
+        setIsLoading(false); // Set loading to false.
+      }
+    };
+
+    fetchFriendsRecentlyWatched();
+  }, [authUser, authLoading]); // Dependencies: re-run if the authenticated user changes.
+
+  // Slice the `shows` array to get only the items for the current page(s).
+  const displayedShows = shows.slice(0, page * ITEMS_PER_PAGE);
+
+  // Back button shared by every state of the page.
+  const backButton = (
+    <button
+      onClick={() => navigate(-1)} // Navigate to the previous page.
+      className="mb-6 px-4 py-2 rounded-lg bg-gray-700 text-white hover:bg-gray-600 transition"
+    >
+      ← Back
+    </button>
+  );
+
+  // If loading, display skeleton cards.
+  if (isLoading) {
+    return (
+      <div className="px-6 py-8 bg-[#1e1e1e] min-h-screen text-white">
+        {backButton}
+        <h1 className="text-4xl font-semibold mb-8">Friends Recently Watched</h1>
+        {/* Grid for skeleton cards. */}
+        <div className="flex flex-wrap gap-4">
+          {Array.from({ length: ITEMS_PER_PAGE }).map((_, index) => (
+            <div
+              key={`skeleton-${index}`}
+              className="bg-gray-700 rounded-lg animate-pulse" // Pulse animation for loading.
+              style={{ width: `${CARD_WIDTH}px`, height: `${CARD_WIDTH * 1.5}px` }} // Set dimensions.
+            />
+          ))}
+        </div>
+      </div>
+    );
+  }
+
+  // If user is not authenticated, display a login prompt.
+  if (!authUser) {
+    return (
+      <div className="px-6 py-8 bg-[#1e1e1e] min-h-screen text-white text-center">
+        <h1 className="text-4xl font-semibold mb-8">Friends Recently Watched</h1>
+        <p className="text-lg">Please <Link to="/login" className="text-blue-400 hover:underline">log in</Link> to see what your friends are watching.</p>
+      </div>
+    );
+  }
+
+  // If an error occurred during data fetching, display the error message.
+  if (error) {
+    return (
+      <div className="px-6 py-8 bg-[#1e1e1e] min-h-screen text-white text-center">
+        {backButton}
+        <h1 className="text-4xl font-semibold mb-8">Error</h1>
+        <p className="text-red-400">{error}</p>
+      </div>
+    );
+  }
+
+  // If friends have not watched anything yet.
+  if (!shows.length) {
+    return (
+      <div className="px-6 py-8 bg-[#1e1e1e] min-h-screen text-white">
+        {backButton}
+        <h1 className="text-4xl font-semibold mb-8">Friends Recently Watched</h1>
+        <p>Your friends haven't watched anything yet. <Link to="/social" className="text-blue-400 hover:underline">Find more friends</Link>.</p>
+      </div>
+    );
+  }
+
+  // Main render for when shows are available.
+  return (
+    // Animated page container.
+    <motion.div
+      className="px-6 py-8 bg-[#1e1e1e] min-h-screen text-white"
+      initial={{ opacity: 0, y: 20 }} // Initial animation state.
+      animate={{ opacity: 1, y: 0 }}   // Animate to visible state.
+      transition={{ duration: 0.5 }}   // Animation duration.
+    >
+      {backButton}
+
+      <h1 className="text-4xl font-semibold mb-8">Friends Recently Watched</h1>
+
+      {/* Grid container for displaying show cards. */}
+      <div className="flex flex-wrap gap-4">
+        {/* Map over `displayedShows` to render TVShowCard components with animation. */}
+        {displayedShows.map((show, index) => (
+          <motion.div
+            key={show.showId}
+            className="flex-shrink-0" // Prevent cards from shrinking.
+            style={{ width: `${CARD_WIDTH}px` }} // Set fixed width.
+            // Framer Motion animation properties for staggered appearance.
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ delay: (index % ITEMS_PER_PAGE) * 0.03, duration: 0.3 }} // Staggered delay.
+            whileHover={{ scale: 1.05, y: -2, transition: { duration: 0.2 } }} // Hover animation.
+          >
+            {/* Link each card to its show detail page. */}
+            <Link to={`/show/${show.showId}`}>
+              <TVShowCard imageUrl={show.posterUrl} title={show.showName} cardWidth={CARD_WIDTH} />
+            </Link>
+            {/* Friends who watched the show and when the latest one did. */}
+            <div className="mt-2 flex items-center justify-between gap-1">
+              <FriendAvatars friends={show.friends} />
+              <span className="text-xs text-gray-400 whitespace-nowrap">{timeAgo(show.lastWatchedAt)}</span>
+            </div>
+          </motion.div>
+        ))}
+      </div>
+
+      {/* "Load More" button, shown if there are more shows to display than currently visible. */}
+      {displayedShows.length < shows.length && (
+        <div className="mt-10 flex justify-center">
+          <button
+            onClick={() => setPage(page + 1)} // Increment page number to load more items.
+            className="px-6 py-3 rounded-lg bg-gradient-to-r from-blue-600 to-indigo-600 text-white font-medium shadow-md hover:shadow-lg transition hover:scale-105"
+          >
+            Load More
+          </button>
+        </div>
+      )}
+    </motion.div>
+  );
+}
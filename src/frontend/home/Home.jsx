@@ -1,7 +1,7 @@
 /**
  * @file Home.js
  * @description The main home page component for authenticated users.
- * It displays various carousels of TV shows (trending, popular, top-rated, etc.) and popular reviews.
+ * It displays various carousels of TV shows (trending, up next, popular, top-rated, etc.) and popular reviews.
  * It also handles redirection for unauthenticated users.
  */
 
@@ -21,6 +21,12 @@ import TrendingCarousel from './TrendingCarousel.jsx';
 import ShowCarousel from '../../components/ShowCarousel.jsx';
 // Import `PopularReviewsFiltered` component for displaying popular reviews.
 import PopularReviewsFiltered from './PopularReviewsFiltered.jsx';
+// Import `UpNextCarousel` component for displaying the next episode of each show the user is watching.
+import UpNextCarousel from './UpNextCarousel.jsx';
+// Import `FriendsRecentlyWatched` component for displaying shows the user's friends watched recently.
+import FriendsRecentlyWatched from './FriendsRecentlyWatched.jsx';
+// Import `RecommendedByFriends` component for displaying shows friends recommended to the user.
+import RecommendedByFriends from './RecommendedByFriends.jsx';
 
 /**
  * @constant {object} fadeInUp
@@ -91,6 +97,12 @@ function Home() {
       >
         {/* TrendingCarousel component, configured to show top-rated TV shows. */}
         <TrendingCarousel tmdbEndpoint="tv/top_rated" />
+        {/* UpNextCarousel with the next episode of every show the user is watching. */}
+        <UpNextCarousel />
+        {/* FriendsRecentlyWatched with the shows the user's friends watched recently. */}
+        <FriendsRecentlyWatched />
+        {/* RecommendedByFriends with the pending show recommendations from the user's friends. */}
+        <RecommendedByFriends />
         {/* ShowCarousel for "Trending Today" TV shows. */}
         <ShowCarousel title="Trending Today" tmdbEndpoint="trending/tv/day" />
         {/* ShowCarousel for "Airing Today TV Shows". */}
@@ -1,7 +1,8 @@
 /**
  * @file PopularReviewsFiltered.jsx
  * @description A React component that displays a horizontally scrolling carousel of popular TV show reviews.
- * Users can filter reviews to show/hide spoilers and to see reviews only from friends.
+ * Users can filter reviews to see only those from friends, pick their spoiler protection
+ * (spoilers they haven't reached are blurred until revealed) and open a review's comment thread below the carousel.
  */
 
 // Import React hooks and utilities.
@@ -10,6 +11,10 @@ import React, { useState, useEffect, useCallback } from "react";
 import axios from "axios";
 // Import ReviewCard component for displaying individual reviews.
 import ReviewCard from "../../components/ReviewCard";
+// Import ReviewComments component for the comment thread of the selected review.
+import ReviewComments from "../../components/ReviewComments";
+// Import SpoilerProtectionSelect for the user's spoiler protection setting.
+import SpoilerProtectionSelect from "../../components/SpoilerProtectionSelect";
 // Import useAuth custom hook to access authentication context (user data).
 import { useAuth } from "../../context/AuthContext";
 // Import motion from framer-motion for animations.
@@ -18,7 +23,7 @@ import { motion } from "framer-motion";
 /**
  * @function PopularReviewsFiltered
  * @description A React functional component that fetches and displays popular reviews.
- * It allows filtering by friends and spoiler content.
+ * It allows filtering by friends; spoilers are blurred following the user's spoiler protection.
  *
  * @returns {JSX.Element} The rendered PopularReviewsFiltered component.
  */
@@ -31,12 +36,12 @@ function PopularReviewsFiltered() {
   const [loading, setLoading] = useState(true);
   // State to store any error messages during data fetching.
   const [error, setError] = useState(null);
-  // State to control whether reviews containing spoilers are shown.
-  const [showSpoilers, setShowSpoilers] = useState(false);
   // State to control whether to filter reviews by the user's friends.
   const [filterByFriends, setFilterByFriends] = useState(false);
   // State to store the list of the current user's friends' IDs.
   const [friendsList, setFriendsList] = useState([]);
+  // State to store the ID of the review whose comment thread is open, or null.
+  const [openThreadReviewId, setOpenThreadReviewId] = useState(null);
   // Default profile picture URL for users without one.
   const defaultProfilePic = "/img/profilePhotos/generic_profile_picture.jpg";
 
@@ -91,13 +96,6 @@ function PopularReviewsFiltered() {
   }, [filterByFriends, user, fetchMostLikedReviews, fetchFriendsList]); // Dependencies.
 
 
-  /**
-   * Toggles the `showSpoilers` state.
-   */
-  const toggleSpoilers = () => {
-    setShowSpoilers(!showSpoilers);
-  };
-
   /**
    * Toggles the `filterByFriends` state.
    */
@@ -105,18 +103,16 @@ function PopularReviewsFiltered() {
     setFilterByFriends(!filterByFriends);
   };
 
-  // Filter the reviews based on `showSpoilers` and `filterByFriends` states.
+  // Filter the reviews based on the `filterByFriends` state.
+  // Spoilers aren't filtered out: the API flags the ones the user hasn't reached and the cards blur them.
   const filteredReviews = reviews.filter(review => {
-    // Spoiler condition: show review if `showSpoilers` is true OR review does not contain spoilers.
-    const spoilerCondition = showSpoilers || !review.containsSpoiler;
     // If filtering by friends and user is logged in:
     if (filterByFriends && user) {
       // Check if the review's author is in the user's friends list.
       // Handles cases where review.userId might be an ObjectId object or a string.
-      const isFriendReview = friendsList.includes(review.userId?.toString()) || friendsList.includes(review.userId);
-      return spoilerCondition && isFriendReview; // Apply both conditions.
+      return friendsList.includes(review.userId?.toString()) || friendsList.includes(review.userId);
     }
-    return spoilerCondition; // Otherwise, only apply spoiler condition.
+    return true;
   });
 
   /**
@@ -139,6 +135,20 @@ function PopularReviewsFiltered() {
     }
   };
 
+  /**
+   * Updates a review's comment count after comments are posted or deleted in its thread.
+   * @param {string} reviewId - The ID of the review.
+   * @param {number} delta - The change in the number of comments.
+   */
+  const handleCommentCountChange = (reviewId, delta) => {
+    setReviews(prev => prev.map(review =>
+      review._id === reviewId ? { ...review, commentCount: Math.max((review.commentCount || 0) + delta, 0) } : review
+    ));
+  };
+
+  // The review whose comment thread is open, if it is still shown.
+  const openThreadReview = filteredReviews.find(review => review._id === openThreadReviewId);
+
   /**
    * Formats a review object received from the API into the props structure expected by `ReviewCard`.
    * @param {object} review - The raw review object from the API.
@@ -194,24 +204,8 @@ function PopularReviewsFiltered() {
               <div className="absolute inset-0 bg-gradient-to-r from-blue-400/20 to-blue-600/20 animate-pulse" />
             )}
           </button>
-          {/* Button to toggle showing/hiding spoilers. */}
-          <button
-            onClick={toggleSpoilers}
-            // Dynamic classes for styling based on `showSpoilers` state.
-            className={`group relative overflow-hidden px-4 py-2 rounded-xl text-sm font-semibold transition-all duration-300 transform hover:scale-105 shadow-lg ${showSpoilers
-                ? 'bg-gradient-to-r from-amber-600 to-orange-600 text-white shadow-amber-500/25' // Active style
-                : 'bg-gradient-to-r from-gray-700 to-gray-800 text-gray-200 hover:from-gray-600 hover:to-gray-700 shadow-gray-900/25' // Inactive style
-              }`}
-          >
-            <div className="flex items-center space-x-2">
-              <span className="text-base">⚠️</span> {/* Spoiler icon */}
-              <span>{showSpoilers ? 'Hide Spoilers' : 'Show Spoilers'}</span>
-            </div>
-            {/* Pulsing background effect when filter is active. */}
-            {showSpoilers && (
-              <div className="absolute inset-0 bg-gradient-to-r from-amber-400/20 to-orange-400/20 animate-pulse" />
-            )}
-          </button>
+          {/* Spoiler protection; spoilers are blurred by the API, so reload the reviews once it changes. */}
+          <SpoilerProtectionSelect onChange={fetchMostLikedReviews} />
         </div>
       </div>
 
@@ -237,8 +231,7 @@ function PopularReviewsFiltered() {
           <div className="text-lg font-medium mb-2">No Reviews Found</div>
           <div className="text-sm">
             {/* Dynamically adjust message based on active filters. */}
-            {filterByFriends && 'No reviews from friends found. '}
-            {showSpoilers ? (filterByFriends ? '' : 'No reviews available at the moment.') : (filterByFriends ? '' : 'No spoiler-free reviews available.')}
+            {filterByFriends ? 'No reviews from friends found.' : 'No reviews available at the moment.'}
           </div>
         </div>
       ) : (
@@ -268,6 +261,9 @@ function PopularReviewsFiltered() {
                     {...formatReviewForCard(review)} // Spread formatted review props.
                     currentUserId={user?._id} // Pass current user's ID for voting logic.
                     onVote={handleVote} // Pass vote handler function.
+                    commentsOpen={openThreadReviewId === review._id}
+                    // Toggle this review's comment thread below the carousel.
+                    onCommentsClick={() => setOpenThreadReviewId(openThreadReviewId === review._id ? null : review._id)}
                   />
                 </motion.div>
               ))}
@@ -277,6 +273,31 @@ function PopularReviewsFiltered() {
           <div className="absolute top-0 right-0 h-full w-8 bg-gradient-to-l from-gray-900 to-transparent pointer-events-none" />
         </div>
       )}
+
+      {/* Comment thread of the selected review, shown under the carousel. */}
+      {openThreadReview && (
+        <motion.div
+          key={openThreadReview._id}
+          initial={{ opacity: 0, y: -10 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="mx-2 mt-2 bg-[#2a2a2a] rounded-lg p-4"
+        >
+          <div className="flex justify-between items-center mb-4">
+            <h4 className="text-white font-semibold text-sm">
+              Comments on @{openThreadReview.username}'s review{openThreadReview.showName ? ` of ${openThreadReview.showName}` : ""}
+            </h4>
+            <button onClick={() => setOpenThreadReviewId(null)} className="text-xs text-gray-400 hover:text-white">
+              Close
+            </button>
+          </div>
+          <ReviewComments
+            reviewId={openThreadReview._id}
+            currentUserId={user?._id}
+            reviewAuthorId={openThreadReview.userId}
+            onCountChange={(delta) => handleCommentCountChange(openThreadReview._id, delta)}
+          />
+        </motion.div>
+      )}
     </section>
   );
 }
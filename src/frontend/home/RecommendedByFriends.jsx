@@ -1,43 +1,109 @@
 /**
  * @file RecommendedByFriends.jsx
  * @description A React component that displays a horizontally scrolling carousel
- * of TV shows recommended by the user's friends. Currently uses placeholder data.
+ * of TV shows recommended to the user by their friends, with the avatars of the friends
+ * who recommended each show. Recommendations can be added to the watchlist, accepted or dismissed.
  */
 
-// Import React for creating the component.
-import React from "react";
+// Import React hooks.
+import React, { useCallback, useEffect, useState } from "react";
+// Import Link for client-side navigation.
+import { Link } from "react-router-dom";
+// Import axios for making HTTP requests.
+import axios from "axios";
+// Import icons from lucide-react.
+import { Check, Plus, X } from "lucide-react";
 // Import the TVShowCard component to display individual show posters.
 import TVShowCard from "../../components/TVShowCard.jsx";
+// Import the FriendAvatars component to show who recommended each show.
+import FriendAvatars from "../../components/FriendAvatars.jsx";
+// Import useAuth custom hook to access authentication context (current user).
+import { useAuth } from "../../context/AuthContext.jsx";
+
+/**
+ * @constant {Array<{status: string, label: string, icon: JSX.Element, className: string}>} ACTIONS
+ * @description The responses a user can give to a recommendation, in display order.
+ */
+const ACTIONS = [
+  { status: "added_to_watchlist", label: "Add to watchlist", icon: <Plus size={14} />, className: "bg-blue-600 hover:bg-blue-700" },
+  { status: "accepted", label: "Accept", icon: <Check size={14} />, className: "bg-emerald-600 hover:bg-emerald-500" },
+  { status: "dismissed", label: "Dismiss", icon: <X size={14} />, className: "bg-gray-700 hover:bg-gray-600" },
+];
 
 /**
  * @function RecommendedByFriends
  * @description A React functional component that renders a section showcasing
- * TV shows recommended by friends. This component uses placeholder data
- * and is intended to be updated with real data from a database or API.
+ * the pending TV show recommendations the user received from friends.
+ * Nothing is rendered when there are no pending recommendations.
  *
- * @returns {JSX.Element} The rendered RecommendedByFriends component.
+ * @param {object} props - The properties passed to the component.
+ * @param {string} [props.title="Recommended By Friends"] - The title to display above the carousel.
+ * @param {number} [props.cardWidth=130] - The width of each TVShowCard in pixels.
+ * @returns {JSX.Element|null} The rendered RecommendedByFriends component.
  */
-function RecommendedByFriends() {
-  // Placeholder data for recommended shows.
-  // TODO: Replace this with actual data fetched from a database or API.
-  // Each object should ideally include more details like show ID, title, who recommended it, etc.
-  const recentShows = [ // Variable name `recentShows` might be a misnomer if these are recommendations.
-    { imageUrl: "https://via.placeholder.com/300x450" }, // Placeholder image
-    { imageUrl: "https://via.placeholder.com/300x450" },
-    { imageUrl: "https://via.placeholder.com/300x450" },
-    { imageUrl: "https://via.placeholder.com/300x450" },
-    { imageUrl: "https://via.placeholder.com/300x450" },
-    { imageUrl: "https://via.placeholder.com/300x450" },
-    { imageUrl: "https://via.placeholder.com/300x450" },
-    { imageUrl: "https://via.placeholder.com/300x450" },
-    { imageUrl: "https://via.placeholder.com/300x450" },
-    { imageUrl: "https://via.placeholder.com/300x450" },
-    { imageUrl: "https://via.placeholder.com/300x450" },
-    { imageUrl: "https://via.placeholder.com/300x450" },
-    { imageUrl: "https://via.placeholder.com/300x450" },
-    { imageUrl: "https://via.placeholder.com/300x450" },
-    { imageUrl: "https://via.placeholder.com/300x450" },
-  ];
+function RecommendedByFriends({ title = "Recommended By Friends", cardWidth = 130 }) {
+  // State to store the pending recommendations, grouped by show.
+  const [recommendedShows, setRecommendedShows] = useState([]);
+  // State to track loading status.
+  const [isLoading, setIsLoading] = useState(true);
+  // State holding the show ID currently being responded to (disables its buttons).
+  const [respondingShowId, setRespondingShowId] = useState(null);
+  // Get the authenticated user from AuthContext.
+  const { user } = useAuth();
+
+  /**
+   * Fetches the pending recommendations from the backend.
+   * @async
+   */
+  const fetchRecommendations = useCallback(async () => {
+    if (!user) {
+      setRecommendedShows([]);
+      setIsLoading(false);
+      return;
+    }
+    try {
+      const res = await axios.get("/api/recommendations", {
+        params: { status: "pending", limit: 20 },
+        withCredentials: true,
+      });
+      setRecommendedShows(Array.isArray(res.data) ? res.data : []);
+    } catch (error) {
+      console.error("Error fetching recommendations:", error);
+      setRecommendedShows([]); // Hide the carousel on error.
+    } finally {
+      setIsLoading(false);
+    }
+  }, [user]);
+
+  /**
+   * `useEffect` hook to fetch the recommendations when the component mounts or the user changes.
+   */
+  useEffect(() => {
+    fetchRecommendations();
+  }, [fetchRecommendations]);
+
+  /**
+   * Responds to the pending recommendations of a show and removes it from the carousel.
+   * @async
+   * @param {string} showId - The TMDB ID of the recommended show.
+   * @param {string} status - 'added_to_watchlist', 'accepted' or 'dismissed'.
+   */
+  const handleRespond = async (showId, status) => {
+    setRespondingShowId(showId);
+    try {
+      await axios.put(`/api/recommendations/show/${showId}`, { status }, { withCredentials: true });
+      setRecommendedShows((prev) => prev.filter((show) => show.showId !== showId));
+    } catch (error) {
+      console.error("Error responding to recommendation:", error);
+    } finally {
+      setRespondingShowId(null);
+    }
+  };
+
+  // Nothing to show while loading or when there are no pending recommendations.
+  if (isLoading || recommendedShows.length === 0) {
+    return null;
+  }
 
   return (
     // Main section container with margin.
@@ -45,26 +111,46 @@ function RecommendedByFriends() {
       {/* Header for the section, including a title and a "View All" link. */}
       <div className="flex justify-between items-center mb-4">
         {/* Section title. */}
-        <h3 className="text-xl text-white font-bold">Recommended By Friends</h3>
-        {/* "View All" link, currently a simple anchor tag. Should ideally use <Link> from react-router-dom. */}
-        <a href="/profile/recommended-by-friends" className="text-sm font-semibold mr-4 text-white hover:underline">
+        <h3 className="text-xl text-white font-bold">{title}</h3>
+        <Link to="/view-all/recommended-by-friends" className="text-sm font-semibold mr-4 text-white hover:underline">
           View All
-        </a>
+        </Link>
       </div>
 
       {/* Horizontally scrollable container for the TV show cards.
           `overflow-x-auto` enables horizontal scrolling if content exceeds width.
-          `space-x-4` adds spacing between cards.
-          `scroll-smooth` enables smooth scrolling behavior (browser dependent).
-          Note: `pb-2` was present in a similar component but removed here; can be added if needed for scrollbar aesthetics. */}
-      <div className="flex overflow-x-auto space-x-4 scroll-smooth">
-        {/* Map over the `recentShows` (placeholder for recommended shows) array to render a TVShowCard for each. */}
-        {recentShows.map((show, index) => (
+          `space-x-4` adds spacing between cards. */}
+      <div className="flex overflow-x-auto space-x-4 pb-2 scroll-smooth">
+        {recommendedShows.map((show) => (
           // `flex-shrink-0` prevents cards from shrinking if the container is too small.
-          <div key={index} className="flex-shrink-0">
-            {/* TVShowCard component, passing the image URL.
-                Ideally, other props like title, cardWidth, etc., would also be passed. */}
-            <TVShowCard imageUrl={show.imageUrl} />
+          <div key={show.showId} className="flex-shrink-0" style={{ width: cardWidth }}>
+            <Link to={`/show/${show.showId}`}>
+              <TVShowCard
+                imageUrl={show.posterPath ? `https://image.tmdb.org/t/p/w300${show.posterPath}` : undefined}
+                title={show.showName}
+                cardWidth={cardWidth}
+              />
+            </Link>
+            {/* Friends who recommended the show. */}
+            <div className="mt-2">
+              <FriendAvatars friends={show.recommendations.map((rec) => rec.from)} />
+            </div>
+            {/* Quick responses. */}
+            <div className="mt-2 flex gap-1">
+              {ACTIONS.map(({ status, label, icon, className }) => (
+                <button
+                  key={status}
+                  type="button"
+                  title={label}
+                  aria-label={label}
+                  onClick={() => handleRespond(show.showId, status)}
+                  disabled={respondingShowId === show.showId}
+                  className={`flex-1 flex items-center justify-center py-1 rounded-md text-white disabled:opacity-50 transition-colors ${className}`}
+                >
+                  {icon}
+                </button>
+              ))}
+            </div>
           </div>
         ))}
       </div>
@@ -73,4 +159,4 @@ function RecommendedByFriends() {
 }
 
 // Export the RecommendedByFriends component as the default export of this module.
-export default RecommendedByFriends;
\ No newline at end of file
+export default RecommendedByFriends;
@@ -0,0 +1,254 @@
+/**
+ * @file RecommendedByFriendsViewAll.jsx
+ * @description A React component that lists every pending show recommendation the authenticated user
+ * received from friends, with who sent it and their notes. Each show can be added to the watchlist,
+ * accepted or dismissed. It supports pagination ("Load More") and handles loading/error states.
+ */
+
+// Import React hooks.
+import React, { useEffect, useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom'; // For navigation.
+import axios from 'axios'; // For making HTTP requests.
+import { motion } from 'framer-motion'; // For animations.
+import TVShowCard from '../../components/TVShowCard'; // Component to display individual show cards.
+import { useAuth } from '../../context/AuthContext'; // Custom hook to access authentication context.
+
+// Constants for pagination and card styling.
+const ITEMS_PER_PAGE = 10; // Number of shows to display per page/load.
+const CARD_WIDTH = 110;    // Width of each TVShowCard in pixels.
+const MAX_SHOWS = 100;     // Maximum number of shows requested from the API.
+
+/**
+ * @function RecommendedByFriendsViewAll
+ * @description A React functional component that renders a page listing all pending recommendations.
+ *
+ * @returns {JSX.Element} The rendered RecommendedByFriendsViewAll component.
+ */
+export default function RecommendedByFriendsViewAll() {
+  // State to store the pending recommendations, grouped by show.
+  const [shows, setShows] = useState([]);
+  // State to track loading status.
+  const [isLoading, setIsLoading] = useState(true);
+  // State to manage the current page number for pagination.
+  const [page, setPage] = useState(1);
+  // State to store any error messages during data fetching.
+  const [error, setError] = useState(null);
+  // State holding the show ID currently being responded to (disables its buttons).
+  const [respondingShowId, setRespondingShowId] = useState(null);
+  // Hook for programmatic navigation.
+  const navigate = useNavigate();
+  // Get the authenticated user and auth loading state from AuthContext.
+  const { user: authUser, loading: authLoading } = useAuth();
+
+  /**
+   * `useEffect` hook to fetch the pending recommendations when the component mounts
+   * or when `authUser` (authenticated user) changes.
+   */
+  useEffect(() => {
+    /**
+     * Asynchronous function to fetch the recommendations from the API.
+     * @async
+     */
+    const fetchRecommendations = async () => {
+      // If no authenticated user, clear the list.
+      if (!authUser) {
+        setIsLoading(authLoading);
+        setShows([]);
+        return;
+      }
+
+      setIsLoading(true); // Set loading state.
+      setError(null);     // Clear previous errors.
+      try {
+        const res = await axios.get('/api/recommendations', {
+          params: { status: 'pending', limit: MAX_SHOWS },
+          withCredentials: true,
+        });
+        setShows(Array.isArray(res.data) ? res.data : []);
+      } catch (err) {
+        console.error('Error fetching recommendations for view all page:', err);
+        setError(err.response?.data?.error || 'Failed to load your recommendations.'); // Set error message.
+        setShows([]); // Clear shows on error.
+      } finally {
+        setIsLoading(false); // Set loading to false.
+      }
+    };
+
+    fetchRecommendations();
+  }, [authUser, authLoading]); // Dependencies: re-run if the authenticated user changes.
+
+  /**
+   * Responds to the pending recommendations of a show and removes it from the list.
+   * @async
+   * @param {string} showId - The TMDB ID of the recommended show.
+   * @param {string} status - 'added_to_watchlist', 'accepted' or 'dismissed'.
+   */
+  const handleRespond = async (showId, status) => {
+    setRespondingShowId(showId);
+    try {
+      await axios.put(`/api/recommendations/show/${showId}`, { status }, { withCredentials: true });
+      setShows((prev) => prev.filter((show) => show.showId !== showId));
+    } catch (err) {
+      console.error('Error responding to recommendation:', err);
+      alert('Failed to update recommendation');
+    } finally {
+      setRespondingShowId(null);
+    }
+  };
+
+  // Slice the `shows` array to get only the items for the current page(s).
+  const displayedShows = shows.slice(0, page * ITEMS_PER_PAGE);
+
+  // Back button shared by every state of the page.
+  const backButton = (
+    <button
+      onClick={() => navigate(-1)} // Navigate to the previous page.
+      className="mb-6 px-4 py-2 rounded-lg bg-gray-700 text-white hover:bg-gray-600 transition"
+    >
+      ← Back
+    </button>
+  );
+
+  // If loading, display skeleton rows.
+  if (isLoading) {
+    return (
+      <div className="px-6 py-8 bg-[#1e1e1e] min-h-screen text-white">
+        {backButton}
+        <h1 className="text-4xl font-semibold mb-8">Recommended By Friends</h1>
+        <div className="space-y-4">
+          {Array.from({ length: 4 }).map((_, index) => (
+            <div key={`skeleton-${index}`} className="h-40 bg-gray-700 rounded-xl animate-pulse" />
+          ))}
+        </div>
+      </div>
+    );
+  }
+
+  // If user is not authenticated, display a login prompt.
+  if (!authUser) {
+    return (
+      <div className="px-6 py-8 bg-[#1e1e1e] min-h-screen text-white text-center">
+        <h1 className="text-4xl font-semibold mb-8">Recommended By Friends</h1>
+        <p className="text-lg">Please <Link to="/login" className="text-blue-400 hover:underline">log in</Link> to see your recommendations.</p>
+      </div>
+    );
+  }
+
+  // If an error occurred during data fetching, display the error message.
+  if (error) {
+    return (
+      <div className="px-6 py-8 bg-[#1e1e1e] min-h-screen text-white text-center">
+        {backButton}
+        <h1 className="text-4xl font-semibold mb-8">Error</h1>
+        <p className="text-red-400">{error}</p>
+      </div>
+    );
+  }
+
+  // Main render.
+  return (
+    // Animated page container.
+    <motion.div
+      className="px-6 py-8 bg-[#1e1e1e] min-h-screen text-white"
+      initial={{ opacity: 0, y: 20 }} // Initial animation state.
+      animate={{ opacity: 1, y: 0 }}   // Animate to visible state.
+      transition={{ duration: 0.5 }}   // Animation duration.
+    >
+      {backButton}
+
+      <h1 className="text-4xl font-semibold mb-8">Recommended By Friends</h1>
+
+      {/* Empty state. */}
+      {shows.length === 0 && (
+        <p className="text-gray-400">No pending recommendations. When a friend recommends a show, it will show up here.</p>
+      )}
+
+      {/* One row per recommended show. */}
+      <div className="space-y-4">
+        {displayedShows.map((show, index) => (
+          <motion.div
+            key={show.showId}
+            className="flex gap-4 bg-[#2a2a2a] rounded-xl p-4"
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ delay: (index % ITEMS_PER_PAGE) * 0.03, duration: 0.3 }} // Staggered delay.
+          >
+            {/* Poster linking to the show detail page. */}
+            <Link to={`/show/${show.showId}`} className="flex-shrink-0">
+              <TVShowCard
+                imageUrl={show.posterPath ? `https://image.tmdb.org/t/p/w300${show.posterPath}` : undefined}
+                title={show.showName}
+                cardWidth={CARD_WIDTH}
+              />
+            </Link>
+
+            <div className="flex-1 min-w-0">
+              <Link to={`/show/${show.showId}`} className="text-lg font-semibold hover:underline">
+                {show.showName}
+              </Link>
+
+              {/* Who recommended it, with their notes. */}
+              <ul className="mt-2 space-y-2">
+                {show.recommendations.map((rec) => (
+                  <li key={rec._id} className="flex items-start gap-2">
+                    <Link to={`/user/${rec.from.username}`} className="flex-shrink-0">
+                      <img
+                        src={rec.from.profilePic || '/img/profilePhotos/generic_profile_picture.jpg'}
+                        alt={rec.from.username}
+                        className="w-7 h-7 rounded-full object-cover"
+                      />
+                    </Link>
+                    <div className="text-sm">
+                      <Link to={`/user/${rec.from.username}`} className="font-semibold hover:underline">
+                        {rec.from.username}
+                      </Link>
+                      <span className="text-gray-500"> · {new Date(rec.createdAt).toLocaleDateString()}</span>
+                      {rec.note && <p className="text-gray-300 break-words">“{rec.note}”</p>}
+                    </div>
+                  </li>
+                ))}
+              </ul>
+
+              {/* Responses. */}
+              <div className="mt-3 flex flex-wrap gap-2">
+                <button
+                  onClick={() => handleRespond(show.showId, 'added_to_watchlist')}
+                  disabled={respondingShowId === show.showId}
+                  className="px-3 py-1.5 rounded-lg bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-sm font-semibold transition"
+                >
+                  + Add to Watchlist
+                </button>
+                <button
+                  onClick={() => handleRespond(show.showId, 'accepted')}
+                  disabled={respondingShowId === show.showId}
+                  className="px-3 py-1.5 rounded-lg bg-emerald-600 hover:bg-emerald-500 disabled:opacity-50 text-sm font-semibold transition"
+                >
+                  Accept
+                </button>
+                <button
+                  onClick={() => handleRespond(show.showId, 'dismissed')}
+                  disabled={respondingShowId === show.showId}
+                  className="px-3 py-1.5 rounded-lg bg-gray-700 hover:bg-gray-600 disabled:opacity-50 text-sm font-semibold transition"
+                >
+                  Dismiss
+                </button>
+              </div>
+            </div>
+          </motion.div>
+        ))}
+      </div>
+
+      {/* "Load More" button, shown if there are more shows to display than currently visible. */}
+      {displayedShows.length < shows.length && (
+        <div className="mt-10 flex justify-center">
+          <button
+            onClick={() => setPage(page + 1)} // Increment page number to load more items.
+            className="px-6 py-3 rounded-lg bg-gradient-to-r from-blue-600 to-indigo-600 text-white font-medium shadow-md hover:shadow-lg transition hover:scale-105"
+          >
+            Load More
+          </button>
+        </div>
+      )}
+    </motion.div>
+  );
+}
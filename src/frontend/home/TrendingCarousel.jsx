@@ -33,30 +33,22 @@ export default function TrendingCarousel({
   const [currentSlide, setCurrentSlide] = useState(0);
   // State to store the array of trending show data fetched from TMDB.
   const [trendingShows, setTrendingShows] = useState([]);
-  // TMDB API key retrieved from environment variables.
-  const API_KEY = import.meta.env.VITE_TMDB_API_KEY;
 
   /**
    * `useEffect` hook to fetch trending shows when the component mounts or when
-   * `API_KEY`, `tmdbEndpoint`, or `slideLimit` props change.
+   * `tmdbEndpoint` or `slideLimit` props change.
    */
   useEffect(() => {
     /**
-     * Asynchronous function to fetch trending shows from TMDB.
+     * Asynchronous function to fetch trending shows from TMDB through the backend proxy.
      * It fetches a list of shows and then details for each show to get season/episode counts.
      * @async
      */
     const fetchTrendingShows = async () => {
-      // If API_KEY is missing, log an error and do not proceed.
-      if (!API_KEY) {
-        console.error("TMDB API Key is missing.");
-        return;
-      }
-
       try {
         // Fetch the list of shows from the specified TMDB endpoint.
         const res = await axios.get(
-          `https://api.themoviedb.org/3/${tmdbEndpoint}?api_key=${API_KEY}&language=en-US&page=1`
+          `/api/tmdb/${tmdbEndpoint}?language=en-US&page=1`
         );
 
         // Limit the results to the specified `slideLimit`.
@@ -71,7 +63,7 @@ export default function TrendingCarousel({
             try {
               // Fetch details for the specific show ID and media type.
               const details = await axios.get(
-                `https://api.themoviedb.org/3/${mediaType}/${show.id}?api_key=${API_KEY}&language=en-US`
+                `/api/tmdb/${mediaType}/${show.id}?language=en-US`
               );
               // Return a structured object with relevant details.
               return {
@@ -103,7 +95,7 @@ export default function TrendingCarousel({
     };
 
     fetchTrendingShows();
-  }, [API_KEY, tmdbEndpoint, slideLimit]); // Dependencies for the effect
+  }, [tmdbEndpoint, slideLimit]); // Dependencies for the effect
 
   /**
    * Advances the carousel to the next slide.
@@ -0,0 +1,204 @@
+/**
+ * @file UpNextCarousel.jsx
+ * @description A React component that displays the authenticated user's "Up Next" queue:
+ * a horizontally scrolling row with the next unwatched episode of every show in progress.
+ * Episodes can be marked as watched in one click, and shows whose next episode
+ * has not aired yet are flagged as "waiting".
+ */
+
+// Import React hooks.
+import React, { useCallback, useEffect, useState } from "react";
+// Import Link for client-side navigation.
+import { Link } from "react-router-dom";
+// Import motion from framer-motion for animations.
+import { motion } from "framer-motion";
+// Import icons from lucide-react.
+import { Check, Clock } from "lucide-react";
+// Import useAuth custom hook to access authentication context (current user).
+import { useAuth } from "../../context/AuthContext.jsx";
+
+/**
+ * @constant {string} IMAGE_BASE_URL
+ * @description Base URL for TMDB poster images.
+ */
+const IMAGE_BASE_URL = "https://image.tmdb.org/t/p/w300";
+
+/**
+ * Formats a TMDB `YYYY-MM-DD` air date for display (e.g. "Mar 4").
+ * @param {string|null} airDate - The air date string from TMDB.
+ * @returns {string} The formatted date, or "TBA" if there is no date.
+ */
+const formatAirDate = (airDate) => {
+  if (!airDate) return "TBA"; // TMDB has not announced a date yet
+  const date = new Date(`${airDate}T00:00:00`); // Parse as local date to avoid timezone shifts
+  return date.toLocaleDateString(undefined, { month: "short", day: "numeric" });
+};
+
+/**
+ * @function UpNextCarousel
+ * @description A React functional component that renders the user's "Up Next" queue.
+ * It fetches `/api/up-next` and renders one card per show with the next episode to watch.
+ * Each watchable card has a "Mark Watched" button that records the episode through
+ * `/api/users/mark-watched` and then refreshes the queue.
+ * Nothing is rendered if the user has no shows in progress.
+ *
+ * @param {object} props - The properties passed to the component.
+ * @param {string} [props.title="Up Next"] - The title to display above the carousel.
+ * @param {number} [props.cardWidth=130] - The width of each card in pixels.
+ * @returns {JSX.Element|null} The rendered UpNextCarousel component.
+ */
+function UpNextCarousel({ title = "Up Next", cardWidth = 130 }) {
+  // State to store the up next queue.
+  const [queue, setQueue] = useState([]);
+  // State to track loading status.
+  const [isLoading, setIsLoading] = useState(true);
+  // State holding the show ID currently being marked as watched (disables its button).
+  const [markingShowId, setMarkingShowId] = useState(null);
+  // Get the authenticated user from AuthContext.
+  const { user } = useAuth();
+
+  /**
+   * Fetches the up next queue from the backend.
+   * Wrapped in `useCallback` so it can be reused after marking an episode as watched.
+   * @async
+   */
+  const fetchUpNext = useCallback(async () => {
+    // No queue without an authenticated user.
+    if (!user) {
+      setQueue([]);
+      setIsLoading(false);
+      return;
+    }
+    try {
+      // `credentials: "include"` sends cookies (for session authentication).
+      const response = await fetch("/api/up-next", { credentials: "include" });
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
+      }
+      const data = await response.json();
+      setQueue(Array.isArray(data) ? data : []);
+    } catch (error) {
+      console.error("Error fetching up next queue:", error);
+      setQueue([]); // Hide the carousel on error.
+    } finally {
+      setIsLoading(false);
+    }
+  }, [user]);
+
+  /**
+   * `useEffect` hook to fetch the queue when the component mounts or the user changes.
+   */
+  useEffect(() => {
+    fetchUpNext();
+  }, [fetchUpNext]);
+
+  /**
+   * Marks the next episode of a show as watched, then refreshes the queue
+   * so the card advances to the following episode.
+   * @async
+   * @param {object} item - An entry of the up next queue.
+   */
+  const handleMarkWatched = async (item) => {
+    setMarkingShowId(item.showId);
+    try {
+      const response = await fetch("/api/users/mark-watched", {
+        method: "POST",
+        credentials: "include",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          showId: item.showId,
+          showName: item.showName,
+          posterPath: item.posterPath || "",
+          seasonNumber: item.nextEpisode.seasonNumber,
+          episodes: [{
+            id: item.nextEpisode.id,
+            number: item.nextEpisode.episodeNumber,
+            name: item.nextEpisode.name,
+          }],
+        }),
+      });
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.message || `HTTP error! status: ${response.status}`);
+      }
+      await fetchUpNext(); // Advance the queue.
+    } catch (error) {
+      console.error("Error marking episode as watched:", error);
+    } finally {
+      setMarkingShowId(null);
+    }
+  };
+
+  // Nothing to show while loading or when the user has no shows in progress.
+  if (isLoading || queue.length === 0) {
+    return null;
+  }
+
+  return (
+    // Main section container with margin.
+    <section className="ml-3 mt-4">
+      {/* Header for the section. */}
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-xl text-white font-bold">{title}</h3>
+      </div>
+
+      {/* Horizontally scrollable container for the up next cards. */}
+      <div className="flex overflow-x-auto space-x-4 pb-2 scroll-smooth">
+        {queue.map((item) => (
+          <motion.div
+            key={item.showId}
+            className="flex-shrink-0"
+            style={{ width: cardWidth }}
+            whileHover={{ scale: 1.03 }}
+            transition={{ duration: 0.2 }}
+          >
+            {/* Poster linking to the show detail page. */}
+            <Link to={`/show/${item.showId}`} className="block relative rounded-lg overflow-hidden">
+              <img
+                src={item.posterPath ? `${IMAGE_BASE_URL}${item.posterPath}` : "/fallback-image.jpg"}
+                alt={item.showName}
+                className={`w-full object-cover rounded-lg ${item.waiting ? "opacity-60" : ""}`}
+              />
+              {/* "Waiting" badge for shows whose next episode has not aired yet. */}
+              {item.waiting && (
+                <span className="absolute top-2 left-2 flex items-center gap-1 bg-black/80 text-amber-300 text-xs font-semibold px-2 py-0.5 rounded-full">
+                  <Clock size={12} /> Waiting
+                </span>
+              )}
+            </Link>
+
+            {/* Show and episode details. */}
+            <p className="mt-2 text-sm text-white font-semibold truncate" title={item.showName}>
+              {item.showName}
+            </p>
+            <p className="text-xs text-gray-400 truncate" title={item.nextEpisode.name}>
+              S{item.nextEpisode.seasonNumber} E{item.nextEpisode.episodeNumber}
+              {item.nextEpisode.name ? ` · ${item.nextEpisode.name}` : ""}
+            </p>
+
+            {/* One-click mark watched, or the air date for waiting shows. */}
+            {item.waiting ? (
+              <p className="mt-2 text-xs text-amber-300">
+                Airs {formatAirDate(item.nextEpisode.airDate)}
+              </p>
+            ) : (
+              <button
+                type="button"
+                onClick={() => handleMarkWatched(item)}
+                disabled={markingShowId === item.showId}
+                className="mt-2 w-full flex items-center justify-center gap-1 bg-emerald-600 hover:bg-emerald-500 disabled:opacity-50 text-white text-xs font-semibold py-1.5 rounded-md transition-colors"
+              >
+                <Check size={14} />
+                {markingShowId === item.showId ? "Saving..." : "Mark Watched"}
+              </button>
+            )}
+          </motion.div>
+        ))}
+      </div>
+    </section>
+  );
+}
+
+// Export the UpNextCarousel component as the default export of this module.
+export default UpNextCarousel;
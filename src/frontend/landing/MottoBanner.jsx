@@ -31,8 +31,6 @@ function MottoBanner() {
   const [isHovered, setIsHovered] = useState(false);
   // State to store data about the trending TV show used for the banner background and link.
   const [trendingShow, setTrendingShow] = useState(null);
-  // TMDB API key retrieved from environment variables.
-  const API_KEY = import.meta.env.VITE_TMDB_API_KEY;
 
   // Array of messages to cycle through for the call-to-action button text.
   const messages = [
@@ -68,19 +66,18 @@ function MottoBanner() {
   }, [isHovered]); // Dependency: re-run effect if `isHovered` state changes.
 
   /**
-   * `useEffect` hook to fetch data for a trending TV show when the component mounts
-   * or when the `API_KEY` changes.
+   * `useEffect` hook to fetch data for a trending TV show when the component mounts.
    */
   useEffect(() => {
     /**
-     * Asynchronous function to fetch the top trending TV show of the week from TMDB.
+     * Asynchronous function to fetch the top trending TV show of the week from TMDB (via the backend proxy).
      * @async
      */
     const fetchTrendingShow = async () => {
       try {
         // Fetch weekly trending TV shows.
         const res = await axios.get(
-          `https://api.themoviedb.org/3/trending/tv/week?api_key=${API_KEY}&language=en-US`
+          `/api/tmdb/trending/tv/week?language=en-US`
         );
 
         // Get the first show from the results (assumed to be the top trending).
@@ -88,7 +85,7 @@ function MottoBanner() {
 
         // Fetch detailed information for this top show to get its overview.
         const details = await axios.get(
-          `https://api.themoviedb.org/3/tv/${topShow.id}?api_key=${API_KEY}&language=en-US`
+          `/api/tmdb/tv/${topShow.id}?language=en-US`
         );
 
         // Update the `trendingShow` state with relevant data.
@@ -105,7 +102,7 @@ function MottoBanner() {
     };
 
     fetchTrendingShow();
-  }, [API_KEY]); // Dependency: re-run effect if `API_KEY` changes.
+  }, []); // Empty dependency array: runs only on mount.
 
   // Determine the banner image URL: use the fetched trending show's backdrop or a fallback.
   const bannerImage = trendingShow?.backdrop_path
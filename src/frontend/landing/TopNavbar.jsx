@@ -34,6 +34,8 @@ import {
 } from "@heroicons/react/20/solid";
 // Import the application logo image.
 import logo from "../../assets/BingeBoard Icon.svg";
+// Import the notification bell, shown when the visitor is logged in.
+import NotificationBell from "../../components/NotificationBell";
 
 /**
  * @function TopNavbar
@@ -141,7 +143,9 @@ export default function TopNavbar() {
           </a>
         </div>
         {/* Mobile menu button (hamburger icon), visible only on small screens (`lg:hidden`). */}
-        <div className="flex lg:hidden">
+        <div className="flex items-center gap-x-4 lg:hidden">
+          {/* Notification bell (renders nothing for logged-out visitors). */}
+          <NotificationBell />
           <button
             type="button"
             onClick={() => setMobileMenuOpen(true)} // Opens the mobile menu dialog.
@@ -233,8 +237,9 @@ export default function TopNavbar() {
             About Us
           </a>
         </PopoverGroup>
-        {/* Right section of the desktop navbar: Log In link. */}
-        <div className="hidden lg:flex lg:flex-1 lg:justify-end"> {/* `lg:flex-1` allows it to take space, `lg:justify-end` aligns content to the right. */}
+        {/* Right section of the desktop navbar: notification bell and Log In link. */}
+        <div className="hidden lg:flex lg:flex-1 lg:items-center lg:justify-end lg:gap-x-6"> {/* `lg:flex-1` allows it to take space, `lg:justify-end` aligns content to the right. */}
+          <NotificationBell />
           <a
             href="/login" // Link to login page.
             className="text-sm/6 font-semibold text-[#ffffff] hover:text-blue-400 transition"
@@ -0,0 +1,105 @@
+/**
+ * @file ListDetailsForm.jsx
+ * @description A React component with the title, description and visibility fields of a show list,
+ * used to create a list and to edit one.
+ */
+
+// Import React hooks for state.
+import { useState } from 'react';
+// Import the shared list rules.
+import {
+  LIST_VISIBILITIES, LIST_VISIBILITY_LABELS, DEFAULT_LIST_VISIBILITY, LIST_TITLE_MAX_LENGTH, LIST_DESCRIPTION_MAX_LENGTH
+} from '../../shared/showLists';
+
+/**
+ * @function ListDetailsForm
+ * @description A React functional component that renders the list details form.
+ *
+ * @param {object} props - The properties passed to the component.
+ * @param {object} [props.initialList] - The list being edited (`title`, `description`, `visibility`); omitted for a new list.
+ * @param {function(object): Promise} props.onSubmit - Called with `{ title, description, visibility }`.
+ *                                                     May throw an error message, shown under the form.
+ * @param {function} props.onCancel - Called when the form is closed.
+ * @param {string} [props.submitLabel="Save"] - The text of the submit button.
+ * @returns {JSX.Element} The rendered ListDetailsForm component.
+ */
+export default function ListDetailsForm({ initialList, onSubmit, onCancel, submitLabel = 'Save' }) {
+  // The form fields.
+  const [title, setTitle] = useState(initialList?.title || '');
+  const [description, setDescription] = useState(initialList?.description || '');
+  const [visibility, setVisibility] = useState(initialList?.visibility || DEFAULT_LIST_VISIBILITY);
+  // Whether the form is being submitted, and the error message of the last attempt.
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  /**
+   * Submits the form.
+   * @async
+   * @param {React.FormEvent<HTMLFormElement>} e - The form submission event.
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    try {
+      await onSubmit({ title: title.trim(), description: description.trim(), visibility });
+    } catch (err) {
+      setError(typeof err === 'string' ? err : 'Failed to save the list.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-[#2a2a2a] rounded-xl p-4 shadow-lg space-y-3">
+      <input
+        type="text"
+        value={title}
+        onChange={(e) => setTitle(e.target.value)}
+        maxLength={LIST_TITLE_MAX_LENGTH}
+        required
+        placeholder='List title (e.g., "Comfort rewatches")'
+        aria-label="List title"
+        className="w-full bg-[#3a3a3a] text-gray-200 rounded-lg p-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+      />
+      <textarea
+        value={description}
+        onChange={(e) => setDescription(e.target.value)}
+        maxLength={LIST_DESCRIPTION_MAX_LENGTH}
+        rows={2}
+        placeholder="Description (optional)"
+        aria-label="List description"
+        className="w-full bg-[#3a3a3a] text-gray-200 rounded-lg p-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+      />
+      <label className="flex items-center gap-2 text-sm text-gray-300">
+        Who can see it
+        <select
+          value={visibility}
+          onChange={(e) => setVisibility(e.target.value)}
+          className="bg-[#3a3a3a] text-gray-200 rounded-lg px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          {LIST_VISIBILITIES.map(value => (
+            <option key={value} value={value}>{LIST_VISIBILITY_LABELS[value]}</option>
+          ))}
+        </select>
+      </label>
+      {error && <p className="text-sm text-red-400">{error}</p>}
+      <div className="flex gap-2">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="flex-1 py-2 bg-[#3a3a3a] text-gray-300 rounded-lg hover:bg-[#4a4a4a] transition-colors"
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={submitting || !title.trim()}
+          className="flex-1 py-2 bg-blue-600 hover:bg-blue-700 text-white font-medium rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {submitting ? 'Saving...' : submitLabel}
+        </button>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,357 @@
+/**
+ * @file ListPage.jsx
+ * @description A React component for the shareable page of a show list (`/user/:username/lists/:slug`).
+ * Anyone who can see the list gets its shows in order, with the owner's notes. The owner can also edit the list,
+ * reorder its shows, change their notes, remove shows and delete the list.
+ */
+
+// Import React hooks for state and side effects.
+import { useState, useEffect } from 'react';
+// Import axios for making HTTP requests.
+import axios from 'axios';
+// Import Link for the show and profile links, and hooks for the route parameters and navigation.
+import { Link, useParams, useNavigate } from 'react-router-dom';
+// Import the icons of the page.
+import { ArrowUp, ArrowDown, Trash2, Pencil, Link as LinkIcon, Globe, Users, Lock } from 'lucide-react';
+// Import BottomNavbar component for consistent navigation across pages.
+import BottomNavbar from '../../components/BottomNavbar';
+// Import LoadingSpinner component to display while the list is being fetched.
+import LoadingSpinner from '../../components/LoadingSpinner';
+// Import the list details form for editing the list.
+import ListDetailsForm from './ListDetailsForm';
+// Import the shared list rules.
+import { LIST_VISIBILITY_LABELS, LIST_NOTE_MAX_LENGTH } from '../../shared/showLists';
+
+/**
+ * Icon of each list visibility.
+ * @type {Object<string, React.ComponentType>}
+ */
+const VISIBILITY_ICONS = { public: Globe, friends: Users, private: Lock };
+
+/**
+ * @function ListPage
+ * @description A React functional component for a list page.
+ *
+ * @returns {JSX.Element} The rendered ListPage component.
+ */
+export default function ListPage() {
+  // The owner's username and the list slug from the URL.
+  const { username, slug } = useParams();
+  // `useNavigate` hook for the back button and after renaming or deleting the list.
+  const navigate = useNavigate();
+  // The list, whether it belongs to the viewer, and the loading and error state.
+  const [list, setList] = useState(null);
+  const [isOwner, setIsOwner] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  // Whether the list details form is open.
+  const [editing, setEditing] = useState(false);
+  // The show whose note is being edited, and the note text.
+  const [editingNoteId, setEditingNoteId] = useState(null);
+  const [noteText, setNoteText] = useState('');
+  // Whether the link was just copied.
+  const [copied, setCopied] = useState(false);
+
+  // Fetch the list in the URL.
+  useEffect(() => {
+    const fetchList = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const { data } = await axios.get(
+          `/api/lists/users/${encodeURIComponent(username)}/${encodeURIComponent(slug)}`,
+          { withCredentials: true }
+        );
+        setList(data.list);
+        setIsOwner(data.isOwner);
+      } catch (err) {
+        console.error('Failed to load list:', err);
+        setError(err.response?.status === 404 ? 'This list does not exist or is not shared with you.' : 'Failed to load the list.');
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchList();
+  }, [username, slug]);
+
+  /**
+   * Saves the title, description and visibility of the list. A new title changes the slug, so the page moves to the new URL.
+   * @async
+   * @param {object} fields - `{ title, description, visibility }` from the form.
+   * @throws {string} An error message, shown by the form.
+   */
+  const saveDetails = async (fields) => {
+    try {
+      const { data } = await axios.patch(`/api/lists/${list._id}`, fields, { withCredentials: true });
+      setList(prev => ({ ...prev, ...data.list }));
+      setEditing(false);
+      if (data.list.slug !== slug) navigate(`/user/${username}/lists/${data.list.slug}`, { replace: true });
+    } catch (err) {
+      throw err.response?.data?.message || 'Failed to save the list.';
+    }
+  };
+
+  /**
+   * Deletes the list after confirmation and goes back to the user's lists.
+   * @async
+   */
+  const deleteList = async () => {
+    if (!window.confirm(`Delete the list "${list.title}"? This cannot be undone.`)) return;
+    try {
+      await axios.delete(`/api/lists/${list._id}`, { withCredentials: true });
+      navigate(`/user/${username}/lists`, { replace: true });
+    } catch (err) {
+      console.error('Failed to delete list:', err);
+      alert(err.response?.data?.message || 'Failed to delete the list.');
+    }
+  };
+
+  /**
+   * Moves a show one place up or down. The new order is shown at once and reverted if it can't be saved.
+   * @async
+   * @param {number} index - The show's position.
+   * @param {number} direction - -1 to move it up, 1 to move it down.
+   */
+  const moveItem = async (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= list.items.length) return;
+    const previousItems = list.items;
+    const items = [...previousItems];
+    [items[index], items[target]] = [items[target], items[index]];
+    setList(prev => ({ ...prev, items }));
+    try {
+      await axios.put(`/api/lists/${list._id}/order`, { showIds: items.map(item => item.showId) }, { withCredentials: true });
+    } catch (err) {
+      console.error('Failed to reorder list:', err);
+      setList(prev => ({ ...prev, items: previousItems }));
+      alert(err.response?.data?.message || 'Failed to reorder the list.');
+    }
+  };
+
+  /**
+   * Removes a show from the list.
+   * @async
+   * @param {string} showId - The show.
+   */
+  const removeItem = async (showId) => {
+    try {
+      await axios.delete(`/api/lists/${list._id}/items/${showId}`, { withCredentials: true });
+      setList(prev => {
+        const items = prev.items.filter(item => item.showId !== showId);
+        return { ...prev, items, itemCount: items.length };
+      });
+    } catch (err) {
+      console.error('Failed to remove show from list:', err);
+      alert(err.response?.data?.message || 'Failed to remove the show.');
+    }
+  };
+
+  /**
+   * Opens the note editor of a show.
+   * @param {object} item - The list item.
+   */
+  const startEditingNote = (item) => {
+    setEditingNoteId(item.showId);
+    setNoteText(item.note || '');
+  };
+
+  /**
+   * Saves the note being edited.
+   * @async
+   */
+  const saveNote = async () => {
+    try {
+      const { data } = await axios.patch(
+        `/api/lists/${list._id}/items/${editingNoteId}`,
+        { note: noteText },
+        { withCredentials: true }
+      );
+      setList(prev => ({
+        ...prev,
+        items: prev.items.map(item => item.showId === editingNoteId ? { ...item, note: data.item.note } : item)
+      }));
+      setEditingNoteId(null);
+    } catch (err) {
+      console.error('Failed to save note:', err);
+      alert(err.response?.data?.message || 'Failed to save the note.');
+    }
+  };
+
+  /**
+   * Copies the link of the page.
+   * @async
+   */
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      console.error('Failed to copy link:', err);
+    }
+  };
+
+  if (loading) {
+    return (
+      <>
+        <div className="min-h-screen bg-[#1e1e1e] flex items-center justify-center">
+          <LoadingSpinner />
+        </div>
+        <BottomNavbar />
+      </>
+    );
+  }
+
+  const VisibilityIcon = list ? VISIBILITY_ICONS[list.visibility] : null;
+
+  return (
+    <>
+      <div className="min-h-screen bg-[#1e1e1e] text-white p-4 pt-8 pb-20">
+        <div className="max-w-3xl mx-auto">
+          <button onClick={() => navigate(-1)} className="mb-4 text-blue-400 hover:text-blue-300">
+            ← Back
+          </button>
+
+          {error ? (
+            <p className="text-red-500 text-center">{error}</p>
+          ) : (
+            <>
+              {/* List header, or the details form while editing. */}
+              {editing ? (
+                <div className="mb-6">
+                  <ListDetailsForm initialList={list} onSubmit={saveDetails} onCancel={() => setEditing(false)} />
+                </div>
+              ) : (
+                <div className="mb-6">
+                  <h1 className="text-3xl font-bold break-words">{list.title}</h1>
+                  <p className="text-sm text-gray-400 mt-1 flex flex-wrap items-center gap-2">
+                    <span>
+                      by <Link to={`/user/${list.owner.username}`} className="text-blue-400 hover:underline">@{list.owner.username}</Link>
+                    </span>
+                    <span>· {list.itemCount} show{list.itemCount !== 1 ? 's' : ''}</span>
+                    {VisibilityIcon && (
+                      <span className="flex items-center gap-1">· <VisibilityIcon className="w-3 h-3" />{LIST_VISIBILITY_LABELS[list.visibility]}</span>
+                    )}
+                  </p>
+                  {list.description && <p className="text-gray-300 mt-3 whitespace-pre-line">{list.description}</p>}
+                  <div className="flex flex-wrap gap-2 mt-4">
+                    {list.visibility !== 'private' && (
+                      <button
+                        onClick={copyLink}
+                        className="flex items-center gap-1 px-3 py-1 bg-[#2E2E2E] text-gray-300 rounded-lg hover:bg-[#3a3a3a] transition-colors text-sm"
+                      >
+                        <LinkIcon className="w-4 h-4" /> {copied ? 'Link copied!' : 'Copy link'}
+                      </button>
+                    )}
+                    {isOwner && (
+                      <>
+                        <button
+                          onClick={() => setEditing(true)}
+                          className="flex items-center gap-1 px-3 py-1 bg-[#2E2E2E] text-gray-300 rounded-lg hover:bg-[#3a3a3a] transition-colors text-sm"
+                        >
+                          <Pencil className="w-4 h-4" /> Edit
+                        </button>
+                        <button
+                          onClick={deleteList}
+                          className="flex items-center gap-1 px-3 py-1 bg-[#2E2E2E] text-red-400 rounded-lg hover:bg-[#3a3a3a] transition-colors text-sm"
+                        >
+                          <Trash2 className="w-4 h-4" /> Delete list
+                        </button>
+                      </>
+                    )}
+                  </div>
+                </div>
+              )}
+
+              {list.items.length === 0 ? (
+                <p className="text-gray-400 text-center">
+                  {isOwner ? 'This list is empty. Add shows with "Add to list…" on any show page.' : 'This list is empty.'}
+                </p>
+              ) : (
+                <ol className="space-y-3">
+                  {list.items.map((item, index) => (
+                    <li key={item.showId} className="flex gap-4 bg-[#2E2E2E] p-3 rounded-lg shadow-md">
+                      <span className="text-gray-500 font-semibold w-6 text-right shrink-0">{index + 1}</span>
+                      <Link to={`/show/${item.showId}`} className="shrink-0">
+                        {item.show?.poster_path ? (
+                          <img
+                            src={`https://image.tmdb.org/t/p/w92${item.show.poster_path}`}
+                            alt={item.show.name}
+                            className="w-14 h-20 object-cover rounded"
+                          />
+                        ) : <div className="w-14 h-20 rounded bg-[#3a3a3a]" />}
+                      </Link>
+                      <div className="flex-1 min-w-0">
+                        <Link to={`/show/${item.showId}`} className="font-semibold hover:underline">
+                          {item.show?.name || `Show #${item.showId}`}
+                        </Link>
+                        {item.show?.first_air_date && (
+                          <span className="text-sm text-gray-400 ml-2">({item.show.first_air_date.slice(0, 4)})</span>
+                        )}
+                        {editingNoteId === item.showId ? (
+                          <div className="mt-2">
+                            <textarea
+                              value={noteText}
+                              onChange={(e) => setNoteText(e.target.value)}
+                              maxLength={LIST_NOTE_MAX_LENGTH}
+                              rows={2}
+                              placeholder="Why is it on this list?"
+                              aria-label="Note"
+                              className="w-full bg-[#3a3a3a] text-gray-200 rounded-lg p-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                            />
+                            <div className="flex gap-2 mt-1 text-sm">
+                              <button onClick={saveNote} className="text-blue-400 hover:text-blue-300">Save</button>
+                              <button onClick={() => setEditingNoteId(null)} className="text-gray-400 hover:text-gray-300">Cancel</button>
+                            </div>
+                          </div>
+                        ) : (
+                          <>
+                            {item.note && <p className="text-sm text-gray-300 mt-1 whitespace-pre-line">{item.note}</p>}
+                            {isOwner && (
+                              <button onClick={() => startEditingNote(item)} className="text-xs text-gray-400 hover:text-gray-300 mt-1">
+                                {item.note ? 'Edit note' : 'Add note'}
+                              </button>
+                            )}
+                          </>
+                        )}
+                      </div>
+                      {/* Owner controls: reorder and remove. */}
+                      {isOwner && (
+                        <div className="flex flex-col items-center gap-1 shrink-0">
+                          <button
+                            onClick={() => moveItem(index, -1)}
+                            disabled={index === 0}
+                            aria-label="Move up"
+                            className="p-1 text-gray-400 hover:text-white disabled:opacity-30"
+                          >
+                            <ArrowUp className="w-4 h-4" />
+                          </button>
+                          <button
+                            onClick={() => moveItem(index, 1)}
+                            disabled={index === list.items.length - 1}
+                            aria-label="Move down"
+                            className="p-1 text-gray-400 hover:text-white disabled:opacity-30"
+                          >
+                            <ArrowDown className="w-4 h-4" />
+                          </button>
+                          <button
+                            onClick={() => removeItem(item.showId)}
+                            aria-label="Remove from list"
+                            className="p-1 text-gray-400 hover:text-red-400"
+                          >
+                            <Trash2 className="w-4 h-4" />
+                          </button>
+                        </div>
+                      )}
+                    </li>
+                  ))}
+                </ol>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+      <BottomNavbar />
+    </>
+  );
+}
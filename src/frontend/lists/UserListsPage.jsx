@@ -0,0 +1,169 @@
+/**
+ * @file UserListsPage.jsx
+ * @description A React component that shows a user's show lists (the ones the viewer can see), with a preview of
+ * each list's first posters. On their own page, users can create new lists.
+ */
+
+// Import React hooks for state and side effects.
+import { useState, useEffect } from 'react';
+// Import axios for making HTTP requests.
+import axios from 'axios';
+// Import Link for the list links, and hooks for the route parameters and navigation.
+import { Link, useParams, useNavigate } from 'react-router-dom';
+// Import the icons of the visibility badges.
+import { Globe, Users, Lock } from 'lucide-react';
+// Import BottomNavbar component for consistent navigation across pages.
+import BottomNavbar from '../../components/BottomNavbar';
+// Import LoadingSpinner component to display while the lists are being fetched.
+import LoadingSpinner from '../../components/LoadingSpinner';
+// Import the list details form for new lists.
+import ListDetailsForm from './ListDetailsForm';
+// Import the visibility labels.
+import { LIST_VISIBILITY_LABELS } from '../../shared/showLists';
+
+/**
+ * Icon of each list visibility.
+ * @type {Object<string, React.ComponentType>}
+ */
+const VISIBILITY_ICONS = { public: Globe, friends: Users, private: Lock };
+
+/**
+ * @function UserListsPage
+ * @description A React functional component for the `/user/:username/lists` page.
+ *
+ * @returns {JSX.Element} The rendered UserListsPage component.
+ */
+export default function UserListsPage() {
+  // The owner's username from the URL.
+  const { username } = useParams();
+  // `useNavigate` hook for the back button and to open new lists.
+  const navigate = useNavigate();
+  // The lists, whether they belong to the viewer, and the loading and error state.
+  const [lists, setLists] = useState([]);
+  const [isOwner, setIsOwner] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  // Whether the new list form is open.
+  const [creating, setCreating] = useState(false);
+
+  // Fetch the lists of the user in the URL.
+  useEffect(() => {
+    const fetchLists = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const { data } = await axios.get(`/api/lists/users/${encodeURIComponent(username)}`, { withCredentials: true });
+        setLists(data.lists);
+        setIsOwner(data.isOwner);
+      } catch (err) {
+        console.error('Failed to load lists:', err);
+        setError(err.response?.status === 404 ? 'User not found.' : 'Failed to load lists.');
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchLists();
+  }, [username]);
+
+  /**
+   * Creates a list and opens it.
+   * @async
+   * @param {object} fields - `{ title, description, visibility }` from the form.
+   * @throws {string} An error message, shown by the form.
+   */
+  const createList = async (fields) => {
+    try {
+      const { data } = await axios.post('/api/lists', fields, { withCredentials: true });
+      navigate(`/user/${username}/lists/${data.list.slug}`);
+    } catch (err) {
+      throw err.response?.data?.message || 'Failed to create the list.';
+    }
+  };
+
+  if (loading) {
+    return (
+      <>
+        <div className="min-h-screen bg-[#1e1e1e] flex items-center justify-center">
+          <LoadingSpinner />
+        </div>
+        <BottomNavbar />
+      </>
+    );
+  }
+
+  return (
+    <>
+      <div className="min-h-screen bg-[#1e1e1e] text-white p-4 pt-8 pb-20">
+        <div className="max-w-3xl mx-auto">
+          <button onClick={() => navigate(-1)} className="mb-4 text-blue-400 hover:text-blue-300">
+            ← Back
+          </button>
+          <h1 className="text-3xl font-bold mb-6 text-center">{isOwner ? 'Your Lists' : `@${username}'s Lists`}</h1>
+
+          {error ? (
+            <p className="text-red-500 text-center">{error}</p>
+          ) : (
+            <>
+              {/* New list form, on the viewer's own page. */}
+              {isOwner && (creating ? (
+                <div className="mb-6">
+                  <ListDetailsForm onSubmit={createList} onCancel={() => setCreating(false)} submitLabel="Create List" />
+                </div>
+              ) : (
+                <button
+                  onClick={() => setCreating(true)}
+                  className="mb-6 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+                >
+                  + New List
+                </button>
+              ))}
+
+              {lists.length === 0 ? (
+                <p className="text-gray-400 text-center">
+                  {isOwner ? 'You have no lists yet. Group shows any way you like, e.g., "Comfort rewatches".' : 'No lists to show.'}
+                </p>
+              ) : (
+                <ul className="space-y-4">
+                  {lists.map(list => {
+                    const VisibilityIcon = VISIBILITY_ICONS[list.visibility];
+                    return (
+                      <li key={list._id}>
+                        <Link
+                          to={`/user/${username}/lists/${list.slug}`}
+                          className="flex gap-4 bg-[#2E2E2E] p-4 rounded-lg shadow-md hover:bg-[#383838] transition-colors"
+                        >
+                          {/* Posters of the first shows. */}
+                          <div className="flex -space-x-6 shrink-0 w-28">
+                            {list.posters.length > 0 ? list.posters.map(posterPath => (
+                              <img
+                                key={posterPath}
+                                src={`https://image.tmdb.org/t/p/w92${posterPath}`}
+                                alt=""
+                                className="w-12 h-18 object-cover rounded shadow-md border border-[#1e1e1e]"
+                              />
+                            )) : <div className="w-12 h-18 rounded bg-[#3a3a3a]" />}
+                          </div>
+                          <div className="min-w-0">
+                            <p className="font-semibold text-lg truncate">{list.title}</p>
+                            <p className="text-sm text-gray-400 flex items-center gap-2">
+                              {list.itemCount} show{list.itemCount !== 1 ? 's' : ''}
+                              {isOwner && VisibilityIcon && (
+                                <span className="flex items-center gap-1"><VisibilityIcon className="w-3 h-3" />{LIST_VISIBILITY_LABELS[list.visibility]}</span>
+                              )}
+                            </p>
+                            {list.description && <p className="text-sm text-gray-300 mt-1 line-clamp-2">{list.description}</p>}
+                          </div>
+                        </Link>
+                      </li>
+                    );
+                  })}
+                </ul>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+      <BottomNavbar />
+    </>
+  );
+}
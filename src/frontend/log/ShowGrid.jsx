@@ -2,6 +2,7 @@
  * @file ShowGrid.jsx
  * @description A React component that provides a grid for searching, filtering, and logging TV shows.
  * It includes a search bar, filters, and a modal for detailed show information, episode tracking, and review submission.
+ * The review typed in the modal is autosaved as a draft (see `useReviewDraft`) and offered again when the show is reopened.
  */
 
 // Import React hooks and utilities.
@@ -14,17 +15,21 @@ import { motion, AnimatePresence } from "framer-motion";
 import SearchBar from "../search/SearchBar.jsx";
 import TVShowFilters from "../search/TVShowFilters";
 // Import icons from lucide-react and react-icons.
-import { X, CheckCircle, Eye as EyeIcon } from "lucide-react"; // 'Eye' aliased to 'EyeIcon' to avoid conflict.
+import { X, CheckCircle, Check, Eye as EyeIcon } from "lucide-react"; // 'Eye' aliased to 'EyeIcon' to avoid conflict.
 import { FaEye, FaChevronDown, FaChevronUp } from 'react-icons/fa';
 // Import useAuth custom hook to access authentication context.
 import { useAuth } from '../../context/AuthContext';
 // Import AppleRatingDisplay component for showing ratings.
 import AppleRatingDisplay from '../../components/AppleRatingDisplay';
+// Import the shared rating scale for the review form.
+import { RATING_MIN, RATING_MAX, RATING_VALUES, normalizeRating } from '../../shared/ratingScale';
+// Import the draft autosave hook and the prompt to resume a draft.
+import useReviewDraft from '../../hooks/useReviewDraft';
+import ResumeDraftPrompt from '../../components/ResumeDraftPrompt';
 
-// Constants for TMDB API and image URLs.
+// Constants for TMDB image URLs. API requests go through the backend proxy at `/api/tmdb`.
 const IMAGE_BASE_URL = "https://image.tmdb.org/t/p/w500";
 const BACKDROP_BASE_URL = "https://image.tmdb.org/t/p/w1280";
-const TMDB_API_KEY = import.meta.env.VITE_TMDB_API_KEY;
 
 /**
  * Fetches episodes for a specific season of a TV show from TMDB.
@@ -35,9 +40,8 @@ const TMDB_API_KEY = import.meta.env.VITE_TMDB_API_KEY;
  */
 const fetchSeasonEpisodes = async (showId, seasonNumber) => {
   try {
-    const response = await axios.get(`https://api.themoviedb.org/3/tv/${showId}/season/${seasonNumber}`, {
+    const response = await axios.get(`/api/tmdb/tv/${showId}/season/${seasonNumber}`, {
       params: {
-        api_key: TMDB_API_KEY,
         language: "en-US"
       }
     });
@@ -68,7 +72,8 @@ const formatEpisodeNumber = (num) => {
 /**
  * @function EpisodeList
  * @description A component to display a list of episodes for a selected season.
- * Allows users to select episodes and mark them as watched.
+ * Allows users to select episodes and mark them as watched. Episodes the user has already
+ * watched are pre-checked from `/api/progress/:showId` and can be unmarked.
  *
  * @param {object} props - Component props.
  * @param {Array<object>} props.seasons - Array of season objects for the show.
@@ -103,6 +108,8 @@ const EpisodeList = ({
   const [isLoadingEpisodes, setIsLoadingEpisodes] = useState(false);
   // State to track if the "mark as watched" action is in progress.
   const [isMarkingWatched, setIsMarkingWatched] = useState(false);
+  // State for the user's progress through the show, or null if not loaded.
+  const [progress, setProgress] = useState(null);
 
   // Limit for initially displayed episodes per season.
   const EPISODES_LIMIT = 20;
@@ -150,6 +157,29 @@ const EpisodeList = ({
     loadEpisodes();
   }, [selectedSeason, showId, episodesBySeason]); // Rerun if selectedSeason, showId, or episodesBySeason map itself changes (for new entries).
 
+  /**
+   * Fetches the user's watch progress for this show from the backend.
+   * @async
+   */
+  const loadProgress = useCallback(async () => {
+    if (!isAuthenticated || !showId) {
+      setProgress(null);
+      return;
+    }
+    try {
+      const response = await axios.get(`/api/progress/${showId}`, { withCredentials: true });
+      setProgress(response.data);
+    } catch (error) {
+      console.error(`Failed to load watch progress for show ${showId}:`, error.response?.data || error.message);
+      setProgress(null);
+    }
+  }, [isAuthenticated, showId]);
+
+  // `useEffect` to load the user's watch progress when the show changes.
+  useEffect(() => {
+    loadProgress();
+  }, [loadProgress]);
+
   // `useEffect` to reset `viewAll` and `selectedEpisodesInfo` when `selectedSeason` changes.
   useEffect(() => {
     setViewAll(false);
@@ -162,6 +192,14 @@ const EpisodeList = ({
   const displayedEpisodes = viewAll ? episodes : episodes.slice(0, EPISODES_LIMIT);
   // Check if there are more episodes to show beyond the limit.
   const hasMoreEpisodes = episodes.length > EPISODES_LIMIT;
+  // Set of episode IDs (as strings) the user has already watched.
+  const watchedEpisodeIds = new Set((progress?.episodes || []).map(ep => String(ep.episodeId)));
+  // Progress entry for the currently selected season, if available.
+  const seasonProgress = progress?.seasons?.find(season => season.seasonNumber === selectedSeason);
+  // Selected episodes that are already watched (these can be unmarked).
+  const selectedWatchedIds = selectedEpisodesInfo
+    .filter(epInfo => watchedEpisodeIds.has(String(epInfo.id)))
+    .map(epInfo => String(epInfo.id));
 
   /**
    * Handles clicking on an episode to select/deselect it for marking as watched.
@@ -206,6 +244,7 @@ const EpisodeList = ({
       setWatchedToastMessage(`${selectedEpisodesInfo.length} episode(s) from ${showName} marked as watched!`);
       setShowWatchedToast(true);
       setSelectedEpisodesInfo([]); // Clear selected episodes.
+      await loadProgress(); // Refresh progress so the episodes show as watched.
     } catch (error) {
       console.error("Failed to mark episodes as watched:", error.response?.data || error.message);
       // Show error toast.
@@ -216,6 +255,32 @@ const EpisodeList = ({
     }
   };
 
+  /**
+   * Handles unmarking the selected episodes that are already watched.
+   * Sends a POST request to the backend API.
+   * @async
+   */
+  const handleUnmarkWatched = async () => {
+    if (!isAuthenticated || selectedWatchedIds.length === 0) return;
+    setIsMarkingWatched(true); // Reuse the marking state to disable the buttons.
+    try {
+      await axios.post('/api/users/unmark-watched', {
+        showId: showId.toString(),
+        episodeIds: selectedWatchedIds,
+      }, { withCredentials: true });
+      setWatchedToastMessage(`${selectedWatchedIds.length} episode(s) from ${showName} unmarked.`);
+      setShowWatchedToast(true);
+      setSelectedEpisodesInfo([]); // Clear selected episodes.
+      await loadProgress(); // Refresh progress so the episodes show as unwatched.
+    } catch (error) {
+      console.error("Failed to unmark episodes:", error.response?.data || error.message);
+      setWatchedToastMessage(`Error: ${error.response?.data?.message || "Could not unmark episodes."}`);
+      setShowWatchedToast(true);
+    } finally {
+      setIsMarkingWatched(false);
+    }
+  };
+
   // Handlers for drag-to-select functionality.
   const handleDragStart = () => setIsDragging(true);
   const handleDragEnd = () => setIsDragging(false);
@@ -248,6 +313,14 @@ const EpisodeList = ({
           <p className="text-blue-400 text-xs sm:text-sm mt-1">
             {episodes.length} Episode{episodes.length !== 1 ? "s" : ""} • Select to mark as watched
           </p>
+          {/* Watch progress for this season and the whole show, when available */}
+          {isAuthenticated && progress && (
+            <p className="text-emerald-400 text-xs sm:text-sm mt-1">
+              {seasonProgress?.percentWatched != null && `${seasonProgress.percentWatched}% of season watched`}
+              {seasonProgress?.percentWatched != null && progress.percentWatched != null && " • "}
+              {progress.percentWatched != null && `${progress.percentWatched}% of show watched`}
+            </p>
+          )}
         </div>
         <div className="flex items-center space-x-2 sm:space-x-3">
           <span className="text-xs sm:text-sm text-gray-400">
@@ -289,6 +362,7 @@ const EpisodeList = ({
         <div className="grid grid-cols-5 sm:grid-cols-8 md:grid-cols-10 gap-2 sm:gap-3 mb-6">
           {displayedEpisodes.map(ep => {
             const isCurrentlySelected = selectedEpisodesInfo.some(selEp => selEp.id === ep.id);
+            const isWatched = watchedEpisodeIds.has(String(ep.id)); // Already watched by the user
             const canSelect = isAuthenticated; // User can select episodes if authenticated
             const ratingValue = typeof ep.rating === 'number' ? ep.rating : parseFloat(ep.rating);
             const displayRating = !isNaN(ratingValue) ? ratingValue.toFixed(1) : 'N/A'; // Format rating
@@ -305,12 +379,18 @@ const EpisodeList = ({
                   ${canSelect
                     ? isCurrentlySelected
                       ? 'bg-blue-600 border-2 border-blue-400 shadow-md shadow-blue-500/20' // Selected style
-                      : 'bg-[#343444] hover:bg-[#3f3f52] border border-[#4a4a5a]' // Unselected style
+                      : isWatched
+                        ? 'bg-emerald-700/60 hover:bg-emerald-700/80 border border-emerald-500' // Watched style
+                        : 'bg-[#343444] hover:bg-[#3f3f52] border border-[#4a4a5a]' // Unselected style
                     : 'bg-[#343444] border border-[#4a4a5a] cursor-not-allowed' // Unselectable style
                   }`}
-                title={`Ep. ${formatEpisodeNumber(ep.number)}: ${ep.name || ''} - Rating: ${displayRating}`} // Tooltip
+                title={`Ep. ${formatEpisodeNumber(ep.number)}: ${ep.name || ''} - Rating: ${displayRating}${isWatched ? ' (Watched)' : ''}`} // Tooltip
               >
                 <span className="text-xs sm:text-sm font-medium text-gray-200">{formatEpisodeNumber(ep.number)}</span>
+                {/* Check mark badge for episodes the user has already watched */}
+                {isWatched && (
+                  <Check size={10} className="absolute top-0.5 right-0.5 text-emerald-300" />
+                )}
                 {/* Hover overlay to show episode rating */}
                 {canSelect && (
                   <div className={`absolute inset-0 bg-black/80 flex items-center justify-center opacity-0 ${isDragging ? '' : 'hover:opacity-100'} transition-opacity rounded-md sm:rounded-lg`}>
@@ -360,6 +440,18 @@ const EpisodeList = ({
           )}
         </button>
       )}
+
+      {/* "Unmark" button, shown when the selection includes episodes already watched */}
+      {isAuthenticated && selectedWatchedIds.length > 0 && (
+        <button
+          onClick={handleUnmarkWatched}
+          disabled={isMarkingWatched}
+          className="w-full mt-2 sm:mt-3 py-2 sm:py-3 rounded-lg font-medium flex items-center justify-center space-x-2 transition-colors text-xs sm:text-sm bg-[#343444] hover:bg-[#3f3f52] text-gray-200 disabled:cursor-not-allowed"
+        >
+          <X size={16} />
+          <span>Unmark {selectedWatchedIds.length} Watched Episode{selectedWatchedIds.length !== 1 ? "s" : ""}</span>
+        </button>
+      )}
       </div>
     </div>
   );
@@ -397,11 +489,15 @@ const ShowGrid = () => {
 
   // State for review form fields.
   const [reviewText, setReviewText] = useState("");
-  const [ratingWhole, setRatingWhole] = useState(1); // Integer part of rating (0-5)
-  const [ratingDecimal, setRatingDecimal] = useState(0); // Decimal part of rating (0-99), stored as string for leading zeros
+  const [rating, setRating] = useState(RATING_MIN); // Rating on the shared rating scale
   const [containsSpoilers, setContainsSpoilers] = useState(false);
   const [isSubmittingReview, setIsSubmittingReview] = useState(false); // Track review submission status
   const [reviewError, setReviewError] = useState(null); // Error message for review submission
+
+  // Review draft of the selected show, and whether the user resumed or discarded it.
+  const { draft, saveDraft, clearDraft } = useReviewDraft({ userId: user?._id, showId: selectedShow?.id ?? null });
+  const [draftAnswered, setDraftAnswered] = useState(false);
+  const showDraftPrompt = !!draft && !draftAnswered;
   
   // State for toast notifications.
   const [showSuccessReviewToast, setShowSuccessReviewToast] = useState(false);
@@ -411,22 +507,12 @@ const ShowGrid = () => {
   // State to control if the modal can be closed (e.g., prevent closing during toast display).
   const [modalCanClose, setModalCanClose] = useState(true);
 
-  // `useEffect` to reset decimal part of rating if whole part is 5.
-  useEffect(() => {
-    if (ratingWhole >= 5) {
-      setRatingDecimal(0);
-    }
-  }, [ratingWhole]);
-
   /**
    * Handles clicks on the interactive AppleRatingDisplay component for setting the rating.
-   * @param {number} appleNumber - The number of the clicked apple (1-5).
+   * @param {number} newRating - The selected rating (a value of the rating scale, e.g. 3.5).
    */
-  const handleInteractiveAppleClick = (appleNumber) => {
-    setRatingWhole(appleNumber);
-    if (appleNumber >= 5) { // If 5 apples are selected, decimal part must be 0.
-      setRatingDecimal(0);
-    }
+  const handleInteractiveAppleClick = (newRating) => {
+    setRating(newRating);
   };
 
   /**
@@ -438,8 +524,8 @@ const ShowGrid = () => {
     setIsSearching(true);
     try {
       const trendingRes = await axios.get(
-        "https://api.themoviedb.org/3/trending/tv/week",
-        { params: { api_key: TMDB_API_KEY, language: "en-US", page: 1 } }
+        "/api/tmdb/trending/tv/week",
+        { params: { language: "en-US", page: 1 } }
       );
       setBroadenedShows(trendingRes.data.results);
       setFilteredBroadenedShows(trendingRes.data.results); // Initially, filtered is same as broadened
@@ -489,9 +575,8 @@ const ShowGrid = () => {
       setIsLoadingShowDetails(true);
       try {
         // Fetch show details from TMDB.
-        const response = await axios.get(`https://api.themoviedb.org/3/tv/${selectedShow.id}`, {
+        const response = await axios.get(`/api/tmdb/tv/${selectedShow.id}`, {
           params: {
-            api_key: TMDB_API_KEY,
             language: "en-US",
           },
         });
@@ -542,12 +627,12 @@ const ShowGrid = () => {
 
     try {
       // Fetch results where query is treated as an exact phrase.
-      const exactRes = await axios.get("https://api.themoviedb.org/3/search/tv", {
-        params: { api_key: TMDB_API_KEY, query: `"${query}"`, page: 1 }, // Using quotes for exact phrase (TMDB might not support this well)
+      const exactRes = await axios.get("/api/tmdb/search/tv", {
+        params: { query: `"${query}"`, page: 1 }, // Using quotes for exact phrase (TMDB might not support this well)
       });
       // Fetch broader results.
-      const broadRes = await axios.get("https://api.themoviedb.org/3/search/tv", {
-        params: { api_key: TMDB_API_KEY, query: query, page: 1 },
+      const broadRes = await axios.get("/api/tmdb/search/tv", {
+        params: { query: query, page: 1 },
       });
       setTotalResults(broadRes.data.total_results); // Store total results for pagination.
 
@@ -587,8 +672,8 @@ const ShowGrid = () => {
   const loadMore = async () => {
     const nextPage = currentPage + 1;
     try {
-      const moreResults = await axios.get("https://api.themoviedb.org/3/search/tv", {
-        params: { api_key: TMDB_API_KEY, query: query, page: nextPage },
+      const moreResults = await axios.get("/api/tmdb/search/tv", {
+        params: { query: query, page: nextPage },
       });
       setCurrentPage(nextPage);
       // Filter new results to avoid duplicates already present in broadenedShows or exactMatches.
@@ -614,16 +699,42 @@ const ShowGrid = () => {
       setSelectedShow(show); // Set the selected show to open modal.
       // Reset review form and toast states.
       setReviewText("");
-      setRatingWhole(1);
-      setRatingDecimal(0);
+      setRating(RATING_MIN);
       setContainsSpoilers(false);
       setIsSubmittingReview(false);
       setReviewError(null);
       setShowSuccessReviewToast(false);
       setShowWatchedToast(false);
+      setDraftAnswered(false); // Offer the show's draft, if there is one.
       setModalCanClose(true); // Ensure modal can be closed.
   };
 
+  // Autosave the review as a draft, except while the resume prompt waits for an answer.
+  // An untouched form (no text, lowest rating, no spoilers) has nothing worth keeping.
+  useEffect(() => {
+    if (showDraftPrompt) return;
+    const untouched = !reviewText && rating === RATING_MIN && !containsSpoilers;
+    saveDraft(untouched ? null : { rating, content: reviewText, containsSpoiler: containsSpoilers, spoilerSeason: null, spoilerEpisode: null });
+  }, [reviewText, rating, containsSpoilers, showDraftPrompt, saveDraft]);
+
+  /**
+   * Fills the review form with the saved draft.
+   */
+  const resumeDraft = () => {
+    setReviewText(draft.content || "");
+    setRating(normalizeRating(draft.rating) || RATING_MIN);
+    setContainsSpoilers(!!draft.containsSpoiler);
+    setDraftAnswered(true);
+  };
+
+  /**
+   * Discards the saved draft.
+   */
+  const discardDraft = () => {
+    clearDraft();
+    setDraftAnswered(true);
+  };
+
   /**
    * Closes the show details modal if `modalCanClose` is true.
    */
@@ -659,8 +770,7 @@ const ShowGrid = () => {
     // Prepare review data for API.
     const reviewData = {
       showId: selectedShowDetails.id.toString(),
-      // Combine whole and decimal parts for rating, ensuring decimal is treated correctly.
-      rating: ratingWhole + (Number(ratingDecimal) || 0) / 100,
+      rating,
       content: reviewText,
       containsSpoiler: containsSpoilers,
     };
@@ -670,10 +780,10 @@ const ShowGrid = () => {
       const response = await axios.post('/api/reviews', reviewData, { withCredentials: true });
 
       if (response.data) { // Check if API returned data (implies success).
+        clearDraft(); // The review is saved, so its draft is no longer needed.
         // Reset review form fields.
         setReviewText("");
-        setRatingWhole(1);
-        setRatingDecimal(0);
+        setRating(RATING_MIN);
         setContainsSpoilers(false);
         
         setShowSuccessReviewToast(true); // Show success toast.
@@ -908,21 +1018,27 @@ const ShowGrid = () => {
                       Review for "{selectedShowDetails.name}"
                     </h3>
 
+                    {/* Offer to pick up where the user left off. */}
+                    {showDraftPrompt && <ResumeDraftPrompt draft={draft} onResume={resumeDraft} onDiscard={discardDraft} />}
+
                     {/* Rating input section */}
                     <div className="mb-6">
                         <label className="block text-gray-300 mb-2 font-semibold text-lg">Rating</label>
                         {/* Interactive apple rating display */}
                         <AppleRatingDisplay 
-                            rating={ratingWhole + (Number(ratingDecimal) || 0) / 100} // Combine whole and decimal for display
+                            rating={rating}
                             appleSize="w-8 h-8" 
                             onAppleClick={handleInteractiveAppleClick} // Handle click to set rating
                             interactive={true}
                         />
-                        {/* Numeric input for precise rating (whole and decimal parts) */}
+                        {/* Dropdown to pick the rating without clicking the apples */}
                         <div className="flex items-center gap-1.5 mt-3">
-                        <input type="number" min={1} max={5} value={ratingWhole} aria-label="Rating whole number" onChange={(e) => { const v = e.target.value; if (v === "") { setRatingWhole(""); } else { const n = parseInt(v, 10); if (!isNaN(n) && n >= 1 && n <= 5) { setRatingWhole(n); } } }} onBlur={(e) => { const currentValInInput = e.target.value; if (currentValInInput === "") { setRatingWhole(1); } else { const n = parseInt(currentValInInput, 10); if (isNaN(n) || n < 1) { setRatingWhole(1); } else if (n > 5) { setRatingWhole(5); } else { setRatingWhole(n); } } }} className="bg-zinc-800 border-2 border-black p-2 rounded-md text-gray-200 w-15 text-center text-md focus:ring-1 focus:ring-[#1963da] outline-none"/>
-                        <span className="text-gray-200 text-lg font-bold select-none">.</span>
-                        <input type="number" min={0} max={99} aria-label="Rating decimal part" value={ratingDecimal} onFocus={(e)=>{if(e.target.value==="0"||e.target.value==="00")setRatingDecimal("");}} onChange={(e)=>{const v=e.target.value;if(v==="")setRatingDecimal("");else{const n=Number(v);if(!isNaN(n)&&n>=0&&n<=99&&v.length<=2)setRatingDecimal(v);}}} onBlur={(e)=>{let s=e.target.value;if(s==="")setRatingDecimal(0);else{let n=Number(s);if(s.length===1&&n<10)setRatingDecimal("0"+n);else setRatingDecimal(s);}}} disabled={ratingWhole>=5} className={`bg-zinc-800 border-2 border-black p-2 rounded-md text-gray-200 w-15 text-center text-md focus:ring-1 focus:ring-[#1963da] outline-none ${ratingWhole>=5?"opacity-50 cursor-not-allowed":""}`}/>
+                        <select value={rating} aria-label="Rating" onChange={(e) => setRating(Number(e.target.value))} className="bg-zinc-800 border-2 border-black p-2 rounded-md text-gray-200 text-center text-md focus:ring-1 focus:ring-[#1963da] outline-none">
+                          {RATING_VALUES.map((value) => (
+                            <option key={value} value={value}>{value}</option>
+                          ))}
+                        </select>
+                        <span className="text-gray-400 text-md select-none">/ {RATING_MAX}</span>
                         </div>
                     </div>
 
@@ -975,7 +1091,7 @@ const ShowGrid = () => {
                         type="submit"
                         whileHover={{ scale: 1.02 }} whileTap={{ scale: 0.98 }}
                         // Disable if not authenticated, submitting, or form is incomplete (no rating or no text)
-                        disabled={!isAuthenticatedForReview || isSubmittingReview || ((ratingWhole === 0 && Number(ratingDecimal) === 0) || !reviewText.trim())}
+                        disabled={!isAuthenticatedForReview || isSubmittingReview || (!rating || !reviewText.trim())}
                         className="w-full py-2.5 sm:py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors text-sm font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
                       >
                         {isSubmittingReview ? 'Submitting...' : (isAuthenticatedForReview ? 'Submit Review' : 'Login to Review')}
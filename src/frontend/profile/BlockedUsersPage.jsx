@@ -0,0 +1,173 @@
+/**
+ * @file BlockedUsersPage.jsx
+ * @description A React component that lists the users blocked by the logged-in user
+ * and lets them unblock each one.
+ */
+
+// Import React and hooks (useEffect, useState) for component logic.
+import React, { useEffect, useState } from 'react';
+// Import axios for making HTTP requests.
+import axios from 'axios';
+// Import Link for client-side navigation and useNavigate for programmatic navigation.
+import { Link, useNavigate } from 'react-router-dom';
+// Import `useAuth` custom hook to refresh the logged-in user's data after unblocking.
+import { useAuth } from '../../context/AuthContext';
+// Import BottomNavbar component for consistent navigation across pages.
+import BottomNavbar from '../../components/BottomNavbar';
+// Import LoadingSpinner component to display while data is being fetched.
+import LoadingSpinner from '../../components/LoadingSpinner';
+
+/**
+ * @function BlockedUsersPage
+ * @description A React functional component that fetches and displays the logged-in user's block list.
+ * Unauthenticated visitors are redirected to the login page.
+ *
+ * @returns {JSX.Element} The rendered BlockedUsersPage component.
+ */
+export default function BlockedUsersPage() {
+  /**
+   * State variable to store the array of blocked users.
+   * @type {[Array<object>, function(Array<object>): void]}
+   */
+  const [blockedUsers, setBlockedUsers] = useState([]);
+  /**
+   * State variable to track the loading status of the API request.
+   * @type {[boolean, function(boolean): void]}
+   */
+  const [loading, setLoading] = useState(true);
+  /**
+   * State variable to store any error messages if the API request fails.
+   * @type {[string | null, function(string | null): void]}
+   */
+  const [error, setError] = useState(null);
+  /**
+   * State variable holding the ID of the user currently being unblocked (disables their button).
+   * @type {[string | null, function(string | null): void]}
+   */
+  const [unblockingId, setUnblockingId] = useState(null);
+  /**
+   * `user`, `loading` and `refreshUser` from AuthContext.
+   * @type {{user: object, loading: boolean, refreshUser: function}}
+   */
+  const { user, loading: authLoading, refreshUser } = useAuth();
+  /**
+   * `useNavigate` hook for programmatic navigation.
+   * @type {function}
+   */
+  const navigate = useNavigate();
+
+  /**
+   * `useEffect` hook to fetch the block list once authentication has been resolved.
+   * Redirects to the login page if there is no authenticated user.
+   */
+  useEffect(() => {
+    if (authLoading) return;
+    if (!user) {
+      navigate('/login');
+      return;
+    }
+
+    /**
+     * Asynchronous function to fetch the blocked users.
+     * @async
+     */
+    const fetchBlockedUsers = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const res = await axios.get('/api/users/blocked', { withCredentials: true });
+        setBlockedUsers(res.data);
+      } catch (err) {
+        console.error('Failed to load blocked users:', err);
+        setError('Failed to load blocked users.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchBlockedUsers();
+  }, [user, authLoading, navigate]); // Dependencies: re-run once auth state is known.
+
+  /**
+   * Unblocks a user and removes them from the list.
+   * @async
+   * @param {string} blockedId - The ID of the user to unblock.
+   */
+  const handleUnblock = async (blockedId) => {
+    setUnblockingId(blockedId);
+    try {
+      await axios.delete(`/api/users/${blockedId}/block`, { withCredentials: true });
+      // Remove the user from the local list to update the UI immediately.
+      setBlockedUsers(prev => prev.filter(u => u._id !== blockedId));
+      // Refresh the authenticated user's data so `blockedUsers` is up to date elsewhere (e.g., ProfileCard).
+      await refreshUser();
+    } catch (err) {
+      console.error('Unblock failed:', err);
+    } finally {
+      setUnblockingId(null);
+    }
+  };
+
+  // If data is currently being loaded, display a loading spinner.
+  if (authLoading || loading) {
+    return (
+      <>
+        <div className="min-h-screen bg-[#1e1e1e] flex items-center justify-center">
+          <LoadingSpinner />
+        </div>
+        <BottomNavbar />
+      </>
+    );
+  }
+
+  return (
+    <>
+      {/* Main container for the blocked users page. */}
+      <div className="min-h-screen bg-[#1e1e1e] text-white p-4 pt-8 pb-20">
+        {/* Button to navigate back to the profile. */}
+        <button onClick={() => navigate(-1)} className="mb-4 text-blue-400 hover:text-blue-300">
+          ← Back to Profile
+        </button>
+        <h1 className="text-3xl font-bold mb-2 text-center">Blocked Users</h1>
+        <p className="text-gray-400 text-center mb-6">
+          Blocked users can't send you friend requests, don't show up in your searches, and their reviews are hidden from you.
+        </p>
+
+        {error ? (
+          <p className="text-red-500 text-center">{error}</p>
+        ) : blockedUsers.length === 0 ? (
+          <p className="text-gray-400 text-center">You haven't blocked anyone.</p>
+        ) : (
+          <ul className="space-y-4">
+            {/* Map over the blocked users to render each one with an Unblock button. */}
+            {blockedUsers.map((blocked) => (
+              <li
+                key={blocked._id}
+                className="bg-[#2E2E2E] p-4 rounded-lg shadow-md w-full flex items-center justify-between"
+              >
+                <Link to={`/user/${blocked.username}`} className="flex items-center space-x-4">
+                  {/* Blocked user's profile picture with a fallback. */}
+                  <img
+                    src={blocked.profilePic || '/img/profilePhotos/generic_profile_picture.jpg'}
+                    alt={`${blocked.username}'s profile`}
+                    className="w-14 h-14 rounded-full object-cover border-2 border-gray-700"
+                  />
+                  <span className="text-lg font-semibold">@{blocked.username}</span>
+                </Link>
+                <button
+                  onClick={() => handleUnblock(blocked._id)}
+                  disabled={unblockingId === blocked._id}
+                  className="ml-4 bg-gray-500 hover:bg-gray-600 disabled:opacity-50 text-white px-3 py-1 rounded"
+                >
+                  {unblockingId === blocked._id ? 'Unblocking…' : 'Unblock'}
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+      {/* Bottom navigation bar. */}
+      <BottomNavbar />
+    </>
+  );
+}
@@ -0,0 +1,162 @@
+/**
+ * @file ImportMatchRow.jsx
+ * @description A React component showing one show of an import preview: the title found in the file, what it adds,
+ * and the TMDB show it is matched to. The user can pick another candidate, search TMDB for the right show,
+ * or leave the show out of the import.
+ */
+
+// Import React and the useState hook.
+import React, { useState } from "react";
+// Import axios for making HTTP requests.
+import axios from "axios";
+// Import icons from lucide-react.
+import { AlertTriangle, Search } from "lucide-react";
+
+/**
+ * Describes what a show adds, e.g. "Watchlist · 12 episodes · 1 review".
+ * @param {object} counts - `watchlist`, `completed`, `episodes`, `ratings` and `reviews`.
+ * @returns {string} The description.
+ */
+function describeShowCounts(counts) {
+  const parts = [];
+  if (counts.watchlist) parts.push("Watchlist");
+  if (counts.completed) parts.push("Watched");
+  if (counts.episodes) parts.push(`${counts.episodes} episode${counts.episodes === 1 ? "" : "s"}`);
+  if (counts.ratings) parts.push(`${counts.ratings} rating${counts.ratings === 1 ? "" : "s"}`);
+  if (counts.reviews) parts.push(`${counts.reviews} review${counts.reviews === 1 ? "" : "s"}`);
+  return parts.join(" · ");
+}
+
+/**
+ * @function ImportMatchRow
+ * @description Renders the match of one imported show, with a select of the candidates and a TMDB search.
+ *
+ * @param {object} props - The component's props.
+ * @param {object} props.show - The show of the preview: `key`, `title`, `year`, `match`, `needsReview`, `candidates`, `counts`.
+ * @param {string|null} props.selectedId - The TMDB ID of the picked show, or `null` to leave the show out.
+ * @param {function(string|null): void} props.onSelect - Called with the TMDB ID of the show picked (or `null`).
+ * @param {boolean} [props.disabled=false] - Whether the match can no longer be changed (e.g., while importing).
+ * @returns {JSX.Element} The rendered ImportMatchRow component.
+ */
+export default function ImportMatchRow({ show, selectedId, onSelect, disabled = false }) {
+  // Shows found with the user's own search, offered besides the candidates.
+  const [searchResults, setSearchResults] = useState([]);
+  // The search field's text, initially the imported title.
+  const [query, setQuery] = useState(show.title);
+  // Whether the search field is shown, and whether a search is running.
+  const [isSearchOpen, setIsSearchOpen] = useState(false);
+  const [isSearching, setIsSearching] = useState(false);
+
+  // The candidates and the search results, without duplicates.
+  const options = [...show.candidates, ...searchResults.filter((result) => !show.candidates.some((candidate) => candidate.tmdbId === result.tmdbId))];
+  // The picked show, if it is among the options (it always is, unless the preview changed).
+  const selected = options.find((option) => option.tmdbId === selectedId) || null;
+
+  /**
+   * Searches TMDB for the query and offers the results as options.
+   * @async
+   */
+  const handleSearch = async () => {
+    if (!query.trim()) return;
+    setIsSearching(true);
+    try {
+      const res = await axios.get("/api/tmdb/search/tv", { params: { query: query.trim() } });
+      setSearchResults((res.data.results || []).slice(0, 8).map((result) => ({
+        tmdbId: String(result.id),
+        name: result.name || result.original_name || "",
+        year: parseInt(result.first_air_date, 10) || null,
+        posterPath: result.poster_path || null,
+        score: null,
+      })));
+    } catch (error) {
+      console.error("Error searching TMDB:", error);
+      alert("Search failed. Please try again.");
+    } finally {
+      setIsSearching(false);
+    }
+  };
+
+  return (
+    <li className={`flex gap-3 p-3 rounded-lg bg-[#2E2E2E] ${show.needsReview && selectedId === show.match?.tmdbId ? "ring-1 ring-yellow-500" : ""}`}>
+      {/* Poster of the picked show. */}
+      <div className="w-12 flex-shrink-0">
+        {selected?.posterPath ? (
+          <img src={`https://image.tmdb.org/t/p/w92${selected.posterPath}`} alt={selected.name} className="w-12 rounded" />
+        ) : (
+          <div className="w-12 h-[72px] rounded bg-gray-700" />
+        )}
+      </div>
+
+      <div className="flex-1 min-w-0 space-y-2">
+        {/* The title found in the file and what it adds. */}
+        <div>
+          <p className="font-semibold truncate">
+            {show.title || "Untitled"}{show.year ? ` (${show.year})` : ""}
+          </p>
+          <p className="text-xs text-gray-400">{describeShowCounts(show.counts)}</p>
+        </div>
+
+        {/* The match: a candidate, a search result or "Don't import". */}
+        <div className="flex flex-wrap items-center gap-2">
+          <select
+            value={selectedId ?? ""}
+            onChange={(e) => onSelect(e.target.value || null)}
+            disabled={disabled}
+            aria-label={`TMDB match of ${show.title}`}
+            className="max-w-full bg-[#1e1e1e] text-gray-200 rounded px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="">Don't import</option>
+            {options.map((option) => (
+              <option key={option.tmdbId} value={option.tmdbId}>
+                {option.name}{option.year ? ` (${option.year})` : ""}{option.score !== null ? ` · ${Math.round(option.score * 100)}% match` : ""}
+              </option>
+            ))}
+          </select>
+          <button
+            type="button"
+            onClick={() => setIsSearchOpen((open) => !open)}
+            disabled={disabled}
+            className="flex items-center gap-1 text-sm text-blue-400 hover:text-blue-300 disabled:opacity-50"
+          >
+            <Search className="w-4 h-4" /> Find another show
+          </button>
+        </div>
+
+        {/* Warn about matches the user should check. */}
+        {show.needsReview && (
+          <p className="flex items-center gap-1 text-xs text-yellow-400">
+            <AlertTriangle className="w-3 h-3" />
+            {show.match ? "Not sure this is the right show. Please check." : "No match found. Pick a show or leave it out."}
+          </p>
+        )}
+
+        {/* TMDB search. */}
+        {isSearchOpen && (
+          <form
+            onSubmit={(e) => { e.preventDefault(); handleSearch(); }}
+            className="flex gap-2"
+          >
+            <input
+              type="text"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder="Search TMDB"
+              aria-label={`Search TMDB for ${show.title}`}
+              className="flex-1 min-w-0 bg-[#1e1e1e] text-gray-200 rounded px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            <button
+              type="submit"
+              disabled={isSearching || disabled}
+              className="px-3 py-1 rounded bg-blue-600 hover:bg-blue-500 text-sm disabled:opacity-50"
+            >
+              {isSearching ? "Searching..." : "Search"}
+            </button>
+          </form>
+        )}
+        {isSearchOpen && searchResults.length > 0 && (
+          <p className="text-xs text-gray-400">{searchResults.length} result{searchResults.length === 1 ? "" : "s"} added to the list above.</p>
+        )}
+      </div>
+    </li>
+  );
+}
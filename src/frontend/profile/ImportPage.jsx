@@ -0,0 +1,361 @@
+/**
+ * @file ImportPage.jsx
+ * @description A React component for importing the logged-in user's history from other trackers
+ * (Trakt, TV Time, Letterboxd-style CSV). The user uploads an export file and gets a preview first (nothing is saved):
+ * each show found in the file with its TMDB match, which they can change or leave out. Confirming the import adds
+ * the watchlist entries, watched episodes and ratings; anything already there is skipped, so importing the same file
+ * again adds nothing twice. The page also lists the user's recent imports.
+ */
+
+// Import React and hooks (useEffect, useState, useCallback) for component logic.
+import React, { useEffect, useState, useCallback } from "react";
+// Import axios for making HTTP requests.
+import axios from "axios";
+// Import Link for client-side navigation and useNavigate for programmatic navigation.
+import { Link, useNavigate } from "react-router-dom";
+// Import icons from lucide-react.
+import { Upload, AlertTriangle, CheckCircle } from "lucide-react";
+// Import `useAuth` custom hook to get the logged-in user.
+import { useAuth } from "../../context/AuthContext";
+// Import BottomNavbar component for consistent navigation across pages.
+import BottomNavbar from "../../components/BottomNavbar";
+// Import LoadingSpinner component to display while data is being fetched.
+import LoadingSpinner from "../../components/LoadingSpinner";
+// Import the row showing the match of one imported show.
+import ImportMatchRow from "./ImportMatchRow";
+// Import the shared import rules.
+import { IMPORT_SOURCES, IMPORT_SOURCE_LABELS, IMPORT_MAX_FILE_BYTES } from "../../shared/imports";
+
+/**
+ * Which files of each source can be imported, and the file types accepted.
+ * @type {Object<string, { help: string, accept: string }>}
+ */
+const SOURCE_DETAILS = {
+  trakt: {
+    help: "Upload a file from your Trakt data export: watchlist-shows.json, watched-shows.json, history.json or ratings-shows.json (ratings of seasons and episodes work too).",
+    accept: ".json,application/json",
+  },
+  tvtime: {
+    help: "Upload a file from your TV Time data export: followed_tv_show.csv (added to your watchlist) or seen_episode.csv (watched episodes).",
+    accept: ".csv,text/csv",
+  },
+  csv: {
+    help: "Upload a CSV file with a Name (or Title) column and optional Year, Season, Episode, Rating, Review and Watched Date columns, like Letterboxd's exports. Files named \"watchlist\" are added to your watchlist.",
+    accept: ".csv,text/csv",
+  },
+};
+
+/**
+ * Describes item counts, e.g. "3 watchlist entries, 120 episodes, 4 ratings".
+ * @param {object} counts - Any of `watchlist`, `completed`, `episodes`, `ratings` and `reviews`.
+ * @returns {string} The description, or "nothing" if all counts are 0.
+ */
+function describeCounts(counts) {
+  const labels = [
+    ["watchlist", "watchlist entry", "watchlist entries"],
+    ["completed", "watched show", "watched shows"],
+    ["episodes", "episode", "episodes"],
+    ["ratings", "rating", "ratings"],
+    ["reviews", "review", "reviews"],
+  ];
+  const parts = labels
+    .filter(([key]) => counts[key])
+    .map(([key, singular, plural]) => `${counts[key]} ${counts[key] === 1 ? singular : plural}`);
+  return parts.length > 0 ? parts.join(", ") : "nothing";
+}
+
+/**
+ * @function ImportPage
+ * @description A React functional component for the import form, the preview with its match review step,
+ * the import result and the import history. Unauthenticated visitors are redirected to the login page.
+ *
+ * @returns {JSX.Element} The rendered ImportPage component.
+ */
+export default function ImportPage() {
+  // The logged-in user, and whether authentication is still being resolved.
+  const { user, loading: authLoading } = useAuth();
+  // Hook for programmatic navigation.
+  const navigate = useNavigate();
+  // The picked source and file.
+  const [source, setSource] = useState(IMPORT_SOURCES[0]);
+  const [file, setFile] = useState(null);
+  // The current import (preview or completed), and the TMDB show picked for each of its shows (by show key).
+  const [currentImport, setCurrentImport] = useState(null);
+  const [selections, setSelections] = useState({});
+  // Whether only the shows whose match needs checking are listed.
+  const [onlyToReview, setOnlyToReview] = useState(false);
+  // Whether a preview or an import is running, and the last error.
+  const [isPreviewing, setIsPreviewing] = useState(false);
+  const [isCommitting, setIsCommitting] = useState(false);
+  const [error, setError] = useState(null);
+  // The user's recent imports.
+  const [history, setHistory] = useState([]);
+
+  /**
+   * Fetches the user's recent imports.
+   * @async
+   */
+  const fetchHistory = useCallback(async () => {
+    try {
+      const res = await axios.get("/api/imports", { withCredentials: true });
+      setHistory(res.data.imports);
+    } catch (err) {
+      console.error("Failed to load imports:", err);
+    }
+  }, []);
+
+  /**
+   * `useEffect` hook to fetch the import history once authentication has been resolved.
+   * Redirects to the login page if there is no authenticated user.
+   */
+  useEffect(() => {
+    if (authLoading) return;
+    if (!user) {
+      navigate("/login");
+      return;
+    }
+    fetchHistory();
+  }, [user, authLoading, navigate, fetchHistory]); // Dependencies: re-run once auth state is known.
+
+  /**
+   * Shows an import and preselects its matches.
+   * @param {object} importData - The import from the server.
+   */
+  const openImport = (importData) => {
+    setCurrentImport(importData);
+    setSelections(Object.fromEntries(importData.shows.map((show) => [show.key, show.match?.tmdbId ?? null])));
+    setOnlyToReview(false);
+    setError(null);
+  };
+
+  /**
+   * Uploads the picked file for a preview (dry run).
+   * @async
+   * @param {React.FormEvent} e - The form submission event.
+   */
+  const handlePreview = async (e) => {
+    e.preventDefault();
+    if (!file) return;
+    if (file.size > IMPORT_MAX_FILE_BYTES) {
+      setError(`This file is too large (the limit is ${Math.round(IMPORT_MAX_FILE_BYTES / 1024 / 1024)} MB). Split it into smaller files.`);
+      return;
+    }
+    setIsPreviewing(true);
+    setError(null);
+    try {
+      const text = await file.text();
+      const res = await axios.post("/api/imports/preview", text, {
+        params: { source, fileName: file.name },
+        headers: { "Content-Type": "text/plain" },
+        withCredentials: true,
+      });
+      openImport(res.data.import);
+      fetchHistory();
+    } catch (err) {
+      console.error("Import preview failed:", err);
+      setError(err.response?.data?.message || "Failed to read the file. Please try again.");
+    } finally {
+      setIsPreviewing(false);
+    }
+  };
+
+  /**
+   * Resumes reviewing an earlier preview, or shows the result of an earlier import.
+   * @async
+   * @param {string} importId - The import's ID.
+   */
+  const handleOpen = async (importId) => {
+    try {
+      const res = await axios.get(`/api/imports/${importId}`, { withCredentials: true });
+      openImport(res.data.import);
+      window.scrollTo({ top: 0, behavior: "smooth" });
+    } catch (err) {
+      console.error("Failed to load import:", err);
+      setError(err.response?.data?.message || "Failed to load the import.");
+    }
+  };
+
+  /**
+   * Confirms the import with the picked matches.
+   * @async
+   */
+  const handleCommit = async () => {
+    setIsCommitting(true);
+    setError(null);
+    try {
+      const res = await axios.post(`/api/imports/${currentImport._id}/commit`, { matches: selections }, { withCredentials: true });
+      setCurrentImport(res.data.import);
+      fetchHistory();
+    } catch (err) {
+      console.error("Import failed:", err);
+      setError(err.response?.data?.message || "Failed to import. Please try again.");
+    } finally {
+      setIsCommitting(false);
+    }
+  };
+
+  // If authentication is being resolved, display a loading spinner.
+  if (authLoading) {
+    return (
+      <>
+        <div className="min-h-screen bg-[#1e1e1e] flex items-center justify-center">
+          <LoadingSpinner />
+        </div>
+        <BottomNavbar />
+      </>
+    );
+  }
+
+  const isPreview = currentImport?.status === "preview";
+  // The shows listed in the review step, and the number of shows that will be imported.
+  const toReviewCount = currentImport ? currentImport.shows.filter((show) => show.needsReview).length : 0;
+  const listedShows = currentImport ? currentImport.shows.filter((show) => !onlyToReview || show.needsReview) : [];
+  const selectedCount = Object.values(selections).filter(Boolean).length;
+
+  return (
+    <>
+      <div className="min-h-screen bg-[#1e1e1e] text-white p-4 pt-8 pb-20 max-w-3xl mx-auto">
+        {/* Button to navigate back to the profile. */}
+        <button onClick={() => navigate(-1)} className="mb-4 text-blue-400 hover:text-blue-300">
+          ← Back to Profile
+        </button>
+        <h1 className="text-3xl font-bold mb-2 text-center">Import History</h1>
+        <p className="text-gray-400 text-center mb-6">
+          Bring your watchlist, watched episodes and ratings over from another tracker. You'll see a preview before anything is saved.
+        </p>
+
+        {error && <p className="text-red-500 text-center mb-4">{error}</p>}
+
+        {/* Upload form, hidden while reviewing a preview. */}
+        {!isPreview && (
+          <form onSubmit={handlePreview} className="bg-[#2E2E2E] rounded-lg p-4 space-y-4 mb-8">
+            <label className="block">
+              <span className="text-sm text-gray-400">Export from</span>
+              <select
+                value={source}
+                onChange={(e) => { setSource(e.target.value); setFile(null); }}
+                className="mt-1 block w-full bg-[#1e1e1e] text-gray-200 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                {IMPORT_SOURCES.map((value) => <option key={value} value={value}>{IMPORT_SOURCE_LABELS[value]}</option>)}
+              </select>
+            </label>
+            <p className="text-sm text-gray-400">{SOURCE_DETAILS[source].help}</p>
+            <input
+              key={source} // Clears the picked file when the source changes.
+              type="file"
+              accept={SOURCE_DETAILS[source].accept}
+              onChange={(e) => setFile(e.target.files[0] || null)}
+              aria-label="Export file"
+              className="block w-full text-sm text-gray-300 file:mr-4 file:py-2 file:px-4 file:rounded-lg file:border-0 file:bg-gray-700 file:text-white hover:file:bg-gray-600"
+            />
+            <button
+              type="submit"
+              disabled={!file || isPreviewing}
+              className="flex items-center gap-2 px-4 py-2 rounded-lg bg-blue-600 hover:bg-blue-500 font-semibold disabled:opacity-50"
+            >
+              <Upload className="w-4 h-4" />
+              {isPreviewing ? "Reading file and matching shows..." : "Preview import"}
+            </button>
+          </form>
+        )}
+
+        {/* Preview: the review step. */}
+        {isPreview && (
+          <section className="mb-8">
+            <h2 className="text-xl font-semibold mb-1">Preview of {currentImport.fileName || IMPORT_SOURCE_LABELS[currentImport.source]}</h2>
+            <p className="text-sm text-gray-400 mb-3">
+              Nothing has been imported yet. Found {currentImport.shows.length} show{currentImport.shows.length === 1 ? "" : "s"} with {describeCounts(currentImport.counts)}.
+              {currentImport.skippedRows > 0 && ` ${currentImport.skippedRows} row${currentImport.skippedRows === 1 ? "" : "s"} couldn't be read and will be skipped.`}
+            </p>
+            {currentImport.previousImportAt && (
+              <p className="flex items-start gap-2 text-sm text-yellow-400 mb-3">
+                <AlertTriangle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+                You already imported this file on {new Date(currentImport.previousImportAt).toLocaleDateString()}. Anything you already have won't be added again.
+              </p>
+            )}
+            {toReviewCount > 0 && (
+              <label className="flex items-center gap-2 text-sm text-gray-300 mb-3">
+                <input type="checkbox" checked={onlyToReview} onChange={(e) => setOnlyToReview(e.target.checked)} />
+                Only show the {toReviewCount} match{toReviewCount === 1 ? "" : "es"} to check
+              </label>
+            )}
+            <ul className="space-y-2">
+              {listedShows.map((show) => (
+                <ImportMatchRow
+                  key={show.key}
+                  show={show}
+                  selectedId={selections[show.key] ?? null}
+                  onSelect={(tmdbId) => setSelections((prev) => ({ ...prev, [show.key]: tmdbId }))}
+                  disabled={isCommitting}
+                />
+              ))}
+            </ul>
+            <div className="flex flex-wrap gap-3 mt-4">
+              <button
+                onClick={handleCommit}
+                disabled={selectedCount === 0 || isCommitting}
+                className="px-4 py-2 rounded-lg bg-blue-600 hover:bg-blue-500 font-semibold disabled:opacity-50"
+              >
+                {isCommitting ? "Importing..." : `Import ${selectedCount} show${selectedCount === 1 ? "" : "s"}`}
+              </button>
+              <button
+                onClick={() => setCurrentImport(null)}
+                disabled={isCommitting}
+                className="px-4 py-2 rounded-lg bg-gray-700 hover:bg-gray-600 disabled:opacity-50"
+              >
+                Cancel
+              </button>
+            </div>
+          </section>
+        )}
+
+        {/* Result of a completed import. */}
+        {currentImport?.status === "completed" && currentImport.result && (
+          <section className="bg-[#2E2E2E] rounded-lg p-4 mb-8">
+            <h2 className="flex items-center gap-2 text-xl font-semibold mb-2">
+              <CheckCircle className="w-5 h-5 text-green-500" /> Import complete
+            </h2>
+            <p className="text-sm text-gray-300">
+              Added {describeCounts(currentImport.result)}.
+            </p>
+            {currentImport.result.alreadyPresent > 0 && (
+              <p className="text-sm text-gray-400">{currentImport.result.alreadyPresent} item{currentImport.result.alreadyPresent === 1 ? " was" : "s were"} already there and skipped.</p>
+            )}
+            {currentImport.result.unmatched > 0 && (
+              <p className="text-sm text-gray-400">{currentImport.result.unmatched} item{currentImport.result.unmatched === 1 ? "" : "s"} of shows left out or not found on TMDB {currentImport.result.unmatched === 1 ? "was" : "were"} skipped.</p>
+            )}
+            <div className="flex gap-4 mt-3 text-sm">
+              <Link to="/view-all/watchlist" className="text-blue-400 hover:text-blue-300">View your watchlist</Link>
+              <Link to="/profile" className="text-blue-400 hover:text-blue-300">Go to your profile</Link>
+            </div>
+          </section>
+        )}
+
+        {/* Recent imports. */}
+        {history.length > 0 && (
+          <section>
+            <h2 className="text-xl font-semibold mb-3">Recent imports</h2>
+            <ul className="space-y-2">
+              {history.map((item) => (
+                <li key={item._id} className="bg-[#2E2E2E] rounded-lg p-3 flex items-center justify-between gap-3">
+                  <div className="min-w-0">
+                    <p className="font-semibold truncate">{item.fileName || IMPORT_SOURCE_LABELS[item.source]}</p>
+                    <p className="text-xs text-gray-400">
+                      {IMPORT_SOURCE_LABELS[item.source]} · {new Date(item.createdAt).toLocaleDateString()} ·{" "}
+                      {item.status === "completed" ? `Imported: ${describeCounts(item.result || {})}` : "Preview, not imported"}
+                    </p>
+                  </div>
+                  <button onClick={() => handleOpen(item._id)} className="text-sm text-blue-400 hover:text-blue-300 flex-shrink-0">
+                    {item.status === "completed" ? "Details" : "Resume"}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </section>
+        )}
+      </div>
+      {/* Bottom navigation bar. */}
+      <BottomNavbar />
+    </>
+  );
+}
@@ -2,7 +2,9 @@
  * @file ProfileCard.jsx
  * @description A React component that displays a user's profile information in a card format.
  * It shows the user's avatar, username, number of friends, and provides actions
- * like viewing friend requests/settings (for own profile) or sending a friend request (for other profiles).
+ * like viewing friend requests/settings (for own profile) or sending, cancelling, answering a friend request
+ * removing a friend, blocking or unblocking and reporting the user (for other profiles).
+ * Admins also get a link to the moderation queue on their own profile.
  */
 
 // Import React and hooks (useState) for component logic.
@@ -17,6 +19,8 @@ import { useAuth } from '../../context/AuthContext';
 import LocationInfo from '../../components/LocationInfo.jsx'; // Assuming LocationBox was renamed or this is a different component
 // Import ProfileImage component to display the user's avatar.
 import ProfileImage from '../../components/ProfileImage.jsx';
+// Import ReportButton to report other users to the moderators.
+import ReportButton from '../../components/ReportButton.jsx';
 
 /**
  * @function ProfileCard
@@ -54,6 +58,10 @@ export default function ProfileCard({ user, profilePic, isOwnProfile }) {
   const isFriend = currentUser.friends?.includes(user._id);
   // Determine if the current user has already sent a friend request to the profile user.
   const isPending = currentUser.friendRequestsSent?.includes(user._id);
+  // Determine if the profile user has sent a friend request to the current user.
+  const hasIncoming = currentUser.friendRequestsRecieved?.includes(user._id);
+  // Determine if the current user has blocked the profile user.
+  const isBlocked = currentUser.blockedUsers?.includes(user._id);
 
   /**
    * Handles sending a friend request to the profile user.
@@ -76,6 +84,56 @@ export default function ProfileCard({ user, profilePic, isOwnProfile }) {
     }
   };
 
+  /**
+   * Runs a friend action against the friends API and refreshes the current user's data,
+   * so the button state (friend, pending, incoming) is recomputed.
+   * @async
+   * @param {'post' | 'delete'} method - The HTTP method to use.
+   * @param {string} url - The friends API endpoint.
+   */
+  const runFriendAction = async (method, url) => {
+    setSending(true); // Reuse the sending state to disable the buttons.
+    try {
+      await axios({ method, url, withCredentials: true });
+      await refreshUser();
+    } catch (err) {
+      console.error(`Friend action ${method.toUpperCase()} ${url} failed`, err);
+    } finally {
+      setSending(false);
+    }
+  };
+
+  /**
+   * Withdraws the friend request sent to the profile user.
+   */
+  const handleCancel = () => runFriendAction('post', `/api/friends/cancel/${user._id}`);
+  /**
+   * Accepts the friend request received from the profile user.
+   */
+  const handleAccept = () => runFriendAction('post', `/api/friends/accept/${user._id}`);
+  /**
+   * Declines the friend request received from the profile user.
+   */
+  const handleDecline = () => runFriendAction('post', `/api/friends/decline/${user._id}`);
+  /**
+   * Removes the profile user from the current user's friends, after confirmation.
+   */
+  const handleUnfriend = () => {
+    if (!window.confirm(`Remove @${user.username} from your friends?`)) return;
+    runFriendAction('delete', `/api/friends/${user._id}`);
+  };
+  /**
+   * Blocks the profile user, after confirmation. This also removes any friendship or pending requests.
+   */
+  const handleBlock = () => {
+    if (!window.confirm(`Block @${user.username}? They won't be able to send you friend requests and you won't see their reviews.`)) return;
+    runFriendAction('post', `/api/users/${user._id}/block`);
+  };
+  /**
+   * Unblocks the profile user.
+   */
+  const handleUnblock = () => runFriendAction('delete', `/api/users/${user._id}/block`);
+
   // Render the profile card.
   return (
     // Main section container for the profile card with styling.
@@ -89,7 +147,7 @@ export default function ProfileCard({ user, profilePic, isOwnProfile }) {
           size="lg" // Size of the image.
           isOwnProfile={isOwnProfile} // Pass `isOwnProfile` for potential edit functionality within ProfileImage.
         />
-        {/* Container for username and friends link. */}
+        {/* Container for username, friends and lists links. */}
         <div>
           <h2 className="text-2xl font-bold">@{user.username}</h2>
           {/* Link to the user's friends list page. */}
@@ -97,6 +155,10 @@ export default function ProfileCard({ user, profilePic, isOwnProfile }) {
             {/* Display number of friends, with correct singular/plural form. */}
             {user.friends?.length || 0} {user.friends?.length === 1 ? 'Friend' : 'Friends'}
           </Link>
+          {/* Link to the user's show lists page. */}
+          <Link to={`/user/${user.username}/lists`} className="ml-3 text-gray-400 text-md hover:text-blue-400 transition-colors">
+            Lists
+          </Link>
         </div>
       </div>
 
@@ -112,6 +174,26 @@ export default function ProfileCard({ user, profilePic, isOwnProfile }) {
                 Friend Requests
               </button>
             </Link>
+            {/* Button linking to the blocked users management page. */}
+            <Link to="/profile/blocked">
+              <button className="w-full bg-blue-500 hover:bg-blue-300 text-white font-bold py-2 px-3 rounded">
+                Blocked Users
+              </button>
+            </Link>
+            {/* Button linking to the import of history from other trackers. */}
+            <Link to="/profile/import">
+              <button className="w-full bg-blue-500 hover:bg-blue-300 text-white font-bold py-2 px-3 rounded">
+                Import History
+              </button>
+            </Link>
+            {/* Button linking to the moderation queue, for admins only. */}
+            {currentUser.role === 'admin' && (
+              <Link to="/admin/moderation">
+                <button className="w-full bg-red-600 hover:bg-red-500 text-white font-bold py-2 px-3 rounded">
+                  Moderation
+                </button>
+              </Link>
+            )}
             {/* Button linking to the settings page. */}
             <Link to="/settings">
               <button className="w-full bg-blue-500 hover:bg-amber-400 hover:text-black text-white font-bold py-2 px-3 rounded">
@@ -122,29 +204,79 @@ export default function ProfileCard({ user, profilePic, isOwnProfile }) {
           {/* Component to display location information (presumably for the current user). */}
           <LocationInfo />
         </div>
+      ) : isBlocked ? (
+        // If the current user has blocked the profile user: only offer to unblock.
+        <button
+          onClick={handleUnblock}
+          disabled={sending}
+          className="bg-gray-500 hover:bg-gray-600 text-white font-bold py-2 px-4 rounded"
+        >
+          Unblock
+        </button>
       ) : isFriend ? (
-        // If it's another user's profile and they are already a friend:
+        // If it's another user's profile and they are already a friend: offer to remove them.
+        <button
+          onClick={handleUnfriend}
+          disabled={sending}
+          className="group bg-gray-500 hover:bg-red-600 text-white font-bold py-2 px-4 rounded"
+        >
+          {/* Show "Friends", switching to "Unfriend" on hover. */}
+          <span className="group-hover:hidden">Friends</span>
+          <span className="hidden group-hover:inline">Unfriend</span>
+        </button>
+      ) : hasIncoming ? (
+        // If the profile user sent the current user a friend request: accept or decline it.
+        <div className="flex space-x-2">
+          <button
+            onClick={handleAccept}
+            disabled={sending}
+            className="bg-green-500 hover:bg-green-600 text-white font-bold py-2 px-4 rounded"
+          >
+            Accept
+          </button>
+          <button
+            onClick={handleDecline}
+            disabled={sending}
+            className="bg-red-500 hover:bg-red-600 text-white font-bold py-2 px-4 rounded"
+          >
+            Decline
+          </button>
+        </div>
+      ) : isPending ? (
+        // If the current user already sent a friend request: allow cancelling it.
         <button
-          className="bg-gray-500 text-white font-bold py-2 px-4 rounded"
-          disabled // Button is disabled as they are already friends.
+          onClick={handleCancel}
+          disabled={sending}
+          className="group bg-gray-500 hover:bg-red-600 text-white font-bold py-2 px-4 rounded"
         >
-          Friends
+          {/* Show "Request Sent", switching to "Cancel Request" on hover. */}
+          <span className="group-hover:hidden">{sending ? 'Cancelling…' : 'Request Sent'}</span>
+          <span className="hidden group-hover:inline">Cancel Request</span>
         </button>
       ) : (
         // If it's another user's profile and they are not a friend:
         <button
           onClick={handleAdd} // Call `handleAdd` to send a friend request.
-          disabled={sending || isPending} // Disable button if request is sending or already pending.
+          disabled={sending} // Disable button while the request is sending.
           className="bg-blue-500 hover:bg-blue-600 text-white font-bold py-2 px-4 rounded"
         >
-          {/* Dynamically set button text based on `sending` and `isPending` states. */}
-          {sending
-            ? 'Sending…'
-            : isPending
-              ? 'Request Sent'
-              : 'Add Friend'}
+          {sending ? 'Sending…' : 'Add Friend'}
         </button>
       )}
+      {/* Block option for other users' profiles. */}
+      {!isOwnProfile && !isBlocked && (
+        <button
+          onClick={handleBlock}
+          disabled={sending}
+          className="ml-3 text-sm text-gray-400 hover:text-red-400 transition-colors"
+        >
+          Block
+        </button>
+      )}
+      {/* Report option for other users' profiles. */}
+      {!isOwnProfile && (
+        <ReportButton url={`/api/users/${user._id}/report`} subject="user" className="ml-3" />
+      )}
     </section>
   );
 }
\ No newline at end of file
@@ -2,6 +2,7 @@
  * @file RecentReviews.jsx
  * @description A React component that displays a horizontally scrolling carousel of recent reviews
  * written by a specific user (either the authenticated user or another user whose profile is being viewed).
+ * On the user's own profile, each review can be edited (in a modal) or deleted.
  */
 
 // Import React and hooks (useEffect, useState) for component logic.
@@ -14,6 +15,8 @@ import { useAuth } from "../../context/AuthContext.jsx";
 import { useNavigate } from "react-router-dom";
 // Import LoadingSpinner component to display while data is being fetched.
 import LoadingSpinner from "../../components/LoadingSpinner.jsx";
+// Import ReviewForm component to edit a review.
+import ReviewForm from "../showdetails/ReviewSection/ReviewForm.jsx";
 
 /**
  * @function RecentReviews
@@ -36,6 +39,8 @@ function RecentReviews({ userId, username, isOwnProfile }) {
   const [loading, setLoading] = useState(true);
   // State to store any error messages during data fetching.
   const [error, setError] = useState(null);
+  // State holding the review being edited in the modal, or null.
+  const [editingReview, setEditingReview] = useState(null);
   // Get the authenticated user from AuthContext.
   const { user: authUser } = useAuth();
   // Hook for programmatic navigation.
@@ -99,6 +104,46 @@ function RecentReviews({ userId, username, isOwnProfile }) {
     }
   }, [userId, username, isOwnProfile, authUser]); // Dependencies for the effect. `authUser` added for `isOwnProfile` scenario.
 
+  /**
+   * Saves the changes to the review being edited and updates it in the carousel.
+   * @async
+   * @param {object} reviewData - The new review data from the ReviewForm ({ rating, content, containsSpoiler, spoilerSeason, spoilerEpisode }).
+   * @throws {string} Throws an error message string if the update fails, to be handled by ReviewForm.
+   */
+  const handleUpdateReview = async (reviewData) => {
+    const response = await fetch(`/api/reviews/${editingReview._id}`, {
+      method: "PATCH",
+      credentials: "include",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(reviewData)
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) throw data.error || "Failed to update review.";
+    // Keep the show details of the carousel entry and take the updated review fields from the response.
+    setReviews(prev => prev.map(review => (review._id === data._id ? { ...review, ...data } : review)));
+    setEditingReview(null);
+  };
+
+  /**
+   * Deletes a review after asking for confirmation and removes it from the carousel.
+   * @async
+   * @param {string} reviewId - The ID of the review to delete.
+   */
+  const handleDeleteReview = async (reviewId) => {
+    if (!window.confirm("Delete this review? This cannot be undone.")) return;
+    try {
+      const response = await fetch(`/api/reviews/${reviewId}`, { method: "DELETE", credentials: "include" });
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
+      }
+      setReviews(prev => prev.filter(review => review._id !== reviewId));
+    } catch (err) {
+      console.error("Error deleting review:", err);
+      alert("Failed to delete review");
+    }
+  };
+
   // If loading, display a small loading spinner.
   if (loading) {
     // The `small` prop for LoadingSpinner is not standard; assuming it's a custom prop.
@@ -185,6 +230,16 @@ function RecentReviews({ userId, username, isOwnProfile }) {
               showName={review.showName}
               showId={review.showId}
               containsSpoiler={review.containsSpoiler}
+              spoilerHidden={review.spoilerHidden}
+              spoilerSeason={review.spoilerSeason}
+              spoilerEpisode={review.spoilerEpisode}
+              seasonNumber={review.seasonNumber}
+              episodeNumber={review.episodeNumber}
+              edited={!!review.editedAt}
+              pending={review.status === 'pending'}
+              // Edit and delete controls are only available on the user's own profile.
+              onEdit={isOwnProfile ? () => setEditingReview(review) : undefined}
+              onDelete={isOwnProfile ? () => handleDeleteReview(review._id) : undefined}
               // Note: Like/dislike counts and actions (onVote) are not passed here,
               // implying this instance of ReviewCard might be display-only for votes
               // or these props are optional in ReviewCard.
@@ -192,6 +247,23 @@ function RecentReviews({ userId, username, isOwnProfile }) {
           </div>
         ))}
       </div>
+
+      {/* Modal with the edit form for the selected review. */}
+      {editingReview && (
+        <div
+          className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 p-4"
+          onClick={() => setEditingReview(null)} // Close when clicking the backdrop.
+        >
+          <div className="w-full max-w-lg" onClick={(e) => e.stopPropagation()}>
+            <ReviewForm
+              initialReview={editingReview}
+              onSubmit={handleUpdateReview}
+              showTitle={editingReview.showName || "this show"}
+              onCancel={() => setEditingReview(null)}
+            />
+          </div>
+        </div>
+      )}
     </section>
   );
 }
@@ -1,7 +1,7 @@
 /**
  * @file WatchlistCarousel.jsx
  * @description A React component that displays a horizontally scrolling carousel of TV shows
- * from a user's watchlist. It fetches show details from TMDB based on IDs in the user's watchlist,
+ * from a user's watchlist. It fetches the first page of the watchlist, with each show's details, from the server,
  * implements an infinite scroll illusion if enough items are present, and allows removing items from the watchlist.
  */
 
@@ -18,16 +18,22 @@ import { Link } from "react-router-dom";
 // Import motion and AnimatePresence from framer-motion for animations.
 import { motion, AnimatePresence } from "framer-motion";
 
+/**
+ * Number of shows shown in the carousel; the rest are on the "View All" page.
+ * @const {number}
+ */
+const CAROUSEL_SHOW_COUNT = 20;
+
 /**
  * @function WatchlistCarousel
  * @description A React functional component that renders a carousel of TV shows from a user's watchlist.
  *
  * @param {object} props - The properties passed to the component.
- * @param {object} props.user - The user object, expected to have a `watchlist` array of show IDs.
+ * @param {object} props.user - The user object, expected to have a `watchlist` array of entries (see `src/shared/watchlist.js`).
  * @param {string} [props.title="Your Watchlist"] - The title to display above the carousel.
  * @param {number} [props.cardActualWidth=130] - The actual width of each TVShowCard in pixels.
  * @param {function} [props.onWatchlistChange] - Callback function invoked when the watchlist changes (e.g., an item is removed).
- *                                               Receives the updated watchlist (array of IDs) as an argument.
+ *                                               Receives the updated watchlist (array of entries) as an argument.
  * @param {'smooth' | 'auto'} [props.userScrollBehavior="smooth"] - The `scroll-behavior` CSS property for user-initiated scrolls.
  * @returns {JSX.Element} The rendered WatchlistCarousel component.
  */
@@ -51,8 +57,6 @@ function WatchlistCarousel({
   const containerRef = useRef(null);
   // Ref for the content div that holds all show cards.
   const contentRef = useRef(null);
-  // TMDB API key from environment variables.
-  const API_KEY = import.meta.env.VITE_TMDB_API_KEY;
   // Item width used for calculations.
   const itemWidth = cardActualWidth;
   // Determine if the profile is the authenticated user's own profile.
@@ -61,41 +65,28 @@ function WatchlistCarousel({
   const MIN_SHOWS_FOR_INFINITE_SCROLL = 6
 
   /**
-   * `useEffect` hook to fetch details for each show in the user's watchlist.
-   * Runs when the `user.watchlist` or `API_KEY` changes.
+   * `useEffect` hook to fetch the first shows of the user's watchlist, with their details.
+   * Runs when the `user.watchlist` changes.
    */
   useEffect(() => {
-    // If API key is missing, or no user/watchlist, or watchlist is empty, do nothing.
-    if (!API_KEY || !user?.watchlist || user.watchlist.length === 0) {
+    // If no user/watchlist, or watchlist is empty, do nothing.
+    if (!user?.watchlist || user.watchlist.length === 0) {
       setIsLoading(false);
       setShows([]); // Ensure shows array is empty.
       return;
     }
 
     /**
-     * Asynchronous function to fetch details for all shows in the watchlist.
+     * Asynchronous function to fetch the first page of the watchlist. The server adds each show's details
+     * (from its show cache) in one request.
      * @async
      */
     const fetchShowDetails = async () => {
       setIsLoading(true);
       try {
-        // Create an array of promises, each fetching details for one show ID.
-        const showPromises = user.watchlist.map((id) =>
-          axios.get(
-            `https://api.themoviedb.org/3/tv/${id}?api_key=${API_KEY}&language=en-US`
-          )
-            .then((res) => res.data) // On success, return the show data.
-            .catch((err) => { // On failure for a single show, log error and return null.
-              console.error(`Failed to fetch show ${id}:`, err);
-              return null; // Allows Promise.all to complete even if some requests fail.
-            })
-        );
-
-        // Wait for all detail fetch promises to resolve.
-        const showResults = await Promise.all(showPromises);
-        // Filter out any null results (from failed fetches).
-        const validShows = showResults.filter((show) => show !== null);
-        setShows(validShows); // Update shows state with valid show details.
+        const url = isOwnProfile ? "/api/watchlist" : `/api/users/${encodeURIComponent(username)}/watchlist`;
+        const res = await axios.get(url, { params: { limit: CAROUSEL_SHOW_COUNT }, withCredentials: true });
+        setShows(res.data.shows); // Update shows state with the shows, in the user's order.
       } catch (error) {
         console.error("Error fetching show details:", error);
         setShows([]); // Set shows to empty on overall error.
@@ -105,7 +96,7 @@ function WatchlistCarousel({
     };
 
     fetchShowDetails();
-  }, [user?.watchlist, API_KEY]); // Dependencies for the effect.
+  }, [user?.watchlist, isOwnProfile, username]); // Dependencies for the effect.
 
   /**
    * Handles the scroll event for infinite scroll illusion.
@@ -217,7 +208,7 @@ function WatchlistCarousel({
 
         // If `onWatchlistChange` callback is provided, call it with the updated watchlist.
         if (onWatchlistChange) {
-          const updatedWatchlist = user.watchlist.filter(id => String(id) !== String(showIdToRemove));
+          const updatedWatchlist = user.watchlist.filter(entry => String(entry.showId) !== String(showIdToRemove));
           onWatchlistChange(updatedWatchlist);
         }
       } else {
@@ -230,16 +221,6 @@ function WatchlistCarousel({
     }
   };
 
-  // If API_KEY is not configured, render an error message.
-  if (!API_KEY) {
-    return (
-      <section className="relative my-8">
-        <h3 className="text-xl font-bold px-4 md:px-0 mb-4">{title}</h3>
-        <p className="px-4 md:px-0 text-red-500">TMDB API Key not configured.</p>
-      </section>
-    );
-  }
-
   // If loading, display skeleton cards.
   if (isLoading) {
     const SkeletonCard = () => ( // Define SkeletonCard component locally.
@@ -334,7 +315,7 @@ function WatchlistCarousel({
         </h3>
         {/* Show "View All" link only if there are items in the watchlist. */}
         {user?.watchlist && user.watchlist.length > 0 && (
-          <Link to="/view-all/watchlist" state={{ watchlist: user.watchlist }}> {/* Pass watchlist IDs to view all page. */}
+          <Link to="/view-all/watchlist" state={{ username }}> {/* Tell the view all page whose watchlist to show. */}
             <button className="text-sm text-blue-400 font-semibold hover:underline">
               View All
             </button>
@@ -1,105 +1,231 @@
 /**
  * @file ViewAllWatchlist.jsx
  * @description A React component that displays a grid of all TV shows in a user's watchlist.
- * It receives the watchlist (array of show IDs) via route state, fetches details for each show from TMDB,
- * and supports pagination ("Load More").
+ * Shows can be filtered by status, priority and tag, and sorted by the user's own order, date added, priority,
+ * status or name. On their own watchlist, users can change each show's status, priority and tag,
+ * and drag shows to reorder them. Another user's watchlist (passed as `username` in the route state) is read-only.
+ * The server filters, sorts and paginates the watchlist; each "Load More" fetches the next page.
  */
 
 // Import React hooks and utilities.
-import React, { useEffect, useState } from "react";
+import React, { useEffect, useState, useCallback } from "react";
 // Import Link for client-side navigation, useLocation to access route state, and useNavigate for programmatic navigation.
 import { Link, useLocation, useNavigate } from "react-router-dom";
 // Import TVShowCard component for displaying individual show cards.
 import TVShowCard from "../../components/TVShowCard";
 // Import motion from framer-motion for animations.
 import { motion } from "framer-motion";
-// Import axios for making HTTP requests to TMDB.
+// Import axios for making HTTP requests.
 import axios from "axios";
+// Import useAuth custom hook to tell the user's own watchlist from someone else's.
+import { useAuth } from "../../context/AuthContext.jsx";
+// Import the shared watchlist entry rules.
+import {
+  WATCHLIST_STATUSES, WATCHLIST_STATUS_LABELS, WATCHLIST_PRIORITIES, WATCHLIST_PRIORITY_LABELS, WATCHLIST_TAG_MAX_LENGTH,
+  WATCHLIST_SORTS, WATCHLIST_SORT_LABELS
+} from "../../shared/watchlist";
 
 // Constants for pagination and card styling.
 const FILMS_PER_PAGE = 12; // Number of items to display per page/load (using FILMS_PER_PAGE, though it's for TV shows).
 const CARD_WIDTH = 130;    // Width of each TVShowCard in pixels.
 
+/**
+ * Background colour of each status badge.
+ * @type {Object<string, string>}
+ */
+const STATUS_COLORS = {
+  planned: "bg-gray-600",
+  watching: "bg-blue-600",
+  paused: "bg-yellow-600",
+  dropped: "bg-red-700",
+  completed: "bg-green-700",
+};
+
 /**
  * @function ViewAllWatchlist
  * @description A React functional component that renders a page displaying all shows in a user's watchlist.
- * It fetches show details from TMDB using IDs passed via route state and paginates the results.
+ * It fetches the watchlist one page at a time, with each show's details.
  *
  * @returns {JSX.Element} The rendered ViewAllWatchlist component.
  */
 export default function ViewAllWatchlist() {
   /**
-   * `state` from `useLocation()` hook, expected to contain `watchlist` (an array of show IDs).
-   * @type {{watchlist?: Array<string|number>}}
+   * `state` from `useLocation()` hook, optionally containing the `username` of the watchlist's owner.
+   * @type {{username?: string}}
    */
   const { state } = useLocation();
-  // State to store the array of show objects (with details fetched from TMDB).
+  // Get the authenticated user from AuthContext.
+  const { user: authUser } = useAuth();
+  // The owner of the watchlist shown: the route state's user, or the authenticated user.
+  const username = state?.username;
+  // Determine if the watchlist is the authenticated user's own watchlist.
+  const isOwnProfile = !username || username === authUser?.username;
+  // State to store the array of show objects (with TMDB details and their watchlist `entry`), in the user's order.
   const [shows, setShows] = useState([]);
-  // State to track loading status for fetching show details.
+  // State to track the first load of the watchlist.
   const [isLoading, setIsLoading] = useState(true);
-  // State to manage the current page number for pagination.
+  // State to track later fetches (filter or sort changes, "Load More").
+  const [isFetching, setIsFetching] = useState(false);
+  // The last page fetched, the number of pages and the number of shows matching the filters.
   const [page, setPage] = useState(1);
-  // TMDB API key from environment variables.
-  const API_KEY = import.meta.env.VITE_TMDB_API_KEY;
+  const [totalPages, setTotalPages] = useState(0);
+  const [total, setTotal] = useState(0);
+  // The tags used in the watchlist, for the tag filter.
+  const [tags, setTags] = useState([]);
+  // The filters and sort picked by the user.
+  const [statusFilter, setStatusFilter] = useState("all");
+  const [priorityFilter, setPriorityFilter] = useState("all");
+  const [tagFilter, setTagFilter] = useState("all");
+  const [sortBy, setSortBy] = useState("order");
+  // The show being dragged, and the show it is dragged over.
+  const [draggedId, setDraggedId] = useState(null);
+  const [dragOverId, setDragOverId] = useState(null);
   // Hook for programmatic navigation (e.g., for the "Back" button).
   const navigate = useNavigate();
-  // Determine if the profile is the authenticated user's own profile.
-  const isOwnProfile = !username || username === authUser?.username;
+
+  // Whether any filter is picked.
+  const hasFilters = statusFilter !== "all" || priorityFilter !== "all" || tagFilter !== "all";
+  // Shows can be dragged on the user's own watchlist, in their order and without filters.
+  const canReorder = isOwnProfile && sortBy === "order" && !hasFilters;
 
   /**
-   * `useEffect` hook to fetch details for each show in the watchlist.
-   * Runs when `API_KEY` or `state.watchlist` (passed via route state) changes.
+   * Fetches one page of the watchlist, with the picked filters and sort.
+   * @async
+   * @param {number} pageNumber - The page to fetch (from 1).
+   * @returns {Promise<object>} The page: `{ shows, page, limit, total, totalPages, tags }`.
+   */
+  const fetchPage = useCallback(async (pageNumber) => {
+    const url = isOwnProfile ? "/api/watchlist" : `/api/users/${encodeURIComponent(username)}/watchlist`;
+    const params = { sort: sortBy, page: pageNumber, limit: FILMS_PER_PAGE };
+    if (statusFilter !== "all") params.status = statusFilter;
+    if (priorityFilter !== "all") params.priority = priorityFilter;
+    if (tagFilter !== "all") params.tag = tagFilter;
+    const res = await axios.get(url, { params, withCredentials: true });
+    return res.data;
+  }, [isOwnProfile, username, statusFilter, priorityFilter, tagFilter, sortBy]);
+
+  /**
+   * `useEffect` hook to fetch the first page of the watchlist.
+   * Runs again (from the first page) whenever the filters or the sort change.
    */
   useEffect(() => {
+    // Ignore the response if the filters changed again before it arrived.
+    let ignore = false;
     /**
-     * Asynchronous function to fetch details for all shows in the watchlist.
+     * Asynchronous function to fetch the first page of the watchlist.
      * @async
      */
-    const fetchWatchlistShows = async () => {
-      // If API key is missing, or no watchlist data in state, or watchlist is empty, do nothing.
-      if (!API_KEY || !state?.watchlist || state.watchlist.length === 0) {
-        setIsLoading(false);
-        setShows([]); // Ensure shows array is empty.
-        return;
-      }
-
+    const fetchFirstPage = async () => {
+      setIsFetching(true);
       try {
-        setIsLoading(true); // Set loading state.
-        // Create an array of promises, each fetching details for one show ID from TMDB.
-        const showPromises = state.watchlist.map((id) =>
-          axios.get( // Using axios here
-            `https://api.themoviedb.org/3/tv/${id}?api_key=${API_KEY}&language=en-US`
-          )
-        );
-
-        // Wait for all detail fetch promises to resolve.
-        const showResults = await Promise.all(showPromises);
-        // Filter out any unsuccessful requests (where `res.data` might be falsy) and map to the data.
-        const validShows = showResults
-          .filter((res) => res.data) // Ensure data exists in the response.
-          .map((res) => res.data);   // Extract the show data.
-
-        setShows(validShows); // Update shows state with valid show details.
+        const data = await fetchPage(1);
+        if (ignore) return;
+        setShows(data.shows);
+        setPage(data.page);
+        setTotalPages(data.totalPages);
+        setTotal(data.total);
+        setTags(data.tags);
       } catch (error) {
+        if (ignore) return;
         console.error("Error fetching watchlist shows:", error);
         setShows([]); // Set shows to empty on error.
-        // Optionally, set an error state here to display a message to the user.
+        setTotal(0);
+        setTotalPages(0);
       } finally {
-        setIsLoading(false); // Set loading to false.
+        if (!ignore) {
+          setIsFetching(false);
+          setIsLoading(false);
+        }
       }
     };
 
-    fetchWatchlistShows();
-  }, [API_KEY, state?.watchlist]); // Dependencies for the effect.
+    fetchFirstPage();
+    return () => { ignore = true; };
+  }, [fetchPage]); // Dependencies for the effect.
+
+  /**
+   * Fetches the next page of the watchlist and adds its shows to the ones shown.
+   * @async
+   */
+  const handleLoadMore = async () => {
+    setIsFetching(true);
+    try {
+      const data = await fetchPage(page + 1);
+      // Skip shows already shown, in case the watchlist changed in between.
+      setShows((prev) => {
+        const shownIds = new Set(prev.map((show) => show.entry.showId));
+        return [...prev, ...data.shows.filter((show) => !shownIds.has(show.entry.showId))];
+      });
+      setPage(data.page);
+      setTotalPages(data.totalPages);
+      setTotal(data.total);
+    } catch (error) {
+      console.error("Error fetching more watchlist shows:", error);
+      alert("Failed to load more shows.");
+    } finally {
+      setIsFetching(false);
+    }
+  };
+
+  /**
+   * Saves a change to a show's status, priority or tag. The change is shown at once and reverted if it can't be saved.
+   * @async
+   * @param {string} showId - The show.
+   * @param {object} fields - Any of `status`, `priority` and `tag`.
+   */
+  const updateEntry = async (showId, fields) => {
+    const previousShows = shows;
+    setShows((prev) => prev.map((show) => show.entry.showId === showId ? { ...show, entry: { ...show.entry, ...fields } } : show));
+    try {
+      await axios.patch(`/api/watchlist/${showId}`, fields, { withCredentials: true });
+      // Offer a new tag in the tag filter.
+      if (fields.tag) setTags((prev) => prev.includes(fields.tag) ? prev : [...prev, fields.tag].sort((a, b) => a.localeCompare(b)));
+    } catch (error) {
+      console.error("Error updating watchlist entry:", error);
+      setShows(previousShows);
+      alert(error.response?.data?.message || "Failed to update the show.");
+    }
+  };
+
+  /**
+   * Moves the dragged show to the place of the show it was dropped on (just before it), and saves the move.
+   * The new order is shown at once and reverted if it can't be saved.
+   * @async
+   * @param {string} targetId - The show the dragged show was dropped on.
+   */
+  const handleDrop = async (targetId) => {
+    const sourceId = draggedId;
+    setDraggedId(null);
+    setDragOverId(null);
+    if (!sourceId || sourceId === targetId) return;
+    const previousShows = shows;
+    const reordered = [...shows];
+    const [moved] = reordered.splice(reordered.findIndex((show) => show.entry.showId === sourceId), 1);
+    reordered.splice(reordered.findIndex((show) => show.entry.showId === targetId), 0, moved);
+    setShows(reordered);
+    try {
+      await axios.put(
+        "/api/watchlist/order",
+        { showId: sourceId, beforeShowId: targetId },
+        { withCredentials: true }
+      );
+    } catch (error) {
+      console.error("Error reordering watchlist:", error);
+      setShows(previousShows);
+      alert(error.response?.data?.message || "Failed to reorder the watchlist.");
+    }
+  };
 
-  // Slice the `shows` array to get only the items for the current page(s).
-  const displayedShows = shows.slice(0, page * FILMS_PER_PAGE);
+  // Title of the page.
+  const pageTitle = isOwnProfile ? "Your Watchlist" : `${username}'s Watchlist`;
+  // Classes of the filter and sort selects.
+  const selectClasses = "bg-[#2E2E2E] text-gray-200 rounded-lg px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500";
 
   // If loading, display skeleton cards.
   if (isLoading) {
     return (
       <div className="px-6 py-8 bg-[#1e1e1e] min-h-screen text-white">
-        <h1 className="text-4xl font-semibold mb-8">Your Watchlist</h1>
+        <h1 className="text-4xl font-semibold mb-8">{pageTitle}</h1>
         {/* Grid for skeleton cards. */}
         <div className="flex flex-wrap gap-4">
           {/* Render a fixed number of skeleton cards based on FILMS_PER_PAGE. */}
@@ -116,7 +242,7 @@ export default function ViewAllWatchlist() {
   }
 
   // If (after loading) the watchlist is empty.
-  if (!shows.length) {
+  if (!hasFilters && total === 0 && !isFetching) {
     return (
       <div className="px-6 py-8 bg-[#1e1e1e] min-h-screen text-white">
         {/* Back button */}
@@ -128,7 +254,7 @@ export default function ViewAllWatchlist() {
         </button>
         <h1 className="text-4xl font-semibold mb-8">Watchlist</h1>
         <p>{isOwnProfile
-          ? "You haven't added any shows your the watchlist ."
+          ? "You haven't added any shows to your watchlist."
           : `${username} hasn’t added any shows to their watchlist.`}</p>
       </div>
     );
@@ -151,24 +277,63 @@ export default function ViewAllWatchlist() {
         ← Back
       </button>
 
-      <h1 className="text-4xl font-semibold mb-8">Your Watchlist</h1>
+      <h1 className="text-4xl font-semibold mb-6">{pageTitle}</h1>
+
+      {/* Filters and sort. */}
+      <div className="flex flex-wrap items-center gap-3 mb-6">
+        <select value={statusFilter} onChange={(e) => { setStatusFilter(e.target.value); }} aria-label="Filter by status" className={selectClasses}>
+          <option value="all">All statuses</option>
+          {WATCHLIST_STATUSES.map((status) => <option key={status} value={status}>{WATCHLIST_STATUS_LABELS[status]}</option>)}
+        </select>
+        <select value={priorityFilter} onChange={(e) => { setPriorityFilter(e.target.value); }} aria-label="Filter by priority" className={selectClasses}>
+          <option value="all">All priorities</option>
+          {WATCHLIST_PRIORITIES.map((priority) => <option key={priority} value={priority}>{WATCHLIST_PRIORITY_LABELS[priority]}</option>)}
+        </select>
+        {tags.length > 0 && (
+          <select value={tagFilter} onChange={(e) => { setTagFilter(e.target.value); }} aria-label="Filter by tag" className={selectClasses}>
+            <option value="all">All tags</option>
+            {tags.map((tag) => <option key={tag} value={tag}>{tag}</option>)}
+          </select>
+        )}
+        <label className="flex items-center gap-2 text-sm text-gray-400">
+          Sort by
+          <select value={sortBy} onChange={(e) => setSortBy(e.target.value)} className={selectClasses}>
+            {WATCHLIST_SORTS.map((sort) => <option key={sort} value={sort}>{WATCHLIST_SORT_LABELS[sort]}</option>)}
+          </select>
+        </label>
+      </div>
+      {isOwnProfile && (
+        <p className="text-xs text-gray-500 mb-4">
+          {canReorder ? "Drag shows to reorder your watchlist." : "Sort by \"My order\" and clear the filters to reorder your watchlist."}
+        </p>
+      )}
+
+      {total === 0 && !isFetching && <p className="text-gray-400">No shows match these filters.</p>}
 
       {/* Grid container for displaying show cards. */}
       <div className="flex flex-wrap gap-4">
-        {/* Map over `displayedShows` to render TVShowCard components with animation. */}
-        {displayedShows.map((show, index) => (
+        {/* Map over the fetched shows to render TVShowCard components with animation. */}
+        {shows.map((show, index) => (
           <motion.div
-            key={show.id} // Use show ID as key.
+            key={show.entry.showId} // Use show ID as key.
             className="flex-shrink-0" // Prevent cards from shrinking.
             style={{ width: `${CARD_WIDTH}px` }} // Set fixed width.
             // Framer Motion animation properties for staggered appearance.
             initial={{ opacity: 0, y: 20 }}
             animate={{ opacity: 1, y: 0 }}
-            transition={{ delay: index * 0.03 }} // Staggered delay for each card.
-            whileHover={{ scale: 1.05 }}        // Hover animation (scale up).
+            transition={{ delay: (index % FILMS_PER_PAGE) * 0.03 }} // Staggered delay for each card of a page.
+          >
+          {/* Native drag and drop to reorder the watchlist (on a plain element: motion elements handle their own drag events). */}
+          <div
+            className={`rounded-lg ${dragOverId === show.entry.showId && draggedId !== show.entry.showId ? "ring-2 ring-blue-500" : ""} ${draggedId === show.entry.showId ? "opacity-50" : ""}`}
+            draggable={canReorder}
+            onDragStart={() => setDraggedId(show.entry.showId)}
+            onDragEnd={() => { setDraggedId(null); setDragOverId(null); }}
+            onDragOver={(e) => { if (canReorder && draggedId) { e.preventDefault(); setDragOverId(show.entry.showId); } }}
+            onDrop={(e) => { e.preventDefault(); handleDrop(show.entry.showId); }}
           >
             {/* Link each card to its show detail page. */}
-            <Link to={`/show/${show.id}`}>
+            <Link to={`/show/${show.entry.showId}`} draggable={false}>
               <TVShowCard
                 imageUrl={
                   show.poster_path // Construct image URL if poster_path exists.
@@ -180,23 +345,64 @@ export default function ViewAllWatchlist() {
                 // averageRating could be passed if available from TMDB details
               />
             </Link>
+            {/* The show's details couldn't be loaded (TMDB unreachable): it is shown with its ID only. */}
+            {show.unavailable && <p className="mt-1 text-xs text-gray-500">Details unavailable right now.</p>}
+
+            {/* The show's entry: editable on the user's own watchlist, badges otherwise. */}
+            {isOwnProfile ? (
+              <div className="mt-2 space-y-1 text-xs">
+                <select
+                  value={show.entry.status}
+                  onChange={(e) => updateEntry(show.entry.showId, { status: e.target.value })}
+                  aria-label={`Status of ${show.name}`}
+                  className={`w-full rounded px-1 py-0.5 text-white ${STATUS_COLORS[show.entry.status]}`}
+                >
+                  {WATCHLIST_STATUSES.map((status) => <option key={status} value={status}>{WATCHLIST_STATUS_LABELS[status]}</option>)}
+                </select>
+                <select
+                  value={show.entry.priority}
+                  onChange={(e) => updateEntry(show.entry.showId, { priority: e.target.value })}
+                  aria-label={`Priority of ${show.name}`}
+                  className="w-full bg-[#2E2E2E] text-gray-200 rounded px-1 py-0.5"
+                >
+                  {WATCHLIST_PRIORITIES.map((priority) => <option key={priority} value={priority}>{WATCHLIST_PRIORITY_LABELS[priority]} priority</option>)}
+                </select>
+                <input
+                  key={show.entry.tag} // Resets the field when the saved tag changes (or a failed save is reverted).
+                  type="text"
+                  defaultValue={show.entry.tag}
+                  maxLength={WATCHLIST_TAG_MAX_LENGTH}
+                  placeholder="Add a tag"
+                  aria-label={`Tag of ${show.name}`}
+                  // Save the tag when the field loses focus, if it changed.
+                  onBlur={(e) => { if (e.target.value.trim() !== show.entry.tag) updateEntry(show.entry.showId, { tag: e.target.value.trim() }); }}
+                  onKeyDown={(e) => { if (e.key === "Enter") e.currentTarget.blur(); }}
+                  className="w-full bg-[#2E2E2E] text-gray-200 rounded px-1 py-0.5 placeholder-gray-500"
+                />
+              </div>
+            ) : (
+              <div className="mt-2 flex flex-wrap gap-1 text-xs">
+                <span className={`px-1.5 py-0.5 rounded text-white ${STATUS_COLORS[show.entry.status]}`}>{WATCHLIST_STATUS_LABELS[show.entry.status]}</span>
+                {show.entry.tag && <span className="px-1.5 py-0.5 rounded bg-[#2E2E2E] text-gray-300">{show.entry.tag}</span>}
+              </div>
+            )}
+          </div>
           </motion.div>
         ))}
       </div>
 
-      {/* "Load More" button, shown if there are more shows to display than currently visible. */}
-      {displayedShows.length < shows.length && (
+      {/* "Load More" button, shown if there are more pages to fetch. */}
+      {page < totalPages && (
         <div className="mt-10 flex justify-center">
           <button
-            onClick={() => setPage(page + 1)} // Increment page number to load more items.
-            className="px-6 py-3 rounded-2xl bg-gradient-to-r from-blue-600 to-indigo-600 text-white font-medium shadow-md hover:shadow-lg transition hover:scale-105"
-            // `isLoading` here would refer to the initial load, not subsequent "Load More" clicks.
-            // A separate loading state for "Load More" might be needed for better UX.
+            onClick={handleLoadMore} // Fetch the next page.
+            disabled={isFetching}
+            className="px-6 py-3 rounded-2xl bg-gradient-to-r from-blue-600 to-indigo-600 text-white font-medium shadow-md hover:shadow-lg transition hover:scale-105 disabled:opacity-60 disabled:hover:scale-100"
           >
-            Load More
+            {isFetching ? "Loading..." : "Load More"}
           </button>
         </div>
       )}
     </motion.div>
   );
-}
\ No newline at end of file
+}
@@ -8,7 +8,7 @@
 
 // Import React hooks (useState, useEffect) for managing component state and side effects.
 import { useState, useEffect } from "react";
-// Import axios for making HTTP requests to the TMDB API.
+// Import axios for making HTTP requests to the TMDB API (through the backend proxy).
 import axios from "axios";
 // Import `motion` from framer-motion for animations.
 import { motion } from "framer-motion";
@@ -53,11 +53,7 @@ const TVShowSearchGrid = () => {
    */
   const fetchTrendingShowsThisWeek = async () => {
     try {
-      const trendingRes = await axios.get("https://api.themoviedb.org/3/trending/tv/week", {
-        params: {
-          api_key: "325f0c86f4e9c504dac84ae3046cbee2", // Hardcoded API key (consider moving to .env).
-        },
-      });
+      const trendingRes = await axios.get("/api/tmdb/trending/tv/week");
       // Update both broadenedShows and filteredBroadenedShows with trending results.
       setBroadenedShows(trendingRes.data.results);
       setFilteredBroadenedShows(trendingRes.data.results);
@@ -102,18 +98,16 @@ const TVShowSearchGrid = () => {
 
     try {
       // Fetch results where the query is treated as an exact phrase (TMDB might not fully support this via `"`).
-      const exactRes = await axios.get("https://api.themoviedb.org/3/search/tv", {
+      const exactRes = await axios.get("/api/tmdb/search/tv", {
         params: {
-          api_key: "325f0c86f4e9c504dac84ae3046cbee2", // Hardcoded API key.
           query: `"${query}"`, // Attempt at exact phrase search.
           page: 1,
         },
       });
 
       // Fetch broader search results.
-      const broadRes = await axios.get("https://api.themoviedb.org/3/search/tv", {
+      const broadRes = await axios.get("/api/tmdb/search/tv", {
         params: {
-          api_key: "325f0c86f4e9c504dac84ae3046cbee2", // Hardcoded API key.
           query: query,
           page: 1,
         },
@@ -158,9 +152,8 @@ const TVShowSearchGrid = () => {
     const nextPage = currentPage + 1; // Increment page number.
     try {
       // Fetch results for the next page.
-      const moreResults = await axios.get("https://api.themoviedb.org/3/search/tv", {
+      const moreResults = await axios.get("/api/tmdb/search/tv", {
         params: {
-          api_key: "325f0c86f4e9c504dac84ae3046cbee2", // Hardcoded API key.
           query: query,
           page: nextPage,
         },
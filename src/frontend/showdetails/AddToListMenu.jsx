@@ -0,0 +1,178 @@
+import { useState, useEffect, useRef } from 'react';
+import axios from 'axios';
+import { Link } from 'react-router-dom';
+import { ListPlus, Check, Plus } from 'lucide-react';
+import { useAuth } from '../../context/AuthContext';
+import { LIST_TITLE_MAX_LENGTH } from '../../shared/showLists';
+
+/**
+ * @file AddToListMenu.jsx
+ * @description A React component that renders an "Add to list…" button next to the watchlist button.
+ * It opens a menu of the user's lists where the show can be added to or removed from each list,
+ * and a field to create a new list that starts with the show.
+ */
+
+/**
+ * @function AddToListMenu
+ * @description React component for adding a show to the user's named lists.
+ * The lists are fetched when the menu is first opened.
+ *
+ * @param {object} props - Component props.
+ * @param {string|number} props.showId - The unique identifier for the show.
+ *
+ * @returns {JSX.Element} The button and its menu.
+ */
+const AddToListMenu = ({ showId }) => {
+  // The logged-in user, for the link to their lists.
+  const { user } = useAuth();
+
+  // Whether the menu is open.
+  const [open, setOpen] = useState(false);
+
+  // The user's lists (with `containsShow`), or null until they are fetched.
+  const [lists, setLists] = useState(null);
+
+  // The list being updated, to disable its row during the request.
+  const [busyListId, setBusyListId] = useState(null);
+
+  // The title typed in the "new list" field, and whether the list is being created.
+  const [newTitle, setNewTitle] = useState('');
+  const [creating, setCreating] = useState(false);
+
+  // The menu element, to close the menu on outside clicks.
+  const menuRef = useRef(null);
+
+  // Fetch the lists when the menu opens, so they reflect changes made elsewhere.
+  useEffect(() => {
+    if (!open) return;
+    const fetchLists = async () => {
+      try {
+        const res = await axios.get('/api/lists/mine', { params: { showId }, withCredentials: true });
+        setLists(res.data.lists);
+      } catch (err) {
+        console.error(err);
+        setLists([]);
+      }
+    };
+    fetchLists();
+  }, [open, showId]);
+
+  // Close the menu on clicks outside of it.
+  useEffect(() => {
+    if (!open) return;
+    const handleClickOutside = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [open]);
+
+  /**
+   * Adds the show to a list, or removes it if the list already contains it.
+   * @param {object} list - The list (`_id`, `containsShow`).
+   */
+  const toggleList = async (list) => {
+    setBusyListId(list._id);
+    try {
+      if (list.containsShow) {
+        await axios.delete(`/api/lists/${list._id}/items/${showId}`, { withCredentials: true });
+      } else {
+        await axios.post(`/api/lists/${list._id}/items`, { showId }, { withCredentials: true });
+      }
+      setLists(prev => prev.map(l => l._id === list._id
+        ? { ...l, containsShow: !l.containsShow, itemCount: l.itemCount + (l.containsShow ? -1 : 1) }
+        : l));
+    } catch (err) {
+      console.error(err);
+      alert(err.response?.data?.message || 'Failed to update the list');
+    } finally {
+      setBusyListId(null);
+    }
+  };
+
+  /**
+   * Creates a private list that starts with the show.
+   * @param {React.FormEvent<HTMLFormElement>} e - The form submission event.
+   */
+  const createList = async (e) => {
+    e.preventDefault();
+    if (!newTitle.trim()) return;
+    setCreating(true);
+    try {
+      const res = await axios.post('/api/lists', { title: newTitle.trim(), showId }, { withCredentials: true });
+      setLists(prev => [{ ...res.data.list, containsShow: true }, ...(prev || [])]);
+      setNewTitle('');
+    } catch (err) {
+      console.error(err);
+      alert(err.response?.data?.message || 'Failed to create the list');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  return (
+    <div className="relative" ref={menuRef}>
+      <button
+        onClick={() => setOpen(prev => !prev)}
+        className="px-4 py-2 rounded-full font-semibold flex items-center justify-center gap-2 bg-[#2E2E2E] hover:bg-[#3a3a3a] text-white transition-colors"
+        aria-expanded={open}
+      >
+        <ListPlus className="w-4 h-4" /> Add to list…
+      </button>
+
+      {open && (
+        <div className="absolute z-20 mt-2 w-72 bg-[#2a2a2a] rounded-xl shadow-lg p-3 text-sm">
+          {lists === null ? (
+            <p className="text-gray-400">Loading lists...</p>
+          ) : lists.length === 0 ? (
+            <p className="text-gray-400">You have no lists yet.</p>
+          ) : (
+            <ul className="max-h-60 overflow-y-auto space-y-1">
+              {lists.map(list => (
+                <li key={list._id}>
+                  <button
+                    onClick={() => toggleList(list)}
+                    disabled={busyListId === list._id}
+                    className="w-full flex items-center justify-between gap-2 px-2 py-1 rounded-lg hover:bg-[#3a3a3a] disabled:opacity-50 text-left"
+                  >
+                    <span className="truncate">{list.title}</span>
+                    {list.containsShow && <Check className="w-4 h-4 text-green-400 shrink-0" />}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {/* Quick create */}
+          <form onSubmit={createList} className="flex gap-2 mt-3">
+            <input
+              type="text"
+              value={newTitle}
+              onChange={(e) => setNewTitle(e.target.value)}
+              maxLength={LIST_TITLE_MAX_LENGTH}
+              placeholder="New list"
+              aria-label="New list title"
+              className="flex-1 min-w-0 bg-[#3a3a3a] text-gray-200 rounded-lg px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            <button
+              type="submit"
+              disabled={creating || !newTitle.trim()}
+              aria-label="Create list"
+              className="p-1 bg-blue-600 hover:bg-blue-700 text-white rounded-lg disabled:opacity-50"
+            >
+              <Plus className="w-4 h-4" />
+            </button>
+          </form>
+
+          {user && (
+            <Link to={`/user/${user.username}/lists`} className="block mt-3 text-blue-400 hover:underline">
+              Manage your lists
+            </Link>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AddToListMenu;
@@ -1,12 +1,13 @@
 import { useState } from 'react';
 import axios from 'axios';
 import { motion, AnimatePresence } from 'framer-motion';
+import AddToListMenu from './AddToListMenu.jsx';
 
 /**
  * @file AddToWatchlistButton.js
  * @description A React component that renders a button allowing users to add or remove a show from their watchlist.
  * It visually indicates the current watchlist status, handles loading states during async requests,
- * and animates text changes on hover and loading.
+ * and animates text changes on hover and loading. It is followed by the "Add to list…" menu for the user's named lists.
  */
 
 /**
@@ -17,7 +18,7 @@ import { motion, AnimatePresence } from 'framer-motion';
  * @param {object} props - Component props.
  * @param {string|number} props.showId - The unique identifier for the show to add or remove from the watchlist.
  *
- * @returns {JSX.Element} The interactive button element with animated text and loading spinner.
+ * @returns {JSX.Element} The interactive button element with animated text and loading spinner, and the list menu.
  */
 const AddToWatchlistButton = ({ showId }) => {
   // State to track if the show is currently in the watchlist.
@@ -88,6 +89,7 @@ const AddToWatchlistButton = ({ showId }) => {
   const baseClasses = 'px-4 py-2 rounded-full font-semibold flex items-center justify-center';
 
   return (
+    <>
     <motion.button
       onMouseEnter={() => !loading && setHovered(true)}
       onMouseLeave={() => setHovered(false)}
@@ -133,6 +135,8 @@ const AddToWatchlistButton = ({ showId }) => {
         </AnimatePresence>
       )}
     </motion.button>
+    <AddToListMenu showId={showId} />
+    </>
   );
 };
 
@@ -3,7 +3,9 @@
  * @description A React component that displays a list of episodes for a selected TV show season.
  * It allows users to select seasons, view episodes, select multiple episodes (with drag-to-select),
  * and mark them as watched. It fetches episode data from TMDB and interacts with a backend API
- * for marking episodes as watched.
+ * for marking episodes as watched, pre-checking episodes the user has already watched and
+ * showing per-season and whole-show progress.
+ * Each episode also shows our users' average rating next to TMDB's, and a single selected episode can be rated and reviewed.
  */
 
 // Import React hooks and utilities.
@@ -12,38 +14,28 @@ import React, { useState, useEffect, useCallback } from 'react';
 import axios from 'axios';
 // Import icons from react-icons and lucide-react.
 import { FaEye, FaChevronDown, FaChevronUp } from 'react-icons/fa';
-import { X, CheckCircle, Eye as EyeIcon } from "lucide-react"; // 'Eye' aliased to 'EyeIcon'.
+import { X, CheckCircle, Check, Undo2, Eye as EyeIcon, PenSquare } from "lucide-react"; // 'Eye' aliased to 'EyeIcon'.
 // Import motion and AnimatePresence from framer-motion for animations.
 import { motion, AnimatePresence } from 'framer-motion';
+// Import LevelReviewForm for rating and reviewing a single episode.
+import LevelReviewForm from './ReviewSection/LevelReviewForm';
+// Import levelLabel to name the reviewed episode in the toast.
+import { levelLabel } from '../../shared/reviewLevels';
 
 /**
- * TMDB API Key (Example).
- * Note: It's generally better to manage API keys via environment variables and a centralized configuration,
- * rather than hardcoding them or directly using `import.meta.env` in every component that needs it.
- * This key is specifically used for fetching episode details from TMDB within this component.
- * @const {string}
- */
-const TMDB_API_KEY_EXAMPLE = import.meta.env.VITE_TMDB_API_KEY;
-
-/**
- * Fetches episodes for a specific season of a TV show directly from The Movie Database (TMDB) API.
+ * Fetches episodes for a specific season of a TV show from The Movie Database (TMDB) API,
+ * going through the backend proxy so the TMDB API key stays on the server.
  * @async
  * @param {string|number} showId - The ID of the TV show.
  * @param {string|number} seasonNumber - The number of the season.
  * @returns {Promise<Array<object>>} A promise that resolves to an array of episode objects (with id, number, name, rating)
- *                                   or an empty array if the API key is missing or an error occurs.
+ *                                   or an empty array if an error occurs.
  */
 const fetchSeasonEpisodesFromTMDB = async (showId, seasonNumber) => {
-  // If TMDB API key is not defined, log an error and return an empty array.
-  if (!TMDB_API_KEY_EXAMPLE) {
-    console.error("TMDB API Key is not defined for fetchSeasonEpisodesFromTMDB");
-    return [];
-  }
   try {
-    // Make a GET request to the TMDB API.
-    const response = await axios.get(`https://api.themoviedb.org/3/tv/${showId}/season/${seasonNumber}`, {
+    // Make a GET request to the backend TMDB proxy.
+    const response = await axios.get(`/api/tmdb/tv/${showId}/season/${seasonNumber}`, {
       params: {
-        api_key: TMDB_API_KEY_EXAMPLE, // Use the API key.
         language: "en-US" // Request English language results.
       }
     });
@@ -83,6 +75,7 @@ const formatEpisodeNumber = (num) => {
  * @param {boolean} props.isAuthenticated - Whether the current user is authenticated.
  * @param {string} props.showName - Name of the current TV show (used for toast messages).
  * @param {string} [props.posterPath] - Poster path of the current TV show (used when marking watched).
+ * @param {string|null} [props.currentUserId] - ID of the logged-in user (used to prefill their episode reviews).
  * @returns {JSX.Element} The rendered EpisodeList component.
  */
 const EpisodeList = ({
@@ -90,7 +83,8 @@ const EpisodeList = ({
   showId,
   isAuthenticated,
   showName,
-  posterPath
+  posterPath,
+  currentUserId = null
 }) => {
   // Debug log for props received by the component.
   console.log("Standalone EpisodeList - Props Received:", { seasons, showId, isAuthenticated, showName, posterPath });
@@ -116,6 +110,14 @@ const EpisodeList = ({
   const [watchedToastMessage, setWatchedToastMessage] = useState("");
   // State to indicate if the toast message is an error.
   const [toastIsError, setToastIsError] = useState(false);
+  // State for the user's progress through the show (from `/api/progress/:showId`), or null if not loaded.
+  const [progress, setProgress] = useState(null);
+  // State for the episode IDs marked by the last successful "mark as watched", used by the toast's undo button.
+  const [lastMarkedEpisodeIds, setLastMarkedEpisodeIds] = useState([]);
+  // State for our users' average episode ratings, keyed by season number and then episode number.
+  const [appRatingsBySeason, setAppRatingsBySeason] = useState({});
+  // State for whether the review form of the selected episode is open.
+  const [isReviewing, setIsReviewing] = useState(false);
 
   // Constant defining the limit for initially displayed episodes per season.
   const EPISODES_LIMIT = 20;
@@ -178,6 +180,58 @@ const EpisodeList = ({
     }
   }, [selectedSeason, showId, episodesBySeason]); // Dependencies.
 
+  /**
+   * Fetches the user's watch progress for this show from the backend.
+   * Wrapped in `useCallback` so it can be reused after marking or unmarking episodes.
+   * @async
+   */
+  const loadProgress = useCallback(async () => {
+    if (!isAuthenticated || !showId) {
+      setProgress(null);
+      return;
+    }
+    try {
+      const response = await axios.get(`/api/progress/${showId}`, { withCredentials: true });
+      setProgress(response.data);
+    } catch (error) {
+      console.error(`Failed to load watch progress for show ${showId}:`, error.response?.data || error.message);
+      setProgress(null);
+    }
+  }, [isAuthenticated, showId]);
+
+  /**
+   * `useEffect` hook to load the user's watch progress when the show or authentication state changes.
+   */
+  useEffect(() => {
+    loadProgress();
+  }, [loadProgress]);
+
+  /**
+   * Fetches our users' average rating of each episode of a season.
+   * Wrapped in `useCallback` so it can be reused after reviewing an episode.
+   * @async
+   * @param {number} seasonNumber - The season to fetch the ratings of.
+   */
+  const loadAppRatings = useCallback(async (seasonNumber) => {
+    if (!showId) return;
+    try {
+      const response = await axios.get('/api/average-rating', { params: { showId, seasonNumber, groupBy: 'episode' } });
+      setAppRatingsBySeason(prev => ({
+        ...prev,
+        [seasonNumber]: Object.fromEntries(response.data.episodes.map(ep => [ep.episodeNumber, ep]))
+      }));
+    } catch (error) {
+      console.error(`Failed to load episode ratings for season ${seasonNumber}:`, error.response?.data || error.message);
+    }
+  }, [showId]);
+
+  /**
+   * `useEffect` hook to load our users' episode ratings for the `selectedSeason` the first time it is shown.
+   */
+  useEffect(() => {
+    if (selectedSeason && !appRatingsBySeason[selectedSeason]) loadAppRatings(selectedSeason);
+  }, [selectedSeason, appRatingsBySeason, loadAppRatings]);
+
   /**
    * `useEffect` hook to reset `viewAll` and `selectedEpisodesInfo` states
    * whenever the `selectedSeason` changes.
@@ -206,6 +260,40 @@ const EpisodeList = ({
   const displayedEpisodes = viewAll ? episodes : episodes.slice(0, EPISODES_LIMIT);
   // Check if there are more episodes to show beyond the limit (and not currently showing all).
   const hasMoreEpisodes = episodes.length > EPISODES_LIMIT && !viewAll;
+  // Set of episode IDs (as strings) the user has already watched, used to pre-check episodes.
+  const watchedEpisodeIds = new Set((progress?.episodes || []).map(ep => String(ep.episodeId)));
+  // Progress entry for the currently selected season, if available.
+  const seasonProgress = progress?.seasons?.find(season => season.seasonNumber === selectedSeason);
+  // Number of selected episodes that are already watched (these can be unmarked).
+  const selectedWatchedCount = selectedEpisodesInfo.filter(epInfo => watchedEpisodeIds.has(String(epInfo.id))).length;
+  // Our users' average ratings of the selected season's episodes, keyed by episode number.
+  const appRatings = appRatingsBySeason[selectedSeason] || {};
+  // The episode that can be rated and reviewed: only when exactly one episode is selected.
+  const episodeToReview = selectedEpisodesInfo.length === 1 ? selectedEpisodesInfo[0] : null;
+
+  /**
+   * `useEffect` hook to close the review form when the selection no longer is a single episode.
+   */
+  useEffect(() => {
+    if (!episodeToReview) setIsReviewing(false);
+  }, [episodeToReview]);
+
+  /**
+   * Handles a saved episode review: closes the form, refreshes the season's ratings and shows a toast.
+   * @param {object} review - The saved review.
+   */
+  const handleReviewSaved = (review) => {
+    setIsReviewing(false);
+    setLastMarkedEpisodeIds([]); // The toast is about the review, not something to undo.
+    setToastIsError(false);
+    const label = levelLabel(selectedSeason, formatEpisodeNumber(episodeToReview.number));
+    // Reviews held by content screening only show up for others once a moderator approves them.
+    setWatchedToastMessage(review.status === 'pending'
+      ? `Your review of ${label} was saved and is awaiting approval by a moderator.`
+      : `Your review of ${label} was saved!`);
+    setShowWatchedToast(true);
+    loadAppRatings(selectedSeason);
+  };
 
   /**
    * Handles clicking on an episode to select or deselect it for marking as watched.
@@ -280,11 +368,13 @@ const EpisodeList = ({
 
     try {
       // Make POST request to the backend API to mark episodes as watched.
-      await axios.post('/api/users/mark-watched', watchedData, { withCredentials: true });
-      // On success, show a success toast message.
+      const response = await axios.post('/api/users/mark-watched', watchedData, { withCredentials: true });
+      // On success, show a success toast message with an undo option.
+      setLastMarkedEpisodeIds(response.data?.markedEpisodeIds || selectedEpisodesInfo.map(epInfo => String(epInfo.id)));
       setWatchedToastMessage(`${selectedEpisodesInfo.length} episode(s) from ${watchedData.showName} marked as watched!`);
       setShowWatchedToast(true);
       setSelectedEpisodesInfo([]); // Clear the selected episodes.
+      await loadProgress(); // Refresh progress so the episodes show as watched.
     } catch (error) {
       // On failure, log error and show an error toast message.
       console.error("Failed to mark episodes as watched (Standalone EpisodeList):", error.response?.data || error.message, error.response);
@@ -296,6 +386,38 @@ const EpisodeList = ({
     }
   };
 
+  /**
+   * Removes episodes from the user's watched progress by sending a request to the backend API.
+   * Used both for unmarking selected episodes and for undoing the last "mark as watched".
+   * @async
+   * @param {Array<string|number>} episodeIds - TMDB IDs of the episodes to unmark.
+   * @param {boolean} [isUndo=false] - Whether this call undoes the last mark (changes the toast message).
+   */
+  const handleUnmarkWatched = async (episodeIds, isUndo = false) => {
+    if (!isAuthenticated || !episodeIds || episodeIds.length === 0) return;
+
+    setIsMarkingWatched(true); // Reuse the marking state to disable the buttons.
+    setToastIsError(false);
+    try {
+      await axios.post('/api/users/unmark-watched', {
+        showId: String(showId),
+        episodeIds: episodeIds.map(String),
+      }, { withCredentials: true });
+      setLastMarkedEpisodeIds([]); // Nothing left to undo.
+      setWatchedToastMessage(isUndo ? "Undone. Episodes are no longer marked as watched." : `${episodeIds.length} episode(s) unmarked.`);
+      setShowWatchedToast(true);
+      setSelectedEpisodesInfo([]); // Clear the selected episodes.
+      await loadProgress(); // Refresh progress so the episodes show as unwatched.
+    } catch (error) {
+      console.error("Failed to unmark episodes:", error.response?.data || error.message);
+      setWatchedToastMessage(`Error: ${error.response?.data?.message || "Could not unmark episodes."}`);
+      setToastIsError(true);
+      setShowWatchedToast(true);
+    } finally {
+      setIsMarkingWatched(false);
+    }
+  };
+
   // Handlers for enabling drag-to-select functionality for episodes.
   const handleDragStart = () => setIsDragging(true);
   const handleDragEnd = () => setIsDragging(false);
@@ -335,6 +457,14 @@ const EpisodeList = ({
             <p className="text-blue-400 text-sm mt-1">
               {episodes.length} Episode{episodes.length !== 1 ? "s" : ""} • Select to mark as watched
             </p>
+            {/* Watch progress for this season and the whole show, when available. */}
+            {isAuthenticated && progress && (
+              <p className="text-emerald-400 text-sm mt-1">
+                {seasonProgress?.percentWatched != null && `${seasonProgress.percentWatched}% of season watched`}
+                {seasonProgress?.percentWatched != null && progress.percentWatched != null && " • "}
+                {progress.percentWatched != null && `${progress.percentWatched}% of show watched`}
+              </p>
+            )}
           </div>
           <div className="flex items-center space-x-3">
             <span className="text-sm text-gray-400">
@@ -377,10 +507,14 @@ const EpisodeList = ({
           <div className="grid grid-cols-5 sm:grid-cols-8 md:grid-cols-10 gap-4 mb-6">
             {displayedEpisodes.map(ep => {
               const isSelected = selectedEpisodesInfo.some(selEp => selEp.id === ep.id);
+              const isWatched = watchedEpisodeIds.has(String(ep.id)); // Already watched by the user.
               const canSelect = isAuthenticated; // User can select episodes if authenticated.
               const ratingValue = typeof ep.rating === 'number' ? ep.rating : parseFloat(ep.rating);
               // Format rating for display, show "N/A" if rating is not a valid number or is zero.
               const displayRating = !isNaN(ratingValue) && ratingValue > 0 ? ratingValue.toFixed(1) : 'N/A';
+              // Our users' average rating of the episode, if anyone rated it.
+              const appRating = appRatings[formatEpisodeNumber(ep.number)];
+              const displayAppRating = appRating?.totalReviews ? appRating.averageRating.toFixed(1) : null;
 
               return (
                 // Clickable div for each episode.
@@ -395,19 +529,32 @@ const EpisodeList = ({
                     ${canSelect
                       ? isSelected
                         ? 'bg-blue-600 border-2 border-blue-400 shadow-lg shadow-blue-500/20' // Selected style.
-                        : 'bg-[#343444] hover:bg-[#3f3f52] border border-[#4a4a5a]'          // Unselected style.
+                        : isWatched
+                          ? 'bg-emerald-700/60 hover:bg-emerald-700/80 border border-emerald-500' // Watched style.
+                          : 'bg-[#343444] hover:bg-[#3f3f52] border border-[#4a4a5a]'          // Unselected style.
                       : 'bg-[#343444] border border-[#4a4a5a] cursor-not-allowed'             // Unselectable style.
                     }`}
-                  title={`Ep. ${formatEpisodeNumber(ep.number)}: ${ep.name || ''} - Rating: ${displayRating}`} // Tooltip with episode info.
+                  title={`Ep. ${formatEpisodeNumber(ep.number)}: ${ep.name || ''} - Rating: ${displayRating}${displayAppRating ? ` - Our users: ${displayAppRating}/5 (${appRating.totalReviews})` : ''}${isWatched ? ' (Watched)' : ''}`} // Tooltip with episode info.
                 >
                   {/* Display formatted episode number. */}
                   <span className="text-sm font-medium text-gray-200">{formatEpisodeNumber(ep.number)}</span>
-                  {/* Hover overlay to show episode rating (if available and selectable). */}
-                  {canSelect && displayRating !== 'N/A' && (
-                    <div className={`absolute inset-0 bg-black/80 flex items-center justify-center opacity-0 ${isDragging && !isSelected ? '' : 'hover:opacity-100'} transition-opacity rounded-lg`}>
-                      <span className="text-sm font-bold text-yellow-400">
-                        {displayRating}
-                      </span>
+                  {/* Check mark badge for episodes the user has already watched. */}
+                  {isWatched && (
+                    <Check size={12} className="absolute top-1 right-1 text-emerald-300" />
+                  )}
+                  {/* Hover overlay to show the TMDB rating and our users' rating (if available and selectable). */}
+                  {canSelect && (displayRating !== 'N/A' || displayAppRating) && (
+                    <div className={`absolute inset-0 bg-black/80 flex flex-col items-center justify-center opacity-0 ${isDragging && !isSelected ? '' : 'hover:opacity-100'} transition-opacity rounded-lg`}>
+                      {displayRating !== 'N/A' && (
+                        <span className="text-sm font-bold text-yellow-400">
+                          {displayRating}
+                        </span>
+                      )}
+                      {displayAppRating && (
+                        <span className="text-xs font-bold text-red-400">
+                          🍎 {displayAppRating}
+                        </span>
+                      )}
                     </div>
                   )}
                 </div>
@@ -463,6 +610,45 @@ const EpisodeList = ({
             )}
           </button>
         )}
+
+        {/* "Unmark Selected" button, shown when the selection includes episodes already watched. */}
+        {isAuthenticated && selectedWatchedCount > 0 && (
+          <button
+            onClick={() => handleUnmarkWatched(
+              selectedEpisodesInfo.filter(epInfo => watchedEpisodeIds.has(String(epInfo.id))).map(epInfo => epInfo.id)
+            )}
+            disabled={isMarkingWatched}
+            className="w-full mt-3 py-3 rounded-lg font-medium flex items-center justify-center space-x-3 transition-colors bg-[#343444] hover:bg-[#3f3f52] text-gray-200 disabled:cursor-not-allowed"
+          >
+            <X size={18} />
+            <span>Unmark {selectedWatchedCount} Watched Episode{selectedWatchedCount !== 1 ? "s" : ""}</span>
+          </button>
+        )}
+
+        {/* "Rate & Review" button for a single selected episode, or its review form once opened. */}
+        {isAuthenticated && currentUserId && episodeToReview && (
+          isReviewing ? (
+            <div className="mt-4">
+              <LevelReviewForm
+                showId={showId}
+                showTitle={showName}
+                seasonNumber={selectedSeason}
+                episodeNumber={formatEpisodeNumber(episodeToReview.number)}
+                currentUserId={currentUserId}
+                onSaved={handleReviewSaved}
+                onCancel={() => setIsReviewing(false)}
+              />
+            </div>
+          ) : (
+            <button
+              onClick={() => setIsReviewing(true)}
+              className="w-full mt-3 py-3 rounded-lg font-medium flex items-center justify-center space-x-3 transition-colors bg-[#343444] hover:bg-[#3f3f52] text-gray-200"
+            >
+              <PenSquare size={18} />
+              <span>Rate &amp; Review Episode {formatEpisodeNumber(episodeToReview.number)}</span>
+            </button>
+          )
+        )}
       </div>
 
       {/* Toast notification for "mark as watched" actions. */}
@@ -480,6 +666,16 @@ const EpisodeList = ({
                 {/* Icon based on error state. */}
                 {toastIsError ? <X size={24} /> : <EyeIcon size={24} />}
                 <span>{watchedToastMessage}</span> {/* Display toast message. */}
+                {/* Undo button for the last successful "mark as watched". */}
+                {!toastIsError && lastMarkedEpisodeIds.length > 0 && (
+                  <button
+                    onClick={() => handleUnmarkWatched(lastMarkedEpisodeIds, true)}
+                    disabled={isMarkingWatched}
+                    className="flex items-center gap-1 ml-2 text-sm font-semibold text-blue-300 hover:text-blue-200"
+                  >
+                    <Undo2 size={16} /> Undo
+                  </button>
+                )}
             </motion.div>
         )}
       </AnimatePresence>
@@ -3,12 +3,18 @@
  * @description A React component that displays a list of episodes for a TV show,
  * organized by season. It includes a season dropdown selector and allows expanding
  * individual episodes to view their details.
+ * Each season and episode shows our users' average rating next to TMDB's, and logged-in users can rate and review
+ * a whole season or a single episode.
  */
 
-// Import React and hooks (useState, useEffect) for component logic.
-import React, { useEffect, useState } from "react";
-// Import icons (Star for rating, ChevronDown for dropdown/expand) from lucide-react.
-import { Star, ChevronDown } from "lucide-react";
+// Import React and hooks (useState, useEffect, useCallback) for component logic.
+import React, { useCallback, useEffect, useState } from "react";
+// Import axios for fetching the app's own season and episode ratings.
+import axios from "axios";
+// Import icons (Star for TMDB ratings, Apple for our users' ratings, ChevronDown for dropdown/expand, PenSquare for reviewing) from lucide-react.
+import { Star, Apple, ChevronDown, PenSquare } from "lucide-react";
+// Import LevelReviewForm for rating and reviewing a season or an episode.
+import LevelReviewForm from "./ReviewSection/LevelReviewForm";
 // Import `fetchSeasonEpisodes` function, presumably from a TMDB API utility file.
 // The path '/src/backend/tmdb' suggests this might be a utility function intended for backend use,
 // or it's a client-side utility that directly calls the TMDB API.
@@ -25,9 +31,11 @@ import { fetchSeasonEpisodes } from '/src/backend/tmdb'; // Path might need adju
  *                                            Each season object should have `number`, `name` (optional),
  *                                            `episodeCount` (optional), and potentially `rating`.
  * @param {string|number} props.showId - The ID of the TV show whose episodes are being displayed.
+ * @param {string} [props.showName] - The title of the show, used in the review form.
+ * @param {string|null} [props.currentUserId] - The ID of the logged-in user; only logged-in users can rate and review.
  * @returns {JSX.Element} The rendered EpisodeListView component.
  */
-const EpisodeListView = ({ seasons = [], showId }) => {
+const EpisodeListView = ({ seasons = [], showId, showName = "", currentUserId = null }) => {
   /**
    * State variable for the currently active/selected season number.
    * Defaults to the number of the first season in the `seasons` array, or 1 if no seasons.
@@ -62,6 +70,17 @@ const EpisodeListView = ({ seasons = [], showId }) => {
    * @type {[boolean, function(boolean): void]}
    */
   const [viewAll, setViewAll] = useState(false);
+  /**
+   * State variable to cache our users' average ratings, keyed by season number.
+   * e.g., `{ 1: { season: { averageRating, totalReviews }, episodes: { 3: { averageRating, totalReviews } } } }`
+   * @type {[object, function(object): void]}
+   */
+  const [appRatingsBySeason, setAppRatingsBySeason] = useState({});
+  /**
+   * State variable for what the review form is open for: `{ episodeNumber }` (null for the whole season), or null when closed.
+   * @type {[object|null, function(object|null): void]}
+   */
+  const [reviewTarget, setReviewTarget] = useState(null);
 
   // Constant defining the limit for initially displayed episodes per season.
   const EPISODES_LIMIT = 10;
@@ -115,8 +134,55 @@ const EpisodeListView = ({ seasons = [], showId }) => {
    */
   useEffect(() => {
     setViewAll(false); // Reset to show limited episodes when season changes.
+    setReviewTarget(null); // Close the review form of the previous season.
   }, [activeSeason]);
 
+  /**
+   * Fetches our users' average rating of a season and of each of its episodes.
+   * Wrapped in `useCallback` because it is also called after saving a review.
+   * @async
+   * @param {number} seasonNumber - The season to fetch the ratings of.
+   */
+  const fetchAppRatings = useCallback(async (seasonNumber) => {
+    try {
+      const [seasonRes, episodesRes] = await Promise.all([
+        axios.get("/api/average-rating", { params: { showId, seasonNumber } }),
+        axios.get("/api/average-rating", { params: { showId, seasonNumber, groupBy: "episode" } })
+      ]);
+      setAppRatingsBySeason(prev => ({
+        ...prev,
+        [seasonNumber]: {
+          season: seasonRes.data,
+          // Index the per-episode averages by episode number.
+          episodes: Object.fromEntries(episodesRes.data.episodes.map(episode => [episode.episodeNumber, episode]))
+        }
+      }));
+    } catch (err) {
+      console.error("Failed to load season ratings:", err.message);
+    }
+  }, [showId]);
+
+  /**
+   * `useEffect` hook to load our users' ratings for the `activeSeason` the first time it is shown.
+   */
+  useEffect(() => {
+    if (!appRatingsBySeason[activeSeason]) fetchAppRatings(activeSeason);
+  }, [activeSeason, appRatingsBySeason, fetchAppRatings]);
+
+  // Our users' ratings of the active season and its episodes.
+  const appRatings = appRatingsBySeason[activeSeason] || { season: null, episodes: {} };
+
+  /**
+   * Closes the review form once a season or episode review is saved and refreshes the ratings.
+   * @param {object} review - The saved review.
+   */
+  const handleReviewSaved = (review) => {
+    setReviewTarget(null);
+    // Reviews held by content screening only count once a moderator approves them.
+    if (review.status === 'pending') alert('Your review was saved and is awaiting approval by a moderator.');
+    fetchAppRatings(activeSeason);
+  };
+
   /**
    * Formats a rating number for display.
    * @param {number|string} rating - The rating value.
@@ -127,6 +193,25 @@ const EpisodeListView = ({ seasons = [], showId }) => {
     return (typeof rating === "number" && rating > 0) ? rating.toFixed(1) : "N/A";
   };
 
+  /**
+   * Renders our users' average rating (apples) as a small badge, or nothing if nobody rated it yet.
+   * @param {object|null|undefined} appRating - `{ averageRating, totalReviews }` from `/api/average-rating`.
+   * @returns {JSX.Element|null} The badge.
+   */
+  const renderAppRating = (appRating) => {
+    if (!appRating?.totalReviews) return null;
+    return (
+      <div
+        className="flex items-center bg-[#2a2a2a] px-2 py-1 rounded-full"
+        title={`Average of ${appRating.totalReviews} review${appRating.totalReviews !== 1 ? "s" : ""} on our site`}
+      >
+        <Apple className="w-4 h-4 text-red-400 mr-1" />
+        <span className="text-sm font-medium text-white">{appRating.averageRating.toFixed(1)}</span>
+        <span className="text-xs text-gray-400 ml-1">({appRating.totalReviews})</span>
+      </div>
+    );
+  };
+
   // Render the episode list view UI.
   return (
     // Main container for the episode list section.
@@ -172,16 +257,42 @@ const EpisodeListView = ({ seasons = [], showId }) => {
         <div className="mb-6">
           <div className="flex items-center justify-between">
             <h1 className="text-2xl font-bold text-white">Season {currentSeason.number}</h1> {/* Season number. */}
-            {/* Season's average rating (if available in `currentSeason.rating`). */}
-            <div className="flex items-center text-gray-300">
-              <Star className="w-5 h-5 text-yellow-400 fill-yellow-400 mr-1" /> {/* Star icon. */}
-              <span className="font-medium">{displayRating(currentSeason.rating)}</span>
+            <div className="flex items-center space-x-3">
+              {/* Our users' average rating of the season. */}
+              {renderAppRating(appRatings.season)}
+              {/* Season's average rating (if available in `currentSeason.rating`). */}
+              <div className="flex items-center text-gray-300">
+                <Star className="w-5 h-5 text-yellow-400 fill-yellow-400 mr-1" /> {/* Star icon. */}
+                <span className="font-medium">{displayRating(currentSeason.rating)}</span>
+              </div>
+              {/* Rate and review the whole season (logged-in users only). */}
+              {currentUserId && (
+                <button
+                  onClick={() => setReviewTarget(reviewTarget && reviewTarget.episodeNumber === null ? null : { episodeNumber: null })}
+                  className="flex items-center text-sm bg-[#3a3a3a] hover:bg-[#4a4a4a] text-white px-3 py-1.5 rounded-lg transition-colors"
+                >
+                  <PenSquare className="w-4 h-4 mr-1" /> Rate season
+                </button>
+              )}
             </div>
           </div>
           {/* Number of episodes in the current season. */}
           <p className="text-gray-400 mt-2">
             {episodes.length} Episode{episodes.length !== 1 ? "s" : ""}
           </p>
+          {/* Review form for the whole season. */}
+          {reviewTarget && reviewTarget.episodeNumber === null && (
+            <div className="mt-4">
+              <LevelReviewForm
+                showId={showId}
+                showTitle={showName}
+                seasonNumber={activeSeason}
+                currentUserId={currentUserId}
+                onSaved={handleReviewSaved}
+                onCancel={() => setReviewTarget(null)}
+              />
+            </div>
+          )}
         </div>
 
         {/* Conditional rendering for episode list: loading, no episodes, or list of episodes. */}
@@ -216,6 +327,8 @@ const EpisodeListView = ({ seasons = [], showId }) => {
                           </span>
                         </div>
                       )}
+                      {/* Our users' average rating of the episode. */}
+                      {renderAppRating(appRatings.episodes[episode.number])}
                     </div>
                     <h3 className="text-lg font-semibold text-white">
                       {episode.title || "Untitled Episode"} {/* Episode title or fallback. */}
@@ -237,6 +350,29 @@ const EpisodeListView = ({ seasons = [], showId }) => {
                     <p className="text-gray-300 text-base leading-relaxed">
                       {episode.overview || "No description available"} {/* Overview or fallback. */}
                     </p>
+                    {/* Rate and review the episode (logged-in users only). */}
+                    {currentUserId && (
+                      reviewTarget?.episodeNumber === episode.number ? (
+                        <div className="mt-4">
+                          <LevelReviewForm
+                            showId={showId}
+                            showTitle={showName}
+                            seasonNumber={activeSeason}
+                            episodeNumber={episode.number}
+                            currentUserId={currentUserId}
+                            onSaved={handleReviewSaved}
+                            onCancel={() => setReviewTarget(null)}
+                          />
+                        </div>
+                      ) : (
+                        <button
+                          onClick={() => setReviewTarget({ episodeNumber: episode.number })}
+                          className="mt-4 flex items-center text-sm bg-[#2a2a2a] hover:bg-[#4a4a4a] text-white px-3 py-1.5 rounded-lg transition-colors"
+                        >
+                          <PenSquare className="w-4 h-4 mr-1" /> Rate &amp; review
+                        </button>
+                      )
+                    )}
                   </div>
                 )}
               </div>
@@ -0,0 +1,203 @@
+import { useState } from 'react';
+import axios from 'axios';
+import { motion, AnimatePresence } from 'framer-motion';
+import { useAuth } from '../../context/AuthContext';
+
+/**
+ * @file RecommendShowButton.jsx
+ * @description A React component that renders a "Recommend" button and a modal for recommending
+ * the current show to one or more friends, with an optional note.
+ */
+
+/**
+ * @constant {number} NOTE_MAX_LENGTH
+ * @description Maximum length of the optional note, matching the backend limit.
+ */
+const NOTE_MAX_LENGTH = 500;
+
+/**
+ * @function RecommendShowButton
+ * @description React component that lets the user recommend a show to friends.
+ * The friend list is loaded from `/api/friends/list/:username` when the modal opens,
+ * and the recommendation is sent to `/api/recommendations`.
+ *
+ * @param {object} props - Component props.
+ * @param {string|number} props.showId - The TMDB ID of the show to recommend.
+ * @param {string} [props.showName] - The name of the show, used in the modal title.
+ *
+ * @returns {JSX.Element} The button and, when open, the recommendation modal.
+ */
+const RecommendShowButton = ({ showId, showName }) => {
+  // Get the authenticated user (needed for their friend list).
+  const { user } = useAuth();
+  // Whether the modal is open.
+  const [isOpen, setIsOpen] = useState(false);
+  // The user's friends and the IDs selected as recipients.
+  const [friends, setFriends] = useState([]);
+  const [selectedIds, setSelectedIds] = useState([]);
+  // Optional note sent with the recommendation.
+  const [note, setNote] = useState('');
+  // Loading flags for the friend list and the send request.
+  const [loadingFriends, setLoadingFriends] = useState(false);
+  const [sending, setSending] = useState(false);
+  // Feedback message shown in the modal: `{ type: 'success' | 'error', text }`.
+  const [feedback, setFeedback] = useState(null);
+
+  /**
+   * Opens the modal and loads the user's friends.
+   */
+  const openModal = async () => {
+    setIsOpen(true);
+    setFeedback(null);
+    setSelectedIds([]);
+    setNote('');
+    if (!user?.username) return;
+    setLoadingFriends(true);
+    try {
+      const res = await axios.get(`/api/friends/list/${user.username}`, { withCredentials: true });
+      setFriends(Array.isArray(res.data) ? res.data : []);
+    } catch (err) {
+      console.error(err);
+      setFeedback({ type: 'error', text: 'Failed to load your friends' });
+    } finally {
+      setLoadingFriends(false);
+    }
+  };
+
+  /**
+   * Toggles a friend in the list of recipients.
+   * @param {string} friendId - The friend's user ID.
+   */
+  const toggleFriend = (friendId) => {
+    setSelectedIds((prev) =>
+      prev.includes(friendId) ? prev.filter((id) => id !== friendId) : [...prev, friendId]
+    );
+  };
+
+  /**
+   * Sends the recommendation to the selected friends.
+   */
+  const handleSend = async () => {
+    if (sending || selectedIds.length === 0) return;
+    setSending(true);
+    setFeedback(null);
+    try {
+      const res = await axios.post(
+        '/api/recommendations',
+        { showId: String(showId), friendIds: selectedIds, note },
+        { withCredentials: true }
+      );
+      if (res.data.success) {
+        const count = res.data.sentTo.length;
+        setFeedback({ type: 'success', text: `Recommended to ${count} friend${count === 1 ? '' : 's'}` });
+        setSelectedIds([]);
+        setNote('');
+      }
+    } catch (err) {
+      console.error(err);
+      setFeedback({ type: 'error', text: err.response?.data?.message || 'Failed to send recommendation' });
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <>
+      <motion.button
+        onClick={openModal}
+        className="px-4 py-2 rounded-full font-semibold flex items-center justify-center bg-[#2a2a2a] hover:bg-[#3a3a3a] text-white"
+        whileHover={{ scale: 1.05 }}
+        whileTap={{ scale: 0.95 }}
+      >
+        Recommend to Friends
+      </motion.button>
+
+      <AnimatePresence>
+        {isOpen && (
+          <motion.div
+            className="fixed inset-0 bg-black bg-opacity-70 flex items-center justify-center z-50 p-4"
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            onClick={() => setIsOpen(false)} // Close when clicking the overlay
+          >
+            <motion.div
+              className="bg-[#1e1e1e] text-white rounded-xl p-6 w-full max-w-md shadow-xl"
+              initial={{ scale: 0.95, y: 20 }}
+              animate={{ scale: 1, y: 0 }}
+              exit={{ scale: 0.95, y: 20 }}
+              onClick={(e) => e.stopPropagation()} // Keep clicks inside the modal from closing it
+            >
+              <h3 className="text-xl font-bold mb-4">
+                Recommend {showName ? `"${showName}"` : 'this show'}
+              </h3>
+
+              {/* Friend picker */}
+              <div className="max-h-60 overflow-y-auto space-y-2 mb-4">
+                {loadingFriends ? (
+                  <p className="text-gray-400 text-sm">Loading friends...</p>
+                ) : friends.length === 0 ? (
+                  <p className="text-gray-400 text-sm">You don't have any friends to recommend to yet.</p>
+                ) : (
+                  friends.map((friend) => (
+                    <label
+                      key={friend._id}
+                      className="flex items-center gap-3 p-2 rounded-lg hover:bg-[#2a2a2a] cursor-pointer"
+                    >
+                      <input
+                        type="checkbox"
+                        checked={selectedIds.includes(friend._id)}
+                        onChange={() => toggleFriend(friend._id)}
+                        className="accent-blue-600"
+                      />
+                      <img
+                        src={friend.profilePic || '/img/profilePhotos/generic_profile_picture.jpg'}
+                        alt={friend.username}
+                        className="w-8 h-8 rounded-full object-cover"
+                      />
+                      <span>{friend.username}</span>
+                    </label>
+                  ))
+                )}
+              </div>
+
+              {/* Optional note */}
+              <textarea
+                value={note}
+                onChange={(e) => setNote(e.target.value.slice(0, NOTE_MAX_LENGTH))}
+                placeholder="Add a note (optional)"
+                rows={3}
+                className="w-full p-3 rounded-lg bg-[#2a2a2a] text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-blue-600"
+              />
+              <p className="text-right text-xs text-gray-500 mb-4">{note.length}/{NOTE_MAX_LENGTH}</p>
+
+              {feedback && (
+                <p className={`text-sm mb-4 ${feedback.type === 'success' ? 'text-emerald-400' : 'text-red-400'}`}>
+                  {feedback.text}
+                </p>
+              )}
+
+              <div className="flex justify-end gap-3">
+                <button
+                  onClick={() => setIsOpen(false)}
+                  className="px-4 py-2 rounded-lg bg-gray-700 hover:bg-gray-600 transition"
+                >
+                  Close
+                </button>
+                <button
+                  onClick={handleSend}
+                  disabled={sending || selectedIds.length === 0}
+                  className="px-4 py-2 rounded-lg bg-blue-600 hover:bg-blue-700 disabled:opacity-50 transition font-semibold"
+                >
+                  {sending ? 'Sending...' : 'Send'}
+                </button>
+              </div>
+            </motion.div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </>
+  );
+};
+
+export default RecommendShowButton;
@@ -1,20 +1,60 @@
 /**
  * @file ReviewSection.js
  * @description A React component that displays a section for TV show reviews.
- * It fetches reviews, allows users to sort and filter them (e.g., by spoilers),
- * submit new reviews (if logged in), and vote on existing reviews.
+ * It fetches reviews page by page (loading more on scroll), allows users to sort them and pick their spoiler protection,
+ * submit new reviews (if logged in), edit or delete their own reviews, vote on existing reviews and read or join their comment threads.
  */
 
 // Import React hooks and utilities.
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 // Import axios for making HTTP requests.
 import axios from 'axios';
 // Import icons from lucide-react for UI elements.
-import { Star, Filter, Flame, Clock } from "lucide-react"; // Star is imported but not directly used in this file's JSX, assumed to be used within ReviewCard or AppleRatingDisplay.
+import { Flame, Clock, TrendingUp, TrendingDown, Users } from "lucide-react";
 // Import ReviewForm component for submitting new reviews.
 import ReviewForm from "./ReviewSection/ReviewForm"; // Assuming ReviewForm is in a subdirectory.
 // Import ReviewCard component for displaying individual reviews.
 import ReviewCard from "./ReviewSection/ReviewCard"; // Assuming ReviewCard is in a subdirectory.
+// Import ReviewComments component for the comment thread under a review.
+import ReviewComments from "../../components/ReviewComments";
+// Import SpoilerProtectionSelect for the user's spoiler protection setting.
+import SpoilerProtectionSelect from "../../components/SpoilerProtectionSelect";
+// Import the shared rating scale to bring older ratings onto it.
+import { RATING_MIN, normalizeRating } from "../../shared/ratingScale";
+
+/**
+ * Sort options of the review list, matching the sorts of `GET /api/reviews/show/:showId`.
+ * `requiresLogin` options are only offered to logged-in users.
+ * @type {Array<{ value: string, label: string, Icon: React.ComponentType, requiresLogin?: boolean }>}
+ */
+const SORT_OPTIONS = [
+  { value: "latest", label: "Latest", Icon: Clock },
+  { value: "most_liked", label: "Most liked", Icon: Flame },
+  { value: "highest_rated", label: "Highest rated", Icon: TrendingUp },
+  { value: "lowest_rated", label: "Lowest rated", Icon: TrendingDown },
+  { value: "friends_first", label: "Friends first", Icon: Users, requiresLogin: true }
+];
+
+/**
+ * Number of reviews loaded per page.
+ * @type {number}
+ */
+const REVIEWS_PER_PAGE = 10;
+
+/**
+ * Brings a review from the API into the shape the cards expect.
+ * @param {object} review - A review from the API.
+ * @returns {object} The normalized review.
+ */
+const normalizeReview = (review) => ({
+  ...review, // Spread original review properties.
+  _id: review._id || review.id, // Use _id or id as a consistent identifier.
+  id: review.id || review._id,   // Duplicate for convenience if components expect 'id'.
+  createdAt: review.createdAt || new Date().toISOString(), // Fallback for the creation createdAt.
+  likes: Array.isArray(review.likes) ? review.likes : [], // Ensure likes is an array.
+  dislikes: Array.isArray(review.dislikes) ? review.dislikes : [], // Ensure dislikes is an array.
+  rating: normalizeRating(review.rating) ?? RATING_MIN // Bring the rating onto the rating scale.
+});
 
 /**
  * @function ReviewSection
@@ -48,66 +88,117 @@ export default function ReviewSection({ showId, showTitle, currentUserId }) {
    */
   const [showForm, setShowForm] = useState(false);
   /**
-   * State variable to store the current sorting method for reviews (e.g., "relevant", "popular", "latest").
+   * State variable to store the current sorting method for reviews (one of `SORT_OPTIONS`).
    * @type {[string, function(string): void]}
    */
-  const [sortMethod, setSortMethod] = useState("relevant");
+  const [sortMethod, setSortMethod] = useState("latest");
   /**
-   * State variable to control whether reviews containing spoilers are shown.
+   * State variable for the cursor of the next page of reviews, or null when every review is loaded.
+   * @type {[string|null, function(string|null): void]}
+   */
+  const [nextCursor, setNextCursor] = useState(null);
+  /**
+   * State variable to track whether the next page of reviews is being loaded.
    * @type {[boolean, function(boolean): void]}
    */
-  const [showSpoilers, setShowSpoilers] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+  /**
+   * State variable for the total number of reviews of the show.
+   * @type {[number|null, function(number|null): void]}
+   */
+  const [totalReviews, setTotalReviews] = useState(null);
+  /**
+   * State variable for the logged-in user's own review of this show (a user has at most one review per show),
+   * fetched separately because it may not be on the loaded pages.
+   * @type {[object|null, function(object|null): void]}
+   */
+  const [ownReview, setOwnReview] = useState(null);
   /**
    * State variable to track if a vote (like/dislike) operation is currently in progress
    * to prevent multiple rapid submissions.
    * @type {[boolean, function(boolean): void]}
    */
   const [voteInProgress, setVoteInProgress] = useState(false);
+  /**
+   * State variable holding the ID of the review being edited (its card is replaced by the edit form), or null.
+   * @type {[string|null, function(string|null): void]}
+   */
+  const [editingReviewId, setEditingReviewId] = useState(null);
+  /**
+   * State variable holding the ID of the review whose comment thread is open, or null.
+   * @type {[string|null, function(string|null): void]}
+   */
+  const [openThreadId, setOpenThreadId] = useState(null);
+
+  /**
+   * Ref to an element under the review list; when it scrolls into view, the next page is loaded.
+   * @type {React.MutableRefObject<HTMLDivElement|null>}
+   */
+  const loadMoreRef = useRef(null);
 
   /**
-   * Fetches reviews from the API based on `showId` and `sortMethod`.
+   * What drafts of the user's review of this show are saved under (see `useReviewDraft`).
+   * @type {{ userId: string|null, showId: string|number }}
+   */
+  const draftKey = { userId: currentUserId, showId };
+
+  /**
+   * Fetches the first page of reviews from the API based on `showId` and `sortMethod`, replacing the loaded reviews.
    * Wrapped in `useCallback` for memoization, as it's a dependency of `useEffect`.
    * @async
    */
   const fetchReviews = useCallback(async () => {
-  try {
-    setLoading(true); // Set loading state.
-    setError(null);   // Clear previous errors.
-
-    // Make GET request to fetch reviews with showId and sort method as parameters.
-    const response = await axios.get(`/api/reviews`, { 
-      params: {
-        showId: showId,
-        sort: sortMethod
-      }
-    });
+    try {
+      setLoading(true); // Set loading state.
+      setError(null);   // Clear previous errors.
 
-    // Extract reviews data from the response. `response.data.reviews` is assumed based on usage.
-    const reviewsData = response.data.reviews; 
+      // Only reviews of the whole show are listed here; season and episode reviews live in the episode list.
+      const { data } = await axios.get(`/api/reviews/show/${showId}`, {
+        params: { level: 'show', sort: sortMethod, limit: REVIEWS_PER_PAGE }
+      });
 
-    // Validate that reviewsData is an array.
-    if (!Array.isArray(reviewsData)) { 
-      throw new Error("Invalid response format: reviews data is not an array");
+      // Validate that the reviews are an array.
+      if (!Array.isArray(data.reviews)) {
+        throw new Error("Invalid response format: reviews data is not an array");
+      }
+
+      setReviews(data.reviews.map(normalizeReview));
+      setNextCursor(data.nextCursor);
+      setTotalReviews(data.totalReviews);
+    } catch (err) {
+      // Log error and set error message for UI.
+      console.error("Failed to fetch reviews:", err);
+      setError(err.response?.data?.error || err.message); // Set error message from API or generic.
+    } finally {
+      setLoading(false); // Reset loading state.
     }
+  }, [showId, sortMethod]); // Dependencies: re-fetch if showId or sortMethod changes.
 
-    // Process and set reviews, ensuring essential fields and normalizing some data.
-    setReviews(reviewsData.map(review => ({
-      ...review, // Spread original review properties.
-      _id: review._id || review.id, // Use _id or id as a consistent identifier.
-      id: review.id || review._id,   // Duplicate for convenience if components expect 'id'.
-      createdAt: review.createdAt || new Date().toISOString(), // Fallback for the creation createdAt.
-      likes: Array.isArray(review.likes) ? review.likes : [], // Ensure likes is an array.
-      dislikes: Array.isArray(review.dislikes) ? review.dislikes : [], // Ensure dislikes is an array.
-      rating: Math.min(5, Math.max(1, review.rating || 3)) // Clamp rating between 1 and 5, default to 3 if missing.
-    })));
-  } catch (err) {
-    // Log error and set error message for UI.
-    console.error("Failed to fetch reviews:", err);
-    setError(err.response?.data?.message || err.message); // Set error message from API or generic.
-  } finally {
-    setLoading(false); // Reset loading state.
-  }
-}, [showId, sortMethod]); // Dependencies: re-fetch if showId or sortMethod changes.
+  /**
+   * Fetches the next page of reviews and appends it to the loaded reviews.
+   * @async
+   */
+  const loadMoreReviews = useCallback(async () => {
+    if (!nextCursor || loadingMore) return;
+    setLoadingMore(true);
+    try {
+      const { data } = await axios.get(`/api/reviews/show/${showId}`, {
+        params: { level: 'show', sort: sortMethod, limit: REVIEWS_PER_PAGE, cursor: nextCursor }
+      });
+      // Skip reviews already on the list (e.g., one the user just wrote).
+      setReviews(prev => [
+        ...prev,
+        ...data.reviews.map(normalizeReview).filter(review => !prev.some(loaded => loaded._id === review._id))
+      ]);
+      setNextCursor(data.nextCursor);
+    } catch (err) {
+      console.error("Failed to load more reviews:", err);
+      setError(err.response?.data?.error || "Failed to load more reviews");
+      setNextCursor(null); // Stop loading on scroll until the list is reloaded.
+    } finally {
+      setLoadingMore(false);
+    }
+  }, [showId, sortMethod, nextCursor, loadingMore]);
 
   /**
    * `useEffect` hook to fetch reviews when `fetchReviews` function or `showId` changes.
@@ -120,11 +211,45 @@ export default function ReviewSection({ showId, showTitle, currentUserId }) {
     }
   }, [fetchReviews, showId]); // Dependencies.
 
+  /**
+   * `useEffect` hook to load the next page when the element under the list scrolls into view.
+   */
+  useEffect(() => {
+    const sentinel = loadMoreRef.current;
+    if (!sentinel || !nextCursor) return undefined;
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) loadMoreReviews();
+    }, { rootMargin: '200px' }); // Start loading a little before the end of the list is reached.
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [nextCursor, loadMoreReviews]);
+
+  /**
+   * `useEffect` hook to fetch the logged-in user's own review of the show.
+   */
+  useEffect(() => {
+    if (!showId || !currentUserId) {
+      setOwnReview(null);
+      return;
+    }
+    const fetchOwnReview = async () => {
+      try {
+        const { data } = await axios.get('/api/reviews', {
+          params: { showId, userId: currentUserId, level: 'show', limit: 1 }
+        });
+        setOwnReview(data.reviews?.[0] ? normalizeReview(data.reviews[0]) : null);
+      } catch (err) {
+        console.error("Failed to fetch your review:", err);
+      }
+    };
+    fetchOwnReview();
+  }, [showId, currentUserId]);
+
   /**
    * Handles the submission of a new review.
    * Sends a POST request to the API and updates the local reviews state on success.
    * @async
-   * @param {object} reviewData - The review data from the ReviewForm ({ rating, content, containsSpoiler }).
+   * @param {object} reviewData - The review data from the ReviewForm ({ rating, content, containsSpoiler, spoilerSeason, spoilerEpisode }).
    * @throws {string} Throws an error message string if submission fails, to be handled by ReviewForm.
    */
   const createReview = async (reviewData) => {
@@ -135,8 +260,14 @@ export default function ReviewSection({ showId, showTitle, currentUserId }) {
         showId // Include the showId with the review data.
       });
 
-      // Add the newly created review to the beginning of the local reviews array for immediate UI update.
-      setReviews(prev => [data, ...prev]);
+      // A user has one review per show: a repeat submission updates their existing review in place.
+      // Otherwise, add the newly created review to the beginning of the local reviews array for immediate UI update.
+      setReviews(prev => (data.updated
+        ? prev.map(review => (review._id === data._id ? { ...review, ...data } : review))
+        : [normalizeReview(data), ...prev]));
+      setOwnReview(prev => normalizeReview({ ...prev, ...data }));
+      // Reviews held by content screening don't count until a moderator approves them.
+      if (!data.updated && data.status !== 'pending') setTotalReviews(prev => (prev ?? 0) + 1);
       setShowForm(false); // Hide the review form after successful submission.
     } catch (err) {
       // If submission fails, re-throw a user-friendly error message for ReviewForm to catch and display.
@@ -144,10 +275,60 @@ export default function ReviewSection({ showId, showTitle, currentUserId }) {
     }
   };
 
+  /**
+   * Handles editing one of the user's reviews.
+   * Sends a PATCH request to the API and replaces the review in the local state on success.
+   * @async
+   * @param {string} reviewId - The ID of the review being edited.
+   * @param {object} reviewData - The new review data from the ReviewForm ({ rating, content, containsSpoiler, spoilerSeason, spoilerEpisode }).
+   * @throws {string} Throws an error message string if the update fails, to be handled by ReviewForm.
+   */
+  const updateReview = async (reviewId, reviewData) => {
+    try {
+      const { data } = await axios.patch(`/api/reviews/${reviewId}`, reviewData);
+      // Replace the edited review in place.
+      setReviews(prev => prev.map(review => (review._id === reviewId ? { ...review, ...data } : review)));
+      setOwnReview(prev => (prev?._id === reviewId ? { ...prev, ...data } : prev));
+      setEditingReviewId(null); // Close the edit form.
+    } catch (err) {
+      throw err.response?.data?.error || 'Failed to update review.';
+    }
+  };
+
+  /**
+   * Handles deleting one of the user's reviews after asking for confirmation.
+   * Sends a DELETE request to the API and removes the review from the local state on success.
+   * @async
+   * @param {string} reviewId - The ID of the review to delete.
+   */
+  const deleteReview = async (reviewId) => {
+    if (!window.confirm('Delete this review? This cannot be undone.')) return;
+    try {
+      await axios.delete(`/api/reviews/${reviewId}`);
+      setReviews(prev => prev.filter(review => review._id !== reviewId));
+      setOwnReview(prev => (prev?._id === reviewId ? null : prev));
+      setTotalReviews(prev => (prev ? prev - 1 : prev));
+    } catch (err) {
+      console.error("Failed to delete review:", err);
+      setError(err.response?.data?.error || "Failed to delete review");
+    }
+  };
+
+  /**
+   * Updates a review's comment count after comments are posted or deleted in its thread.
+   * @param {string} reviewId - The ID of the review.
+   * @param {number} delta - The change in the number of comments.
+   */
+  const changeCommentCount = (reviewId, delta) => {
+    setReviews(prev => prev.map(review => (
+      review._id === reviewId ? { ...review, commentCount: Math.max((review.commentCount || 0) + delta, 0) } : review
+    )));
+  };
+
   /**
    * Handles voting (like/dislike) on a review.
-   * Implements an optimistic update for the UI, then makes an API call.
-   * Refreshes all reviews after a delay to ensure consistency with server state.
+   * Implements an optimistic update for the UI, then makes an API call
+   * and replaces the review with the server's version (which includes other users' concurrent votes).
    * @async
    * @param {string} reviewId - The ID of the review to vote on.
    * @param {'like' | 'dislike'} action - The vote action ('like' or 'dislike').
@@ -204,17 +385,14 @@ export default function ReviewSection({ showId, showTitle, currentUserId }) {
       }));
 
       // API Call: Persist the vote on the server.
-      // The backend response is not directly used to update UI here due to the optimistic update strategy,
-      // but a subsequent `fetchReviews` call ensures eventual consistency.
-      const response = await axios.put(`/api/reviews/${reviewId}`, { action });
-      
-      // Refresh all reviews after a short delay.
-      // This ensures the UI reflects the authoritative server state, especially for like/dislike counts
-      // and in case other users voted concurrently.
-      setTimeout(() => {
-        fetchReviews();
-      }, 1000); // 1-second delay.
-      
+      const { data } = await axios.put(`/api/reviews/${reviewId}`, { action });
+
+      // Replace the review with the authoritative server state, keeping the fields the vote response doesn't include
+      // (refetching would reset the loaded pages).
+      setReviews(prev => prev.map(review => (
+        review._id === data._id ? { ...review, likes: data.likes, dislikes: data.dislikes, likesCount: data.likes.length } : review
+      )));
+
     } catch (err) {
       // If the API call fails, log the error, set an error message, and revert UI by re-fetching.
       console.error("Voting failed:", err);
@@ -229,47 +407,32 @@ export default function ReviewSection({ showId, showTitle, currentUserId }) {
   return (
     <div>
       {/* Section title. */}
-      <h2 className="text-2xl font-bold mb-6">Reviews</h2>
+      <h2 className="text-2xl font-bold mb-6">
+        Reviews{totalReviews ? <span className="text-gray-400 text-lg font-medium"> ({totalReviews})</span> : null}
+      </h2>
 
-      {/* Filter Controls: Sort method buttons and spoiler toggle switch. */}
+      {/* Filter Controls: Sort method buttons and the spoiler protection setting. */}
       <div className="flex flex-col sm:flex-row sm:justify-between sm:items-center gap-4 mb-8">
         {/* Sort method buttons. */}
         <div className="flex flex-wrap gap-2">
-          {["relevant", "popular", "latest"].map(option => (
+          {SORT_OPTIONS.filter(option => !option.requiresLogin || currentUserId).map(option => (
             <button
-              key={option}
-              onClick={() => setSortMethod(option)} // Set sort method on click.
+              key={option.value}
+              onClick={() => setSortMethod(option.value)} // Set sort method on click.
               // Dynamic classes for styling active vs. inactive sort buttons.
-              className={`flex items-center px-4 py-2 rounded-lg text-sm md:text-base font-medium transition-colors ${sortMethod === option
+              className={`flex items-center px-4 py-2 rounded-lg text-sm md:text-base font-medium transition-colors ${sortMethod === option.value
                 ? "bg-blue-600 text-white" // Active style.
                 : "bg-[#3a3a3a] text-gray-300 hover:bg-[#4a4a4a]" // Inactive style.
                 }`}
             >
-              {/* Icons for different sort options. */}
-              {option === "relevant" && <Filter className="w-5 h-5 mr-2" />}
-              {option === "popular" && <Flame className="w-5 h-5 mr-2" />}
-              {option === "latest" && <Clock className="w-5 h-5 mr-2" />}
-              {/* Capitalize first letter of the option for display. */}
-              {option.charAt(0).toUpperCase() + option.slice(1)}
+              <option.Icon className="w-5 h-5 mr-2" /> {/* Icon of the sort option. */}
+              {option.label}
             </button>
           ))}
         </div>
 
-        {/* Spoiler Toggle Switch. */}
-        <label className="flex items-center space-x-3 cursor-pointer">
-          <div className="relative">
-            {/* Hidden actual checkbox input. */}
-            <input
-              type="checkbox"
-              checked={showSpoilers} // Controlled component.
-              onChange={() => setShowSpoilers(!showSpoilers)} // Toggle spoiler state.
-              className="sr-only peer" // Style using `peer` variants on the visible div.
-            />
-            {/* Custom styled toggle switch UI. */}
-            <div className="w-11 h-6 bg-[#3a3a3a] peer-focus:outline-none rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-blue-600"></div>
-          </div>
-          <span className="text-gray-300 text-sm md:text-base">Show spoilers</span>
-        </label>
+        {/* Spoiler protection; spoilers are blurred by the API, so reload the reviews once it changes. */}
+        <SpoilerProtectionSelect onChange={fetchReviews} />
       </div>
 
       {/* Error Message Display Area. */}
@@ -288,10 +451,11 @@ export default function ReviewSection({ showId, showTitle, currentUserId }) {
       {/* "Write a Review" Button or Sign In Prompt. */}
       {currentUserId && !showForm ? ( // If user is logged in and review form is not currently shown.
         <button
-          onClick={() => setShowForm(true)} // Show the review form on click.
+          // Show the review form on click, or open the edit form if the user already reviewed this show.
+          onClick={() => (ownReview ? setEditingReviewId(ownReview._id) : setShowForm(true))}
           className="mb-6 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors cursor-pointer"
         >
-          Write a Review
+          {ownReview ? 'Edit Your Review' : 'Write a Review'}
         </button>
       ) : !currentUserId && ( // If user is not logged in.
         <div className="mb-6 bg-[#3a3a3a] rounded-xl p-6 shadow-lg">
@@ -306,12 +470,31 @@ export default function ReviewSection({ showId, showTitle, currentUserId }) {
         </div>
       )}
 
+      {/* Notice for the user's own review while content screening holds it (it isn't listed for anyone else). */}
+      {ownReview?.status === 'pending' && (
+        <div className="mb-6 bg-yellow-900/40 border border-yellow-700 text-yellow-100 rounded-lg p-4 text-sm">
+          Your review is awaiting approval by a moderator. Until then, only you can see it.
+        </div>
+      )}
+
+      {/* Edit form for the user's own review when it isn't on the loaded pages. */}
+      {ownReview && editingReviewId === ownReview._id && !reviews.some(review => review._id === ownReview._id) && (
+        <ReviewForm
+          initialReview={ownReview}
+          onSubmit={(reviewData) => updateReview(ownReview._id, reviewData)}
+          showTitle={showTitle}
+          onCancel={() => setEditingReviewId(null)}
+          draftKey={draftKey}
+        />
+      )}
+
       {/* Review Form (conditionally rendered if `showForm` is true). */}
       {showForm && (
         <ReviewForm
           onSubmit={createReview} // Pass the `createReview` handler.
           showTitle={showTitle}   // Pass the show title for context within the form.
           onCancel={() => setShowForm(false)} // Handler to hide the form on cancel.
+          draftKey={draftKey} // Autosave what the user types as a draft.
         />
       )}
 
@@ -330,20 +513,47 @@ export default function ReviewSection({ showId, showTitle, currentUserId }) {
         // If reviews are available, display them.
         <div className="space-y-6 mt-6">
           {reviews
-            // Filter reviews based on `showSpoilers` state:
-            // If `showSpoilers` is true, all reviews pass.
-            // If `showSpoilers` is false, only reviews where `containsSpoiler` is false pass.
-            .filter(review => !review.containsSpoiler || showSpoilers)
-            // Map over filtered reviews to render ReviewCard components.
+            // Map over the reviews to render ReviewCard components (or the edit form for the review being edited).
+            // Spoilers the user hasn't reached come flagged with `spoilerHidden`; the card blurs them until revealed.
             .map(review => (
-              <ReviewCard
+              editingReviewId === review._id ? (
+                <ReviewForm
+                  key={review._id}
+                  initialReview={review} // Prefill the form with the current review.
+                  onSubmit={(reviewData) => updateReview(review._id, reviewData)}
+                  showTitle={showTitle}
+                  onCancel={() => setEditingReviewId(null)}
+                  draftKey={draftKey}
+                />
+              ) : (
                 // Use review._id or review.id as key. Fallback to a random string if both are missing (highly unlikely for DB data).
-                key={review._id || review.id || `review-${Math.random().toString(36).substring(7)}`}
-                review={review} // Pass the full review object to ReviewCard.
-                onVote={voteReview} // Pass the vote handler function.
-                currentUserId={currentUserId} // Pass the current user's ID for voting logic in ReviewCard.
-              />
+                <div key={review._id || review.id || `review-${Math.random().toString(36).substring(7)}`}>
+                  <ReviewCard
+                    review={review} // Pass the full review object to ReviewCard.
+                    onVote={voteReview} // Pass the vote handler function.
+                    currentUserId={currentUserId} // Pass the current user's ID for voting logic in ReviewCard.
+                    onEdit={(reviewToEdit) => setEditingReviewId(reviewToEdit._id)} // Open the edit form for the author's review.
+                    onDelete={deleteReview} // Pass the delete handler function.
+                    commentsOpen={openThreadId === review._id}
+                    onToggleComments={() => setOpenThreadId(openThreadId === review._id ? null : review._id)} // One thread open at a time.
+                  />
+                  {/* Comment thread, rendered under its review card. */}
+                  {openThreadId === review._id && (
+                    <div className="-mt-4 mb-6 bg-[#2a2a2a] rounded-b-xl p-4">
+                      <ReviewComments
+                        reviewId={review._id}
+                        currentUserId={currentUserId}
+                        reviewAuthorId={review.userId?._id || review.userId}
+                        onCountChange={(delta) => changeCommentCount(review._id, delta)}
+                      />
+                    </div>
+                  )}
+                </div>
+              )
             ))}
+          {/* Loads the next page when scrolled into view. */}
+          {nextCursor && <div ref={loadMoreRef} className="h-1" aria-hidden="true" />}
+          {loadingMore && <div className="text-center py-4 text-gray-400">Loading more reviews...</div>}
         </div>
       )}
     </div>
@@ -0,0 +1,100 @@
+/**
+ * @file LevelReviewForm.jsx
+ * @description A React component that lets the logged-in user rate and review one season or one episode of a show.
+ * It looks up the user's existing review of that season or episode so the form opens prefilled,
+ * and saves through `/api/reviews` (which updates the existing review instead of creating a second one).
+ */
+
+// Import React hooks for state and side effects.
+import { useState, useEffect } from 'react';
+// Import axios for making HTTP requests.
+import axios from 'axios';
+// Import ReviewForm, reused for the rating, text and spoiler inputs.
+import ReviewForm from './ReviewForm';
+// Import levelLabel to name the season or episode in the form heading.
+import { levelLabel } from '../../../shared/reviewLevels';
+
+/**
+ * @function LevelReviewForm
+ * @description A React functional component that renders a `ReviewForm` for a season or an episode.
+ *
+ * @param {object} props - The properties passed to the component.
+ * @param {string|number} props.showId - The ID of the show.
+ * @param {string} props.showTitle - The title of the show, used in the form heading.
+ * @param {number} props.seasonNumber - The season being reviewed.
+ * @param {number|null} [props.episodeNumber=null] - The episode being reviewed, or null to review the whole season.
+ * @param {string} props.currentUserId - The ID of the logged-in user.
+ * @param {function(object): void} [props.onSaved] - Called with the saved review.
+ * @param {function} props.onCancel - Called when the form is closed.
+ * @returns {JSX.Element} The rendered LevelReviewForm component.
+ */
+export default function LevelReviewForm({ showId, showTitle, seasonNumber, episodeNumber = null, currentUserId, onSaved, onCancel }) {
+  // The user's existing review of this season or episode, or null.
+  const [existingReview, setExistingReview] = useState(null);
+  // Whether the existing review is still being looked up.
+  const [loading, setLoading] = useState(true);
+  // Error message shown under the form.
+  const [error, setError] = useState(null);
+
+  // Look up the user's existing review so the form opens prefilled.
+  useEffect(() => {
+    let cancelled = false;
+    const loadExistingReview = async () => {
+      setLoading(true);
+      try {
+        const { data } = await axios.get('/api/reviews', {
+          params: {
+            showId,
+            userId: currentUserId,
+            level: episodeNumber != null ? 'episode' : 'season',
+            seasonNumber,
+            ...(episodeNumber != null ? { episodeNumber } : {}),
+            limit: 1
+          }
+        });
+        if (!cancelled) setExistingReview(data.reviews?.[0] || null);
+      } catch (err) {
+        console.error('Failed to load your review:', err);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+    loadExistingReview();
+    return () => { cancelled = true; };
+  }, [showId, currentUserId, seasonNumber, episodeNumber]);
+
+  /**
+   * Saves the review of the season or episode.
+   * @async
+   * @param {object} reviewData - The review data from the ReviewForm ({ rating, content, containsSpoiler, spoilerSeason, spoilerEpisode }).
+   * @throws {string} An error message if saving fails, to be handled by ReviewForm.
+   */
+  const saveReview = async (reviewData) => {
+    setError(null);
+    try {
+      const { data } = await axios.post('/api/reviews', { ...reviewData, showId, seasonNumber, episodeNumber });
+      setExistingReview(data);
+      onSaved?.(data);
+    } catch (err) {
+      const message = err.response?.data?.error || 'Failed to submit review.';
+      setError(message);
+      throw message;
+    }
+  };
+
+  if (loading) return <p className="text-sm text-gray-400 py-2">Loading your review...</p>;
+
+  return (
+    <div>
+      <ReviewForm
+        key={existingReview?._id || 'new'} // Re-initialize the form once the existing review is known.
+        onSubmit={saveReview}
+        showTitle={`${showTitle} ${levelLabel(seasonNumber, episodeNumber)}`}
+        onCancel={onCancel}
+        initialReview={existingReview || undefined}
+        draftKey={{ userId: currentUserId, showId, seasonNumber, episodeNumber }} // Drafts are kept per season and episode.
+      />
+      {error && <p className="text-sm text-red-400 -mt-6 mb-4">{error}</p>}
+    </div>
+  );
+}
@@ -2,15 +2,23 @@
  * @file ReviewCard.jsx
  * @description A React component that displays a single review in a card format.
  * It shows the reviewer's username, rating, review content (expandable), date,
- * spoiler warning, and like/dislike buttons with counts.
+ * spoiler warning (spoilers the viewer hasn't reached are blurred until revealed), like/dislike buttons with counts and a comment count that toggles the comment thread.
+ * Authors get edit and delete controls on their own reviews; other logged-in users can report it.
+ * Reviews held by content screening show an "Awaiting approval" badge (only their author gets them from the API).
  */
 
 // Import React and useState hook for managing component state (e.g., text expansion).
 import React, { useState } from 'react';
 // Import ThumbsUp and ThumbsDown icons from lucide-react for like/dislike buttons.
-import { ThumbsUp, ThumbsDown } from 'lucide-react';
+import { ThumbsUp, ThumbsDown, Pencil, Trash2, MessageCircle } from 'lucide-react';
 // Import AppleRatingDisplay component for showing star/apple ratings.
 import AppleRatingDisplay from '../../../components/AppleRatingDisplay'; // Assuming path is correct
+// Import the top of the shared rating scale for the numerical rating text.
+import { RATING_MAX } from '../../../shared/ratingScale';
+// Import spoilerLabel to tell how far a spoiler review spoils.
+import { spoilerLabel } from '../../../shared/spoilers';
+// Import ReportButton so readers can report the review to the moderators.
+import ReportButton from '../../../components/ReportButton';
 
 /**
  * @function ReviewCard
@@ -20,20 +28,35 @@ import AppleRatingDisplay from '../../../components/AppleRatingDisplay'; // Assu
  * @param {object} props - The properties passed to the component.
  * @param {object} props.review - The review object containing details like username, rating, content, etc.
  *                                Expected fields: `username`, `rating`, `content`, `createdAt`, `containsSpoiler`,
- *                                `likes` (array of user IDs), `dislikes` (array of user IDs), `_id` or `id`, `userId`.
+ *                                `spoilerHidden` (set by the API when the viewer hasn't reached the spoiler), `spoilerSeason`, `spoilerEpisode`,
+ *                                `likes` (array of user IDs), `dislikes` (array of user IDs), `_id` or `id`, `userId`, `status`.
  * @param {function} props.onVote - Callback function invoked when a user votes (likes/dislikes) on the review.
  *                                  Receives `reviewId` and `action` ('like' or 'dislike') as arguments.
  * @param {string|null} props.currentUserId - The ID of the currently logged-in user, or null if not logged in.
  *                                            Used to determine if the user has already voted or if it's their own review.
+ * @param {function} [props.onEdit] - Callback invoked with the review when its author clicks "Edit".
+ * @param {function} [props.onDelete] - Callback invoked with the review ID when its author clicks "Delete".
+ * @param {function} [props.onToggleComments] - Callback invoked when the comment count is clicked, to open or close the thread.
+ * @param {boolean} [props.commentsOpen=false] - Whether the review's comment thread is currently open.
  * @returns {JSX.Element} The rendered ReviewCard component.
  */
-export default function ReviewCard({ review, onVote, currentUserId }) {
+export default function ReviewCard({ review, onVote, currentUserId, onEdit, onDelete, onToggleComments, commentsOpen = false }) {
   /**
    * State variable to control whether the review text is fully expanded or truncated.
    * `isExpanded` is a boolean: true if expanded, false if truncated.
    * @type {[boolean, function(boolean): void]}
    */
   const [isExpanded, setIsExpanded] = useState(false);
+  /**
+   * State variable to track whether the viewer revealed a hidden spoiler.
+   * @type {[boolean, function(boolean): void]}
+   */
+  const [spoilerRevealed, setSpoilerRevealed] = useState(false);
+  /**
+   * Whether the review text is currently blurred as a spoiler.
+   * @const {boolean}
+   */
+  const spoilerBlurred = !!review.spoilerHidden && !spoilerRevealed;
 
   /**
    * The ID of the current user, converted to a string for consistent comparison.
@@ -63,18 +86,19 @@ export default function ReviewCard({ review, onVote, currentUserId }) {
   /**
    * Boolean indicating if the review was written by the current user.
    * Ensures `review.userId` and `userIdStr` exist before comparison.
+   * `review.userId` is a populated user object when it comes from the API, or a plain ID otherwise.
    * @const {boolean}
    */
   const isCurrentUser = review.userId && // Ensure review.userId exists
     userIdStr && // Ensure currentUserId (as string) exists
-    review.userId.toString() === userIdStr; // Compare as strings
+    (review.userId._id || review.userId).toString() === userIdStr; // Compare as strings
 
   /**
-   * The review rating formatted as a string (e.g., "4.50").
+   * The review rating formatted as a string (e.g., "4.5"); ratings are in half-apple steps.
    * Defaults to "N/A" if `review.rating` is not a number.
    * @const {string}
    */
-  const displayRating = typeof review.rating === 'number' ? review.rating.toFixed(2) : 'N/A';
+  const displayRating = typeof review.rating === 'number' ? review.rating.toFixed(1) : 'N/A';
 
   // Render the review card UI.
   return (
@@ -85,12 +109,16 @@ export default function ReviewCard({ review, onVote, currentUserId }) {
         {/* Left part of the top section: username and rating. */}
         <div>
           {/* Reviewer's username. Defaults to "Anonymous" if not provided. */}
-          <h4 className="text-lg font-semibold text-white">{review.username || "Anonymous"}</h4>
+          <h4 className="text-lg font-semibold text-white">
+            {review.username || "Anonymous"}
+            {/* Friend badge, set when reviews are sorted with friends first. */}
+            {review.byFriend && <span className="ml-2 align-middle text-xs font-medium bg-blue-600/30 text-blue-300 px-2 py-0.5 rounded-full">Friend</span>}
+          </h4>
           {/* Rating display using AppleRatingDisplay component and numerical rating text. */}
           <div className="flex items-center mt-1 space-x-1">
             <AppleRatingDisplay rating={review.rating} appleSize="w-5 h-5" /> {/* Pass rating and apple size. */}
-            {/* Numerical rating text (e.g., "4.50/5"). */}
-            <span className="ml-2 text-sm text-gray-400">{displayRating}/5</span>
+            {/* Numerical rating text (e.g., "4.5/5"). */}
+            <span className="ml-2 text-sm text-gray-400">{displayRating}/{RATING_MAX}</span>
           </div>
         </div>
         {/* Right part of the top section: Date of the review. */}
@@ -101,17 +129,34 @@ export default function ReviewCard({ review, onVote, currentUserId }) {
             month: 'short',
             day: 'numeric'
           }) : 'Just now'}
+          {/* Mark reviews that were edited after posting. */}
+          {review.editedAt && <span className="ml-1 italic" title={`Edited ${new Date(review.editedAt).toLocaleString()}`}>(edited)</span>}
+          {/* Reviews held by content screening are only visible to their author until a moderator approves them. */}
+          {review.status === 'pending' && (
+            <span className="ml-2 text-xs bg-yellow-900 text-yellow-200 px-2 py-0.5 rounded" title="Only you can see this review until a moderator approves it">
+              Awaiting approval
+            </span>
+          )}
         </span>
       </div>
 
       {/* Main content section of the review. */}
-      <div className="mb-4">
-        {/* Review text. Uses `line-clamp-3` for truncation if not expanded. */}
-        <p className={`text-gray-200 ${isExpanded ? '' : 'line-clamp-3'}`}>
+      <div className="relative mb-4">
+        {/* Review text. Uses `line-clamp-3` for truncation if not expanded, and is blurred while it's a hidden spoiler. */}
+        <p className={`text-gray-200 ${isExpanded ? '' : 'line-clamp-3'} ${spoilerBlurred ? 'blur-sm select-none' : ''}`}>
           {review.content}
         </p>
+        {/* Reveal button over a hidden spoiler. */}
+        {spoilerBlurred && (
+          <button
+            onClick={() => setSpoilerRevealed(true)}
+            className="absolute inset-0 flex items-center justify-center text-sm font-medium text-yellow-300 hover:text-yellow-200 cursor-pointer"
+          >
+            Spoiler – click to reveal
+          </button>
+        )}
         {/* "Read more" / "Show less" button. Displayed if the review content is longer than 200 characters. */}
-        {review.content && review.content.length > 200 && (
+        {!spoilerBlurred && review.content && review.content.length > 200 && (
           <button
             onClick={() => setIsExpanded(!isExpanded)} // Toggle the `isExpanded` state on click.
             className="text-blue-400 hover:text-blue-300 text-sm mt-1 font-medium cursor-pointer"
@@ -127,7 +172,7 @@ export default function ReviewCard({ review, onVote, currentUserId }) {
         <div className="bg-[#3a3a3a] p-3 rounded-lg mb-4 border-l-4 border-yellow-400">
           <p className="text-yellow-400 font-medium flex items-center">
             <span className="mr-2">⚠️</span> {/* Warning icon. */}
-            <span>Spoiler Warning</span>
+            <span>{spoilerLabel(review)}</span>
           </p>
         </div>
       )}
@@ -177,14 +222,56 @@ export default function ReviewCard({ review, onVote, currentUserId }) {
               {Array.isArray(review.dislikes) ? review.dislikes.length : 0}
             </span>
           </button>
+
+          {/* Comment count; toggles the comment thread below the card. */}
+          {onToggleComments && (
+            <button
+              onClick={onToggleComments}
+              className={`flex items-center space-x-1 px-3 py-1 rounded-lg transition-colors cursor-pointer ${
+                commentsOpen ? 'bg-[#3a3a3a] text-white' : 'text-gray-400 hover:bg-[#3a3a3a] hover:text-white'
+              }`}
+              title={commentsOpen ? "Hide comments" : "Show comments"}
+              aria-expanded={commentsOpen}
+            >
+              <MessageCircle className="w-5 h-5" />
+              <span className="font-medium">{review.commentCount || 0}</span>
+            </button>
+          )}
         </div>
 
-        {/* Optional: A smaller spoiler tag at the bottom right, possibly for quick identification if content is long. */}
-        {review.containsSpoiler && (
-          <span className="text-xs bg-[#3a3a3a] text-gray-400 px-2 py-1 rounded-full">
-            Contains Spoilers
-          </span>
-        )}
+        <div className="flex items-center space-x-2">
+          {/* Optional: A smaller spoiler tag at the bottom right, possibly for quick identification if content is long. */}
+          {review.containsSpoiler && (
+            <span className="text-xs bg-[#3a3a3a] text-gray-400 px-2 py-1 rounded-full">
+              Contains Spoilers
+            </span>
+          )}
+          {/* Report control for logged-in readers other than the author. */}
+          {currentUserId && !isCurrentUser && (
+            <ReportButton url={`/api/reviews/${review._id || review.id}/report`} className="p-2" />
+          )}
+          {/* Edit and delete controls, only for the author of the review. */}
+          {isCurrentUser && onEdit && (
+            <button
+              onClick={() => onEdit(review)}
+              className="p-2 rounded-lg text-gray-400 hover:bg-[#3a3a3a] hover:text-white transition-colors"
+              title="Edit your review"
+              aria-label="Edit your review"
+            >
+              <Pencil className="w-4 h-4" />
+            </button>
+          )}
+          {isCurrentUser && onDelete && (
+            <button
+              onClick={() => onDelete(review._id || review.id)}
+              className="p-2 rounded-lg text-gray-400 hover:bg-[#3a3a3a] hover:text-red-400 transition-colors"
+              title="Delete your review"
+              aria-label="Delete your review"
+            >
+              <Trash2 className="w-4 h-4" />
+            </button>
+          )}
+        </div>
       </div>
     </div>
   );
@@ -1,13 +1,48 @@
 /**
  * @file ReviewForm.js
- * @description A React component that renders a form for users to write and submit a review for a show.
- * It includes fields for rating, review content, and a spoiler warning checkbox.
+ * @description A React component that renders a form for users to write and submit a review for a show,
+ * or to edit one of their existing reviews.
+ * It includes fields for rating, review content, and a spoiler warning checkbox with the optional episode the review spoils up to.
+ * Given a `draftKey`, the form autosaves what the user types as a draft and offers to resume it when opened again.
  */
 
-// Import React and useState hook for managing component state.
-import { useState } from 'react';
-// Import Apple and X icons from lucide-react for UI elements.
-import { Apple, X } from 'lucide-react';
+// Import React hooks for state and side effects.
+import { useState, useEffect } from 'react';
+// Import X icon from lucide-react for the close button.
+import { X } from 'lucide-react';
+// Import AppleRatingDisplay component for the interactive rating input.
+import AppleRatingDisplay from '../../../components/AppleRatingDisplay';
+// Import the shared rating scale.
+import { RATING_MAX, normalizeRating } from '../../../shared/ratingScale';
+// Import the draft autosave hook and the prompt to resume a draft.
+import useReviewDraft from '../../../hooks/useReviewDraft';
+import ResumeDraftPrompt from '../../../components/ResumeDraftPrompt';
+
+/**
+ * Converts a review or a draft to the values of the form's fields.
+ * @param {object} [review] - A review or draft (`rating`, `content`, `containsSpoiler`, `spoilerSeason`, `spoilerEpisode`).
+ * @returns {object} The field values (0 for no rating, empty strings for no spoiler tag).
+ */
+function toFormValues(review) {
+  return {
+    rating: normalizeRating(review?.rating) || 0, // Ratings saved before the scale was enforced are brought onto it.
+    content: review?.content || '',
+    containsSpoiler: !!review?.containsSpoiler,
+    spoilerSeason: review?.spoilerSeason ?? '',
+    spoilerEpisode: review?.spoilerEpisode ?? ''
+  };
+}
+
+/**
+ * Tells whether two sets of field values are the same.
+ * @param {object} a - Field values.
+ * @param {object} b - Field values.
+ * @returns {boolean} True if every field matches.
+ */
+function sameFormValues(a, b) {
+  return a.rating === b.rating && a.content === b.content && a.containsSpoiler === b.containsSpoiler
+    && String(a.spoilerSeason) === String(b.spoilerSeason) && String(a.spoilerEpisode) === String(b.spoilerEpisode);
+}
 
 /**
  * @function ReviewForm
@@ -15,19 +50,37 @@ import { Apple, X } from 'lucide-react';
  *
  * @param {object} props - The properties passed to the component.
  * @param {function} props.onSubmit - Callback function invoked when the review form is submitted.
- *                                   Receives an object with `rating`, `content`, and `containsSpoiler` as an argument.
+ *                                   Receives an object with `rating`, `content`, `containsSpoiler`, `spoilerSeason` and `spoilerEpisode` as an argument
+ *                                   (the spoiler tag is null when not given).
  *                                   This function is expected to be asynchronous and may throw an error.
  * @param {string} props.showTitle - The title of the show being reviewed, used in placeholders and headings.
  * @param {function} props.onCancel - Callback function invoked when the cancel button or close icon is clicked.
+ * @param {object} [props.initialReview] - An existing review to edit (`rating`, `content`, `containsSpoiler`, `spoilerSeason`, `spoilerEpisode`).
+ *                                         When provided, the form is prefilled and isn't cleared after submitting.
+ * @param {object} [props.draftKey] - What drafts of this form are saved under (`userId`, `showId`, and `seasonNumber`
+ *                                    and `episodeNumber` for season and episode reviews). Drafts are disabled without it.
  * @returns {JSX.Element} The rendered ReviewForm component.
  */
-export default function ReviewForm({ onSubmit, showTitle, onCancel }) {
-  // State for the star rating (0-5).
-  const [rating, setRating] = useState(0);
+export default function ReviewForm({ onSubmit, showTitle, onCancel, initialReview, draftKey }) {
+  // Whether the form edits an existing review rather than creating a new one.
+  const isEditing = !!initialReview;
+  // The values the form opened with (the edited review's, or empty ones).
+  const [initialValues] = useState(() => toFormValues(initialReview));
+  // State for the apple rating on the shared rating scale (0 means no rating picked yet).
+  const [rating, setRating] = useState(initialValues.rating);
   // State for the text content of the review.
-  const [content, setContent] = useState('');
+  const [content, setContent] = useState(initialValues.content);
   // State for the "contains spoiler" checkbox.
-  const [containsSpoiler, setContainsSpoiler] = useState(false);
+  const [containsSpoiler, setContainsSpoiler] = useState(initialValues.containsSpoiler);
+  // State for the season and episode the spoilers go up to (strings from the inputs, empty when not given).
+  const [spoilerSeason, setSpoilerSeason] = useState(initialValues.spoilerSeason);
+  const [spoilerEpisode, setSpoilerEpisode] = useState(initialValues.spoilerEpisode);
+  // The saved draft for this show, season or episode, and the helpers to autosave and discard it.
+  const { draft, saveDraft, clearDraft } = useReviewDraft(draftKey || {});
+  // Whether the user resumed or discarded the saved draft.
+  const [draftAnswered, setDraftAnswered] = useState(false);
+  // Offer to resume a saved draft that differs from what the form opened with.
+  const showDraftPrompt = !!draft && !draftAnswered && !sameFormValues(toFormValues(draft), initialValues);
   // State to track if the form is currently being submitted (to disable buttons).
   const [isSubmitting, setIsSubmitting] = useState(false);
   // State to store any error messages that occur during form submission.
@@ -35,6 +88,40 @@ export default function ReviewForm({ onSubmit, showTitle, onCancel }) {
   // It could be used to show an error message to the user if `onSubmit` throws.
   const [error, setError] = useState(null);
 
+  // Autosave the fields as a draft, except while the resume prompt waits for an answer.
+  // Back at the values the form opened with, there is nothing worth keeping.
+  useEffect(() => {
+    if (showDraftPrompt) return;
+    const values = { rating, content, containsSpoiler, spoilerSeason, spoilerEpisode };
+    saveDraft(sameFormValues(values, initialValues) ? null : {
+      ...values,
+      rating: rating || null,
+      spoilerSeason: spoilerSeason === '' ? null : Number(spoilerSeason),
+      spoilerEpisode: spoilerEpisode === '' ? null : Number(spoilerEpisode)
+    });
+  }, [rating, content, containsSpoiler, spoilerSeason, spoilerEpisode, showDraftPrompt, initialValues, saveDraft]);
+
+  /**
+   * Fills the form with the saved draft.
+   */
+  const resumeDraft = () => {
+    const values = toFormValues(draft);
+    setRating(values.rating);
+    setContent(values.content);
+    setContainsSpoiler(values.containsSpoiler);
+    setSpoilerSeason(values.spoilerSeason);
+    setSpoilerEpisode(values.spoilerEpisode);
+    setDraftAnswered(true);
+  };
+
+  /**
+   * Discards the saved draft and keeps the form as it opened.
+   */
+  const discardDraft = () => {
+    clearDraft();
+    setDraftAnswered(true);
+  };
+
  /**
   * Handles the submission of the review form.
   * Prevents default form submission, sets submitting state, calls the `onSubmit` prop,
@@ -49,11 +136,25 @@ export default function ReviewForm({ onSubmit, showTitle, onCancel }) {
   try {
     // Call the onSubmit prop (passed from parent) with the review data.
     // This function is expected to handle the actual API call for submitting the review.
-    await onSubmit({ rating, content, containsSpoiler });
-    // If onSubmit is successful (doesn't throw), reset the form fields.
-    setRating(0);
-    setContent('');
-    setContainsSpoiler(false);
+    // The spoiler tag is only sent when both numbers are given.
+    const spoilerTagged = containsSpoiler && spoilerSeason !== '' && spoilerEpisode !== '';
+    await onSubmit({
+      rating,
+      content,
+      containsSpoiler,
+      spoilerSeason: spoilerTagged ? Number(spoilerSeason) : null,
+      spoilerEpisode: spoilerTagged ? Number(spoilerEpisode) : null
+    });
+    // The review is saved, so its draft is no longer needed.
+    clearDraft();
+    // If onSubmit is successful (doesn't throw), reset the form fields of a new review.
+    if (!isEditing) {
+      setRating(0);
+      setContent('');
+      setContainsSpoiler(false);
+      setSpoilerSeason('');
+      setSpoilerEpisode('');
+    }
     // Optionally, call onCancel() here if the form should close after successful submission.
   } catch (err) {
     // If onSubmit throws an error, set the error state.
@@ -71,7 +172,7 @@ export default function ReviewForm({ onSubmit, showTitle, onCancel }) {
     <div className="bg-[#2a2a2a] rounded-xl p-6 shadow-lg mb-8">
       {/* Header section: Title and close button. */}
       <div className="flex justify-between items-center mb-4">
-        <h3 className="text-xl font-bold text-white">Review {showTitle}</h3> {/* Dynamic title including show name. */}
+        <h3 className="text-xl font-bold text-white">{isEditing ? `Edit your review of ${showTitle}` : `Review ${showTitle}`}</h3> {/* Dynamic title including show name. */}
         {/* Close button for the form/modal. */}
         <button
           onClick={onCancel} // Call onCancel prop when clicked.
@@ -82,31 +183,18 @@ export default function ReviewForm({ onSubmit, showTitle, onCancel }) {
         </button>
       </div>
 
+      {/* Offer to pick up where the user left off. */}
+      {showDraftPrompt && <ResumeDraftPrompt draft={draft} onResume={resumeDraft} onDiscard={discardDraft} />}
+
       {/* The review form element. */}
       <form onSubmit={handleSubmit}>
         {/* Rating input section. */}
         <div className="mb-4">
           <label className="block text-gray-300 mb-2">Rating</label>
-          {/* Flex container for star/apple rating buttons. */}
-          <div className="flex space-x-2">
-            {/* Create 5 buttons for rating, 1 to 5 stars/apples. */}
-            {[1, 2, 3, 4, 5].map((star) => (
-              <button
-                key={star}
-                type="button" // Important: `type="button"` prevents form submission.
-                onClick={() => setRating(star)} // Set rating state when a star is clicked.
-                // Dynamic classes for styling selected vs. unselected stars.
-                className={`p-2 rounded-full transition-colors ${
-                  rating >= star // If current rating is greater or equal to this star's value
-                    ? 'text-yellow-400 hover:text-yellow-300' // Style for selected star.
-                    : 'text-gray-500 hover:text-gray-400'    // Style for unselected star.
-                }`}
-                aria-label={`Rate ${star} star${star !== 1 ? 's' : ''}`} // Accessibility label.
-              >
-                {/* Apple icon, filled based on current rating. */}
-                <Apple className="w-6 h-6" fill={rating >= star ? 'currentColor' : 'none'} />
-              </button>
-            ))}
+          {/* Interactive apples; clicking the left half of an apple picks a half apple. */}
+          <div className="flex items-center space-x-3">
+            <AppleRatingDisplay rating={rating} appleSize="w-7 h-7" onAppleClick={setRating} interactive={true} />
+            <span className="text-sm text-gray-400">{rating ? `${rating}/${RATING_MAX}` : 'Pick a rating'}</span>
           </div>
         </div>
 
@@ -128,7 +216,7 @@ export default function ReviewForm({ onSubmit, showTitle, onCancel }) {
         </div>
 
         {/* "Contains spoiler" checkbox section. */}
-        <div className="flex items-center mb-6">
+        <div className={`flex items-center ${containsSpoiler ? 'mb-3' : 'mb-6'}`}>
           <input
             type="checkbox"
             id="spoiler"
@@ -141,6 +229,32 @@ export default function ReviewForm({ onSubmit, showTitle, onCancel }) {
           </label>
         </div>
 
+        {/* How far the spoilers go, so readers who have watched that far see the review unblurred. */}
+        {containsSpoiler && (
+          <div className="flex flex-wrap items-center gap-2 mb-6 text-sm text-gray-300">
+            <span>Spoils up to</span>
+            <label htmlFor="spoiler-season">Season</label>
+            <input
+              type="number"
+              id="spoiler-season"
+              min={0}
+              value={spoilerSeason}
+              onChange={(e) => setSpoilerSeason(e.target.value)}
+              className="w-16 bg-[#3a3a3a] text-gray-200 rounded-lg px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            <label htmlFor="spoiler-episode">Episode</label>
+            <input
+              type="number"
+              id="spoiler-episode"
+              min={1}
+              value={spoilerEpisode}
+              onChange={(e) => setSpoilerEpisode(e.target.value)}
+              className="w-16 bg-[#3a3a3a] text-gray-200 rounded-lg px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            <span className="text-xs text-gray-500">(optional, leave empty if it spoils the whole show)</span>
+          </div>
+        )}
+
         {/* Action buttons section: Cancel and Submit. */}
         <div className="flex space-x-3">
           {/* Cancel button. */}
@@ -159,7 +273,7 @@ export default function ReviewForm({ onSubmit, showTitle, onCancel }) {
             disabled={isSubmitting || !rating || !content.trim()}
             className="flex-1 py-2 bg-blue-600 hover:bg-blue-700 text-white font-medium rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed" // Dynamic styling for disabled state.
           >
-            {isSubmitting ? 'Submitting...' : 'Submit Review'} {/* Dynamic button text. */}
+            {isSubmitting ? 'Submitting...' : isEditing ? 'Save Changes' : 'Submit Review'} {/* Dynamic button text. */}
           </button>
         </div>
         {/* Error display area - currently not implemented in JSX but `error` state exists.
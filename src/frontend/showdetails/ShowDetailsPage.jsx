@@ -26,8 +26,10 @@ import ShowDescription from './ShowDescription';   // Displays the show's synops
 import EpisodeList from './EpisodeList';           // Component for logging episodes (interactive).
 import EpisodeListView from './EpisodeListView';     // Component for viewing episodes by season (display-oriented).
 import ReviewSection from './ReviewSection';       // Component for managing and displaying reviews.
+import ShowStatsPanel from './ShowStatsPanel';     // Average rating, rating histogram and community counters.
 import BottomNavbar from '../../components/BottomNavbar.jsx'; // Navigation bar for authenticated users.
 import AddToWatchlistButton from './AddToWatchlistButton.jsx'; // Button to add/remove show from watchlist.
+import RecommendShowButton from './RecommendShowButton.jsx'; // Button to recommend the show to friends.
 import TopNavbar from '../../frontend/landing/TopNavbar.jsx'; // Navigation bar for unauthenticated users.
 import Footer from '../../frontend/landing/Footer.jsx';         // Footer for unauthenticated users.
 import LoadingSpinner from '../../components/LoadingSpinner.jsx'; // Loading indicator.
@@ -306,18 +308,23 @@ const ShowDetailsPage = () => {
           animate="visible"
           className="grid grid-cols-1 lg:grid-cols-3 gap-8" // Responsive grid layout.
         >
-          {/* Left column: Show description and Add to Watchlist button. */}
+          {/* Left column: Show description, Add to Watchlist and Recommend buttons. */}
           <motion.div
             variants={fadeInUp} // Individual item animation.
             className="lg:col-span-2 space-y-6" // Spans 2 columns on large screens.
           >
             <ShowDescription show={show} /> {/* Pass show data. */}
-            {/* Add to Watchlist button, shown if user is authenticated. */}
+            {/* Add to Watchlist and Recommend buttons, shown if user is authenticated. */}
             <motion.div
               whileHover={{ scale: 1.02 }} // Subtle hover scale.
               whileTap={{ scale: 0.98 }}   // Tap animation.
             >
-              {isAuthenticatedBool && <AddToWatchlistButton showId={id} />}
+              {isAuthenticatedBool && (
+                <div className="flex flex-wrap gap-3">
+                  <AddToWatchlistButton showId={id} />
+                  <RecommendShowButton showId={id} showName={show.name} />
+                </div>
+              )}
             </motion.div>
           </motion.div>
 
@@ -360,6 +367,17 @@ const ShowDetailsPage = () => {
           </motion.div>
         </motion.div>
 
+        {/* "Community Stats" section (average rating, rating histogram and audience counters). */}
+        <motion.div
+          initial="hidden" animate="visible" variants={fadeInUp} transition={{ delay: 0.5 }}
+          className="bg-[#2a2a2a] rounded-xl p-6 shadow-lg hover:shadow-xl transition-shadow"
+        >
+          <motion.h2 className="text-2xl font-bold mb-6" whileHover={{ scale: 1.01 }}>
+            Community Stats
+          </motion.h2>
+          <ShowStatsPanel showId={id} />
+        </motion.div>
+
         {/* "Log Episodes" section (interactive EpisodeList). */}
         <motion.div
           ref={episodesRef} // Attach ref for scrolling.
@@ -377,6 +395,7 @@ const ShowDetailsPage = () => {
               isAuthenticated={isAuthenticatedBool}
               showName={show.title || "Unknown Show"} // Pass show name.
               posterPath={show.poster_path || null} // Pass poster path.
+              currentUserId={user?._id} // Pass current user's ID (prefills their episode reviews).
             />
           )}
         </motion.div>
@@ -392,7 +411,7 @@ const ShowDetailsPage = () => {
           </motion.h2>
           {/* Render EpisodeListView if show and season data are available. */}
           {show && show.seasons && (
-            <EpisodeListView seasons={show.seasons} showId={id} showName={show.title} posterPath={show.poster_path} />
+            <EpisodeListView seasons={show.seasons} showId={id} showName={show.title} posterPath={show.poster_path} currentUserId={user?._id} />
           )}
         </motion.div>
 
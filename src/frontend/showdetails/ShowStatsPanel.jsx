@@ -0,0 +1,148 @@
+/**
+ * @file ShowStatsPanel.jsx
+ * @description A React component that shows a show's community stats on its page: the average rating in apples
+ * next to a histogram of every rating, the average among the user's friends, how many users are watching the show
+ * or have it on their watchlist, and how many reviews were written over the last months.
+ */
+
+// Import React hooks for state and side effects.
+import { useState, useEffect } from 'react';
+// Import axios for making HTTP requests.
+import axios from 'axios';
+// Import icons from lucide-react for the community counters.
+import { Users, Eye, Bookmark } from 'lucide-react';
+// Import AppleRatingDisplay component for the average rating.
+import AppleRatingDisplay from '../../components/AppleRatingDisplay';
+// Import the shared rating scale.
+import { RATING_MAX } from '../../shared/ratingScale';
+
+/**
+ * Number of months shown in the "reviews over time" chart.
+ * @type {number}
+ */
+const TIMELINE_MONTHS = 12;
+
+/**
+ * Lists the last `TIMELINE_MONTHS` months (oldest first) with the number of reviews written in each.
+ * Months without reviews are included with a count of 0.
+ * @param {Array<object>} reviewsOverTime - `{ month: 'YYYY-MM', count }` entries from the stats endpoint.
+ * @returns {Array<{ month: string, label: string, count: number }>} One entry per month.
+ */
+const lastMonths = (reviewsOverTime) => {
+  const countsByMonth = new Map(reviewsOverTime.map(entry => [entry.month, entry.count]));
+  const now = new Date();
+  return Array.from({ length: TIMELINE_MONTHS }, (_, i) => {
+    const date = new Date(now.getFullYear(), now.getMonth() - (TIMELINE_MONTHS - 1 - i), 1);
+    const month = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+    return { month, label: date.toLocaleDateString('en-US', { month: 'short', year: 'numeric' }), count: countsByMonth.get(month) || 0 };
+  });
+};
+
+/**
+ * @function ShowStatsPanel
+ * @description A React functional component that fetches and renders the community stats of a show.
+ *
+ * @param {object} props - The properties passed to the component.
+ * @param {string|number} props.showId - The ID of the show.
+ * @returns {JSX.Element} The rendered ShowStatsPanel component.
+ */
+export default function ShowStatsPanel({ showId }) {
+  // The stats from `/api/shows/:showId/stats`, or null while loading.
+  const [stats, setStats] = useState(null);
+  // Error message if the stats couldn't be loaded.
+  const [error, setError] = useState(null);
+
+  // Load the stats whenever the show changes.
+  useEffect(() => {
+    let cancelled = false;
+    const loadStats = async () => {
+      setError(null);
+      try {
+        const { data } = await axios.get(`/api/shows/${showId}/stats`, { withCredentials: true });
+        if (!cancelled) setStats(data);
+      } catch (err) {
+        console.error('Failed to load show stats:', err);
+        if (!cancelled) setError('Community stats are unavailable right now.');
+      }
+    };
+    if (showId) loadStats();
+    return () => { cancelled = true; };
+  }, [showId]);
+
+  if (error) return <p className="text-sm text-gray-400">{error}</p>;
+  if (!stats) return <p className="text-sm text-gray-400">Loading community stats...</p>;
+
+  // Tallest histogram bar, used to scale the others (at least 1 to avoid dividing by zero).
+  const maxCount = Math.max(1, ...stats.histogram.map(bucket => bucket.count));
+  const timeline = lastMonths(stats.reviewsOverTime);
+  const maxMonthCount = Math.max(1, ...timeline.map(entry => entry.count));
+
+  return (
+    <div className="space-y-6">
+      {/* Average rating next to the rating histogram. */}
+      <div className="flex flex-col sm:flex-row sm:items-end gap-6">
+        <div className="flex-shrink-0">
+          <p className="text-4xl font-bold text-white">
+            {stats.averageRating != null ? stats.averageRating.toFixed(1) : '–'}
+            <span className="text-lg text-gray-400">/{RATING_MAX}</span>
+          </p>
+          <AppleRatingDisplay rating={stats.averageRating || 0} appleSize="w-5 h-5" />
+          <p className="text-sm text-gray-400 mt-1">
+            {stats.totalReviews} review{stats.totalReviews !== 1 ? 's' : ''}
+          </p>
+        </div>
+
+        {/* One bar per rating of the scale, lowest on the left. */}
+        <div className="flex-1 flex items-end gap-1 h-28" aria-label="Rating distribution">
+          {stats.histogram.map(bucket => (
+            <div key={bucket.rating} className="flex-1 flex flex-col items-center justify-end h-full">
+              <div
+                className="w-full rounded-t bg-red-500/80 hover:bg-red-400 transition-colors"
+                style={{ height: `${(bucket.count / maxCount) * 100}%`, minHeight: bucket.count ? '4px' : '1px' }}
+                title={`${bucket.rating} apple${bucket.rating !== 1 ? 's' : ''}: ${bucket.count} review${bucket.count !== 1 ? 's' : ''}`}
+              />
+              <span className="text-[10px] text-gray-500 mt-1">{bucket.rating}</span>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {/* Community counters. */}
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 text-sm">
+        {stats.friends && (
+          <div className="flex items-center gap-2 bg-[#3a3a3a] rounded-lg px-3 py-2">
+            <Users className="w-4 h-4 text-blue-400" />
+            <span className="text-gray-300">
+              {stats.friends.averageRating != null
+                ? <>Friends: <strong className="text-white">{stats.friends.averageRating.toFixed(1)}</strong> ({stats.friends.totalReviews})</>
+                : 'No friend has rated it yet'}
+            </span>
+          </div>
+        )}
+        <div className="flex items-center gap-2 bg-[#3a3a3a] rounded-lg px-3 py-2">
+          <Eye className="w-4 h-4 text-emerald-400" />
+          <span className="text-gray-300"><strong className="text-white">{stats.watchingCount}</strong> watching</span>
+        </div>
+        <div className="flex items-center gap-2 bg-[#3a3a3a] rounded-lg px-3 py-2">
+          <Bookmark className="w-4 h-4 text-yellow-400" />
+          <span className="text-gray-300"><strong className="text-white">{stats.watchlistCount}</strong> on watchlists</span>
+        </div>
+      </div>
+
+      {/* Reviews written per month. */}
+      <div>
+        <p className="text-sm text-gray-400 mb-2">Reviews over the last {TIMELINE_MONTHS} months</p>
+        <div className="flex items-end gap-1 h-12">
+          {timeline.map(entry => (
+            <div
+              key={entry.month}
+              className="flex-1 rounded-t bg-blue-500/70"
+              style={{ height: `${(entry.count / maxMonthCount) * 100}%`, minHeight: '1px' }}
+              title={`${entry.label}: ${entry.count} review${entry.count !== 1 ? 's' : ''}`}
+            />
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
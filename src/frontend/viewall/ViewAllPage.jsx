@@ -41,8 +41,6 @@ export default function ViewAllPage() {
   const [shows, setShows] = useState([]);
   // State to manage the current page number for pagination.
   const [page, setPage] = useState(1);
-  // TMDB API key from environment variables.
-  const API_KEY = import.meta.env.VITE_TMDB_API_KEY;
   // Hook for programmatic navigation (e.g., for the "Back" button).
   const navigate = useNavigate();
   // Note: isLoading and error states are not explicitly managed here, which could be an improvement
@@ -51,7 +49,7 @@ export default function ViewAllPage() {
 
   /**
    * `useEffect` hook to fetch shows from the specified TMDB endpoint.
-   * Runs when `tmdbEndpoint` (which means `decodedEndpoint` effectively) or `API_KEY` changes.
+   * Runs when `tmdbEndpoint` (which means `decodedEndpoint` effectively) changes.
    * Currently, it only fetches the first page of results.
    * For a "View All" page, it might be desirable to fetch all pages or implement server-side pagination
    * if the TMDB endpoint supports it beyond just the `page` parameter for a single list.
@@ -59,22 +57,22 @@ export default function ViewAllPage() {
    */
   useEffect(() => {
     /**
-     * Asynchronous function to fetch shows from TMDB.
+     * Asynchronous function to fetch shows from TMDB through the backend proxy.
      * @async
      */
     const fetchShows = async () => {
-      // If API key or TMDB endpoint is missing, log an error and do nothing.
-      if (!API_KEY || !tmdbEndpoint) { // tmdbEndpoint check is a bit redundant due to useParams
-        console.error("Missing API key or tmdbEndpoint.");
+      // If the TMDB endpoint is missing, log an error and do nothing.
+      if (!tmdbEndpoint) { // tmdbEndpoint check is a bit redundant due to useParams
+        console.error("Missing tmdbEndpoint.");
         setShows([]); // Ensure shows is empty.
         return;
       }
 
       try {
-        // Make GET request to the TMDB API using the decoded endpoint and API key.
+        // Make GET request to the backend TMDB proxy using the decoded endpoint.
         // Currently fetches only page 1.
         const res = await axios.get(
-          `https://api.themoviedb.org/3/${decodedEndpoint}?api_key=${API_KEY}&language=en-US&page=1`
+          `/api/tmdb/${decodedEndpoint}?language=en-US&page=1`
         );
         // Set shows state with the results array from the response, or an empty array if no results.
         setShows(res.data.results || []);
@@ -87,7 +85,7 @@ export default function ViewAllPage() {
     };
 
     fetchShows();
-  }, [decodedEndpoint, API_KEY]); // Use `decodedEndpoint` in dependencies as `tmdbEndpoint` is the raw param.
+  }, [decodedEndpoint]); // Use `decodedEndpoint` in dependencies as `tmdbEndpoint` is the raw param.
 
   // Slice the `shows` array to get only the items for the current page(s) based on client-side pagination.
   const displayedShows = shows.slice(0, page * FILMS_PER_PAGE);
@@ -0,0 +1,36 @@
+/**
+ * @file useRealtimeEvent.js
+ * @description The context holding the realtime event subscriptions (provided by `RealtimeProvider` in
+ * `src/context/RealtimeContext.jsx`) and a React hook that lets components react to the events the server pushes
+ * (new notifications, friend request changes and friend activity).
+ */
+
+// Import React helpers for context, side effects and refs.
+import { createContext, useContext, useEffect, useRef } from 'react';
+
+/**
+ * Realtime Context.
+ * Holds the `subscribe` function used by `useRealtimeEvent`.
+ * @type {React.Context<object|null>}
+ */
+export const RealtimeContext = createContext(null);
+
+/**
+ * Custom hook `useRealtimeEvent` to run a handler whenever the server pushes an event.
+ * The latest `handler` is always used, so it doesn't need to be memoized.
+ *
+ * @param {string} eventName - 'notification', 'friend_requests' or 'activity'.
+ * @param {function(object): void} handler - Called with the parsed event data.
+ */
+export const useRealtimeEvent = (eventName, handler) => {
+  const { subscribe } = useContext(RealtimeContext);
+  const handlerRef = useRef(handler);
+
+  // Keep the ref pointing to the latest handler.
+  useEffect(() => {
+    handlerRef.current = handler;
+  });
+
+  // Subscribe once per event name.
+  useEffect(() => subscribe(eventName, (data) => handlerRef.current(data)), [eventName, subscribe]);
+};
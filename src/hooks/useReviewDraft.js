@@ -0,0 +1,161 @@
+/**
+ * @file useReviewDraft.js
+ * @description A React hook that autosaves an unsubmitted review as a draft, keyed by user, show, season and episode.
+ * Drafts are written to localStorage on every change, so they survive closing the form or reloading the tab,
+ * and synced to `/api/reviews/drafts` shortly after, so they follow the user to their other devices.
+ * When both copies exist, the most recently changed one wins.
+ */
+
+// Import React hooks for state, side effects, refs and memoized callbacks.
+import { useState, useEffect, useRef, useCallback } from 'react';
+// Import axios for making HTTP requests.
+import axios from 'axios';
+
+/**
+ * How long to wait after the last change before syncing the draft to the server, in milliseconds.
+ * @type {number}
+ */
+const SYNC_DELAY_MS = 1500;
+
+/**
+ * Builds the localStorage key of a draft.
+ * @param {object} key - The draft's `userId`, `showId`, `seasonNumber` and `episodeNumber`.
+ * @returns {string} The localStorage key.
+ */
+function draftStorageKey({ userId, showId, seasonNumber, episodeNumber }) {
+  return `reviewDraft:${userId}:${showId}:${seasonNumber ?? ''}:${episodeNumber ?? ''}`;
+}
+
+/**
+ * Reads a draft from localStorage.
+ * @param {string} storageKey - The localStorage key.
+ * @returns {object|null} The draft, or null if there is none (or it can't be read).
+ */
+function readLocalDraft(storageKey) {
+  try {
+    return JSON.parse(localStorage.getItem(storageKey));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @function useReviewDraft
+ * @description Loads the user's draft for a show, season or episode and returns helpers to autosave and discard it.
+ * The hook does nothing for logged-out users or without a show.
+ *
+ * @param {object} key - What the draft is for.
+ * @param {string|null} key.userId - The logged-in user's ID.
+ * @param {string|number|null} key.showId - The show being reviewed.
+ * @param {number|null} [key.seasonNumber=null] - The season being reviewed, for season and episode reviews.
+ * @param {number|null} [key.episodeNumber=null] - The episode being reviewed, for episode reviews.
+ * @returns {{ draft: object|null, saveDraft: function(object|null): void, clearDraft: function(): void }}
+ *   `draft` is the draft found when the form opened (`rating`, `content`, `containsSpoiler`, `spoilerSeason`,
+ *   `spoilerEpisode`, `updatedAt`), or null. `saveDraft` stores the current form values, or forgets the draft
+ *   saved since the form opened when called with null (e.g., the form is back to its initial values).
+ *   `clearDraft` discards the draft everywhere (after submitting, or when the user declines to resume it).
+ */
+export default function useReviewDraft({ userId, showId, seasonNumber = null, episodeNumber = null }) {
+  // The localStorage key, or null when drafts are disabled.
+  const storageKey = userId && showId != null ? draftStorageKey({ userId, showId, seasonNumber, episodeNumber }) : null;
+  // The draft found when the form opened.
+  const [draft, setDraft] = useState(null);
+  // The draft waiting to be synced to the server, and the timer that will sync it.
+  const pendingSync = useRef(null);
+  const syncTimer = useRef(null);
+  // Whether a draft was saved since the form opened.
+  const savedSinceOpen = useRef(false);
+
+  /**
+   * Sends the draft waiting to be synced, if any, right away.
+   */
+  const flush = useCallback(() => {
+    clearTimeout(syncTimer.current);
+    const entry = pendingSync.current;
+    pendingSync.current = null;
+    if (!entry) return;
+    axios.put('/api/reviews/drafts', entry, { withCredentials: true })
+      .catch(err => console.error('Failed to sync your review draft:', err));
+  }, []);
+
+  // Load the draft: the local copy right away, then the server's if it is more recent.
+  // A local copy that never made it to the server (e.g., written offline) is synced instead.
+  useEffect(() => {
+    setDraft(null);
+    savedSinceOpen.current = false;
+    if (!storageKey) return;
+    let cancelled = false;
+    const localDraft = readLocalDraft(storageKey);
+    setDraft(localDraft);
+    const loadRemoteDraft = async () => {
+      try {
+        const { data } = await axios.get('/api/reviews/drafts', {
+          params: { showId, seasonNumber: seasonNumber ?? undefined, episodeNumber: episodeNumber ?? undefined },
+          withCredentials: true
+        });
+        if (cancelled) return;
+        const remoteDraft = data.draft;
+        const remoteIsNewer = remoteDraft && (!localDraft || new Date(remoteDraft.updatedAt) > new Date(localDraft.updatedAt));
+        if (remoteIsNewer) {
+          localStorage.setItem(storageKey, JSON.stringify(remoteDraft));
+          setDraft(remoteDraft);
+        } else if (localDraft && (!remoteDraft || new Date(localDraft.updatedAt) > new Date(remoteDraft.updatedAt))) {
+          pendingSync.current = localDraft;
+          flush();
+        }
+      } catch (err) {
+        console.error('Failed to load your review draft:', err);
+      }
+    };
+    loadRemoteDraft();
+    return () => { cancelled = true; };
+  }, [storageKey, showId, seasonNumber, episodeNumber, flush]);
+
+  // Sync the last changes when the form closes or switches to another show.
+  useEffect(() => flush, [storageKey, flush]);
+
+  /**
+   * Autosaves the form values: to localStorage now, to the server after `SYNC_DELAY_MS` without changes.
+   * @param {object|null} values - `rating` (or null), `content`, `containsSpoiler`, `spoilerSeason` and `spoilerEpisode`;
+   *                               null when there is nothing worth keeping.
+   */
+  const saveDraft = useCallback((values) => {
+    if (!storageKey) return;
+    if (!values && !savedSinceOpen.current) return; // Nothing was saved, nothing to forget.
+    const entry = {
+      showId: String(showId),
+      seasonNumber,
+      episodeNumber,
+      // An empty draft tells the server to remove its copy.
+      ...(values || { rating: null, content: '', containsSpoiler: false, spoilerSeason: null, spoilerEpisode: null }),
+      updatedAt: new Date().toISOString()
+    };
+    if (values) {
+      localStorage.setItem(storageKey, JSON.stringify(entry));
+    } else {
+      localStorage.removeItem(storageKey);
+    }
+    savedSinceOpen.current = !!values;
+    pendingSync.current = entry;
+    clearTimeout(syncTimer.current);
+    syncTimer.current = setTimeout(flush, SYNC_DELAY_MS);
+  }, [storageKey, showId, seasonNumber, episodeNumber, flush]);
+
+  /**
+   * Discards the draft from localStorage and the server.
+   */
+  const clearDraft = useCallback(() => {
+    if (!storageKey) return;
+    clearTimeout(syncTimer.current);
+    pendingSync.current = null;
+    savedSinceOpen.current = false;
+    localStorage.removeItem(storageKey);
+    setDraft(null);
+    axios.delete('/api/reviews/drafts', {
+      params: { showId, seasonNumber: seasonNumber ?? undefined, episodeNumber: episodeNumber ?? undefined },
+      withCredentials: true
+    }).catch(err => console.error('Failed to discard your review draft:', err));
+  }, [storageKey, showId, seasonNumber, episodeNumber]);
+
+  return { draft, saveDraft, clearDraft };
+}
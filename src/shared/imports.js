@@ -0,0 +1,46 @@
+/**
+ * @file imports.js
+ * @description Rules for importing a user's history from other trackers, shared by the backend (parsing exports and
+ * saving imports) and the frontend (the import page).
+ * An import has two steps: a preview (dry run) that parses the file and matches its shows to TMDB without saving
+ * anything, then a commit that saves the shows whose matches the user confirmed.
+ */
+
+/**
+ * Export formats that can be imported:
+ * - 'trakt': Trakt JSON exports (watchlist, watched shows, history and ratings files);
+ * - 'tvtime': TV Time CSV exports (followed shows and seen episodes files);
+ * - 'csv': Letterboxd-style CSV files, one row per show or episode, with a `Name` (or `Title`) column and optional
+ *   `Year`, `Season`, `Episode`, `Rating`, `Review`, `Watched Date` and `tmdbID` columns.
+ * @type {Array<string>}
+ */
+export const IMPORT_SOURCES = ['trakt', 'tvtime', 'csv'];
+
+/**
+ * Human-readable label of each source.
+ * @type {Object<string, string>}
+ */
+export const IMPORT_SOURCE_LABELS = {
+  trakt: 'Trakt (JSON)',
+  tvtime: 'TV Time (CSV)',
+  csv: 'Letterboxd-style CSV'
+};
+
+/**
+ * Largest file that can be imported, in bytes (5 MB).
+ * @type {number}
+ */
+export const IMPORT_MAX_FILE_BYTES = 5 * 1024 * 1024;
+
+/**
+ * Maximum number of different shows in one import.
+ * @type {number}
+ */
+export const IMPORT_MAX_SHOWS = 500;
+
+/**
+ * What an imported row adds: a watchlist entry, a show watched in full (a 'completed' watchlist entry),
+ * a watched episode, or a rating (with or without a review text) of a show, season or episode.
+ * @type {Array<string>}
+ */
+export const IMPORT_ITEM_KINDS = ['watchlist', 'completed', 'episode', 'rating'];
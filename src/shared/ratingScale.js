@@ -0,0 +1,58 @@
+/**
+ * @file ratingScale.js
+ * @description The review rating scale, shared by the backend (schema and route validation, migrations)
+ * and the frontend (rating inputs and apple displays), so every part of the app agrees on which ratings are valid.
+ * Ratings go from 1 to 5 apples in half-apple steps (1, 1.5, 2, ..., 5).
+ */
+
+/**
+ * Lowest rating a review can have.
+ * @type {number}
+ */
+export const RATING_MIN = 1;
+
+/**
+ * Highest rating a review can have, which is also the number of apples displayed.
+ * @type {number}
+ */
+export const RATING_MAX = 5;
+
+/**
+ * Difference between two consecutive ratings (half an apple).
+ * @type {number}
+ */
+export const RATING_STEP = 0.5;
+
+/**
+ * Every valid rating, from lowest to highest.
+ * @type {Array<number>}
+ */
+export const RATING_VALUES = Array.from(
+  { length: Math.round((RATING_MAX - RATING_MIN) / RATING_STEP) + 1 },
+  (_, i) => RATING_MIN + i * RATING_STEP
+);
+
+/**
+ * Checks whether a value is a valid review rating: a number on the scale, in whole steps.
+ * @param {*} value - The value to check.
+ * @returns {boolean} True if the value is a valid rating.
+ */
+export function isValidRating(value) {
+  return typeof value === 'number' &&
+    value >= RATING_MIN &&
+    value <= RATING_MAX &&
+    Number.isInteger((value - RATING_MIN) / RATING_STEP);
+}
+
+/**
+ * Brings any numeric rating onto the scale: clamps it to the range and rounds it to the nearest step.
+ * Used to convert ratings saved before the scale was enforced (e.g., 0 or 3.75).
+ * @param {number} value - The rating to normalize.
+ * @returns {number|null} The closest valid rating, or `null` if the value is not a number.
+ */
+export function normalizeRating(value) {
+  const numericValue = Number(value);
+  if (value === null || value === '' || isNaN(numericValue)) return null;
+  const clamped = Math.min(Math.max(numericValue, RATING_MIN), RATING_MAX);
+  return RATING_MIN + Math.round((clamped - RATING_MIN) / RATING_STEP) * RATING_STEP;
+}
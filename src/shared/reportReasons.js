@@ -0,0 +1,30 @@
+/**
+ * @file reportReasons.js
+ * @description Reason categories for reporting a review or a user, shared by the backend (validating reports)
+ * and the frontend (the report form and the moderation queue).
+ */
+
+/**
+ * Reasons a review or a user can be reported for.
+ * @type {Array<string>}
+ */
+export const REPORT_REASONS = ['spam', 'harassment', 'hate_speech', 'spoilers', 'inappropriate', 'other'];
+
+/**
+ * Human-readable label of each report reason.
+ * @type {Object<string, string>}
+ */
+export const REPORT_REASON_LABELS = {
+  spam: 'Spam or advertising',
+  harassment: 'Harassment or bullying',
+  hate_speech: 'Hate speech',
+  spoilers: 'Untagged spoilers',
+  inappropriate: 'Inappropriate content',
+  other: 'Something else'
+};
+
+/**
+ * Maximum length of the optional details a reporter can add.
+ * @type {number}
+ */
+export const REPORT_DETAILS_MAX_LENGTH = 500;
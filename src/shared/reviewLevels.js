@@ -0,0 +1,27 @@
+/**
+ * @file reviewLevels.js
+ * @description Helpers for the levels a review can be written at, shared by the backend and the frontend:
+ * a whole show, one season (`seasonNumber`) or one episode (`seasonNumber` and `episodeNumber`).
+ */
+
+/**
+ * Builds the label of a season or an episode (e.g., "Season 2" or "S2E5").
+ * @param {number} seasonNumber - The season number.
+ * @param {number|null} [episodeNumber] - The episode number, or null for the whole season.
+ * @returns {string} The label.
+ */
+export function levelLabel(seasonNumber, episodeNumber = null) {
+  return episodeNumber != null ? `S${seasonNumber}E${episodeNumber}` : `Season ${seasonNumber}`;
+}
+
+/**
+ * Parses an optional season or episode number from a request.
+ * @param {*} value - The raw value (query string or JSON body value).
+ * @param {number} min - The smallest allowed number (0 for seasons, since season 0 holds specials; 1 for episodes).
+ * @returns {number|null|undefined} The number, `null` if the value is missing, or `undefined` if it is invalid.
+ */
+export function parseLevelNumber(value, min) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  return Number.isInteger(number) && number >= min ? number : undefined;
+}
@@ -0,0 +1,69 @@
+/**
+ * @file showLists.js
+ * @description Rules for user-created show lists (e.g., "Comfort rewatches"), shared by the backend (validating lists)
+ * and the frontend (the list forms and pages).
+ */
+
+/**
+ * Who can see a list: anyone, the owner's friends, or only the owner.
+ * @type {Array<string>}
+ */
+export const LIST_VISIBILITIES = ['public', 'friends', 'private'];
+
+/**
+ * Visibility of new lists.
+ * @type {string}
+ */
+export const DEFAULT_LIST_VISIBILITY = 'private';
+
+/**
+ * Human-readable label of each visibility.
+ * @type {Object<string, string>}
+ */
+export const LIST_VISIBILITY_LABELS = {
+  public: 'Public',
+  friends: 'Friends only',
+  private: 'Only me'
+};
+
+/**
+ * Maximum length of a list title.
+ * @type {number}
+ */
+export const LIST_TITLE_MAX_LENGTH = 80;
+
+/**
+ * Maximum length of a list description.
+ * @type {number}
+ */
+export const LIST_DESCRIPTION_MAX_LENGTH = 500;
+
+/**
+ * Maximum length of the note on a list item.
+ * @type {number}
+ */
+export const LIST_NOTE_MAX_LENGTH = 300;
+
+/**
+ * Maximum number of shows in a list.
+ * @type {number}
+ */
+export const LIST_MAX_ITEMS = 500;
+
+/**
+ * Turns a list title into the slug used in its URL (`/user/:username/lists/:slug`),
+ * e.g. "Anime to try!" becomes "anime-to-try".
+ * @param {string} title - The list title.
+ * @returns {string} The slug, or 'list' for titles without letters or digits.
+ */
+export function slugifyListTitle(title) {
+  const slug = String(title || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '') // Drop accents
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60)
+    .replace(/-+$/, '');
+  return slug || 'list';
+}
@@ -0,0 +1,62 @@
+/**
+ * @file spoilers.js
+ * @description Spoiler protection rules, shared by the backend (deciding which reviews to hide from a viewer)
+ * and the frontend (the settings control and the spoiler labels).
+ * A spoiler review can be tagged with the episode it spoils up to (`spoilerSeason` and `spoilerEpisode`);
+ * it is then only hidden from viewers who haven't watched that far.
+ */
+
+/**
+ * Spoiler protection modes a user can pick.
+ * - `progress`: hide spoilers for episodes the user hasn't watched yet (the default).
+ * - `all`: hide every spoiler review.
+ * - `off`: never hide spoilers.
+ * @type {Array<string>}
+ */
+export const SPOILER_MODES = ['progress', 'all', 'off'];
+
+/**
+ * Spoiler protection mode of users who haven't picked one.
+ * @type {string}
+ */
+export const DEFAULT_SPOILER_MODE = 'progress';
+
+/**
+ * Works out the episode a spoiler review spoils up to.
+ * Reviews without an explicit tag fall back to the episode they review, when they review one.
+ * @param {object} review - A review (`containsSpoiler`, `spoilerSeason`, `spoilerEpisode`, `seasonNumber`, `episodeNumber`).
+ * @returns {{ seasonNumber: number, episodeNumber: number }|null} The spoiled episode, or null if the review
+ *   isn't a spoiler or doesn't say how far it spoils (it then spoils the whole show).
+ */
+export function spoilerPoint(review) {
+  if (!review?.containsSpoiler) return null;
+  if (review.spoilerSeason != null && review.spoilerEpisode != null) {
+    return { seasonNumber: review.spoilerSeason, episodeNumber: review.spoilerEpisode };
+  }
+  if (review.seasonNumber != null && review.episodeNumber != null) {
+    return { seasonNumber: review.seasonNumber, episodeNumber: review.episodeNumber };
+  }
+  return null;
+}
+
+/**
+ * Checks whether a viewer has watched far enough to read a spoiler.
+ * @param {{ seasonNumber: number, episodeNumber: number }|null|undefined} furthest - The furthest episode the viewer watched.
+ * @param {{ seasonNumber: number, episodeNumber: number }|null} point - The episode the review spoils up to (see `spoilerPoint`).
+ * @returns {boolean} True if the viewer watched that episode or a later one.
+ */
+export function hasWatchedPast(furthest, point) {
+  if (!furthest || !point) return false;
+  return furthest.seasonNumber > point.seasonNumber ||
+    (furthest.seasonNumber === point.seasonNumber && furthest.episodeNumber >= point.episodeNumber);
+}
+
+/**
+ * Builds the label of how far a spoiler review spoils (e.g., "Spoilers up to S2E5").
+ * @param {object} review - A review.
+ * @returns {string} The label.
+ */
+export function spoilerLabel(review) {
+  const point = spoilerPoint(review);
+  return point ? `Spoilers up to S${point.seasonNumber}E${point.episodeNumber}` : 'Spoilers';
+}
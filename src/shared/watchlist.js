@@ -0,0 +1,107 @@
+/**
+ * @file watchlist.js
+ * @description Watchlist entry rules, shared by the backend (validating and storing entries) and the frontend
+ * (the watchlist controls, filters and sorts).
+ * Each watchlist entry is `{ showId, addedAt, status, priority, tag }`; the order of the `watchlist` array is the
+ * user's own order. Watchlists saved before entries existed were arrays of show ID strings
+ * (see `src/backend/migrations/migrateWatchlistEntries.js`).
+ */
+
+/**
+ * Where the user is with a show on their watchlist.
+ * @type {Array<string>}
+ */
+export const WATCHLIST_STATUSES = ['planned', 'watching', 'paused', 'dropped', 'completed'];
+
+/**
+ * Status of new watchlist entries.
+ * @type {string}
+ */
+export const DEFAULT_WATCHLIST_STATUS = 'planned';
+
+/**
+ * Human-readable label of each status.
+ * @type {Object<string, string>}
+ */
+export const WATCHLIST_STATUS_LABELS = {
+  planned: 'Planned',
+  watching: 'Watching',
+  paused: 'Paused',
+  dropped: 'Dropped',
+  completed: 'Completed'
+};
+
+/**
+ * Watchlist priorities, highest first.
+ * @type {Array<string>}
+ */
+export const WATCHLIST_PRIORITIES = ['high', 'medium', 'low'];
+
+/**
+ * Priority of new watchlist entries.
+ * @type {string}
+ */
+export const DEFAULT_WATCHLIST_PRIORITY = 'medium';
+
+/**
+ * Human-readable label of each priority.
+ * @type {Object<string, string>}
+ */
+export const WATCHLIST_PRIORITY_LABELS = {
+  high: 'High',
+  medium: 'Medium',
+  low: 'Low'
+};
+
+/**
+ * Maximum length of the user's own tag on an entry (e.g., "with Sam").
+ * @type {number}
+ */
+export const WATCHLIST_TAG_MAX_LENGTH = 30;
+
+/**
+ * Ways to sort a watchlist: the user's own order, recently added first, priority (highest first),
+ * status (in the order of `WATCHLIST_STATUSES`) or name.
+ * @type {Array<string>}
+ */
+export const WATCHLIST_SORTS = ['order', 'added', 'priority', 'status', 'name'];
+
+/**
+ * Human-readable label of each sort.
+ * @type {Object<string, string>}
+ */
+export const WATCHLIST_SORT_LABELS = {
+  order: 'My order',
+  added: 'Recently added',
+  priority: 'Priority',
+  status: 'Status',
+  name: 'Name'
+};
+
+/**
+ * Turns a stored watchlist item into an entry. Old watchlists hold bare show ID strings, which get the default
+ * status and priority and no date.
+ * @param {object|string|number} item - A watchlist entry or a show ID.
+ * @returns {{ showId: string, addedAt: (Date|string|null), status: string, priority: string, tag: string }} The entry.
+ */
+export function normalizeWatchlistEntry(item) {
+  if (item === null || typeof item !== 'object') {
+    return { showId: String(item), addedAt: null, status: DEFAULT_WATCHLIST_STATUS, priority: DEFAULT_WATCHLIST_PRIORITY, tag: '' };
+  }
+  return {
+    showId: String(item.showId),
+    addedAt: item.addedAt ?? null,
+    status: item.status || DEFAULT_WATCHLIST_STATUS,
+    priority: item.priority || DEFAULT_WATCHLIST_PRIORITY,
+    tag: item.tag || ''
+  };
+}
+
+/**
+ * Lists the show IDs of a watchlist, in the user's order.
+ * @param {Array<object|string>} [watchlist=[]] - The watchlist (entries, or show IDs for old watchlists).
+ * @returns {Array<string>} The show IDs.
+ */
+export function watchlistShowIds(watchlist = []) {
+  return (watchlist || []).map(item => normalizeWatchlistEntry(item).showId);
+}
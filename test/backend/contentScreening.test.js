@@ -0,0 +1,42 @@
+/**
+ * @file Tests of the review text fingerprint used by the duplicate check (`src/backend/contentScreening.js`).
+ */
+
+// Import the test runner and assertions built into Node.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+// Import the content screening helpers under test
+import { contentFingerprint } from '../../src/backend/contentScreening.js';
+
+/**
+ * A review text long enough to be compared (the default minimum is 40 characters).
+ * @const {string}
+ */
+const REVIEW = 'The second season drags a little, but the finale makes up for it.';
+
+describe('contentFingerprint', () => {
+  it('returns a SHA-256 hex digest', () => {
+    assert.match(contentFingerprint(REVIEW), /^[0-9a-f]{64}$/);
+  });
+
+  it('is the same for texts differing only in case, punctuation or whitespace', () => {
+    const variant = '  the SECOND season drags a little   but the finale makes up for it!!! ';
+    assert.equal(contentFingerprint(variant), contentFingerprint(REVIEW));
+  });
+
+  it('differs for different texts', () => {
+    assert.notEqual(contentFingerprint(REVIEW.replace('finale', 'premiere')), contentFingerprint(REVIEW));
+  });
+
+  it('keeps letters and digits of any script', () => {
+    const text = 'Saison 2 très réussie, même si le début est lent et un peu long.';
+    assert.notEqual(contentFingerprint(text), contentFingerprint(text.replace('2', '3')));
+  });
+
+  it('returns null for texts too short to be compared', () => {
+    assert.equal(contentFingerprint('Loved it!'), null);
+    assert.equal(contentFingerprint('!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!'), null);
+    assert.equal(contentFingerprint(''), null);
+    assert.equal(contentFingerprint(undefined), null);
+  });
+});
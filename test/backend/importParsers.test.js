@@ -0,0 +1,126 @@
+/**
+ * @file Tests of the parsers of other trackers' exports (`src/backend/importParsers.js`).
+ */
+
+// Import the test runner and assertions built into Node.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+// Import the parsers under test
+import { parseCsv, parseTraktExport, parseTvTimeCsv, parseGenericCsv, parseExport } from '../../src/backend/importParsers.js';
+
+/**
+ * Keeps the fields of parsed items that the tests compare.
+ * @param {Array<object>} items - Items from a parser's result.
+ * @returns {Array<object>} `showKey`, `kind`, `seasonNumber`, `episodeNumber` and `rating` of each item.
+ */
+function summarize(items) {
+  return items.map(({ showKey, kind, seasonNumber, episodeNumber, rating }) => ({ showKey, kind, seasonNumber, episodeNumber, rating }));
+}
+
+describe('parseCsv', () => {
+  it('keys rows by normalized column names', () => {
+    assert.deepEqual(parseCsv('Name,Watched Date\nDark,2024-01-02\n'), [{ name: 'Dark', watcheddate: '2024-01-02' }]);
+  });
+
+  it('reads quoted fields holding commas, quotes and line breaks', () => {
+    const rows = parseCsv('Name,Review\r\n"Fargo","Great, ""darkly"" funny\nand tense"\r\n');
+    assert.deepEqual(rows, [{ name: 'Fargo', review: 'Great, "darkly" funny\nand tense' }]);
+  });
+
+  it('drops the byte order mark and blank lines, and fills missing columns', () => {
+    assert.deepEqual(parseCsv('\uFEFFName,Year\n\nLost\n'), [{ name: 'Lost', year: '' }]);
+  });
+
+  it('returns no rows for empty text', () => {
+    assert.deepEqual(parseCsv(''), []);
+  });
+});
+
+describe('parseTraktExport', () => {
+  const show = { title: 'Severance', year: 2022, ids: { tmdb: 95396, imdb: 'tt11280740' } };
+
+  it('reads watchlist, history, watched and rating entries', () => {
+    const result = parseTraktExport(JSON.stringify([
+      { listed_at: '2024-01-01T00:00:00Z', type: 'show', show },
+      { watched_at: '2024-01-02T00:00:00Z', type: 'episode', episode: { season: 1, number: 2 }, show },
+      { last_watched_at: '2024-01-03T00:00:00Z', show, seasons: [{ number: 1, episodes: [{ number: 3 }] }] },
+      { rated_at: '2024-01-04T00:00:00Z', rating: 9, type: 'show', show }
+    ]));
+    assert.deepEqual(result.shows, [{ key: 'tmdb:95396', title: 'Severance', year: 2022, ids: { tmdb: '95396', tvdb: null, imdb: 'tt11280740' } }]);
+    assert.deepEqual(summarize(result.items), [
+      { showKey: 'tmdb:95396', kind: 'watchlist', seasonNumber: null, episodeNumber: null, rating: null },
+      { showKey: 'tmdb:95396', kind: 'episode', seasonNumber: 1, episodeNumber: 2, rating: null },
+      { showKey: 'tmdb:95396', kind: 'episode', seasonNumber: 1, episodeNumber: 3, rating: null },
+      { showKey: 'tmdb:95396', kind: 'rating', seasonNumber: null, episodeNumber: null, rating: 4.5 }
+    ]);
+    assert.equal(result.skippedRows, 0);
+  });
+
+  it('reads a bundle of several files and skips movies', () => {
+    const result = parseTraktExport(JSON.stringify({
+      'watchlist-shows': [{ listed_at: '2024-01-01T00:00:00Z', show }],
+      'watchlist-movies': [{ listed_at: '2024-01-01T00:00:00Z', movie: { title: 'Heat' } }]
+    }));
+    assert.equal(result.items.length, 1);
+    assert.equal(result.skippedRows, 1);
+  });
+
+  it('rejects files that are not JSON or hold no entries', () => {
+    assert.throws(() => parseTraktExport('not json'));
+    assert.throws(() => parseTraktExport('{"user": "me"}'), /No Trakt entries/);
+  });
+});
+
+describe('parseTvTimeCsv', () => {
+  it('reads watched episodes by their TheTVDB show ID', () => {
+    const result = parseTvTimeCsv('tv_show_name,tv_show_id,episode_season_number,episode_number,created_at\nThe Wire,79126,1,4,2024-02-01\nThe Wire,79126,,5,2024-02-02\n');
+    assert.deepEqual(summarize(result.items), [{ showKey: 'tvdb:79126', kind: 'episode', seasonNumber: 1, episodeNumber: 4, rating: null }]);
+    assert.equal(result.skippedRows, 1);
+  });
+
+  it('reads files without episode columns as the watchlist', () => {
+    const result = parseTvTimeCsv('tv_show_name,tv_show_id\nBluey,353985\n');
+    assert.deepEqual(summarize(result.items), [{ showKey: 'tvdb:353985', kind: 'watchlist', seasonNumber: null, episodeNumber: null, rating: null }]);
+  });
+});
+
+describe('parseGenericCsv', () => {
+  it('identifies shows by title and year without IDs', () => {
+    const result = parseGenericCsv('Name,Year\nThe Office,2005\n');
+    assert.deepEqual(result.shows.map(show => show.key), ['title:the office|2005']);
+    assert.equal(result.items[0].kind, 'watchlist');
+  });
+
+  it('reads ratings out of 5, with the review text', () => {
+    const result = parseGenericCsv('Name,tmdbID,Rating,Review\nDark,70523,4.5,Mind-bending\n');
+    assert.deepEqual(summarize(result.items), [{ showKey: 'tmdb:70523', kind: 'rating', seasonNumber: null, episodeNumber: null, rating: 4.5 }]);
+    assert.equal(result.items[0].content, 'Mind-bending');
+  });
+
+  it('reads every rating out of 10 when one of them is above 5', () => {
+    const result = parseGenericCsv('Name,Rating\nDark,8\nLost,5\n');
+    assert.deepEqual(result.items.map(item => item.rating), [4, 2.5]);
+  });
+
+  it('reads episodes, completed shows and watchlists depending on the columns and the file name', () => {
+    const episodes = parseGenericCsv('Name,Season,Episode,Rating\nDark,1,1,5\n');
+    assert.deepEqual(episodes.items.map(item => item.kind), ['episode', 'rating']);
+    assert.equal(parseGenericCsv('Name,Watched Date\nDark,2024-03-01\n').items[0].kind, 'completed');
+    assert.equal(parseGenericCsv('Name\nDark\n', 'diary.csv').items[0].kind, 'completed');
+    assert.equal(parseGenericCsv('Name,Watched Date\nDark,2024-03-01\n', 'watchlist.csv').items[0].kind, 'watchlist');
+  });
+
+  it('skips rows without a show', () => {
+    const result = parseGenericCsv('Name,Year\n,2020\nDark,2017\n');
+    assert.equal(result.skippedRows, 1);
+    assert.equal(result.shows.length, 1);
+  });
+});
+
+describe('parseExport', () => {
+  it('picks the parser of the source', () => {
+    assert.equal(parseExport('trakt', '[{"listed_at":"2024-01-01","show":{"title":"Dark","ids":{"tmdb":70523}}}]').shows[0].key, 'tmdb:70523');
+    assert.equal(parseExport('tvtime', 'tv_show_name,tv_show_id\nDark,334824\n').shows[0].key, 'tvdb:334824');
+    assert.equal(parseExport('csv', 'Name,tmdbID\nDark,70523\n').shows[0].key, 'tmdb:70523');
+  });
+});
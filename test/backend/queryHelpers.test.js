@@ -0,0 +1,83 @@
+/**
+ * @file Tests of the review level filter and the pagination cursors (`src/backend/queryHelpers.js`).
+ */
+
+// Import the test runner and assertions built into Node.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+// Import Buffer to forge cursors
+import { Buffer } from 'buffer';
+// Import ObjectId to build documents and check decoded cursors
+import { ObjectId } from 'mongodb';
+// Import the helpers under test
+import { buildReviewLevelFilter, encodeSortCursor, decodeSortCursor } from '../../src/backend/queryHelpers.js';
+
+describe('buildReviewLevelFilter', () => {
+  it('uses the default level when no level, season or episode is given', () => {
+    assert.deepEqual(buildReviewLevelFilter({}, 'show'), { filter: { seasonNumber: null } });
+    assert.deepEqual(buildReviewLevelFilter({}, 'all'), { filter: {} });
+  });
+
+  it('infers the season or episode level from the numbers given', () => {
+    assert.deepEqual(buildReviewLevelFilter({ seasonNumber: '2' }, 'show'), { filter: { seasonNumber: 2, episodeNumber: null } });
+    assert.deepEqual(buildReviewLevelFilter({ seasonNumber: '2', episodeNumber: '5' }, 'show'), { filter: { seasonNumber: 2, episodeNumber: 5 } });
+  });
+
+  it('matches any season or episode when the level is given without numbers', () => {
+    assert.deepEqual(buildReviewLevelFilter({ level: 'season' }, 'show'), { filter: { seasonNumber: { $ne: null }, episodeNumber: null } });
+    assert.deepEqual(buildReviewLevelFilter({ level: 'episode' }, 'show'), { filter: { seasonNumber: { $ne: null }, episodeNumber: { $ne: null } } });
+  });
+
+  it("narrows the 'all' level to the numbers given", () => {
+    assert.deepEqual(buildReviewLevelFilter({ level: 'all', seasonNumber: '0' }, 'show'), { filter: { seasonNumber: 0 } });
+  });
+
+  it('rejects invalid numbers and levels', () => {
+    assert.deepEqual(buildReviewLevelFilter({ seasonNumber: '-1' }, 'show'), { error: 'Invalid season number' });
+    assert.deepEqual(buildReviewLevelFilter({ seasonNumber: '1', episodeNumber: '0' }, 'show'), { error: 'Invalid episode number' });
+    assert.deepEqual(buildReviewLevelFilter({ episodeNumber: '3' }, 'show'), { error: 'An episode number requires a season number' });
+    assert.match(buildReviewLevelFilter({ level: 'movie' }, 'show').error, /^Invalid level/);
+  });
+
+  it('rejects numbers that contradict the level', () => {
+    assert.deepEqual(buildReviewLevelFilter({ level: 'show', seasonNumber: '1' }, 'show'), { error: 'Show-level reviews have no season or episode number' });
+    assert.deepEqual(buildReviewLevelFilter({ level: 'season', seasonNumber: '1', episodeNumber: '2' }, 'show'), { error: 'Season-level reviews have no episode number' });
+  });
+});
+
+describe('encodeSortCursor and decodeSortCursor', () => {
+  const sortFields = [['likesCount', -1], ['createdAt', -1], ['_id', -1]];
+  const doc = { _id: new ObjectId(), likesCount: 7, createdAt: new Date('2024-05-01T10:00:00Z') };
+
+  it('round-trips a position into a condition selecting the documents after it', () => {
+    const cursor = encodeSortCursor(doc, sortFields);
+    assert.match(cursor, /^[A-Za-z0-9_-]+$/);
+    assert.deepEqual(decodeSortCursor(cursor, sortFields), {
+      $or: [
+        { likesCount: { $lt: 7 } },
+        { likesCount: 7, createdAt: { $lt: doc.createdAt } },
+        { likesCount: 7, createdAt: doc.createdAt, _id: { $lt: doc._id } }
+      ]
+    });
+  });
+
+  it('uses $gt for ascending fields', () => {
+    const ascending = [['rating', 1], ['_id', -1]];
+    const condition = decodeSortCursor(encodeSortCursor({ _id: doc._id, rating: 2.5 }, ascending), ascending);
+    assert.deepEqual(condition.$or[0], { rating: { $gt: 2.5 } });
+  });
+
+  it('returns null for malformed cursors', () => {
+    assert.equal(decodeSortCursor('not a cursor', sortFields), null);
+    assert.equal(decodeSortCursor(Buffer.from('{"a":1}').toString('base64url'), sortFields), null);
+  });
+
+  it('returns null for cursors made for another sort order or holding invalid values', () => {
+    const cursor = encodeSortCursor(doc, sortFields);
+    assert.equal(decodeSortCursor(cursor, [['createdAt', -1], ['_id', -1]]), null);
+    const encode = values => Buffer.from(JSON.stringify(values)).toString('base64url');
+    assert.equal(decodeSortCursor(encode(['7', doc.createdAt, doc._id.toString()]), sortFields), null);
+    assert.equal(decodeSortCursor(encode([7, 'yesterday', doc._id.toString()]), sortFields), null);
+    assert.equal(decodeSortCursor(encode([7, doc.createdAt, 'abc']), sortFields), null);
+  });
+});
@@ -0,0 +1,59 @@
+/**
+ * @file Tests of the shared review rating scale (`src/shared/ratingScale.js`).
+ */
+
+// Import the test runner and assertions built into Node.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+// Import the rating scale under test
+import { RATING_MIN, RATING_MAX, RATING_VALUES, isValidRating, normalizeRating } from '../../src/shared/ratingScale.js';
+
+describe('RATING_VALUES', () => {
+  it('lists every half step from the lowest to the highest rating', () => {
+    assert.deepEqual(RATING_VALUES, [1, 1.5, 2, 2.5, 3, 3.5, 4, 4.5, 5]);
+    assert.equal(RATING_VALUES[0], RATING_MIN);
+    assert.equal(RATING_VALUES.at(-1), RATING_MAX);
+  });
+});
+
+describe('isValidRating', () => {
+  it('accepts every value of the scale', () => {
+    for (const value of RATING_VALUES) assert.equal(isValidRating(value), true, `${value} should be valid`);
+  });
+
+  it('rejects values off the scale or between steps', () => {
+    for (const value of [0, 0.5, 5.5, 6, -1, 3.25, 4.75, NaN, Infinity]) {
+      assert.equal(isValidRating(value), false, `${value} should be invalid`);
+    }
+  });
+
+  it('rejects values that are not numbers', () => {
+    for (const value of ['3', null, undefined, {}, [4]]) assert.equal(isValidRating(value), false);
+  });
+});
+
+describe('normalizeRating', () => {
+  it('keeps valid ratings as they are', () => {
+    for (const value of RATING_VALUES) assert.equal(normalizeRating(value), value);
+  });
+
+  it('rounds to the nearest half step', () => {
+    assert.equal(normalizeRating(3.2), 3);
+    assert.equal(normalizeRating(3.3), 3.5);
+    assert.equal(normalizeRating(3.75), 4);
+  });
+
+  it('clamps ratings outside the scale', () => {
+    assert.equal(normalizeRating(0), RATING_MIN);
+    assert.equal(normalizeRating(-3), RATING_MIN);
+    assert.equal(normalizeRating(10), RATING_MAX);
+  });
+
+  it('converts numeric strings', () => {
+    assert.equal(normalizeRating('4.5'), 4.5);
+  });
+
+  it('returns null for values that are not numbers', () => {
+    for (const value of [null, '', 'abc', undefined, NaN]) assert.equal(normalizeRating(value), null);
+  });
+});
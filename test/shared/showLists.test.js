@@ -0,0 +1,38 @@
+/**
+ * @file Tests of the shared show list rules (`src/shared/showLists.js`).
+ */
+
+// Import the test runner and assertions built into Node.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+// Import the list helpers under test
+import { slugifyListTitle } from '../../src/shared/showLists.js';
+
+describe('slugifyListTitle', () => {
+  it('lowercases the title and joins its words with dashes', () => {
+    assert.equal(slugifyListTitle('Anime to try!'), 'anime-to-try');
+    assert.equal(slugifyListTitle('Comfort   Rewatches'), 'comfort-rewatches');
+  });
+
+  it('drops accents', () => {
+    assert.equal(slugifyListTitle('Séries café crème'), 'series-cafe-creme');
+  });
+
+  it('trims dashes at both ends', () => {
+    assert.equal(slugifyListTitle('  --Best of 2024--  '), 'best-of-2024');
+  });
+
+  it('caps the slug at 60 characters without a trailing dash', () => {
+    const slug = slugifyListTitle(`${'a'.repeat(59)} b`);
+    assert.equal(slug, 'a'.repeat(59));
+    assert.ok(slugifyListTitle('word '.repeat(30)).length <= 60);
+    assert.ok(!slugifyListTitle('word '.repeat(30)).endsWith('-'));
+  });
+
+  it("falls back to 'list' for titles without letters or digits", () => {
+    assert.equal(slugifyListTitle('!!!'), 'list');
+    assert.equal(slugifyListTitle('日本のアニメ'), 'list');
+    assert.equal(slugifyListTitle(''), 'list');
+    assert.equal(slugifyListTitle(null), 'list');
+  });
+});